@@ -1,8 +1,16 @@
 export const EMU_PER_PIXEL = 12700; // Standard conversion for 96 DPI
 export const PT_TO_PX = .975; // Adjusted conversion for web rendering (90/72)
 export const LINE_HEIGHT = 24; // A default line height in pixels for SVG text
+export const SINGLE_LINE_SPACING = 1.2; // Height of a single-spaced line relative to its font size
+export const FONT_DESCENT = 0.2; // Space below the baseline of a line relative to its font size
+export const MIN_AUTOFIT_FONT_SCALE = 0.25; // Smallest font scale that shrinking text on overflow will go to
+export const MAX_AUTOFIT_LINE_SPACING_REDUCTION = 0.2; // Line spacing taken off before shrinking text on overflow
 export const INDENTATION_AMOUNT = 30; // Pixels per indentation level
 export const BULLET_OFFSET = 20; // Space between bullet and text
+export const DEFAULT_TAB_SIZE = 914400 / EMU_PER_PIXEL; // Distance between default tab stops in pixels, one inch
+export const SCRIPT_FONT_SCALE = 2 / 3; // Size of superscript and subscript text relative to the run
+export const AUDIO_CONTROLS_WIDTH = 240; // Minimum width of the audio controls drawn below a sound icon
+export const AUDIO_CONTROLS_HEIGHT = 40; // Height of the audio controls drawn below a sound icon
 
 export const PML_NS = "http://schemas.openxmlformats.org/presentationml/2006/main";
 export const DML_NS = "http://schemas.openxmlformats.org/drawingml/2006/main";
@@ -10,7 +18,30 @@ export const CHART_NS = "http://schemas.openxmlformats.org/drawingml/2006/chart"
 export const TABLE_NS = "http://schemas.openxmlformats.org/drawingml/2006/table";
 export const DIAGRAM_NS = "http://schemas.openxmlformats.org/drawingml/2006/diagram";
 export const DSP_NS = "http://schemas.microsoft.com/office/drawing/2008/diagram";
+export const SML_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
 export const SVG_NS = "http://www.w3.org/2000/svg";
+export const P14_NS = "http://schemas.microsoft.com/office/powerpoint/2010/main";
+export const P15_NS = "http://schemas.microsoft.com/office/powerpoint/2012/main";
+export const AHYP_NS = "http://schemas.microsoft.com/office/drawing/2018/hyperlinkcolor";
+export const A14_NS = "http://schemas.microsoft.com/office/drawing/2010/main";
+export const ASVG_NS = "http://schemas.microsoft.com/office/drawing/2016/SVG/main";
+
+export const TRANSITION_SPEEDS = { slow: 1000, med: 750, fast: 500 }; // Durations in ms for the `spd` attribute of p:transition
+export const VERTICAL_TEXT_ROTATIONS = { vert: 90, eaVert: 90, mongolianVert: 90, vert270: 270 }; // Rotations in degrees of the `vert` types of a:bodyPr that turn the lines of text
+export const LANGUAGE_SCRIPTS = { // Theme font scripts of the `lang` of a run, by language tag or primary language subtag
+    ja: 'Jpan', ko: 'Hang', zh: 'Hans', 'zh-TW': 'Hant', 'zh-HK': 'Hant', 'zh-MO': 'Hant',
+    ar: 'Arab', fa: 'Arab', ur: 'Arab', he: 'Hebr', yi: 'Hebr',
+    th: 'Thai', lo: 'Laoo', km: 'Khmr', my: 'Mymr', hi: 'Deva', mr: 'Deva', ne: 'Deva',
+    bn: 'Beng', gu: 'Gujr', pa: 'Guru', ta: 'Taml', te: 'Telu', kn: 'Knda', ml: 'Mlym', si: 'Sinh',
+};
+export const EAST_ASIAN_SCRIPTS = [ 'Jpan', 'Hang', 'Hans', 'Hant' ];
+export const UNDERLINE_STYLES = { // CSS text-decoration styles for the `u` attribute of a:rPr, solid when missing
+    dbl: 'double',
+    dotted: 'dotted', dottedHeavy: 'dotted',
+    dash: 'dashed', dashHeavy: 'dashed', dashLong: 'dashed', dashLongHeavy: 'dashed',
+    dotDash: 'dashed', dotDashHeavy: 'dashed', dotDotDash: 'dashed', dotDotDashHeavy: 'dashed',
+    wavy: 'wavy', wavyHeavy: 'wavy', wavyDbl: 'wavy',
+};
 
 export const slideshowProcessingActions = {
     start: {
@@ -182,6 +182,131 @@ export const currentSchema = {
                 { "$ref": "#/definitions/outerShadowEffect" }
             ]
         },
+        "bevel": {
+            "type": "object",
+            "properties": {
+                "width": { "type": "number" },
+                "height": { "type": "number" },
+                "preset": { "type": "string" }
+            },
+            "required": ["width", "height", "preset"]
+        },
+        "scene3d": {
+            "type": "object",
+            "properties": {
+                "camera": {
+                    "type": "object",
+                    "properties": {
+                        "preset": { "type": "string" },
+                        "fov": { "type": ["number", "null"] },
+                        "rotation": {
+                            "oneOf": [
+                                { "type": "null" },
+                                {
+                                    "type": "object",
+                                    "properties": {
+                                        "lat": { "type": "number" },
+                                        "lon": { "type": "number" },
+                                        "rev": { "type": "number" }
+                                    },
+                                    "required": ["lat", "lon", "rev"]
+                                }
+                            ]
+                        }
+                    },
+                    "required": ["preset"]
+                },
+                "lightRig": {
+                    "type": "object",
+                    "properties": {
+                        "rig": { "type": "string" },
+                        "dir": { "type": "string" }
+                    },
+                    "required": ["rig", "dir"]
+                }
+            },
+            "required": ["camera", "lightRig"]
+        },
+        "shape3d": {
+            "type": "object",
+            "properties": {
+                "bevelTop": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/bevel" }] },
+                "bevelBottom": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/bevel" }] },
+                "extrusionHeight": { "type": "number" },
+                "extrusionColor": { "type": ["string", "null"] },
+                "contourWidth": { "type": "number" },
+                "contourColor": { "type": ["string", "null"] },
+                "material": { "type": "string" }
+            },
+            "required": ["extrusionHeight", "contourWidth", "material"]
+        },
+        "shapeEffect": {
+            "oneOf": [
+                {
+                    "type": "object",
+                    "properties": {
+                        "type": { "const": "innerShdw" },
+                        "blurRad": { "type": "number" },
+                        "dist": { "type": "number" },
+                        "dir": { "type": "number" },
+                        "color": { "$ref": "#/definitions/color" }
+                    },
+                    "required": ["type", "blurRad", "dist", "dir", "color"]
+                },
+                {
+                    "type": "object",
+                    "properties": {
+                        "type": { "const": "prstShdw" },
+                        "prst": { "type": "string" },
+                        "dist": { "type": "number" },
+                        "dir": { "type": "number" },
+                        "color": { "$ref": "#/definitions/color" }
+                    },
+                    "required": ["type", "prst", "dist", "dir", "color"]
+                },
+                {
+                    "type": "object",
+                    "properties": {
+                        "type": { "const": "glow" },
+                        "radius": { "type": "number" },
+                        "color": { "$ref": "#/definitions/color" }
+                    },
+                    "required": ["type", "radius", "color"]
+                },
+                {
+                    "type": "object",
+                    "properties": {
+                        "type": { "const": "softEdge" },
+                        "radius": { "type": "number" }
+                    },
+                    "required": ["type", "radius"]
+                },
+                {
+                    "type": "object",
+                    "properties": {
+                        "type": { "const": "blur" },
+                        "radius": { "type": "number" },
+                        "grow": { "type": "boolean" }
+                    },
+                    "required": ["type", "radius", "grow"]
+                },
+                {
+                    "type": "object",
+                    "properties": {
+                        "type": { "const": "reflection" },
+                        "blur": { "type": "number" },
+                        "distance": { "type": "number" },
+                        "dir": { "type": "number" },
+                        "opacity": { "type": "number" },
+                        "startPos": { "type": "number" },
+                        "endOpacity": { "type": "number" },
+                        "endPos": { "type": "number" },
+                        "scaleY": { "type": "number" }
+                    },
+                    "required": ["type", "blur", "distance", "dir", "opacity", "startPos", "endOpacity", "endPos", "scaleY"]
+                }
+            ]
+        },
         "customGeometry": {
             "type": "object",
             "properties": {
@@ -191,6 +316,10 @@ export const currentSchema = {
                         "type": "object",
                         "properties": {
                             "cmd": { "type": "string" },
+                            "wR": { "type": "number" },
+                            "hR": { "type": "number" },
+                            "stAng": { "type": "number" },
+                            "swAng": { "type": "number" },
                             "points": {
                                 "type": "array",
                                 "items": {
@@ -207,7 +336,29 @@ export const currentSchema = {
                     }
                 },
                 "w": { "type": "number" },
-                "h": { "type": "number" }
+                "h": { "type": "number" },
+                "textRect": {
+                    "type": "object",
+                    "properties": {
+                        "l": { "type": "number" },
+                        "t": { "type": "number" },
+                        "r": { "type": "number" },
+                        "b": { "type": "number" }
+                    },
+                    "required": ["l", "t", "r", "b"]
+                },
+                "connectionSites": {
+                    "type": "array",
+                    "items": {
+                        "type": "object",
+                        "properties": {
+                            "x": { "type": "number" },
+                            "y": { "type": "number" },
+                            "angle": { "type": "number" }
+                        },
+                        "required": ["x", "y", "angle"]
+                    }
+                }
             },
             "required": ["commands", "w", "h"]
         },
@@ -230,9 +381,20 @@ export const currentSchema = {
                 "geometry": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/geometry" }] },
                 "fill": { "oneOf": [{ "type": "null" }, { "type": "string" }, { "$ref": "#/definitions/fill" }] },
                 "stroke": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/stroke" }] },
-                "effect": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/effect" }] }
+                "effect": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/effect" }] },
+                "effects": { "type": "array", "items": { "$ref": "#/definitions/shapeEffect" } },
+                "scene3d": { "$ref": "#/definitions/scene3d" },
+                "shape3d": { "$ref": "#/definitions/shape3d" }
             }
         },
+        "textSpacing": {
+            "type": "object",
+            "properties": {
+                "type": { "type": "string", "enum": ["percent", "points"] },
+                "value": { "type": "number" }
+            },
+            "required": ["type", "value"]
+        },
         "paragraphProps": {
             "type": "object",
             "properties": {
@@ -240,6 +402,22 @@ export const currentSchema = {
                 "marL": { "type": "number" },
                 "indent": { "type": "number" },
                 "align": { "type": "string" },
+                "rtl": { "type": "boolean" },
+                "defaultTabSize": { "type": "number" },
+                "tabs": {
+                    "type": "array",
+                    "items": {
+                        "type": "object",
+                        "properties": {
+                            "pos": { "type": "number" },
+                            "align": { "type": "string", "enum": ["l", "ctr", "r", "dec"] }
+                        },
+                        "required": ["pos", "align"]
+                    }
+                },
+                "lineSpacing": { "$ref": "#/definitions/textSpacing" },
+                "spaceBefore": { "$ref": "#/definitions/textSpacing" },
+                "spaceAfter": { "$ref": "#/definitions/textSpacing" },
                 "bullet": {
                     "type": "object",
                     "properties": {
@@ -261,7 +439,19 @@ export const currentSchema = {
                         "bold": { "type": "boolean" },
                         "italic": { "type": "boolean" },
                         "color": { "$ref": "#/definitions/intermediateColor" },
-                        "font": { "type": "string" }
+                        "font": { "type": "string" },
+                        "underline": { "type": "string" },
+                        "underlineColor": { "$ref": "#/definitions/intermediateColor" },
+                        "strike": { "type": "string", "enum": ["noStrike", "sngStrike", "dblStrike"] },
+                        "baseline": { "type": "number" },
+                        "cap": { "type": "string", "enum": ["none", "small", "all"] },
+                        "spacing": { "type": "number" },
+                        "kern": { "type": "number" },
+                        "highlight": { "$ref": "#/definitions/intermediateColor" },
+                        "lang": { "type": "string" },
+                        "altLang": { "type": "string" },
+                        "eaFont": { "type": "string" },
+                        "csFont": { "type": "string" }
                     }
                 }
             },
@@ -276,7 +466,14 @@ export const currentSchema = {
                 "bIns": { "type": "number" },
                 "anchor": { "type": "string" },
                 "fontScale": { "type": "number" },
-                "lnSpcReduction": { "type": "number" }
+                "lnSpcReduction": { "type": "number" },
+                "vert": { "type": "string", "enum": ["horz", "vert", "vert270", "wordArtVert", "eaVert", "mongolianVert", "wordArtVertRtl"] },
+                "numCol": { "type": "integer" },
+                "spcCol": { "type": "number" },
+                "wrap": { "type": "string", "enum": ["none", "square"] },
+                "anchorCtr": { "type": "boolean" },
+                "rot": { "type": "number" },
+                "upright": { "type": "boolean" }
             }
         },
         "textStyle": {
@@ -293,7 +490,9 @@ export const currentSchema = {
                         "top": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/stroke" }] },
                         "right": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/stroke" }] },
                         "bottom": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/stroke" }] },
-                        "left": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/stroke" }] }
+                        "left": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/stroke" }] },
+                        "tlToBr": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/stroke" }] },
+                        "blToTr": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/stroke" }] }
                     }
                 }
             }
@@ -344,7 +543,13 @@ export const currentSchema = {
                     "type": "object",
                     "properties": {
                         "major": { "type": "string" },
-                        "minor": { "type": "string" }
+                        "minor": { "type": "string" },
+                        "majorEa": { "type": "string" },
+                        "majorCs": { "type": "string" },
+                        "minorEa": { "type": "string" },
+                        "minorCs": { "type": "string" },
+                        "majorScripts": { "type": "object", "additionalProperties": { "type": "string" } },
+                        "minorScripts": { "type": "object", "additionalProperties": { "type": "string" } }
                     },
                     "required": ["major", "minor"]
                 },
@@ -354,6 +559,7 @@ export const currentSchema = {
                         "fills": { "type": "array", "items": { "$ref": "#/definitions/fill" } },
                         "lines": { "type": "array", "items": { "$ref": "#/definitions/themeLine" } },
                         "effects": { "type": "array", "items": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/effect" }] } },
+                        "styleEffects": { "type": "array", "items": { "type": "array", "items": { "$ref": "#/definitions/shapeEffect" } } },
                         "bgFills": { "type": "array", "items": { "$ref": "#/definitions/fill" } }
                     },
                     "required": ["fills", "lines", "effects", "bgFills"]
@@ -366,7 +572,8 @@ export const currentSchema = {
             "properties": {
                 "layout": { "$ref": "#/definitions/textLayout" },
                 "bodyPr": { "$ref": "#/definitions/bodyPr" },
-                "pos": { "$ref": "#/definitions/pos" }
+                "pos": { "$ref": "#/definitions/pos" },
+                "rotation": { "type": "number" }
             },
             "required": ["layout", "bodyPr", "pos"]
         },
@@ -374,6 +581,7 @@ export const currentSchema = {
             "type": "object",
             "properties": {
                 "totalHeight": { "type": "number" },
+                "overflow": { "type": "number" },
                 "lines": {
                     "type": "array",
                     "items": { "$ref": "#/definitions/textLine" }
@@ -390,7 +598,12 @@ export const currentSchema = {
                 },
                 "width": { "type": "number" },
                 "height": { "type": "number" },
+                "fontSize": { "type": "number" },
+                "baseline": { "type": "number" },
+                "column": { "type": "integer" },
+                "rtl": { "type": "boolean" },
                 "paragraphProps": { "$ref": "#/definitions/paragraphProps" },
+                "paragraphIndex": { "type": "integer" },
                 "startY": { "type": "number" },
                 "isFirstLine": { "type": "boolean" },
                 "bulletChar": { "type": "string" },
@@ -403,14 +616,49 @@ export const currentSchema = {
             "properties": {
                 "text": { "type": "string" },
                 "font": { "$ref": "#/definitions/font" },
-                "color": { "type": "string" }
+                "color": { "type": "string" },
+                "width": { "type": "number" },
+                "underline": { "type": "string" },
+                "underlineColor": { "type": "string" },
+                "strike": { "type": "string", "enum": ["sngStrike", "dblStrike"] },
+                "baselineShift": { "type": "number" },
+                "spacing": { "type": "number" },
+                "kerning": { "type": "string", "enum": ["normal", "none"] },
+                "highlight": { "type": "string" },
+                "rtl": { "type": "boolean" },
+                "tab": { "type": "boolean" },
+                "hyperlink": { "$ref": "#/definitions/hyperlink" }
             },
             "required": ["text", "font", "color"]
         },
+        "hyperlink": {
+            "type": "object",
+            "properties": {
+                "action": { "type": "string", "enum": ["url", "email", "slide", "next", "previous", "first", "last"] },
+                "target": { "oneOf": [{ "type": "null" }, { "type": "string" }] },
+                "tooltip": { "oneOf": [{ "type": "null" }, { "type": "string" }] },
+                "useTextColor": { "type": "boolean" }
+            },
+            "required": ["action", "target"]
+        },
+        "shapeHyperlinks": {
+            "oneOf": [
+                { "type": "null" },
+                {
+                    "type": "object",
+                    "properties": {
+                        "click": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/hyperlink" }] },
+                        "hover": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/hyperlink" }] }
+                    },
+                    "required": ["click", "hover"]
+                }
+            ]
+        },
         "font": {
             "type": "object",
             "properties": {
                 "style": { "type": "string" },
+                "variant": { "type": "string", "enum": ["normal", "small-caps"] },
                 "weight": { "type": "string" },
                 "size": { "type": "number" },
                 "family": { "type": "string" }
@@ -443,25 +691,200 @@ export const currentSchema = {
                 "top": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/stroke" }] },
                 "right": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/stroke" }] },
                 "bottom": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/stroke" }] },
-                "left": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/stroke" }] }
+                "left": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/stroke" }] },
+                "tlToBr": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/stroke" }] },
+                "blToTr": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/stroke" }] }
             }
         },
+        "chartText": {
+            "type": "object",
+            "properties": {
+                "fontSize": { "type": "number" },
+                "color": { "type": "string" },
+                "bold": { "type": "boolean" }
+            }
+        },
+        "chartLine": {
+            "oneOf": [
+                { "type": "null" },
+                {
+                    "type": "object",
+                    "properties": {
+                        "width": { "type": "number" },
+                        "color": { "oneOf": [{ "type": "string" }, { "$ref": "#/definitions/gradientFill" }] },
+                        "dash": { "type": "array", "items": { "type": "number" } },
+                        "cap": { "type": "string" },
+                        "join": { "oneOf": [{ "type": "null" }, { "type": "string" }] },
+                        "cmpd": { "oneOf": [{ "type": "null" }, { "type": "string" }] }
+                    },
+                    "required": ["width"]
+                }
+            ]
+        },
+        "chartNumberFormat": {
+            "oneOf": [
+                { "type": "null" },
+                {
+                    "type": "object",
+                    "properties": {
+                        "formatCode": { "type": "string" },
+                        "sourceLinked": { "type": "boolean" }
+                    },
+                    "required": ["formatCode"]
+                }
+            ]
+        },
         "chartData": {
             "type": "object",
             "properties": {
                 "type": { "type": "string" },
                 "title": { "oneOf": [{ "type": "null" }, { "type": "string" }] },
-                "labels": { "type": "array", "items": { "type": "string" } },
+                "titleStyle": { "oneOf": [{ "type": "null" }, { "$ref": "#/definitions/chartText" }] },
+                "labels": {
+                    "type": "array",
+                    "items": { "oneOf": [{ "type": "string" }, { "type": "array", "items": { "type": "string" } }] }
+                },
+                "workbookPath": { "type": "string" },
                 "datasets": {
                     "type": "array",
                     "items": {
                         "type": "object",
                         "properties": {
                             "label": { "type": "string" },
-                            "data": { "type": "array", "items": { "type": "number" } }
+                            "data": {
+                                "type": "array",
+                                "items": {
+                                    "oneOf": [
+                                        { "type": "null" },
+                                        { "type": "number" },
+                                        {
+                                            "type": "object",
+                                            "properties": {
+                                                "x": { "type": "number" },
+                                                "y": { "oneOf": [{ "type": "null" }, { "type": "number" }] },
+                                                "size": { "type": "number" }
+                                            },
+                                            "required": ["x", "y"]
+                                        }
+                                    ]
+                                }
+                            },
+                            "type": { "enum": ["bar", "line", "area", "pie", "doughnut", "scatter", "bubble", "radar", "stock"] },
+                            "group": { "type": "integer" },
+                            "xAxisId": { "oneOf": [{ "type": "null" }, { "type": "string" }] },
+                            "yAxisId": { "oneOf": [{ "type": "null" }, { "type": "string" }] },
+                            "grouping": { "type": "string" },
+                            "barDir": { "enum": ["bar", "col"] },
+                            "scatterStyle": { "type": "string" },
+                            "radarStyle": { "type": "string" },
+                            "bubbleScale": { "type": "number" },
+                            "sizeRepresents": { "enum": ["area", "w"] },
+                            "holeSize": { "type": "number" },
+                            "gapWidth": { "type": "number" },
+                            "overlap": { "type": "number" },
+                            "smooth": { "type": "boolean" },
+                            "color": { "oneOf": [{ "type": "null" }, { "type": "string" }] },
+                            "pointColors": { "type": "array", "items": { "oneOf": [{ "type": "null" }, { "type": "string" }] } },
+                            "fill": { "$ref": "#/definitions/fill" },
+                            "line": { "$ref": "#/definitions/chartLine" },
+                            "points": {
+                                "type": "array",
+                                "items": {
+                                    "type": "object",
+                                    "properties": {
+                                        "idx": { "type": "integer" },
+                                        "fill": { "$ref": "#/definitions/fill" },
+                                        "line": { "$ref": "#/definitions/chartLine" }
+                                    },
+                                    "required": ["idx"]
+                                }
+                            },
+                            "marker": {
+                                "oneOf": [
+                                    { "type": "null" },
+                                    {
+                                        "type": "object",
+                                        "properties": {
+                                            "symbol": { "type": "string" },
+                                            "size": { "type": "number" },
+                                            "fill": { "$ref": "#/definitions/fill" },
+                                            "line": { "$ref": "#/definitions/chartLine" }
+                                        },
+                                        "required": ["symbol", "size"]
+                                    }
+                                ]
+                            },
+                            "dataLabels": {
+                                "oneOf": [
+                                    { "type": "null" },
+                                    {
+                                        "type": "object",
+                                        "properties": {
+                                            "showVal": { "type": "boolean" },
+                                            "showPercent": { "type": "boolean" },
+                                            "showCatName": { "type": "boolean" },
+                                            "showSerName": { "type": "boolean" },
+                                            "position": { "oneOf": [{ "type": "null" }, { "type": "string" }] },
+                                            "separator": { "oneOf": [{ "type": "null" }, { "type": "string" }] },
+                                            "numFmt": { "$ref": "#/definitions/chartNumberFormat" },
+                                            "text": { "$ref": "#/definitions/chartText" },
+                                            "fill": { "$ref": "#/definitions/fill" }
+                                        }
+                                    }
+                                ]
+                            },
+                            "formatCode": { "type": "string" }
                         },
                         "required": ["label", "data"]
                     }
+                },
+                "axes": {
+                    "type": "array",
+                    "items": {
+                        "type": "object",
+                        "properties": {
+                            "id": { "type": "string" },
+                            "type": { "enum": ["category", "value", "date", "series"] },
+                            "position": { "enum": ["b", "t", "l", "r"] },
+                            "deleted": { "type": "boolean" },
+                            "crossAxisId": { "oneOf": [{ "type": "null" }, { "type": "string" }] },
+                            "orientation": { "enum": ["minMax", "maxMin"] },
+                            "title": {
+                                "oneOf": [
+                                    { "type": "null" },
+                                    {
+                                        "allOf": [{ "$ref": "#/definitions/chartText" }],
+                                        "properties": { "text": { "type": "string" } },
+                                        "required": ["text"]
+                                    }
+                                ]
+                            },
+                            "numFmt": { "$ref": "#/definitions/chartNumberFormat" },
+                            "tickLabelPosition": { "type": "string" },
+                            "majorGridlines": { "oneOf": [{ "type": "null" }, { "type": "object", "properties": { "line": { "$ref": "#/definitions/chartLine" } } }] },
+                            "minorGridlines": { "oneOf": [{ "type": "null" }, { "type": "object", "properties": { "line": { "$ref": "#/definitions/chartLine" } } }] },
+                            "min": { "type": "number" },
+                            "max": { "type": "number" },
+                            "majorUnit": { "type": "number" },
+                            "line": { "$ref": "#/definitions/chartLine" },
+                            "text": { "$ref": "#/definitions/chartText" }
+                        },
+                        "required": ["id", "type", "position"]
+                    }
+                },
+                "legend": {
+                    "oneOf": [
+                        { "type": "null" },
+                        {
+                            "type": "object",
+                            "properties": {
+                                "position": { "enum": ["b", "t", "l", "r", "tr"] },
+                                "overlay": { "type": "boolean" },
+                                "text": { "$ref": "#/definitions/chartText" }
+                            },
+                            "required": ["position"]
+                        }
+                    ]
                 }
             },
             "required": ["type", "labels", "datasets"]
@@ -480,10 +903,45 @@ export const currentSchema = {
                 "duotone": {
                     "type": "array",
                     "items": { "$ref": "#/definitions/intermediateColor" }
+                },
+                "adjustments": {
+                    "type": "array",
+                    "items": { "$ref": "#/definitions/imageAdjustment" }
+                },
+                "artisticEffects": {
+                    "type": "array",
+                    "items": {
+                        "type": "object",
+                        "properties": {
+                            "type": { "type": "string" },
+                            "transparency": { "type": "number" }
+                        },
+                        "required": ["type"],
+                        "additionalProperties": { "type": "number" }
+                    }
                 }
             },
             "required": ["href"]
         },
+        "imageAdjustment": {
+            "type": "object",
+            "properties": {
+                "type": { "enum": ["grayscale", "biLevel", "alphaBiLevel", "luminance", "luminanceModulation", "hsl", "tint", "colorChange", "colorReplace", "alphaMod"] },
+                "threshold": { "type": "number" },
+                "brightness": { "type": "number" },
+                "contrast": { "type": "number" },
+                "value": { "type": "number" },
+                "hue": { "type": "number" },
+                "saturation": { "type": "number" },
+                "luminance": { "type": "number" },
+                "amount": { "type": "number" },
+                "from": { "$ref": "#/definitions/intermediateColor" },
+                "to": { "$ref": "#/definitions/intermediateColor" },
+                "useAlpha": { "type": "boolean" },
+                "color": { "$ref": "#/definitions/intermediateColor" }
+            },
+            "required": ["type"]
+        },
         "srcRect": {
             "type": "object",
             "properties": {
@@ -537,6 +995,8 @@ export const currentSchema = {
             "type": "object",
             "properties": {
                 "type": { "enum": ["diagram"] },
+                "spid": { "oneOf": [{ "type": "null" }, { "type": "string" }] },
+                "groupSpids": { "type": "array", "items": { "type": "string" } },
                 "shapes": {
                     "type": "array",
                     "items": { "$ref": "#/definitions/shape" }
@@ -548,6 +1008,8 @@ export const currentSchema = {
             "type": "object",
             "properties": {
                 "type": { "enum": ["shape"] },
+                "spid": { "oneOf": [{ "type": "null" }, { "type": "string" }] },
+                "groupSpids": { "type": "array", "items": { "type": "string" } },
                 "transform": { "oneOf": [{ "type": "string" }, { "type": "null" }] },
                 "pos": {
                     "oneOf": [
@@ -570,7 +1032,8 @@ export const currentSchema = {
                         { "type": "null" },
                         { "$ref": "#/definitions/extensions" }
                     ]
-                }
+                },
+                "hyperlinks": { "$ref": "#/definitions/shapeHyperlinks" }
             },
             "required": ["type", "shapeProps", "flipH", "flipV", "rot"]
         },
@@ -578,6 +1041,8 @@ export const currentSchema = {
             "type": "object",
             "properties": {
                 "type": { "enum": ["table"] },
+                "spid": { "oneOf": [{ "type": "null" }, { "type": "string" }] },
+                "groupSpids": { "type": "array", "items": { "type": "string" } },
                 "transform": { "type": "string" },
                 "pos": { "$ref": "#/definitions/pos" },
                 "cells": {
@@ -591,6 +1056,8 @@ export const currentSchema = {
             "type": "object",
             "properties": {
                 "type": { "enum": ["chart"] },
+                "spid": { "oneOf": [{ "type": "null" }, { "type": "string" }] },
+                "groupSpids": { "type": "array", "items": { "type": "string" } },
                 "transform": { "type": "string" },
                 "pos": { "$ref": "#/definitions/pos" },
                 "chartData": { "$ref": "#/definitions/chartData" }
@@ -601,6 +1068,8 @@ export const currentSchema = {
             "type": "object",
             "properties": {
                 "type": { "enum": ["picture"] },
+                "spid": { "oneOf": [{ "type": "null" }, { "type": "string" }] },
+                "groupSpids": { "type": "array", "items": { "type": "string" } },
                 "transform": { "type": "string" },
                 "pos": { "$ref": "#/definitions/pos" },
                 "placeholderProps": {
@@ -621,15 +1090,177 @@ export const currentSchema = {
                         { "$ref": "#/definitions/image" }
                     ]
                 },
+                "media": {
+                    "oneOf": [
+                        { "type": "null" },
+                        { "$ref": "#/definitions/media" }
+                    ]
+                },
                 "rot": { "type": "number" },
                 "extensions": {
                     "oneOf": [
                         { "type": "null" },
                         { "$ref": "#/definitions/extensions" }
                     ]
-                }
+                },
+                "hyperlinks": { "$ref": "#/definitions/shapeHyperlinks" },
+                "effect": { "$ref": "#/definitions/effect" },
+                "effects": { "type": "array", "items": { "$ref": "#/definitions/shapeEffect" } },
+                "scene3d": { "$ref": "#/definitions/scene3d" },
+                "shape3d": { "$ref": "#/definitions/shape3d" }
             },
             "required": ["type", "transform", "pos", "rot"]
+        },
+        "media": {
+            "type": "object",
+            "properties": {
+                "type": { "type": "string", "enum": ["video", "audio"] },
+                "src": { "type": "string" },
+                "mimeType": { "oneOf": [{ "type": "null" }, { "type": "string" }] },
+                "external": { "type": "boolean" },
+                "trim": {
+                    "oneOf": [
+                        { "type": "null" },
+                        {
+                            "type": "object",
+                            "properties": {
+                                "start": { "type": "number" },
+                                "end": { "type": "number" }
+                            },
+                            "required": ["start", "end"]
+                        }
+                    ]
+                },
+                "volume": { "type": "number" },
+                "mute": { "type": "boolean" },
+                "loop": { "type": "boolean" }
+            },
+            "required": ["type", "src"]
+        },
+        "notes": {
+            "oneOf": [
+                { "type": "null" },
+                {
+                    "type": "object",
+                    "properties": {
+                        "text": { "type": "string" },
+                        "richText": {
+                            "oneOf": [
+                                { "type": "null" },
+                                { "$ref": "#/definitions/text" }
+                            ]
+                        }
+                    },
+                    "required": ["text", "richText"]
+                }
+            ]
+        },
+        "transition": {
+            "oneOf": [
+                { "type": "null" },
+                {
+                    "type": "object",
+                    "properties": {
+                        "type": { "type": "string" },
+                        "namespace": { "oneOf": [{ "type": "null" }, { "type": "string", "enum": ["p", "p14", "p15"] }] },
+                        "direction": { "oneOf": [{ "type": "null" }, { "type": "string" }] },
+                        "orient": { "oneOf": [{ "type": "null" }, { "type": "string", "enum": ["horz", "vert"] }] },
+                        "thruBlack": { "type": "boolean" },
+                        "speed": { "type": "string", "enum": ["slow", "med", "fast"] },
+                        "duration": { "type": "number" },
+                        "advanceOnClick": { "type": "boolean" },
+                        "advanceAfterTime": { "oneOf": [{ "type": "null" }, { "type": "number" }] }
+                    },
+                    "required": ["type", "speed", "duration", "advanceOnClick"]
+                }
+            ]
+        },
+        "animationEffect": {
+            "type": "object",
+            "properties": {
+                "spid": { "type": "string" },
+                "nodeType": { "oneOf": [{ "type": "null" }, { "type": "string" }] },
+                "grpId": { "oneOf": [{ "type": "null" }, { "type": "string" }] },
+                "presetClass": { "type": "string", "enum": ["entr", "exit", "emph", "path", "verb", "mediacall"] },
+                "presetId": { "type": "integer" },
+                "presetSubtype": { "type": "integer" },
+                "type": { "type": "string", "enum": ["appear", "fade", "fly", "wipe", "zoom", "spin", "play", "togglePause", "stop"] },
+                "seek": { "type": "number" },
+                "direction": { "oneOf": [{ "type": "null" }, { "type": "string", "enum": ["t", "r", "b", "l", "tr", "br", "tl", "bl"] }] },
+                "rotation": { "type": "number" },
+                "duration": { "type": "number" },
+                "delay": { "type": "number" },
+                "paragraphRange": {
+                    "oneOf": [
+                        { "type": "null" },
+                        {
+                            "type": "object",
+                            "properties": {
+                                "start": { "type": "integer" },
+                                "end": { "type": "integer" }
+                            },
+                            "required": ["start", "end"]
+                        }
+                    ]
+                },
+                "targets": { "type": "array", "items": { "type": "string" } }
+            },
+            "required": ["spid", "presetClass", "type", "duration", "delay"]
+        },
+        "timeline": {
+            "oneOf": [
+                { "type": "null" },
+                {
+                    "type": "object",
+                    "properties": {
+                        "steps": {
+                            "type": "array",
+                            "items": {
+                                "type": "object",
+                                "properties": {
+                                    "trigger": { "type": "string", "enum": ["click", "auto"] },
+                                    "effects": {
+                                        "type": "array",
+                                        "items": { "$ref": "#/definitions/animationEffect" }
+                                    }
+                                },
+                                "required": ["trigger", "effects"]
+                            }
+                        },
+                        "builds": {
+                            "type": "array",
+                            "items": {
+                                "type": "object",
+                                "properties": {
+                                    "type": { "type": "string" },
+                                    "spid": { "type": "string" },
+                                    "grpId": { "oneOf": [{ "type": "null" }, { "type": "string" }] },
+                                    "build": { "type": "string" },
+                                    "animBg": { "type": "boolean" }
+                                },
+                                "required": ["type", "spid"]
+                            }
+                        },
+                        "media": {
+                            "type": "array",
+                            "items": {
+                                "type": "object",
+                                "properties": {
+                                    "spid": { "type": "string" },
+                                    "type": { "type": "string", "enum": ["video", "audio"] },
+                                    "volume": { "type": "number" },
+                                    "mute": { "type": "boolean" },
+                                    "loop": { "type": "boolean" },
+                                    "showWhenStopped": { "type": "boolean" },
+                                    "fullScreen": { "type": "boolean" }
+                                },
+                                "required": ["spid", "type"]
+                            }
+                        }
+                    },
+                    "required": ["steps", "builds"]
+                }
+            ]
         }
     },
     "properties": {
@@ -646,7 +1277,10 @@ export const currentSchema = {
             "type": "object",
             "additionalProperties": { "$ref": "#/definitions/placeholder" }
         },
-        "theme": { "$ref": "#/definitions/theme" }
+        "theme": { "$ref": "#/definitions/theme" },
+        "notes": { "$ref": "#/definitions/notes" },
+        "transition": { "$ref": "#/definitions/transition" },
+        "timeline": { "$ref": "#/definitions/timeline" }
     },
     "required": ["background", "shapes"]
 };
\ No newline at end of file
@@ -7,17 +7,40 @@ import {
     getAutoNumberingChar,
     resolveFontFamily,
     parseChart,
+    parseTiming,
+    parseMediaReference,
+    parseHyperlink,
+    getExternalLinkAction,
+    loadMediaSource,
     parseShapeProperties,
+    parseShape3d,
+    parseShapeEffects,
     parseBodyProperties,
     parseParagraphProperties,
+    parseRunFormatting,
+    parseHeaderFooter,
+    getHeaderFooterVisibility,
+    resolveFieldText,
+    splitByScript,
+    splitLineBreakSegments,
+    getBidiType,
+    resolveBidiLevels,
+    reorderByLevels,
     getCellFillColor,
     getCellTextStyle,
     getCellBorders,
     buildPathStringFromGeom,
+    getGeometryTextRect,
+    buildChartConfig,
     parseSourceRectangle,
+    parseBlipAdjustments,
+    parseImageEffects,
+    parseSvgBlip,
     createImage,
     resolvePath,
     getNormalizedXmlString,
+    getRelationships,
+    parseWorkbook,
     parseExtensions,
     DiagramBuilder,
 } from 'utils';
@@ -25,9 +48,19 @@ import {
     EMU_PER_PIXEL,
     PT_TO_PX,
     LINE_HEIGHT,
+    SINGLE_LINE_SPACING,
+    MIN_AUTOFIT_FONT_SCALE,
+    MAX_AUTOFIT_LINE_SPACING_REDUCTION,
+    FONT_DESCENT,
     INDENTATION_AMOUNT,
     BULLET_OFFSET,
-    PML_NS, DML_NS, CHART_NS, TABLE_NS, DIAGRAM_NS,
+    DEFAULT_TAB_SIZE,
+    SCRIPT_FONT_SCALE,
+    UNDERLINE_STYLES,
+    VERTICAL_TEXT_ROTATIONS,
+    AUDIO_CONTROLS_WIDTH,
+    AUDIO_CONTROLS_HEIGHT,
+    PML_NS, DML_NS, CHART_NS, TABLE_NS, DIAGRAM_NS, SVG_NS,
 } from 'constants';
 
 export class SlideHandler {
@@ -38,6 +71,7 @@ export class SlideHandler {
         layoutPlaceholders,
         slideId,
         slideNum,
+        firstSlideNum = 1,
         slideSize,
         defaultTextStyles,
         tableStyles,
@@ -48,10 +82,14 @@ export class SlideHandler {
         slideContext,
         finalBg,
         showMasterShapes,
+        headerFooter = null,
         masterStaticShapes,
         layoutStaticShapes,
         slideRels,
-        entriesMap
+        entriesMap,
+        notesXml,
+        notesMaster = null,
+        fieldResolvers = {}
     } ) {
         this.slideXml = slideXml;
         this.slideContainer = slideContainer;
@@ -59,6 +97,7 @@ export class SlideHandler {
         this.layoutPlaceholders = layoutPlaceholders;
         this.slideId = slideId;
         this.slideNum = slideNum;
+        this.firstSlideNum = firstSlideNum;
         this.slideSize = slideSize;
         this.defaultTextStyles = defaultTextStyles;
         this.tableStyles = tableStyles;
@@ -69,10 +108,14 @@ export class SlideHandler {
         this.slideContext = slideContext;
         this.finalBg = finalBg;
         this.showMasterShapes = showMasterShapes;
+        this.headerFooter = headerFooter;
         this.masterStaticShapes = masterStaticShapes;
         this.layoutStaticShapes = layoutStaticShapes;
         this.slideRels = slideRels;
         this.entriesMap = entriesMap;
+        this.notesXml = notesXml;
+        this.notesMaster = notesMaster;
+        this.fieldResolvers = fieldResolvers;
 
         this.svg = this.createSvg();
         this.renderer = new SvgRenderer( this.svg, this.slideContext );
@@ -151,13 +194,11 @@ export class SlideHandler {
             return !key || !picFilledPlaceholders.has( key );
         } );
 
+        // The header and footer settings of the master and layout, overridden by the slide's own, switch off the
+        // date, footer and slide number placeholders of the slide. Master and layout placeholders are never drawn
+        // themselves, as a slide only shows the ones of its own shape tree.
         const hfNode = xmlDoc.getElementsByTagNameNS( PML_NS, 'hf' )[ 0 ];
-        const slideLevelVisibility = {
-            ftr: !hfNode || hfNode.getAttribute( 'ftr' ) !== '0',
-            dt: !hfNode || hfNode.getAttribute( 'dt' ) !== '0',
-            sldNum: !hfNode || hfNode.getAttribute( 'sldNum' ) !== '0',
-        };
-
+        const slideLevelVisibility = getHeaderFooterVisibility( [ this.headerFooter, parseHeaderFooter( hfNode ) ] );
 
         const initialMatrix = new Matrix();
         const masterShapes = this.showMasterShapes && this.masterStaticShapes ?
@@ -182,12 +223,110 @@ export class SlideHandler {
             finalShapes = [...masterShapes, ...layoutShapes, ...slideShapes];
         }
 
+        const timeline = parseTiming( xmlDoc );
+        if ( timeline ) {
+            this.resolveAnimationTargets( timeline, slideShapes, finalShapes );
+            this.applyMediaSettings( timeline.media, slideShapes );
+        }
+
         return {
             background: this.finalBg,
             shapes: finalShapes,
+            timeline,
         };
     }
 
+    /**
+     * Resolves the shape ids targeted by the effects of a timeline into the element ids
+     * emitted by `renderShapeTree`. Effects on a group target all of its flattened children,
+     * and paragraph builds target the text lines of the paragraphs in range.
+     * @param {Object} timeline - The timeline parsed from the slide's `p:timing`.
+     * @param {Object[]} slideShapes - The shapes parsed from the slide's own shape tree.
+     * @param {Object[]} finalShapes - All shapes of the slide in render order.
+     */
+    resolveAnimationTargets( timeline, slideShapes, finalShapes ) {
+        for ( const step of timeline.steps ) {
+            for ( const effect of step.effects ) {
+                effect.targets = [];
+                const targetShapes = slideShapes.filter( shape => shape.spid === effect.spid || shape.groupSpids?.includes( effect.spid ) );
+                for ( const shape of targetShapes ) {
+                    const id = `${ this.slideId }.shapes.${ finalShapes.indexOf( shape ) }`;
+                    const range = effect.paragraphRange;
+                    if ( range && shape.text?.layout ) {
+                        shape.text.layout.lines.forEach( ( line, lineIndex ) => {
+                            if ( line.paragraphIndex >= range.start && line.paragraphIndex <= range.end ) {
+                                effect.targets.push( `${ id }.text.line.${ lineIndex }` );
+                            }
+                        } );
+                    } else {
+                        effect.targets.push( id );
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Applies the volume, mute and loop settings of the slide timing to the media of the slide's pictures.
+     * @param {Object[]} mediaSettings - The media settings parsed from the slide's `p:timing`.
+     * @param {Object[]} slideShapes - The shapes parsed from the slide's own shape tree.
+     */
+    applyMediaSettings( mediaSettings = [], slideShapes ) {
+        for ( const settings of mediaSettings ) {
+            const shape = slideShapes.find( shape => shape.spid === settings.spid && shape.media );
+            if ( shape ) {
+                shape.media.volume = settings.volume;
+                shape.media.mute = settings.mute;
+                shape.media.loop = settings.loop;
+            }
+        }
+    }
+
+    /**
+     * Parses the speaker notes of the slide from its notes slide part.
+     * The body placeholder is laid out with the same paragraph pipeline as slide text, styled by the notes master.
+     * @param {string} [notesXml] - The notes slide XML. Defaults to the notes slide passed to the constructor.
+     * @returns {{text: string, richText: Object}|null} The plain text and the laid out rich text of the notes, or null if the slide has none.
+     */
+    parseNotes( notesXml ) {
+        const xml = notesXml || this.notesXml;
+        if ( !xml ) return null;
+
+        const xmlDoc = parseXmlString( xml, `notes for slide number ${ this.slideNum }` );
+        const bodyShape = Array.from( xmlDoc.getElementsByTagNameNS( PML_NS, 'sp' ) ).find( shapeNode => {
+            const phNode = shapeNode.getElementsByTagNameNS( PML_NS, 'nvPr' )[ 0 ]?.getElementsByTagNameNS( PML_NS, 'ph' )[ 0 ];
+            return phNode?.getAttribute( 'type' ) === 'body';
+        } );
+        const txBodyNode = bodyShape?.getElementsByTagNameNS( PML_NS, 'txBody' )[ 0 ];
+        if ( !txBodyNode ) return null;
+
+        const text = Array.from( txBodyNode.getElementsByTagNameNS( DML_NS, 'p' ) ).map( pNode => {
+            return Array.from( pNode.childNodes )
+                .filter( n => [ 'r', 'fld', 'br' ].includes( n.localName ) )
+                .map( n => {
+                    if ( n.localName === 'br' ) return '\n';
+                    return n.localName === 'fld' ? this.getFieldText( n ) : n.textContent;
+                } )
+                .join( '' );
+        } ).join( '\n' );
+
+        // The body placeholder of the notes master sizes and styles the notes unless the notes slide overrides it
+        const masterPlaceholders = this.notesMaster?.placeholders || {};
+        const masterPh = Object.values( masterPlaceholders ).find( ph => ph.type === 'body' );
+        const pos = { x: 0, y: 0, width: masterPh?.pos?.width ?? this.slideSize.width, height: masterPh?.pos?.height ?? this.slideSize.height };
+        const extNode = bodyShape.getElementsByTagNameNS( DML_NS, 'xfrm' )[ 0 ]?.getElementsByTagNameNS( DML_NS, 'ext' )[ 0 ];
+        if ( extNode ) {
+            pos.width = parseInt( extNode.getAttribute( 'cx' ) ) / EMU_PER_PIXEL;
+            pos.height = parseInt( extNode.getAttribute( 'cy' ) ) / EMU_PER_PIXEL;
+        }
+
+        const bodyPr = { ...masterPh?.bodyPr, ...parseBodyProperties( txBodyNode ) };
+        const defaultTextStyles = { title: {}, body: this.notesMaster?.defaultTextStyles?.notes || {}, other: {} };
+        const richText = this.parseParagraphs( txBodyNode, pos, 'body', 'body', {}, bodyPr, null, defaultTextStyles, masterPlaceholders, {} );
+
+        return { text, richText };
+    }
+
     async render( slideData, activeElementId ) {
         while ( this.svg.firstChild ) {
             this.svg.removeChild( this.svg.firstChild );
@@ -241,31 +380,38 @@ export class SlideHandler {
     async parseShapeTree( elements, parentMatrix, slideLevelVisibility, imageMap ) {
         const shapes = [];
         const listCounters = {}; // Reset for each shape tree (master, layout, slide)
+        // Hyperlinks are resolved through the slide's relationships, so only the slide's own shapes can have them
+        const rels = imageMap === this.slideImageMap ? this.slideRels : null;
 
         for ( const element of elements ) {
             const tagName = element.localName;
+            const spid = element.getElementsByTagNameNS( PML_NS, 'cNvPr' )[ 0 ]?.getAttribute( 'id' ) || null;
             let shapeData;
 
             if ( tagName === 'sp' || tagName === 'cxnSp' ) {
-                shapeData = await this.parseShape( element, listCounters, parentMatrix, slideLevelVisibility );
+                shapeData = await this.parseShape( element, listCounters, parentMatrix, slideLevelVisibility, rels );
             } else if ( tagName === 'grpSp' ) {
                 shapeData = await this.parseGroupShape( element, listCounters, parentMatrix, slideLevelVisibility, imageMap );
                 // For groups, we get an array of shapes, so we need to flatten it
                 if ( shapeData ) {
+                    // Keep track of the group ids so group animations can target the flattened children
+                    for ( const childShape of shapeData.shapes ) {
+                        childShape.groupSpids = [ spid, ...( childShape.groupSpids || [] ) ];
+                    }
                     shapes.push( ...shapeData.shapes );
                     shapeData = null; // Prevent pushing the group container itself
                 }
             } else if ( tagName === 'graphicFrame' ) {
                 const graphicData = element.getElementsByTagNameNS( DML_NS, 'graphicData' )[ 0 ];
                 if ( graphicData?.getAttribute( 'uri' ) === TABLE_NS ) {
-                    shapeData = await this.parseTable( element, parentMatrix.clone() );
+                    shapeData = await this.parseTable( element, parentMatrix.clone(), rels );
                 } else if ( graphicData?.getAttribute( 'uri' ) === CHART_NS ) {
                     const chartRelId = graphicData.getElementsByTagNameNS( CHART_NS, "chart" )[ 0 ].getAttribute( "r:id" );
                     if ( chartRelId && this.slideRels?.[ chartRelId ] ) {
                         const chartPath = resolvePath( 'ppt/slides', this.slideRels[ chartRelId ].target );
                         const chartXml = await getNormalizedXmlString( this.entriesMap, chartPath );
                         if ( chartXml ) {
-                            shapeData = await this.parseChart( element, chartXml, parentMatrix.clone() );
+                            shapeData = await this.parseChart( element, chartXml, chartPath, parentMatrix.clone() );
                         }
                     }
                 } else if ( graphicData?.getAttribute( 'uri' ) === DIAGRAM_NS ) {
@@ -276,6 +422,7 @@ export class SlideHandler {
             }
 
             if ( shapeData ) {
+                shapeData.spid = spid;
                 shapes.push( shapeData );
             }
         }
@@ -310,10 +457,11 @@ export class SlideHandler {
         };
     }
 
-    async parseShape( shapeNode, listCounters, parentMatrix, slideLevelVisibility ) {
+    async parseShape( shapeNode, listCounters, parentMatrix, slideLevelVisibility, rels ) {
         const nvSpPrNode = shapeNode.getElementsByTagNameNS( PML_NS, 'nvSpPr' )[ 0 ];
         const cNvPrNode = nvSpPrNode?.getElementsByTagNameNS( PML_NS, 'cNvPr' )[ 0 ];
         const extensions = cNvPrNode ? parseExtensions( cNvPrNode ) : null;
+        const hyperlinks = this.parseShapeHyperlinks( cNvPrNode, rels );
 
         const nvPr = shapeNode.getElementsByTagNameNS( PML_NS, 'nvPr' )[ 0 ];
         let phKey = null, phType = null, phIdx = null;
@@ -369,6 +517,9 @@ export class SlideHandler {
 
         const finalStroke = slideShapeProps.stroke ?? layoutShapeProps.stroke ?? masterShapeProps.stroke;
         const finalEffect = slideShapeProps.effect ?? layoutShapeProps.effect ?? masterShapeProps.effect;
+        const finalEffects = slideShapeProps.effects ?? layoutShapeProps.effects ?? masterShapeProps.effects;
+        const finalScene3d = slideShapeProps.scene3d ?? layoutShapeProps.scene3d ?? masterShapeProps.scene3d;
+        const finalShape3d = slideShapeProps.shape3d ?? layoutShapeProps.shape3d ?? masterShapeProps.shape3d;
 
         if ( shapeNode.getAttribute( 'useBgFill' ) === '1' ) {
             if ( this.finalBg?.type === 'color' ) {
@@ -394,6 +545,9 @@ export class SlideHandler {
             fill: finalFill,
             stroke: finalStroke,
             effect: finalEffect,
+            effects: finalEffects,
+            scene3d: finalScene3d,
+            shape3d: finalShape3d,
         };
 
         const shapeBuilder = new ShapeBuilder( null, this.slideContext, this.slideImageMap, this.masterPlaceholders, this.layoutPlaceholders, EMU_PER_PIXEL, this.slideSize );
@@ -418,19 +572,26 @@ export class SlideHandler {
                 const finalBodyPr = { ...masterBodyPr, ...layoutBodyPr, ...slideBodyPr };
                 finalBodyPr.anchor = slideBodyPr.anchor ?? layoutBodyPr.anchor ?? masterBodyPr.anchor ?? 't';
 
-                textData = this.parseParagraphs( txBodyToParse, pos, phKey, phType, listCounters, finalBodyPr, {} );
-
-                // Resize container to fit text.
-                // if (
-                //     ( finalBodyPr.anchor !== 'b' && textData?.bodyPr?.tIns === 0 && textData?.bodyPr?.bIns === 0 && textData?.layout?.totalHeight && textData?.layout?.lines?.length > 1 ) ||
-                //     // This textData pos height implies that the element is the approximate full height of the slide, meaning it is not a child of another shape
-                //     ( finalBodyPr.anchor === 'ctr' && finalBodyPr.autofitType === 'norm' && textData?.layout?.lines?.length > 1 && ( textData?.pos.height / this.slideSize.height ) < 0.83 )
-                // ) {
-                //     const textHeight = textData.layout.totalHeight;
-                //     const topMargin = finalBodyPr.tIns || 0;
-                //     const bottomMargin = finalBodyPr.bIns || 0;
-                //     pos.height = textHeight + topMargin + bottomMargin;
-                // }
+                textData = this.parseParagraphs( txBodyToParse, getGeometryTextRect( shapeProps.geometry, pos ), phKey, phType, listCounters, finalBodyPr, {}, undefined, undefined, undefined, rels );
+                // Upright text stays level when the shape is rotated
+                if ( textData && finalBodyPr.upright && rot ) {
+                    textData.rotation = ( textData.rotation || 0 ) - rot;
+                }
+
+                // Shapes that resize to fit their text grow or shrink downward until the text just fits. The transform
+                // of a rotated shape turns it around its stored center, so those keep the size saved with the slide.
+                if ( textData && finalBodyPr.autofitType === 'sp' && !rot && !textData.rotation ) {
+                    const textHeight = textData.pos.height - ( textData.bodyPr.tIns || 0 ) - ( textData.bodyPr.bIns || 0 );
+                    const excess = textData.layout.totalHeight - textHeight;
+                    if ( Math.abs( excess ) >= 0.5 ) {
+                        const textRect = getGeometryTextRect( shapeProps.geometry, pos );
+                        const ratio = textRect.height > 0 && pos.height > 0 ? textRect.height / pos.height : 1;
+                        pos.height = Math.max( 0, pos.height + excess / ratio );
+                        // The width of the text is unchanged, so the laid out lines only move with the anchor
+                        textData.pos = getGeometryTextRect( shapeProps.geometry, pos );
+                        textData.layout.overflow = this.getTextOverflow( textData.layout, textData.pos, textData.bodyPr );
+                    }
+                }
             }
         }
 
@@ -444,9 +605,76 @@ export class SlideHandler {
             flipV,
             rot,
             extensions,
+            hyperlinks,
         };
     }
 
+    /**
+     * Parses the click and hover hyperlinks of a shape from its `p:cNvPr`.
+     * @param {Element} cNvPrNode - The non-visual properties of the shape.
+     * @param {Object} rels - The relationships to resolve the links with.
+     * @returns {{click: Object|null, hover: Object|null}|null} The hyperlinks, or null if the shape has none.
+     */
+    parseShapeHyperlinks( cNvPrNode, rels ) {
+        if ( !cNvPrNode || !rels ) return null;
+        const click = parseHyperlink( cNvPrNode.getElementsByTagNameNS( DML_NS, 'hlinkClick' )[ 0 ], rels );
+        const hover = parseHyperlink( cNvPrNode.getElementsByTagNameNS( DML_NS, 'hlinkHover' )[ 0 ], rels );
+        return click || hover ? { click, hover } : null;
+    }
+
+    /**
+     * Wraps a rendered element in the hyperlinks of its shape.
+     * @param {Element} element - The rendered element.
+     * @param {{click: Object|null, hover: Object|null}|null} hyperlinks - The hyperlinks of the shape.
+     */
+    applyShapeHyperlinks( element, hyperlinks ) {
+        let target = element;
+        if ( hyperlinks?.click ) target = this.renderHyperlink( target, hyperlinks.click );
+        if ( hyperlinks?.hover ) this.renderHyperlink( target, hyperlinks.hover, 'hover' );
+    }
+
+    /**
+     * Wraps a rendered element in an element that follows a hyperlink.
+     * Clicked links become SVG anchors; web and email links get a real `href`, while slide jumps
+     * carry their action and target slide for the slide viewer to follow.
+     * Hover links become groups with the same data, followed when the pointer enters them.
+     * Hovering cannot open windows, so hover links to web and email targets only show their target as a tooltip.
+     * @param {Element} element - The rendered element, already attached to its parent.
+     * @param {Object} link - The hyperlink parsed by `parseHyperlink`.
+     * @param {string} [trigger='click'] - Whether the link is followed on click or on hover.
+     * @returns {Element} The element wrapping the rendered element.
+     */
+    renderHyperlink( element, link, trigger = 'click' ) {
+        const isExternal = link.action === 'url' || link.action === 'email';
+        // Checked again here, as the link data may not come from `parseHyperlink`
+        if ( isExternal && getExternalLinkAction( link.target ) !== link.action ) return element;
+
+        const wrapper = document.createElementNS( SVG_NS, trigger === 'hover' ? 'g' : 'a' );
+        // Opening windows without a click is blocked by browsers, and a nuisance when it is not
+        if ( trigger === 'click' || !isExternal ) {
+            wrapper.dataset.action = link.action;
+            wrapper.dataset.trigger = trigger;
+            if ( link.target ) wrapper.dataset.target = link.target;
+            wrapper.style.cursor = 'pointer';
+        }
+        if ( trigger === 'click' && isExternal ) {
+            wrapper.setAttribute( 'href', link.target );
+            if ( link.action === 'url' ) {
+                wrapper.setAttribute( 'target', '_blank' );
+                wrapper.setAttribute( 'rel', 'noopener noreferrer' );
+            }
+        }
+        const tooltip = link.tooltip || ( trigger === 'hover' && isExternal ? link.target : null );
+        if ( tooltip ) {
+            const title = document.createElementNS( SVG_NS, 'title' );
+            title.textContent = tooltip;
+            wrapper.appendChild( title );
+        }
+        element.parentNode.insertBefore( wrapper, element );
+        wrapper.appendChild( element );
+        return wrapper;
+    }
+
     async renderShape( shapeData, options, activeElementId ) {
         const matrix = new Matrix();
         if ( shapeData.transform ) {
@@ -455,6 +683,7 @@ export class SlideHandler {
             matrix.m = transformValues;
         }
         this.renderer.setTransform( matrix, options );
+        const group = this.renderer.currentGroup;
 
         if ( shapeData.shapeProps.path ) {
             this.renderer.drawPath( shapeData.shapeProps.path, {
@@ -470,6 +699,8 @@ export class SlideHandler {
         if ( shapeData.text ) {
             await this.renderParagraphs( shapeData.text, `${ options.id }.text`, activeElementId );
         }
+
+        this.applyShapeHyperlinks( group, shapeData.hyperlinks );
     }
 
     async parseGroupShape( groupNode, listCounters, parentMatrix, slideLevelVisibility, imageMap ) {
@@ -551,6 +782,8 @@ export class SlideHandler {
 
         const spPrNode = picNode.getElementsByTagNameNS( PML_NS, 'spPr' )[ 0 ];
         const xfrmNode = spPrNode?.getElementsByTagNameNS( DML_NS, 'xfrm' )[ 0 ];
+        const { scene3d, shape3d } = spPrNode ? parseShape3d( spPrNode, this.slideContext ) : {};
+        const { effect, effects } = spPrNode ? parseShapeEffects( spPrNode, picNode.getElementsByTagNameNS( PML_NS, 'style' )[ 0 ], this.slideContext ) : {};
 
         let rot = 0;
         let flipH = false, flipV = false;
@@ -601,7 +834,9 @@ export class SlideHandler {
                 extensions = ( extensions || [] ).concat( blipExtensions );
             }
 
-            const relId = blipNode?.getAttribute( 'r:embed' );
+            // SVG pictures are drawn from their SVG, which stays sharp when zoomed, rather than the PNG fallback
+            const svgRelId = parseSvgBlip( blipExtensions );
+            const relId = svgRelId && imageMap[ svgRelId ] ? svgRelId : blipNode?.getAttribute( 'r:embed' );
             if ( relId && imageMap[ relId ] ) {
                 imageInfo = {
                     href: imageMap[ relId ],
@@ -620,9 +855,26 @@ export class SlideHandler {
                         imageInfo.duotone = colors;
                     }
                 }
+
+                const adjustments = parseBlipAdjustments( blipNode );
+                if ( adjustments.length > 0 ) {
+                    imageInfo.adjustments = adjustments;
+                }
+
+                const artisticEffects = parseImageEffects( blipExtensions );
+                if ( artisticEffects.length > 0 ) {
+                    imageInfo.artisticEffects = artisticEffects;
+                }
             }
         }
 
+        // Media and hyperlink relationships are resolved against the slide, so only the slide's own pictures have them
+        const isSlidePicture = imageMap === this.slideImageMap;
+        const media = isSlidePicture
+            ? await this.parseMedia( nvPicPrNode?.getElementsByTagNameNS( PML_NS, 'nvPr' )[ 0 ] )
+            : null;
+        const hyperlinks = this.parseShapeHyperlinks( cNvPrNode, isSlidePicture ? this.slideRels : null );
+
         return {
             type: 'picture',
             transform,
@@ -632,6 +884,36 @@ export class SlideHandler {
             image: imageInfo,
             rot,
             extensions,
+            ...( effect && { effect } ),
+            ...( effects && { effects } ),
+            ...( scene3d && { scene3d } ),
+            ...( shape3d && { shape3d } ),
+            ...( media && { media } ),
+            ...( hyperlinks && { hyperlinks } ),
+        };
+    }
+
+    /**
+     * Resolves the video or audio a picture plays. The embedded media of the `p14:media` extension
+     * is preferred over the `a:videoFile`/`a:audioFile` link, which may point outside the package.
+     * @param {Element} nvPrNode - The `p:nvPr` node of the picture.
+     * @returns {Promise<Object|null>} The media, with default playback settings, or null if the picture has none.
+     */
+    async parseMedia( nvPrNode ) {
+        const reference = parseMediaReference( nvPrNode );
+        if ( !reference ) return null;
+
+        const rel = this.slideRels?.[ reference.embedRelId ] || this.slideRels?.[ reference.linkRelId ];
+        const source = await loadMediaSource( rel, 'ppt/slides', this.entriesMap );
+        if ( !source ) return null;
+
+        return {
+            type: reference.type,
+            ...source,
+            trim: reference.trim,
+            volume: 1,
+            mute: false,
+            loop: false,
         };
     }
 
@@ -643,6 +925,7 @@ export class SlideHandler {
             matrix.m = transformValues;
         }
         this.renderer.setTransform( matrix, options );
+        const group = this.renderer.currentGroup;
         let pathString = '';
 
         if ( picData.placeholderProps?.fill?.type === 'solid' || picData.placeholderProps?.fill?.type === 'gradient' ) {
@@ -657,6 +940,10 @@ export class SlideHandler {
         if ( picData.image ) {
             const imageOptions = {
                 id: `${ options.id }.image`,
+                effect: picData.effect,
+                effects: picData.effects,
+                scene3d: picData.scene3d,
+                shape3d: picData.shape3d,
             };
 
             const filters = [];
@@ -672,6 +959,20 @@ export class SlideHandler {
                 }
             }
 
+            for ( const adjustment of picData.image.adjustments || [] ) {
+                const filter = this.createAdjustmentFilter( adjustment );
+                if ( filter ) {
+                    filters.push( filter );
+                }
+            }
+
+            for ( const effect of picData.image.artisticEffects || [] ) {
+                const filter = this.renderer.createArtisticEffectFilter( effect );
+                if ( filter ) {
+                    filters.push( filter );
+                }
+            }
+
             if ( filters.length > 0 ) {
                 imageOptions.filter = filters.join( ' ' );
             }
@@ -681,7 +982,10 @@ export class SlideHandler {
             if ( picData.image.srcRect ) {
                 const img = await createImage( picData.image.href );
                 const crop = picData.image.srcRect;
-                const viewBox = `${ img.width * crop.l } ${ img.height * crop.t } ${ img.width * ( 1 - crop.l - crop.r ) } ${ img.height * ( 1 - crop.t - crop.b ) }`;
+                // SVG images without a width and height of their own are as large as the picture
+                const width = img.width || picData.pos.width;
+                const height = img.height || picData.pos.height;
+                const viewBox = `${ width * crop.l } ${ height * crop.t } ${ width * ( 1 - crop.l - crop.r ) } ${ height * ( 1 - crop.t - crop.b ) }`;
                 imageOptions.viewBox = viewBox;
                 imageOptions.preserveAspectRatio = 'none';
             }
@@ -712,9 +1016,111 @@ export class SlideHandler {
             if ( pathString ) this.renderer.drawPath( pathString, strokeOpts );
             else this.renderer.drawRect( 0, 0, picData.pos.width, picData.pos.height, strokeOpts );
         }
+
+        if ( picData.media ) {
+            this.renderMedia( picData, options );
+        }
+
+        this.applyShapeHyperlinks( group, picData.hyperlinks );
+    }
+
+    /**
+     * Creates the filter of a color adjustment of a picture, resolving its colors against the slide.
+     * @param {Object} adjustment - The adjustment, as parsed by `parseBlipAdjustments`.
+     * @returns {string|null} The URL of the filter, or null if the adjustment cannot be drawn.
+     */
+    createAdjustmentFilter( adjustment ) {
+        switch ( adjustment.type ) {
+            case 'grayscale':
+                return this.renderer.createGrayscaleFilter();
+            case 'biLevel':
+                return this.renderer.createBiLevelFilter( adjustment.threshold );
+            case 'alphaBiLevel':
+                return this.renderer.createAlphaBiLevelFilter( adjustment.threshold );
+            case 'alphaMod':
+                return this.renderer.createAlphaFilter( adjustment.amount );
+            case 'luminance':
+                return this.renderer.createLuminanceFilter( adjustment.brightness, adjustment.contrast );
+            case 'luminanceModulation':
+                return this.renderer.createLuminanceModulationFilter( adjustment.value );
+            case 'hsl':
+                return this.renderer.createHslFilter( adjustment.hue, adjustment.saturation, adjustment.luminance );
+            case 'tint':
+                return this.renderer.createTintFilter( adjustment.hue, adjustment.amount );
+            case 'colorReplace': {
+                const color = ColorParser.resolveColor( adjustment.color, this.slideContext );
+                return color ? this.renderer.createColorReplaceFilter( color ) : null;
+            }
+            case 'colorChange': {
+                const from = ColorParser.resolveColor( adjustment.from, this.slideContext, true );
+                const to = ColorParser.resolveColor( adjustment.to, this.slideContext, true );
+                if ( !from || !to ) return null;
+                return this.renderer.createColorChangeFilter( from, adjustment.useAlpha ? to : { ...to, alpha: 1 } );
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Renders the HTML5 media element of a picture that plays video or audio.
+     * Videos play over their poster frame; audio controls are shown below the sound icon.
+     * The trim points of the media are enforced while it plays.
+     * @param {Object} picData - The picture data, with its media.
+     * @param {Object} options - The render options of the picture.
+     */
+    renderMedia( picData, options ) {
+        const { media, pos } = picData;
+        const isVideo = media.type === 'video';
+        const width = isVideo ? pos.width : Math.max( pos.width, AUDIO_CONTROLS_WIDTH );
+        const height = isVideo ? pos.height : AUDIO_CONTROLS_HEIGHT;
+
+        const foreignObject = document.createElementNS( 'http://www.w3.org/2000/svg', 'foreignObject' );
+        foreignObject.setAttribute( 'x', isVideo ? 0 : ( pos.width - width ) / 2 );
+        foreignObject.setAttribute( 'y', isVideo ? 0 : pos.height );
+        foreignObject.setAttribute( 'width', width );
+        foreignObject.setAttribute( 'height', height );
+
+        const element = document.createElement( isVideo ? 'video' : 'audio' );
+        element.id = `${ options.id }.media`;
+        element.src = media.src;
+        element.controls = true;
+        element.preload = 'metadata';
+        element.style.width = '100%';
+        element.style.height = '100%';
+        element.volume = media.volume;
+        element.muted = media.mute;
+        if ( isVideo ) {
+            element.playsInline = true;
+            element.style.objectFit = 'fill';
+            if ( picData.image?.href ) element.poster = picData.image.href;
+        }
+
+        const start = ( media.trim?.start || 0 ) / 1000;
+        const endTrim = ( media.trim?.end || 0 ) / 1000;
+        element.dataset.trimStart = `${ start }`;
+        if ( start > 0 || endTrim > 0 ) {
+            element.addEventListener( 'loadedmetadata', () => {
+                element.currentTime = start;
+            }, { once: true } );
+            element.addEventListener( 'timeupdate', () => {
+                const end = element.duration - endTrim;
+                if ( element.currentTime < start ) {
+                    element.currentTime = start;
+                } else if ( Number.isFinite( end ) && element.currentTime >= end ) {
+                    element.currentTime = start;
+                    if ( !media.loop ) element.pause();
+                }
+            } );
+        } else {
+            element.loop = media.loop;
+        }
+
+        foreignObject.appendChild( element );
+        this.renderer.currentGroup.appendChild( foreignObject );
     }
 
-    async parseTable( frameNode, parentMatrix ) {
+    async parseTable( frameNode, parentMatrix, rels ) {
         const xfrmNode = frameNode.getElementsByTagNameNS( PML_NS, 'xfrm' )[ 0 ];
         let pos = { x: 0, y: 0, width: 0, height: 0 };
         const localMatrix = new Matrix();
@@ -747,6 +1153,15 @@ export class SlideHandler {
         const numCols = colWidths.length;
         if ( numRows === 0 || numCols === 0 ) return null;
 
+        const rowHeights = rowNodes.map( row => parseInt( row.getAttribute( 'h' ) || '0' ) / EMU_PER_PIXEL );
+        const sum = values => values.reduce( ( a, b ) => a + b, 0 );
+        const getCellPos = ( { r, c, rowSpan, gridSpan } ) => ( {
+            x: sum( colWidths.slice( 0, c ) ),
+            y: sum( rowHeights.slice( 0, r ) ),
+            width: sum( colWidths.slice( c, c + gridSpan ) ),
+            height: sum( rowHeights.slice( r, r + rowSpan ) ),
+        } );
+
         const cells = [];
         const renderedGrid = Array( numRows ).fill( 0 ).map( () => Array( numCols ).fill( false ) );
 
@@ -760,24 +1175,45 @@ export class SlideHandler {
                 const gridSpan = parseInt( cellNode.getAttribute( 'gridSpan' ) || '1' );
                 const rowSpan = parseInt( cellNode.getAttribute( 'rowSpan' ) || '1' );
 
-                let cellWidth = colWidths.slice( c, c + gridSpan ).reduce( ( a, b ) => a + b, 0 );
-                let cellHeight = rowNodes.slice( r, r + rowSpan ).reduce( ( acc, row ) => acc + parseInt( row.getAttribute( 'h' ) ) / EMU_PER_PIXEL, 0 );
-                let cellX = colWidths.slice( 0, c ).reduce( ( a, b ) => a + b, 0 );
-                let cellY = rowNodes.slice( 0, r ).reduce( ( acc, row ) => acc + parseInt( row.getAttribute( 'h' ) ) / EMU_PER_PIXEL, 0 );
-
                 for ( let i = 0; i < rowSpan; i++ ) for ( let j = 0; j < gridSpan; j++ ) {
                     if ( r + i < numRows && c + j < numCols ) renderedGrid[ r + i ][ c + j ] = true;
                 }
 
-                cells.push( {
-                    pos: { x: cellX, y: cellY, width: cellWidth, height: cellHeight },
-                    fill: getCellFillColor( cellNode, tblPrNode, r, c, numRows, numCols, tableStyle, this.slideContext ),
-                    borders: getCellBorders( cellNode, tblPrNode, r, c, numRows, numCols, tableStyle, this.slideContext ),
-					text: this.parseCellText( cellNode, { x: cellX, y: cellY, width: cellWidth, height: cellHeight }, getCellTextStyle( tblPrNode, r, c, numRows, numCols, tableStyle, cellNode, this.slideContext ) ),
-                } );
+                const cell = { r, c, rowSpan, gridSpan, cellNode, textStyle: getCellTextStyle( tblPrNode, r, c, numRows, numCols, tableStyle, cellNode, this.slideContext ) };
+                cell.pos = getCellPos( cell );
+                cell.text = this.parseCellText( cellNode, cell.pos, cell.textStyle, rels );
+                cells.push( cell );
             }
         }
-        return { type: 'table', transform, pos, cells };
+
+        // Rows grow to fit the text of their cells, cells spanning several rows grow the last of them
+        const getOverflow = cell => ( cell.text && !cell.text.rotation ? cell.text.layout.overflow : 0 );
+        cells.filter( cell => cell.rowSpan === 1 && getOverflow( cell ) > 0 ).forEach( cell => {
+            rowHeights[ cell.r ] = Math.max( rowHeights[ cell.r ], cell.pos.height + getOverflow( cell ) );
+        } );
+        cells.filter( cell => cell.rowSpan > 1 && getOverflow( cell ) > 0 ).forEach( cell => {
+            const lastRow = Math.min( cell.r + cell.rowSpan, numRows ) - 1;
+            const missingHeight = cell.pos.height + getOverflow( cell ) - getCellPos( cell ).height;
+            if ( missingHeight > 0 ) rowHeights[ lastRow ] += missingHeight;
+        } );
+        pos.height = Math.max( pos.height, sum( rowHeights ) );
+
+        return {
+            type: 'table',
+            transform,
+            pos,
+            cells: cells.map( cell => {
+                const cellPos = getCellPos( cell );
+                // Cells in or below grown rows are laid out again in their new place
+                const moved = cellPos.y !== cell.pos.y || cellPos.height !== cell.pos.height;
+                return {
+                    pos: cellPos,
+                    fill: getCellFillColor( cell.cellNode, tblPrNode, cell.r, cell.c, numRows, numCols, tableStyle, this.slideContext ),
+                    borders: getCellBorders( cell.cellNode, tblPrNode, cell.r, cell.c, numRows, numCols, tableStyle, this.slideContext ),
+                    text: moved ? this.parseCellText( cell.cellNode, cellPos, cell.textStyle, rels ) : cell.text,
+                };
+            } ),
+        };
     }
 
     async renderTable( tableData, options, activeElementId ) {
@@ -804,6 +1240,8 @@ export class SlideHandler {
             if ( cell.borders.right ) this.renderer.drawLine( x + width, y, x + width, y + height, { stroke: cell.borders.right } );
             if ( cell.borders.bottom ) this.renderer.drawLine( x + width, y + height, x, y + height, { stroke: cell.borders.bottom } );
             if ( cell.borders.left ) this.renderer.drawLine( x, y + height, x, y, { stroke: cell.borders.left } );
+            if ( cell.borders.tlToBr && cell.borders.tlToBr !== 'none' ) this.renderer.drawLine( x, y, x + width, y + height, { stroke: cell.borders.tlToBr } );
+            if ( cell.borders.blToTr && cell.borders.blToTr !== 'none' ) this.renderer.drawLine( x, y + height, x + width, y, { stroke: cell.borders.blToTr } );
 
             if ( cell.text ) {
                 const clipId = `clip-${ Math.random().toString( 36 ).slice( 2, 11 ) }`;
@@ -829,7 +1267,7 @@ export class SlideHandler {
         }
     }
 
-    parseCellText( cellNode, pos, tableTextStyle ) {
+    parseCellText( cellNode, pos, tableTextStyle, rels ) {
         const txBodyNode = cellNode.getElementsByTagNameNS( DML_NS, 'txBody' )[ 0 ];
         if ( !txBodyNode ) return null;
 
@@ -841,7 +1279,9 @@ export class SlideHandler {
             tIns: 45720 / EMU_PER_PIXEL, bIns: 45720 / EMU_PER_PIXEL,
         };
         if ( tcPrNode ) {
-            bodyPrFromTcPr.anchor = tcPrNode.getAttribute( 'anchor' );
+            if ( tcPrNode.getAttribute( 'anchor' ) ) bodyPrFromTcPr.anchor = tcPrNode.getAttribute( 'anchor' );
+            if ( tcPrNode.getAttribute( 'anchorCtr' ) ) bodyPrFromTcPr.anchorCtr = tcPrNode.getAttribute( 'anchorCtr' ) === '1';
+            if ( tcPrNode.getAttribute( 'vert' ) ) bodyPrFromTcPr.vert = tcPrNode.getAttribute( 'vert' );
             if ( tcPrNode.getAttribute( 'marL' ) ) bodyPrFromTcPr.lIns = parseInt( tcPrNode.getAttribute( 'marL' ) ) / EMU_PER_PIXEL;
             if ( tcPrNode.getAttribute( 'marR' ) ) bodyPrFromTcPr.rIns = parseInt( tcPrNode.getAttribute( 'marR' ) ) / EMU_PER_PIXEL;
             if ( tcPrNode.getAttribute( 'marT' ) ) bodyPrFromTcPr.tIns = parseInt( tcPrNode.getAttribute( 'marT' ) ) / EMU_PER_PIXEL;
@@ -854,10 +1294,10 @@ export class SlideHandler {
         const masterPlaceholders = {};
         const layoutPlaceholders = {};
 
-        return this.parseParagraphs( txBodyNode, pos, null, 'body', listCounters, finalBodyPr, tableTextStyle, defaultTextStyles, masterPlaceholders, layoutPlaceholders );
+        return this.parseParagraphs( txBodyNode, pos, null, 'body', listCounters, finalBodyPr, tableTextStyle, defaultTextStyles, masterPlaceholders, layoutPlaceholders, rels );
     }
 
-    parseParagraphs( txBody, pos, phKey, phType, listCounters, bodyPr, tableTextStyle, defaultTextStyles, masterPlaceholders, layoutPlaceholders ) {
+    parseParagraphs( txBody, pos, phKey, phType, listCounters, bodyPr, tableTextStyle, defaultTextStyles, masterPlaceholders, layoutPlaceholders, rels ) {
         const paragraphs = Array.from( txBody.getElementsByTagNameNS( DML_NS, 'p' ) );
         if ( paragraphs.length === 0 ) return null;
 
@@ -865,8 +1305,115 @@ export class SlideHandler {
         const mph = masterPlaceholders || this.masterPlaceholders;
         const lph = layoutPlaceholders || this.layoutPlaceholders;
 
-        const layout = this.layoutParagraphs( paragraphs, pos, phKey, phType, bodyPr, tableTextStyle, dts, mph, lph, listCounters );
-        return { layout, bodyPr, pos };
+        const frame = this.getTextFrame( pos, bodyPr );
+        const initialCounters = { ...listCounters };
+        const layoutText = fitBodyPr => {
+            // Each attempt numbers the lists from the same counters
+            Object.keys( listCounters ).forEach( key => delete listCounters[ key ] );
+            Object.assign( listCounters, initialCounters );
+            const layout = this.layoutParagraphs( paragraphs, frame.pos, phKey, phType, fitBodyPr, tableTextStyle, dts, mph, lph, listCounters, rels );
+            layout.overflow = this.getTextOverflow( layout, frame.pos, fitBodyPr );
+            return layout;
+        };
+
+        let fittedBodyPr = bodyPr;
+        let layout = layoutText( bodyPr );
+        if ( bodyPr.autofitType === 'norm' && layout.overflow > 0 ) {
+            ( { layout, bodyPr: fittedBodyPr } = this.shrinkTextToFit( bodyPr, layoutText ) );
+        }
+        return { layout, bodyPr: fittedBodyPr, pos: frame.pos, ...( frame.rotation && { rotation: frame.rotation } ) };
+    }
+
+    /**
+     * Measures how far laid out text runs past the bottom of its text box.
+     * @param {Object} layout - The laid out text.
+     * @param {Object} pos - The text box.
+     * @param {Object} bodyPr - The body properties, for the insets.
+     * @returns {number} The overflow in pixels, or 0 if the text fits.
+     */
+    getTextOverflow( layout, pos, bodyPr ) {
+        const height = pos.height - ( bodyPr.tIns || 0 ) - ( bodyPr.bIns || 0 );
+        return Math.max( 0, layout.totalHeight - height );
+    }
+
+    /**
+     * Searches the font scale and line spacing reduction that fit `normAutofit` text into its box,
+     * used when the body has no saved scale or the saved one no longer fits.
+     * Like PowerPoint, the line spacing is reduced before the font is made smaller.
+     * @param {Object} bodyPr - The body properties.
+     * @param {function(Object): Object} layoutText - Lays out the text with the given body properties.
+     * @returns {{layout: Object, bodyPr: Object}} The fitted layout and the body properties it was laid out with.
+     */
+    shrinkTextToFit( bodyPr, layoutText ) {
+        const attempt = ( fontScale, lnSpcReduction ) => {
+            const fitBodyPr = { ...bodyPr, fontScale, lnSpcReduction };
+            return { layout: layoutText( fitBodyPr ), bodyPr: fitBodyPr };
+        };
+
+        for ( const lnSpcReduction of [ MAX_AUTOFIT_LINE_SPACING_REDUCTION / 2, MAX_AUTOFIT_LINE_SPACING_REDUCTION ] ) {
+            const result = attempt( 1, lnSpcReduction );
+            if ( result.layout.overflow === 0 ) return result;
+        }
+
+        // Binary search for the largest font scale that fits, in steps of 1%
+        let low = MIN_AUTOFIT_FONT_SCALE;
+        let high = 1;
+        let best = null;
+        while ( high - low > 0.01 ) {
+            const fontScale = Math.round( ( low + high ) / 2 * 1000 ) / 1000;
+            const result = attempt( fontScale, MAX_AUTOFIT_LINE_SPACING_REDUCTION );
+            if ( result.layout.overflow === 0 ) {
+                best = result;
+                low = fontScale;
+            } else {
+                high = fontScale;
+            }
+        }
+        return best || attempt( MIN_AUTOFIT_FONT_SCALE, MAX_AUTOFIT_LINE_SPACING_REDUCTION );
+    }
+
+    /**
+     * Finds the frame the text of a body is laid out in. Vertical text is laid out in the text box
+     * turned a quarter turn around its center, and turned back into place when it is rendered.
+     * @param {Object} pos - The text box.
+     * @param {Object} bodyPr - The body properties.
+     * @returns {{pos: Object, rotation: number}} The frame, and its rotation around its center in degrees.
+     */
+    getTextFrame( pos, bodyPr ) {
+        const verticalRotation = VERTICAL_TEXT_ROTATIONS[ bodyPr.vert ] || 0;
+        const rotation = verticalRotation + ( bodyPr.rot || 0 );
+        if ( !verticalRotation ) return { pos, rotation };
+
+        const centerX = pos.x + pos.width / 2;
+        const centerY = pos.y + pos.height / 2;
+        return {
+            pos: { x: centerX - pos.height / 2, y: centerY - pos.width / 2, width: pos.height, height: pos.width },
+            rotation,
+        };
+    }
+
+    /**
+     * Draws the underline, strike and kerning of a run on its text span.
+     * Underlines of the `words` style skip the whitespace between words.
+     * @param {Element} tspan - The text span of the run.
+     * @param {Object} run - The laid out run.
+     */
+    applyTextDecoration( tspan, run ) {
+        const underline = run.underline === 'words' && !run.text.trim() ? null : run.underline;
+        const decorations = [];
+        if ( underline ) decorations.push( 'underline' );
+        if ( run.strike ) decorations.push( 'line-through' );
+
+        const styles = [];
+        if ( decorations.length > 0 ) {
+            tspan.setAttribute( 'text-decoration', decorations.join( ' ' ) );
+            const decorationStyle = underline ? UNDERLINE_STYLES[ underline ] : ( run.strike === 'dblStrike' ? 'double' : null );
+            if ( decorationStyle ) styles.push( `text-decoration-style: ${ decorationStyle }` );
+            if ( underline && /heavy/i.test( underline ) ) styles.push( 'text-decoration-thickness: 0.1em' );
+            if ( underline && run.underlineColor ) styles.push( `text-decoration-color: ${ run.underlineColor }` );
+        }
+        if ( run.kerning ) styles.push( `font-kerning: ${ run.kerning }` );
+        if ( styles.length > 0 ) tspan.setAttribute( 'style', styles.join( '; ' ) );
     }
 
     renderParagraphs( textData, id, activeElementId ) {
@@ -886,6 +1433,9 @@ export class SlideHandler {
         if ( id ) {
             textGroup.setAttribute( 'id', id );
         }
+        if ( textData.rotation ) {
+            textGroup.setAttribute( 'transform', `rotate(${ textData.rotation } ${ pos.x + pos.width / 2 } ${ pos.y + pos.height / 2 })` );
+        }
 
         for ( const [ lineIndex, line ] of layout.lines.entries() ) {
             const lineGroupId = `${id}.line.${lineIndex}`;
@@ -900,25 +1450,35 @@ export class SlideHandler {
             if ( line.isFirstLine && finalProps.bullet?.type && finalProps.bullet.type !== 'none' ) {
                 const bulletColor = ColorParser.resolveColor( finalProps.bullet.color, this.slideContext ) || ColorParser.resolveColor( finalProps.defRPr.color, this.slideContext ) || '#000';
                 const firstRunSize = line.runs[ 0 ]?.font.size || ( finalProps.defRPr.size || 18 * PT_TO_PX );
-                const bulletBaselineY = startY + line.startY + firstRunSize;
-                const bulletX = line.x - BULLET_OFFSET;
+                const bulletBaselineY = startY + line.startY + ( line.baseline ?? firstRunSize );
+                // Bullets of right-to-left paragraphs are mirrored to the right of the text
+                const bulletX = line.rtl ? line.x + line.width + BULLET_OFFSET : line.x - BULLET_OFFSET;
+                const bulletOptions = {
+                    fill: bulletColor,
+                    fontSize: `${ finalProps.defRPr.size || 18 * PT_TO_PX }px`,
+                    fontFamily: finalProps.bullet.font || 'Arial',
+                    ...( line.rtl && { textAnchor: 'end', direction: 'rtl' } ),
+                };
 
                 const originalGroup = this.renderer.currentGroup;
                 this.renderer.currentGroup = lineGroup;
 
                 if ( finalProps.bullet.type === 'char' ) {
-                    this.renderer.drawText( finalProps.bullet.char, bulletX, bulletBaselineY, { fill: bulletColor, fontSize: `${ finalProps.defRPr.size || 18 * PT_TO_PX }px`, fontFamily: finalProps.bullet.font || 'Arial' } );
+                    this.renderer.drawText( finalProps.bullet.char, bulletX, bulletBaselineY, bulletOptions );
                 } else if ( finalProps.bullet.type === 'auto' ) {
-                    this.renderer.drawText( line.bulletChar, bulletX, bulletBaselineY, { fill: bulletColor, fontSize: `${ finalProps.defRPr.size || 18 * PT_TO_PX }px`, fontFamily: finalProps.bullet.font || 'Arial' } );
+                    this.renderer.drawText( line.bulletChar, bulletX, bulletBaselineY, bulletOptions );
                 } else if ( finalProps.bullet.type === 'image' && finalProps.bullet.relId && this.slideImageMap[ finalProps.bullet.relId ] ) {
-                    this.renderer.drawImage( this.slideImageMap[ finalProps.bullet.relId ], bulletX, bulletBaselineY - 8, 16, 16, {} );
+                    this.renderer.drawImage( this.slideImageMap[ finalProps.bullet.relId ], line.rtl ? bulletX - 16 : bulletX, bulletBaselineY - 8, 16, 16, {} );
                 }
 
                 this.renderer.currentGroup = originalGroup;
             }
 
             const textElement = document.createElementNS( 'http://www.w3.org/2000/svg', 'text' );
-            const align = finalProps.align || 'l';
+            // Lines with right-to-left text or tabs place each run at its laid out position,
+            // so the browser does not reorder or collapse them
+            const placeRuns = line.rtl || line.runs.some( run => run.rtl || run.tab );
+            const align = placeRuns ? 'l' : ( finalProps.align || 'l' );
             let xPos = line.x;
             if ( align === 'ctr' ) {
                 textElement.setAttribute( 'x', xPos + line.width / 2 );
@@ -930,21 +1490,49 @@ export class SlideHandler {
                 textElement.setAttribute( 'x', xPos );
                 textElement.setAttribute( 'text-anchor', 'start' );
             }
-            textElement.setAttribute( 'y', startY + line.startY + ( line.runs[ 0 ]?.font.size || 0 ) );
+            textElement.setAttribute( 'y', startY + line.startY + ( line.baseline ?? ( line.runs[ 0 ]?.font.size || 0 ) ) );
 
+            let runX = line.x;
             for ( const run of line.runs ) {
+                if ( run.highlight ) {
+                    const highlight = document.createElementNS( SVG_NS, 'rect' );
+                    highlight.setAttribute( 'x', runX );
+                    highlight.setAttribute( 'y', startY + line.startY );
+                    highlight.setAttribute( 'width', run.width || 0 );
+                    highlight.setAttribute( 'height', line.height || LINE_HEIGHT );
+                    highlight.setAttribute( 'fill', run.highlight );
+                    lineGroup.appendChild( highlight );
+                }
+                if ( run.tab ) {
+                    runX += run.width || 0;
+                    continue;
+                }
+
                 const tspan = document.createElementNS( 'http://www.w3.org/2000/svg', 'tspan' );
+                if ( placeRuns ) tspan.setAttribute( 'x', runX );
+                if ( run.rtl ) {
+                    tspan.setAttribute( 'direction', 'rtl' );
+                    tspan.setAttribute( 'unicode-bidi', 'embed' );
+                }
+                runX += run.width || 0;
                 tspan.setAttribute( 'font-family', run.font.family );
                 tspan.setAttribute( 'font-size', `${ run.font.size }px` );
                 tspan.setAttribute( 'font-style', run.font.style );
                 tspan.setAttribute( 'font-weight', run.font.weight );
-                if ( typeof line?.paragraphProps?.defRPr.color === 'string' ) {
+                if ( run.font.variant && run.font.variant !== 'normal' ) tspan.setAttribute( 'font-variant', run.font.variant );
+                if ( run.spacing ) tspan.setAttribute( 'letter-spacing', run.spacing );
+                if ( run.baselineShift ) tspan.setAttribute( 'baseline-shift', run.baselineShift );
+                this.applyTextDecoration( tspan, run );
+                if ( typeof line?.paragraphProps?.defRPr.color === 'string' && !( run.hyperlink && !run.hyperlink.useTextColor ) ) {
                     tspan.setAttribute( 'fill', line.paragraphProps.defRPr.color );
                 } else {
                     tspan.setAttribute( 'fill', run.color );
                 }
                 tspan.textContent = run.text;
                 textElement.appendChild( tspan );
+                if ( run.hyperlink ) {
+                    this.renderHyperlink( tspan, run.hyperlink );
+                }
             }
             lineGroup.appendChild( textElement );
             textGroup.appendChild( lineGroup );
@@ -952,17 +1540,137 @@ export class SlideHandler {
         this.renderer.currentGroup.appendChild( textGroup );
     }
 
-    layoutParagraphs( paragraphs, pos, phKey, phType, bodyPr, tableTextStyle, defaultTextStyles, masterPlaceholders, layoutPlaceholders, listCounters ) {
+    /**
+     * Resolves the text of a field, such as the slide number or the date, for this slide.
+     * @param {Element} fieldNode - The `a:fld` node.
+     * @param {Object} [runProps={}] - The merged run properties of the field, whose language formats dates.
+     * @returns {string} The text of the field.
+     */
+    getFieldText( fieldNode, runProps = {} ) {
+        const field = {
+            type: fieldNode.getAttribute( 'type' ) || '',
+            id: fieldNode.getAttribute( 'id' ) || '',
+            text: fieldNode.getElementsByTagNameNS( DML_NS, 't' )[ 0 ]?.textContent || '',
+            lang: runProps.lang,
+        };
+        const slideNumber = this.slideNum === undefined ? undefined : this.slideNum + this.firstSlideNum - 1;
+        return resolveFieldText( field, { slideNumber, fieldResolvers: this.fieldResolvers } );
+    }
+
+    /**
+     * Resolves the character formatting of a run into the values drawn by `renderParagraphs`.
+     * Only the formatting the run actually has is returned, so plain runs stay small.
+     * @param {Object} runProps - The merged run properties.
+     * @param {number} fontSize - The font size of the run, in pixels.
+     * @param {number} textSize - The size the text is drawn at, smaller than the font size for superscript and subscript.
+     * @param {Object|null} hyperlink - The hyperlink of the run, which is underlined unless the run says otherwise.
+     * @returns {Object} The underline, strike, baseline shift, letter spacing, kerning and highlight of the run.
+     */
+    getRunFormat( runProps, fontSize, textSize, hyperlink ) {
+        const format = {};
+        const underline = runProps.underline ?? ( hyperlink ? 'sng' : undefined );
+        if ( underline && underline !== 'none' ) {
+            format.underline = underline;
+            if ( runProps.underlineColor ) format.underlineColor = ColorParser.resolveColor( runProps.underlineColor, this.slideContext );
+        }
+        if ( runProps.strike && runProps.strike !== 'noStrike' ) format.strike = runProps.strike;
+        if ( runProps.baseline ) format.baselineShift = runProps.baseline * fontSize;
+        if ( runProps.spacing ) format.spacing = runProps.spacing;
+        // Kerning applies from the given font size up; a size of 0 turns it off
+        if ( runProps.kern !== undefined ) format.kerning = runProps.kern > 0 && textSize >= runProps.kern ? 'normal' : 'none';
+        if ( runProps.highlight ) format.highlight = ColorParser.resolveColor( runProps.highlight, this.slideContext );
+        return format;
+    }
+
+    /**
+     * Calculates the height of a line from the largest font on it and the line spacing of its paragraph.
+     * The `normAutofit` line spacing reduction is taken off percentage spacing and scales exact spacing.
+     * @param {number} fontSize - The largest font size on the line, in pixels.
+     * @param {{type: string, value: number}} [lineSpacing] - The line spacing of the paragraph. Defaults to single spacing.
+     * @param {number} [lnSpcReduction=0] - The line spacing reduction of the text body.
+     * @returns {number} The height of the line, in pixels.
+     */
+    getLineHeight( fontSize, lineSpacing, lnSpcReduction = 0 ) {
+        if ( lineSpacing?.type === 'points' ) return lineSpacing.value * ( 1 - lnSpcReduction );
+        const percent = lineSpacing?.type === 'percent' ? lineSpacing.value : 1;
+        return fontSize * SINGLE_LINE_SPACING * Math.max( percent - lnSpcReduction, 0 );
+    }
+
+    /**
+     * Calculates the space before or after a paragraph. Percentage spacing is in lines of the paragraph's font.
+     * @param {{type: string, value: number}} [spacing] - The spacing of the paragraph.
+     * @param {number} fontSize - The font size of the first line of the paragraph, in pixels.
+     * @returns {number} The space, in pixels.
+     */
+    getParagraphSpacing( spacing, fontSize ) {
+        if ( !spacing ) return 0;
+        return spacing.type === 'points' ? spacing.value : spacing.value * fontSize * SINGLE_LINE_SPACING;
+    }
+
+    /**
+     * Measures how far the decimal point of the text after a decimal tab is from the start of that text.
+     * @param {Object[]} runs - The laid out runs after the tab, up to the next tab or the end of the line.
+     * @returns {number|null} The offset in pixels, or null if the text has no decimal point.
+     */
+    getDecimalTabOffset( runs ) {
+        const ctx = document.createElement( 'canvas' ).getContext( '2d' );
+        let offset = 0;
+        for ( const run of runs ) {
+            const index = run.text.indexOf( '.' );
+            if ( index === -1 ) {
+                offset += run.width || 0;
+                continue;
+            }
+            ctx.font = `${ run.font.style } ${ run.font.variant } ${ run.font.weight } ${ run.font.size }px ${ run.font.family }`;
+            return offset + ctx.measureText( run.text.slice( 0, index ) ).width + ( run.spacing || 0 ) * index;
+        }
+        return null;
+    }
+
+    /**
+     * Reorders the runs of the lines of a paragraph from logical to visual order with the
+     * bidirectional algorithm. Levels are resolved over the whole paragraph and applied per line.
+     * Runs at an odd level are marked `rtl`, and the lines of right-to-left paragraphs are marked `rtl`.
+     * @param {Object[]} paragraphLines - The laid out lines of the paragraph.
+     * @param {boolean} rtl - Whether the paragraph is right-to-left.
+     */
+    reorderBidiLines( paragraphLines, rtl ) {
+        const runs = paragraphLines.flatMap( line => line.runs );
+        const types = runs.map( run => getBidiType( run.text ) );
+        if ( !rtl && !types.some( type => type === 'R' || type === 'AL' || type === 'AN' ) ) return;
+
+        const levels = resolveBidiLevels( types, rtl );
+        let offset = 0;
+        for ( const line of paragraphLines ) {
+            const lineLevels = levels.slice( offset, offset + line.runs.length );
+            offset += line.runs.length;
+            // Whitespace at the end of a line takes the paragraph level
+            for ( let i = lineLevels.length - 1; i >= 0 && !line.runs[ i ].text.trim(); i-- ) lineLevels[ i ] = rtl ? 1 : 0;
+            line.runs.forEach( ( run, i ) => {
+                if ( lineLevels[ i ] % 2 === 1 ) run.rtl = true;
+            } );
+            line.runs = reorderByLevels( line.runs, lineLevels );
+            if ( rtl ) line.rtl = true;
+        }
+    }
+
+    layoutParagraphs( paragraphs, pos, phKey, phType, bodyPr, tableTextStyle, defaultTextStyles, masterPlaceholders, layoutPlaceholders, listCounters, rels ) {
         const paddedPos = {
             x: pos.x + ( bodyPr.lIns || 0 ), y: pos.y + ( bodyPr.tIns || 0 ),
             width: pos.width - ( bodyPr.lIns || 0 ) - ( bodyPr.rIns || 0 ),
             height: pos.height - ( bodyPr.tIns || 0 ) - ( bodyPr.bIns || 0 ),
         };
+        const numCol = Math.max( bodyPr.numCol || 1, 1 );
+        const spcCol = bodyPr.spcCol || 0;
+        const columnWidth = ( paddedPos.width - spcCol * ( numCol - 1 ) ) / numCol;
+        const wrap = bodyPr.wrap !== 'none';
+        // WordArt vertical text stacks the letters on top of each other
+        const stacked = bodyPr.vert === 'wordArtVert' || bodyPr.vert === 'wordArtVertRtl';
 
         const lines = [];
         let currentY = 0;
 
-        for ( const pNode of paragraphs ) {
+        for ( const [ paragraphIndex, pNode ] of paragraphs.entries() ) {
             const pPrNode = pNode.getElementsByTagNameNS( DML_NS, 'pPr' )[ 0 ];
             const level = pPrNode ? parseInt( pPrNode.getAttribute( 'lvl' ) || '0' ) : 0;
             const defaultStyle = ( phType === 'title' || phType === 'ctrTitle' || phType === 'subTitle' ) ? defaultTextStyles.title : ( phType === 'body' ? defaultTextStyles.body : defaultTextStyles.other );
@@ -989,13 +1697,51 @@ export class SlideHandler {
             const indent = finalProps.indent ?? 0;
             const bulletOffset = ( finalProps.bullet?.type && finalProps.bullet.type !== 'none' ) ? BULLET_OFFSET : 0;
 
-            let currentLine = { runs: [], width: 0, height: 0, paragraphProps: finalProps, startY: currentY, isFirstLine: true };
-            const pushLine = () => {
-                if ( currentLine.runs.length > 0 ) {
-                    lines.push( currentLine );
-                    currentY += currentLine.height || LINE_HEIGHT;
+            // Empty lines take the height of the paragraph end mark
+            const endParaSize = pNode.getElementsByTagNameNS( DML_NS, 'endParaRPr' )[ 0 ]?.getAttribute( 'sz' );
+            const emptyLineSize = ( endParaSize ? ( parseInt( endParaSize ) / 100 ) * PT_TO_PX : ( finalProps.defRPr.size || 18 * PT_TO_PX ) ) * ( bodyPr.fontScale || 1 );
+
+            const firstLineIndex = lines.length;
+            let currentLine = { runs: [], width: 0, height: 0, fontSize: 0, paragraphProps: finalProps, paragraphIndex, startY: currentY, isFirstLine: true };
+
+            // Tab stops are measured from the left of the text box, default stops continue after the last one
+            const tabStops = finalProps.tabs || [];
+            const defaultTabSize = finalProps.defaultTabSize || DEFAULT_TAB_SIZE;
+            const getLineStart = line => ( line.isFirstLine ? marL + indent : marL ) + bulletOffset;
+            let pendingTab = null;
+            // Right, centered and decimal tabs are sized once the text up to the next tab or the end of the line is known
+            const resolveTab = () => {
+                if ( !pendingTab ) return;
+                const { run, stop, start, line } = pendingTab;
+                pendingTab = null;
+                const segmentWidth = line.width - start;
+                let shift = segmentWidth;
+                if ( stop.align === 'ctr' ) shift = segmentWidth / 2;
+                else if ( stop.align === 'dec' ) shift = this.getDecimalTabOffset( line.runs.slice( line.runs.indexOf( run ) + 1 ) ) ?? segmentWidth;
+                run.width = Math.max( 0, stop.pos - getLineStart( line ) - start - shift );
+                line.width += run.width;
+            };
+            const addTab = tabRun => {
+                resolveTab();
+                const position = getLineStart( currentLine ) + currentLine.width;
+                const stop = tabStops.find( tab => tab.pos > position ) || { pos: ( Math.floor( position / defaultTabSize ) + 1 ) * defaultTabSize, align: 'l' };
+                currentLine.runs.push( tabRun );
+                if ( stop.align === 'l' ) {
+                    tabRun.width = stop.pos - position;
+                    currentLine.width += tabRun.width;
+                } else {
+                    pendingTab = { run: tabRun, stop, start: currentLine.width, line: currentLine };
                 }
-                currentLine = { runs: [], width: 0, height: 0, paragraphProps: finalProps, startY: currentY, isFirstLine: false };
+            };
+
+            const pushLine = () => {
+                resolveTab();
+                const fontSize = currentLine.fontSize || emptyLineSize;
+                currentLine.height = this.getLineHeight( fontSize, finalProps.lineSpacing, bodyPr.lnSpcReduction );
+                currentLine.baseline = currentLine.height - fontSize * FONT_DESCENT;
+                if ( currentLine.runs.length > 0 ) lines.push( currentLine );
+                currentY += currentLine.height;
+                currentLine = { runs: [], width: 0, height: 0, fontSize: 0, paragraphProps: finalProps, paragraphIndex, startY: currentY, isFirstLine: false };
             };
 
             if ( finalProps.bullet?.type === 'auto' ) {
@@ -1003,10 +1749,8 @@ export class SlideHandler {
                 currentLine.bulletChar = getAutoNumberingChar( finalProps.bullet.scheme, listCounters[ level ] );
             }
 
-            for ( const childNode of Array.from( pNode.childNodes ).filter( n => [ 'r', 'fld', 'br' ].includes( n.localName ) ) ) {
+            for ( const childNode of Array.from( pNode.childNodes ).filter( n => [ 'r', 'fld', 'br', 'tab' ].includes( n.localName ) ) ) {
                 if ( childNode.localName === 'br' ) { pushLine(); continue; }
-                const text = childNode.textContent;
-                if ( !text ) continue;
 
                 const rPr = childNode.getElementsByTagNameNS( DML_NS, 'rPr' )[ 0 ];
                 const runProps = { ...finalProps.defRPr };
@@ -1018,48 +1762,115 @@ export class SlideHandler {
                     if ( solidFillNode ) runProps.color = ColorParser.parseColor( solidFillNode );
                     const latinFontNode = rPr.getElementsByTagNameNS( DML_NS, 'latin' )[ 0 ];
                     if ( latinFontNode?.getAttribute( 'typeface' ) ) runProps.font = latinFontNode.getAttribute( 'typeface' );
+                    Object.assign( runProps, parseRunFormatting( rPr ) );
                 }
+                const hyperlink = rels ? parseHyperlink( rPr?.getElementsByTagNameNS( DML_NS, 'hlinkClick' )[ 0 ], rels ) : null;
+                // Linked text takes the hyperlink color of the theme unless the link keeps the text color
+                const color = hyperlink && !hyperlink.useTextColor ? { scheme: 'hlink' } : runProps.color;
+                const text = childNode.localName === 'tab' ? '\t' : ( childNode.localName === 'fld' ? this.getFieldText( childNode, runProps ) : childNode.textContent );
+                if ( !text ) continue;
 
                 let fontSize = runProps.size || ( 18 * PT_TO_PX );
                 if ( bodyPr.fontScale ) fontSize *= bodyPr.fontScale;
-                const fontFamily = resolveFontFamily( runProps, phType, this.slideContext );
+                // Superscript and subscript text is drawn smaller, but keeps the line height of the run
+                const textSize = runProps.baseline ? fontSize * SCRIPT_FONT_SCALE : fontSize;
+                const runFormat = this.getRunFormat( runProps, fontSize, textSize, hyperlink );
                 const tempCtx = document.createElement( 'canvas' ).getContext( '2d' );
-                tempCtx.font = `${ runProps.italic ? 'italic' : 'normal' } ${ runProps.bold ? 'bold' : 'normal' } ${ fontSize }px ${ fontFamily }`;
-
-                for ( const word of text.split( /(\s+)/ ) ) {
-                    if ( !word ) continue;
-                    const wordWidth = tempCtx.measureText( word ).width;
-                    const effectiveWidth = paddedPos.width - ( currentLine.isFirstLine ? marL + indent : marL ) - bulletOffset;
-                    if ( currentLine.width + wordWidth > effectiveWidth && currentLine.runs.length > 0 ) pushLine();
-                    currentLine.runs.push( {
-                        text: word,
-                        font: { style: runProps.italic ? 'italic' : 'normal', weight: runProps.bold ? 'bold' : 'normal', size: fontSize, family: fontFamily },
-                        color: ColorParser.resolveColor( runProps.color, this.slideContext ) || '#000000'
-                    } );
-                    currentLine.width += wordWidth;
-                    currentLine.height = Math.max( currentLine.height, fontSize * ( bodyPr.lnSpcReduction ? 1 - bodyPr.lnSpcReduction : 1.25 ) );
+                if ( runFormat.kerning ) tempCtx.fontKerning = runFormat.kerning;
+
+                const runText = runProps.cap === 'all' ? text.toUpperCase() : text;
+                const resolvedColor = ColorParser.resolveColor( color, this.slideContext ) || '#000000';
+                const getFont = script => ( {
+                    style: runProps.italic ? 'italic' : 'normal',
+                    variant: runProps.cap === 'small' ? 'small-caps' : 'normal',
+                    weight: runProps.bold ? 'bold' : 'normal',
+                    size: textSize,
+                    family: resolveFontFamily( runProps, phType, this.slideContext, script ),
+                } );
+                // East Asian and complex script text is drawn with the typeface of its own font slot
+                const segments = runText.split( '\t' ).flatMap( ( part, index ) => [
+                    ...( index > 0 ? [ { tab: true } ] : [] ),
+                    ...splitByScript( part ),
+                ] );
+                for ( const segment of segments ) {
+                    if ( segment.tab ) {
+                        addTab( { text: '\t', tab: true, font: getFont( 'latin' ), color: resolvedColor, width: 0, ...runFormat, ...( hyperlink && { hyperlink } ) } );
+                        continue;
+                    }
+                    const font = getFont( segment.script );
+                    tempCtx.font = `${ font.style } ${ font.variant } ${ font.weight } ${ textSize }px ${ font.family }`;
+
+                    for ( const word of stacked ? Array.from( segment.text ) : splitLineBreakSegments( segment.text ) ) {
+                        // Letter spacing is added after every character, including the last one
+                        const wordWidth = tempCtx.measureText( word ).width + ( runFormat.spacing || 0 ) * word.length;
+                        const effectiveWidth = columnWidth - ( currentLine.isFirstLine ? marL + indent : marL ) - bulletOffset;
+                        if ( currentLine.runs.length > 0 && ( stacked || ( wrap && currentLine.width + wordWidth > effectiveWidth ) ) ) pushLine();
+                        currentLine.runs.push( {
+                            text: word,
+                            font,
+                            color: resolvedColor,
+                            width: wordWidth,
+                            ...runFormat,
+                            ...( hyperlink && { hyperlink } ),
+                        } );
+                        currentLine.width += wordWidth;
+                        currentLine.fontSize = Math.max( currentLine.fontSize, fontSize );
+                    }
                 }
             }
             pushLine();
+            this.reorderBidiLines( lines.slice( firstLineIndex ), !!finalProps.rtl );
+
+            // Space before the first paragraph and after the last one is not added to the text body
+            const paragraphFontSize = lines[ firstLineIndex ]?.fontSize || emptyLineSize;
+            const spaceBefore = paragraphIndex > 0 ? this.getParagraphSpacing( finalProps.spaceBefore, paragraphFontSize ) : 0;
+            const spaceAfter = paragraphIndex < paragraphs.length - 1 ? this.getParagraphSpacing( finalProps.spaceAfter, paragraphFontSize ) : 0;
+            lines.slice( firstLineIndex ).forEach( line => line.startY += spaceBefore );
+            currentY += spaceBefore + spaceAfter;
         }
 
-        for ( const line of lines ) {
-            const { align, level, marL: pMarL, indent: pIndent } = line.paragraphProps;
+        // Lines flow into the next column once they overflow the height of the text box
+        let totalHeight = currentY;
+        if ( numCol > 1 ) {
+            let column = 0;
+            let columnTop = 0;
+            for ( const line of lines ) {
+                if ( column < numCol - 1 && line.startY > columnTop && line.startY - columnTop + line.height > paddedPos.height ) {
+                    column++;
+                    columnTop = line.startY;
+                }
+                line.column = column;
+                line.startY -= columnTop;
+            }
+            totalHeight = Math.max( 0, ...lines.map( line => line.startY + line.height ) );
+        }
+
+        const lineOffsets = lines.map( line => {
+            const { level, marL: pMarL, indent: pIndent } = line.paragraphProps;
             const marL = pMarL ?? ( level > 0 ? ( level * INDENTATION_AMOUNT ) : 0 );
-            const indent = pIndent ?? 0;
             const bulletOffset = ( line.paragraphProps.bullet?.type && line.paragraphProps.bullet.type !== 'none' ) ? BULLET_OFFSET : 0;
-            const lineIndent = marL + indent;
-            const effectiveWidth = paddedPos.width - lineIndent - bulletOffset;
+            return marL + ( pIndent ?? 0 ) + bulletOffset;
+        } );
+        // Text centered with `anchorCtr` is aligned within a block as wide as its longest line
+        const blockWidth = bodyPr.anchorCtr && lines.length > 0
+            ? Math.max( ...lines.map( ( line, index ) => lineOffsets[ index ] + line.width ) )
+            : columnWidth;
+        const blockX = paddedPos.x + ( columnWidth - blockWidth ) / 2;
+
+        for ( const [ index, line ] of lines.entries() ) {
+            // Right-to-left paragraphs are right aligned by default and indented from the right
+            const align = line.paragraphProps.align || ( line.rtl ? 'r' : 'l' );
+            const effectiveWidth = blockWidth - lineOffsets[ index ];
             let lineXOffset = 0;
             if ( align === 'ctr' ) lineXOffset = ( effectiveWidth - line.width ) / 2;
             else if ( align === 'r' ) lineXOffset = effectiveWidth - line.width;
-            line.x = paddedPos.x + lineIndent + bulletOffset + lineXOffset;
+            line.x = blockX + ( line.column || 0 ) * ( columnWidth + spcCol ) + ( line.rtl ? 0 : lineOffsets[ index ] ) + lineXOffset;
         }
 
-        return { totalHeight: currentY, lines };
+        return { totalHeight, lines };
     }
 
-    async parseChart( frameNode, chartXml, parentMatrix ) {
+    async parseChart( frameNode, chartXml, chartPath, parentMatrix ) {
         const xfrmNode = frameNode.getElementsByTagNameNS( PML_NS, 'xfrm' )[ 0 ];
         if ( !xfrmNode ) return null;
         const off = xfrmNode.getElementsByTagNameNS( DML_NS, 'off' )[ 0 ];
@@ -1089,11 +1900,36 @@ export class SlideHandler {
             height: h,
         };
 
+        // The series colors of newer charts come from the color style part related to the chart
+        const chartRelsPath = `ppt/charts/_rels/${ chartPath.split( '/' ).pop() }.rels`;
+        const chartRels = await getRelationships( this.entriesMap, chartRelsPath );
+        const colorStyleRel = Object.values( chartRels ).find( rel => rel.type?.endsWith( '/chartColorStyle' ) );
+        const colorStyleXml = colorStyleRel
+            ? await getNormalizedXmlString( this.entriesMap, resolvePath( 'ppt/charts', colorStyleRel.target ) )
+            : null;
+
+        // The embedded workbook holds the source data, which may be newer than the caches in the chart part
+        const workbookRel = Object.values( chartRels ).find( rel => rel.type?.endsWith( '/package' ) );
+        const workbookPath = workbookRel ? resolvePath( 'ppt/charts', workbookRel.target ) : null;
+        let workbook = null;
+        if ( workbookPath && this.entriesMap[ workbookPath ] ) {
+            try {
+                workbook = await parseWorkbook( await this.entriesMap[ workbookPath ].async( 'arraybuffer' ) );
+            } catch ( e ) {
+                console.warn( `Failed to read the embedded workbook of chart ${ chartPath } at ${ workbookPath }`, e );
+            }
+        }
+
+        const chartData = parseChart( chartXml, this.slideContext, colorStyleXml, workbook );
+        if ( chartData && workbook ) {
+            chartData.workbookPath = workbookPath;
+        }
+
         return {
             type: 'chart',
             pos,
             transform,
-            chartData: parseChart( chartXml ),
+            chartData,
         };
     }
 
@@ -1122,20 +1958,10 @@ export class SlideHandler {
         foreignObject.appendChild( chartContainer );
         this.renderer.currentGroup.appendChild( foreignObject );
 
+        const config = buildChartConfig( data );
+
         // Assuming Chart.js and ChartDataLabels are available globally or imported elsewhere
-        new Chart( canvas.getContext( '2d' ), {
-            type: data.type,
-            plugins: [ ChartDataLabels ],
-            data: { labels: data.labels, datasets: data.datasets },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    title: { display: !!data.title, text: data.title },
-                    datalabels: { anchor: 'center', align: 'center', formatter: Math.round, font: { weight: 'bold', size: 14 }, color: '#fff' }
-                }
-            }
-        } );
+        new Chart( canvas.getContext( '2d' ), { ...config, plugins: [ ChartDataLabels ] } );
     }
 
     async parseDiagram( frameNode, parentMatrix ) {
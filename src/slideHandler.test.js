@@ -22,6 +22,11 @@ vi.mock('utils', () => ({
     getAutoNumberingChar: vi.fn(),
     resolveFontFamily: vi.fn().mockReturnValue('Arial'),
     parseChart: vi.fn(),
+    parseTiming: vi.fn().mockReturnValue(null),
+    parseMediaReference: vi.fn().mockReturnValue(null),
+    parseHyperlink: vi.fn().mockReturnValue(null),
+    getExternalLinkAction: vi.fn(),
+    loadMediaSource: vi.fn(),
     DiagramBuilder: vi.fn(() => ({
         build: vi.fn().mockResolvedValue([{
             type: 'shape',
@@ -35,16 +40,34 @@ vi.mock('utils', () => ({
         }])
     })),
     parseShapeProperties: vi.fn().mockReturnValue({ fill: {}, stroke: {}, effect: {} }),
+    parseShape3d: vi.fn().mockReturnValue({ scene3d: null, shape3d: null }),
+    parseShapeEffects: vi.fn().mockReturnValue({ effect: null, effects: null }),
     parseBodyProperties: vi.fn().mockReturnValue({}),
     parseParagraphProperties: vi.fn().mockReturnValue({ bullet: {}, defRPr: {} }),
+    parseRunFormatting: vi.fn().mockReturnValue({}),
+    parseHeaderFooter: vi.fn().mockReturnValue(null),
+    getHeaderFooterVisibility: vi.fn().mockReturnValue({ sldNum: true, hdr: true, ftr: true, dt: true }),
+    resolveFieldText: vi.fn(field => field.text),
+    splitByScript: vi.fn(text => [{ text, script: 'latin' }]),
+    splitLineBreakSegments: vi.fn(text => text.split(/(\s+)/).filter(Boolean)),
+    getBidiType: vi.fn().mockReturnValue('L'),
+    resolveBidiLevels: vi.fn(types => types.map(() => 0)),
+    reorderByLevels: vi.fn(items => items),
     getCellFillColor: vi.fn(),
     getCellTextStyle: vi.fn(),
     getCellBorders: vi.fn(),
     buildPathStringFromGeom: vi.fn(),
+    getGeometryTextRect: vi.fn((geometry, pos) => pos),
+    buildChartConfig: vi.fn(() => ({ options: { plugins: {} } })),
     parseSourceRectangle: vi.fn(),
+    parseBlipAdjustments: vi.fn().mockReturnValue([]),
+    parseImageEffects: vi.fn().mockReturnValue([]),
+    parseSvgBlip: vi.fn().mockReturnValue(null),
     createImage: vi.fn(),
     resolvePath: vi.fn(),
     getNormalizedXmlString: vi.fn(),
+    getRelationships: vi.fn().mockResolvedValue({}),
+    parseWorkbook: vi.fn(),
     parseExtensions: vi.fn(),
     parseGradientFill: vi.fn(),
 }));
@@ -215,6 +238,62 @@ describe('SlideHandler', () => {
 
             expect(result.shapes.length).toBe(0);
         });
+
+        it('should hide the header and footer placeholders the slide does not show', async () => {
+            const visibility = { sldNum: false, hdr: true, ftr: false, dt: true };
+            slideHandler.headerFooter = visibility;
+            allUtils.getHeaderFooterVisibility.mockReturnValueOnce(visibility);
+
+            await slideHandler.parse();
+
+            expect(allUtils.getHeaderFooterVisibility).toHaveBeenCalledWith([visibility, null]);
+            expect(slideHandler.parseShapeTree).toHaveBeenCalledWith(expect.anything(), expect.anything(), visibility, slideHandler.slideImageMap);
+        });
+
+        describe('header and footer placeholders', () => {
+            const ftrSlideXml = '<p:sld xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"><p:cSld><p:spTree><p:sp><p:nvSpPr><p:nvPr><p:ph type="ftr" idx="11"/></p:nvPr></p:nvSpPr></p:sp></p:spTree></p:cSld></p:sld>';
+
+            beforeEach(async () => {
+                const pptxParser = await vi.importActual('./utils/pptxParser.js');
+                allUtils.parseHeaderFooter.mockImplementation(pptxParser.parseHeaderFooter);
+                allUtils.getHeaderFooterVisibility.mockImplementation(pptxParser.getHeaderFooterVisibility);
+                slideHandler.showMasterShapes = true;
+                slideHandler.masterStaticShapes = [];
+                slideHandler.layoutStaticShapes = [];
+                slideHandler.layoutPlaceholders = {
+                    idx_10: { type: 'dt', pos: { x: 0, y: 500, width: 200, height: 30 } },
+                    idx_11: { type: 'ftr', pos: { x: 300, y: 500, width: 300, height: 30 } },
+                };
+                slideHandler.masterPlaceholders = { idx_4: { type: 'sldNum', pos: { x: 700, y: 500, width: 200, height: 30 } } };
+            });
+
+            afterEach(() => {
+                allUtils.parseHeaderFooter.mockReset().mockReturnValue(null);
+                allUtils.getHeaderFooterVisibility.mockReset().mockReturnValue({ sldNum: true, hdr: true, ftr: true, dt: true });
+            });
+
+            it('should switch off the slide\'s own footer when the master hides footers', async () => {
+                allUtils.parseXmlString.mockReturnValue(new DOMParser().parseFromString(ftrSlideXml, 'text/xml'));
+                slideHandler.headerFooter = { sldNum: true, hdr: false, ftr: false, dt: false };
+
+                await slideHandler.parse();
+
+                // The slide's own shapes are parsed last
+                const calls = slideHandler.parseShapeTree.mock.calls;
+                expect(Array.from(calls.at(-1)[0])[0].localName).toBe('sp');
+                expect(calls.at(-1)[2].ftr).toBe(false);
+            });
+
+            it('should draw no date, footer or slide number when the slide has no such placeholder', async () => {
+                slideHandler.headerFooter = { sldNum: true, hdr: true, ftr: true, dt: true };
+
+                const result = await slideHandler.parse();
+
+                const parsedNodes = slideHandler.parseShapeTree.mock.calls.flatMap(call => Array.from(call[0]));
+                expect(parsedNodes.length).toBe(1);
+                expect(result.shapes.length).toBe(1);
+            });
+        });
     });
 
     describe('render', () => {
@@ -325,6 +404,46 @@ describe('SlideHandler', () => {
             expect(shapeData.text).toEqual({ layout: { lines: [1, 2], totalHeight: 50 }, bodyPr: { tIns: 0, bIns: 0 }, pos: { height: 100 } });
         });
 
+        it('should grow a shape that resizes to fit its text', async () => {
+            allUtils.parseBodyProperties.mockReturnValueOnce({ autofitType: 'sp' });
+            slideHandler.parseParagraphs = vi.fn().mockReturnValue({ layout: { lines: [1, 2], totalHeight: 34, overflow: 30 }, bodyPr: { tIns: 0, bIns: 0 }, pos: { height: 4 } });
+
+            const shapeData = await slideHandler.parseShape(mockShapeNode, {}, new allUtils.Matrix(), {}, new Set());
+
+            expect(shapeData.pos.height).toBe(34);
+            expect(shapeData.text.pos.height).toBe(34);
+            expect(shapeData.text.layout.overflow).toBe(0);
+        });
+
+        it('should shrink a shape that resizes to fit shorter text', async () => {
+            allUtils.parseBodyProperties.mockReturnValueOnce({ autofitType: 'sp' });
+            slideHandler.parseParagraphs = vi.fn().mockReturnValue({ layout: { lines: [1], totalHeight: 3, overflow: 0 }, bodyPr: { tIns: 0, bIns: 0 }, pos: { height: 4 } });
+
+            const shapeData = await slideHandler.parseShape(mockShapeNode, {}, new allUtils.Matrix(), {}, new Set());
+
+            expect(shapeData.pos.height).toBe(3);
+            expect(shapeData.text.pos.height).toBe(3);
+            expect(shapeData.text.layout.overflow).toBe(0);
+        });
+
+        it('should keep the size of a rotated shape that resizes to fit its text', async () => {
+            allUtils.parseBodyProperties.mockReturnValueOnce({ autofitType: 'sp' });
+            allUtils.ShapeBuilder.mockImplementation(() => ({
+                getShapeProperties: vi.fn().mockReturnValue({
+                    pos: { x: 1, y: 2, width: 3, height: 4 },
+                    transform: 'matrix(0 1 -1 0 10 20)',
+                    rot: 90,
+                }),
+            }));
+            slideHandler.parseParagraphs = vi.fn().mockReturnValue({ layout: { lines: [1, 2], totalHeight: 34, overflow: 30 }, bodyPr: { tIns: 0, bIns: 0 }, pos: { height: 4 } });
+
+            const shapeData = await slideHandler.parseShape(mockShapeNode, {}, new allUtils.Matrix(), {}, new Set());
+
+            expect(shapeData.pos.height).toBe(4);
+            expect(shapeData.transform).toBe('matrix(0 1 -1 0 10 20)');
+            expect(shapeData.text.layout.overflow).toBe(30);
+        });
+
         it('should render a shape and its text', async () => {
             const shapeData = {
                 type: 'shape',
@@ -390,6 +509,254 @@ describe('SlideHandler', () => {
             expect(textData.layout.lines[0].runs.length).toBeGreaterThan(0);
         });
 
+        it('should lay out the character formatting of runs', () => {
+            allUtils.parseRunFormatting
+                .mockReturnValueOnce({ cap: 'all', spacing: 2 })
+                .mockReturnValueOnce({ baseline: 0.3, strike: 'noStrike' });
+            const pos = { x: 0, y: 0, width: 400, height: 100 };
+            const textData = slideHandler.parseParagraphs(mockTxBody, pos, 'body', 'body', {}, {}, {}, slideHandler.defaultTextStyles, slideHandler.masterPlaceholders, slideHandler.layoutPlaceholders);
+
+            const [ hello, world ] = textData.layout.lines.flatMap(line => line.runs).filter(run => run.text.trim());
+            expect(hello.text).toBe('HELLO,');
+            expect(hello.width).toBe(6 * 10 + 6 * 2);
+            expect(hello.spacing).toBe(2);
+            expect(world.text).toBe('World!');
+            expect(world.font.size).toBeCloseTo(24 * 0.975 * 2 / 3);
+            expect(world.baselineShift).toBeCloseTo(0.3 * 24 * 0.975);
+            expect(world.strike).toBeUndefined();
+        });
+
+        it('should apply line spacing, paragraph spacing and the autofit line spacing reduction', () => {
+            const xmlString = `
+                <p:txBody xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
+                    <a:p><a:pPr/><a:r><a:rPr sz="2000"/><a:t>One</a:t></a:r></a:p>
+                    <a:p><a:pPr/><a:endParaRPr sz="1000"/></a:p>
+                    <a:p><a:pPr/><a:r><a:rPr sz="2000"/><a:t>Two</a:t></a:r></a:p>
+                </p:txBody>
+            `;
+            const txBody = new DOMParser().parseFromString(xmlString, 'text/xml').documentElement;
+            allUtils.parseParagraphProperties
+                .mockReturnValueOnce({ bullet: {}, defRPr: {}, lineSpacing: { type: 'percent', value: 1.5 }, spaceAfter: { type: 'points', value: 10 } })
+                .mockReturnValueOnce({ bullet: {}, defRPr: {} })
+                .mockReturnValueOnce({ bullet: {}, defRPr: {}, lineSpacing: { type: 'points', value: 30 }, spaceBefore: { type: 'percent', value: 0.5 } });
+            const pos = { x: 0, y: 0, width: 400, height: 200 };
+            const { layout } = slideHandler.parseParagraphs(txBody, pos, 'body', 'body', {}, { lnSpcReduction: 0.1 }, {}, slideHandler.defaultTextStyles, slideHandler.masterPlaceholders, slideHandler.layoutPlaceholders);
+
+            const size = 20 * 0.975;
+            const emptySize = 10 * 0.975;
+            const [ one, two ] = layout.lines;
+            expect(one.startY).toBe(0);
+            expect(one.height).toBeCloseTo(size * 1.2 * 1.4);
+            expect(one.baseline).toBeCloseTo(one.height - size * 0.2);
+            const emptyHeight = emptySize * 1.2 * 0.9;
+            expect(two.startY).toBeCloseTo(one.height + 10 + emptyHeight + 0.5 * size * 1.2);
+            expect(two.height).toBeCloseTo(30 * 0.9);
+            expect(layout.totalHeight).toBeCloseTo(two.startY + two.height);
+        });
+
+        describe('body properties', () => {
+            const parseText = (paragraphs, bodyPr, pos = { x: 0, y: 0, width: 200, height: 100 }) => {
+                const xmlString = `<p:txBody xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">${paragraphs}</p:txBody>`;
+                const txBody = new DOMParser().parseFromString(xmlString, 'text/xml').documentElement;
+                return slideHandler.parseParagraphs(txBody, pos, 'body', 'body', {}, bodyPr, {}, slideHandler.defaultTextStyles, slideHandler.masterPlaceholders, slideHandler.layoutPlaceholders);
+            };
+
+            it('should keep unwrapped text on one line', () => {
+                const textData = parseText('<a:p><a:r><a:t>A label much wider than its box</a:t></a:r></a:p>', { wrap: 'none' });
+                expect(textData.layout.lines.length).toBe(1);
+                expect(textData.layout.lines[0].width).toBeGreaterThan(200);
+            });
+
+            it('should flow lines into columns', () => {
+                const paragraphs = Array.from({ length: 6 }, (_, index) => `<a:p><a:r><a:rPr sz="2000"/><a:t>Line${index}</a:t></a:r></a:p>`).join('');
+                const { layout } = parseText(paragraphs, { numCol: 2, spcCol: 20, lIns: 0, rIns: 0, tIns: 0, bIns: 0 });
+                const lineHeight = 20 * 0.975 * 1.2;
+                const perColumn = Math.floor(100 / lineHeight);
+                expect(layout.lines[perColumn - 1].column).toBe(0);
+                expect(layout.lines[perColumn].column).toBe(1);
+                expect(layout.lines[perColumn].startY).toBe(0);
+                expect(layout.lines[perColumn].x).toBe(90 + 20);
+                expect(layout.totalHeight).toBeCloseTo(perColumn * lineHeight);
+            });
+
+            it('should center the text block with anchorCtr', () => {
+                const { layout } = parseText('<a:p><a:r><a:t>Short</a:t></a:r></a:p><a:p><a:r><a:t>Longer</a:t></a:r></a:p>', { anchorCtr: true, lIns: 0, rIns: 0 });
+                expect(layout.lines[0].x).toBe((200 - 60) / 2);
+                expect(layout.lines[1].x).toBe((200 - 60) / 2);
+            });
+
+            it('should lay out vertical text in a turned frame and rotate it back', () => {
+                const textData = parseText('<a:p><a:r><a:t>Up</a:t></a:r></a:p>', { vert: 'vert270' });
+                expect(textData.pos).toEqual({ x: 50, y: -50, width: 100, height: 200 });
+                expect(textData.rotation).toBe(270);
+
+                slideHandler.renderer = { currentGroup: document.createElementNS('http://www.w3.org/2000/svg', 'g') };
+                slideHandler.renderParagraphs(textData, 'text-1');
+                expect(slideHandler.renderer.currentGroup.querySelector('g[id="text-1"]').getAttribute('transform')).toBe('rotate(270 100 50)');
+            });
+
+            it('should stack the letters of WordArt vertical text', () => {
+                const { layout } = parseText('<a:p><a:r><a:t>ABC</a:t></a:r></a:p>', { vert: 'wordArtVert' });
+                expect(layout.lines.map(line => line.runs[0].text)).toEqual(['A', 'B', 'C']);
+            });
+        });
+
+        describe('autofit', () => {
+            const insets = { lIns: 0, rIns: 0, tIns: 0, bIns: 0 };
+            const parseText = (lineCount, bodyPr) => {
+                const paragraphs = Array.from({ length: lineCount }, (_, index) => `<a:p><a:r><a:rPr sz="2000"/><a:t>Line${index}</a:t></a:r></a:p>`).join('');
+                const xmlString = `<p:txBody xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">${paragraphs}</p:txBody>`;
+                const txBody = new DOMParser().parseFromString(xmlString, 'text/xml').documentElement;
+                return slideHandler.parseParagraphs(txBody, { x: 0, y: 0, width: 200, height: 100 }, 'body', 'body', {}, { ...insets, ...bodyPr }, {}, slideHandler.defaultTextStyles, slideHandler.masterPlaceholders, slideHandler.layoutPlaceholders);
+            };
+
+            it('should report the overflow of text that does not fit', () => {
+                const { layout } = parseText(6, {});
+                expect(layout.overflow).toBeCloseTo(6 * 20 * 0.975 * 1.2 - 100);
+            });
+
+            it('should reduce the line spacing before shrinking the font', () => {
+                const { layout, bodyPr } = parseText(5, { autofitType: 'norm' });
+                expect(bodyPr.fontScale).toBe(1);
+                expect(bodyPr.lnSpcReduction).toBe(0.2);
+                expect(layout.overflow).toBe(0);
+            });
+
+            it('should search the largest font scale that fits', () => {
+                const { layout, bodyPr } = parseText(8, { autofitType: 'norm' });
+                expect(bodyPr.fontScale).toBeLessThan(1);
+                expect(bodyPr.lnSpcReduction).toBe(0.2);
+                expect(layout.overflow).toBe(0);
+                expect(layout.totalHeight).toBeGreaterThan(95);
+            });
+
+            it('should keep a saved scale that still fits', () => {
+                const { bodyPr } = parseText(3, { autofitType: 'norm', fontScale: 0.9, lnSpcReduction: 0.1 });
+                expect(bodyPr.fontScale).toBe(0.9);
+                expect(bodyPr.lnSpcReduction).toBe(0.1);
+            });
+        });
+
+        describe('scripts and direction', () => {
+            const parseText = (paragraphs, width = 200) => {
+                const xmlString = `<p:txBody xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">${paragraphs}</p:txBody>`;
+                const txBody = new DOMParser().parseFromString(xmlString, 'text/xml').documentElement;
+                return slideHandler.parseParagraphs(txBody, { x: 0, y: 0, width, height: 100 }, 'body', 'body', {}, { lIns: 0, rIns: 0, tIns: 0, bIns: 0 }, {}, slideHandler.defaultTextStyles, slideHandler.masterPlaceholders, slideHandler.layoutPlaceholders);
+            };
+
+            const textScriptFunctions = ['splitByScript', 'splitLineBreakSegments', 'getBidiType', 'resolveBidiLevels', 'reorderByLevels'];
+
+            beforeEach(async () => {
+                const textScripts = await vi.importActual('./utils/textScripts.js');
+                textScriptFunctions.forEach(name => allUtils[name].mockImplementation(textScripts[name]));
+            });
+
+            afterEach(() => {
+                textScriptFunctions.forEach(name => allUtils[name].mockReset());
+            });
+
+            it('should wrap East Asian text between characters', () => {
+                const { layout } = parseText('<a:p><a:r><a:t>日本語のテキスト</a:t></a:r></a:p>', 50);
+                expect(layout.lines.map(line => line.runs.map(run => run.text).join(''))).toEqual(['日本語のテ', 'キスト']);
+            });
+
+            it('should resolve the font of each script of a run', () => {
+                parseText('<a:p><a:r><a:t>Hello 世界</a:t></a:r></a:p>');
+                expect(allUtils.resolveFontFamily).toHaveBeenCalledWith(expect.any(Object), 'body', slideHandler.slideContext, 'latin');
+                expect(allUtils.resolveFontFamily).toHaveBeenCalledWith(expect.any(Object), 'body', slideHandler.slideContext, 'ea');
+            });
+
+            it('should right align and reorder right-to-left paragraphs', () => {
+                allUtils.parseParagraphProperties.mockReturnValueOnce({ bullet: {}, defRPr: {}, rtl: true });
+                const textData = parseText('<a:p><a:pPr rtl="1"/><a:r><a:t>שלום עולם</a:t></a:r></a:p>');
+                const [line] = textData.layout.lines;
+                expect(line.rtl).toBe(true);
+                expect(line.x).toBe(200 - 90);
+                expect(line.runs.map(run => run.text)).toEqual(['עולם', ' ', 'שלום']);
+
+                slideHandler.renderer = { currentGroup: document.createElementNS('http://www.w3.org/2000/svg', 'g') };
+                slideHandler.renderParagraphs(textData, 'text-1');
+                const tspans = Array.from(slideHandler.renderer.currentGroup.querySelectorAll('tspan'));
+                expect(tspans.map(tspan => tspan.getAttribute('x'))).toEqual(['110', '150', '160']);
+                expect(tspans[0].getAttribute('direction')).toBe('rtl');
+            });
+
+            it('should mirror the bullets of right-to-left paragraphs', () => {
+                allUtils.parseParagraphProperties.mockReturnValueOnce({ bullet: { type: 'char', char: '•' }, defRPr: {}, rtl: true });
+                const textData = parseText('<a:p><a:r><a:t>שלום</a:t></a:r></a:p>');
+                const drawText = vi.fn();
+                slideHandler.renderer = { currentGroup: document.createElementNS('http://www.w3.org/2000/svg', 'g'), drawText };
+                slideHandler.renderParagraphs(textData, 'text-1');
+                const [line] = textData.layout.lines;
+                expect(line.x).toBe(200 - 20 - 40);
+                expect(drawText).toHaveBeenCalledWith('•', line.x + 40 + 20, expect.any(Number), expect.objectContaining({ textAnchor: 'end', direction: 'rtl' }));
+            });
+        });
+
+        describe('tabs', () => {
+            const parseText = (text, paragraphProps) => {
+                allUtils.parseParagraphProperties.mockReturnValueOnce({ bullet: {}, defRPr: {}, ...paragraphProps });
+                const xmlString = `<p:txBody xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"><a:p><a:r><a:t>${text}</a:t></a:r></a:p></p:txBody>`;
+                const txBody = new DOMParser().parseFromString(xmlString, 'text/xml').documentElement;
+                return slideHandler.parseParagraphs(txBody, { x: 0, y: 0, width: 400, height: 100 }, 'body', 'body', {}, { lIns: 0, rIns: 0, tIns: 0, bIns: 0 }, {}, slideHandler.defaultTextStyles, slideHandler.masterPlaceholders, slideHandler.layoutPlaceholders);
+            };
+            const getTabWidths = textData => textData.layout.lines[0].runs.filter(run => run.tab).map(run => run.width);
+
+            it('should move text after a left tab to the tab stop', () => {
+                expect(getTabWidths(parseText('Item\tPrice', { tabs: [{ pos: 100, align: 'l' }] }))).toEqual([60]);
+            });
+
+            it('should end text after a right tab at the tab stop', () => {
+                expect(getTabWidths(parseText('Item\t$1.50', { tabs: [{ pos: 150, align: 'r' }] }))).toEqual([150 - 40 - 50]);
+            });
+
+            it('should center text after a centered tab on the tab stop', () => {
+                expect(getTabWidths(parseText('Item\t$1.50', { tabs: [{ pos: 150, align: 'ctr' }] }))).toEqual([150 - 40 - 25]);
+            });
+
+            it('should align the decimal point of text after a decimal tab on the tab stop', () => {
+                expect(getTabWidths(parseText('Item\t$12.50', { tabs: [{ pos: 150, align: 'dec' }] }))).toEqual([150 - 40 - 30]);
+            });
+
+            it('should continue with default tab stops after the last tab stop', () => {
+                const textData = parseText('Item\tA\tB', { tabs: [{ pos: 50, align: 'l' }], defaultTabSize: 80 });
+                expect(getTabWidths(textData)).toEqual([10, 80 - 60]);
+                expect(textData.layout.lines[0].width).toBe(90);
+            });
+
+            it('should place the runs after a tab at their laid out position', () => {
+                const textData = parseText('Item\tPrice', { tabs: [{ pos: 100, align: 'l' }] });
+                slideHandler.renderer = { currentGroup: document.createElementNS('http://www.w3.org/2000/svg', 'g') };
+                slideHandler.renderParagraphs(textData, 'text-1');
+                const tspans = Array.from(slideHandler.renderer.currentGroup.querySelectorAll('tspan'));
+                expect(tspans.map(tspan => tspan.textContent)).toEqual(['Item', 'Price']);
+                expect(tspans.map(tspan => tspan.getAttribute('x'))).toEqual(['0', '100']);
+            });
+        });
+
+        describe('fields', () => {
+            const parseText = paragraph => {
+                const xmlString = `<p:txBody xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">${paragraph}</p:txBody>`;
+                const txBody = new DOMParser().parseFromString(xmlString, 'text/xml').documentElement;
+                return slideHandler.parseParagraphs(txBody, { x: 0, y: 0, width: 400, height: 100 }, 'body', 'body', {}, { lIns: 0, rIns: 0, tIns: 0, bIns: 0 }, {}, slideHandler.defaultTextStyles, slideHandler.masterPlaceholders, slideHandler.layoutPlaceholders);
+            };
+
+            it('should show the resolved text of fields instead of their cached text', () => {
+                slideHandler.slideNum = 3;
+                slideHandler.firstSlideNum = 0;
+                slideHandler.fieldResolvers = { custom: vi.fn() };
+                allUtils.parseRunFormatting.mockReturnValueOnce({ lang: 'de-DE' });
+                allUtils.resolveFieldText.mockReturnValueOnce('2');
+                const textData = parseText('<a:p><a:fld id="{B6F15528-21DE-4FAA-801E-634DDDAF4B2B}" type="slidenum"><a:rPr lang="de-DE"/><a:t>‹#›</a:t></a:fld></a:p>');
+
+                expect(allUtils.resolveFieldText).toHaveBeenCalledWith(
+                    { type: 'slidenum', id: '{B6F15528-21DE-4FAA-801E-634DDDAF4B2B}', text: '‹#›', lang: 'de-DE' },
+                    { slideNumber: 2, fieldResolvers: slideHandler.fieldResolvers },
+                );
+                expect(textData.layout.lines[0].runs.map(run => run.text)).toEqual(['2']);
+            });
+        });
+
         it('should render paragraphs to the SVG', () => {
             const layout = {
                 totalHeight: 50,
@@ -487,6 +854,166 @@ describe('SlideHandler', () => {
             expect(textElements2[0].textContent).toBe('•');
             expect(textElements2[1].textContent).toBe('Line 2');
         });
+
+        it('should wrap linked runs in anchors', async () => {
+            const { getExternalLinkAction } = await vi.importActual('./utils/pptxParser.js');
+            allUtils.getExternalLinkAction.mockImplementation(getExternalLinkAction);
+            const layout = {
+                totalHeight: 25,
+                lines: [
+                    {
+                        x: 10,
+                        startY: 0,
+                        width: 180,
+                        height: 25,
+                        runs: [
+                            { text: 'Agenda', font: { size: 24, family: 'Arial' }, color: '#0563C1', underline: 'sng', hyperlink: { action: 'slide', target: 'ppt/slides/slide3.xml', tooltip: 'Go to agenda' } },
+                            { text: 'Site', font: { size: 24, family: 'Arial' }, color: '#0563C1', underline: 'sng', hyperlink: { action: 'url', target: 'https://example.com/', tooltip: null } },
+                        ],
+                        paragraphProps: { defRPr: {} },
+                    },
+                ],
+            };
+            const textData = { layout, bodyPr: {}, pos: { x: 0, y: 0, width: 200, height: 100 } };
+            slideHandler.renderer = {
+                currentGroup: document.createElementNS('http://www.w3.org/2000/svg', 'g'),
+            };
+            slideHandler.renderParagraphs(textData, 'text-1');
+
+            const anchors = slideHandler.renderer.currentGroup.querySelectorAll('text a');
+            expect(anchors.length).toBe(2);
+            expect(anchors[0].dataset.action).toBe('slide');
+            expect(anchors[0].dataset.target).toBe('ppt/slides/slide3.xml');
+            expect(anchors[0].hasAttribute('href')).toBe(false);
+            expect(anchors[0].querySelector('title').textContent).toBe('Go to agenda');
+            expect(anchors[0].querySelector('tspan').getAttribute('text-decoration')).toBe('underline');
+            expect(anchors[1].getAttribute('href')).toBe('https://example.com/');
+            expect(anchors[1].getAttribute('target')).toBe('_blank');
+        });
+
+        it('should not link to targets that are not web or email links', async () => {
+            const { getExternalLinkAction } = await vi.importActual('./utils/pptxParser.js');
+            allUtils.getExternalLinkAction.mockImplementation(getExternalLinkAction);
+            const parent = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            const element = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            parent.appendChild(element);
+
+            const result = slideHandler.renderHyperlink(element, { action: 'url', target: 'javascript:alert(1)', tooltip: null });
+
+            expect(result).toBe(element);
+            expect(parent.querySelector('a')).toBeNull();
+            expect(parent.querySelector('[href]')).toBeNull();
+        });
+
+        it('should only show the target of web links followed on hover', async () => {
+            const { getExternalLinkAction } = await vi.importActual('./utils/pptxParser.js');
+            allUtils.getExternalLinkAction.mockImplementation(getExternalLinkAction);
+            const parent = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            const element = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            parent.appendChild(element);
+
+            const wrapper = slideHandler.renderHyperlink(element, { action: 'url', target: 'https://example.com/', tooltip: null }, 'hover');
+
+            expect(wrapper.dataset.trigger).toBeUndefined();
+            expect(wrapper.dataset.action).toBeUndefined();
+            expect(wrapper.querySelector('title').textContent).toBe('https://example.com/');
+        });
+
+        it('should draw the character formatting of runs', () => {
+            const layout = {
+                totalHeight: 25,
+                lines: [
+                    {
+                        x: 10,
+                        startY: 0,
+                        width: 120,
+                        height: 25,
+                        runs: [
+                            { text: 'H', font: { size: 24, family: 'Arial', variant: 'small-caps' }, color: '#000', width: 20, highlight: '#FFFF00', spacing: 2, kerning: 'none' },
+                            { text: '2', font: { size: 16, family: 'Arial' }, color: '#000', width: 10, baselineShift: -6 },
+                            { text: 'O', font: { size: 24, family: 'Arial' }, color: '#000', width: 20, underline: 'dbl', underlineColor: '#FF0000', strike: 'sngStrike' },
+                            { text: ' ', font: { size: 24, family: 'Arial' }, color: '#000', width: 5, underline: 'words' },
+                            { text: 'x', font: { size: 24, family: 'Arial' }, color: '#000', width: 10, underline: 'wavyHeavy' },
+                        ],
+                        paragraphProps: { defRPr: {} },
+                    },
+                ],
+            };
+            const textData = { layout, bodyPr: {}, pos: { x: 0, y: 0, width: 200, height: 100 } };
+            slideHandler.renderer = {
+                currentGroup: document.createElementNS('http://www.w3.org/2000/svg', 'g'),
+            };
+            slideHandler.renderParagraphs(textData, 'text-1');
+
+            const highlight = slideHandler.renderer.currentGroup.querySelector('rect');
+            expect(highlight.getAttribute('x')).toBe('10');
+            expect(highlight.getAttribute('width')).toBe('20');
+            expect(highlight.getAttribute('fill')).toBe('#FFFF00');
+
+            const tspans = slideHandler.renderer.currentGroup.querySelectorAll('tspan');
+            expect(tspans[0].getAttribute('font-variant')).toBe('small-caps');
+            expect(tspans[0].getAttribute('letter-spacing')).toBe('2');
+            expect(tspans[0].getAttribute('style')).toBe('font-kerning: none');
+            expect(tspans[1].getAttribute('baseline-shift')).toBe('-6');
+            expect(tspans[2].getAttribute('text-decoration')).toBe('underline line-through');
+            expect(tspans[2].getAttribute('style')).toBe('text-decoration-style: double; text-decoration-color: #FF0000');
+            expect(tspans[3].hasAttribute('text-decoration')).toBe(false);
+            expect(tspans[4].getAttribute('style')).toBe('text-decoration-style: wavy; text-decoration-thickness: 0.1em');
+        });
+    });
+
+    describe('tables', () => {
+        const parseTable = rows => {
+            const xmlString = `
+                <p:graphicFrame xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
+                    <p:xfrm><a:off x="0" y="0"/><a:ext cx="2540000" cy="762000"/></p:xfrm>
+                    <a:graphic><a:graphicData><a:tbl>
+                        <a:tblGrid><a:gridCol w="1270000"/><a:gridCol w="1270000"/></a:tblGrid>
+                        ${rows}
+                    </a:tbl></a:graphicData></a:graphic>
+                </p:graphicFrame>`;
+            const frameNode = new DOMParser().parseFromString(xmlString, 'text/xml').documentElement;
+            return slideHandler.parseTable(frameNode, new allUtils.Matrix(), {});
+        };
+        const cell = (text, tcPr = '<a:tcPr/>') => `<a:tc><a:txBody><a:bodyPr/><a:p><a:r><a:t>${text}</a:t></a:r></a:p></a:txBody>${tcPr}</a:tc>`;
+
+        it('should grow rows to fit the text of their cells and move later rows down', async () => {
+            const tableData = await parseTable(`
+                <a:tr h="381000">${cell('one two three four five six')}${cell('short')}</a:tr>
+                <a:tr h="381000">${cell('a')}${cell('b')}</a:tr>
+            `);
+            const [first, second, third] = tableData.cells;
+            expect(first.pos.height).toBeGreaterThan(30);
+            expect(first.text.layout.overflow).toBe(0);
+            expect(second.pos.height).toBe(first.pos.height);
+            expect(third.pos.y).toBe(first.pos.height);
+            expect(third.text.pos.y).toBe(first.pos.height);
+            expect(tableData.pos.height).toBe(first.pos.height + 30);
+        });
+
+        it('should keep the height of rows whose text fits', async () => {
+            const tableData = await parseTable(`<a:tr h="381000">${cell('a')}${cell('b')}</a:tr>`);
+            expect(tableData.cells.map(c => c.pos.height)).toEqual([30, 30]);
+        });
+
+        it('should read the margins, anchor and text direction of cells', async () => {
+            const tableData = await parseTable(`<a:tr h="381000">${cell('a', '<a:tcPr marL="127000" marT="0" anchor="ctr" vert="vert270"/>')}${cell('b')}</a:tr>`);
+            const { bodyPr } = tableData.cells[0].text;
+            expect(bodyPr.lIns).toBe(10);
+            expect(bodyPr.tIns).toBe(0);
+            expect(bodyPr.anchor).toBe('ctr');
+            expect(bodyPr.vert).toBe('vert270');
+            expect(tableData.cells[1].text.bodyPr.anchor).toBeUndefined();
+        });
+
+        it('should draw the diagonal borders of cells', async () => {
+            const drawLine = vi.fn();
+            slideHandler.renderer = { setTransform: vi.fn(), drawRect: vi.fn(), drawLine };
+            const stroke = { color: '#000000', width: 1 };
+            await slideHandler.renderTable({ cells: [{ pos: { x: 0, y: 0, width: 100, height: 30 }, borders: { tlToBr: stroke, blToTr: stroke }, text: null }] }, { id: 'table-1' });
+            expect(drawLine).toHaveBeenCalledWith(0, 0, 100, 30, { stroke });
+            expect(drawLine).toHaveBeenCalledWith(0, 30, 100, 0, { stroke });
+        });
     });
 
     describe('Edge Cases and Error Handling', () => {
@@ -529,6 +1056,148 @@ describe('SlideHandler', () => {
         });
     });
 
+    describe('parseNotes', () => {
+        beforeEach(() => {
+            allUtils.parseXmlString.mockImplementation((xml) => new DOMParser().parseFromString(xml, 'text/xml'));
+            global.document.createElement = (function(create) {
+                return function(tag) {
+                    if (tag === 'canvas') {
+                        return { getContext: () => ({ measureText: (text) => ({ width: text.length * 10 }) }) };
+                    }
+                    return create.apply(this, arguments);
+                };
+            })(global.document.createElement);
+        });
+
+        it('should return null when the slide has no notes', () => {
+            expect(slideHandler.parseNotes()).toBeNull();
+        });
+
+        it('should parse the body placeholder of the notes slide into plain and rich text', () => {
+            const notesXml = `
+                <p:notes xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
+                    <p:cSld><p:spTree>
+                        <p:sp>
+                            <p:nvSpPr><p:cNvPr id="2" name="Slide Image"/><p:cNvSpPr/><p:nvPr><p:ph type="sldImg"/></p:nvPr></p:nvSpPr>
+                        </p:sp>
+                        <p:sp>
+                            <p:nvSpPr><p:cNvPr id="3" name="Notes"/><p:cNvSpPr/><p:nvPr><p:ph type="body" idx="1"/></p:nvPr></p:nvSpPr>
+                            <p:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="6350000" cy="2540000"/></a:xfrm></p:spPr>
+                            <p:txBody>
+                                <a:bodyPr/>
+                                <a:p><a:r><a:t>First point</a:t></a:r></a:p>
+                                <a:p><a:r><a:t>Second</a:t></a:r><a:br/><a:r><a:t>line</a:t></a:r></a:p>
+                            </p:txBody>
+                        </p:sp>
+                    </p:spTree></p:cSld>
+                </p:notes>
+            `;
+
+            const notes = slideHandler.parseNotes(notesXml);
+
+            expect(notes.text).toBe('First point\nSecond\nline');
+            expect(notes.richText.pos).toEqual({ x: 0, y: 0, width: 500, height: 200 });
+            expect(notes.richText.layout.lines.length).toBe(3);
+            expect(notes.richText.layout.lines[0].runs.map(run => run.text).join('')).toBe('First point');
+        });
+
+        it('should size and style the notes with the body placeholder of the notes master', () => {
+            slideHandler.notesMaster = {
+                placeholders: {
+                    idx_3: { type: 'body', idx: '3', pos: { x: 80, y: 480, width: 600, height: 300 }, listStyle: { 0: { marL: 10, defRPr: { bold: true } } }, bodyPr: { lIns: 8 } },
+                },
+                defaultTextStyles: { notes: { 0: { defRPr: { size: 12 } } } },
+            };
+            const notesXml = `
+                <p:notes xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
+                    <p:cSld><p:spTree>
+                        <p:sp>
+                            <p:nvSpPr><p:cNvPr id="3" name="Notes"/><p:cNvSpPr/><p:nvPr><p:ph type="body" idx="1"/></p:nvPr></p:nvSpPr>
+                            <p:spPr/>
+                            <p:txBody><a:bodyPr/><a:p><a:r><a:t>Styled</a:t></a:r></a:p></p:txBody>
+                        </p:sp>
+                    </p:spTree></p:cSld>
+                </p:notes>
+            `;
+
+            const notes = slideHandler.parseNotes(notesXml);
+
+            expect(notes.richText.pos).toEqual({ x: 0, y: 0, width: 600, height: 300 });
+            expect(notes.richText.bodyPr.lIns).toBe(8);
+            expect(notes.richText.layout.lines[0].paragraphProps).toMatchObject({ marL: 10, defRPr: { size: 12, bold: true } });
+        });
+    });
+
+    describe('resolveAnimationTargets', () => {
+        it('should resolve shape, group and paragraph targets into rendered element ids', () => {
+            const masterShape = { type: 'shape', spid: '4' };
+            const title = { type: 'shape', spid: '4' };
+            const body = {
+                type: 'shape',
+                spid: '5',
+                text: { layout: { lines: [{ paragraphIndex: 0 }, { paragraphIndex: 1 }, { paragraphIndex: 1 }, { paragraphIndex: 2 }] } },
+            };
+            const groupChild = { type: 'picture', spid: '8', groupSpids: ['7'] };
+            const timeline = {
+                steps: [{
+                    trigger: 'click',
+                    effects: [
+                        { spid: '4', paragraphRange: null },
+                        { spid: '5', paragraphRange: { start: 1, end: 1 } },
+                        { spid: '7', paragraphRange: null },
+                    ],
+                }],
+            };
+
+            slideHandler.resolveAnimationTargets(timeline, [title, body, groupChild], [masterShape, title, body, groupChild]);
+
+            const [titleEffect, bodyEffect, groupEffect] = timeline.steps[0].effects;
+            expect(titleEffect.targets).toEqual(['slide-1.shapes.1']);
+            expect(bodyEffect.targets).toEqual(['slide-1.shapes.2.text.line.1', 'slide-1.shapes.2.text.line.2']);
+            expect(groupEffect.targets).toEqual(['slide-1.shapes.3']);
+        });
+    });
+
+    describe('pictures', () => {
+        const pictureNode = () => new DOMParser().parseFromString(`
+            <p:pic xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+                <p:nvPicPr><p:cNvPr id="4" name="Graphic 3"/><p:cNvPicPr/><p:nvPr/></p:nvPicPr>
+                <p:blipFill><a:blip r:embed="rId2"/></p:blipFill>
+                <p:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="127000" cy="127000"/></a:xfrm></p:spPr>
+            </p:pic>
+        `, 'text/xml').documentElement;
+
+        it('should draw the SVG of an SVG picture instead of its PNG fallback', async () => {
+            allUtils.parseSvgBlip.mockReturnValueOnce('rId3');
+            const imageMap = { rId2: 'data:image/png;base64,png', rId3: 'data:image/svg+xml;base64,svg' };
+
+            const picData = await slideHandler.parsePicture(pictureNode(), new allUtils.Matrix(), {}, imageMap);
+
+            expect(picData.image.href).toBe('data:image/svg+xml;base64,svg');
+        });
+
+        it('should fall back to the PNG when the SVG is missing', async () => {
+            allUtils.parseSvgBlip.mockReturnValueOnce('rId3');
+
+            const picData = await slideHandler.parsePicture(pictureNode(), new allUtils.Matrix(), {}, { rId2: 'data:image/png;base64,png' });
+
+            expect(picData.image.href).toBe('data:image/png;base64,png');
+        });
+
+        it('should draw the effects of a picture', async () => {
+            const effects = [{ type: 'reflection', blur: 0, distance: 0, dir: 90, opacity: 0.5, startPos: 0, endOpacity: 0, endPos: 0.5, scaleY: 1 }];
+            allUtils.parseShapeEffects.mockReturnValueOnce({ effect: null, effects });
+
+            const picData = await slideHandler.parsePicture(pictureNode(), new allUtils.Matrix(), {}, { rId2: 'data:image/png;base64,png' });
+            expect(picData.effects).toBe(effects);
+            expect(picData).not.toHaveProperty('effect');
+
+            slideHandler.renderer = { setTransform: vi.fn(), drawImage: vi.fn(), currentGroup: null };
+            await slideHandler.renderPicture(picData, { id: 'pic' });
+            expect(slideHandler.renderer.drawImage).toHaveBeenCalledWith('data:image/png;base64,png', 0, 0, picData.pos.width, picData.pos.height, expect.objectContaining({ effects }));
+        });
+    });
+
     describe('Extension Parsing', () => {
         it('should parse extensions from a shape node', async () => {
             const parser = new DOMParser();
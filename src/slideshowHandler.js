@@ -6,16 +6,50 @@ import {
     getRelationships,
     getSlideOrder,
     getSlideSize,
+    getFirstSlideNumber,
+    parseEmbeddedFonts,
+    loadEmbeddedFonts,
+    unloadEmbeddedFonts,
+    unloadMediaSources,
     parseTheme,
     parseTableStyles,
     parseMasterOrLayout,
+    getHeaderFooterVisibility,
+    getExternalLinkAction,
     parseBackground,
-    populateImageMap
+    parseTransition,
+    populateImageMap,
+    playSlideTransition,
+    AnimationPlayer
 } from 'utils';
 import { PML_NS, slideshowProcessingActions as actions, SVG_NS } from 'constants';
 import { SlideHandler } from './slideHandler.js';
 import { createSlideStore, presentationStore, slideStores } from './slideshowDataStore.js';
 
+/**
+ * Finds the slide a slide-jump hyperlink moves to.
+ * @param {{action: string, target?: string}} link - The action and target of the rendered hyperlink.
+ * @param {string} activeSlide - The id of the slide the link was followed on.
+ * @param {string[]} slideIds - The ids of the presented slides, in order.
+ * @param {Object<string, string>} slidePaths - The slide ids, keyed by the path of their slide part.
+ * @returns {string|undefined} The id of the target slide, or undefined if the link does not move to a slide.
+ */
+function getLinkedSlide( { action, target }, activeSlide, slideIds, slidePaths ) {
+    const index = slideIds.indexOf( activeSlide );
+    switch ( action ) {
+        case 'slide':
+            return slidePaths[ target ];
+        case 'next':
+            return index === -1 ? undefined : slideIds[ index + 1 ];
+        case 'previous':
+            return index > 0 ? slideIds[ index - 1 ] : undefined;
+        case 'first':
+            return slideIds[ 0 ];
+        case 'last':
+            return slideIds[ slideIds.length - 1 ];
+    }
+}
+
 /**
  * Processes a presentation file, parses its contents, and renders the slides.
  * This function orchestrates the entire workflow from file reading to rendering,
@@ -25,17 +59,23 @@ import { createSlideStore, presentationStore, slideStores } from './slideshowDat
  * @param {File} options.file - The presentation file to process (e.g., a .pptx file).
  * @param {string} options.slideViewerContainer - The ID of the DOM element to render the active slide into.
  * @param {string} options.slideSelectorContainer - The ID of the DOM element to render the slide thumbnails into.
- * @returns {Promise<object>} A promise that resolves with an object containing the slideshow length, the active slide ID, and an unsubscribe function for the presentation store.
+ * @param {Object<string, Function>} [options.fieldResolvers] - Functions that resolve the text of custom text fields, by field type.
+ * Each is called with the field ({ type, id, text, lang }) and the slide ({ slideNumber, date }), and returns the text to show,
+ * or null to keep the text the field was saved with. Resolvers for `slidenum` and `datetime` fields replace the built-in ones.
+ * @returns {Promise<object>} A promise that resolves with an object containing the slideshow length, the active slide ID, and an unsubscribe function that unloads the presentation, including its embedded fonts.
  * @throws {Error} If the presentation file cannot be parsed.
  */
-export async function slideshowHandler( { file, slideViewerContainer, slideSelectorContainer } ) {
+export async function slideshowHandler( { file, slideViewerContainer, slideSelectorContainer, fieldResolvers = {} } ) {
 	const slideHandlers = {};
+	const animationPlayers = {};
+    let fontFaces = [];
+    let entriesMap = null;
 	slideStores.clear();
     presentationStore.dispatch( { type: actions.start.parsing } );
 
     try {
         const zip = await JSZip.loadAsync(file);
-        const entriesMap = zip.files;
+        entriesMap = zip.files;
 
         const presRels = await getRelationships( entriesMap, "ppt/_rels/presentation.xml.rels" );
         const sortedPresRels = Object.values( presRels ).sort( ( a, b ) => a.id.localeCompare( b.id, undefined, { numeric: true } ) );
@@ -72,17 +112,27 @@ export async function slideshowHandler( { file, slideViewerContainer, slideSelec
         const slideIds = getSlideOrder( presentationXml );
 
         const slideSize = getSlideSize( presentationXml );
+        const firstSlideNum = getFirstSlideNumber( presentationXml );
+        const showHeaderFooterOnTitleSlide = parseXmlString( presentationXml, 'presentation' ).documentElement.getAttribute( 'showSpecialPlsOnTitleSld' ) !== '0';
 
         if ( slideIds.length === 0 ) {
             return { slideshowLength: "No slides found in the presentation." };
         }
 
+        // Embedded fonts are registered before layout, so text is measured with the fonts of the author
+        fontFaces = await loadEmbeddedFonts( parseEmbeddedFonts( presentationXml ), presRels, entriesMap );
+
         const staticParsingData = {
             tableStyles,
             defaultTableStyleId,
-            entriesMap
+            entriesMap,
+            fieldResolvers,
         }
 
+        const slidePaths = {};
+        // The slides usually share one notes master, parsed once
+        const notesMasters = {};
+
         for ( let i = 0; i < slideIds.length; i++ ) {
             const slideNum = i + 1;
             const slideId = slideIds[ i ];
@@ -90,6 +140,7 @@ export async function slideshowHandler( { file, slideViewerContainer, slideSelec
             if ( !slideRel ) continue;
 
             const slidePath = resolvePath( 'ppt', slideRel.target );
+            slidePaths[ slidePath ] = slideId;
             const slideRelsPath = `ppt/slides/_rels/${ slidePath.split( '/' ).pop() }.rels`;
             const slideRels = await getRelationships( entriesMap, slideRelsPath );
             const sortedSlideRels = Object.values( slideRels ).sort( ( a, b ) => a.id.localeCompare( b.id, undefined, { numeric: true } ) );
@@ -111,6 +162,7 @@ export async function slideshowHandler( { file, slideViewerContainer, slideSelec
             let masterImageMap = {}, layoutImageMap = {};
 
             let masterStaticShapes = [], layoutStaticShapes = [];
+            let masterHeaderFooter = null, layoutHeaderFooter = null, isTitleSlide = false;
             if ( layoutRel ) {
                 const layoutPath = resolvePath( 'ppt/slides', layoutRel.target );
                 const layoutRelsPath = `ppt/slideLayouts/_rels/${ layoutPath.split( '/' ).pop() }.rels`;
@@ -133,6 +185,7 @@ export async function slideshowHandler( { file, slideViewerContainer, slideSelec
                     masterPlaceholders = masterData.placeholders;
                     masterStaticShapes = masterData.staticShapes;
                     defaultTextStyles = masterData.defaultTextStyles;
+                    masterHeaderFooter = masterData.headerFooter;
                     slideContext.colorMap = masterData.colorMap;
                 }
 
@@ -143,6 +196,8 @@ export async function slideshowHandler( { file, slideViewerContainer, slideSelec
                 }
                 layoutPlaceholders = layoutData.placeholders;
                 layoutStaticShapes = layoutData.staticShapes;
+                layoutHeaderFooter = layoutData.headerFooter;
+                isTitleSlide = layoutData.type === 'title';
                 if ( layoutData.colorMapOverride ) {
                     slideContext.colorMap = { ...slideContext.colorMap, ...layoutData.colorMapOverride };
                 }
@@ -150,6 +205,26 @@ export async function slideshowHandler( { file, slideViewerContainer, slideSelec
 
             const slideXml = await getNormalizedXmlString( entriesMap, slidePath );
 
+            let notesXml = null;
+            let notesMaster = null;
+            const notesRel = sortedSlideRels.find( r => r.type.endsWith( '/notesSlide' ) );
+            if ( notesRel ) {
+                const notesPath = resolvePath( 'ppt/slides', notesRel.target );
+                notesXml = await getNormalizedXmlString( entriesMap, notesPath );
+
+                const notesRelsPath = `ppt/notesSlides/_rels/${ notesPath.split( '/' ).pop() }.rels`;
+                const notesRels = await getRelationships( entriesMap, notesRelsPath );
+                const notesMasterRel = Object.values( notesRels ).find( r => r.type.endsWith( '/notesMaster' ) );
+                if ( notesMasterRel ) {
+                    const notesMasterPath = resolvePath( 'ppt/notesSlides', notesMasterRel.target );
+                    if ( !( notesMasterPath in notesMasters ) ) {
+                        const notesMasterXml = await getNormalizedXmlString( entriesMap, notesMasterPath );
+                        notesMasters[ notesMasterPath ] = notesMasterXml ? parseMasterOrLayout( notesMasterXml, theme, null, false ) : null;
+                    }
+                    notesMaster = notesMasters[ notesMasterPath ];
+                }
+            }
+
             const slideXmlDoc = parseXmlString( slideXml, `slide ${ slideId }` );
             const layoutXmlDoc = layoutXml ? parseXmlString( layoutXml, `layout for slide ${ slideId }` ) : null;
             const masterXmlDoc = masterXml ? parseXmlString( masterXml, `master for slide ${ slideId }` ) : null;
@@ -170,6 +245,9 @@ export async function slideshowHandler( { file, slideViewerContainer, slideSelec
                 finalBg = { ...masterBg, source: 'master' };
             }
 
+            const transition = parseTransition( slideXmlDoc );
+            const headerFooter = getHeaderFooterVisibility( [ masterHeaderFooter, layoutHeaderFooter ], isTitleSlide && !showHeaderFooterOnTitleSlide );
+
             const slideContainer = document.createElement( 'div' );
             slideContainer.className = 'slide-selector';
             slideContainer.id = slideId;
@@ -179,6 +257,8 @@ export async function slideshowHandler( { file, slideViewerContainer, slideSelec
             const slideSelector = document.getElementById( slideSelectorContainer )
             slideSelector.appendChild( slideContainer );
             slideContainer.addEventListener( 'click', ( event ) => {
+                // Hyperlinks are only followed in the slide viewer
+                event.preventDefault();
                 presentationStore.dispatch( { type: actions.change.slide, payload: event.currentTarget.id } );
             } );
 
@@ -189,6 +269,7 @@ export async function slideshowHandler( { file, slideViewerContainer, slideSelec
                 layoutPlaceholders,
                 slideId,
                 slideNum,
+                firstSlideNum,
                 slideSize,
                 defaultTextStyles,
                 slideImageMap,
@@ -197,9 +278,12 @@ export async function slideshowHandler( { file, slideViewerContainer, slideSelec
                 slideContext,
                 finalBg,
                 showMasterShapes,
+                headerFooter,
                 masterStaticShapes,
                 layoutStaticShapes,
                 slideRels,
+                notesXml,
+                notesMaster,
             }
 
             slideStores.set( slideId, createSlideStore( {
@@ -210,9 +294,10 @@ export async function slideshowHandler( { file, slideViewerContainer, slideSelec
             const slideHandler = new SlideHandler( { ...parsingData, ...staticParsingData } );
 			const renderingData = await slideHandler.parse();
 			slideHandlers[slideId] = slideHandler;
+            const notes = slideHandler.parseNotes();
 
             const slide = slideStores.get( slideId );
-            slide.dispatch( { type: actions.set.slide.data, payload: { renderingData } } );
+            slide.dispatch( { type: actions.set.slide.data, payload: { renderingData, notes, transition } } );
 
             if ( presentationStore.getState( 'status' ) !== 'rendering' ) {
                 presentationStore.dispatch( { type: actions.start.rendering } );
@@ -222,7 +307,7 @@ export async function slideshowHandler( { file, slideViewerContainer, slideSelec
         }
 
         presentationStore.dispatch( { type: actions.set.presentation.data, payload: { id: crypto.randomUUID() } } );
-		const unsubscribePresentation = presentationStore.subscribe( {
+		const unsubscribeStore = presentationStore.subscribe( {
 			key: [ 'id', 'activeSlide', 'activeElement' ], callback: ( { id: newId, activeSlide: newActiveSlide, activeElement: newActiveElement }, { id: oldId, activeSlide: oldActiveSlide, activeElement: oldActiveElement } ) => {
                 const slideChanged = newActiveSlide !== oldActiveSlide || newId !== oldId;
                 const activeElementChanged = newActiveElement !== oldActiveElement;
@@ -248,16 +333,21 @@ export async function slideshowHandler( { file, slideViewerContainer, slideSelec
                         slideContainer.style.aspectRatio = `${ slideSize.width } / ${ slideSize.height }`;
                         slideContainer.style.width = `${ availableWidth - 16 }px`;
                         slideContainer.style.height = `${ ( availableWidth - 16 ) / ( slideSize.width / slideSize.height ) }px`;
-                        const currentSlide = slideViewContainer.firstElementChild
-                        if ( currentSlide ) {
-                            currentSlide.replaceWith( slideContainer );
-                        } else {
-                            slideViewContainer.appendChild( slideContainer );
-                        }
+                        playSlideTransition( slideViewContainer, slideContainer, slide.getState( 'transition' ) );
 
                         slideHandler.newSlideContainer( slideContainer.id );
+                        animationPlayers[ activeSlide ] = new AnimationPlayer( renderingData.timeline, slideSize );
                         slideContainer.addEventListener('click', event => {
                             event.stopPropagation();
+                            const link = event.target.closest( 'a[data-action]' );
+                            if ( link ) {
+                                // Web and email links are followed by the browser
+                                if ( link.dataset.action !== 'url' && link.dataset.action !== 'email' ) {
+                                    event.preventDefault();
+                                    followHyperlink( link );
+                                }
+                                return;
+                            }
                             let targetId = event.target.closest( '[id]' )?.id;
                             if ( targetId ) {
                                 if ( targetId.endsWith( '.text' ) ) {
@@ -268,12 +358,60 @@ export async function slideshowHandler( { file, slideViewerContainer, slideSelec
                                 presentationStore.dispatch( { type: actions.set.slide.element.active, payload: targetId } );
                             }
                         })
+                        slideContainer.addEventListener( 'mouseover', event => {
+                            const link = event.target.closest( '[data-trigger="hover"]' );
+                            // Hovering only follows links within the deck, as windows may only be opened on click
+                            if ( link && !link.contains( event.relatedTarget ) && link.dataset.action !== 'url' && link.dataset.action !== 'email' ) {
+                                followHyperlink( link );
+                            }
+                        } );
                     }
 
-					slideHandler.render( renderingData, newActiveElement );
+					slideHandler.render( renderingData, newActiveElement ).then( () => animationPlayers[ activeSlide ]?.attach( slideHandler.svg ) );
 				}
 			}
 		} );
+
+        const presentedSlideIds = slideIds.filter( id => slideHandlers[ id ] );
+        const followHyperlink = ( link ) => {
+            const { action, target } = link.dataset;
+            if ( action === 'url' || action === 'email' ) {
+                if ( getExternalLinkAction( target ) === action ) window.open( target, '_blank', 'noopener' );
+                return;
+            }
+            const linkedSlide = getLinkedSlide( { action, target }, presentationStore.getState( 'activeSlide' ), presentedSlideIds, slidePaths );
+            if ( linkedSlide ) {
+                presentationStore.dispatch( { type: actions.change.slide, payload: linkedSlide } );
+            }
+        };
+        const handleKeydown = ( event ) => {
+            if ( event.target instanceof HTMLElement && event.target.closest( 'input, textarea, select' ) ) return;
+            const activeSlide = presentationStore.getState( 'activeSlide' );
+            const index = presentedSlideIds.indexOf( activeSlide );
+            if ( index === -1 ) return;
+
+            if ( [ 'ArrowRight', 'PageDown', ' ' ].includes( event.key ) ) {
+                event.preventDefault();
+                const animationPlayer = animationPlayers[ activeSlide ];
+                if ( animationPlayer?.hasNextStep() ) {
+                    animationPlayer.next();
+                } else if ( index < presentedSlideIds.length - 1 ) {
+                    presentationStore.dispatch( { type: actions.change.slide, payload: presentedSlideIds[ index + 1 ] } );
+                }
+            } else if ( [ 'ArrowLeft', 'PageUp' ].includes( event.key ) ) {
+                event.preventDefault();
+                if ( index > 0 ) {
+                    presentationStore.dispatch( { type: actions.change.slide, payload: presentedSlideIds[ index - 1 ] } );
+                }
+            }
+        };
+        document.addEventListener( 'keydown', handleKeydown );
+        const unsubscribePresentation = () => {
+            unsubscribeStore();
+            document.removeEventListener( 'keydown', handleKeydown );
+            unloadEmbeddedFonts( fontFaces );
+            unloadMediaSources( entriesMap );
+        };
         presentationStore.dispatch( { type: actions.set.presentation.data, payload: { activeSlide: slideIds[ 0 ], status: 'presenting' } } );
 
         const activeSlide = presentationStore.getState( 'activeSlide' );
@@ -281,6 +419,8 @@ export async function slideshowHandler( { file, slideViewerContainer, slideSelec
         return { slideshowLength: slideIds.length, activeSlide, unsubscribePresentation }
 
     } catch ( error ) {
+        unloadEmbeddedFonts( fontFaces );
+        unloadMediaSources( entriesMap );
         console.error( 'Error parsing the presentation:', error );
         if ( error instanceof Error ) throw new Error(`Error: Could not parse presentation. ${ error.message }`);
     }
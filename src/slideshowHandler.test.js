@@ -31,6 +31,10 @@ vi.mock('utils', async (importOriginal) => {
         parseMasterOrLayout: vi.fn().mockReturnValue({ placeholders: {}, staticShapes: [], defaultTextStyles: {}, colorMap: {} }),
         parseBackground: vi.fn().mockReturnValue(null),
         populateImageMap: vi.fn().mockResolvedValue(undefined),
+        parseEmbeddedFonts: vi.fn().mockReturnValue([]),
+        loadEmbeddedFonts: vi.fn().mockResolvedValue([]),
+        unloadEmbeddedFonts: vi.fn(),
+        unloadMediaSources: vi.fn(),
     };
 });
 
@@ -40,6 +44,7 @@ const mockSlideHandlerInstance = {
     parse: vi.fn().mockResolvedValue({ shapes: [], background: null }),
     render: vi.fn().mockResolvedValue(undefined),
     newSlideContainer: vi.fn().mockReturnThis(),
+    parseNotes: vi.fn().mockReturnValue(null),
 };
 vi.mock('./slideHandler.js', () => ({
     SlideHandler: vi.fn(() => mockSlideHandlerInstance),
@@ -248,6 +253,87 @@ describe('slideshowHandler', () => {
             await expect(slideshowHandler(options)).rejects.toThrow('Error: Could not parse presentation. Failed to get relationships');
         });
 
+        it('should release the loaded fonts and media if parsing fails', async () => {
+            const fontFaces = [{ family: 'Brand Sans' }];
+            vi.mocked(utils.getSlideOrder).mockReturnValue(['rId1']);
+            vi.mocked(utils.getRelationships).mockResolvedValue({
+                'rId1': { id: 'rId1', type: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide', target: 'slides/slide1.xml' },
+            });
+            vi.mocked(utils.loadEmbeddedFonts).mockResolvedValueOnce(fontFaces);
+            vi.mocked(utils.populateImageMap).mockRejectedValueOnce(new Error('Corrupt media'));
+
+            await expect(slideshowHandler(options)).rejects.toThrow('Error: Could not parse presentation. Corrupt media');
+            expect(utils.unloadEmbeddedFonts).toHaveBeenCalledWith(fontFaces);
+            expect(utils.unloadMediaSources).toHaveBeenCalledWith(mockFiles);
+        });
+
+        it('should load embedded fonts before layout and unload them with the presentation', async () => {
+            // Arrange
+            const embeddedFonts = [{ typeface: 'Brand Sans', faces: [{ style: 'regular', relId: 'rId9' }] }];
+            const fontFaces = [{ family: 'Brand Sans' }];
+            vi.mocked(utils.getSlideOrder).mockReturnValue(['rId1']);
+            vi.mocked(utils.getRelationships).mockResolvedValue({
+                'rId1': { id: 'rId1', type: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide', target: 'slides/slide1.xml' },
+            });
+            vi.mocked(utils.parseEmbeddedFonts).mockReturnValue(embeddedFonts);
+            vi.mocked(utils.loadEmbeddedFonts).mockImplementation(async () => {
+                expect(mockSlideHandlerInstance.parse).not.toHaveBeenCalled();
+                return fontFaces;
+            });
+
+            // Act
+            const result = await slideshowHandler(options);
+
+            // Assert
+            expect(utils.loadEmbeddedFonts).toHaveBeenCalledWith(embeddedFonts, expect.any(Object), expect.any(Object));
+            expect(utils.unloadEmbeddedFonts).not.toHaveBeenCalled();
+            result.unsubscribePresentation();
+            expect(utils.unloadEmbeddedFonts).toHaveBeenCalledWith(fontFaces);
+        });
+
+        it('should release the media of the presentation when it is unloaded', async () => {
+            vi.mocked(utils.getSlideOrder).mockReturnValue(['rId1']);
+            vi.mocked(utils.getRelationships).mockResolvedValue({
+                'rId1': { id: 'rId1', type: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide', target: 'slides/slide1.xml' },
+            });
+
+            const result = await slideshowHandler(options);
+
+            expect(utils.unloadMediaSources).not.toHaveBeenCalled();
+            result.unsubscribePresentation();
+            expect(utils.unloadMediaSources).toHaveBeenCalledWith(mockFiles);
+        });
+
+        it('should style the notes of the slides with their shared notes master', async () => {
+            const notesMaster = { placeholders: {}, staticShapes: [], defaultTextStyles: { notes: {} }, colorMap: {} };
+            vi.mocked(utils.getSlideOrder).mockReturnValue(['rId1', 'rId2']);
+            vi.mocked(utils.getRelationships).mockImplementation(async (entriesMap, path) => {
+                if (path.startsWith('ppt/slides/')) {
+                    const name = path.split('/').pop().replace('slide', 'notesSlide').replace('.rels', '');
+                    return { 'rId1': { id: 'rId1', type: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/notesSlide', target: `../notesSlides/${name}` } };
+                }
+                if (path.startsWith('ppt/notesSlides/')) {
+                    return { 'rId1': { id: 'rId1', type: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/notesMaster', target: '../notesMasters/notesMaster1.xml' } };
+                }
+                return {
+                    'rId1': { id: 'rId1', type: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide', target: 'slides/slide1.xml' },
+                    'rId2': { id: 'rId2', type: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide', target: 'slides/slide2.xml' },
+                };
+            });
+            vi.mocked(utils.parseMasterOrLayout).mockReturnValueOnce(notesMaster);
+            vi.mocked(utils.getNormalizedXmlString).mockResolvedValue('<p:sld xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"></p:sld>');
+            vi.mocked(utils.parseXmlString).mockImplementation((xml) => new DOMParser().parseFromString(xml, 'text/xml'));
+
+            await slideshowHandler(options);
+
+            expect(utils.getRelationships).toHaveBeenCalledWith(mockFiles, 'ppt/notesSlides/_rels/notesSlide2.xml.rels');
+            expect(utils.getNormalizedXmlString).toHaveBeenCalledWith(mockFiles, expect.stringMatching(/notesMasters\/notesMaster1\.xml$/));
+            expect(utils.parseMasterOrLayout).toHaveBeenCalledOnce();
+            expect(SlideHandler).toHaveBeenCalledTimes(2);
+            expect(SlideHandler).toHaveBeenNthCalledWith(1, expect.objectContaining({ notesMaster }));
+            expect(SlideHandler).toHaveBeenNthCalledWith(2, expect.objectContaining({ notesMaster }));
+        });
+
         it('should not process a slide if its relationship is missing', async () => {
             // Arrange
             vi.mocked(utils.getSlideOrder).mockReturnValue(['rId1', 'rId2']); // rId2 is missing from rels
@@ -0,0 +1,291 @@
+import { SVG_NS } from 'constants';
+
+/**
+ * Builds the keyframes of an animation effect.
+ * @param {Object} effect - The effect from the slide timeline.
+ * @param {Object} slideSize - The dimensions of the slide, used for fly distances.
+ * @param {number} rotation - The rotation of the target before the effect, in degrees.
+ * @returns {Object[]|null} The keyframes, or null for effects that apply instantly.
+ */
+function getEffectKeyframes( effect, slideSize, rotation ) {
+    if ( effect.presetClass === 'mediacall' ) return null;
+
+    const isExit = effect.presetClass === 'exit';
+    const orient = keyframes => isExit ? [ ...keyframes ].reverse() : keyframes;
+
+    switch ( effect.type ) {
+        case 'appear':
+            return null;
+        case 'fly': {
+            const direction = effect.direction || 'b';
+            const x = direction.includes( 'l' ) ? -slideSize.width : ( direction.includes( 'r' ) ? slideSize.width : 0 );
+            const y = direction.includes( 't' ) ? -slideSize.height : ( direction.includes( 'b' ) ? slideSize.height : 0 );
+            return orient( [ { transform: `translate(${ x }px, ${ y }px)` }, { transform: 'translate(0px, 0px)' } ] );
+        }
+        case 'wipe': {
+            const insets = {
+                t: 'inset(0 0 100% 0)',
+                b: 'inset(100% 0 0 0)',
+                l: 'inset(0 100% 0 0)',
+                r: 'inset(0 0 0 100%)',
+            };
+            return orient( [ { clipPath: insets[ effect.direction ] || insets.b }, { clipPath: 'inset(0 0 0 0)' } ] );
+        }
+        case 'zoom':
+            return orient( [ { transform: 'scale(0)', opacity: 0 }, { transform: 'scale(1)', opacity: 1 } ] );
+        case 'spin':
+            return [ { transform: `rotate(${ rotation }deg)` }, { transform: `rotate(${ rotation + effect.rotation }deg)` } ];
+        default:
+            if ( effect.presetClass === 'emph' ) return null;
+            return orient( [ { opacity: 0 }, { opacity: 1 } ] );
+    }
+}
+
+/**
+ * @class AnimationPlayer
+ * @description Plays the build steps of a slide timeline on a rendered slide.
+ * Targets are looked up by the element ids emitted by `renderShapeTree` and wrapped
+ * in a group so CSS animations do not clash with their `transform` attribute.
+ */
+export class AnimationPlayer {
+    /**
+     * Creates an instance of AnimationPlayer.
+     * @param {Object} timeline - The timeline parsed from the slide's `p:timing`.
+     * @param {Object} slideSize - The dimensions of the slide.
+     */
+    constructor( timeline, slideSize ) {
+        this.steps = timeline?.steps || [];
+        this.slideSize = slideSize;
+        this.svg = null;
+        this.currentStep = 0;
+        this.timers = [];
+        this.animations = [];
+        // Settles the promises of the effects that are waiting or playing, so chains on them end when the player stops
+        this.pendingEffects = [];
+        // Counts the stops, so a chain of steps started before a stop does not go on after it
+        this.run = 0;
+    }
+
+    /**
+     * Attaches the player to a freshly rendered slide, restoring the state of the steps
+     * already played and starting the steps that play automatically.
+     * @param {SVGElement} svg - The SVG element the slide was rendered into.
+     * @returns {Promise<void>} A promise that resolves once the automatic steps have played.
+     */
+    attach( svg ) {
+        this.stop();
+        this.svg = svg;
+        this.applyState();
+        return this.playAutoSteps();
+    }
+
+    /**
+     * Checks whether the timeline has steps left to play.
+     * @returns {boolean} True if there is a next step.
+     */
+    hasNextStep() {
+        return this.currentStep < this.steps.length;
+    }
+
+    /**
+     * Plays the next build step. A step that is still playing is finished first.
+     * @returns {Promise<boolean>} A promise that resolves with false if there was no step left to play.
+     */
+    next() {
+        if ( this.timers.length > 0 || this.animations.length > 0 ) {
+            this.stop();
+            while ( this.hasNextStep() && this.steps[ this.currentStep ].trigger === 'auto' ) {
+                this.currentStep++;
+            }
+            this.applyState();
+        }
+        if ( !this.hasNextStep() ) return Promise.resolve( false );
+
+        const step = this.steps[ this.currentStep++ ];
+        const run = this.run;
+        return this.playStep( step ).then( () => this.run === run && this.playAutoSteps() ).then( () => true );
+    }
+
+    /**
+     * Plays the steps that start without a click, starting at the current step.
+     * @returns {Promise<void>} A promise that resolves once the steps have played, or the player was stopped.
+     */
+    playAutoSteps() {
+        if ( !this.hasNextStep() || this.steps[ this.currentStep ].trigger !== 'auto' ) return Promise.resolve();
+        const step = this.steps[ this.currentStep++ ];
+        const run = this.run;
+        return this.playStep( step ).then( () => {
+            if ( this.run === run ) return this.playAutoSteps();
+        } );
+    }
+
+    /**
+     * Plays all effects of a step according to their delays.
+     * @param {Object} step - The step to play.
+     * @returns {Promise<void>} A promise that resolves once every effect has finished.
+     */
+    playStep( step ) {
+        return Promise.all( step.effects.map( effect => this.playEffect( effect ) ) ).then( () => {} );
+    }
+
+    /**
+     * Plays a single effect on all of its targets.
+     * @param {Object} effect - The effect to play.
+     * @returns {Promise<void>} A promise that resolves once the effect has finished, or the player was stopped.
+     */
+    playEffect( effect ) {
+        return new Promise( resolve => {
+            const finish = () => {
+                this.pendingEffects = this.pendingEffects.filter( pending => pending !== finish );
+                resolve();
+            };
+            this.pendingEffects.push( finish );
+            const timer = setTimeout( () => {
+                this.timers = this.timers.filter( t => t !== timer );
+                const elements = ( effect.targets || [] ).map( id => this.getTarget( id ) ).filter( Boolean );
+                const animations = [];
+
+                for ( const element of elements ) {
+                    if ( effect.presetClass === 'mediacall' ) {
+                        this.controlMedia( element, effect );
+                        continue;
+                    }
+                    const rotation = parseFloat( element.dataset.rotation || '0' );
+                    const keyframes = getEffectKeyframes( effect, this.slideSize, rotation );
+                    element.style.visibility = 'visible';
+                    if ( keyframes && typeof element.animate === 'function' ) {
+                        const animation = element.animate( keyframes, { duration: effect.duration, easing: 'ease-out', fill: 'forwards' } );
+                        this.animations.push( animation );
+                        animations.push( animation.finished.then( () => {
+                            this.animations = this.animations.filter( a => a !== animation );
+                            animation.cancel();
+                        } ) );
+                    }
+                }
+
+                // Animations that are cancelled reject, and their effect is settled by `stop`
+                Promise.all( animations ).then( () => {
+                    elements.forEach( element => this.applyEffectState( element, effect ) );
+                    finish();
+                }, () => {} );
+            }, effect.delay || 0 );
+            this.timers.push( timer );
+        } );
+    }
+
+    /**
+     * Stops all pending and running effects without applying their end state.
+     * The promises of the stopped effects resolve, but the steps chained on them do not start.
+     */
+    stop() {
+        this.run++;
+        this.timers.forEach( timer => clearTimeout( timer ) );
+        this.timers = [];
+        this.animations.forEach( animation => animation.cancel() );
+        this.animations = [];
+        const pendingEffects = this.pendingEffects;
+        this.pendingEffects = [];
+        pendingEffects.forEach( finish => finish() );
+    }
+
+    /**
+     * Runs a media command of the timeline on the video or audio element of a target.
+     * Play commands seek relative to the trim start of the media.
+     * @param {Element} element - The wrapped target element.
+     * @param {Object} effect - The media command.
+     */
+    controlMedia( element, effect ) {
+        const media = element.querySelector( 'video, audio' );
+        if ( !media ) return;
+
+        const trimStart = parseFloat( media.dataset.trimStart || '0' );
+        // Browsers may refuse to start playback that the user did not start, which leaves the controls to them
+        const play = () => media.play()?.catch( () => {} );
+        if ( effect.type === 'play' ) {
+            media.currentTime = trimStart + ( effect.seek || 0 ) / 1000;
+            play();
+        } else if ( effect.type === 'togglePause' ) {
+            if ( media.paused ) play();
+            else media.pause();
+        } else if ( effect.type === 'stop' ) {
+            media.pause();
+            media.currentTime = trimStart;
+        }
+    }
+
+    /**
+     * Rewinds the player to the first step, stopping any media of the slide.
+     */
+    reset() {
+        this.stop();
+        this.svg?.querySelectorAll( 'video, audio' ).forEach( media => media.pause() );
+        this.currentStep = 0;
+        this.applyState();
+    }
+
+    /**
+     * Applies the static state of the slide after the steps played so far:
+     * entrance targets of upcoming steps are hidden, exit targets of played steps are hidden
+     * and spin rotations are kept.
+     */
+    applyState() {
+        if ( !this.svg ) return;
+
+        const seen = new Set();
+        for ( const [ stepIndex, step ] of this.steps.entries() ) {
+            for ( const effect of step.effects ) {
+                for ( const id of effect.targets || [] ) {
+                    const element = this.getTarget( id );
+                    if ( !element ) continue;
+                    if ( !seen.has( id ) ) {
+                        seen.add( id );
+                        element.style.visibility = effect.presetClass === 'entr' ? 'hidden' : 'visible';
+                        element.dataset.rotation = '0';
+                        element.style.transform = '';
+                    }
+                    if ( stepIndex < this.currentStep ) {
+                        this.applyEffectState( element, effect );
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Applies the end state of an effect to a target.
+     * @param {Element} element - The wrapped target element.
+     * @param {Object} effect - The effect that was played.
+     */
+    applyEffectState( element, effect ) {
+        if ( effect.presetClass === 'entr' ) {
+            element.style.visibility = 'visible';
+        } else if ( effect.presetClass === 'exit' ) {
+            element.style.visibility = 'hidden';
+        } else if ( effect.type === 'spin' ) {
+            const rotation = parseFloat( element.dataset.rotation || '0' ) + effect.rotation;
+            element.dataset.rotation = `${ rotation }`;
+            element.style.transform = `rotate(${ rotation }deg)`;
+        }
+    }
+
+    /**
+     * Finds the element rendered for an id and wraps it in an animation group.
+     * @param {string} id - The element id emitted by the slide renderer.
+     * @returns {Element|null} The animation group, or null if the element is not rendered.
+     */
+    getTarget( id ) {
+        const element = this.svg?.querySelector( `[id="${ id }"]` );
+        if ( !element ) return null;
+
+        const parent = element.parentNode;
+        if ( parent?.dataset?.animationTarget === id ) return parent;
+
+        const wrapper = document.createElementNS( SVG_NS, 'g' );
+        wrapper.dataset.animationTarget = id;
+        wrapper.style.transformBox = 'fill-box';
+        wrapper.style.transformOrigin = 'center';
+        parent.insertBefore( wrapper, element );
+        wrapper.appendChild( element );
+        return wrapper;
+    }
+}
@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { AnimationPlayer } from './animationPlayer.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+describe('AnimationPlayer', () => {
+    let svg;
+
+    const addGroup = (id) => {
+        const group = document.createElementNS(SVG_NS, 'g');
+        group.setAttribute('id', id);
+        svg.appendChild(group);
+        return group;
+    };
+
+    const getWrapper = (id) => svg.querySelector(`[id="${id}"]`).parentNode;
+
+    const timeline = {
+        steps: [
+            { trigger: 'click', effects: [{ presetClass: 'entr', type: 'fade', duration: 500, delay: 0, targets: ['s.shapes.0'] }] },
+            { trigger: 'auto', effects: [{ presetClass: 'emph', type: 'spin', rotation: 90, duration: 500, delay: 0, targets: ['s.shapes.0'] }] },
+            { trigger: 'click', effects: [{ presetClass: 'exit', type: 'fly', direction: 'b', duration: 500, delay: 0, targets: ['s.shapes.1'] }] },
+        ],
+    };
+
+    beforeEach(() => {
+        document.body.innerHTML = '';
+        svg = document.createElementNS(SVG_NS, 'svg');
+        document.body.appendChild(svg);
+        addGroup('s.shapes.0');
+        addGroup('s.shapes.1');
+    });
+
+    it('should hide entrance targets until their step is played', () => {
+        const player = new AnimationPlayer(timeline, { width: 960, height: 540 });
+        player.attach(svg);
+
+        expect(getWrapper('s.shapes.0').dataset.animationTarget).toBe('s.shapes.0');
+        expect(getWrapper('s.shapes.0').style.visibility).toBe('hidden');
+        expect(getWrapper('s.shapes.1').style.visibility).toBe('visible');
+        expect(player.hasNextStep()).toBe(true);
+    });
+
+    it('should play click steps followed by automatic steps', async () => {
+        vi.useFakeTimers();
+        const player = new AnimationPlayer(timeline, { width: 960, height: 540 });
+        player.attach(svg);
+
+        const firstStep = player.next();
+        await vi.runAllTimersAsync();
+        await firstStep;
+
+        expect(getWrapper('s.shapes.0').style.visibility).toBe('visible');
+        expect(getWrapper('s.shapes.0').style.transform).toBe('rotate(90deg)');
+        expect(player.currentStep).toBe(2);
+
+        const secondStep = player.next();
+        await vi.runAllTimersAsync();
+        expect(await secondStep).toBe(true);
+        expect(getWrapper('s.shapes.1').style.visibility).toBe('hidden');
+        expect(player.hasNextStep()).toBe(false);
+        expect(await player.next()).toBe(false);
+        vi.useRealTimers();
+    });
+
+    it('should restore the played state when attached to a re-rendered slide', () => {
+        const player = new AnimationPlayer(timeline, { width: 960, height: 540 });
+        player.currentStep = 3;
+
+        player.attach(svg);
+
+        expect(getWrapper('s.shapes.0').style.visibility).toBe('visible');
+        expect(getWrapper('s.shapes.0').style.transform).toBe('rotate(90deg)');
+        expect(getWrapper('s.shapes.1').style.visibility).toBe('hidden');
+    });
+
+    it('should animate targets with the Web Animations API when available', () => {
+        vi.useFakeTimers();
+        const player = new AnimationPlayer(timeline, { width: 960, height: 540 });
+        player.attach(svg);
+        const wrapper = getWrapper('s.shapes.1');
+        wrapper.animate = vi.fn(() => ({ finished: new Promise(() => {}), cancel: vi.fn() }));
+        player.currentStep = 2;
+
+        player.next();
+        vi.runAllTimers();
+
+        expect(wrapper.animate).toHaveBeenCalledWith(
+            [{ transform: 'translate(0px, 0px)' }, { transform: 'translate(0px, 540px)' }],
+            expect.objectContaining({ duration: 500 })
+        );
+        vi.useRealTimers();
+    });
+
+    it('should settle the steps that are playing when stopped, without starting the next ones', async () => {
+        vi.useFakeTimers();
+        const player = new AnimationPlayer(timeline, { width: 960, height: 540 });
+        player.attach(svg);
+        const wrapper = getWrapper('s.shapes.0');
+        const cancel = vi.fn();
+        wrapper.animate = vi.fn(() => ({ finished: new Promise(() => {}), cancel }));
+
+        const step = player.next();
+        vi.advanceTimersByTime(0);
+        expect(wrapper.animate).toHaveBeenCalledTimes(1);
+
+        player.stop();
+
+        await expect(step).resolves.toBe(true);
+        expect(cancel).toHaveBeenCalled();
+        expect(player.currentStep).toBe(1);
+        expect(player.pendingEffects).toEqual([]);
+        vi.useRealTimers();
+    });
+
+    it('should settle effects that are waiting for their delay when stopped', async () => {
+        vi.useFakeTimers();
+        const player = new AnimationPlayer(timeline, { width: 960, height: 540 });
+        player.attach(svg);
+
+        const effect = player.playEffect({ presetClass: 'entr', type: 'appear', duration: 0, delay: 1000, targets: ['s.shapes.0'] });
+        player.stop();
+
+        await expect(effect).resolves.toBeUndefined();
+        expect(vi.getTimerCount()).toBe(0);
+        vi.useRealTimers();
+    });
+
+    it('should run media commands on the media element of their target', async () => {
+        vi.useFakeTimers();
+        const video = document.createElement('video');
+        video.dataset.trimStart = '2';
+        video.play = vi.fn(() => Promise.resolve());
+        video.pause = vi.fn();
+        svg.querySelector('[id="s.shapes.1"]').appendChild(video);
+        const mediaTimeline = {
+            steps: [
+                { trigger: 'auto', effects: [{ presetClass: 'mediacall', type: 'play', seek: 500, duration: 30000, delay: 0, targets: ['s.shapes.1'] }] },
+                { trigger: 'click', effects: [{ presetClass: 'mediacall', type: 'stop', duration: 0, delay: 0, targets: ['s.shapes.1'] }] },
+            ],
+        };
+        const player = new AnimationPlayer(mediaTimeline, { width: 960, height: 540 });
+
+        const attached = player.attach(svg);
+        await vi.runAllTimersAsync();
+        await attached;
+
+        expect(video.play).toHaveBeenCalledTimes(1);
+        expect(video.currentTime).toBe(2.5);
+        expect(getWrapper('s.shapes.1').style.visibility).toBe('visible');
+
+        const stopped = player.next();
+        await vi.runAllTimersAsync();
+        await stopped;
+
+        expect(video.pause).toHaveBeenCalled();
+        expect(video.currentTime).toBe(2);
+        vi.useRealTimers();
+    });
+});
@@ -0,0 +1,668 @@
+const CHART_JS_TYPES = {
+    bar: 'bar',
+    line: 'line',
+    area: 'line',
+    pie: 'pie',
+    doughnut: 'doughnut',
+    scatter: 'scatter',
+    bubble: 'bubble',
+    radar: 'radar',
+    stock: 'bar',
+};
+
+const AXIS_POSITIONS = {
+    b: 'bottom',
+    t: 'top',
+    l: 'left',
+    r: 'right',
+};
+
+const STACKED_GROUPINGS = [ 'stacked', 'percentStacked' ];
+
+const LEGEND_POSITIONS = {
+    b: 'bottom',
+    t: 'top',
+    l: 'left',
+    r: 'right',
+    tr: 'right',
+};
+
+const MARKER_STYLES = {
+    circle: 'circle',
+    dot: 'circle',
+    square: 'rect',
+    diamond: 'rectRot',
+    triangle: 'triangle',
+    x: 'crossRot',
+    plus: 'cross',
+    star: 'star',
+    dash: 'line',
+};
+
+const DATA_LABEL_POSITIONS = {
+    ctr: { anchor: 'center', align: 'center' },
+    inEnd: { anchor: 'end', align: 'start' },
+    inBase: { anchor: 'start', align: 'end' },
+    outEnd: { anchor: 'end', align: 'end' },
+    bestFit: { anchor: 'center', align: 'center' },
+    t: { anchor: 'center', align: 'top' },
+    b: { anchor: 'center', align: 'bottom' },
+    l: { anchor: 'center', align: 'left' },
+    r: { anchor: 'center', align: 'right' },
+};
+
+// PowerPoint draws chart text in dark gray unless the chart XML says otherwise
+const DEFAULT_TEXT_COLOR = '#595959';
+const DEFAULT_LINE_WIDTH = 2.25;
+// At a bubble scale of 100%, the largest bubble spans a quarter of the shorter side of the plot area
+const BUBBLE_SIZE_RATIO = 0.25;
+
+/**
+ * Splits an Excel number format section into literal text and format characters.
+ * @param {string} section - The format section.
+ * @returns {Array<{text: string, literal: boolean}>} The tokens.
+ */
+function tokenizeNumberFormat( section ) {
+    const tokens = [];
+    for ( let i = 0; i < section.length; i++ ) {
+        const char = section[ i ];
+        if ( char === '"' ) {
+            let end = section.indexOf( '"', i + 1 );
+            if ( end < 0 ) end = section.length;
+            tokens.push( { text: section.slice( i + 1, end ), literal: true } );
+            i = end;
+        } else if ( char === '\\' ) {
+            tokens.push( { text: section[ ++i ] ?? '', literal: true } );
+        } else if ( char === '_' ) {
+            // Padding the width of the next character
+            i++;
+            tokens.push( { text: ' ', literal: true } );
+        } else if ( char === '*' ) {
+            // Repeating the next character to fill the cell
+            i++;
+        } else {
+            tokens.push( { text: char, literal: false } );
+        }
+    }
+    return tokens;
+}
+
+const MONTH_NAMES = [ 'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December' ];
+const DAY_NAMES = [ 'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday' ];
+// The serial date of 1970-01-01 in the 1900 date system
+const UNIX_EPOCH_SERIAL = 25569;
+
+/**
+ * Formats a serial date with the date and time codes of an Excel number format, e.g. `d-mmm-yy h:mm AM/PM`.
+ * @param {number} serial - The serial date, in days since 1899-12-30.
+ * @param {Array<{text: string, literal: boolean}>} tokens - The tokens of the format section.
+ * @returns {string} The formatted date.
+ */
+function formatChartDate( serial, tokens ) {
+    const date = new Date( Math.round( ( serial - UNIX_EPOCH_SERIAL ) * 86400000 ) );
+    const runs = [];
+    for ( let i = 0; i < tokens.length; i++ ) {
+        const token = tokens[ i ];
+        const meridiem = token.literal ? null : tokens.slice( i, i + 5 ).map( t => t.literal ? '' : t.text ).join( '' ).match( /^(AM\/PM|A\/P)/i );
+        const letter = token.text.toLowerCase();
+        if ( meridiem ) {
+            runs.push( { meridiem: meridiem[ 0 ] } );
+            i += meridiem[ 0 ].length - 1;
+        } else if ( !token.literal && /^[ymdhs]$/.test( letter ) ) {
+            const last = runs[ runs.length - 1 ];
+            if ( last?.letter === letter ) last.count++;
+            else runs.push( { letter, count: 1 } );
+        } else {
+            runs.push( { text: token.text } );
+        }
+    }
+
+    const hour12 = runs.some( run => run.meridiem );
+    const codes = runs.filter( run => run.letter );
+    return runs.map( run => {
+        if ( run.meridiem ) {
+            const [ am, pm ] = run.meridiem.split( '/' );
+            return date.getUTCHours() < 12 ? am : pm;
+        }
+        if ( !run.letter ) return run.text;
+
+        const pad = value => String( value ).padStart( Math.min( run.count, 2 ), '0' );
+        switch ( run.letter ) {
+            case 'y':
+                return run.count <= 2 ? String( date.getUTCFullYear() % 100 ).padStart( 2, '0' ) : String( date.getUTCFullYear() );
+            case 'd':
+                if ( run.count >= 3 ) return run.count === 3 ? DAY_NAMES[ date.getUTCDay() ].slice( 0, 3 ) : DAY_NAMES[ date.getUTCDay() ];
+                return pad( date.getUTCDate() );
+            case 'h':
+                return pad( hour12 ? date.getUTCHours() % 12 || 12 : date.getUTCHours() );
+            case 's':
+                return pad( date.getUTCSeconds() );
+            default: {
+                // An `m` next to hours or seconds means minutes
+                const index = codes.indexOf( run );
+                if ( run.count <= 2 && ( codes[ index - 1 ]?.letter === 'h' || codes[ index + 1 ]?.letter === 's' ) ) {
+                    return pad( date.getUTCMinutes() );
+                }
+                const month = MONTH_NAMES[ date.getUTCMonth() ];
+                if ( run.count === 3 ) return month.slice( 0, 3 );
+                if ( run.count === 4 ) return month;
+                if ( run.count >= 5 ) return month[ 0 ];
+                return pad( date.getUTCMonth() + 1 );
+            }
+        }
+    } ).join( '' );
+}
+
+/**
+ * Formats a number with an Excel number format code, as used by chart labels and axes.
+ * Supports sections, digit placeholders, decimals, thousands separators and scaling,
+ * percentages, literal text, currency symbols and date and time codes for serial dates.
+ * @param {number} value - The value to format.
+ * @param {string} [formatCode] - The format code, e.g. `#,##0.00 "€"`.
+ * @returns {string} The formatted value.
+ */
+export function formatChartNumber( value, formatCode ) {
+    if ( typeof value !== 'number' || !Number.isFinite( value ) ) return value === null || value === undefined ? '' : String( value );
+
+    const general = number => String( parseFloat( number.toPrecision( 10 ) ) );
+    if ( !formatCode || /^general$/i.test( formatCode ) ) return general( value );
+
+    const sections = formatCode.match( /("[^"]*"|\\.|[^;])+/g ) || [ formatCode ];
+    let section = sections[ 0 ];
+    let number = value;
+    let signed = value < 0;
+    if ( value < 0 && sections[ 1 ] !== undefined ) {
+        section = sections[ 1 ];
+        number = -value;
+        signed = false;
+    } else if ( value === 0 && sections[ 2 ] !== undefined ) {
+        section = sections[ 2 ];
+    }
+
+    // Currency symbols like [$€-407] keep their symbol, colors and conditions are dropped
+    section = section.replace( /\[\$([^\]-]*)(-[^\]]*)?\]/g, '"$1"' ).replace( /\[[^\]]*\]/g, '' );
+    if ( /^general$/i.test( section.trim() ) ) return general( value );
+
+    const tokens = tokenizeNumberFormat( section );
+    if ( tokens.some( token => !token.literal && /[dmyhs]/i.test( token.text ) ) ) return formatChartDate( value, tokens );
+
+    const isPlaceholder = token => !token.literal && /^[0#?]$/.test( token.text );
+    const first = tokens.findIndex( isPlaceholder );
+    if ( first < 0 ) return tokens.map( token => token.text ).join( '' );
+
+    let start = first;
+    while ( start > 0 && !tokens[ start - 1 ].literal && tokens[ start - 1 ].text === '.' ) start--;
+    let end = tokens.findLastIndex( isPlaceholder );
+    while ( end + 1 < tokens.length && !tokens[ end + 1 ].literal && /^[.,]$/.test( tokens[ end + 1 ].text ) ) end++;
+
+    const join = list => list.map( token => token.text ).join( '' );
+    const prefix = join( tokens.slice( 0, start ) );
+    const suffix = join( tokens.slice( end + 1 ) );
+    const pattern = join( tokens.slice( start, end + 1 ).filter( token => !token.literal ) );
+    const percents = tokens.filter( ( token, i ) => !token.literal && token.text === '%' && ( i < start || i > end ) ).length;
+
+    const scaleCommas = pattern.match( /,+$/ )?.[ 0 ].length || 0;
+    const [ integerPattern, decimalPattern = '' ] = pattern.slice( 0, pattern.length - scaleCommas ).split( '.' );
+    const decimals = ( decimalPattern.match( /[0#?]/g ) || [] ).length;
+    const minDecimals = ( decimalPattern.match( /0/g ) || [] ).length;
+    const minIntegers = ( integerPattern.match( /0/g ) || [] ).length;
+
+    number = Math.abs( number ) * 100 ** percents / 1000 ** scaleCommas;
+    let [ integer, decimal = '' ] = number.toFixed( decimals ).split( '.' );
+    decimal = decimal.replace( /0+$/, '' ).padEnd( minDecimals, '0' );
+    integer = integer === '0' && minIntegers === 0 ? '' : integer.padStart( minIntegers, '0' );
+    if ( integerPattern.includes( ',' ) ) {
+        integer = integer.replace( /\B(?=(\d{3})+(?!\d))/g, ',' );
+    }
+
+    const sign = signed && /[1-9]/.test( integer + decimal ) ? '-' : '';
+    return `${ sign }${ prefix }${ integer }${ decimal ? `.${ decimal }` : '' }${ suffix }`;
+}
+
+/**
+ * Gets the color Chart.js should use for a fill of the chart model.
+ * @param {Object} [fill] - The fill.
+ * @returns {string|undefined} The color, or undefined if the fill does not set one.
+ */
+function getFillColor( fill ) {
+    if ( !fill ) return undefined;
+    if ( fill.type === 'none' ) return 'transparent';
+    if ( fill.type === 'solid' ) return fill.color;
+    // Gradients are approximated by their first stop
+    if ( fill.type === 'gradient' ) return fill.gradient?.stops?.[ 0 ]?.color?.color;
+    return undefined;
+}
+
+/**
+ * Gets the color Chart.js should use for a line of the chart model.
+ * @param {Object|null} [line] - The line. A null line has no outline.
+ * @returns {string|undefined} The color, or undefined if the line does not set one.
+ */
+function getLineColor( line ) {
+    if ( line === null ) return 'transparent';
+    if ( typeof line?.color === 'string' ) return line.color;
+    return getFillColor( line?.color );
+}
+
+/**
+ * Builds the Chart.js font of a chart text element.
+ * @param {Object} [text] - The text properties from the chart model.
+ * @returns {Object} The Chart.js font.
+ */
+function buildFont( text ) {
+    const font = {};
+    if ( text?.fontSize ) font.size = text.fontSize;
+    if ( text?.bold !== undefined ) font.weight = text.bold ? 'bold' : 'normal';
+    return font;
+}
+
+/**
+ * Gets the number format code of a series value or axis, following source linked formats.
+ * @param {Object|null} [numFmt] - The number format of the label or axis.
+ * @param {string} [sourceFormatCode] - The format code of the source data.
+ * @returns {string|undefined} The format code.
+ */
+function getFormatCode( numFmt, sourceFormatCode ) {
+    if ( !numFmt || numFmt.sourceLinked ) return sourceFormatCode ?? numFmt?.formatCode;
+    return numFmt.formatCode;
+}
+
+/**
+ * Applies the fill, outline and marker styling of a series to its Chart.js dataset.
+ * Data point overrides and varied point colors turn the colors into per-point arrays.
+ * @param {Object} result - The Chart.js dataset.
+ * @param {Object} dataset - The series from the chart model.
+ */
+function applySeriesStyle( result, dataset ) {
+    const isLine = [ 'line', 'scatter', 'radar' ].includes( dataset.type );
+    const fillColor = getFillColor( dataset.fill );
+    const lineColor = getLineColor( dataset.line );
+    const baseColor = isLine ? ( lineColor ?? dataset.color ) : ( fillColor ?? dataset.color );
+
+    let background = isLine ? ( fillColor ?? baseColor ) : baseColor;
+    let border = lineColor;
+    if ( border === undefined ) {
+        if ( isLine ) border = baseColor;
+        else if ( dataset.type === 'pie' || dataset.type === 'doughnut' ) border = '#FFFFFF';
+    }
+
+    if ( dataset.pointColors || dataset.points ) {
+        const count = dataset.data.length;
+        const points = new Map( ( dataset.points || [] ).map( point => [ point.idx, point ] ) );
+        const backgrounds = [];
+        const borders = [];
+        for ( let i = 0; i < count; i++ ) {
+            const point = points.get( i );
+            backgrounds.push( getFillColor( point?.fill ) ?? ( fillColor === undefined ? dataset.pointColors?.[ i ] : undefined ) ?? background );
+            borders.push( getLineColor( point?.line ) ?? border );
+        }
+        background = backgrounds;
+        if ( dataset.points?.some( point => point.line !== undefined ) ) border = borders;
+    }
+
+    if ( background !== undefined ) result.backgroundColor = background;
+    if ( border !== undefined ) result.borderColor = border;
+
+    if ( dataset.line ) {
+        result.borderWidth = dataset.line.width;
+        if ( dataset.line.dash?.length ) result.borderDash = dataset.line.dash;
+    } else if ( dataset.line === null ) {
+        result.borderWidth = 0;
+    } else if ( isLine ) {
+        result.borderWidth = DEFAULT_LINE_WIDTH;
+    } else if ( dataset.type === 'pie' || dataset.type === 'doughnut' ) {
+        result.borderWidth = 1;
+    }
+
+    if ( isLine && dataset.marker !== undefined ) {
+        const { marker } = dataset;
+        if ( marker?.symbol === 'none' ) {
+            result.pointRadius = 0;
+        } else if ( marker ) {
+            if ( MARKER_STYLES[ marker.symbol ] ) result.pointStyle = MARKER_STYLES[ marker.symbol ];
+            result.pointRadius = marker.size / 2;
+            result.pointBackgroundColor = getFillColor( marker.fill ) ?? baseColor;
+            result.pointBorderColor = getLineColor( marker.line ) ?? baseColor;
+        }
+    }
+}
+
+/**
+ * Builds the Chart.js data labels of a series from its `c:dLbls` settings.
+ * @param {Object} dataset - The series from the chart model.
+ * @param {Array<string>} labels - The category labels of the chart.
+ * @returns {Object} The chartjs-plugin-datalabels options of the dataset.
+ */
+function buildDataLabels( dataset, labels ) {
+    const { dataLabels } = dataset;
+    const isPie = dataset.type === 'pie' || dataset.type === 'doughnut';
+    let position = dataLabels.position;
+    if ( !position ) {
+        if ( isPie || STACKED_GROUPINGS.includes( dataset.grouping ) || dataset.type === 'area' ) position = 'ctr';
+        else if ( dataset.type === 'bar' ) position = 'outEnd';
+        else position = 'r';
+    }
+
+    const formatCode = getFormatCode( dataLabels.numFmt, dataset.formatCode );
+    const total = dataset.data.reduce( ( sum, value ) => sum + ( typeof value === 'number' ? Math.abs( value ) : 0 ), 0 );
+
+    const result = {
+        display: true,
+        ...( DATA_LABEL_POSITIONS[ position ] || DATA_LABEL_POSITIONS.ctr ),
+        color: dataLabels.text?.color ?? DEFAULT_TEXT_COLOR,
+        font: buildFont( dataLabels.text ),
+        formatter: ( value, context ) => {
+            // Label the source value, not the rescaled value of percent stacked series
+            const source = dataset.data[ context.dataIndex ];
+            const number = typeof source === 'number' ? source : source?.y;
+            if ( typeof number !== 'number' ) return null;
+
+            const parts = [];
+            if ( dataLabels.showSerName ) parts.push( dataset.label );
+            if ( dataLabels.showCatName ) parts.push( typeof source === 'number' ? labels[ context.dataIndex ] ?? '' : formatChartNumber( source.x ) );
+            if ( dataLabels.showVal ) parts.push( formatChartNumber( number, formatCode ) );
+            if ( dataLabels.showPercent ) parts.push( formatChartNumber( total ? Math.abs( number ) / total : 0, dataLabels.numFmt?.sourceLinked === false ? dataLabels.numFmt.formatCode : '0%' ) );
+            return parts.join( dataLabels.separator ?? ', ' );
+        },
+    };
+    if ( dataLabels.fill ) result.backgroundColor = getFillColor( dataLabels.fill );
+    return result;
+}
+
+/**
+ * Builds the Chart.js scale id of a chart axis.
+ * @param {string} axisId - The id of the axis in the chart model.
+ * @returns {string} The scale id.
+ */
+function getScaleId( axisId ) {
+    return `axis-${ axisId }`;
+}
+
+/**
+ * Rescales the values of percent stacked series so each category adds up to 100.
+ * @param {Array<Object>} datasets - The datasets of the chart model.
+ * @returns {Map<Object, Array<number|null>>} The rescaled values, keyed by dataset.
+ */
+function getPercentStackedData( datasets ) {
+    const result = new Map();
+    const groups = new Map();
+    for ( const dataset of datasets ) {
+        if ( dataset.grouping !== 'percentStacked' ) continue;
+        if ( !groups.has( dataset.group ) ) groups.set( dataset.group, [] );
+        groups.get( dataset.group ).push( dataset );
+    }
+
+    for ( const groupDatasets of groups.values() ) {
+        const totals = [];
+        for ( const dataset of groupDatasets ) {
+            dataset.data.forEach( ( value, i ) => {
+                totals[ i ] = ( totals[ i ] || 0 ) + Math.abs( value || 0 );
+            } );
+        }
+        for ( const dataset of groupDatasets ) {
+            result.set( dataset, dataset.data.map( ( value, i ) => value === null || !totals[ i ] ? value : value / totals[ i ] * 100 ) );
+        }
+    }
+    return result;
+}
+
+/**
+ * Builds the datasets of a stock chart group: a high-low line for every category, and
+ * up-down bars from the open to the close value when the group has four series.
+ * @param {Array<Object>} datasets - The series of the stock group, in open-high-low-close order.
+ * @returns {Array<Object>} The Chart.js datasets.
+ */
+function buildStockDatasets( datasets ) {
+    if ( datasets.length < 3 ) {
+        return datasets.map( dataset => ( { label: dataset.label, data: dataset.data, type: 'line', showLine: false } ) );
+    }
+
+    const [ open, high, low, close ] = datasets.length >= 4 ? datasets : [ null, ...datasets ];
+    const range = ( from, to ) => from.data.map( ( value, i ) => value === null || to.data[ i ] === null ? null : [ value, to.data[ i ] ] );
+    const result = [ {
+        label: `${ high.label } - ${ low.label }`,
+        data: range( low, high ),
+        type: 'bar',
+        barPercentage: 0.05,
+        backgroundColor: '#000000',
+        grouped: false,
+    } ];
+
+    if ( open ) {
+        result.push( {
+            label: `${ open.label } - ${ close.label }`,
+            data: range( open, close ),
+            type: 'bar',
+            barPercentage: 0.5,
+            backgroundColor: open.data.map( ( value, i ) => close.data[ i ] >= value ? '#FFFFFF' : '#000000' ),
+            borderColor: '#000000',
+            borderWidth: 1,
+            grouped: false,
+        } );
+    } else {
+        result.push( { label: close.label, data: close.data, type: 'line', showLine: false, pointStyle: 'line' } );
+    }
+
+    return result.map( dataset => ( { ...dataset, xAxisId: high.xAxisId, yAxisId: high.yAxisId } ) );
+}
+
+/**
+ * Builds the Chart.js dataset of a series.
+ * @param {Object} dataset - The series from the chart model.
+ * @param {Array<Object>} datasets - All series of the chart model.
+ * @param {Map<Object, Array<number|null>>} percentData - The rescaled values of percent stacked series.
+ * @param {Array<string>} labels - The category labels of the chart.
+ * @returns {Object} The Chart.js dataset.
+ */
+function buildDataset( dataset, datasets, percentData, labels ) {
+    const result = {
+        label: dataset.label,
+        data: percentData.get( dataset ) || dataset.data,
+        type: CHART_JS_TYPES[ dataset.type ] || dataset.type,
+        xAxisId: dataset.xAxisId,
+        yAxisId: dataset.yAxisId,
+    };
+
+    const stacked = STACKED_GROUPINGS.includes( dataset.grouping );
+    if ( stacked ) {
+        result.stack = `group-${ dataset.group }`;
+    }
+
+    switch ( dataset.type ) {
+        case 'bar': {
+            if ( dataset.barDir === 'bar' ) result.indexAxis = 'y';
+            if ( dataset.gapWidth === undefined ) break;
+            // Chart.js sizes bars relative to their category; derive both ratios from the gap and overlap in bar widths
+            const overlapped = dataset.overlap >= 100;
+            const barCount = stacked || overlapped ? 1 : datasets.filter( other => other.group === dataset.group && other.type === 'bar' ).length;
+            const spacing = dataset.overlap < 0 ? -dataset.overlap / 100 : 0;
+            const slot = 1 + spacing;
+            result.categoryPercentage = barCount * slot / ( barCount * slot + dataset.gapWidth / 100 );
+            result.barPercentage = 1 / slot;
+            if ( overlapped && !stacked ) result.grouped = false;
+            break;
+        }
+        case 'line':
+            result.fill = false;
+            result.tension = dataset.smooth ? 0.4 : 0;
+            break;
+        case 'area': {
+            const groupDatasets = datasets.filter( other => other.group === dataset.group );
+            result.fill = stacked && groupDatasets.indexOf( dataset ) > 0 ? '-1' : 'origin';
+            result.tension = dataset.smooth ? 0.4 : 0;
+            result.pointRadius = 0;
+            break;
+        }
+        case 'scatter': {
+            const style = dataset.scatterStyle || 'marker';
+            result.showLine = style !== 'marker' && style !== 'none';
+            result.tension = dataset.smooth || style.startsWith( 'smooth' ) ? 0.4 : 0;
+            if ( style === 'line' || style === 'smooth' ) result.pointRadius = 0;
+            break;
+        }
+        case 'bubble': {
+            // Bubble sizes are relative to the largest bubble of the chart, whose radius follows the plot size
+            // once Chart.js has laid it out. The points carry no `r`, so Chart.js resolves this radius for each
+            const sizes = datasets.filter( other => other.type === 'bubble' ).flatMap( other => other.data.map( point => point.size ?? 0 ) );
+            const maxSize = Math.max( 0, ...sizes );
+            const bubbleScale = ( dataset.bubbleScale ?? 100 ) / 100;
+            result.radius = ( { raw, chart } ) => {
+                if ( !maxSize || !chart.chartArea || !( raw?.size > 0 ) ) return 0;
+                const maxRadius = Math.min( chart.chartArea.width, chart.chartArea.height ) * BUBBLE_SIZE_RATIO / 2 * bubbleScale;
+                const ratio = raw.size / maxSize;
+                return maxRadius * ( dataset.sizeRepresents === 'w' ? ratio : Math.sqrt( ratio ) );
+            };
+            break;
+        }
+        case 'radar':
+            result.fill = dataset.radarStyle === 'filled';
+            break;
+        case 'doughnut':
+            result.cutout = `${ dataset.holeSize ?? 50 }%`;
+            break;
+    }
+
+    applySeriesStyle( result, dataset );
+    if ( dataset.dataLabels ) {
+        result.datalabels = buildDataLabels( dataset, labels );
+    }
+
+    return result;
+}
+
+/**
+ * Applies the title, number format, gridlines, bounds and line of an axis to its Chart.js scale.
+ * @param {Object} axis - The axis from the chart model.
+ * @param {Array<Object>} axisDatasets - The series plotted on the axis.
+ * @param {Object} scale - The Chart.js scale.
+ * @returns {Object} The Chart.js scale.
+ */
+function buildScale( axis, axisDatasets, scale ) {
+    const font = buildFont( axis.text );
+    const color = axis.text?.color ?? DEFAULT_TEXT_COLOR;
+    if ( axis.title?.text ) {
+        scale.title = { display: true, text: axis.title.text, font: buildFont( axis.title ), color: axis.title.color ?? DEFAULT_TEXT_COLOR };
+    }
+
+    scale.ticks = { font, color };
+    if ( axis.tickLabelPosition === 'none' ) scale.ticks.display = false;
+
+    // Percent stacked values are rescaled to 0-100, while their axis is formatted and bounded as 0-1
+    const percent = axisDatasets.some( dataset => dataset.grouping === 'percentStacked' ) && axis.type === 'value';
+    const factor = percent ? 100 : 1;
+    if ( scale.type === 'linear' || scale.type === 'radialLinear' ) {
+        const formatCode = getFormatCode( axis.numFmt, axisDatasets[ 0 ]?.formatCode ) ?? ( percent ? '0%' : undefined );
+        if ( formatCode ) scale.ticks.callback = value => formatChartNumber( value / factor, formatCode );
+        if ( axis.min !== undefined ) scale.min = axis.min * factor;
+        if ( axis.max !== undefined ) scale.max = axis.max * factor;
+        if ( axis.majorUnit !== undefined ) scale.ticks.stepSize = axis.majorUnit * factor;
+    }
+
+    if ( axis.majorGridlines !== undefined ) {
+        scale.grid.display = !!axis.majorGridlines;
+        const gridColor = getLineColor( axis.majorGridlines?.line );
+        if ( gridColor ) scale.grid.color = gridColor;
+        if ( axis.majorGridlines?.line?.width ) scale.grid.lineWidth = axis.majorGridlines.line.width;
+    }
+
+    if ( axis.line !== undefined ) {
+        scale.border = { display: axis.line !== null };
+        const borderColor = getLineColor( axis.line );
+        if ( axis.line && borderColor ) scale.border.color = borderColor;
+        if ( axis.line?.width ) scale.border.width = axis.line.width;
+    }
+    return scale;
+}
+
+/**
+ * Builds the Chart.js configuration of a parsed chart, combining the series of every chart group
+ * of a combo chart and mapping each series to its axes.
+ * @param {Object} chartData - The chart model returned by `parseChart`.
+ * @returns {Object} The Chart.js configuration, without plugins.
+ */
+export function buildChartConfig( chartData ) {
+    const datasets = chartData.datasets || [];
+    const axes = chartData.axes || [];
+    const percentData = getPercentStackedData( datasets );
+
+    const chartDatasets = [];
+    const stockGroups = new Set();
+    for ( const dataset of datasets ) {
+        if ( dataset.type === 'stock' ) {
+            if ( stockGroups.has( dataset.group ) ) continue;
+            stockGroups.add( dataset.group );
+            chartDatasets.push( ...buildStockDatasets( datasets.filter( other => other.group === dataset.group ) ) );
+        } else {
+            chartDatasets.push( buildDataset( dataset, datasets, percentData, chartData.labels || [] ) );
+        }
+    }
+
+    const usedAxisIds = new Set( chartDatasets.flatMap( dataset => [ dataset.xAxisId, dataset.yAxisId ] ).filter( Boolean ) );
+    const scales = {};
+    // Radar charts plot their values on a single radial scale; their category axis only names the spokes
+    const radar = chartData.type === 'radar';
+    const radialAxis = radar ? axes.find( axis => axis.type === 'value' && usedAxisIds.has( axis.id ) ) : null;
+    if ( radialAxis ) {
+        scales.r = buildScale( radialAxis, datasets, { type: 'radialLinear', display: !radialAxis.deleted, grid: {} } );
+    }
+    for ( const axis of axes ) {
+        if ( radar || !usedAxisIds.has( axis.id ) ) continue;
+        const horizontal = axis.position === 'b' || axis.position === 't';
+        const axisDatasets = datasets.filter( dataset => dataset.xAxisId === axis.id || dataset.yAxisId === axis.id );
+        scales[ getScaleId( axis.id ) ] = buildScale( axis, axisDatasets, {
+            axis: horizontal ? 'x' : 'y',
+            type: axis.type === 'value' ? 'linear' : 'category',
+            position: AXIS_POSITIONS[ axis.position ] || 'bottom',
+            display: !axis.deleted,
+            reverse: axis.orientation === 'maxMin',
+            stacked: axisDatasets.some( dataset => STACKED_GROUPINGS.includes( dataset.grouping ) ),
+            // Only the first axis of each direction draws grid lines so secondary axes do not clutter the plot
+            grid: { drawOnChartArea: !Object.values( scales ).some( scale => scale.axis === ( horizontal ? 'x' : 'y' ) ) },
+        } );
+    }
+
+    for ( const dataset of chartDatasets ) {
+        const { xAxisId, yAxisId } = dataset;
+        delete dataset.xAxisId;
+        delete dataset.yAxisId;
+        if ( scales[ getScaleId( xAxisId ) ] ) dataset.xAxisID = getScaleId( xAxisId );
+        if ( scales[ getScaleId( yAxisId ) ] ) dataset.yAxisID = getScaleId( yAxisId );
+    }
+
+    const title = { display: !!chartData.title, text: chartData.title };
+    if ( chartData.titleStyle ) {
+        title.font = buildFont( chartData.titleStyle );
+        title.color = chartData.titleStyle.color ?? DEFAULT_TEXT_COLOR;
+    }
+
+    const options = {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+            title,
+            // Series without `c:dLbls` have no labels; labelled series override this per dataset
+            datalabels: { display: false },
+        },
+    };
+    if ( chartData.legend === null ) {
+        options.plugins.legend = { display: false };
+    } else if ( chartData.legend ) {
+        options.plugins.legend = {
+            display: true,
+            position: LEGEND_POSITIONS[ chartData.legend.position ] || 'right',
+            labels: { font: buildFont( chartData.legend.text ), color: chartData.legend.text?.color ?? DEFAULT_TEXT_COLOR },
+        };
+    }
+    if ( Object.keys( scales ).length > 0 ) {
+        options.scales = scales;
+    }
+    if ( datasets.find( dataset => dataset.type === 'bar' )?.barDir === 'bar' ) {
+        options.indexAxis = 'y';
+    }
+
+    return {
+        type: CHART_JS_TYPES[ chartData.type ] || chartData.type,
+        data: { labels: chartData.labels || [], datasets: chartDatasets },
+        options,
+    };
+}
@@ -0,0 +1,244 @@
+import { describe, it, expect } from 'vitest';
+import { buildChartConfig, formatChartNumber } from './chartConfig.js';
+
+const axes = [
+    { id: '1', type: 'category', position: 'b', deleted: false, orientation: 'minMax' },
+    { id: '2', type: 'value', position: 'l', deleted: false, orientation: 'minMax' },
+    { id: '3', type: 'category', position: 'b', deleted: true, orientation: 'minMax' },
+    { id: '4', type: 'value', position: 'r', deleted: false, orientation: 'maxMin' },
+];
+
+describe('buildChartConfig', () => {
+    it('should build a simple chart without axes', () => {
+        const config = buildChartConfig({
+            type: 'pie',
+            title: 'Share',
+            labels: ['A', 'B'],
+            datasets: [{ label: 'Series 1', data: [1, 2] }],
+        });
+        expect(config.type).toBe('pie');
+        expect(config.data.labels).toEqual(['A', 'B']);
+        expect(config.data.datasets).toEqual([{ label: 'Series 1', data: [1, 2], type: undefined }]);
+        expect(config.options.scales).toBeUndefined();
+        expect(config.options.plugins.title).toEqual({ display: true, text: 'Share' });
+    });
+
+    it('should map combo chart series to their chart type and secondary axes', () => {
+        const config = buildChartConfig({
+            type: 'bar',
+            title: null,
+            labels: ['Q1', 'Q2'],
+            axes,
+            datasets: [
+                { label: 'Revenue', data: [10, 20], type: 'bar', group: 0, xAxisId: '1', yAxisId: '2', grouping: 'clustered', barDir: 'col' },
+                { label: 'Margin', data: [0.1, 0.2], type: 'line', group: 1, xAxisId: '3', yAxisId: '4', grouping: 'standard', smooth: true },
+            ],
+        });
+
+        expect(config.data.datasets[0]).toMatchObject({ type: 'bar', xAxisID: 'axis-1', yAxisID: 'axis-2' });
+        expect(config.data.datasets[1]).toMatchObject({ type: 'line', fill: false, tension: 0.4, xAxisID: 'axis-3', yAxisID: 'axis-4' });
+        expect(config.options.scales['axis-2']).toMatchObject({ axis: 'y', type: 'linear', position: 'left', display: true, grid: { drawOnChartArea: true } });
+        expect(config.options.scales['axis-3']).toMatchObject({ axis: 'x', type: 'category', display: false, grid: { drawOnChartArea: false } });
+        expect(config.options.scales['axis-4']).toMatchObject({ axis: 'y', position: 'right', reverse: true, grid: { drawOnChartArea: false } });
+    });
+
+    it('should stack areas and rescale percent stacked series', () => {
+        const config = buildChartConfig({
+            type: 'area',
+            labels: ['A', 'B'],
+            axes,
+            datasets: [
+                { label: 'One', data: [1, 3], type: 'area', group: 0, xAxisId: '1', yAxisId: '2', grouping: 'percentStacked' },
+                { label: 'Two', data: [3, 1], type: 'area', group: 0, xAxisId: '1', yAxisId: '2', grouping: 'percentStacked' },
+            ],
+        });
+
+        expect(config.type).toBe('line');
+        expect(config.data.datasets.map(dataset => dataset.fill)).toEqual(['origin', '-1']);
+        expect(config.data.datasets.map(dataset => dataset.data)).toEqual([[25, 75], [75, 25]]);
+        expect(config.data.datasets[0].stack).toBe('group-0');
+        expect(config.options.scales['axis-2'].stacked).toBe(true);
+    });
+
+    it('should lay out horizontal bar charts along the y axis', () => {
+        const config = buildChartConfig({
+            type: 'bar',
+            labels: ['A'],
+            axes: [
+                { id: '1', type: 'category', position: 'l' },
+                { id: '2', type: 'value', position: 'b' },
+            ],
+            datasets: [{ label: 'One', data: [1], type: 'bar', group: 0, xAxisId: '2', yAxisId: '1', barDir: 'bar' }],
+        });
+
+        expect(config.options.indexAxis).toBe('y');
+        expect(config.data.datasets[0]).toMatchObject({ indexAxis: 'y', xAxisID: 'axis-2', yAxisID: 'axis-1' });
+        expect(config.options.scales['axis-1']).toMatchObject({ axis: 'y', type: 'category' });
+    });
+
+    it('should draw stock charts as high-low lines and up-down bars', () => {
+        const stock = (label, data) => ({ label, data, type: 'stock', group: 0, xAxisId: '1', yAxisId: '2' });
+        const config = buildChartConfig({
+            type: 'stock',
+            labels: ['Mon', 'Tue'],
+            axes,
+            datasets: [
+                stock('Open', [10, 12]),
+                stock('High', [14, 13]),
+                stock('Low', [9, 8]),
+                stock('Close', [12, 9]),
+            ],
+        });
+
+        const [highLow, upDown] = config.data.datasets;
+        expect(config.type).toBe('bar');
+        expect(highLow).toMatchObject({ type: 'bar', data: [[9, 14], [8, 13]], xAxisID: 'axis-1', yAxisID: 'axis-2' });
+        expect(upDown).toMatchObject({ type: 'bar', data: [[10, 12], [12, 9]], backgroundColor: ['#FFFFFF', '#000000'] });
+    });
+
+    it('should style series from their fills, data points and markers', () => {
+        const config = buildChartConfig({
+            type: 'bar',
+            labels: ['A', 'B'],
+            axes,
+            datasets: [
+                {
+                    label: 'Bars', data: [1, 2], type: 'bar', group: 0, xAxisId: '1', yAxisId: '2', grouping: 'clustered', barDir: 'col',
+                    gapWidth: 50, overlap: -20, color: '#4472C4', fill: { type: 'solid', color: '#112233' }, line: null,
+                    points: [{ idx: 1, fill: { type: 'solid', color: '#FF0000' } }],
+                },
+                {
+                    label: 'Line', data: [3, 4], type: 'line', group: 1, xAxisId: '3', yAxisId: '4', color: '#ED7D31',
+                    line: { width: 3, dash: [3, 4], color: '#00FF00' }, marker: { symbol: 'diamond', size: 8 },
+                },
+                { label: 'Plain', data: [5, 6], type: 'line', group: 1, xAxisId: '3', yAxisId: '4', color: '#A5A5A5', marker: { symbol: 'none', size: 5 } },
+            ],
+        });
+
+        const [bars, line, plain] = config.data.datasets;
+        expect(bars).toMatchObject({ backgroundColor: ['#112233', '#FF0000'], borderWidth: 0 });
+        expect(bars.categoryPercentage).toBeCloseTo(1.2 / 1.7);
+        expect(bars.barPercentage).toBeCloseTo(1 / 1.2);
+        expect(line).toMatchObject({ borderColor: '#00FF00', borderWidth: 3, borderDash: [3, 4], pointStyle: 'rectRot', pointRadius: 4, pointBackgroundColor: '#00FF00' });
+        expect(plain).toMatchObject({ borderColor: '#A5A5A5', borderWidth: 2.25, pointRadius: 0 });
+    });
+
+    it('should color pie slices by point and label them from the data label settings', () => {
+        const config = buildChartConfig({
+            type: 'pie',
+            labels: ['A', 'B'],
+            legend: null,
+            datasets: [{
+                label: 'Share', data: [1, 3], type: 'pie', group: 0, color: '#4472C4', pointColors: ['#4472C4', '#ED7D31'],
+                dataLabels: { showCatName: true, showPercent: true, separator: '; ', position: 'outEnd', text: { fontSize: 10, color: '#FFFFFF' } },
+            }],
+        });
+
+        const [dataset] = config.data.datasets;
+        expect(dataset).toMatchObject({ backgroundColor: ['#4472C4', '#ED7D31'], borderColor: '#FFFFFF' });
+        expect(dataset.datalabels).toMatchObject({ display: true, anchor: 'end', align: 'end', color: '#FFFFFF', font: { size: 10 } });
+        expect(dataset.datalabels.formatter(3, { dataIndex: 1 })).toBe('B; 75%');
+        expect(config.options.plugins.datalabels).toEqual({ display: false });
+        expect(config.options.plugins.legend).toEqual({ display: false });
+    });
+
+    it('should format value axes and legends from the chart model', () => {
+        const config = buildChartConfig({
+            type: 'bar',
+            labels: ['A'],
+            legend: { position: 'b', overlay: false, text: { fontSize: 9 } },
+            axes: [
+                { id: '1', type: 'category', position: 'b', tickLabelPosition: 'none', majorGridlines: null },
+                {
+                    id: '2', type: 'value', position: 'l', min: 0, max: 1, majorUnit: 0.25, numFmt: { formatCode: '0%', sourceLinked: false },
+                    title: { text: 'Share', bold: true }, majorGridlines: { line: { width: 0.75, color: '#D9D9D9' } }, line: null,
+                },
+            ],
+            datasets: [
+                { label: 'One', data: [1], type: 'bar', group: 0, xAxisId: '1', yAxisId: '2', grouping: 'percentStacked', barDir: 'col' },
+                { label: 'Two', data: [3], type: 'bar', group: 0, xAxisId: '1', yAxisId: '2', grouping: 'percentStacked', barDir: 'col' },
+            ],
+        });
+
+        const { 'axis-1': categoryScale, 'axis-2': valueScale } = config.options.scales;
+        expect(categoryScale.ticks.display).toBe(false);
+        expect(categoryScale.grid.display).toBe(false);
+        expect(valueScale).toMatchObject({
+            min: 0,
+            max: 100,
+            ticks: { stepSize: 25 },
+            title: { display: true, text: 'Share', font: { weight: 'bold' } },
+            grid: { display: true, color: '#D9D9D9', lineWidth: 0.75 },
+            border: { display: false },
+        });
+        expect(valueScale.ticks.callback(25)).toBe('25%');
+        expect(config.options.plugins.legend).toMatchObject({ display: true, position: 'bottom', labels: { font: { size: 9 } } });
+    });
+
+    it('should size bubbles relative to the largest bubble and the plot area', () => {
+        const config = buildChartConfig({
+            type: 'bubble',
+            axes: [
+                { id: '1', type: 'value', position: 'b' },
+                { id: '2', type: 'value', position: 'l' },
+            ],
+            datasets: [
+                { label: 'Area', data: [{ x: 1, y: 1, size: 250000 }, { x: 2, y: 2, size: 1000000 }], type: 'bubble', group: 0, xAxisId: '1', yAxisId: '2', bubbleScale: 100, sizeRepresents: 'area' },
+                { label: 'Width', data: [{ x: 3, y: 3, size: 500000 }, { x: 4, y: 4, size: -5 }], type: 'bubble', group: 0, xAxisId: '1', yAxisId: '2', bubbleScale: 50, sizeRepresents: 'w' },
+            ],
+        });
+
+        const [area, width] = config.data.datasets;
+        const chart = { chartArea: { width: 800, height: 400 } };
+        expect(area.data[1]).not.toHaveProperty('r');
+        expect(area.radius({ raw: area.data[1], chart })).toBe(50);
+        expect(area.radius({ raw: area.data[0], chart })).toBe(25);
+        expect(width.radius({ raw: width.data[0], chart })).toBe(12.5);
+        expect(width.radius({ raw: width.data[1], chart })).toBe(0);
+        expect(area.radius({ raw: area.data[1], chart: {} })).toBe(0);
+    });
+
+    it('should plot radar charts on a single radial scale', () => {
+        const config = buildChartConfig({
+            type: 'radar',
+            labels: ['A', 'B', 'C'],
+            axes: [
+                { id: '1', type: 'category', position: 'b', deleted: false },
+                { id: '2', type: 'value', position: 'l', deleted: false, min: 0, max: 10, numFmt: { formatCode: '0.0', sourceLinked: false }, majorGridlines: { line: { color: '#D9D9D9' } } },
+            ],
+            datasets: [
+                { label: 'One', data: [1, 5, 9], type: 'radar', group: 0, xAxisId: '1', yAxisId: '2', radarStyle: 'filled' },
+            ],
+        });
+
+        expect(Object.keys(config.options.scales)).toEqual(['r']);
+        expect(config.options.scales.r).toMatchObject({ type: 'radialLinear', display: true, min: 0, max: 10, grid: { display: true, color: '#D9D9D9' } });
+        expect(config.options.scales.r.ticks.callback(5)).toBe('5.0');
+        expect(config.data.datasets[0]).toMatchObject({ type: 'radar', fill: true });
+        expect(config.data.datasets[0]).not.toHaveProperty('xAxisID');
+        expect(config.data.datasets[0]).not.toHaveProperty('yAxisID');
+    });
+});
+
+describe('formatChartNumber', () => {
+    it('should format numbers with Excel number formats', () => {
+        expect(formatChartNumber(1234.5)).toBe('1234.5');
+        expect(formatChartNumber(1234.5, 'General')).toBe('1234.5');
+        expect(formatChartNumber(1234567.891, '#,##0.00')).toBe('1,234,567.89');
+        expect(formatChartNumber(0.256, '0.0%')).toBe('25.6%');
+        expect(formatChartNumber(-5, '$#,##0')).toBe('-$5');
+        expect(formatChartNumber(-5, '0;(0)')).toBe('(5)');
+        expect(formatChartNumber(0, '0;-0;"zero"')).toBe('zero');
+        expect(formatChartNumber(1500000, '0.0,, "M"')).toBe('1.5 M');
+        expect(formatChartNumber(12.5, '#,##0.00 [$€-407]')).toBe('12.50 €');
+        expect(formatChartNumber(0.5, '#.##')).toBe('.5');
+        expect(formatChartNumber(7, '[Red]0.0')).toBe('7.0');
+    });
+
+    it('should format serial dates with date and time codes', () => {
+        expect(formatChartNumber(44927, 'm/d/yyyy')).toBe('1/1/2023');
+        expect(formatChartNumber(44927, '[$-409]mmm yy')).toBe('Jan 23');
+        expect(formatChartNumber(44927.75, 'dddd h:mm AM/PM')).toBe('Sunday 6:00 PM');
+        expect(formatChartNumber(44927.5, 'yyyy-mm-dd hh:mm:ss')).toBe('2023-01-01 12:00:00');
+    });
+});
@@ -0,0 +1,131 @@
+import JSZip from 'jszip';
+import { parseXmlString, getNormalizedXmlString, getRelationships, resolvePath } from 'utils';
+import { SML_NS } from 'constants';
+
+/**
+ * Converts a spreadsheet column name to its zero based index.
+ * @param {string} column - The column name, e.g. `AB`.
+ * @returns {number} The column index.
+ */
+function getColumnIndex( column ) {
+    let index = 0;
+    for ( const char of column.toUpperCase() ) {
+        index = index * 26 + char.charCodeAt( 0 ) - 64;
+    }
+    return index - 1;
+}
+
+/**
+ * Parses a cell reference such as `$B$2`.
+ * @param {string} ref - The cell reference.
+ * @returns {{row: number, column: number}|null} The zero based row and column, or null if the reference is invalid.
+ */
+function parseCellReference( ref ) {
+    const match = ref.replace( /\$/g, '' ).match( /^([A-Za-z]+)(\d+)$/ );
+    if ( !match ) return null;
+    return { row: parseInt( match[ 2 ] ) - 1, column: getColumnIndex( match[ 1 ] ) };
+}
+
+/**
+ * Gets the text of a shared or inline string, skipping phonetic runs.
+ * @param {Element} stringNode - The `si` or `is` node.
+ * @returns {string} The text.
+ */
+function getStringText( stringNode ) {
+    return Array.from( stringNode.getElementsByTagNameNS( SML_NS, 't' ) )
+        .filter( tNode => tNode.parentNode.localName !== 'rPh' )
+        .map( tNode => tNode.textContent )
+        .join( '' );
+}
+
+/**
+ * Parses the cell values of a worksheet.
+ * @param {string} sheetXml - The XML content of the worksheet.
+ * @param {Array<string>} sharedStrings - The shared strings of the workbook.
+ * @returns {Object<string, string|null>} The cell values, keyed by `row:column`.
+ */
+function parseSheetCells( sheetXml, sharedStrings ) {
+    const cells = {};
+    const xmlDoc = parseXmlString( sheetXml, 'worksheet' );
+    for ( const cellNode of xmlDoc.getElementsByTagNameNS( SML_NS, 'c' ) ) {
+        const ref = parseCellReference( cellNode.getAttribute( 'r' ) || '' );
+        if ( !ref ) continue;
+
+        const type = cellNode.getAttribute( 't' );
+        const valueNode = cellNode.getElementsByTagNameNS( SML_NS, 'v' )[ 0 ];
+        let value = valueNode ? valueNode.textContent : null;
+        if ( type === 's' ) {
+            value = sharedStrings[ parseInt( value ) ] ?? null;
+        } else if ( type === 'inlineStr' ) {
+            const isNode = cellNode.getElementsByTagNameNS( SML_NS, 'is' )[ 0 ];
+            value = isNode ? getStringText( isNode ) : null;
+        } else if ( type === 'e' ) {
+            value = null;
+        }
+        cells[ `${ ref.row }:${ ref.column }` ] = value;
+    }
+    return cells;
+}
+
+/**
+ * Parses the cell values of a chart's embedded workbook.
+ * @param {ArrayBuffer|Uint8Array} data - The content of the `.xlsx` package.
+ * @returns {Promise<{sheets: Object<string, Object<string, string|null>>}|null>} The cells of every sheet, keyed by sheet name,
+ * or null if the package is not a workbook.
+ */
+export async function parseWorkbook( data ) {
+    const zip = await JSZip.loadAsync( data );
+    const entriesMap = zip.files;
+
+    const workbookXml = await getNormalizedXmlString( entriesMap, 'xl/workbook.xml' );
+    if ( !workbookXml ) return null;
+    const workbookRels = await getRelationships( entriesMap, 'xl/_rels/workbook.xml.rels' );
+
+    const sharedStringsXml = await getNormalizedXmlString( entriesMap, 'xl/sharedStrings.xml' );
+    const sharedStrings = sharedStringsXml
+        ? Array.from( parseXmlString( sharedStringsXml, 'sharedStrings' ).getElementsByTagNameNS( SML_NS, 'si' ) ).map( getStringText )
+        : [];
+
+    const sheets = {};
+    const workbookDoc = parseXmlString( workbookXml, 'workbook' );
+    for ( const sheetNode of workbookDoc.getElementsByTagNameNS( SML_NS, 'sheet' ) ) {
+        const rel = workbookRels[ sheetNode.getAttribute( 'r:id' ) ];
+        if ( !rel ) continue;
+        const sheetXml = await getNormalizedXmlString( entriesMap, resolvePath( 'xl', rel.target ) );
+        if ( sheetXml ) {
+            sheets[ sheetNode.getAttribute( 'name' ) ] = parseSheetCells( sheetXml, sharedStrings );
+        }
+    }
+
+    return { sheets };
+}
+
+/**
+ * Reads the values a chart formula such as `Sheet1!$B$2:$B$5` refers to.
+ * Ranges are read row by row; a formula may list several ranges in parentheses.
+ * @param {Object} workbook - The workbook returned by `parseWorkbook`.
+ * @param {string} formula - The formula of a chart reference (`c:f`).
+ * @returns {Array<string|null>|null} The cell values, or null if the formula cannot be resolved.
+ */
+export function getWorkbookValues( workbook, formula ) {
+    if ( !workbook || !formula ) return null;
+
+    const values = [];
+    const ranges = formula.trim().replace( /^\(|\)$/g, '' ).match( /('[^']*(?:''[^']*)*'|[^,'!]+)![^,]+/g ) || [];
+    if ( ranges.length === 0 ) return null;
+
+    for ( const range of ranges ) {
+        const separator = range.lastIndexOf( '!' );
+        const sheetName = range.slice( 0, separator ).replace( /^'|'$/g, '' ).replace( /''/g, "'" );
+        const cells = workbook.sheets[ sheetName ];
+        const [ start, end = start ] = range.slice( separator + 1 ).split( ':' ).map( parseCellReference );
+        if ( !cells || !start || !end ) return null;
+
+        for ( let row = Math.min( start.row, end.row ); row <= Math.max( start.row, end.row ); row++ ) {
+            for ( let column = Math.min( start.column, end.column ); column <= Math.max( start.column, end.column ); column++ ) {
+                values.push( cells[ `${ row }:${ column }` ] ?? null );
+            }
+        }
+    }
+    return values;
+}
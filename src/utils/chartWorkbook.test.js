@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+import { parseWorkbook, getWorkbookValues } from './chartWorkbook.js';
+
+const SML = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+async function createWorkbook() {
+    const zip = new JSZip();
+    zip.file('xl/workbook.xml', `<workbook xmlns="${SML}" xmlns:r="${REL}"><sheets><sheet name="Sheet1" sheetId="1" r:id="rId1"/><sheet name="Q's data" sheetId="2" r:id="rId2"/></sheets></workbook>`);
+    zip.file('xl/_rels/workbook.xml.rels', `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${REL}/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="${REL}/worksheet" Target="worksheets/sheet2.xml"/></Relationships>`);
+    zip.file('xl/sharedStrings.xml', `<sst xmlns="${SML}"><si><t>Revenue</t></si><si><r><t>North</t></r><r><t> East</t></r><rPh><t>x</t></rPh></si></sst>`);
+    zip.file('xl/worksheets/sheet1.xml', `<worksheet xmlns="${SML}"><sheetData>
+        <row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="inlineStr"><is><t>Inline</t></is></c></row>
+        <row r="2"><c r="A2" t="s"><v>1</v></c><c r="B2"><v>12.5</v></c></row>
+        <row r="3"><c r="A3" t="str"><v>South</v></c><c r="B3" t="e"><v>#N/A</v></c></row>
+    </sheetData></worksheet>`);
+    zip.file('xl/worksheets/sheet2.xml', `<worksheet xmlns="${SML}"><sheetData><row r="1"><c r="C1"><v>7</v></c></row></sheetData></worksheet>`);
+    return zip.generateAsync({ type: 'uint8array' });
+}
+
+describe('parseWorkbook', () => {
+    it('should read the cell values of every sheet', async () => {
+        const workbook = await parseWorkbook(await createWorkbook());
+        expect(Object.keys(workbook.sheets)).toEqual(['Sheet1', "Q's data"]);
+        expect(getWorkbookValues(workbook, 'Sheet1!$A$1:$B$1')).toEqual(['Revenue', 'Inline']);
+        expect(getWorkbookValues(workbook, 'Sheet1!$A$2:$A$4')).toEqual(['North East', 'South', null]);
+        expect(getWorkbookValues(workbook, 'Sheet1!$B$2:$B$3')).toEqual(['12.5', null]);
+    });
+
+    it('should return null for packages without a workbook', async () => {
+        const zip = new JSZip();
+        zip.file('word/document.xml', '<document/>');
+        expect(await parseWorkbook(await zip.generateAsync({ type: 'uint8array' }))).toBeNull();
+    });
+});
+
+describe('getWorkbookValues', () => {
+    const workbook = { sheets: { Sheet1: { '0:0': 'a', '1:0': 'b', '0:1': 'c' }, "Q's data": { '0:2': '7' } } };
+
+    it('should resolve quoted sheet names and lists of ranges', () => {
+        expect(getWorkbookValues(workbook, "'Q''s data'!$C$1")).toEqual(['7']);
+        expect(getWorkbookValues(workbook, '(Sheet1!$A$1,Sheet1!$B$1)')).toEqual(['a', 'c']);
+    });
+
+    it('should return null for formulas it cannot resolve', () => {
+        expect(getWorkbookValues(workbook, 'Other!$A$1')).toBeNull();
+        expect(getWorkbookValues(workbook, '')).toBeNull();
+        expect(getWorkbookValues(null, 'Sheet1!$A$1')).toBeNull();
+    });
+});
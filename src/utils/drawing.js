@@ -1,33 +1,56 @@
-import { ColorParser, resolvePath, integerToRoman, parseGradientFill } from 'utils';
-import { DML_NS, EMU_PER_PIXEL } from "constants";
+import { ColorParser, resolvePath, integerToRoman, parseGradientFill, createGuideContext, evaluateGuideFormula, evaluateGuides, resolveGuideValue, PRESET_SHAPE_DEFINITIONS } from 'utils';
+import { DML_NS, EMU_PER_PIXEL, LANGUAGE_SCRIPTS, EAST_ASIAN_SCRIPTS } from "constants";
+
+const FONT_ALIAS_SLOTS = { lt: 'latin', ea: 'ea', cs: 'cs' };
+
+/**
+ * Finds the theme font script of a run from its languages, for the East Asian or complex script slot.
+ * @param {Object} finalRunProps - The final run properties.
+ * @param {string} script - Either 'ea' or 'cs'.
+ * @returns {string|undefined} The script code, such as 'Jpan' or 'Arab'.
+ */
+function getLanguageScript( finalRunProps, script ) {
+    for ( const lang of [ finalRunProps.lang, finalRunProps.altLang ] ) {
+        if ( !lang ) continue;
+        const code = LANGUAGE_SCRIPTS[ lang ] || LANGUAGE_SCRIPTS[ lang.split( '-' )[ 0 ] ];
+        if ( code && EAST_ASIAN_SCRIPTS.includes( code ) === ( script === 'ea' ) ) return code;
+    }
+    return undefined;
+}
 
 /**
  * Resolves the font family for a text run.
+ * The East Asian and complex script slots use the `a:ea` and `a:cs` typefaces of the run,
+ * falling back to the theme font of the slot, then to the theme font for the language of the run.
  * @param {Object} finalRunProps - The final run properties.
  * @param {string} phType - The placeholder type.
  * @param {Object} slideContext - The context of the slide.
+ * @param {string} [script='latin'] - The font slot of the text: 'latin', 'ea' or 'cs'.
  * @returns {string} The resolved font family.
  */
-export function resolveFontFamily( finalRunProps, phType, slideContext ) {
-    const fontAlias = finalRunProps.font;
-    const theme = slideContext.theme;
-
+export function resolveFontFamily( finalRunProps, phType, slideContext, script = 'latin' ) {
+    const fontScheme = slideContext.theme?.fontScheme;
+    const themeFont = ( kind, slot ) => {
+        if ( slot === 'latin' ) return fontScheme?.[ kind ] || 'Arial';
+        const scriptFont = fontScheme?.[ `${ kind }Scripts` ]?.[ getLanguageScript( finalRunProps, slot ) ];
+        return fontScheme?.[ `${ kind }${ slot === 'ea' ? 'Ea' : 'Cs' }` ] || scriptFont || fontScheme?.[ kind ] || 'Arial';
+    };
+
+    const fontAlias = script === 'ea' ? finalRunProps.eaFont : ( script === 'cs' ? finalRunProps.csFont : finalRunProps.font );
     if ( fontAlias ) {
-        if ( fontAlias === '+mj-lt' ) {
-            return theme?.fontScheme?.major || 'Arial';
-        }
-        if ( fontAlias === '+mn-lt' ) {
-            return theme?.fontScheme?.minor || 'Arial';
+        const alias = fontAlias.match( /^\+(mj|mn)-(lt|ea|cs)$/ );
+        if ( alias ) {
+            return themeFont( alias[ 1 ] === 'mj' ? 'major' : 'minor', FONT_ALIAS_SLOTS[ alias[ 2 ] ] );
         }
         return fontAlias; // It's a specific font like 'Calibri'
     }
 
     // No font in run, so fallback to placeholder type
     if ( phType === 'title' || phType === 'ctrTitle' || phType === 'subTitle' ) {
-        return theme?.fontScheme?.major || 'Arial';
+        return themeFont( 'major', script );
     }
 
-    return theme?.fontScheme?.minor || 'Arial';
+    return themeFont( 'minor', script );
 }
 
 /**
@@ -72,6 +95,15 @@ export function createImage( url ) {
     } );
 }
 
+const IMAGE_MIME_TYPES = {
+    svg: 'image/svg+xml',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    bmp: 'image/bmp',
+    webp: 'image/webp',
+};
+
 /**
  * Populates the image map by loading image data from zip entries.
  * @param {Object} imageMap - The map to populate with image data.
@@ -88,7 +120,9 @@ export async function populateImageMap( imageMap, rels, baseDir, entriesMap ) {
         if ( imageEntry ) {
             try {
                 const imageData = await imageEntry.async( "base64" );
-                imageMap[ rel.id ] = `data:image/png;base64,${ imageData }`;
+                // Browsers only draw SVG images with their own MIME type, raster images are sniffed
+                const extension = rel.target.split( '.' ).pop().toLowerCase();
+                imageMap[ rel.id ] = `data:${ IMAGE_MIME_TYPES[ extension ] || 'image/png' };base64,${ imageData }`;
             } catch ( e ) {
                 console.error( `Failed to load image data for relId ${ rel.id } at path ${ imagePath }`, e );
             }
@@ -98,6 +132,75 @@ export async function populateImageMap( imageMap, rels, baseDir, entriesMap ) {
     }
 }
 
+const MEDIA_MIME_TYPES = {
+    mp4: 'video/mp4',
+    m4v: 'video/mp4',
+    mov: 'video/quicktime',
+    webm: 'video/webm',
+    ogv: 'video/ogg',
+    wmv: 'video/x-ms-wmv',
+    avi: 'video/x-msvideo',
+    mp3: 'audio/mpeg',
+    m4a: 'audio/mp4',
+    aac: 'audio/aac',
+    wav: 'audio/wav',
+    wma: 'audio/x-ms-wma',
+    ogg: 'audio/ogg',
+};
+
+// Object URLs of embedded media, keyed by zip entry so re-parsing a slide does not create new ones
+const mediaSourceCache = new WeakMap();
+
+/**
+ * Resolves the source of a media relationship. Linked media plays from its URL,
+ * embedded media from an object URL of the media part.
+ * @param {Object} rel - The media relationship.
+ * @param {string} baseDir - The directory of the part the relationship belongs to.
+ * @param {Map<string, Object>} entriesMap - A map of zip file entries.
+ * @returns {Promise<{src: string, mimeType: (string|null), external: boolean}|null>} The media source, or null if the media is missing.
+ */
+export async function loadMediaSource( rel, baseDir, entriesMap ) {
+    if ( !rel ) return null;
+
+    const extension = rel.target.split( /[?#]/ )[ 0 ].split( '.' ).pop().toLowerCase();
+    const mimeType = MEDIA_MIME_TYPES[ extension ] || null;
+    if ( rel.targetMode === 'External' ) {
+        return { src: rel.target, mimeType, external: true };
+    }
+
+    const mediaPath = resolvePath( baseDir, rel.target );
+    const mediaEntry = entriesMap[ mediaPath ];
+    if ( !mediaEntry ) {
+        console.warn( `Media relationship '${ rel.id }' points to a non-existent target: ${ rel.target } (resolved to ${ mediaPath })` );
+        return null;
+    }
+
+    if ( !mediaSourceCache.has( mediaEntry ) ) {
+        let src;
+        if ( typeof URL.createObjectURL === 'function' ) {
+            const data = await mediaEntry.async( 'arraybuffer' );
+            src = URL.createObjectURL( new Blob( [ data ], mimeType ? { type: mimeType } : {} ) );
+        } else {
+            src = `data:${ mimeType || 'application/octet-stream' };base64,${ await mediaEntry.async( 'base64' ) }`;
+        }
+        mediaSourceCache.set( mediaEntry, src );
+    }
+    return { src: mediaSourceCache.get( mediaEntry ), mimeType, external: false };
+}
+
+/**
+ * Releases the object URLs of the embedded media loaded by `loadMediaSource` for a presentation.
+ * @param {Object<string, Object>} entriesMap - The zip file entries of the presentation.
+ */
+export function unloadMediaSources( entriesMap ) {
+    for ( const mediaEntry of Object.values( entriesMap || {} ) ) {
+        const src = mediaSourceCache.get( mediaEntry );
+        if ( src === undefined ) continue;
+        if ( src.startsWith( 'blob:' ) ) URL.revokeObjectURL( src );
+        mediaSourceCache.delete( mediaEntry );
+    }
+}
+
 /**
  * Calculates the size of a text block.
  * @param {Element[]} paragraphs - The paragraph elements.
@@ -126,14 +229,14 @@ export function calculateTextBlockSize( paragraphs, pos, defaultTextStyles, phKe
  * @param {number} numCols - The total number of columns in the table.
  * @param {Object} tableStyle - The table style object.
  * @param {Object} slideContext - The context of the slide.
- * @returns {Object} The parsed cell borders.
+ * @returns {Object} The parsed cell borders, including the diagonal `tlToBr` and `blToTr` lines.
  */
 export function getCellBorders( cellNode, tblPrNode, r, c, numRows, numCols, tableStyle, slideContext ) {
     const borders = {};
     const tcPrNode = cellNode.getElementsByTagNameNS( DML_NS, 'tcPr' )[ 0 ];
 
     if ( tcPrNode ) {
-        const borderMap = { 'lnL': 'left', 'lnR': 'right', 'lnT': 'top', 'lnB': 'bottom' };
+        const borderMap = { 'lnL': 'left', 'lnR': 'right', 'lnT': 'top', 'lnB': 'bottom', 'lnTlToBr': 'tlToBr', 'lnBlToTr': 'blToTr' };
         for ( const child of tcPrNode.children ) {
             const side = borderMap[ child.localName ];
             if ( side ) {
@@ -215,7 +318,7 @@ export function getCellBorders( cellNode, tblPrNode, r, c, numRows, numCols, tab
         }
     }
 
-    for ( const side of [ 'left', 'right', 'top', 'bottom' ] ) {
+    for ( const side of [ 'left', 'right', 'top', 'bottom', 'tlToBr', 'blToTr' ] ) {
         if ( finalBorders[ side ] === undefined ) {
             const borderToApply = mergedPartBorders[ side ] || baseBorders[ side ];
             if ( borderToApply ) {
@@ -530,13 +633,17 @@ export function buildPathStringFromGeom( geometry, pos, flipH, flipV ) {
                 const pathData = geometry.path;
                 const scaleX = pathData.w === 0 ? 1 : pos.width / pathData.w;
                 const scaleY = pathData.h === 0 ? 1 : pos.height / pathData.h;
+                const current = { x: 0, y: 0 };
+                let subpathStart = { x: 0, y: 0 };
 
                 let pathString = '';
                 pathData.commands.forEach( command => {
+                    const last = command.points?.[ command.points.length - 1 ];
                     switch ( command.cmd ) {
                         case 'moveTo': {
                             const p = command.points[ 0 ];
                             pathString += `M ${ p.x * scaleX } ${ p.y * scaleY } `;
+                            subpathStart = { x: p.x * scaleX, y: p.y * scaleY };
                             break;
                         }
                         case 'lnTo': {
@@ -544,6 +651,10 @@ export function buildPathStringFromGeom( geometry, pos, flipH, flipV ) {
                             pathString += `L ${ p.x * scaleX } ${ p.y * scaleY } `;
                             break;
                         }
+                        case 'arcTo': {
+                            pathString += `${ buildArcPath( current, command.wR * scaleX, command.hR * scaleY, command.stAng, command.swAng ) } `;
+                            break;
+                        }
                         case 'cubicBezTo': {
                             const p1 = command.points[ 0 ];
                             const p2 = command.points[ 1 ];
@@ -559,9 +670,15 @@ export function buildPathStringFromGeom( geometry, pos, flipH, flipV ) {
                         }
                         case 'close': {
                             pathString += 'Z ';
+                            current.x = subpathStart.x;
+                            current.y = subpathStart.y;
                             break;
                         }
                     }
+                    if ( command.cmd !== 'arcTo' && last ) {
+                        current.x = last.x * scaleX;
+                        current.y = last.y * scaleY;
+                    }
                 } );
                 return pathString;
             }
@@ -649,7 +766,152 @@ export function buildPathStringFromGeom( geometry, pos, flipH, flipV ) {
             const x2 = pos.width - shoulderX;
             return `M 0 0 L ${ x2 } 0 L ${ pos.width } ${ pos.height / 2 } L ${ x2 } ${ pos.height } L 0 ${ pos.height } Z`;
         }
+        default: {
+            const presetPaths = buildPresetPaths( geometry, pos );
+            return presetPaths ? presetPaths.map( path => path.d ).join( ' ' ) : null;
+        }
     }
 
     return null;
 }
+
+/**
+ * Gets the rectangle text is laid out in, from the text rectangle of a custom geometry.
+ * @param {Object} geometry - The geometry object.
+ * @param {Object} pos - The position and dimensions of the shape.
+ * @returns {Object} The position and dimensions of the text rectangle, or `pos` if the geometry has none.
+ */
+export function getGeometryTextRect( geometry, pos ) {
+    const textRect = geometry?.type === 'custom' ? geometry.path?.textRect : null;
+    if ( !textRect || !pos ) return pos;
+
+    const scaleX = geometry.path.w ? pos.width / geometry.path.w : 1;
+    const scaleY = geometry.path.h ? pos.height / geometry.path.h : 1;
+    const width = ( textRect.r - textRect.l ) * scaleX;
+    const height = ( textRect.b - textRect.t ) * scaleY;
+    if ( !( width > 0 ) || !( height > 0 ) ) return pos;
+
+    return {
+        ...pos,
+        x: pos.x + textRect.l * scaleX,
+        y: pos.y + textRect.t * scaleY,
+        width,
+        height,
+    };
+}
+
+/**
+ * Builds the SVG path data of an elliptical `arcTo` command.
+ * DrawingML arcs start at the current point and their angles are visual angles on the ellipse,
+ * so the center and end point are derived from the parametric angles of the ellipse.
+ * @param {{x: number, y: number}} current - The current point, updated to the end of the arc.
+ * @param {number} wR - The horizontal radius.
+ * @param {number} hR - The vertical radius.
+ * @param {number} stAng - The start angle, in 60000ths of a degree.
+ * @param {number} swAng - The swing angle, in 60000ths of a degree.
+ * @returns {string} The SVG path data of the arc.
+ */
+function buildArcPath( current, wR, hR, stAng, swAng ) {
+    const parametricAngle = angle => {
+        const radians = angle / 60000 * Math.PI / 180;
+        return Math.atan2( wR * Math.sin( radians ), hR * Math.cos( radians ) );
+    };
+    const pointAt = ( cx, cy, angle ) => {
+        const t = parametricAngle( angle );
+        return { x: cx + wR * Math.cos( t ), y: cy + hR * Math.sin( t ) };
+    };
+
+    const start = parametricAngle( stAng );
+    const cx = current.x - wR * Math.cos( start );
+    const cy = current.y - hR * Math.sin( start );
+
+    if ( wR === 0 || hR === 0 ) {
+        const end = pointAt( cx, cy, stAng + swAng );
+        current.x = end.x;
+        current.y = end.y;
+        return `L ${ end.x } ${ end.y }`;
+    }
+
+    // An SVG arc cannot draw a full ellipse, so full swings are drawn as two halves.
+    const segments = Math.abs( swAng ) >= 21600000 ? [ swAng / 2, swAng / 2 ] : [ swAng ];
+    let angle = stAng;
+    return segments.map( sweep => {
+        angle += sweep;
+        const end = pointAt( cx, cy, angle );
+        const largeArcFlag = Math.abs( sweep ) > 10800000 ? 1 : 0;
+        const sweepFlag = sweep > 0 ? 1 : 0;
+        current.x = end.x;
+        current.y = end.y;
+        return `A ${ wR } ${ hR } 0 ${ largeArcFlag } ${ sweepFlag } ${ end.x } ${ end.y }`;
+    } ).join( ' ' );
+}
+
+/**
+ * Builds the SVG paths of a preset geometry from its shape definition.
+ * The adjust values of the shape override the defaults of the definition before its guides are evaluated.
+ * @param {Object} geometry - The geometry object.
+ * @param {Object} pos - The position and dimensions of the shape.
+ * @returns {Array<{d: string, fill: string|undefined, stroke: boolean}>|null} The paths of the shape,
+ * in drawing order, or null if the preset is unknown.
+ */
+export function buildPresetPaths( geometry, pos ) {
+    if ( !geometry || !pos ) return null;
+
+    const geomType = geometry.type === 'preset' ? geometry.preset : geometry.type;
+    const definition = Object.prototype.hasOwnProperty.call( PRESET_SHAPE_DEFINITIONS, geomType ) ? PRESET_SHAPE_DEFINITIONS[ geomType ] : null;
+    if ( !definition ) return null;
+
+    const guides = createGuideContext( pos.width, pos.height );
+    for ( const [ name, formula ] of Object.entries( definition.avLst || {} ) ) {
+        const adjustment = geometry.adjustments?.[ name ];
+        guides[ name ] = adjustment !== undefined ? adjustment : evaluateGuideFormula( formula, guides );
+    }
+    evaluateGuides( definition.gdLst, guides );
+
+    return definition.pathLst.map( path => {
+        const scaleX = path.w ? pos.width / path.w : 1;
+        const scaleY = path.h ? pos.height / path.h : 1;
+        const x = value => resolveGuideValue( value, guides ) * scaleX;
+        const y = value => resolveGuideValue( value, guides ) * scaleY;
+        const current = { x: 0, y: 0 };
+        let subpathStart = { x: 0, y: 0 };
+
+        const segments = path.commands.map( ( [ cmd, ...args ] ) => {
+            switch ( cmd ) {
+                case 'moveTo':
+                    current.x = x( args[ 0 ] );
+                    current.y = y( args[ 1 ] );
+                    subpathStart = { ...current };
+                    return `M ${ current.x } ${ current.y }`;
+                case 'lnTo':
+                    current.x = x( args[ 0 ] );
+                    current.y = y( args[ 1 ] );
+                    return `L ${ current.x } ${ current.y }`;
+                case 'arcTo':
+                    return buildArcPath( current, x( args[ 0 ] ), y( args[ 1 ] ), resolveGuideValue( args[ 2 ], guides ), resolveGuideValue( args[ 3 ], guides ) );
+                case 'quadBezTo':
+                case 'cubicBezTo': {
+                    const points = [];
+                    for ( let i = 0; i < args.length; i += 2 ) {
+                        points.push( `${ x( args[ i ] ) } ${ y( args[ i + 1 ] ) }` );
+                    }
+                    current.x = x( args[ args.length - 2 ] );
+                    current.y = y( args[ args.length - 1 ] );
+                    return `${ cmd === 'quadBezTo' ? 'Q' : 'C' } ${ points.join( ' ' ) }`;
+                }
+                case 'close':
+                    current.x = subpathStart.x;
+                    current.y = subpathStart.y;
+                    return 'Z';
+                default:
+                    return '';
+            }
+        } );
+
+        return {
+            d: segments.filter( Boolean ).join( ' ' ),
+            fill: path.fill,
+            stroke: path.stroke !== false,
+        };
+    } );
+}
@@ -97,6 +97,37 @@ describe('drawing.js', () => {
         });
     });
 
+    describe('resolveFontFamily for East Asian and complex scripts', () => {
+        const slideContext = {
+            theme: {
+                fontScheme: {
+                    major: 'Calibri Light',
+                    minor: 'Calibri',
+                    minorEa: 'MS Mincho',
+                    majorScripts: { Jpan: 'Yu Gothic Light', Arab: 'Times New Roman' },
+                },
+            },
+        };
+
+        it('should use the typeface of the font slot of the script', () => {
+            const finalRunProps = { font: 'Calibri', eaFont: 'Meiryo', csFont: 'Tahoma' };
+            expect(drawing.resolveFontFamily(finalRunProps, 'body', slideContext, 'latin')).toBe('Calibri');
+            expect(drawing.resolveFontFamily(finalRunProps, 'body', slideContext, 'ea')).toBe('Meiryo');
+            expect(drawing.resolveFontFamily(finalRunProps, 'body', slideContext, 'cs')).toBe('Tahoma');
+        });
+
+        it('should resolve theme aliases of the East Asian and complex script slots', () => {
+            expect(drawing.resolveFontFamily({ eaFont: '+mn-ea' }, 'body', slideContext, 'ea')).toBe('MS Mincho');
+            expect(drawing.resolveFontFamily({ eaFont: '+mj-ea', lang: 'ja-JP' }, 'body', slideContext, 'ea')).toBe('Yu Gothic Light');
+        });
+
+        it('should fall back to the theme font for the language of the run', () => {
+            expect(drawing.resolveFontFamily({ lang: 'ar-SA' }, 'title', slideContext, 'cs')).toBe('Times New Roman');
+            expect(drawing.resolveFontFamily({ lang: 'en-US', altLang: 'ja-JP' }, 'title', slideContext, 'ea')).toBe('Yu Gothic Light');
+            expect(drawing.resolveFontFamily({}, 'title', slideContext, 'cs')).toBe('Calibri Light');
+        });
+    });
+
     describe('getAutoNumberingChar', () => {
         it('should generate correct string for various schemes', () => {
             expect(drawing.getAutoNumberingChar('alphaLcParenBoth', 1)).toBe('(a)');
@@ -189,6 +220,20 @@ describe('drawing.js', () => {
             expect(entriesMap['ppt/media/image1.png'].async).toHaveBeenCalledWith('base64');
         });
 
+        it('should load SVG images with their MIME type', async () => {
+            const imageMap = {};
+            const rels = {
+                'rId3': { id: 'rId3', type: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image', target: 'media/image2.svg' },
+            };
+            const entriesMap = {
+                'ppt/media/image2.svg': { async: vi.fn().mockResolvedValue('mock-svg-data') },
+            };
+
+            await drawing.populateImageMap(imageMap, rels, 'ppt', entriesMap);
+
+            expect(imageMap['rId3']).toBe('data:image/svg+xml;base64,mock-svg-data');
+        });
+
         it('should not overwrite existing images in the map', async () => {
             const imageMap = { 'rId1': 'existing-image-data' };
             const rels = {
@@ -230,6 +275,57 @@ describe('drawing.js', () => {
         });
     });
 
+    describe('loadMediaSource', () => {
+        afterEach(() => {
+            vi.unstubAllGlobals();
+        });
+
+        it('should play linked media from its url', async () => {
+            const rel = { id: 'rId1', type: 'video', target: 'https://example.com/clip.MP4?x=1', targetMode: 'External' };
+            const source = await drawing.loadMediaSource(rel, 'ppt/slides', {});
+            expect(source).toEqual({ src: 'https://example.com/clip.MP4?x=1', mimeType: 'video/mp4', external: true });
+        });
+
+        it('should load embedded media once as an object url', async () => {
+            const createObjectURL = vi.fn(() => 'blob:media-1');
+            vi.stubGlobal('URL', { createObjectURL });
+            const rel = { id: 'rId2', type: 'media', target: '../media/media1.m4a' };
+            const entriesMap = { 'ppt/slides/../media/media1.m4a': { async: vi.fn().mockResolvedValue(new ArrayBuffer(4)) } };
+
+            const first = await drawing.loadMediaSource(rel, 'ppt/slides', entriesMap);
+            const second = await drawing.loadMediaSource(rel, 'ppt/slides', entriesMap);
+
+            expect(first).toEqual({ src: 'blob:media-1', mimeType: 'audio/mp4', external: false });
+            expect(second.src).toBe('blob:media-1');
+            expect(createObjectURL).toHaveBeenCalledTimes(1);
+            expect(createObjectURL.mock.calls[0][0].type).toBe('audio/mp4');
+        });
+
+        it('should revoke the object urls of a presentation when it is unloaded', async () => {
+            const createObjectURL = vi.fn(() => 'blob:media-2');
+            const revokeObjectURL = vi.fn();
+            vi.stubGlobal('URL', { createObjectURL, revokeObjectURL });
+            const rel = { id: 'rId2', type: 'media', target: '../media/media2.mp4' };
+            const entriesMap = { 'ppt/slides/../media/media2.mp4': { async: vi.fn().mockResolvedValue(new ArrayBuffer(4)) }, 'ppt/slides/slide1.xml': {} };
+
+            await drawing.loadMediaSource(rel, 'ppt/slides', entriesMap);
+            drawing.unloadMediaSources(entriesMap);
+            drawing.unloadMediaSources(entriesMap);
+
+            expect(revokeObjectURL).toHaveBeenCalledTimes(1);
+            expect(revokeObjectURL).toHaveBeenCalledWith('blob:media-2');
+            await drawing.loadMediaSource(rel, 'ppt/slides', entriesMap);
+            expect(createObjectURL).toHaveBeenCalledTimes(2);
+        });
+
+        it('should return null for missing media', async () => {
+            vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const rel = { id: 'rId3', type: 'media', target: '../media/missing.wav' };
+            expect(await drawing.loadMediaSource(rel, 'ppt/slides', {})).toBeNull();
+            expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('non-existent target'));
+        });
+    });
+
     describe('getCellBorders', () => {
         let ColorParser;
         const mockSlideContext = { theme: {} };
@@ -296,6 +392,29 @@ describe('drawing.js', () => {
             expect(borders.right).toBeUndefined();
         });
 
+        it('should parse the diagonal borders of a cell', () => {
+            const cellNode = createMockElement({
+                name: 'tc',
+                children: {
+                    'tcPr': [{
+                        name: 'tcPr',
+                        children: {
+                            'lnTlToBr': [{
+                                name: 'lnTlToBr',
+                                attributes: { w: '25400' },
+                                children: { 'solidFill': [{ name: 'solidFill', children: { 'srgbClr': [{ name: 'srgbClr', attributes: { val: '0000FF' } }] } }] }
+                            }]
+                        }
+                    }]
+                }
+            });
+            const tableStyle = { wholeTbl: { tcStyle: { borders: { blToTr: { color: { val: '00FF00' }, width: 1 } } } } };
+            const borders = drawing.getCellBorders(cellNode, createMockElement(), 0, 0, 1, 1, tableStyle, mockSlideContext);
+
+            expect(borders.tlToBr).toEqual({ color: '0000FF', width: 25400 / 9525 });
+            expect(borders.blToTr).toEqual({ color: '00FF00', width: 1 });
+        });
+
         it('should apply base borders from table style if no direct formatting exists', () => {
             const cellNode = createMockElement({ name: 'tc', children: { 'tcPr': [{}] } });
             const tblPrNode = createMockElement();
@@ -669,6 +788,26 @@ describe('drawing.js', () => {
             expect(path).toBe(expectedPath);
         });
 
+        it('should build arcs of a custom geometry from the current point', () => {
+            const geometry = {
+                type: 'custom',
+                path: {
+                    w: 100,
+                    h: 100,
+                    commands: [
+                        { cmd: 'moveTo', points: [{ x: 100, y: 50 }] },
+                        { cmd: 'arcTo', points: [], wR: 50, hR: 50, stAng: 0, swAng: 5400000 },
+                        { cmd: 'close', points: [] },
+                    ],
+                },
+            };
+            const path = drawing.buildPathStringFromGeom(geometry, { width: 200, height: 200 });
+            const [, endX, endY] = path.match(/A 100 100 0 0 1 ([\d.e-]+) ([\d.e-]+)/);
+            expect(path).toMatch(/^M 200 100 A 100 100 0 0 1 /);
+            expect(Number(endX)).toBeCloseTo(100);
+            expect(Number(endY)).toBeCloseTo(200);
+        });
+
         it('should build a path string for a corner shape', () => {
             const geometry = { type: 'preset', preset: 'corner' };
             const pos = { width: 100, height: 100 };
@@ -689,6 +828,74 @@ describe('drawing.js', () => {
             const expectedPath = 'M 0 0 L 85 0 L 100 50 L 85 100 L 0 100 Z';
             expect(drawing.buildPathStringFromGeom(geometry, pos)).toBe(expectedPath);
         });
+
+        it('should build other presets from their shape definition', () => {
+            const geometry = { type: 'preset', preset: 'rightArrow' };
+            const pos = { width: 200, height: 100 };
+            const expectedPath = 'M 0 25 L 150 25 L 150 0 L 200 50 L 150 100 L 150 75 L 0 75 Z';
+            expect(drawing.buildPathStringFromGeom(geometry, pos)).toBe(expectedPath);
+        });
+
+        it('should return null for unknown presets', () => {
+            expect(drawing.buildPathStringFromGeom({ type: 'preset', preset: 'unknown' }, { width: 10, height: 10 })).toBeNull();
+        });
+    });
+
+    describe('getGeometryTextRect', () => {
+        const pos = { x: 0, y: 0, width: 200, height: 100 };
+
+        it('should return the shape position when the geometry has no text rectangle', () => {
+            expect(drawing.getGeometryTextRect({ type: 'preset', preset: 'rect' }, pos)).toBe(pos);
+            expect(drawing.getGeometryTextRect(null, pos)).toBe(pos);
+        });
+
+        it('should scale the text rectangle of a custom geometry to the shape', () => {
+            const geometry = { type: 'custom', path: { w: 400, h: 200, commands: [], textRect: { l: 100, t: 0, r: 300, b: 100 } } };
+            expect(drawing.getGeometryTextRect(geometry, pos)).toEqual({ x: 50, y: 0, width: 100, height: 50 });
+        });
+    });
+
+    describe('buildPresetPaths', () => {
+        it('should return null for unknown presets', () => {
+            expect(drawing.buildPresetPaths({ type: 'preset', preset: 'toString' }, { width: 10, height: 10 })).toBeNull();
+        });
+
+        it('should apply the adjustments of the shape', () => {
+            const geometry = { type: 'preset', preset: 'rightArrow', adjustments: { adj1: 100000, adj2: 25000 } };
+            const [ path ] = drawing.buildPresetPaths(geometry, { width: 200, height: 100 });
+            expect(path.d).toBe('M 0 0 L 175 0 L 175 0 L 200 50 L 175 100 L 175 100 L 0 100 Z');
+        });
+
+        it('should build elliptical arcs from the current point', () => {
+            const [ path ] = drawing.buildPresetPaths({ type: 'preset', preset: 'pie' }, { width: 100, height: 100 });
+            const values = path.d.match(/-?[\d.e-]+/g).map(Number);
+            // The default pie starts at 0 degrees and swings 270 degrees around the center
+            expect(path.d).toMatch(/^M [\d.e-]+ [\d.e-]+ A 50 50 0 1 1 /);
+            expect(values[0]).toBeCloseTo(100);
+            expect(values[1]).toBeCloseTo(50);
+            expect(values[7]).toBeCloseTo(50);
+            expect(values[8]).toBeCloseTo(0);
+            expect(path.d).toMatch(/L 50 50 Z$/);
+        });
+
+        it('should split full ellipses into two arcs', () => {
+            const [ path ] = drawing.buildPresetPaths({ type: 'preset', preset: 'flowChartConnector' }, { width: 100, height: 50 });
+            expect(path.d.match(/A 50 25/g)).toHaveLength(4);
+        });
+
+        it('should scale paths with their own coordinate space', () => {
+            const [ path ] = drawing.buildPresetPaths({ type: 'preset', preset: 'flowChartDecision' }, { width: 200, height: 100 });
+            expect(path.d).toBe('M 0 50 L 100 0 L 200 50 L 100 100 Z');
+        });
+
+        it('should keep the fill mode and stroke of each path', () => {
+            const paths = drawing.buildPresetPaths({ type: 'preset', preset: 'can' }, { width: 200, height: 100 });
+            expect(paths.map(({ fill, stroke }) => ({ fill, stroke }))).toEqual([
+                { fill: undefined, stroke: false },
+                { fill: 'lighten', stroke: false },
+                { fill: 'none', stroke: true },
+            ]);
+        });
     });
 
     describe.skip('calculateTextBlockSize', () => {
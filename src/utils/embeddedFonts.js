@@ -0,0 +1,166 @@
+import { parseXmlString, resolvePath } from 'utils';
+import { PML_NS } from 'constants';
+
+const FONT_FACE_DESCRIPTORS = {
+    regular: { weight: 'normal', style: 'normal' },
+    bold: { weight: 'bold', style: 'normal' },
+    italic: { weight: 'normal', style: 'italic' },
+    boldItalic: { weight: 'bold', style: 'italic' },
+};
+
+// TrueType, OpenType, TrueType collection and WOFF signatures
+const FONT_SIGNATURES = [ 0x00010000, 0x4F54544F, 0x74727565, 0x74746366, 0x774F4646, 0x774F4632 ];
+const EOT_MAGIC_NUMBER = 0x504C;
+const EOT_COMPRESSED = 0x4;
+const EOT_XOR_ENCRYPTED = 0x10000000;
+const EOT_XOR_KEY = 0x50;
+const GUID_PATTERN = /\{?([0-9A-F]{8})-([0-9A-F]{4})-([0-9A-F]{4})-([0-9A-F]{4})-([0-9A-F]{12})\}?/i;
+
+/**
+ * Checks whether data starts with the signature of a font file the browser can load.
+ * @param {Uint8Array} data - The data.
+ * @returns {boolean} True if the data is a font file.
+ */
+function isFontFile( data ) {
+    if ( !data || data.length < 4 ) return false;
+    const signature = new DataView( data.buffer, data.byteOffset, data.byteLength ).getUint32( 0 );
+    return FONT_SIGNATURES.includes( signature );
+}
+
+/**
+ * Parses the embedded font list of a presentation.
+ * @param {string} presentationXml - The XML content of the presentation.xml file.
+ * @returns {Array<{typeface: string, faces: Array<{style: string, relId: string}>}>} The embedded fonts,
+ * with the relationship ids of their regular, bold, italic and bold italic faces.
+ */
+export function parseEmbeddedFonts( presentationXml ) {
+    if ( !presentationXml ) return [];
+    const xmlDoc = parseXmlString( presentationXml, 'presentation' );
+
+    const embeddedFonts = [];
+    for ( const embeddedFontNode of xmlDoc.getElementsByTagNameNS( PML_NS, 'embeddedFont' ) ) {
+        const typeface = embeddedFontNode.getElementsByTagNameNS( PML_NS, 'font' )[ 0 ]?.getAttribute( 'typeface' );
+        if ( !typeface ) continue;
+
+        const faces = Object.keys( FONT_FACE_DESCRIPTORS )
+            .map( style => ( { style, relId: embeddedFontNode.getElementsByTagNameNS( PML_NS, style )[ 0 ]?.getAttribute( 'r:id' ) } ) )
+            .filter( face => face.relId );
+        if ( faces.length > 0 ) embeddedFonts.push( { typeface, faces } );
+    }
+    return embeddedFonts;
+}
+
+/**
+ * Reverses the font obfuscation of Office Open XML, which XORs the first 32 bytes
+ * of the font with the GUID key of the font part.
+ * @param {Uint8Array} data - The obfuscated font.
+ * @param {string} guid - The GUID key, with or without braces and dashes.
+ * @returns {Uint8Array} A copy of the font with the obfuscation removed.
+ */
+export function deobfuscateFont( data, guid ) {
+    const hex = guid.replace( /[{}-]/g, '' );
+    const key = [];
+    for ( let i = hex.length - 2; i >= 0; i -= 2 ) {
+        key.push( parseInt( hex.substring( i, i + 2 ), 16 ) );
+    }
+
+    const font = new Uint8Array( data );
+    for ( let i = 0; i < Math.min( 32, font.length ); i++ ) {
+        font[ i ] ^= key[ i % key.length ];
+    }
+    return font;
+}
+
+/**
+ * Reads the font data of an Embedded OpenType file, which is how PowerPoint usually stores `.fntdata` parts.
+ * @param {Uint8Array} data - The EOT file.
+ * @returns {Uint8Array|null} The font, or null if it is compressed with MicroType Express.
+ */
+function readEmbeddedOpenType( data ) {
+    const view = new DataView( data.buffer, data.byteOffset, data.byteLength );
+    const eotSize = view.getUint32( 0, true );
+    const fontDataSize = view.getUint32( 4, true );
+    const flags = view.getUint32( 12, true );
+    if ( flags & EOT_COMPRESSED ) return null;
+
+    const offset = Math.min( eotSize, data.length ) - fontDataSize;
+    if ( offset < 0 ) return null;
+    const font = data.slice( offset, offset + fontDataSize );
+    if ( flags & EOT_XOR_ENCRYPTED ) {
+        for ( let i = 0; i < font.length; i++ ) font[ i ] ^= EOT_XOR_KEY;
+    }
+    return font;
+}
+
+/**
+ * Extracts a font the browser can load from an embedded font part. Plain font files are used as they are,
+ * Embedded OpenType files are unwrapped and parts named after a GUID are de-obfuscated.
+ * @param {Uint8Array} data - The content of the font part.
+ * @param {string} path - The path of the font part.
+ * @returns {Uint8Array|null} The font, or null if it cannot be loaded.
+ */
+export function extractFontData( data, path ) {
+    if ( isFontFile( data ) ) return data;
+
+    if ( data.length > 36 && new DataView( data.buffer, data.byteOffset, data.byteLength ).getUint16( 34, true ) === EOT_MAGIC_NUMBER ) {
+        const font = readEmbeddedOpenType( data );
+        return isFontFile( font ) ? font : null;
+    }
+
+    const guid = path.split( '/' ).pop().match( GUID_PATTERN );
+    if ( guid ) {
+        const font = deobfuscateFont( data, guid[ 0 ] );
+        return isFontFile( font ) ? font : null;
+    }
+    return null;
+}
+
+/**
+ * Loads the faces of the embedded fonts and adds them to the document, so text is measured and drawn
+ * with the fonts of the author. Faces that cannot be loaded are skipped and fall back to installed fonts.
+ * @param {Array} embeddedFonts - The embedded fonts from `parseEmbeddedFonts`.
+ * @param {Object} rels - The relationships of the presentation part.
+ * @param {Object} entriesMap - The entries of the presentation archive.
+ * @returns {Promise<FontFace[]>} The loaded faces, to pass to `unloadEmbeddedFonts` when the deck is closed.
+ */
+export async function loadEmbeddedFonts( embeddedFonts, rels, entriesMap ) {
+    if ( typeof FontFace === 'undefined' || !document.fonts ) return [];
+
+    const fontFaces = [];
+    for ( const { typeface, faces } of embeddedFonts ) {
+        for ( const { style, relId } of faces ) {
+            const rel = rels[ relId ];
+            if ( !rel ) continue;
+            const fontPath = resolvePath( 'ppt', rel.target );
+            const fontEntry = entriesMap[ fontPath ];
+            if ( !fontEntry ) {
+                console.warn( `Embedded font relationship '${ relId }' points to a non-existent target: ${ rel.target } (resolved to ${ fontPath })` );
+                continue;
+            }
+
+            try {
+                const fontData = extractFontData( await fontEntry.async( 'uint8array' ), fontPath );
+                if ( !fontData ) {
+                    console.warn( `Embedded font '${ typeface }' (${ style }) at ${ fontPath } is compressed or not a font file, falling back to installed fonts` );
+                    continue;
+                }
+                const fontFace = new FontFace( typeface, fontData, FONT_FACE_DESCRIPTORS[ style ] );
+                await fontFace.load();
+                document.fonts.add( fontFace );
+                fontFaces.push( fontFace );
+            } catch ( e ) {
+                console.error( `Failed to load embedded font '${ typeface }' (${ style }) at ${ fontPath }`, e );
+            }
+        }
+    }
+    return fontFaces;
+}
+
+/**
+ * Removes faces added by `loadEmbeddedFonts` from the document.
+ * @param {FontFace[]} fontFaces - The loaded faces.
+ */
+export function unloadEmbeddedFonts( fontFaces ) {
+    if ( !document.fonts ) return;
+    fontFaces.forEach( fontFace => document.fonts.delete( fontFace ) );
+}
@@ -0,0 +1,154 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { parseEmbeddedFonts, deobfuscateFont, extractFontData, loadEmbeddedFonts, unloadEmbeddedFonts } from './embeddedFonts.js';
+
+const TRUETYPE = [0x00, 0x01, 0x00, 0x00, 0x00, 0x0A, 0x00, 0x80];
+const GUID = '{0F1E2D3C-4B5A-6978-8796-A5B4C3D2E1F0}';
+
+function createFont(length = 48) {
+    const font = new Uint8Array(length);
+    font.set(TRUETYPE);
+    for (let i = TRUETYPE.length; i < length; i++) font[i] = i;
+    return font;
+}
+
+function createEmbeddedOpenType(font, flags = 0) {
+    const headerSize = 82;
+    const eot = new Uint8Array(headerSize + font.length);
+    const view = new DataView(eot.buffer);
+    view.setUint32(0, eot.length, true);
+    view.setUint32(4, font.length, true);
+    view.setUint32(8, 0x00020001, true);
+    view.setUint32(12, flags, true);
+    view.setUint16(34, 0x504C, true);
+    eot.set(font, headerSize);
+    return eot;
+}
+
+describe('embeddedFonts', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+        delete document.fonts;
+    });
+
+    describe('parseEmbeddedFonts', () => {
+        it('should parse the typefaces and faces of the embedded font list', () => {
+            const xml = `
+                <p:presentation xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+                    <p:embeddedFontLst>
+                        <p:embeddedFont>
+                            <p:font typeface="Brand Sans" pitchFamily="34" charset="0"/>
+                            <p:regular r:id="rId7"/>
+                            <p:bold r:id="rId8"/>
+                            <p:boldItalic r:id="rId9"/>
+                        </p:embeddedFont>
+                        <p:embeddedFont>
+                            <p:font typeface="Brand Serif"/>
+                            <p:italic r:id="rId10"/>
+                        </p:embeddedFont>
+                    </p:embeddedFontLst>
+                </p:presentation>
+            `;
+            expect(parseEmbeddedFonts(xml)).toEqual([
+                {
+                    typeface: 'Brand Sans',
+                    faces: [
+                        { style: 'regular', relId: 'rId7' },
+                        { style: 'bold', relId: 'rId8' },
+                        { style: 'boldItalic', relId: 'rId9' },
+                    ],
+                },
+                { typeface: 'Brand Serif', faces: [{ style: 'italic', relId: 'rId10' }] },
+            ]);
+        });
+
+        it('should return no fonts for presentations without embedded fonts', () => {
+            expect(parseEmbeddedFonts('<p:presentation xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"/>')).toEqual([]);
+            expect(parseEmbeddedFonts(null)).toEqual([]);
+        });
+    });
+
+    describe('deobfuscateFont', () => {
+        it('should XOR the first 32 bytes with the reversed GUID key', () => {
+            const font = createFont();
+            const obfuscated = deobfuscateFont(font, GUID);
+            expect(obfuscated[0]).toBe(0x00 ^ 0xF0);
+            expect(obfuscated[15]).toBe(font[15] ^ 0x0F);
+            expect(obfuscated[16]).toBe(font[16] ^ 0xF0);
+            expect(obfuscated[40]).toBe(font[40]);
+            expect(deobfuscateFont(obfuscated, GUID)).toEqual(font);
+        });
+    });
+
+    describe('extractFontData', () => {
+        it('should use plain font files as they are', () => {
+            const font = createFont();
+            expect(extractFontData(font, 'ppt/fonts/font1.fntdata')).toBe(font);
+        });
+
+        it('should unwrap Embedded OpenType files', () => {
+            const font = createFont();
+            expect(extractFontData(createEmbeddedOpenType(font), 'ppt/fonts/font1.fntdata')).toEqual(font);
+        });
+
+        it('should decrypt XOR encrypted Embedded OpenType files', () => {
+            const font = createFont();
+            const encrypted = font.map(byte => byte ^ 0x50);
+            expect(extractFontData(createEmbeddedOpenType(encrypted, 0x10000000), 'ppt/fonts/font1.fntdata')).toEqual(font);
+        });
+
+        it('should skip compressed Embedded OpenType files', () => {
+            expect(extractFontData(createEmbeddedOpenType(createFont(), 0x4), 'ppt/fonts/font1.fntdata')).toBeNull();
+        });
+
+        it('should de-obfuscate fonts named after their key', () => {
+            const font = createFont();
+            expect(extractFontData(deobfuscateFont(font, GUID), `ppt/fonts/${GUID}.odttf`)).toEqual(font);
+        });
+
+        it('should return null for data that is not a font', () => {
+            expect(extractFontData(new Uint8Array(48).fill(7), 'ppt/fonts/font1.fntdata')).toBeNull();
+        });
+    });
+
+    describe('loadEmbeddedFonts', () => {
+        const rels = {
+            rId7: { id: 'rId7', type: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/font', target: 'fonts/font1.fntdata' },
+            rId8: { id: 'rId8', type: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/font', target: 'fonts/font2.fntdata' },
+        };
+
+        it('should load and add the faces of the embedded fonts', async () => {
+            const FontFace = vi.fn(function (family, data, descriptors) {
+                Object.assign(this, { family, data, descriptors });
+                this.load = vi.fn().mockResolvedValue(this);
+            });
+            const fonts = { add: vi.fn(), delete: vi.fn() };
+            vi.stubGlobal('FontFace', FontFace);
+            // jsdom does not implement the font loading API
+            Object.defineProperty(document, 'fonts', { value: fonts, configurable: true });
+            const font = createFont();
+            const entriesMap = {
+                'ppt/fonts/font1.fntdata': { async: vi.fn().mockResolvedValue(font) },
+                'ppt/fonts/font2.fntdata': { async: vi.fn().mockResolvedValue(new Uint8Array(48)) },
+            };
+            vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+            const embeddedFonts = [{ typeface: 'Brand Sans', faces: [{ style: 'regular', relId: 'rId7' }, { style: 'bold', relId: 'rId8' }] }];
+            const fontFaces = await loadEmbeddedFonts(embeddedFonts, rels, entriesMap);
+
+            expect(FontFace).toHaveBeenCalledOnce();
+            expect(FontFace).toHaveBeenCalledWith('Brand Sans', font, { weight: 'normal', style: 'normal' });
+            expect(fontFaces.length).toBe(1);
+            expect(fonts.add).toHaveBeenCalledWith(fontFaces[0]);
+            expect(console.warn).toHaveBeenCalled();
+
+            unloadEmbeddedFonts(fontFaces);
+            expect(fonts.delete).toHaveBeenCalledWith(fontFaces[0]);
+        });
+
+        it('should load nothing where the FontFace API is not available', async () => {
+            vi.stubGlobal('FontFace', undefined);
+            expect(await loadEmbeddedFonts([{ typeface: 'Brand Sans', faces: [{ style: 'regular', relId: 'rId7' }] }], rels, {})).toEqual([]);
+        });
+    });
+});
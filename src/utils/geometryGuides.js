@@ -0,0 +1,105 @@
+const ANGLE_UNITS = 60000;
+
+const toRadians = angle => angle / ANGLE_UNITS * Math.PI / 180;
+const toAngle = radians => radians * 180 / Math.PI * ANGLE_UNITS;
+
+/**
+ * The guide operators of DrawingML shape geometries. Angles are in 60000ths of a degree.
+ */
+const GUIDE_OPERATORS = {
+    '*/': ( x, y, z ) => z === 0 ? 0 : x * y / z,
+    '+-': ( x, y, z ) => x + y - z,
+    '+/': ( x, y, z ) => z === 0 ? 0 : ( x + y ) / z,
+    '?:': ( x, y, z ) => x > 0 ? y : z,
+    'abs': x => Math.abs( x ),
+    'at2': ( x, y ) => toAngle( Math.atan2( y, x ) ),
+    'cat2': ( x, y, z ) => x * Math.cos( Math.atan2( z, y ) ),
+    'cos': ( x, y ) => x * Math.cos( toRadians( y ) ),
+    'max': ( x, y ) => Math.max( x, y ),
+    'min': ( x, y ) => Math.min( x, y ),
+    'mod': ( x, y, z ) => Math.sqrt( x * x + y * y + z * z ),
+    'pin': ( x, y, z ) => y < x ? x : ( y > z ? z : y ),
+    'sat2': ( x, y, z ) => x * Math.sin( Math.atan2( z, y ) ),
+    'sin': ( x, y ) => x * Math.sin( toRadians( y ) ),
+    'sqrt': x => Math.sqrt( Math.max( x, 0 ) ),
+    'tan': ( x, y ) => x * Math.tan( toRadians( y ) ),
+    'val': x => x,
+};
+
+const GUIDE_DIVISORS = [ 2, 3, 4, 5, 6, 8, 10, 12, 16, 32 ];
+
+/**
+ * Creates the built-in guides of a shape with the given dimensions.
+ * @param {number} width - The width of the shape.
+ * @param {number} height - The height of the shape.
+ * @returns {Object<string, number>} The guide values, keyed by name.
+ */
+export function createGuideContext( width, height ) {
+    const ss = Math.min( width, height );
+    const guides = {
+        l: 0,
+        t: 0,
+        r: width,
+        b: height,
+        w: width,
+        h: height,
+        hc: width / 2,
+        vc: height / 2,
+        ss,
+        ls: Math.max( width, height ),
+        cd2: 10800000,
+        cd4: 5400000,
+        cd8: 2700000,
+        '3cd4': 16200000,
+        '3cd8': 8100000,
+        '5cd8': 13500000,
+        '7cd8': 18900000,
+    };
+    for ( const divisor of GUIDE_DIVISORS ) {
+        guides[ `wd${ divisor }` ] = width / divisor;
+        guides[ `hd${ divisor }` ] = height / divisor;
+        guides[ `ssd${ divisor }` ] = ss / divisor;
+    }
+    return guides;
+}
+
+/**
+ * Resolves a guide argument, which is either a number literal or the name of a guide.
+ * @param {string|number} value - The argument.
+ * @param {Object<string, number>} guides - The guides evaluated so far.
+ * @returns {number} The value of the argument. Unknown guides resolve to 0.
+ */
+export function resolveGuideValue( value, guides ) {
+    if ( typeof value === 'number' ) return value;
+    if ( value === undefined || value === null || value === '' ) return 0;
+    if ( Object.prototype.hasOwnProperty.call( guides, value ) ) return guides[ value ];
+    const number = Number( value );
+    return Number.isNaN( number ) ? 0 : number;
+}
+
+/**
+ * Evaluates a guide formula such as `pin 0 adj1 100000`.
+ * @param {string} formula - The formula.
+ * @param {Object<string, number>} guides - The guides evaluated so far.
+ * @returns {number} The value of the formula, or 0 if the operator is unknown.
+ */
+export function evaluateGuideFormula( formula, guides ) {
+    const [ operator, ...args ] = String( formula ).trim().split( /\s+/ );
+    const evaluate = GUIDE_OPERATORS[ operator ];
+    if ( !evaluate ) return 0;
+    const value = evaluate( ...args.map( arg => resolveGuideValue( arg, guides ) ) );
+    return Number.isFinite( value ) ? value : 0;
+}
+
+/**
+ * Evaluates a list of guides in order, each guide being able to reference the previous ones.
+ * @param {Array<Array<string>>} guideList - The guides as `[ name, formula ]` pairs.
+ * @param {Object<string, number>} guides - The guides to add the results to.
+ * @returns {Object<string, number>} The guides, including the evaluated ones.
+ */
+export function evaluateGuides( guideList, guides ) {
+    for ( const [ name, formula ] of guideList || [] ) {
+        guides[ name ] = evaluateGuideFormula( formula, guides );
+    }
+    return guides;
+}
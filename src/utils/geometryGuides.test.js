@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { createGuideContext, resolveGuideValue, evaluateGuideFormula, evaluateGuides } from './geometryGuides.js';
+
+describe('geometryGuides', () => {
+    describe('createGuideContext', () => {
+        it('should create the built-in guides of a shape', () => {
+            const guides = createGuideContext(200, 100);
+            expect(guides).toMatchObject({
+                l: 0, t: 0, r: 200, b: 100, w: 200, h: 100,
+                hc: 100, vc: 50, ss: 100, ls: 200,
+                wd2: 100, hd4: 25, ssd8: 12.5, wd32: 6.25,
+                cd2: 10800000, cd4: 5400000, '3cd4': 16200000,
+            });
+        });
+    });
+
+    describe('resolveGuideValue', () => {
+        it('should resolve literals, guide names and unknown names', () => {
+            const guides = { adj: 25000 };
+            expect(resolveGuideValue('-8333', guides)).toBe(-8333);
+            expect(resolveGuideValue('adj', guides)).toBe(25000);
+            expect(resolveGuideValue('missing', guides)).toBe(0);
+        });
+    });
+
+    describe('evaluateGuideFormula', () => {
+        const guides = { ...createGuideContext(200, 100), adj: 25000 };
+
+        it.each([
+            ['*/ w adj 100000', 50],
+            ['+- r 0 hc', 100],
+            ['+/ l r 2', 100],
+            ['?: adj w h', 200],
+            ['?: -1 w h', 100],
+            ['abs -5', 5],
+            ['max w h', 200],
+            ['min w h', 100],
+            ['mod 3 4 0', 5],
+            ['pin 0 adj 20000', 20000],
+            ['pin 0 -5 20000', 0],
+            ['sqrt 16', 4],
+            ['val 42', 42],
+        ])('should evaluate "%s"', (formula, expected) => {
+            expect(evaluateGuideFormula(formula, guides)).toBe(expected);
+        });
+
+        it('should evaluate the trigonometric operators with angles in 60000ths of a degree', () => {
+            expect(evaluateGuideFormula('at2 1 1', guides)).toBeCloseTo(2700000);
+            expect(evaluateGuideFormula('cos 100 cd4', guides)).toBeCloseTo(0);
+            expect(evaluateGuideFormula('sin 100 cd4', guides)).toBeCloseTo(100);
+            expect(evaluateGuideFormula('tan 100 cd8', guides)).toBeCloseTo(100);
+            expect(evaluateGuideFormula('cat2 10 1 1', guides)).toBeCloseTo(10 * Math.SQRT1_2);
+            expect(evaluateGuideFormula('sat2 10 1 1', guides)).toBeCloseTo(10 * Math.SQRT1_2);
+        });
+
+        it('should return 0 for unknown operators and divisions by zero', () => {
+            expect(evaluateGuideFormula('foo 1 2', guides)).toBe(0);
+            expect(evaluateGuideFormula('*/ w h 0', guides)).toBe(0);
+        });
+    });
+
+    describe('evaluateGuides', () => {
+        it('should evaluate guides in order so they can reference each other', () => {
+            const guides = evaluateGuides([
+                ['a', 'pin 0 adj 50000'],
+                ['dy', '*/ h a 100000'],
+                ['y1', '+- vc 0 dy'],
+            ], { ...createGuideContext(200, 100), adj: 60000 });
+            expect(guides.a).toBe(50000);
+            expect(guides.dy).toBe(50);
+            expect(guides.y1).toBe(0);
+        });
+    });
+});
@@ -29,6 +29,10 @@ export async function getRelationships(entriesMap, path) {
                 type: attrs.Type,
                 target: attrs.Target
             };
+            // External targets, e.g. linked media, are URLs rather than package paths.
+            if (attrs.TargetMode) {
+                rels[attrs.Id].targetMode = attrs.TargetMode;
+            }
         }
     }
     return rels;
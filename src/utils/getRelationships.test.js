@@ -35,6 +35,22 @@ describe('getRelationships', () => {
         });
     });
 
+    it('should keep the target mode of external relationships', async () => {
+        const xmlString = `
+            <Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+                <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/video" Target="https://example.com/movie.mp4" TargetMode="External"/>
+            </Relationships>
+        `;
+        utils.getNormalizedXmlString.mockResolvedValue(xmlString);
+        const rels = await getRelationships(new Map(), 'external.rels');
+        expect(rels.rId1).toEqual({
+            id: 'rId1',
+            type: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/video',
+            target: 'https://example.com/movie.mp4',
+            targetMode: 'External',
+        });
+    });
+
     it('should return an empty object for an empty .rels file', async () => {
         utils.getNormalizedXmlString.mockResolvedValue('');
         const rels = await getRelationships(new Map(), 'empty.rels');
@@ -11,7 +11,16 @@ export { getNormalizedXmlString } from './getNormalizedXmlString.js';
 export { getRelationships } from './getRelationships.js';
 export { getSlideOrder } from './getSlideOrder.js';
 export { getSlideSize } from './getSlideSize.js';
+export { getFirstSlideNumber, formatDateTimeField, resolveFieldText } from './textFields.js';
+export { parseEmbeddedFonts, deobfuscateFont, extractFontData, loadEmbeddedFonts, unloadEmbeddedFonts } from './embeddedFonts.js';
 export { parseExtensions } from './extensionParser.js';
 export { DiagramBuilder } from './diagramBuilder.js';
+export { playSlideTransition } from './slideTransition.js';
+export { AnimationPlayer } from './animationPlayer.js';
+export { createGuideContext, resolveGuideValue, evaluateGuideFormula, evaluateGuides } from './geometryGuides.js';
+export { PRESET_SHAPE_DEFINITIONS } from './presetShapeDefinitions.js';
+export { buildChartConfig, formatChartNumber } from './chartConfig.js';
+export { parseWorkbook, getWorkbookValues } from './chartWorkbook.js';
+export { getCharScript, splitByScript, splitLineBreakSegments, getBidiType, resolveBidiLevels, reorderByLevels } from './textScripts.js';
 export * from './pptxParser.js';
 export * from './drawing.js';
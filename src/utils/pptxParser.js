@@ -1,7 +1,34 @@
-import { parseXmlString, ColorParser } from 'utils';
-import { EMU_PER_PIXEL, PT_TO_PX, PML_NS, DML_NS, CHART_NS } from '../constants.js';
+import { parseXmlString, ColorParser, createGuideContext, evaluateGuides, resolveGuideValue, formatChartNumber, getWorkbookValues, resolvePath } from 'utils';
+import { EMU_PER_PIXEL, PT_TO_PX, PML_NS, DML_NS, CHART_NS, P14_NS, P15_NS, AHYP_NS, A14_NS, ASVG_NS, TRANSITION_SPEEDS } from '../constants.js';
 import { parseExtensions } from './extensionParser.js';
 
+/**
+ * Parses the typefaces of a major or minor theme font into the font scheme.
+ * The latin typeface is stored under the kind itself, the East Asian and complex script ones
+ * with an `Ea` and `Cs` suffix, and the per-script fallbacks under `majorScripts` or `minorScripts`.
+ * @param {Element} fontNode - The `a:majorFont` or `a:minorFont` node.
+ * @param {string} kind - Either 'major' or 'minor'.
+ * @param {Object} fontScheme - The font scheme to add the typefaces to.
+ */
+function parseThemeFonts(fontNode, kind, fontScheme) {
+    if (!fontNode) return;
+
+    const typeface = name => fontNode.getElementsByTagNameNS(DML_NS, name)[0]?.getAttribute('typeface');
+    const latin = typeface('latin');
+    if (latin) fontScheme[kind] = latin;
+    const ea = typeface('ea');
+    if (ea) fontScheme[`${kind}Ea`] = ea;
+    const cs = typeface('cs');
+    if (cs) fontScheme[`${kind}Cs`] = cs;
+
+    const scripts = {};
+    for (const scriptFontNode of fontNode.getElementsByTagNameNS(DML_NS, 'font')) {
+        const script = scriptFontNode.getAttribute('script');
+        if (script && scriptFontNode.getAttribute('typeface')) scripts[script] = scriptFontNode.getAttribute('typeface');
+    }
+    if (Object.keys(scripts).length > 0) fontScheme[`${kind}Scripts`] = scripts;
+}
+
 /**
  * Parses the theme XML file.
  * @param {string} themeXml - The XML content of the theme file.
@@ -16,6 +43,7 @@ export function parseTheme(themeXml) {
             fills: [],
             lines: [],
             effects: [],
+            styleEffects: [],
             bgFills: [],
         },
     };
@@ -42,20 +70,8 @@ export function parseTheme(themeXml) {
 
     const fontSchemeNode = xmlDoc.getElementsByTagNameNS(DML_NS, 'fontScheme')[0];
     if (fontSchemeNode) {
-        const majorFontNode = fontSchemeNode.getElementsByTagNameNS(DML_NS, 'majorFont')[0];
-        if (majorFontNode) {
-            const latinFontNode = majorFontNode.getElementsByTagNameNS(DML_NS, 'latin')[0];
-            if (latinFontNode) {
-                theme.fontScheme.major = latinFontNode.getAttribute('typeface');
-            }
-        }
-        const minorFontNode = fontSchemeNode.getElementsByTagNameNS(DML_NS, 'minorFont')[0];
-        if (minorFontNode) {
-            const latinFontNode = minorFontNode.getElementsByTagNameNS(DML_NS, 'latin')[0];
-            if (latinFontNode) {
-                theme.fontScheme.minor = latinFontNode.getAttribute('typeface');
-            }
-        }
+        parseThemeFonts(fontSchemeNode.getElementsByTagNameNS(DML_NS, 'majorFont')[0], 'major', theme.fontScheme);
+        parseThemeFonts(fontSchemeNode.getElementsByTagNameNS(DML_NS, 'minorFont')[0], 'minor', theme.fontScheme);
     }
 
     const fmtSchemeNode = xmlDoc.getElementsByTagNameNS(DML_NS, 'fmtScheme')[0];
@@ -144,27 +160,9 @@ export function parseTheme(themeXml) {
             for (const effectStyleNode of effectStyleLstNode.children) {
                 if (effectStyleNode.localName === 'effectStyle') {
                     const effectLstNode = effectStyleNode.getElementsByTagNameNS(DML_NS, 'effectLst')[0];
-                    if (effectLstNode) {
-                        const outerShdwNode = effectLstNode.getElementsByTagNameNS(DML_NS, 'outerShdw')[0];
-                        if (outerShdwNode) {
-                            const blurRad = parseInt(outerShdwNode.getAttribute('blurRad') || '0') / EMU_PER_PIXEL;
-                            const dist = parseInt(outerShdwNode.getAttribute('dist') || '0') / EMU_PER_PIXEL;
-                            const dir = parseInt(outerShdwNode.getAttribute('dir') || '0') / 60000;
-                            const color = ColorParser.parseColor(outerShdwNode);
-                            theme.formatScheme.effects.push({
-                                type: 'outerShdw',
-                                blurRad,
-                                dist,
-                                dir,
-                                color,
-                            });
-                        } else {
-                            // Placeholder for other or no effects
-                            theme.formatScheme.effects.push(null);
-                        }
-                    } else {
-                        theme.formatScheme.effects.push(null);
-                    }
+                    const { effect, effects } = effectLstNode ? parseEffectList(effectLstNode) : { effect: null, effects: [] };
+                    theme.formatScheme.effects.push(effect);
+                    theme.formatScheme.styleEffects.push(effects);
                 }
             }
         }
@@ -348,9 +346,10 @@ export function parseStylePart(partNode, theme) {
         const tcBdrNode = tcStyleNode.getElementsByTagNameNS(DML_NS, 'tcBdr')[0];
         if (tcBdrNode) {
             partDef.tcStyle.borders = {};
-            const borderTypes = ['left', 'right', 'top', 'bottom', 'insideH', 'insideV'];
-            for (const type of borderTypes) {
-                const borderNode = tcBdrNode.getElementsByTagNameNS(DML_NS, type)[0];
+            // Diagonal borders are stored under the names of the cell's own diagonal lines
+            const borderTypes = { left: 'left', right: 'right', top: 'top', bottom: 'bottom', insideH: 'insideH', insideV: 'insideV', tl2br: 'tlToBr', tr2bl: 'blToTr' };
+            for (const [borderName, type] of Object.entries(borderTypes)) {
+                const borderNode = tcBdrNode.getElementsByTagNameNS(DML_NS, borderName)[0];
                 if (borderNode) {
                     const lnNode = borderNode.getElementsByTagNameNS(DML_NS, 'ln')[0];
                     const lnRefNode = borderNode.getElementsByTagNameNS(DML_NS, 'lnRef')[0];
@@ -494,46 +493,457 @@ export function parseBackground(xmlDoc, slideContext) {
     return bg;
 }
 
+/**
+ * Parses the transition of a slide, including the p14/p15 extension transitions.
+ * When the transition is wrapped in `mc:AlternateContent`, the first (richest) choice is used.
+ * @param {XMLDocument} xmlDoc - The XML document of the slide.
+ * @returns {Object|null} The parsed transition object, or null if the slide has no transition.
+ */
+export function parseTransition(xmlDoc) {
+    const transitionNode = xmlDoc.getElementsByTagNameNS(PML_NS, 'transition')[0];
+    if (!transitionNode) {
+        return null;
+    }
+
+    const speed = transitionNode.getAttribute('spd') || 'fast';
+    const durAttr = transitionNode.getAttributeNS(P14_NS, 'dur') || transitionNode.getAttribute('p14:dur');
+    const advTmAttr = transitionNode.getAttribute('advTm');
+
+    const transition = {
+        type: 'none',
+        namespace: null,
+        direction: null,
+        orient: null,
+        thruBlack: false,
+        speed,
+        duration: durAttr ? parseInt(durAttr) : (TRANSITION_SPEEDS[speed] ?? TRANSITION_SPEEDS.fast),
+        advanceOnClick: transitionNode.getAttribute('advClick') !== '0',
+        advanceAfterTime: advTmAttr ? parseInt(advTmAttr) : null,
+    };
+
+    const effectNode = Array.from(transitionNode.children).find(child => child.localName !== 'sndAc' && child.localName !== 'extLst');
+    if (effectNode) {
+        transition.type = effectNode.localName;
+        if (effectNode.namespaceURI === P14_NS) {
+            transition.namespace = 'p14';
+        } else if (effectNode.namespaceURI === P15_NS) {
+            transition.namespace = 'p15';
+            if (effectNode.localName === 'prstTrans' && effectNode.getAttribute('prst')) {
+                transition.type = effectNode.getAttribute('prst');
+            }
+        } else {
+            transition.namespace = 'p';
+        }
+        transition.direction = effectNode.getAttribute('dir');
+        transition.orient = effectNode.getAttribute('orient');
+        transition.thruBlack = effectNode.getAttribute('thruBlk') === '1';
+    }
+
+    return transition;
+}
+
+const ANIMATION_PRESETS = {
+    entr: { 1: 'appear', 2: 'fly', 10: 'fade', 22: 'wipe', 23: 'zoom', 53: 'zoom' },
+    exit: { 1: 'appear', 2: 'fly', 10: 'fade', 22: 'wipe', 23: 'zoom', 53: 'zoom' },
+    emph: { 8: 'spin' },
+    mediacall: { 1: 'play', 2: 'togglePause', 3: 'stop' },
+};
+
+// Maps `presetSubtype` to the side an effect enters from (or exits towards).
+const ANIMATION_DIRECTIONS = { 1: 't', 2: 'r', 3: 'tr', 4: 'b', 6: 'br', 8: 'l', 9: 'tl', 12: 'bl' };
+
+// Maps the direction of a `wipe(...)` filter to the side the wipe starts from.
+const WIPE_FILTER_DIRECTIONS = { down: 't', up: 'b', left: 'r', right: 'l' };
+
+/**
+ * Returns the time nodes nested directly under a `cTn`'s child time node list.
+ * @param {Element} cTnNode - The `cTn` XML node.
+ * @returns {Element[]} The `cTn` nodes of the child `par`/`seq` containers.
+ */
+function getChildTimeNodes(cTnNode) {
+    const childTnLstNode = Array.from(cTnNode.children).find(child => child.localName === 'childTnLst');
+    if (!childTnLstNode) return [];
+    return Array.from(childTnLstNode.children)
+        .map(container => Array.from(container.children).find(child => child.localName === 'cTn'))
+        .filter(Boolean);
+}
+
+/**
+ * Reads the start delay of a time node from its start condition list.
+ * @param {Element} cTnNode - The `cTn` XML node.
+ * @returns {number} The delay in milliseconds, 0 if the node waits for a trigger.
+ */
+function getTimeNodeDelay(cTnNode) {
+    const stCondLstNode = Array.from(cTnNode.children).find(child => child.localName === 'stCondLst');
+    if (!stCondLstNode) return 0;
+    for (const condNode of stCondLstNode.children) {
+        const delay = parseInt(condNode.getAttribute('delay'));
+        if (!isNaN(delay)) return delay;
+    }
+    return 0;
+}
+
+/**
+ * Infers the kind of an animation effect from its behaviors, for presets without a known mapping.
+ * @param {Element} cTnNode - The `cTn` node of the effect.
+ * @returns {string} The animation type.
+ */
+function inferAnimationType(cTnNode) {
+    if (cTnNode.getElementsByTagNameNS(PML_NS, 'animRot')[0]) return 'spin';
+    if (cTnNode.getElementsByTagNameNS(PML_NS, 'animScale')[0]) return 'zoom';
+
+    const filter = cTnNode.getElementsByTagNameNS(PML_NS, 'animEffect')[0]?.getAttribute('filter') || '';
+    if (filter.startsWith('wipe')) return 'wipe';
+    if (filter) return 'fade';
+
+    const attrNames = Array.from(cTnNode.getElementsByTagNameNS(PML_NS, 'attrName')).map(node => node.textContent);
+    if (attrNames.includes('ppt_x') || attrNames.includes('ppt_y')) return 'fly';
+
+    return 'appear';
+}
+
+/**
+ * Parses a single animation effect time node.
+ * @param {Element} cTnNode - The `cTn` node of the effect.
+ * @param {number} groupDelay - The delay of the enclosing time group in milliseconds.
+ * @returns {Object|null} The parsed effect, or null if the node is not an effect on a shape.
+ */
+function parseAnimationEffect(cTnNode, groupDelay) {
+    const presetClass = cTnNode.getAttribute('presetClass');
+    const spTgtNode = cTnNode.getElementsByTagNameNS(PML_NS, 'spTgt')[0];
+    if (!presetClass || !spTgtNode) return null;
+
+    const presetId = parseInt(cTnNode.getAttribute('presetID') || '0');
+    const presetSubtype = parseInt(cTnNode.getAttribute('presetSubtype') || '0');
+    // Media commands are identified by their command rather than their preset
+    const command = presetClass === 'mediacall' ? cTnNode.getElementsByTagNameNS(PML_NS, 'cmd')[0]?.getAttribute('cmd') || '' : null;
+    const commandType = command?.startsWith('playFrom') ? 'play' : (command === 'togglePause' || command === 'stop' ? command : null);
+    const type = commandType || ANIMATION_PRESETS[presetClass]?.[presetId] || (presetClass === 'mediacall' ? 'play' : inferAnimationType(cTnNode));
+
+    const durations = Array.from(cTnNode.getElementsByTagNameNS(PML_NS, 'cTn'))
+        .map(node => parseInt(node.getAttribute('dur')))
+        .filter(dur => !isNaN(dur));
+
+    const pRgNode = spTgtNode.getElementsByTagNameNS(PML_NS, 'pRg')[0];
+
+    const effect = {
+        spid: spTgtNode.getAttribute('spid'),
+        nodeType: cTnNode.getAttribute('nodeType'),
+        grpId: cTnNode.getAttribute('grpId'),
+        presetClass,
+        presetId,
+        presetSubtype,
+        type,
+        direction: null,
+        duration: durations.length > 0 ? Math.max(...durations) : 0,
+        delay: groupDelay + getTimeNodeDelay(cTnNode),
+        paragraphRange: pRgNode ? { start: parseInt(pRgNode.getAttribute('st')), end: parseInt(pRgNode.getAttribute('end')) } : null,
+    };
+
+    if (type === 'fly') {
+        effect.direction = ANIMATION_DIRECTIONS[presetSubtype] || 'b';
+    } else if (type === 'wipe') {
+        const filter = cTnNode.getElementsByTagNameNS(PML_NS, 'animEffect')[0]?.getAttribute('filter') || '';
+        const filterDirection = filter.match(/wipe\((\w+)\)/)?.[1];
+        effect.direction = ANIMATION_DIRECTIONS[presetSubtype] || WIPE_FILTER_DIRECTIONS[filterDirection] || 'b';
+    } else if (type === 'spin') {
+        const animRotNode = cTnNode.getElementsByTagNameNS(PML_NS, 'animRot')[0];
+        effect.rotation = animRotNode?.getAttribute('by') ? parseInt(animRotNode.getAttribute('by')) / 60000 : 360;
+    } else if (type === 'play') {
+        // `playFrom(seconds)` starts playback at an offset from the start of the (trimmed) media
+        effect.seek = (parseFloat(command?.match(/playFrom\(([\d.]+)\)/)?.[1]) || 0) * 1000;
+    }
+
+    return effect;
+}
+
+/**
+ * Parses the playback settings of the media on a slide from the `p:video` and `p:audio` nodes of its timing.
+ * @param {Element} timingNode - The `p:timing` node of the slide.
+ * @returns {Array<Object>} The settings of every media shape, keyed by shape id.
+ */
+function parseMediaNodes(timingNode) {
+    return Array.from(timingNode.getElementsByTagNameNS(PML_NS, 'cMediaNode')).map(mediaNode => {
+        const cTnNode = Array.from(mediaNode.children).find(child => child.localName === 'cTn');
+        const containerNode = mediaNode.parentNode;
+        return {
+            spid: mediaNode.getElementsByTagNameNS(PML_NS, 'spTgt')[0]?.getAttribute('spid') ?? null,
+            type: containerNode.localName,
+            // Volume is a percentage in 1000ths, 50% when it is not set
+            volume: parseInt(mediaNode.getAttribute('vol') ?? '50000') / 100000,
+            mute: mediaNode.getAttribute('mute') === '1',
+            loop: cTnNode?.getAttribute('repeatCount') === 'indefinite',
+            showWhenStopped: mediaNode.getAttribute('showWhenStopped') !== '0',
+            fullScreen: containerNode.getAttribute('fullScrn') === '1',
+        };
+    });
+}
+
+/**
+ * Parses the animation timing of a slide into a timeline of build steps.
+ * Each step groups the effects started by one click (or automatically, for steps
+ * that begin with a with-previous or after-previous effect).
+ * Only the main sequence is parsed; interactive (triggered) sequences are ignored.
+ * The playback settings of media shapes are returned alongside the steps.
+ * @param {XMLDocument} xmlDoc - The XML document of the slide.
+ * @returns {Object|null} The parsed timeline, or null if the slide has no animations.
+ */
+export function parseTiming(xmlDoc) {
+    const timingNode = xmlDoc.getElementsByTagNameNS(PML_NS, 'timing')[0];
+    if (!timingNode) {
+        return null;
+    }
+
+    const steps = [];
+    const mainSeqNode = Array.from(timingNode.getElementsByTagNameNS(PML_NS, 'cTn')).find(cTn => cTn.getAttribute('nodeType') === 'mainSeq');
+    if (mainSeqNode) {
+        for (const clickGroupNode of getChildTimeNodes(mainSeqNode)) {
+            const effects = [];
+            for (const timeGroupNode of getChildTimeNodes(clickGroupNode)) {
+                const groupDelay = getTimeNodeDelay(timeGroupNode);
+                for (const effectNode of getChildTimeNodes(timeGroupNode)) {
+                    const effect = parseAnimationEffect(effectNode, groupDelay);
+                    if (effect) {
+                        effects.push(effect);
+                    }
+                }
+            }
+
+            if (effects.length > 0) {
+                steps.push({
+                    trigger: effects[0].nodeType === 'clickEffect' ? 'click' : 'auto',
+                    effects,
+                });
+            }
+        }
+    }
+
+    const builds = [];
+    const bldLstNode = timingNode.getElementsByTagNameNS(PML_NS, 'bldLst')[0];
+    if (bldLstNode) {
+        for (const bldNode of bldLstNode.children) {
+            builds.push({
+                type: bldNode.localName,
+                spid: bldNode.getAttribute('spid'),
+                grpId: bldNode.getAttribute('grpId'),
+                build: bldNode.getAttribute('build') || 'whole',
+                animBg: bldNode.getAttribute('animBg') === '1',
+            });
+        }
+    }
+
+    const media = parseMediaNodes(timingNode);
+
+    if (steps.length === 0 && builds.length === 0 && media.length === 0) {
+        return null;
+    }
+
+    return { steps, builds, media };
+}
+
+const MEDIA_FILE_TYPES = {
+    videoFile: 'video',
+    quickTimeFile: 'video',
+    audioFile: 'audio',
+    wavAudioFile: 'audio',
+};
+
+/**
+ * Parses the media a picture plays from its `p:nvPr`: the `a:videoFile` or `a:audioFile` link,
+ * and the embedded media and trim points of the `p14:media` extension.
+ * @param {Element} nvPrNode - The `p:nvPr` node of the picture.
+ * @returns {Object|null} The media type, relationship ids and trim points in milliseconds, or null if the picture has no media.
+ */
+export function parseMediaReference(nvPrNode) {
+    if (!nvPrNode) return null;
+
+    const fileNode = Array.from(nvPrNode.children).find(child => child.namespaceURI === DML_NS && MEDIA_FILE_TYPES[child.localName]);
+    const mediaNode = nvPrNode.getElementsByTagNameNS(P14_NS, 'media')[0];
+    if (!fileNode && !mediaNode) return null;
+
+    const media = {
+        type: fileNode ? MEDIA_FILE_TYPES[fileNode.localName] : 'video',
+        linkRelId: fileNode?.getAttribute('r:link') || fileNode?.getAttribute('r:embed') || null,
+        embedRelId: mediaNode?.getAttribute('r:embed') || mediaNode?.getAttribute('r:link') || null,
+        trim: null,
+    };
+
+    // The end trim is the time cut from the end of the media, not a position
+    const trimNode = mediaNode?.getElementsByTagNameNS(P14_NS, 'trim')[0];
+    if (trimNode) {
+        media.trim = {
+            start: parseFloat(trimNode.getAttribute('st') || '0'),
+            end: parseFloat(trimNode.getAttribute('end') || '0'),
+        };
+    }
+
+    return media;
+}
+
+const SHOW_JUMPS = {
+    nextslide: 'next',
+    previousslide: 'previous',
+    firstslide: 'first',
+    lastslide: 'last',
+};
+
+/**
+ * Finds the action of an external hyperlink target from its scheme.
+ * Only web and email links are followed, so that a deck cannot run script or open
+ * local files through `javascript:`, `data:`, `file:` or similar targets.
+ * @param {string} target - The target URL of the link.
+ * @returns {string|null} `'url'` for `http:` and `https:` targets, `'email'` for `mailto:` targets, otherwise null.
+ */
+export function getExternalLinkAction(target) {
+    const scheme = String(target ?? '').trim().match(/^([a-z][a-z0-9+.-]*):/i)?.[1].toLowerCase();
+    if (scheme === 'http' || scheme === 'https') return 'url';
+    if (scheme === 'mailto') return 'email';
+    return null;
+}
+
+/**
+ * Parses a hyperlink (`a:hlinkClick` or `a:hlinkHover`) into the link it follows.
+ * Slide jumps are resolved to the path of the target slide, and show jumps to the
+ * slide they move to relative to the current one.
+ * @param {Element} hlinkNode - The hyperlink node.
+ * @param {Object} rels - The relationships of the part containing the hyperlink.
+ * @param {string} [baseDir='ppt/slides'] - The directory of the part, used to resolve slide targets.
+ * @returns {Object|null} The action, target and tooltip of the link, or null if the link does nothing we can follow.
+ */
+export function parseHyperlink(hlinkNode, rels, baseDir = 'ppt/slides') {
+    if (!hlinkNode) return null;
+
+    const action = hlinkNode.getAttribute('action') || '';
+    const rel = rels?.[hlinkNode.getAttribute('r:id')];
+    const link = {
+        action: null,
+        target: null,
+        tooltip: hlinkNode.getAttribute('tooltip') || null,
+        // PowerPoint 2019 can keep the text color of a run instead of the theme hyperlink color
+        useTextColor: hlinkNode.getElementsByTagNameNS(AHYP_NS, 'hlinkClr')[0]?.getAttribute('val') === 'tx',
+    };
+
+    if (action.startsWith('ppaction://hlinkshowjump')) {
+        link.action = SHOW_JUMPS[action.match(/jump=(\w+)/)?.[1]?.toLowerCase()] || null;
+    } else if (action.startsWith('ppaction://hlinksldjump')) {
+        if (rel) {
+            link.action = 'slide';
+            link.target = resolvePath(baseDir, rel.target);
+        }
+    } else if (!action && rel?.targetMode === 'External') {
+        link.action = getExternalLinkAction(rel.target);
+        link.target = link.action ? rel.target.trim() : null;
+    }
+
+    return link.action ? link : null;
+}
+
+/**
+ * Reads the guides of a guide list node (`avLst` or `gdLst`).
+ * @param {Element} parentNode - The node containing the guide list.
+ * @param {string} listName - The local name of the guide list.
+ * @returns {Array<Array<string>>} The guides as `[ name, formula ]` pairs.
+ */
+function parseGuideList(parentNode, listName) {
+    const listNode = parentNode.getElementsByTagNameNS(DML_NS, listName)[0];
+    if (!listNode) return [];
+    return Array.from(listNode.getElementsByTagNameNS(DML_NS, 'gd'))
+        .map(gdNode => [gdNode.getAttribute('name'), gdNode.getAttribute('fmla')]);
+}
+
 /**
  * Parses a custom geometry from a `custGeom` node.
+ * The guides of the geometry are evaluated for the size of the shape, and the paths,
+ * text rectangle and connection sites are resolved in shape coordinates.
  * @param {Element} custGeomNode - The `custGeom` XML node.
+ * @param {{width: number, height: number}} [size] - The size of the shape in EMUs. Defaults to the size of the first path.
  * @returns {Object|null} The parsed custom geometry object, or null if invalid.
  */
-export function parseCustomGeometry(custGeomNode) {
+export function parseCustomGeometry(custGeomNode, size) {
     if (!custGeomNode) return null;
     const pathLstNode = custGeomNode.getElementsByTagNameNS(DML_NS, 'pathLst')[0];
     if (!pathLstNode) return null;
 
-    const pathNode = pathLstNode.getElementsByTagNameNS(DML_NS, 'path')[0];
-    if (!pathNode) return null;
+    const pathNodes = Array.from(pathLstNode.getElementsByTagNameNS(DML_NS, 'path'));
+    if (pathNodes.length === 0) return null;
+
+    const width = size?.width ?? (parseInt(pathNodes[0].getAttribute('w')) || 0);
+    const height = size?.height ?? (parseInt(pathNodes[0].getAttribute('h')) || 0);
+
+    const guides = createGuideContext(width, height);
+    evaluateGuides(parseGuideList(custGeomNode, 'avLst'), guides);
+    evaluateGuides(parseGuideList(custGeomNode, 'gdLst'), guides);
+    const resolve = value => resolveGuideValue(value, guides);
 
-    const pathW = parseInt(pathNode.getAttribute('w'));
-    const pathH = parseInt(pathNode.getAttribute('h'));
     const commands = [];
+    for (const pathNode of pathNodes) {
+        // Paths with their own coordinate space are scaled to the shape
+        const pathW = parseInt(pathNode.getAttribute('w')) || 0;
+        const pathH = parseInt(pathNode.getAttribute('h')) || 0;
+        const scaleX = pathW && width ? width / pathW : 1;
+        const scaleY = pathH && height ? height / pathH : 1;
+
+        for (const cmdNode of pathNode.children) {
+            const cmd = cmdNode.localName;
+
+            // close doesn't have points, handle it separately
+            if (cmd === 'close') {
+                commands.push({ cmd: 'close', points: [] });
+                continue;
+            }
 
-    for (const cmdNode of pathNode.children) {
-        const cmd = cmdNode.localName;
-        const ptNodes = cmdNode.getElementsByTagNameNS(DML_NS, 'pt');
-        const points = Array.from(ptNodes).map(pt => ({
-            x: parseInt(pt.getAttribute('x')),
-            y: parseInt(pt.getAttribute('y')),
-        }));
-
-        // close doesn't have points, handle it separately
-        if (cmd === 'close') {
-            commands.push({ cmd: 'close', points: [] });
-        } else {
-            commands.push({ cmd, points });
+            const ptNodes = cmdNode.getElementsByTagNameNS(DML_NS, 'pt');
+            const points = Array.from(ptNodes).map(pt => ({
+                x: resolve(pt.getAttribute('x')) * scaleX,
+                y: resolve(pt.getAttribute('y')) * scaleY,
+            }));
+
+            if (cmd === 'arcTo') {
+                commands.push({
+                    cmd,
+                    points,
+                    wR: resolve(cmdNode.getAttribute('wR')) * scaleX,
+                    hR: resolve(cmdNode.getAttribute('hR')) * scaleY,
+                    stAng: resolve(cmdNode.getAttribute('stAng')),
+                    swAng: resolve(cmdNode.getAttribute('swAng')),
+                });
+            } else {
+                commands.push({ cmd, points });
+            }
         }
     }
 
     if (commands.length === 0) return null;
 
-    return {
+    const geometry = {
         commands: commands,
-        w: pathW,
-        h: pathH,
+        w: width,
+        h: height,
     };
+
+    const rectNode = custGeomNode.getElementsByTagNameNS(DML_NS, 'rect')[0];
+    if (rectNode) {
+        geometry.textRect = {
+            l: resolve(rectNode.getAttribute('l')),
+            t: resolve(rectNode.getAttribute('t')),
+            r: resolve(rectNode.getAttribute('r')),
+            b: resolve(rectNode.getAttribute('b')),
+        };
+    }
+
+    const cxnNodes = custGeomNode.getElementsByTagNameNS(DML_NS, 'cxn');
+    if (cxnNodes.length > 0) {
+        geometry.connectionSites = Array.from(cxnNodes).map(cxnNode => {
+            const posNode = cxnNode.getElementsByTagNameNS(DML_NS, 'pos')[0];
+            return {
+                x: resolve(posNode?.getAttribute('x')),
+                y: resolve(posNode?.getAttribute('y')),
+                angle: resolve(cxnNode.getAttribute('ang')) / 60000,
+            };
+        });
+    }
+
+    return geometry;
 }
 
 /**
@@ -657,6 +1067,171 @@ export function parseLineProperties(lnNode, slideContext) {
     return props;
 }
 
+/**
+ * Parses a single effect of an effect list. Colors are left unresolved, so theme effect
+ * styles can be resolved against the context of the shape that references them.
+ * @param {Element} effectNode - The effect node, e.g. `a:glow` or `a:reflection`.
+ * @returns {Object|null} The parsed effect, or null if the effect is not supported.
+ */
+function parseEffect(effectNode) {
+    const length = name => parseInt(effectNode.getAttribute(name) || '0') / EMU_PER_PIXEL;
+    const angle = name => parseInt(effectNode.getAttribute(name) || '0') / 60000;
+    const percentage = (name, defaultValue) => parseInt(effectNode.getAttribute(name) ?? defaultValue) / 100000;
+
+    switch (effectNode.localName) {
+        case 'outerShdw':
+        case 'innerShdw':
+            return { type: effectNode.localName, blurRad: length('blurRad'), dist: length('dist'), dir: angle('dir'), color: ColorParser.parseColor(effectNode) };
+        case 'prstShdw':
+            return { type: 'prstShdw', prst: effectNode.getAttribute('prst'), dist: length('dist'), dir: angle('dir'), color: ColorParser.parseColor(effectNode) };
+        case 'glow':
+            return { type: 'glow', radius: length('rad'), color: ColorParser.parseColor(effectNode) };
+        case 'softEdge':
+            return { type: 'softEdge', radius: length('rad') };
+        case 'blur':
+            return { type: 'blur', radius: length('rad'), grow: effectNode.getAttribute('grow') !== '0' };
+        case 'reflection':
+            return {
+                type: 'reflection',
+                blur: length('blurRad'),
+                distance: length('dist'),
+                dir: angle('dir'),
+                opacity: percentage('stA', 100000),
+                startPos: percentage('stPos', 0),
+                endOpacity: percentage('endA', 0),
+                endPos: percentage('endPos', 100000),
+                scaleY: Math.abs(percentage('sy', 100000)),
+            };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Parses an `a:effectLst` node. The outer shadow is kept apart from the other effects,
+ * as it is the one effect that every renderer supports.
+ * @param {Element} effectLstNode - The `a:effectLst` node.
+ * @returns {{effect: Object|null, effects: Object[]}} The outer shadow, and the other effects in document order.
+ */
+function parseEffectList(effectLstNode) {
+    let effect = null;
+    const effects = [];
+    for (const effectNode of effectLstNode.children) {
+        const parsed = parseEffect(effectNode);
+        if (!parsed) continue;
+        if (parsed.type === 'outerShdw') effect = parsed;
+        else effects.push(parsed);
+    }
+    return { effect, effects };
+}
+
+/**
+ * Resolves the color of a parsed effect, without changing the effect itself.
+ * @param {Object} effect - The parsed effect.
+ * @param {Object} slideContext - The context of the slide.
+ * @param {Object} [colorOverride] - A color that replaces the effect's own, e.g. the one of an `a:effectRef`.
+ * @returns {Object} A copy of the effect with its color resolved.
+ */
+function resolveEffect(effect, slideContext, colorOverride) {
+    if (!('color' in effect)) return { ...effect };
+    return { ...effect, color: ColorParser.resolveColor(colorOverride || effect.color, slideContext) };
+}
+
+/**
+ * Parses the effects of a shape or picture, from its own effect list or else from the effect style its style refers to.
+ * @param {Element} spPrNode - The `spPr` node of the shape.
+ * @param {Element} [styleNode] - The `style` node of the shape.
+ * @param {Object} slideContext - The context of the slide, used to resolve the effect colors.
+ * @returns {{effect: Object|null, effects: Object[]|null}} The outer shadow, and the other effects in document order,
+ * or null where the shape has none.
+ */
+export function parseShapeEffects(spPrNode, styleNode, slideContext) {
+    let effect = null, effects = null;
+    const effectLstNode = spPrNode.getElementsByTagNameNS(DML_NS, 'effectLst')[0];
+    if (effectLstNode) {
+        const parsed = parseEffectList(effectLstNode);
+        if (parsed.effect) effect = resolveEffect(parsed.effect, slideContext);
+        if (parsed.effects.length > 0) effects = parsed.effects.map(e => resolveEffect(e, slideContext));
+    } else {
+        const effectRefNode = styleNode?.getElementsByTagNameNS(DML_NS, 'effectRef')[0];
+        if (effectRefNode) {
+            const idx = parseInt(effectRefNode.getAttribute('idx'));
+            const { effects: styleShadows = [], styleEffects = [] } = slideContext.theme.formatScheme;
+            // The color of the reference replaces the placeholder color of the theme's effect style
+            const colorOverride = ColorParser.parseColor(effectRefNode);
+            if (idx > 0 && styleShadows[idx - 1]) {
+                effect = resolveEffect(styleShadows[idx - 1], slideContext, colorOverride);
+            }
+            if (idx > 0 && styleEffects[idx - 1]?.length > 0) {
+                effects = styleEffects[idx - 1].map(e => resolveEffect(e, slideContext, colorOverride));
+            }
+        }
+    }
+    return { effect, effects };
+}
+
+/**
+ * Parses a bevel of a 3-D shape.
+ * @param {Element} bevelNode - The `a:bevelT` or `a:bevelB` node.
+ * @returns {{width: number, height: number, preset: string}|null} The bevel, or null if the shape has none.
+ */
+function parseBevel(bevelNode) {
+    if (!bevelNode) return null;
+    return {
+        width: parseInt(bevelNode.getAttribute('w') || '76200') / EMU_PER_PIXEL,
+        height: parseInt(bevelNode.getAttribute('h') || '76200') / EMU_PER_PIXEL,
+        preset: bevelNode.getAttribute('prst') || 'circle',
+    };
+}
+
+/**
+ * Parses the 3-D scene and shape properties of a shape or picture.
+ * @param {Element} spPrNode - The `spPr` node of the shape.
+ * @param {Object} slideContext - The context of the slide, used to resolve the extrusion and contour colors.
+ * @returns {{scene3d: Object|null, shape3d: Object|null}} The camera and light rig of the scene, and the bevels,
+ * extrusion, contour and material of the shape. Lengths are in pixels and angles in degrees.
+ */
+export function parseShape3d(spPrNode, slideContext) {
+    const child = (node, name) => node && Array.from(node.children).find(c => c.localName === name);
+    const angle = (node, name) => parseInt(node?.getAttribute(name) || '0') / 60000;
+    const color = node => (node ? ColorParser.resolveColor(ColorParser.parseColor(node), slideContext) : null);
+
+    let scene3d = null;
+    const scene3dNode = child(spPrNode, 'scene3d');
+    if (scene3dNode) {
+        const cameraNode = child(scene3dNode, 'camera');
+        const cameraRotNode = child(cameraNode, 'rot');
+        const lightRigNode = child(scene3dNode, 'lightRig');
+        scene3d = {
+            camera: {
+                preset: cameraNode?.getAttribute('prst') || 'orthographicFront',
+                fov: cameraNode?.hasAttribute('fov') ? angle(cameraNode, 'fov') : null,
+                rotation: cameraRotNode ? { lat: angle(cameraRotNode, 'lat'), lon: angle(cameraRotNode, 'lon'), rev: angle(cameraRotNode, 'rev') } : null,
+            },
+            lightRig: {
+                rig: lightRigNode?.getAttribute('rig') || 'threePt',
+                dir: lightRigNode?.getAttribute('dir') || 't',
+            },
+        };
+    }
+
+    let shape3d = null;
+    const sp3dNode = child(spPrNode, 'sp3d');
+    if (sp3dNode) {
+        shape3d = {
+            bevelTop: parseBevel(child(sp3dNode, 'bevelT')),
+            bevelBottom: parseBevel(child(sp3dNode, 'bevelB')),
+            extrusionHeight: parseInt(sp3dNode.getAttribute('extrusionH') || '0') / EMU_PER_PIXEL,
+            extrusionColor: color(child(sp3dNode, 'extrusionClr')),
+            contourWidth: parseInt(sp3dNode.getAttribute('contourW') || '0') / EMU_PER_PIXEL,
+            contourColor: color(child(sp3dNode, 'contourClr')),
+            material: sp3dNode.getAttribute('prstMaterial') || 'warmMatte',
+        };
+    }
+
+    return { scene3d, shape3d };
+}
+
 /**
  * Parses the properties of a shape.
  * @param {Element} shapeNode - The shape's XML node.
@@ -693,7 +1268,9 @@ export function parseShapeProperties(shapeNode, slideContext, slideNum, ns = PML
 
     const custGeomNode = spPrNode.getElementsByTagNameNS(DML_NS, 'custGeom')[0];
     if (custGeomNode) {
-        properties.geometry = { type: 'custom', path: parseCustomGeometry(custGeomNode) };
+        const extNode = spPrNode.getElementsByTagNameNS(DML_NS, 'xfrm')[0]?.getElementsByTagNameNS(DML_NS, 'ext')[0];
+        const size = extNode ? { width: parseInt(extNode.getAttribute('cx')) || 0, height: parseInt(extNode.getAttribute('cy')) || 0 } : undefined;
+        properties.geometry = { type: 'custom', path: parseCustomGeometry(custGeomNode, size) };
     }
 
     // --- Fill Parsing ---
@@ -784,39 +1361,14 @@ export function parseShapeProperties(shapeNode, slideContext, slideNum, ns = PML
     }
 
     // --- Effect Parsing ---
-    const effectLstNode = spPrNode.getElementsByTagNameNS(DML_NS, 'effectLst')[0];
-    if (effectLstNode) {
-        const outerShdwNode = effectLstNode.getElementsByTagNameNS(DML_NS, 'outerShdw')[0];
-        if (outerShdwNode) {
-            const blurRad = parseInt(outerShdwNode.getAttribute('blurRad') || '0') / EMU_PER_PIXEL;
-            const dist = parseInt(outerShdwNode.getAttribute('dist') || '0') / EMU_PER_PIXEL;
-            const dir = parseInt(outerShdwNode.getAttribute('dir') || '0') / 60000;
-            const colorObj = ColorParser.parseColor(outerShdwNode);
-            properties.effect = {
-                type: 'outerShdw',
-                blurRad,
-                dist,
-                dir,
-                color: ColorParser.resolveColor(colorObj, slideContext),
-            };
-        }
-    } else {
-        const styleNode = shapeNode.getElementsByTagNameNS( ns, 'style')[0];
-        if (styleNode) {
-            const effectRefNode = styleNode.getElementsByTagNameNS(DML_NS, 'effectRef')[0];
-            if (effectRefNode) {
-                const idx = parseInt(effectRefNode.getAttribute('idx'));
-                if (idx > 0 && slideContext.theme.formatScheme.effects[idx - 1]) {
-                    properties.effect = slideContext.theme.formatScheme.effects[idx - 1];
-                    // Apply color override if present
-                    const colorOverride = ColorParser.parseColor(effectRefNode);
-                    if (properties.effect && colorOverride) {
-                        properties.effect.color = ColorParser.resolveColor(colorOverride, slideContext);
-                    }
-                }
-            }
-        }
-    }
+    const { effect, effects } = parseShapeEffects(spPrNode, shapeNode.getElementsByTagNameNS(ns, 'style')[0], slideContext);
+    if (effect) properties.effect = effect;
+    if (effects) properties.effects = effects;
+
+    // --- 3-D Parsing ---
+    const { scene3d, shape3d } = parseShape3d(spPrNode, slideContext);
+    if (scene3d) properties.scene3d = scene3d;
+    if (shape3d) properties.shape3d = shape3d;
 
     // --- Default Fill Logic ---
     if (properties.fill === null && shapeNode.localName !== 'cxnSp') {
@@ -877,6 +1429,27 @@ export function parseBodyProperties(txBodyNode) {
     const bIns = bodyPrNode.getAttribute('bIns');
     if (bIns) props.bIns = parseInt(bIns) / EMU_PER_PIXEL;
 
+    const vert = bodyPrNode.getAttribute('vert');
+    if (vert) props.vert = vert;
+
+    const numCol = bodyPrNode.getAttribute('numCol');
+    if (numCol) props.numCol = parseInt(numCol);
+
+    const spcCol = bodyPrNode.getAttribute('spcCol');
+    if (spcCol) props.spcCol = parseInt(spcCol) / EMU_PER_PIXEL;
+
+    const wrap = bodyPrNode.getAttribute('wrap');
+    if (wrap) props.wrap = wrap;
+
+    const anchorCtr = bodyPrNode.getAttribute('anchorCtr');
+    if (anchorCtr) props.anchorCtr = anchorCtr === '1' || anchorCtr === 'true';
+
+    const rot = bodyPrNode.getAttribute('rot');
+    if (rot) props.rot = parseInt(rot) / 60000;
+
+    const upright = bodyPrNode.getAttribute('upright');
+    if (upright) props.upright = upright === '1' || upright === 'true';
+
     const noAutofitNode = bodyPrNode.getElementsByTagNameNS(DML_NS, 'noAutofit')[0];
     const normAutofitNode = bodyPrNode.getElementsByTagNameNS(DML_NS, 'normAutofit')[0];
     const spAutofitNode = bodyPrNode.getElementsByTagNameNS(DML_NS, 'spAutoFit')[0];
@@ -900,6 +1473,32 @@ export function parseBodyProperties(txBodyNode) {
     return props;
 }
 
+/**
+ * Parses a text spacing (`a:lnSpc`, `a:spcBef` or `a:spcAft`) of paragraph properties.
+ * @param {Element} pPrNode - The paragraph properties node.
+ * @param {string} name - The local name of the spacing node.
+ * @returns {{type: string, value: number}|null} The spacing as a fraction for `percent` spacing,
+ * or in pixels for `points` spacing, or null if the paragraph does not set it.
+ */
+function parseTextSpacing(pPrNode, name) {
+    const spacingNode = Array.from(pPrNode.children).find(child => child.localName === name);
+    if (!spacingNode) return null;
+
+    const percentNode = spacingNode.getElementsByTagNameNS(DML_NS, 'spcPct')[0];
+    if (percentNode) {
+        const value = percentNode.getAttribute('val') || '0';
+        // Strict documents write percentages such as `90%` instead of thousandths of a percent
+        return { type: 'percent', value: value.endsWith('%') ? parseFloat(value) / 100 : parseInt(value) / 100000 };
+    }
+
+    const pointsNode = spacingNode.getElementsByTagNameNS(DML_NS, 'spcPts')[0];
+    if (pointsNode) {
+        return { type: 'points', value: (parseInt(pointsNode.getAttribute('val') || '0') / 100) * PT_TO_PX };
+    }
+
+    return null;
+}
+
 /**
  * Parses the properties of a paragraph.
  * @param {Element} pPrNode - The `pPr` XML node.
@@ -914,12 +1513,38 @@ export function parseParagraphProperties(pPrNode, slideContext) {
     const align = pPrNode.getAttribute('algn');
     if (align) properties.align = align;
 
+    const rtl = pPrNode.getAttribute('rtl');
+    if (rtl) properties.rtl = rtl === '1';
+
+    const defaultTabSize = pPrNode.getAttribute('defTabSz');
+    if (defaultTabSize) properties.defaultTabSize = parseInt(defaultTabSize) / EMU_PER_PIXEL;
+
+    // Tab stops replace the ones of the inherited levels as a whole
+    const tabLstNode = pPrNode.getElementsByTagNameNS(DML_NS, 'tabLst')[0];
+    if (tabLstNode) {
+        properties.tabs = Array.from(tabLstNode.getElementsByTagNameNS(DML_NS, 'tab'))
+            .map(tabNode => ({
+                pos: parseInt(tabNode.getAttribute('pos') || '0') / EMU_PER_PIXEL,
+                align: tabNode.getAttribute('algn') || 'l',
+            }))
+            .sort((a, b) => a.pos - b.pos);
+    }
+
     const marL = pPrNode.getAttribute('marL');
     if (marL) properties.marL = parseInt(marL) / EMU_PER_PIXEL;
 
     const indent = pPrNode.getAttribute('indent');
     if (indent) properties.indent = parseInt(indent) / EMU_PER_PIXEL;
 
+    const lineSpacing = parseTextSpacing(pPrNode, 'lnSpc');
+    if (lineSpacing) properties.lineSpacing = lineSpacing;
+
+    const spaceBefore = parseTextSpacing(pPrNode, 'spcBef');
+    if (spaceBefore) properties.spaceBefore = spaceBefore;
+
+    const spaceAfter = parseTextSpacing(pPrNode, 'spcAft');
+    if (spaceAfter) properties.spaceAfter = spaceAfter;
+
     const buNone = pPrNode.getElementsByTagNameNS(DML_NS, 'buNone')[0];
     if (buNone) properties.bullet.type = 'none';
 
@@ -1000,18 +1625,106 @@ export function parseParagraphProperties(pPrNode, slideContext) {
                 }
             }
         }
+
+        Object.assign(properties.defRPr, parseRunFormatting(defRPrNode));
     }
 
     return properties;
 }
 
+/**
+ * Parses the character formatting of a run properties node (`a:rPr` or `a:defRPr`)
+ * other than its size, weight, style, color and latin typeface.
+ * Only the attributes present on the node are returned, so the result can be merged over inherited properties.
+ * @param {Element} rPrNode - The run properties node.
+ * @returns {Object} The underline, strike, baseline, caps, spacing, kerning, highlight, languages
+ * and East Asian and complex script typefaces of the run.
+ */
+export function parseRunFormatting(rPrNode) {
+    const formatting = {};
+    if (!rPrNode) return formatting;
+
+    const underline = rPrNode.getAttribute('u');
+    if (underline) formatting.underline = underline;
+
+    // The underline takes the text color unless it has a fill or line of its own
+    const underlineFillNode = rPrNode.getElementsByTagNameNS(DML_NS, 'uFill')[0]?.getElementsByTagNameNS(DML_NS, 'solidFill')[0];
+    const underlineLineNode = rPrNode.getElementsByTagNameNS(DML_NS, 'uLn')[0]?.getElementsByTagNameNS(DML_NS, 'solidFill')[0];
+    if (underlineFillNode || underlineLineNode) {
+        formatting.underlineColor = ColorParser.parseColor(underlineFillNode || underlineLineNode);
+    }
+
+    const strike = rPrNode.getAttribute('strike');
+    if (strike) formatting.strike = strike;
+
+    const baseline = rPrNode.getAttribute('baseline');
+    if (baseline) formatting.baseline = parseInt(baseline) / 100000;
+
+    const cap = rPrNode.getAttribute('cap');
+    if (cap) formatting.cap = cap;
+
+    const spacing = rPrNode.getAttribute('spc');
+    if (spacing) formatting.spacing = (parseInt(spacing) / 100) * PT_TO_PX;
+
+    const kern = rPrNode.getAttribute('kern');
+    if (kern) formatting.kern = (parseInt(kern) / 100) * PT_TO_PX;
+
+    const highlightNode = rPrNode.getElementsByTagNameNS(DML_NS, 'highlight')[0];
+    if (highlightNode) formatting.highlight = ColorParser.parseColor(highlightNode);
+
+    const lang = rPrNode.getAttribute('lang');
+    if (lang) formatting.lang = lang;
+    const altLang = rPrNode.getAttribute('altLang');
+    if (altLang) formatting.altLang = altLang;
+
+    // Theme aliases such as `+mn-ea` are kept, they are resolved per script when the run is laid out
+    const eaFont = rPrNode.getElementsByTagNameNS(DML_NS, 'ea')[0]?.getAttribute('typeface');
+    if (eaFont) formatting.eaFont = eaFont;
+    const csFont = rPrNode.getElementsByTagNameNS(DML_NS, 'cs')[0]?.getAttribute('typeface');
+    if (csFont) formatting.csFont = csFont;
+
+    return formatting;
+}
+
+const HEADER_FOOTER_PLACEHOLDERS = ['sldNum', 'hdr', 'ftr', 'dt'];
+
+/**
+ * Parses the header and footer settings of a master, layout or slide.
+ * @param {Element} hfNode - The `p:hf` node.
+ * @returns {{sldNum: boolean, hdr: boolean, ftr: boolean, dt: boolean}|null} Whether the slide number, header,
+ * footer and date placeholders are shown, or null if there are no settings.
+ */
+export function parseHeaderFooter(hfNode) {
+    if (!hfNode) return null;
+    return Object.fromEntries(HEADER_FOOTER_PLACEHOLDERS.map(type => [type, hfNode.getAttribute(type) !== '0']));
+}
+
+/**
+ * Decides which header and footer placeholders a slide shows. The settings of a layout override the ones of its master,
+ * and title slides hide the slide number, footer and date when the presentation does not show them on title slides.
+ * @param {Array<Object|null>} headerFooters - The settings from `parseHeaderFooter`, from the master down to the slide.
+ * @param {boolean} [hideOnTitleSlide=false] - Whether the slide is a title slide that hides its header and footer.
+ * @returns {{sldNum: boolean, hdr: boolean, ftr: boolean, dt: boolean}} The visibility of each placeholder type.
+ */
+export function getHeaderFooterVisibility(headerFooters, hideOnTitleSlide = false) {
+    const visibility = Object.fromEntries(HEADER_FOOTER_PLACEHOLDERS.map(type => [type, true]));
+    headerFooters.forEach(headerFooter => Object.assign(visibility, headerFooter));
+    if (hideOnTitleSlide) {
+        visibility.sldNum = false;
+        visibility.ftr = false;
+        visibility.dt = false;
+    }
+    return visibility;
+}
+
 /**
  * Parses a slide master or layout XML.
  * @param {string} xml - The XML content of the master or layout.
  * @param {Object} theme - The presentation theme.
  * @param {Object|null} masterColorMap - The color map from the master slide.
  * @param {boolean} isLayout - A flag indicating whether the XML is for a slide layout.
- * @returns {Object} An object containing placeholders, static shapes, default text styles, and color maps.
+ * @returns {Object} An object containing placeholders, static shapes, default text styles, color maps,
+ * the header and footer settings and, for layouts, the layout type.
  */
 export function parseMasterOrLayout(xml, theme, masterColorMap = null, isLayout = false) {
     const xmlDoc = parseXmlString(xml, isLayout ? "slideLayout" : "slideMaster");
@@ -1059,6 +1772,11 @@ export function parseMasterOrLayout(xml, theme, masterColorMap = null, isLayout
         defaultTextStyles.body = parseTextStyle(txStyles.getElementsByTagNameNS(PML_NS, 'bodyStyle')[0], tempSlideContext);
         defaultTextStyles.other = parseTextStyle(txStyles.getElementsByTagNameNS(PML_NS, 'otherStyle')[0], tempSlideContext);
     }
+    // Notes masters style the text of the notes with `p:notesStyle` instead
+    const notesStyleNode = xmlDoc.getElementsByTagNameNS(PML_NS, 'notesStyle')[0];
+    if (notesStyleNode) {
+        defaultTextStyles.notes = parseTextStyle(notesStyleNode, tempSlideContext);
+    }
 
     const spTreeNode = xmlDoc.getElementsByTagNameNS(PML_NS, 'spTree')[0];
     if (spTreeNode) {
@@ -1128,7 +1846,10 @@ export function parseMasterOrLayout(xml, theme, masterColorMap = null, isLayout
             }
         }
     }
-    return { placeholders, staticShapes, defaultTextStyles, colorMap, colorMapOverride, extensions };
+    const headerFooter = parseHeaderFooter(xmlDoc.getElementsByTagNameNS(PML_NS, 'hf')[0]);
+    const type = isLayout ? rootNode?.getAttribute('type') || null : null;
+
+    return { placeholders, staticShapes, defaultTextStyles, colorMap, colorMapOverride, extensions, headerFooter, type };
 }
 
 /**
@@ -1150,80 +1871,755 @@ export function parseSourceRectangle(blipFillNode) {
 }
 
 /**
- * Parses chart data from a chart XML file.
- * @param {string} chartXml - The XML content of the chart.
- * @returns {Object|null} The parsed chart data, or null if the chart is invalid.
+ * Parses the XML of an extension on its own. The prefixes the Office extensions use are declared
+ * around it, as their declarations are usually on the root of the part the extension came from.
+ * @param {{uri: string, xml: string}} extension - The extension, as parsed by `parseExtensions`.
+ * @param {string} identifier - An identifier of the extension, used for error logging.
+ * @returns {XMLDocument|null} The parsed extension, or null if its XML is invalid.
  */
-export function parseChart(chartXml) {
-    const xmlDoc = parseXmlString(chartXml, "chart");
+function parseExtensionXml(extension, identifier) {
+    try {
+        return parseXmlString(`<ext xmlns:a="${DML_NS}" xmlns:a14="${A14_NS}" xmlns:asvg="${ASVG_NS}" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">${extension.xml}</ext>`, identifier);
+    } catch (e) {
+        console.warn(`Failed to read the ${identifier} extension`, e);
+        return null;
+    }
+}
 
-    const chartData = {
-        type: null,
-        title: null,
-        labels: [],
-        datasets: []
+/**
+ * Finds the SVG image of a blip. PowerPoint keeps a PNG rendering of SVG pictures, like icons, in the
+ * blip itself for older versions and the SVG in the `asvg:svgBlip` extension of the blip.
+ * @param {Array<{uri: string, xml: string}>|null} extensions - The extensions of the `a:blip` node, as parsed by `parseExtensions`.
+ * @returns {string|null} The relationship ID of the SVG image, or null if the blip has none.
+ */
+export function parseSvgBlip(extensions) {
+    for (const extension of extensions || []) {
+        if (!extension.xml.includes('svgBlip')) continue;
+        const svgBlipNode = parseExtensionXml(extension, 'asvg:svgBlip')?.getElementsByTagNameNS(ASVG_NS, 'svgBlip')[0];
+        const relId = svgBlipNode?.getAttribute('r:embed');
+        if (relId) return relId;
+    }
+    return null;
+}
+
+// Parameters of the `a14:imgEffect` effects, with the values they take when left out. Artistic effects
+// are named without their `artistic` prefix; every artistic effect also has a transparency.
+const IMAGE_EFFECT_PARAMETERS = {
+    artisticBlur: { radius: 10 },
+    artisticCement: { crackSpacing: 30 },
+    artisticChalkSketch: { pressure: 2 },
+    artisticCrisscrossEtching: { pressure: 2 },
+    artisticCutout: { numberOfShades: 4 },
+    artisticFilmGrain: { grainSize: 25 },
+    artisticGlass: { scaling: 5 },
+    artisticGlowDiffused: { intensity: 2 },
+    artisticGlowEdges: { smoothness: 5 },
+    artisticLightScreen: { gridSize: 6 },
+    artisticLineDrawing: { pencilSize: 5 },
+    artisticMarker: { size: 5 },
+    artisticMosiaicBubbles: { pressure: 4 },
+    artisticPaintBrush: { brushSize: 3 },
+    artisticPaintStrokes: { intensity: 5 },
+    artisticPastelsSmooth: { scaling: 25 },
+    artisticPencilGrayscale: { pencilSize: 5 },
+    artisticPencilSketch: { pressure: 5 },
+    artisticPhotocopy: { detail: 3 },
+    artisticPlasticWrap: { smoothness: 5 },
+    artisticTexturizer: { scaling: 50 },
+    artisticWatercolorSponge: { brushSize: 2 },
+    brightnessContrast: { bright: 0, contrast: 0 },
+    colorTemperature: { colorTemp: 6500 },
+    saturation: { sat: 100000 },
+    sharpenSoften: { amount: 0 },
+};
+
+// Parameters of the picture corrections that are percentages in thousandths
+const IMAGE_EFFECT_PERCENTAGES = ['bright', 'contrast', 'sat', 'amount'];
+
+/**
+ * Parses the artistic effects and picture corrections of a blip, which PowerPoint keeps in the
+ * `a14:imgProps` extension of the blip.
+ * @param {Array<{uri: string, xml: string}>|null} extensions - The extensions of the `a:blip` node, as parsed by `parseExtensions`.
+ * @returns {Object[]} The visible effects in document order, e.g. `{ type: 'pencilSketch', pressure: 5, transparency: 0 }`.
+ * Transparency is a fraction, corrections are fractions except for the color temperature in kelvin.
+ */
+export function parseImageEffects(extensions) {
+    const effects = [];
+    for (const extension of extensions || []) {
+        if (!extension.xml.includes('imgProps')) continue;
+
+        const xmlDoc = parseExtensionXml(extension, 'a14:imgProps');
+        if (!xmlDoc) continue;
+
+        for (const imgEffectNode of xmlDoc.getElementsByTagNameNS(A14_NS, 'imgEffect')) {
+            if (imgEffectNode.getAttribute('visible') === '0') continue;
+            const effectNode = imgEffectNode.children[0];
+            const parameters = effectNode && IMAGE_EFFECT_PARAMETERS[effectNode.localName];
+            if (!parameters) continue;
+
+            const artistic = effectNode.localName.startsWith('artistic');
+            const name = artistic ? effectNode.localName.slice('artistic'.length) : effectNode.localName;
+            const effect = { type: name.charAt(0).toLowerCase() + name.slice(1) };
+            for (const [parameter, defaultValue] of Object.entries(parameters)) {
+                const value = effectNode.hasAttribute(parameter) ? parseInt(effectNode.getAttribute(parameter)) : defaultValue;
+                effect[parameter] = IMAGE_EFFECT_PERCENTAGES.includes(parameter) ? value / 100000 : value;
+            }
+            if (artistic) effect.transparency = parseInt(effectNode.getAttribute('trans') || '0') / 100000;
+            effects.push(effect);
+        }
+    }
+    return effects;
+}
+
+/**
+ * Parses the color adjustments of a blip, like those of the Color and Corrections galleries.
+ * Transparency and duotone are left to the `alphaModFix` and `duotone` handling of pictures.
+ * @param {Element} blipNode - The `a:blip` XML node.
+ * @returns {Object[]} The adjustments in document order, as they are applied one after the other.
+ * Colors are left unresolved; fractions are between 0 and 1, or -1 and 1 for relative changes.
+ */
+export function parseBlipAdjustments(blipNode) {
+    if (!blipNode) return [];
+
+    const adjustments = [];
+    for (const node of blipNode.children) {
+        const fraction = (name, defaultValue = '0') => parseInt(node.getAttribute(name) || defaultValue) / 100000;
+        switch (node.localName) {
+            case 'grayscl':
+                adjustments.push({ type: 'grayscale' });
+                break;
+            case 'biLevel':
+                adjustments.push({ type: 'biLevel', threshold: fraction('thresh') });
+                break;
+            case 'alphaBiLevel':
+                adjustments.push({ type: 'alphaBiLevel', threshold: fraction('thresh') });
+                break;
+            case 'lum':
+                adjustments.push({ type: 'luminance', brightness: fraction('bright'), contrast: fraction('contrast') });
+                break;
+            case 'lumMod':
+                adjustments.push({ type: 'luminanceModulation', value: fraction('val', '100000') });
+                break;
+            case 'hsl':
+                adjustments.push({ type: 'hsl', hue: parseInt(node.getAttribute('hue') || '0') / 60000, saturation: fraction('sat'), luminance: fraction('lum') });
+                break;
+            case 'tint':
+                adjustments.push({ type: 'tint', hue: parseInt(node.getAttribute('hue') || '0') / 60000, amount: fraction('amt') });
+                break;
+            case 'clrChange': {
+                const from = ColorParser.parseColor(node.getElementsByTagNameNS(DML_NS, 'clrFrom')[0]);
+                const to = ColorParser.parseColor(node.getElementsByTagNameNS(DML_NS, 'clrTo')[0]);
+                if (from && to) adjustments.push({ type: 'colorChange', from, to, useAlpha: node.getAttribute('useA') !== '0' });
+                break;
+            }
+            case 'clrRepl': {
+                const color = ColorParser.parseColor(node);
+                if (color) adjustments.push({ type: 'colorReplace', color });
+                break;
+            }
+            case 'alphaMod': {
+                // The container of the modulation usually holds a single fixed amount
+                const amountNode = node.getElementsByTagNameNS(DML_NS, 'alphaModFix')[0];
+                if (amountNode) adjustments.push({ type: 'alphaMod', amount: parseInt(amountNode.getAttribute('amt') || '100000') / 100000 });
+                break;
+            }
+        }
+    }
+    return adjustments;
+}
+
+const CHART_TYPES = {
+    barChart: 'bar',
+    bar3DChart: 'bar',
+    lineChart: 'line',
+    line3DChart: 'line',
+    areaChart: 'area',
+    area3DChart: 'area',
+    pieChart: 'pie',
+    pie3DChart: 'pie',
+    ofPieChart: 'pie',
+    doughnutChart: 'doughnut',
+    scatterChart: 'scatter',
+    bubbleChart: 'bubble',
+    radarChart: 'radar',
+    stockChart: 'stock',
+};
+
+const CHART_AXIS_TYPES = {
+    catAx: 'category',
+    valAx: 'value',
+    dateAx: 'date',
+    serAx: 'series',
+};
+
+/**
+ * Finds the first direct child of a chart node with the given local name.
+ * @param {Element} node - The parent node.
+ * @param {string} localName - The local name of the child.
+ * @returns {Element|undefined} The child node.
+ */
+function getChartChild(node, localName) {
+    return node ? Array.from(node.children).find(child => child.localName === localName) : undefined;
+}
+
+/**
+ * Reads the `val` attribute of a direct child of a chart node.
+ * @param {Element} node - The parent node.
+ * @param {string} localName - The local name of the child.
+ * @returns {string|null} The value, or null if the child is missing.
+ */
+function getChartChildValue(node, localName) {
+    return getChartChild(node, localName)?.getAttribute('val') ?? null;
+}
+
+/**
+ * Finds the source of a chart data node: a cell reference with its cache, or literal values.
+ * @param {Element} dataNode - The data node, e.g. `c:cat` or `c:val`.
+ * @returns {{refNode: (Element|null), cacheNode: (Element|null), numeric: boolean}} The reference, the node holding the points
+ * and whether the source holds numbers.
+ */
+function getChartDataSource(dataNode) {
+    const refNode = getChartChild(dataNode, 'numRef') || getChartChild(dataNode, 'strRef') || getChartChild(dataNode, 'multiLvlStrRef');
+    const literalNode = getChartChild(dataNode, 'numLit') || getChartChild(dataNode, 'strLit');
+    const cacheNode = literalNode
+        || getChartChild(refNode, 'numCache')
+        || getChartChild(refNode, 'strCache')
+        || getChartChild(refNode, 'multiLvlStrCache')
+        || refNode;
+    return {
+        refNode,
+        cacheNode,
+        numeric: ['numRef', 'numLit'].includes((literalNode || refNode)?.localName),
     };
+}
+
+/**
+ * Reads the number format code of a numeric chart data source.
+ * @param {Element} dataNode - The data node, e.g. `c:cat` or `c:val`.
+ * @returns {string|null} The format code, or null if the source has none.
+ */
+function getChartFormatCode(dataNode) {
+    const { cacheNode } = getChartDataSource(dataNode);
+    return getChartChild(cacheNode, 'formatCode')?.textContent.trim() || null;
+}
 
-    const titleNode = xmlDoc.getElementsByTagNameNS(CHART_NS, 'title')[0];
-    if (titleNode) {
-        chartData.title = titleNode.textContent.trim();
+/**
+ * Reads the `c:pt` points of a chart cache, literal or multi-level category level, in index order.
+ * @param {Element} pointsNode - The node holding the points.
+ * @param {number} [count] - The number of points, defaulting to the node's `c:ptCount`.
+ * @returns {Array<string|null>} The point texts. Missing points are null.
+ */
+function readChartPointTexts(pointsNode, count) {
+    const ptNodes = Array.from(pointsNode.children).filter(child => child.localName === 'pt');
+    const ptCount = count ?? parseInt(getChartChildValue(pointsNode, 'ptCount'));
+    const points = new Array(Number.isNaN(ptCount) ? ptNodes.length : ptCount).fill(null);
+    ptNodes.forEach((ptNode, i) => {
+        const idx = parseInt(ptNode.getAttribute('idx'));
+        points[Number.isNaN(idx) ? i : idx] = ptNode.textContent.trim();
+    });
+    return points;
+}
+
+/**
+ * Reads the points of a chart data node, in index order. References are read from the embedded workbook
+ * when it is available, since the cache in the chart part may be stale, and from their cache otherwise.
+ * @param {Element} dataNode - The data node, e.g. `c:cat` or `c:val`.
+ * @param {boolean} numeric - Whether the points are numbers.
+ * @param {Object} [workbook] - The embedded workbook returned by `parseWorkbook`.
+ * @returns {Array<string|number|null>} The points. Missing points are null.
+ */
+function parseChartPoints(dataNode, numeric, workbook) {
+    const { refNode, cacheNode } = getChartDataSource(dataNode);
+    const toNumber = text => text === null || text === '' ? null : parseFloat(text);
+
+    if (workbook && refNode?.localName !== 'multiLvlStrRef') {
+        const values = getWorkbookValues(workbook, getChartChild(refNode, 'f')?.textContent);
+        if (values) return numeric ? values.map(toNumber) : values;
     }
+    if (!cacheNode) return [];
 
-    const plotAreaNode = xmlDoc.getElementsByTagNameNS(CHART_NS, 'plotArea')[0];
-    if (!plotAreaNode) return null;
+    const points = readChartPointTexts(cacheNode);
+    return numeric ? points.map(toNumber) : points;
+}
+
+/**
+ * Reads the category labels of a series. Multi-level categories become arrays of labels, innermost level first,
+ * with the outer levels only set on the first category of each group. Numeric categories, such as the
+ * serial dates of a date axis, are formatted with the format code of the axis or the data.
+ * @param {Element} catNode - The `c:cat` or `c:xVal` node.
+ * @param {Object|null} axis - The category axis of the series.
+ * @param {Object} chartContext - The workbook and date system of the chart.
+ * @returns {Array<string|Array<string>>} The category labels.
+ */
+function parseChartCategories(catNode, axis, chartContext) {
+    const { refNode, cacheNode, numeric } = getChartDataSource(catNode);
+    if (refNode?.localName === 'multiLvlStrRef') {
+        if (!cacheNode) return [];
+        const count = parseInt(getChartChildValue(cacheNode, 'ptCount'));
+        const levels = Array.from(cacheNode.children)
+            .filter(child => child.localName === 'lvl')
+            .map(lvlNode => readChartPointTexts(lvlNode, Number.isNaN(count) ? undefined : count));
+        const length = Math.max(0, ...levels.map(level => level.length));
+        return Array.from({ length }, (_, i) => {
+            const labels = levels.map(level => level[i] ?? '');
+            return labels.length > 1 ? labels : labels[0] ?? '';
+        });
+    }
+
+    if (!numeric) {
+        return parseChartPoints(catNode, false, chartContext.workbook).map(category => category ?? '');
+    }
+
+    const isDate = axis?.type === 'date';
+    let formatCode = axis?.numFmt && !axis.numFmt.sourceLinked ? axis.numFmt.formatCode : getChartFormatCode(catNode);
+    if (isDate && (!formatCode || formatCode === 'General')) formatCode = 'm/d/yyyy';
+    // Serial dates of workbooks using the 1904 date system count from a later epoch
+    const offset = isDate && chartContext.date1904 ? 1462 : 0;
+    return parseChartPoints(catNode, true, chartContext.workbook)
+        .map(value => value === null || Number.isNaN(value) ? '' : formatChartNumber(value + offset, formatCode));
+}
+
+// The color variations of the default chart color style, applied when a chart has more series than colors
+const DEFAULT_CHART_COLOR_VARIATIONS = [
+    {},
+    { lumMod: 60000 },
+    { lumMod: 80000, lumOff: 20000 },
+    { lumMod: 80000 },
+    { lumMod: 60000, lumOff: 40000 },
+    { lumMod: 50000 },
+    { lumMod: 70000, lumOff: 30000 },
+    { lumMod: 70000 },
+    { lumMod: 50000, lumOff: 50000 },
+];
+
+/**
+ * Checks a boolean chart property, which may be written as `1`/`0` or `true`/`false`.
+ * @param {Element} node - The parent node.
+ * @param {string} localName - The local name of the property.
+ * @returns {boolean|null} The value, or null if the property is missing.
+ */
+function getChartChildFlag(node, localName) {
+    const value = getChartChildValue(node, localName);
+    return value === null ? null : value === '1' || value === 'true';
+}
+
+/**
+ * Parses the color style part of a chart (`cs:colorStyle`), whose colors the series cycle through.
+ * Without a color style, the series cycle through the accent colors of the theme.
+ * @param {string} [colorStyleXml] - The XML content of the color style part.
+ * @param {Object} [slideContext] - The context of the slide.
+ * @returns {{colors: Array<string>, variations: Array<Object>}} The resolved colors and their variations.
+ */
+function parseChartColorStyle(colorStyleXml, slideContext) {
+    const style = {
+        colors: ['accent1', 'accent2', 'accent3', 'accent4', 'accent5', 'accent6']
+            .map(scheme => ColorParser.resolveColor({ scheme }, slideContext))
+            .filter(Boolean),
+        variations: DEFAULT_CHART_COLOR_VARIATIONS,
+    };
+    if (!colorStyleXml) return style;
+
+    const colorStyleNode = parseXmlString(colorStyleXml, 'chart color style').documentElement;
+    const colors = Array.from(colorStyleNode.children)
+        .filter(child => ['srgbClr', 'schemeClr', 'prstClr'].includes(child.localName))
+        .map(child => ColorParser.resolveColor(ColorParser.parseColor(child), slideContext))
+        .filter(Boolean);
+    const variations = Array.from(colorStyleNode.children)
+        .filter(child => child.localName === 'variation')
+        .map(variationNode => {
+            const variation = {};
+            for (const child of variationNode.children) {
+                variation[child.localName] = parseInt(child.getAttribute('val'));
+            }
+            return variation;
+        });
+
+    if (colors.length > 0) style.colors = colors;
+    if (variations.length > 0) style.variations = variations;
+    return style;
+}
+
+/**
+ * Gets the automatic color of a series or data point from the chart color style.
+ * @param {{colors: Array<string>, variations: Array<Object>}} colorStyle - The chart color style.
+ * @param {number} index - The index of the series or data point.
+ * @returns {string|null} The color.
+ */
+function getChartStyleColor(colorStyle, index) {
+    const { colors, variations } = colorStyle;
+    if (colors.length === 0) return null;
+
+    let color = colors[index % colors.length];
+    const variation = variations[Math.floor(index / colors.length) % variations.length] || {};
+    if (variation.tint) color = ColorParser.applyTint(color, variation.tint);
+    if (variation.shade) color = ColorParser.applyShade(color, variation.shade);
+    if (variation.lumMod || variation.lumOff) color = ColorParser.applyLuminance(color, variation.lumMod, variation.lumOff);
+    return color;
+}
+
+/**
+ * Parses the fill and outline of a chart element's `c:spPr`.
+ * @param {Element} spPrNode - The `c:spPr` node.
+ * @param {Object} [slideContext] - The context of the slide, used to resolve colors.
+ * @returns {{fill: (Object|undefined), line: (Object|null|undefined)}} The fill and line. A null line has no outline.
+ */
+function parseChartShapeProperties(spPrNode, slideContext) {
+    const props = {};
+    if (!spPrNode || !slideContext) return props;
+
+    const fillNode = Array.from(spPrNode.children).find(child => ['solidFill', 'gradFill', 'noFill', 'pattFill'].includes(child.localName));
+    if (fillNode?.localName === 'noFill') {
+        props.fill = { type: 'none' };
+    } else if (fillNode?.localName === 'solidFill') {
+        props.fill = { type: 'solid', color: ColorParser.resolveColor(ColorParser.parseColor(fillNode), slideContext) };
+    } else if (fillNode?.localName === 'gradFill') {
+        props.fill = parseGradientFill(fillNode, slideContext);
+    } else if (fillNode?.localName === 'pattFill') {
+        const fgClrNode = fillNode.getElementsByTagNameNS(DML_NS, 'fgClr')[0];
+        props.fill = { type: 'solid', color: ColorParser.resolveColor(ColorParser.parseColor(fgClrNode), slideContext) };
+    }
+
+    const lnNode = getChartChild(spPrNode, 'ln');
+    if (lnNode) {
+        props.line = parseLineProperties(lnNode, slideContext);
+    }
+    return props;
+}
+
+/**
+ * Parses the default run properties of a chart element's text (`c:txPr` or `c:rich`).
+ * @param {Element} textNode - The `c:txPr` or `c:tx` node.
+ * @param {Object} [slideContext] - The context of the slide, used to resolve colors.
+ * @returns {{fontSize: (number|undefined), color: (string|undefined), bold: (boolean|undefined)}} The text properties.
+ */
+function parseChartTextProperties(textNode, slideContext) {
+    const props = {};
+    const rPrNode = textNode?.getElementsByTagNameNS(DML_NS, 'defRPr')[0] || textNode?.getElementsByTagNameNS(DML_NS, 'rPr')[0];
+    if (!rPrNode) return props;
+
+    const sz = rPrNode.getAttribute('sz');
+    if (sz) props.fontSize = parseInt(sz) / 100 * PT_TO_PX;
+    if (rPrNode.hasAttribute('b')) props.bold = rPrNode.getAttribute('b') === '1';
+
+    const solidFillNode = getChartChild(rPrNode, 'solidFill');
+    if (solidFillNode && slideContext) {
+        props.color = ColorParser.resolveColor(ColorParser.parseColor(solidFillNode), slideContext);
+    }
+    return props;
+}
 
-    const chartTypeMap = {
-        'barChart': 'bar',
-        'lineChart': 'line',
-        'pieChart': 'pie',
-        'doughnutChart': 'doughnut',
-        'ofPieChart': 'pie',
-        // TODO: Add other chart types
+/**
+ * Parses the number format of a chart element (`c:numFmt`).
+ * @param {Element} node - The parent of the `c:numFmt` node.
+ * @returns {{formatCode: string, sourceLinked: boolean}|null} The number format, or null if there is none.
+ */
+function parseChartNumberFormat(node) {
+    const numFmtNode = getChartChild(node, 'numFmt');
+    if (!numFmtNode) return null;
+    return {
+        formatCode: numFmtNode.getAttribute('formatCode') || 'General',
+        sourceLinked: numFmtNode.getAttribute('sourceLinked') === '1',
     };
+}
 
-    let chartTypeNode;
-    for (const type in chartTypeMap) {
-        chartTypeNode = plotAreaNode.getElementsByTagNameNS(CHART_NS, type)[0];
-        if (chartTypeNode) {
-            chartData.type = chartTypeMap[type];
-            break;
-        }
+/**
+ * Parses the data label settings of a chart group or series (`c:dLbls`).
+ * @param {Element} dLblsNode - The `c:dLbls` node.
+ * @param {Object|null} inherited - The settings inherited from the chart group.
+ * @param {Object} [slideContext] - The context of the slide, used to resolve colors.
+ * @returns {Object|null} The data label settings, or null if no labels are shown.
+ */
+function parseChartDataLabels(dLblsNode, inherited, slideContext) {
+    if (!dLblsNode) return inherited;
+    if (getChartChildFlag(dLblsNode, 'delete')) return null;
+
+    const flag = name => getChartChildFlag(dLblsNode, name) ?? inherited?.[name] ?? false;
+    const dataLabels = {
+        showVal: flag('showVal'),
+        showPercent: flag('showPercent'),
+        showCatName: flag('showCatName'),
+        showSerName: flag('showSerName'),
+        position: getChartChildValue(dLblsNode, 'dLblPos') ?? inherited?.position ?? null,
+        separator: getChartChild(dLblsNode, 'separator')?.textContent ?? inherited?.separator ?? null,
+        numFmt: parseChartNumberFormat(dLblsNode) ?? inherited?.numFmt ?? null,
+        ...inherited?.text && { text: inherited.text },
+    };
+    const txPrNode = getChartChild(dLblsNode, 'txPr');
+    if (txPrNode) {
+        dataLabels.text = parseChartTextProperties(txPrNode, slideContext);
+    }
+    const spPr = parseChartShapeProperties(getChartChild(dLblsNode, 'spPr'), slideContext);
+    if (spPr.fill) dataLabels.fill = spPr.fill;
+
+    const visible = dataLabels.showVal || dataLabels.showPercent || dataLabels.showCatName || dataLabels.showSerName;
+    return visible ? dataLabels : null;
+}
+
+/**
+ * Parses the title of a chart or axis (`c:title`).
+ * @param {Element} titleNode - The `c:title` node.
+ * @param {Object} [slideContext] - The context of the slide, used to resolve colors.
+ * @returns {{text: string, fontSize: (number|undefined), color: (string|undefined), bold: (boolean|undefined)}|null} The title.
+ */
+function parseChartTitle(titleNode, slideContext) {
+    if (!titleNode) return null;
+    const txNode = getChartChild(titleNode, 'tx');
+    const paragraphs = Array.from(titleNode.getElementsByTagNameNS(DML_NS, 'p'));
+    const text = paragraphs.length > 0
+        ? paragraphs.map(p => Array.from(p.getElementsByTagNameNS(DML_NS, 't')).map(t => t.textContent).join('')).join('\n').trim()
+        : titleNode.textContent.trim();
+    return {
+        text,
+        ...parseChartTextProperties(getChartChild(titleNode, 'txPr'), slideContext),
+        ...parseChartTextProperties(txNode, slideContext),
+    };
+}
+
+/**
+ * Parses the axes of a chart plot area.
+ * @param {Element} plotAreaNode - The `c:plotArea` node.
+ * @param {Object} [slideContext] - The context of the slide, used to resolve colors.
+ * @returns {Array<Object>} The axes, with their id, type, position, crossing axis, scaling and formatting.
+ */
+function parseChartAxes(plotAreaNode, slideContext) {
+    return Array.from(plotAreaNode.children)
+        .filter(child => CHART_AXIS_TYPES[child.localName])
+        .map(axisNode => {
+            const scalingNode = getChartChild(axisNode, 'scaling');
+            const axis = {
+                id: getChartChildValue(axisNode, 'axId'),
+                type: CHART_AXIS_TYPES[axisNode.localName],
+                position: getChartChildValue(axisNode, 'axPos') || 'b',
+                deleted: getChartChildFlag(axisNode, 'delete') === true,
+                crossAxisId: getChartChildValue(axisNode, 'crossAx'),
+                orientation: getChartChildValue(scalingNode, 'orientation') || 'minMax',
+                title: parseChartTitle(getChartChild(axisNode, 'title'), slideContext),
+                numFmt: parseChartNumberFormat(axisNode),
+                tickLabelPosition: getChartChildValue(axisNode, 'tickLblPos') || 'nextTo',
+                majorGridlines: null,
+                minorGridlines: null,
+                text: parseChartTextProperties(getChartChild(axisNode, 'txPr'), slideContext),
+            };
+
+            for (const name of ['min', 'max']) {
+                const value = parseFloat(getChartChildValue(scalingNode, name));
+                if (!Number.isNaN(value)) axis[name] = value;
+            }
+            const majorUnit = parseFloat(getChartChildValue(axisNode, 'majorUnit'));
+            if (!Number.isNaN(majorUnit)) axis.majorUnit = majorUnit;
+
+            for (const name of ['majorGridlines', 'minorGridlines']) {
+                const gridlinesNode = getChartChild(axisNode, name);
+                if (gridlinesNode) {
+                    axis[name] = { line: parseChartShapeProperties(getChartChild(gridlinesNode, 'spPr'), slideContext).line };
+                }
+            }
+
+            const spPr = parseChartShapeProperties(getChartChild(axisNode, 'spPr'), slideContext);
+            if (spPr.line !== undefined) axis.line = spPr.line;
+            return axis;
+        });
+}
+
+/**
+ * Parses the marker of a line, scatter or radar series (`c:marker`).
+ * @param {Element} markerNode - The `c:marker` node.
+ * @param {Object} [slideContext] - The context of the slide, used to resolve colors.
+ * @returns {{symbol: string, size: number, fill: (Object|undefined), line: (Object|null|undefined)}|null} The marker.
+ */
+function parseChartMarker(markerNode, slideContext) {
+    if (!markerNode) return null;
+    return {
+        symbol: getChartChildValue(markerNode, 'symbol') || 'auto',
+        size: parseInt(getChartChildValue(markerNode, 'size') || '5'),
+        ...parseChartShapeProperties(getChartChild(markerNode, 'spPr'), slideContext),
+    };
+}
+
+/**
+ * Parses the series of a chart group, e.g. a `c:barChart` node.
+ * @param {Element} groupNode - The chart group node.
+ * @param {number} groupIndex - The index of the group in the plot area.
+ * @param {Object} chartContext - The chart-wide state the series depend on.
+ * @param {Array<Object>} chartContext.axes - The axes of the plot area.
+ * @param {Object} [chartContext.slideContext] - The context of the slide, used to resolve colors.
+ * @param {{colors: Array<string>, variations: Array<Object>}} chartContext.colorStyle - The chart color style.
+ * @param {Object} [chartContext.workbook] - The embedded workbook the series reference.
+ * @param {boolean} chartContext.date1904 - Whether serial dates use the 1904 date system.
+ * @returns {{datasets: Array<Object>, labels: Array<string|Array<string>>}} The datasets of the group and its category labels.
+ */
+function parseChartGroup(groupNode, groupIndex, chartContext) {
+    const { axes, slideContext, colorStyle, workbook } = chartContext;
+    const type = CHART_TYPES[groupNode.localName];
+    const axisIds = Array.from(groupNode.children)
+        .filter(child => child.localName === 'axId')
+        .map(child => child.getAttribute('val'));
+    // The axes are listed as category (or X value) axis first, then value axis
+    const horizontalBars = getChartChildValue(groupNode, 'barDir') === 'bar';
+    const [indexAxisId, valueAxisId] = axisIds;
+    const isHorizontal = id => ['b', 't'].includes(axes.find(axis => axis.id === id)?.position);
+    let xAxisId = indexAxisId ?? null;
+    let yAxisId = valueAxisId ?? null;
+    if (horizontalBars || (xAxisId && yAxisId && !isHorizontal(xAxisId) && isHorizontal(yAxisId))) {
+        [xAxisId, yAxisId] = [yAxisId, xAxisId];
     }
 
-    if (!chartTypeNode) return null;
+    const options = {
+        grouping: getChartChildValue(groupNode, 'grouping') || 'standard',
+    };
+    if (type === 'bar') {
+        options.barDir = horizontalBars ? 'bar' : 'col';
+        options.gapWidth = parseInt(getChartChildValue(groupNode, 'gapWidth') ?? '150');
+        options.overlap = parseInt(getChartChildValue(groupNode, 'overlap') ?? '0');
+    }
+    if (type === 'scatter') options.scatterStyle = getChartChildValue(groupNode, 'scatterStyle') || 'marker';
+    if (type === 'radar') options.radarStyle = getChartChildValue(groupNode, 'radarStyle') || 'marker';
+    if (type === 'bubble') {
+        options.bubbleScale = parseInt(getChartChildValue(groupNode, 'bubbleScale') ?? '100');
+        options.sizeRepresents = getChartChildValue(groupNode, 'sizeRepresents') || 'area';
+    }
+    if (type === 'doughnut') options.holeSize = parseInt(getChartChildValue(groupNode, 'holeSize') || '50');
+    // Pie charts vary their colors by point unless told otherwise, other charts by series
+    const varyColors = getChartChildFlag(groupNode, 'varyColors') ?? (type === 'pie' || type === 'doughnut');
+    const groupDataLabels = parseChartDataLabels(getChartChild(groupNode, 'dLbls'), null, slideContext);
+    // Line charts with `c:marker val="0"` draw no markers unless a series sets its own
+    const groupMarkers = type !== 'line' || getChartChildFlag(groupNode, 'marker') !== false;
+
+    let labels = [];
+    const serNodes = Array.from(groupNode.children).filter(child => child.localName === 'ser');
+    const datasets = serNodes.map((serNode, serIndex) => {
+        const txNode = getChartChild(serNode, 'tx');
+        const label = txNode ? (parseChartPoints(txNode, false, workbook)[0] ?? getChartChild(txNode, 'v')?.textContent.trim() ?? '') : '';
+
+        // The first series with categories labels the group; the other series share them
+        const catNode = getChartChild(serNode, 'cat') || getChartChild(serNode, 'xVal');
+        if (labels.length === 0 && catNode) {
+            labels = parseChartCategories(catNode, axes.find(axis => axis.id === indexAxisId) ?? null, chartContext);
+        }
 
-    const serNodes = chartTypeNode.getElementsByTagNameNS(CHART_NS, 'ser');
-    for (const serNode of serNodes) {
+        const valNode = getChartChild(serNode, 'val') || getChartChild(serNode, 'yVal');
+        let data = parseChartPoints(valNode, true, workbook);
+        if (type === 'scatter' || type === 'bubble') {
+            const xValues = parseChartPoints(getChartChild(serNode, 'xVal'), true, workbook);
+            const sizes = parseChartPoints(getChartChild(serNode, 'bubbleSize'), true, workbook);
+            data = data.map((y, i) => {
+                const point = { x: xValues[i] ?? i + 1, y };
+                if (type === 'bubble') point.size = sizes[i] ?? 0;
+                return point;
+            });
+        }
+
+        const index = parseInt(getChartChildValue(serNode, 'idx') ?? serIndex);
         const dataset = {
-            label: '',
-            data: []
+            label,
+            data,
+            type,
+            group: groupIndex,
+            xAxisId,
+            yAxisId,
+            ...options,
+            color: getChartStyleColor(colorStyle, Number.isNaN(index) ? serIndex : index),
+            ...parseChartShapeProperties(getChartChild(serNode, 'spPr'), slideContext),
+            dataLabels: parseChartDataLabels(getChartChild(serNode, 'dLbls'), groupDataLabels, slideContext),
         };
+        if (getChartChildValue(serNode, 'smooth') === '1') dataset.smooth = true;
 
-        const txValNode = serNode.getElementsByTagNameNS(CHART_NS, 'tx')[0]?.getElementsByTagNameNS(CHART_NS, 'v')[0];
-        if (txValNode) {
-            dataset.label = txValNode.textContent.trim();
-        }
+        const formatCode = getChartFormatCode(valNode);
+        if (formatCode) dataset.formatCode = formatCode;
 
-        const catNode = serNode.getElementsByTagNameNS(CHART_NS, 'cat')[0];
-        if (catNode) {
-            const strRefNode = catNode.getElementsByTagNameNS(CHART_NS, 'strRef')[0];
-            if (strRefNode) {
-                const ptNodes = strRefNode.getElementsByTagNameNS(CHART_NS, 'pt');
-                chartData.labels = Array.from(ptNodes).map(pt => pt.textContent.trim());
-            }
+        if (varyColors && serNodes.length === 1) {
+            dataset.pointColors = data.map((value, i) => getChartStyleColor(colorStyle, i));
         }
 
-        const valNode = serNode.getElementsByTagNameNS(CHART_NS, 'val')[0];
-        if (valNode) {
-            const numRefNode = valNode.getElementsByTagNameNS(CHART_NS, 'numRef')[0];
-            if (numRefNode) {
-                const ptNodes = numRefNode.getElementsByTagNameNS(CHART_NS, 'pt');
-                dataset.data = Array.from(ptNodes).map(pt => parseFloat(pt.textContent.trim()));
-            }
+        const points = Array.from(serNode.children)
+            .filter(child => child.localName === 'dPt')
+            .map(dPtNode => ({
+                idx: parseInt(getChartChildValue(dPtNode, 'idx')),
+                ...parseChartShapeProperties(getChartChild(dPtNode, 'spPr'), slideContext),
+            }))
+            .filter(point => !Number.isNaN(point.idx) && (point.fill || point.line !== undefined));
+        if (points.length > 0) dataset.points = points;
+
+        if (['line', 'scatter', 'radar'].includes(type)) {
+            const marker = parseChartMarker(getChartChild(serNode, 'marker'), slideContext);
+            dataset.marker = marker ?? (groupMarkers ? null : { symbol: 'none', size: 5 });
         }
+        return dataset;
+    });
+
+    return { datasets, labels };
+}
 
-        chartData.datasets.push(dataset);
+/**
+ * Parses the legend of a chart (`c:legend`).
+ * @param {Element} legendNode - The `c:legend` node.
+ * @param {Object} [slideContext] - The context of the slide, used to resolve colors.
+ * @returns {{position: string, overlay: boolean, text: Object}|null} The legend, or null if the chart has none.
+ */
+function parseChartLegend(legendNode, slideContext) {
+    if (!legendNode) return null;
+    return {
+        position: getChartChildValue(legendNode, 'legendPos') || 'r',
+        overlay: getChartChildFlag(legendNode, 'overlay') === true,
+        text: parseChartTextProperties(getChartChild(legendNode, 'txPr'), slideContext),
+    };
+}
+
+/**
+ * Parses chart data from a chart XML file.
+ * Every chart group of the plot area is parsed, so combo charts keep the type and axes of each series.
+ * Series without explicit fills take their colors from the chart color style, or the theme accents.
+ * @param {string} chartXml - The XML content of the chart.
+ * @param {Object} [slideContext] - The context of the slide the chart is on, used to resolve colors.
+ * @param {string} [colorStyleXml] - The XML content of the chart's color style part.
+ * @param {Object} [workbook] - The chart's embedded workbook, returned by `parseWorkbook`. Its values take precedence over the caches.
+ * @returns {Object|null} The parsed chart data, or null if the chart is invalid.
+ */
+export function parseChart(chartXml, slideContext, colorStyleXml, workbook) {
+    const xmlDoc = parseXmlString(chartXml, "chart");
+
+    const chartData = {
+        type: null,
+        title: null,
+        titleStyle: null,
+        labels: [],
+        datasets: [],
+        axes: [],
+        legend: null,
+    };
+
+    const chartNode = xmlDoc.getElementsByTagNameNS(CHART_NS, 'chart')[0];
+    if (!chartNode) return null;
+
+    const title = parseChartTitle(getChartChild(chartNode, 'title'), slideContext);
+    if (title) {
+        const { text, ...titleStyle } = title;
+        chartData.title = text;
+        chartData.titleStyle = titleStyle;
     }
 
+    const plotAreaNode = getChartChild(chartNode, 'plotArea');
+    if (!plotAreaNode) return null;
+
+    chartData.axes = parseChartAxes(plotAreaNode, slideContext);
+    chartData.legend = parseChartLegend(getChartChild(chartNode, 'legend'), slideContext);
+
+    const groupNodes = Array.from(plotAreaNode.children).filter(child => CHART_TYPES[child.localName]);
+    if (groupNodes.length === 0) return null;
+
+    const chartContext = {
+        axes: chartData.axes,
+        slideContext,
+        colorStyle: slideContext ? parseChartColorStyle(colorStyleXml, slideContext) : { colors: [], variations: [] },
+        workbook,
+        date1904: getChartChildFlag(xmlDoc.documentElement, 'date1904') === true,
+    };
+    chartData.type = CHART_TYPES[groupNodes[0].localName];
+    groupNodes.forEach((groupNode, groupIndex) => {
+        const { datasets, labels } = parseChartGroup(groupNode, groupIndex, chartContext);
+        if (chartData.labels.length === 0) chartData.labels = labels;
+        chartData.datasets.push(...datasets);
+    });
+
     return chartData;
 }
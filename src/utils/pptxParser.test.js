@@ -1,6 +1,7 @@
 import { describe, it, expect } from 'vitest';
 import * as PptxParser from './pptxParser.js';
 import { parseXmlString } from './xml.js';
+import { ColorParser } from './colorParser.js';
 
 describe('PptxParser', () => {
     describe('parseColorMap', () => {
@@ -84,6 +85,90 @@ describe('PptxParser', () => {
         });
     });
 
+    describe('parseSvgBlip', () => {
+        it('should find the SVG image of a blip', () => {
+            const extensions = [
+                { uri: '{28A0092B-C50C-407E-A947-70E740481C1C}', xml: '<a14:useLocalDpi xmlns:a14="http://schemas.microsoft.com/office/drawing/2010/main" val="0"/>' },
+                { uri: '{96DAC541-7B7A-43D3-8B79-37D633B846F1}', xml: '<asvg:svgBlip xmlns:asvg="http://schemas.microsoft.com/office/drawing/2016/SVG/main" r:embed="rId3"/>' },
+            ];
+            expect(PptxParser.parseSvgBlip(extensions)).toBe('rId3');
+        });
+
+        it('should return null for blips without an SVG image', () => {
+            expect(PptxParser.parseSvgBlip(null)).toBeNull();
+            expect(PptxParser.parseSvgBlip([{ uri: '{TEST}', xml: '<test/>' }])).toBeNull();
+        });
+    });
+
+    describe('parseImageEffects', () => {
+        const imgProps = effects => [{
+            uri: '{BEBA8EAE-BF5A-486C-A8C5-ECC9F3942E4B}',
+            xml: `<a14:imgProps xmlns:a14="http://schemas.microsoft.com/office/drawing/2010/main"><a14:imgLayer r:embed="rId3"><a14:imgEffect>${effects}</a14:imgEffect></a14:imgLayer></a14:imgProps>`,
+        }];
+
+        it('should parse artistic effects with their parameters and transparency', () => {
+            expect(PptxParser.parseImageEffects(imgProps('<a14:artisticPencilSketch trans="20000" pressure="7"/>'))).toEqual([
+                { type: 'pencilSketch', pressure: 7, transparency: 0.2 },
+            ]);
+            expect(PptxParser.parseImageEffects(imgProps('<a14:artisticBlur/>'))).toEqual([{ type: 'blur', radius: 10, transparency: 0 }]);
+        });
+
+        it('should parse picture corrections', () => {
+            const extensions = imgProps('<a14:brightnessContrast bright="20000" contrast="-40000"/>');
+            expect(PptxParser.parseImageEffects(extensions)).toEqual([{ type: 'brightnessContrast', bright: 0.2, contrast: -0.4 }]);
+            expect(PptxParser.parseImageEffects(imgProps('<a14:saturation sat="0"/>'))).toEqual([{ type: 'saturation', sat: 0 }]);
+        });
+
+        it('should skip hidden, unknown and other extensions', () => {
+            expect(PptxParser.parseImageEffects(null)).toEqual([]);
+            expect(PptxParser.parseImageEffects([{ uri: '{28A0092B-C50C-407E-A947-70E740481C1C}', xml: '<a14:useLocalDpi xmlns:a14="http://schemas.microsoft.com/office/drawing/2010/main" val="0"/>' }])).toEqual([]);
+            expect(PptxParser.parseImageEffects(imgProps('<a14:backgroundRemoval t="0" b="100000" l="0" r="100000"/>'))).toEqual([]);
+            const hidden = imgProps('<a14:artisticBlur radius="20"/>');
+            hidden[0].xml = hidden[0].xml.replace('<a14:imgEffect>', '<a14:imgEffect visible="0">');
+            expect(PptxParser.parseImageEffects(hidden)).toEqual([]);
+        });
+    });
+
+    describe('parseBlipAdjustments', () => {
+        it('should return no adjustments without a blip', () => {
+            expect(PptxParser.parseBlipAdjustments(null)).toEqual([]);
+        });
+
+        it('should parse the color adjustments of a blip in document order', () => {
+            const xml = `
+                <a:blip xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" r:embed="rId2" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+                    <a:clrChange>
+                        <a:clrFrom><a:srgbClr val="FFFFFF"/></a:clrFrom>
+                        <a:clrTo><a:srgbClr val="FFFFFF"><a:alpha val="0"/></a:srgbClr></a:clrTo>
+                    </a:clrChange>
+                    <a:grayscl/>
+                    <a:biLevel thresh="50000"/>
+                    <a:alphaBiLevel thresh="25000"/>
+                    <a:lum bright="70000" contrast="-70000"/>
+                    <a:hsl hue="5400000" sat="-50000" lum="10000"/>
+                    <a:tint hue="12000000" amt="40000"/>
+                    <a:clrRepl><a:schemeClr val="accent1"/></a:clrRepl>
+                    <a:alphaMod><a:cont><a:alphaModFix amt="60000"/></a:cont></a:alphaMod>
+                    <a:lumMod val="80000"/>
+                    <a:extLst/>
+                </a:blip>
+            `;
+            const result = PptxParser.parseBlipAdjustments(parseXmlString(xml, 'test').documentElement);
+            expect(result).toEqual([
+                { type: 'colorChange', from: { srgb: '#FFFFFF' }, to: { srgb: '#FFFFFF', alpha: 0 }, useAlpha: true },
+                { type: 'grayscale' },
+                { type: 'biLevel', threshold: 0.5 },
+                { type: 'alphaBiLevel', threshold: 0.25 },
+                { type: 'luminance', brightness: 0.7, contrast: -0.7 },
+                { type: 'hsl', hue: 90, saturation: -0.5, luminance: 0.1 },
+                { type: 'tint', hue: 200, amount: 0.4 },
+                { type: 'colorReplace', color: { scheme: 'accent1' } },
+                { type: 'alphaMod', amount: 0.6 },
+                { type: 'luminanceModulation', value: 0.8 },
+            ]);
+        });
+    });
+
     describe('parseCustomGeometry', () => {
         it('should return null if custGeomNode is null', () => {
             const result = PptxParser.parseCustomGeometry(null);
@@ -130,7 +215,7 @@ describe('PptxParser', () => {
                 commands: [
                     { cmd: 'moveTo', points: [{ x: 0, y: 0 }] },
                     { cmd: 'lnTo', points: [{ x: 10, y: 20 }] },
-                    { cmd: 'arcTo', points: [] },
+                    { cmd: 'arcTo', points: [], wR: 5, hR: 6, stAng: 0, swAng: 90 },
                     { cmd: 'quadBezTo', points: [{ x: 30, y: 40 }, { x: 50, y: 60 }] },
                     { cmd: 'cubicBezTo', points: [{ x: 70, y: 80 }, { x: 90, y: 100 }, { x: 110, y: 120 }] },
                     { cmd: 'close', points: [] },
@@ -151,6 +236,48 @@ describe('PptxParser', () => {
             const result = PptxParser.parseCustomGeometry(node);
             expect(result).toBeNull();
         });
+
+        it('should resolve guides, the text rectangle and connection sites in shape coordinates', () => {
+            const xml = `
+                <a:custGeom xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
+                    <a:avLst><a:gd name="adj" fmla="val 25000"/></a:avLst>
+                    <a:gdLst>
+                        <a:gd name="dx" fmla="*/ w adj 100000"/>
+                        <a:gd name="x1" fmla="+- r 0 dx"/>
+                    </a:gdLst>
+                    <a:cxnLst>
+                        <a:cxn ang="cd4"><a:pos x="hc" y="b"/></a:cxn>
+                    </a:cxnLst>
+                    <a:rect l="dx" t="t" r="x1" b="vc"/>
+                    <a:pathLst>
+                        <a:path>
+                            <a:moveTo><a:pt x="dx" y="t"/></a:moveTo>
+                            <a:lnTo><a:pt x="x1" y="b"/></a:lnTo>
+                            <a:arcTo wR="wd2" hR="hd2" stAng="0" swAng="cd2"/>
+                        </a:path>
+                        <a:path w="2" h="1">
+                            <a:moveTo><a:pt x="1" y="1"/></a:moveTo>
+                            <a:close/>
+                        </a:path>
+                    </a:pathLst>
+                </a:custGeom>
+            `;
+            const node = parseXmlString(xml, 'test').documentElement;
+            const result = PptxParser.parseCustomGeometry(node, { width: 400, height: 200 });
+            expect(result).toEqual({
+                w: 400,
+                h: 200,
+                commands: [
+                    { cmd: 'moveTo', points: [{ x: 100, y: 0 }] },
+                    { cmd: 'lnTo', points: [{ x: 300, y: 200 }] },
+                    { cmd: 'arcTo', points: [], wR: 200, hR: 100, stAng: 0, swAng: 10800000 },
+                    { cmd: 'moveTo', points: [{ x: 200, y: 200 }] },
+                    { cmd: 'close', points: [] },
+                ],
+                textRect: { l: 100, t: 0, r: 300, b: 100 },
+                connectionSites: [{ x: 200, y: 200, angle: 90 }],
+            });
+        });
     });
 
     describe('parseGradientFill', () => {
@@ -311,6 +438,24 @@ describe('PptxParser', () => {
             });
         });
 
+        it('should parse text direction, columns, wrapping and rotation', () => {
+            const xml = `
+                <p:txBody xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
+                    <a:bodyPr vert="vert270" numCol="2" spcCol="127000" wrap="none" anchorCtr="1" rot="5400000" upright="1"/>
+                </p:txBody>
+            `;
+            const result = PptxParser.parseBodyProperties(parseXmlString(xml, 'test').documentElement);
+            expect(result).toEqual({
+                vert: 'vert270',
+                numCol: 2,
+                spcCol: 10,
+                wrap: 'none',
+                anchorCtr: true,
+                rot: 90,
+                upright: true,
+            });
+        });
+
         it('should parse body properties with noAutofit', () => {
             const xml = `
                 <p:txBody xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
@@ -364,6 +509,41 @@ describe('PptxParser', () => {
             expect(result.indent).toBe(-1);
         });
 
+        it('should parse the direction of right-to-left paragraphs', () => {
+            const parse = xml => PptxParser.parseParagraphProperties(parseXmlString(xml, 'test').documentElement, slideContext);
+            expect(parse(`<a:pPr rtl="1" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" />`).rtl).toBe(true);
+            expect(parse(`<a:pPr rtl="0" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" />`).rtl).toBe(false);
+            expect(parse(`<a:pPr xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" />`).rtl).toBeUndefined();
+        });
+
+        it('should parse the tab stops and default tab size of a paragraph', () => {
+            const xml = `
+                <a:pPr defTabSz="457200" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
+                    <a:tabLst>
+                        <a:tab pos="2540000" algn="dec"/>
+                        <a:tab pos="1270000"/>
+                    </a:tabLst>
+                </a:pPr>
+            `;
+            const result = PptxParser.parseParagraphProperties(parseXmlString(xml, 'test').documentElement, slideContext);
+            expect(result.defaultTabSize).toBe(36);
+            expect(result.tabs).toEqual([{ pos: 100, align: 'l' }, { pos: 200, align: 'dec' }]);
+        });
+
+        it('should parse percentage and point line spacing and paragraph spacing', () => {
+            const xml = `
+                <a:pPr xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
+                    <a:lnSpc><a:spcPct val="90000"/></a:lnSpc>
+                    <a:spcBef><a:spcPts val="1200"/></a:spcBef>
+                    <a:spcAft><a:spcPct val="50%"/></a:spcAft>
+                </a:pPr>
+            `;
+            const result = PptxParser.parseParagraphProperties(parseXmlString(xml, 'test').documentElement, slideContext);
+            expect(result.lineSpacing).toEqual({ type: 'percent', value: 0.9 });
+            expect(result.spaceBefore).toEqual({ type: 'points', value: 12 * 0.975 });
+            expect(result.spaceAfter).toEqual({ type: 'percent', value: 0.5 });
+        });
+
         it('should parse char bullet', () => {
             const xml = `
                 <a:pPr xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
@@ -503,6 +683,347 @@ describe('PptxParser', () => {
         });
     });
 
+    describe('parseTransition', () => {
+        it('should return null if the slide has no transition', () => {
+            const xml = `<p:sld xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"></p:sld>`;
+            const xmlDoc = parseXmlString(xml, 'test');
+            expect(PptxParser.parseTransition(xmlDoc)).toBeNull();
+        });
+
+        it('should parse a basic transition with speed and advance settings', () => {
+            const xml = `
+                <p:sld xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main">
+                    <p:transition spd="slow" advClick="0" advTm="3000"><p:push dir="u"/></p:transition>
+                </p:sld>
+            `;
+            const xmlDoc = parseXmlString(xml, 'test');
+            const result = PptxParser.parseTransition(xmlDoc);
+            expect(result).toEqual({
+                type: 'push',
+                namespace: 'p',
+                direction: 'u',
+                orient: null,
+                thruBlack: false,
+                speed: 'slow',
+                duration: 1000,
+                advanceOnClick: false,
+                advanceAfterTime: 3000,
+            });
+        });
+
+        it('should prefer the p14 choice and its duration inside alternate content', () => {
+            const xml = `
+                <p:sld xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:mc="http://schemas.openxmlformats.org/markup-compatibility/2006" xmlns:p14="http://schemas.microsoft.com/office/powerpoint/2010/main">
+                    <mc:AlternateContent>
+                        <mc:Choice Requires="p14">
+                            <p:transition spd="med" p14:dur="1600"><p14:vortex dir="r"/></p:transition>
+                        </mc:Choice>
+                        <mc:Fallback>
+                            <p:transition spd="med"><p:fade/></p:transition>
+                        </mc:Fallback>
+                    </mc:AlternateContent>
+                </p:sld>
+            `;
+            const xmlDoc = parseXmlString(xml, 'test');
+            const result = PptxParser.parseTransition(xmlDoc);
+            expect(result.type).toBe('vortex');
+            expect(result.namespace).toBe('p14');
+            expect(result.direction).toBe('r');
+            expect(result.duration).toBe(1600);
+            expect(result.advanceOnClick).toBe(true);
+        });
+
+        it('should use the preset name of p15 preset transitions', () => {
+            const xml = `
+                <p:sld xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:p15="http://schemas.microsoft.com/office/powerpoint/2012/main">
+                    <p:transition><p15:prstTrans prst="curtains"/></p:transition>
+                </p:sld>
+            `;
+            const xmlDoc = parseXmlString(xml, 'test');
+            const result = PptxParser.parseTransition(xmlDoc);
+            expect(result.type).toBe('curtains');
+            expect(result.namespace).toBe('p15');
+            expect(result.duration).toBe(500);
+        });
+    });
+
+    describe('parseTiming', () => {
+        const wrap = (clickGroups, bldLst = '') => `
+            <p:sld xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main">
+                <p:timing><p:tnLst><p:par><p:cTn id="1" dur="indefinite" restart="never" nodeType="tmRoot"><p:childTnLst>
+                    <p:seq concurrent="1" nextAc="seek"><p:cTn id="2" dur="indefinite" nodeType="mainSeq"><p:childTnLst>
+                        ${clickGroups}
+                    </p:childTnLst></p:cTn></p:seq>
+                </p:childTnLst></p:cTn></p:par></p:tnLst>${bldLst}</p:timing>
+            </p:sld>
+        `;
+        const effect = (attrs, delay, behaviors, target = '<p:spTgt spid="4"/>') => `
+            <p:par><p:cTn ${attrs} fill="hold"><p:stCondLst><p:cond delay="${delay}"/></p:stCondLst><p:childTnLst>
+                <p:set><p:cBhvr><p:cTn dur="1" fill="hold"/><p:tgtEl>${target}</p:tgtEl><p:attrNameLst><p:attrName>style.visibility</p:attrName></p:attrNameLst></p:cBhvr><p:to><p:strVal val="visible"/></p:to></p:set>
+                ${behaviors}
+            </p:childTnLst></p:cTn></p:par>
+        `;
+        const group = (delay, effects) => `
+            <p:par><p:cTn fill="hold"><p:stCondLst><p:cond delay="indefinite"/></p:stCondLst><p:childTnLst>
+                <p:par><p:cTn fill="hold"><p:stCondLst><p:cond delay="${delay}"/></p:stCondLst><p:childTnLst>${effects}</p:childTnLst></p:cTn></p:par>
+            </p:childTnLst></p:cTn></p:par>
+        `;
+
+        it('should return null if the slide has no timing', () => {
+            const xml = `<p:sld xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"></p:sld>`;
+            expect(PptxParser.parseTiming(parseXmlString(xml, 'test'))).toBeNull();
+        });
+
+        it('should parse click steps with preset effects and their timing', () => {
+            const fade = effect('presetID="10" presetClass="entr" presetSubtype="0" grpId="0" nodeType="clickEffect"', 0,
+                '<p:animEffect transition="in" filter="fade"><p:cBhvr><p:cTn dur="500"/><p:tgtEl><p:spTgt spid="4"/></p:tgtEl></p:cBhvr></p:animEffect>');
+            const fly = effect('presetID="2" presetClass="entr" presetSubtype="8" grpId="0" nodeType="withEffect"', 250,
+                '<p:anim calcmode="lin" valueType="num"><p:cBhvr><p:cTn dur="750"/><p:tgtEl><p:spTgt spid="5"/></p:tgtEl><p:attrNameLst><p:attrName>ppt_x</p:attrName></p:attrNameLst></p:cBhvr></p:anim>',
+                '<p:spTgt spid="5"/>');
+            const spin = effect('presetID="8" presetClass="emph" presetSubtype="0" grpId="1" nodeType="clickEffect"', 0,
+                '<p:animRot by="10800000"><p:cBhvr><p:cTn dur="2000"/><p:tgtEl><p:spTgt spid="4"/></p:tgtEl></p:cBhvr></p:animRot>');
+            const bldLst = '<p:bldLst><p:bldP spid="4" grpId="0" animBg="1"/><p:bldP spid="5" grpId="0" build="p"/></p:bldLst>';
+
+            const result = PptxParser.parseTiming(parseXmlString(wrap(group(0, fade + fly) + group(0, spin), bldLst), 'test'));
+
+            expect(result.steps.length).toBe(2);
+            expect(result.steps[0].trigger).toBe('click');
+            expect(result.steps[0].effects[0]).toMatchObject({ spid: '4', presetClass: 'entr', type: 'fade', duration: 500, delay: 0, paragraphRange: null });
+            expect(result.steps[0].effects[1]).toMatchObject({ spid: '5', type: 'fly', direction: 'l', duration: 750, delay: 250 });
+            expect(result.steps[1].effects[0]).toMatchObject({ type: 'spin', rotation: 180, duration: 2000 });
+            expect(result.builds).toEqual([
+                { type: 'bldP', spid: '4', grpId: '0', build: 'whole', animBg: true },
+                { type: 'bldP', spid: '5', grpId: '0', build: 'p', animBg: false },
+            ]);
+        });
+
+        it('should parse per-paragraph builds and automatic steps', () => {
+            const paragraph = (index, nodeType, delay) => effect(`presetID="22" presetClass="entr" presetSubtype="0" grpId="0" nodeType="${nodeType}"`, delay,
+                `<p:animEffect transition="in" filter="wipe(down)"><p:cBhvr><p:cTn dur="500"/><p:tgtEl><p:spTgt spid="3"><p:txEl><p:pRg st="${index}" end="${index}"/></p:txEl></p:spTgt></p:tgtEl></p:cBhvr></p:animEffect>`,
+                `<p:spTgt spid="3"><p:txEl><p:pRg st="${index}" end="${index}"/></p:txEl></p:spTgt>`);
+
+            const result = PptxParser.parseTiming(parseXmlString(wrap(group(0, paragraph(0, 'afterEffect', 0)) + group(500, paragraph(1, 'clickEffect', 0))), 'test'));
+
+            expect(result.steps[0].trigger).toBe('auto');
+            expect(result.steps[0].effects[0]).toMatchObject({ type: 'wipe', direction: 't', paragraphRange: { start: 0, end: 0 } });
+            expect(result.steps[1].trigger).toBe('click');
+            expect(result.steps[1].effects[0]).toMatchObject({ delay: 500, paragraphRange: { start: 1, end: 1 } });
+        });
+
+        it('should parse media commands and the playback settings of media shapes', () => {
+            const play = `
+                <p:par><p:cTn presetID="1" presetClass="mediacall" presetSubtype="0" fill="hold" nodeType="afterEffect"><p:stCondLst><p:cond delay="0"/></p:stCondLst><p:childTnLst>
+                    <p:cmd type="call" cmd="playFrom(1.5)"><p:cBhvr><p:cTn dur="30000" fill="hold"/><p:tgtEl><p:spTgt spid="7"/></p:tgtEl></p:cBhvr></p:cmd>
+                </p:childTnLst></p:cTn></p:par>
+            `;
+            const media = `
+                <p:video fullScrn="1"><p:cMediaNode vol="80000"><p:cTn repeatCount="indefinite" fill="hold" display="0"><p:stCondLst><p:cond delay="indefinite"/></p:stCondLst></p:cTn><p:tgtEl><p:spTgt spid="7"/></p:tgtEl></p:cMediaNode></p:video>
+                <p:audio><p:cMediaNode mute="1" showWhenStopped="0"><p:cTn fill="hold" display="0"/><p:tgtEl><p:spTgt spid="8"/></p:tgtEl></p:cMediaNode></p:audio>
+            `;
+            const xml = wrap(group(0, play)).replace('</p:childTnLst></p:cTn></p:par></p:tnLst>', `${media}</p:childTnLst></p:cTn></p:par></p:tnLst>`);
+
+            const result = PptxParser.parseTiming(parseXmlString(xml, 'test'));
+
+            expect(result.steps[0].trigger).toBe('auto');
+            expect(result.steps[0].effects[0]).toMatchObject({ spid: '7', presetClass: 'mediacall', type: 'play', seek: 1500 });
+            expect(result.media).toEqual([
+                { spid: '7', type: 'video', volume: 0.8, mute: false, loop: true, showWhenStopped: true, fullScreen: true },
+                { spid: '8', type: 'audio', volume: 0.5, mute: true, loop: false, showWhenStopped: false, fullScreen: false },
+            ]);
+        });
+    });
+
+    describe('parseMediaReference', () => {
+        it('should parse linked and embedded media with trim points', () => {
+            const xml = `
+                <p:nvPr xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:p14="http://schemas.microsoft.com/office/powerpoint/2010/main">
+                    <a:audioFile r:link="rId1"/>
+                    <p:extLst><p:ext uri="{DAA4B4D4-6D71-4841-9C94-3DA1A45A3C7A}"><p14:media r:embed="rId2"><p14:trim st="1000" end="2500"/></p14:media></p:ext></p:extLst>
+                </p:nvPr>
+            `;
+            const result = PptxParser.parseMediaReference(parseXmlString(xml, 'test').documentElement);
+            expect(result).toEqual({ type: 'audio', linkRelId: 'rId1', embedRelId: 'rId2', trim: { start: 1000, end: 2500 } });
+        });
+
+        it('should return null for pictures without media', () => {
+            const xml = `<p:nvPr xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"/>`;
+            expect(PptxParser.parseMediaReference(parseXmlString(xml, 'test').documentElement)).toBeNull();
+        });
+    });
+
+    describe('parseRunFormatting', () => {
+        it('should parse underline, strike, baseline, caps, spacing, kerning and highlight', () => {
+            const xml = `
+                <a:rPr xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" u="dbl" strike="dblStrike" baseline="30000" cap="small" spc="200" kern="1200">
+                    <a:solidFill><a:srgbClr val="000000"/></a:solidFill>
+                    <a:highlight><a:srgbClr val="FFFF00"/></a:highlight>
+                    <a:uFill><a:solidFill><a:srgbClr val="FF0000"/></a:solidFill></a:uFill>
+                </a:rPr>
+            `;
+            const result = PptxParser.parseRunFormatting(parseXmlString(xml, 'test').documentElement);
+            expect(result).toEqual({
+                underline: 'dbl',
+                underlineColor: { srgb: '#FF0000' },
+                strike: 'dblStrike',
+                baseline: 0.3,
+                cap: 'small',
+                spacing: 2 * 0.975,
+                kern: 12 * 0.975,
+                highlight: { srgb: '#FFFF00' },
+            });
+        });
+
+        it('should parse subscripts and underline line colors', () => {
+            const xml = `
+                <a:rPr xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" u="sng" baseline="-25000">
+                    <a:uLn><a:solidFill><a:srgbClr val="00FF00"/></a:solidFill></a:uLn>
+                </a:rPr>
+            `;
+            const result = PptxParser.parseRunFormatting(parseXmlString(xml, 'test').documentElement);
+            expect(result).toEqual({ underline: 'sng', underlineColor: { srgb: '#00FF00' }, baseline: -0.25 });
+        });
+
+        it('should parse the languages and East Asian and complex script typefaces', () => {
+            const xml = `
+                <a:rPr xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" lang="ja-JP" altLang="en-US">
+                    <a:latin typeface="Calibri"/>
+                    <a:ea typeface="+mn-ea"/>
+                    <a:cs typeface="Arial"/>
+                </a:rPr>
+            `;
+            const result = PptxParser.parseRunFormatting(parseXmlString(xml, 'test').documentElement);
+            expect(result).toEqual({ lang: 'ja-JP', altLang: 'en-US', eaFont: '+mn-ea', csFont: 'Arial' });
+        });
+
+        it('should return nothing for plain runs', () => {
+            const xml = `<a:rPr xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" sz="1800" b="1"/>`;
+            expect(PptxParser.parseRunFormatting(parseXmlString(xml, 'test').documentElement)).toEqual({});
+            expect(PptxParser.parseRunFormatting(null)).toEqual({});
+        });
+    });
+
+    describe('parseHyperlink', () => {
+        const rels = {
+            rId1: { id: 'rId1', type: 'hyperlink', target: 'https://example.com/', targetMode: 'External' },
+            rId2: { id: 'rId2', type: 'hyperlink', target: 'mailto:someone@example.com', targetMode: 'External' },
+            rId3: { id: 'rId3', type: 'slide', target: 'slide3.xml' },
+            rId4: { id: 'rId4', type: 'hyperlink', target: 'javascript:alert(1)', targetMode: 'External' },
+            rId5: { id: 'rId5', type: 'hyperlink', target: 'file:///etc/passwd', targetMode: 'External' },
+        };
+        const parseLink = (attributes, children = '') => {
+            const xml = `<a:hlinkClick xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:ahyp="http://schemas.microsoft.com/office/drawing/2018/hyperlinkcolor" ${attributes}>${children}</a:hlinkClick>`;
+            return PptxParser.parseHyperlink(parseXmlString(xml, 'test').documentElement, rels);
+        };
+
+        it('should resolve web and email links through the relationships', () => {
+            expect(parseLink('r:id="rId1" tooltip="Open"')).toEqual({ action: 'url', target: 'https://example.com/', tooltip: 'Open', useTextColor: false });
+            expect(parseLink('r:id="rId2"')).toMatchObject({ action: 'email', target: 'mailto:someone@example.com' });
+        });
+
+        it('should resolve slide jumps to the path of the target slide', () => {
+            expect(parseLink('r:id="rId3" action="ppaction://hlinksldjump"')).toMatchObject({ action: 'slide', target: 'ppt/slides/slide3.xml' });
+        });
+
+        it('should parse show jumps', () => {
+            expect(parseLink('r:id="" action="ppaction://hlinkshowjump?jump=nextslide"')).toMatchObject({ action: 'next', target: null });
+            expect(parseLink('r:id="" action="ppaction://hlinkshowjump?jump=previousslide"').action).toBe('previous');
+            expect(parseLink('r:id="" action="ppaction://hlinkshowjump?jump=firstslide"').action).toBe('first');
+            expect(parseLink('r:id="" action="ppaction://hlinkshowjump?jump=lastslide"').action).toBe('last');
+        });
+
+        it('should keep the text color when the link asks for it', () => {
+            const children = '<a:extLst><a:ext uri="{A12FA001-AC4F-418D-AE19-62706E023703}"><ahyp:hlinkClr val="tx"/></a:ext></a:extLst>';
+            expect(parseLink('r:id="rId1"', children).useTextColor).toBe(true);
+        });
+
+        it('should return null for links that cannot be followed', () => {
+            expect(parseLink('r:id="" action="ppaction://noaction"')).toBeNull();
+            expect(parseLink('r:id="" action="ppaction://hlinkshowjump?jump=endshow"')).toBeNull();
+            expect(parseLink('r:id="rId9"')).toBeNull();
+            expect(PptxParser.parseHyperlink(null, rels)).toBeNull();
+        });
+
+        it('should drop external links that are not web or email links', () => {
+            expect(parseLink('r:id="rId4"')).toBeNull();
+            expect(parseLink('r:id="rId5"')).toBeNull();
+        });
+    });
+
+    describe('getExternalLinkAction', () => {
+        it('should only accept web and email schemes', () => {
+            expect(PptxParser.getExternalLinkAction('HTTPS://example.com/')).toBe('url');
+            expect(PptxParser.getExternalLinkAction(' http://example.com/')).toBe('url');
+            expect(PptxParser.getExternalLinkAction('mailto:someone@example.com')).toBe('email');
+            expect(PptxParser.getExternalLinkAction(' javascript:alert(1)')).toBeNull();
+            expect(PptxParser.getExternalLinkAction('java\tscript:alert(1)')).toBeNull();
+            expect(PptxParser.getExternalLinkAction('data:text/html,<script></script>')).toBeNull();
+            expect(PptxParser.getExternalLinkAction('vbscript:msgbox')).toBeNull();
+            expect(PptxParser.getExternalLinkAction('page.html')).toBeNull();
+            expect(PptxParser.getExternalLinkAction(null)).toBeNull();
+        });
+    });
+
+    describe('parseShape3d', () => {
+        const slideContext = { theme: { colorScheme: { accent1: '#FF0000' } }, colorMap: {} };
+        const spPr = inner => parseXmlString(`<p:spPr xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">${inner}</p:spPr>`, 'test').documentElement;
+
+        it('should parse the camera and light rig of the scene and the bevels, extrusion and material of the shape', () => {
+            const result = PptxParser.parseShape3d(spPr(`
+                <a:scene3d>
+                    <a:camera prst="perspectiveRelaxed" fov="2700000"><a:rot lat="1200000" lon="0" rev="0"/></a:camera>
+                    <a:lightRig rig="balanced" dir="tl"/>
+                </a:scene3d>
+                <a:sp3d extrusionH="127000" contourW="12700" prstMaterial="metal">
+                    <a:bevelT w="63500" h="25400" prst="angle"/>
+                    <a:bevelB/>
+                    <a:extrusionClr><a:schemeClr val="accent1"/></a:extrusionClr>
+                    <a:contourClr><a:srgbClr val="000000"/></a:contourClr>
+                </a:sp3d>
+            `), slideContext);
+            expect(result.scene3d).toEqual({
+                camera: { preset: 'perspectiveRelaxed', fov: 45, rotation: { lat: 20, lon: 0, rev: 0 } },
+                lightRig: { rig: 'balanced', dir: 'tl' },
+            });
+            expect(result.shape3d).toEqual({
+                bevelTop: { width: 5, height: 2, preset: 'angle' },
+                bevelBottom: { width: 6, height: 6, preset: 'circle' },
+                extrusionHeight: 10,
+                extrusionColor: '#FF0000',
+                contourWidth: 1,
+                contourColor: '#000000',
+                material: 'metal',
+            });
+        });
+
+        it('should return nulls for flat shapes', () => {
+            expect(PptxParser.parseShape3d(spPr('<a:prstGeom prst="rect"/>'), slideContext)).toEqual({ scene3d: null, shape3d: null });
+        });
+    });
+
+    describe('parseShapeEffects', () => {
+        it('should parse the effects of a picture', () => {
+            const xml = `
+                <p:pic xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
+                    <p:spPr>
+                        <a:effectLst>
+                            <a:softEdge rad="63500"/>
+                            <a:reflection blurRad="0" stA="50000" endA="0" endPos="50000" dist="0" dir="5400000" sy="-100000"/>
+                        </a:effectLst>
+                    </p:spPr>
+                </p:pic>
+            `;
+            const spPrNode = parseXmlString(xml, 'test').documentElement.getElementsByTagNameNS('http://schemas.openxmlformats.org/presentationml/2006/main', 'spPr')[0];
+            const result = PptxParser.parseShapeEffects(spPrNode, null, {});
+            expect(result.effect).toBeNull();
+            expect(result.effects.map(effect => effect.type)).toEqual(['softEdge', 'reflection']);
+        });
+
+        it('should return no effects when there are none', () => {
+            const spPrNode = parseXmlString('<p:spPr xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"/>', 'test').documentElement;
+            expect(PptxParser.parseShapeEffects(spPrNode, null, {})).toEqual({ effect: null, effects: null });
+        });
+    });
+
     describe('parseShapeProperties', () => {
         const slideContext = {
             theme: {
@@ -568,6 +1089,56 @@ describe('PptxParser', () => {
             expect(result.effect.color).toBe('#000000');
         });
 
+        it('should parse the effects of an effect list', () => {
+            const xml = `
+                <p:sp xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
+                    <p:spPr>
+                        <a:effectLst>
+                            <a:blur rad="25400" grow="0"/>
+                            <a:glow rad="127000"><a:schemeClr val="accent1"/></a:glow>
+                            <a:innerShdw blurRad="63500" dist="12700" dir="5400000"><a:srgbClr val="000000"/></a:innerShdw>
+                            <a:outerShdw blurRad="38100" dist="25400" dir="2700000"><a:srgbClr val="000000"/></a:outerShdw>
+                            <a:prstShdw prst="shdw2" dist="12700" dir="0"><a:srgbClr val="333333"/></a:prstShdw>
+                            <a:reflection blurRad="6350" stA="50000" endA="300" endPos="35000" dist="12700" dir="5400000" sy="-100000" algn="bl"/>
+                            <a:softEdge rad="63500"/>
+                        </a:effectLst>
+                    </p:spPr>
+                </p:sp>
+            `;
+            const node = parseXmlString(xml, 'test').documentElement;
+            const result = PptxParser.parseShapeProperties(node, slideContext, 1);
+            expect(result.effect).toEqual({ type: 'outerShdw', blurRad: 3, dist: 2, dir: 45, color: '#000000' });
+            expect(result.effects).toEqual([
+                { type: 'blur', radius: 2, grow: false },
+                { type: 'glow', radius: 10, color: '#FF0000' },
+                { type: 'innerShdw', blurRad: 5, dist: 1, dir: 90, color: '#000000' },
+                { type: 'prstShdw', prst: 'shdw2', dist: 1, dir: 0, color: '#333333' },
+                { type: 'reflection', blur: 0.5, distance: 1, dir: 90, opacity: 0.5, startPos: 0, endOpacity: 0.003, endPos: 0.35, scaleY: 1 },
+                { type: 'softEdge', radius: 5 },
+            ]);
+        });
+
+        it('should resolve the effects of a theme effect style with the color of the reference', () => {
+            const context = {
+                ...slideContext,
+                theme: {
+                    ...slideContext.theme,
+                    formatScheme: { ...slideContext.theme.formatScheme, effects: [null], styleEffects: [[{ type: 'glow', radius: 4, color: { scheme: 'phClr' } }]] },
+                },
+            };
+            const xml = `
+                <p:sp xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
+                    <p:spPr/>
+                    <p:style><a:effectRef idx="1"><a:srgbClr val="00FF00"/></a:effectRef></p:style>
+                </p:sp>
+            `;
+            const node = parseXmlString(xml, 'test').documentElement;
+            const result = PptxParser.parseShapeProperties(node, context, 1);
+            expect(result.effect).toBeNull();
+            expect(result.effects).toEqual([{ type: 'glow', radius: 4, color: '#00FF00' }]);
+            expect(context.theme.formatScheme.styleEffects[0][0].color).toEqual({ scheme: 'phClr' });
+        });
+
         it('should apply default fill if no fill is specified', () => {
             const xml = `
                 <p:sp xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
@@ -606,6 +1177,22 @@ describe('PptxParser', () => {
             expect(result.tcTxStyle.color.srgb).toBe('#00FF00');
         });
 
+        it('should parse the diagonal borders of a style part', () => {
+            const xml = `
+                <a:wholeTbl xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
+                    <a:tcStyle>
+                        <a:tcBdr>
+                            <a:tl2br><a:ln w="12700"><a:solidFill><a:srgbClr val="0000FF"/></a:solidFill></a:ln></a:tl2br>
+                            <a:tr2bl><a:ln w="25400"><a:solidFill><a:srgbClr val="FF0000"/></a:solidFill></a:ln></a:tr2bl>
+                        </a:tcBdr>
+                    </a:tcStyle>
+                </a:wholeTbl>
+            `;
+            const result = PptxParser.parseStylePart(parseXmlString(xml, 'test').documentElement);
+            expect(result.tcStyle.borders.tlToBr.width).toBe(1);
+            expect(result.tcStyle.borders.blToTr.width).toBe(2);
+        });
+
         it('should handle noFill', () => {
             const xml = `
                 <a:wholeTbl xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
@@ -674,8 +1261,67 @@ describe('PptxParser', () => {
             expect(result.formatScheme.fills.length).toBe(1);
             expect(result.formatScheme.lines.length).toBe(1);
             expect(result.formatScheme.effects.length).toBe(1);
+            expect(result.formatScheme.styleEffects).toEqual([[]]);
             expect(result.formatScheme.bgFills.length).toBe(1);
         });
+
+        it('should parse the East Asian, complex script and per-script theme fonts', () => {
+            const xml = `
+                <a:theme xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" name="Office Theme">
+                    <a:themeElements>
+                        <a:fontScheme name="Office">
+                            <a:majorFont>
+                                <a:latin typeface="Calibri Light"/><a:ea typeface=""/><a:cs typeface=""/>
+                                <a:font script="Jpan" typeface="Yu Gothic Light"/>
+                                <a:font script="Arab" typeface="Times New Roman"/>
+                            </a:majorFont>
+                            <a:minorFont>
+                                <a:latin typeface="Calibri"/><a:ea typeface="MS Mincho"/><a:cs typeface="Tahoma"/>
+                            </a:minorFont>
+                        </a:fontScheme>
+                    </a:themeElements>
+                </a:theme>
+            `;
+            const { fontScheme } = PptxParser.parseTheme(xml);
+            expect(fontScheme).toEqual({
+                major: 'Calibri Light',
+                majorScripts: { Jpan: 'Yu Gothic Light', Arab: 'Times New Roman' },
+                minor: 'Calibri',
+                minorEa: 'MS Mincho',
+                minorCs: 'Tahoma',
+            });
+        });
+    });
+
+    describe('header and footer', () => {
+        it('should parse the header and footer settings', () => {
+            const xmlDoc = parseXmlString('<p:hf xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" hdr="0" dt="0"/>', 'test');
+            expect(PptxParser.parseHeaderFooter(xmlDoc.documentElement)).toEqual({ sldNum: true, hdr: false, ftr: true, dt: false });
+            expect(PptxParser.parseHeaderFooter(undefined)).toBeNull();
+        });
+
+        it('should let the settings of the layout override the ones of the master', () => {
+            const master = { sldNum: false, hdr: false, ftr: true, dt: true };
+            const layout = { sldNum: true, hdr: false, ftr: false, dt: true };
+            expect(PptxParser.getHeaderFooterVisibility([master, layout])).toEqual({ sldNum: true, hdr: false, ftr: false, dt: true });
+            expect(PptxParser.getHeaderFooterVisibility([null, null])).toEqual({ sldNum: true, hdr: true, ftr: true, dt: true });
+        });
+
+        it('should hide the slide number, footer and date on title slides that do not show them', () => {
+            expect(PptxParser.getHeaderFooterVisibility([null], true)).toEqual({ sldNum: false, hdr: true, ftr: false, dt: false });
+        });
+
+        it('should read the header and footer settings and type of layouts', () => {
+            const xml = `
+                <p:sldLayout xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" type="title">
+                    <p:cSld><p:spTree/></p:cSld>
+                    <p:hf sldNum="0" ftr="0"/>
+                </p:sldLayout>
+            `;
+            const result = PptxParser.parseMasterOrLayout(xml, {}, null, true);
+            expect(result.type).toBe('title');
+            expect(result.headerFooter).toEqual({ sldNum: false, hdr: true, ftr: false, dt: true });
+        });
     });
 
     describe('parseMasterOrLayout', () => {
@@ -708,6 +1354,19 @@ describe('PptxParser', () => {
             expect(result.colorMapOverride).toEqual({ bg1: 'lt2', tx1: 'dk2' });
             expect(result.placeholders.idx_1).toBeDefined();
         });
+
+        it('should parse the notes style of a notes master', () => {
+            const xml = `
+                <p:notesMaster xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
+                    <p:cSld><p:spTree><p:sp><p:nvSpPr><p:nvPr><p:ph type="body" sz="quarter" idx="3"/></p:nvPr></p:nvSpPr></p:sp></p:spTree></p:cSld>
+                    <p:clrMap bg1="lt1" tx1="dk1" />
+                    <p:notesStyle><a:lvl1pPr marL="0"><a:defRPr sz="1200"/></a:lvl1pPr></p:notesStyle>
+                </p:notesMaster>
+            `;
+            const result = PptxParser.parseMasterOrLayout(xml, mockTheme, null, false);
+            expect(result.defaultTextStyles.notes[0]).toMatchObject({ marL: 0, defRPr: { size: 11.7 } });
+            expect(result.placeholders.idx_3).toMatchObject({ type: 'body' });
+        });
     });
 
     describe('parseChart', () => {
@@ -736,6 +1395,310 @@ describe('PptxParser', () => {
             expect(result.datasets[0].data).toEqual([10]);
         });
 
+        it('should parse combo charts with the type and axes of each series', () => {
+            const xml = `
+                <c:chartSpace xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart">
+                    <c:chart>
+                        <c:plotArea>
+                            <c:barChart>
+                                <c:barDir val="col"/>
+                                <c:grouping val="stacked"/>
+                                <c:ser>
+                                    <c:tx><c:strRef><c:strCache><c:ptCount val="1"/><c:pt idx="0"><c:v>Revenue</c:v></c:pt></c:strCache></c:strRef></c:tx>
+                                    <c:cat><c:strRef><c:strCache><c:ptCount val="2"/><c:pt idx="0"><c:v>Q1</c:v></c:pt><c:pt idx="1"><c:v>Q2</c:v></c:pt></c:strCache></c:strRef></c:cat>
+                                    <c:val><c:numRef><c:numCache><c:ptCount val="2"/><c:pt idx="1"><c:v>20</c:v></c:pt></c:numCache></c:numRef></c:val>
+                                </c:ser>
+                                <c:axId val="1"/>
+                                <c:axId val="2"/>
+                            </c:barChart>
+                            <c:lineChart>
+                                <c:grouping val="standard"/>
+                                <c:ser>
+                                    <c:tx><c:v>Margin</c:v></c:tx>
+                                    <c:val><c:numRef><c:numCache><c:ptCount val="2"/><c:pt idx="0"><c:v>0.1</c:v></c:pt><c:pt idx="1"><c:v>0.2</c:v></c:pt></c:numCache></c:numRef></c:val>
+                                    <c:smooth val="1"/>
+                                </c:ser>
+                                <c:axId val="3"/>
+                                <c:axId val="4"/>
+                            </c:lineChart>
+                            <c:catAx><c:axId val="1"/><c:axPos val="b"/><c:crossAx val="2"/></c:catAx>
+                            <c:valAx><c:axId val="2"/><c:axPos val="l"/><c:crossAx val="1"/></c:valAx>
+                            <c:catAx><c:axId val="3"/><c:delete val="1"/><c:axPos val="b"/><c:crossAx val="4"/></c:catAx>
+                            <c:valAx><c:axId val="4"/><c:scaling><c:orientation val="maxMin"/></c:scaling><c:axPos val="r"/><c:crossAx val="3"/></c:valAx>
+                        </c:plotArea>
+                    </c:chart>
+                </c:chartSpace>
+            `;
+            const result = PptxParser.parseChart(xml);
+            expect(result.type).toBe('bar');
+            expect(result.labels).toEqual(['Q1', 'Q2']);
+            expect(result.datasets).toEqual([
+                { label: 'Revenue', data: [null, 20], type: 'bar', group: 0, xAxisId: '1', yAxisId: '2', grouping: 'stacked', barDir: 'col', gapWidth: 150, overlap: 0, color: null, dataLabels: null },
+                { label: 'Margin', data: [0.1, 0.2], type: 'line', group: 1, xAxisId: '3', yAxisId: '4', grouping: 'standard', smooth: true, color: null, dataLabels: null, marker: null },
+            ]);
+            const axisDefaults = { title: null, numFmt: null, tickLabelPosition: 'nextTo', majorGridlines: null, minorGridlines: null, text: {} };
+            expect(result.axes).toEqual([
+                { id: '1', type: 'category', position: 'b', deleted: false, crossAxisId: '2', orientation: 'minMax', ...axisDefaults },
+                { id: '2', type: 'value', position: 'l', deleted: false, crossAxisId: '1', orientation: 'minMax', ...axisDefaults },
+                { id: '3', type: 'category', position: 'b', deleted: true, crossAxisId: '4', orientation: 'minMax', ...axisDefaults },
+                { id: '4', type: 'value', position: 'r', deleted: false, crossAxisId: '3', orientation: 'maxMin', ...axisDefaults },
+            ]);
+        });
+
+        it('should parse horizontal bar charts with the value axis as the x axis', () => {
+            const xml = `
+                <c:chartSpace xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart">
+                    <c:chart>
+                        <c:plotArea>
+                            <c:bar3DChart>
+                                <c:barDir val="bar"/>
+                                <c:ser><c:val><c:numRef><c:numCache><c:pt idx="0"><c:v>5</c:v></c:pt></c:numCache></c:numRef></c:val></c:ser>
+                                <c:axId val="1"/>
+                                <c:axId val="2"/>
+                                <c:axId val="0"/>
+                            </c:bar3DChart>
+                            <c:catAx><c:axId val="1"/><c:axPos val="l"/></c:catAx>
+                            <c:valAx><c:axId val="2"/><c:axPos val="b"/></c:valAx>
+                        </c:plotArea>
+                    </c:chart>
+                </c:chartSpace>
+            `;
+            const [dataset] = PptxParser.parseChart(xml).datasets;
+            expect(dataset).toMatchObject({ type: 'bar', barDir: 'bar', xAxisId: '2', yAxisId: '1', data: [5] });
+        });
+
+        it('should parse scatter and bubble points', () => {
+            const xml = `
+                <c:chartSpace xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart">
+                    <c:chart>
+                        <c:plotArea>
+                            <c:bubbleChart>
+                                <c:ser>
+                                    <c:xVal><c:numRef><c:numCache><c:pt idx="0"><c:v>1.5</c:v></c:pt><c:pt idx="1"><c:v>3</c:v></c:pt></c:numCache></c:numRef></c:xVal>
+                                    <c:yVal><c:numRef><c:numCache><c:pt idx="0"><c:v>10</c:v></c:pt><c:pt idx="1"><c:v>20</c:v></c:pt></c:numCache></c:numRef></c:yVal>
+                                    <c:bubbleSize><c:numRef><c:numCache><c:pt idx="0"><c:v>4</c:v></c:pt><c:pt idx="1"><c:v>8</c:v></c:pt></c:numCache></c:numRef></c:bubbleSize>
+                                </c:ser>
+                            </c:bubbleChart>
+                            <c:scatterChart>
+                                <c:scatterStyle val="lineMarker"/>
+                                <c:ser>
+                                    <c:xVal><c:numRef><c:numCache><c:pt idx="0"><c:v>2</c:v></c:pt></c:numCache></c:numRef></c:xVal>
+                                    <c:yVal><c:numRef><c:numCache><c:pt idx="0"><c:v>7</c:v></c:pt></c:numCache></c:numRef></c:yVal>
+                                </c:ser>
+                            </c:scatterChart>
+                        </c:plotArea>
+                    </c:chart>
+                </c:chartSpace>
+            `;
+            const result = PptxParser.parseChart(xml);
+            expect(result.type).toBe('bubble');
+            expect(result.datasets[0].data).toEqual([{ x: 1.5, y: 10, size: 4 }, { x: 3, y: 20, size: 8 }]);
+            expect(result.datasets[0]).toMatchObject({ bubbleScale: 100, sizeRepresents: 'area' });
+            expect(result.datasets[1]).toMatchObject({ type: 'scatter', scatterStyle: 'lineMarker', data: [{ x: 2, y: 7 }] });
+        });
+
+        it('should parse series colors, data points, labels and number formats', () => {
+            const slideContext = {
+                theme: { colorScheme: { accent1: '#4472C4', accent2: '#ED7D31' } },
+                colorMap: {},
+            };
+            const colorStyleXml = `
+                <cs:colorStyle xmlns:cs="http://schemas.microsoft.com/office/drawing/2012/chartStyle" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" meth="cycle" id="10">
+                    <a:schemeClr val="accent2"/>
+                    <a:srgbClr val="00FF00"/>
+                    <cs:variation/>
+                    <cs:variation><a:lumMod val="60000"/></cs:variation>
+                </cs:colorStyle>
+            `;
+            const xml = `
+                <c:chartSpace xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
+                    <c:chart>
+                        <c:plotArea>
+                            <c:barChart>
+                                <c:barDir val="col"/>
+                                <c:grouping val="clustered"/>
+                                <c:varyColors val="0"/>
+                                <c:ser>
+                                    <c:idx val="0"/>
+                                    <c:spPr><a:solidFill><a:srgbClr val="112233"/></a:solidFill><a:ln><a:noFill/></a:ln></c:spPr>
+                                    <c:dPt><c:idx val="1"/><c:spPr><a:solidFill><a:schemeClr val="accent1"/></a:solidFill></c:spPr></c:dPt>
+                                    <c:val><c:numRef><c:numCache><c:formatCode>0.0%</c:formatCode><c:pt idx="0"><c:v>0.5</c:v></c:pt><c:pt idx="1"><c:v>0.25</c:v></c:pt></c:numCache></c:numRef></c:val>
+                                </c:ser>
+                                <c:ser><c:idx val="1"/><c:val><c:numRef><c:numCache><c:pt idx="0"><c:v>1</c:v></c:pt></c:numCache></c:numRef></c:val></c:ser>
+                                <c:ser>
+                                    <c:idx val="2"/>
+                                    <c:dLbls><c:dLblPos val="inEnd"/><c:showVal val="0"/><c:showSerName val="1"/></c:dLbls>
+                                    <c:val><c:numRef><c:numCache><c:pt idx="0"><c:v>2</c:v></c:pt></c:numCache></c:numRef></c:val>
+                                </c:ser>
+                                <c:dLbls>
+                                    <c:numFmt formatCode="#,##0" sourceLinked="0"/>
+                                    <c:txPr><a:bodyPr/><a:p><a:pPr><a:defRPr sz="1200" b="1"><a:solidFill><a:srgbClr val="FFFFFF"/></a:solidFill></a:defRPr></a:pPr></a:p></c:txPr>
+                                    <c:dLblPos val="ctr"/>
+                                    <c:showVal val="1"/>
+                                </c:dLbls>
+                                <c:gapWidth val="50"/>
+                                <c:overlap val="-20"/>
+                                <c:axId val="1"/>
+                                <c:axId val="2"/>
+                            </c:barChart>
+                            <c:catAx><c:axId val="1"/><c:axPos val="b"/><c:tickLblPos val="none"/><c:crossAx val="2"/></c:catAx>
+                            <c:valAx>
+                                <c:axId val="2"/>
+                                <c:scaling><c:orientation val="minMax"/><c:max val="1"/><c:min val="0"/></c:scaling>
+                                <c:axPos val="l"/>
+                                <c:majorGridlines><c:spPr><a:ln w="9525"><a:solidFill><a:srgbClr val="D9D9D9"/></a:solidFill></a:ln></c:spPr></c:majorGridlines>
+                                <c:title><c:tx><c:rich><a:bodyPr/><a:p><a:r><a:rPr sz="1000"/><a:t>Share</a:t></a:r></a:p></c:rich></c:tx></c:title>
+                                <c:numFmt formatCode="0%" sourceLinked="1"/>
+                                <c:majorUnit val="0.25"/>
+                                <c:crossAx val="1"/>
+                            </c:valAx>
+                        </c:plotArea>
+                        <c:legend><c:legendPos val="b"/><c:overlay val="0"/></c:legend>
+                    </c:chart>
+                </c:chartSpace>
+            `;
+            const result = PptxParser.parseChart(xml, slideContext, colorStyleXml);
+            const [first, second, third] = result.datasets;
+
+            expect(first).toMatchObject({
+                color: '#ED7D31',
+                fill: { type: 'solid', color: '#112233' },
+                line: null,
+                points: [{ idx: 1, fill: { type: 'solid', color: '#4472C4' } }],
+                formatCode: '0.0%',
+                gapWidth: 50,
+                overlap: -20,
+                dataLabels: { showVal: true, showSerName: false, position: 'ctr', numFmt: { formatCode: '#,##0', sourceLinked: false }, text: { fontSize: 12 * 0.975, bold: true, color: '#FFFFFF' } },
+            });
+            expect(second.color).toBe('#00FF00');
+            expect(second.pointColors).toBeUndefined();
+            // The third series wraps around to the first color with the second variation
+            expect(third.color).toBe(ColorParser.applyLuminance('#ED7D31', 60000, 0));
+            expect(third.dataLabels).toMatchObject({ showVal: false, showSerName: true, position: 'inEnd', numFmt: { formatCode: '#,##0' } });
+
+            const [categoryAxis, valueAxis] = result.axes;
+            expect(categoryAxis).toMatchObject({ tickLabelPosition: 'none', majorGridlines: null });
+            expect(valueAxis).toMatchObject({
+                min: 0,
+                max: 1,
+                majorUnit: 0.25,
+                numFmt: { formatCode: '0%', sourceLinked: true },
+                title: { text: 'Share', fontSize: 10 * 0.975 },
+                majorGridlines: { line: { width: 9525 / 12700, color: '#D9D9D9' } },
+            });
+            expect(result.legend).toEqual({ position: 'b', overlay: false, text: {} });
+        });
+
+        it('should vary pie colors by point and fall back to the theme accents', () => {
+            const slideContext = {
+                theme: { colorScheme: { accent1: '#4472C4', accent2: '#ED7D31', accent3: '#A5A5A5' } },
+                colorMap: {},
+            };
+            const xml = `
+                <c:chartSpace xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart">
+                    <c:chart>
+                        <c:autoTitleDeleted val="1"/>
+                        <c:plotArea>
+                            <c:pieChart>
+                                <c:varyColors val="1"/>
+                                <c:ser>
+                                    <c:idx val="0"/>
+                                    <c:dLbls><c:showPercent val="1"/><c:showCatName val="true"/><c:separator>; </c:separator></c:dLbls>
+                                    <c:val><c:numRef><c:numCache><c:pt idx="0"><c:v>1</c:v></c:pt><c:pt idx="1"><c:v>2</c:v></c:pt><c:pt idx="2"><c:v>3</c:v></c:pt></c:numCache></c:numRef></c:val>
+                                </c:ser>
+                            </c:pieChart>
+                        </c:plotArea>
+                    </c:chart>
+                </c:chartSpace>
+            `;
+            const result = PptxParser.parseChart(xml, slideContext);
+            expect(result.legend).toBeNull();
+            expect(result.datasets[0].pointColors).toEqual(['#4472C4', '#ED7D31', '#A5A5A5']);
+            expect(result.datasets[0].dataLabels).toMatchObject({ showPercent: true, showCatName: true, showVal: false, separator: '; ' });
+        });
+
+        it('should read literal data, multi-level categories and date categories', () => {
+            const xml = `
+                <c:chartSpace xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart">
+                    <c:date1904 val="1"/>
+                    <c:chart>
+                        <c:plotArea>
+                            <c:barChart>
+                                <c:ser>
+                                    <c:tx><c:v>Literal</c:v></c:tx>
+                                    <c:cat>
+                                        <c:multiLvlStrRef>
+                                            <c:f>Sheet1!$A$2:$B$4</c:f>
+                                            <c:multiLvlStrCache>
+                                                <c:ptCount val="3"/>
+                                                <c:lvl><c:pt idx="0"><c:v>Jan</c:v></c:pt><c:pt idx="1"><c:v>Feb</c:v></c:pt><c:pt idx="2"><c:v>Jan</c:v></c:pt></c:lvl>
+                                                <c:lvl><c:pt idx="0"><c:v>2023</c:v></c:pt><c:pt idx="2"><c:v>2024</c:v></c:pt></c:lvl>
+                                            </c:multiLvlStrCache>
+                                        </c:multiLvlStrRef>
+                                    </c:cat>
+                                    <c:val><c:numLit><c:formatCode>0.0</c:formatCode><c:ptCount val="3"/><c:pt idx="0"><c:v>1</c:v></c:pt><c:pt idx="2"><c:v>3</c:v></c:pt></c:numLit></c:val>
+                                </c:ser>
+                                <c:axId val="1"/>
+                                <c:axId val="2"/>
+                            </c:barChart>
+                            <c:lineChart>
+                                <c:ser>
+                                    <c:cat><c:numRef><c:numCache><c:formatCode>General</c:formatCode><c:ptCount val="2"/><c:pt idx="0"><c:v>43465</c:v></c:pt><c:pt idx="1"><c:v>43466</c:v></c:pt></c:numCache></c:numRef></c:cat>
+                                    <c:val><c:numLit><c:ptCount val="2"/><c:pt idx="0"><c:v>5</c:v></c:pt><c:pt idx="1"><c:v>6</c:v></c:pt></c:numLit></c:val>
+                                </c:ser>
+                                <c:ser>
+                                    <c:cat><c:strLit><c:ptCount val="1"/><c:pt idx="0"><c:v>Ignored</c:v></c:pt></c:strLit></c:cat>
+                                    <c:val><c:numLit><c:ptCount val="1"/><c:pt idx="0"><c:v>7</c:v></c:pt></c:numLit></c:val>
+                                </c:ser>
+                                <c:axId val="3"/>
+                                <c:axId val="4"/>
+                            </c:lineChart>
+                            <c:catAx><c:axId val="1"/><c:axPos val="b"/></c:catAx>
+                            <c:valAx><c:axId val="2"/><c:axPos val="l"/></c:valAx>
+                            <c:dateAx><c:axId val="3"/><c:axPos val="b"/><c:numFmt formatCode="d mmm yyyy" sourceLinked="0"/></c:dateAx>
+                            <c:valAx><c:axId val="4"/><c:axPos val="r"/></c:valAx>
+                        </c:plotArea>
+                    </c:chart>
+                </c:chartSpace>
+            `;
+            const result = PptxParser.parseChart(xml);
+            expect(result.labels).toEqual([['Jan', '2023'], ['Feb', ''], ['Jan', '2024']]);
+            expect(result.datasets[0]).toMatchObject({ data: [1, null, 3], formatCode: '0.0' });
+            expect(result.datasets[1].data).toEqual([5, 6]);
+            expect(result.datasets[2].data).toEqual([7]);
+            expect(result.axes[2].type).toBe('date');
+
+            // The second group's date axis labels its own categories in the 1904 date system
+            const dateLabels = PptxParser.parseChart(xml.replace(/<c:barChart>[\s\S]*<\/c:barChart>/, '')).labels;
+            expect(dateLabels).toEqual(['1 Jan 2023', '2 Jan 2023']);
+        });
+
+        it('should prefer the embedded workbook over stale caches', () => {
+            const xml = `
+                <c:chartSpace xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart">
+                    <c:chart>
+                        <c:plotArea>
+                            <c:barChart>
+                                <c:ser>
+                                    <c:tx><c:strRef><c:f>Sheet1!$B$1</c:f><c:strCache><c:ptCount val="1"/><c:pt idx="0"><c:v>Old</c:v></c:pt></c:strCache></c:strRef></c:tx>
+                                    <c:cat><c:strRef><c:f>Sheet1!$A$2:$A$3</c:f><c:strCache><c:ptCount val="1"/><c:pt idx="0"><c:v>A</c:v></c:pt></c:strCache></c:strRef></c:cat>
+                                    <c:val><c:numRef><c:f>Sheet1!$B$2:$B$3</c:f><c:numCache><c:ptCount val="1"/><c:pt idx="0"><c:v>1</c:v></c:pt></c:numCache></c:numRef></c:val>
+                                </c:ser>
+                                <c:ser>
+                                    <c:val><c:numRef><c:f>Missing!$C$2:$C$3</c:f><c:numCache><c:ptCount val="1"/><c:pt idx="0"><c:v>9</c:v></c:pt></c:numCache></c:numRef></c:val>
+                                </c:ser>
+                            </c:barChart>
+                        </c:plotArea>
+                    </c:chart>
+                </c:chartSpace>
+            `;
+            const workbook = { sheets: { Sheet1: { '0:1': 'New', '1:0': 'A', '2:0': 'B', '1:1': '10', '2:1': null } } };
+            const result = PptxParser.parseChart(xml, undefined, undefined, workbook);
+            expect(result.labels).toEqual(['A', 'B']);
+            expect(result.datasets[0]).toMatchObject({ label: 'New', data: [10, null] });
+            expect(result.datasets[1].data).toEqual([9]);
+        });
+
         it('should return null for invalid chart xml', () => {
             const xml = `<c:chartSpace xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart"></c:chartSpace>`;
             const result = PptxParser.parseChart(xml);
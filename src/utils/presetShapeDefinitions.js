@@ -0,0 +1,9359 @@
+/**
+ * The preset shape geometries of DrawingML, transcribed from `presetShapeDefinitions.xml`
+ * of ECMA-376 Part 1.
+ *
+ * Each definition keeps the guide formulas of the standard as strings:
+ * - `avLst` maps the adjust handles to their default formula.
+ * - `gdLst` lists the shape guides as `[ name, formula ]` pairs, in evaluation order.
+ * - `pathLst` lists the paths of the shape. A path has an optional `w`/`h` coordinate space,
+ *   an optional `fill` mode (`none`, `darken`, `darkenLess`, `lighten`, `lightenLess`),
+ *   `stroke: false` when it is not outlined, and its `commands`.
+ * - A command is `[ name, ...args ]`: `moveTo`/`lnTo` take x and y, `arcTo` takes wR, hR, stAng
+ *   and swAng, `quadBezTo`/`cubicBezTo` take the x and y of each of their points.
+ */
+export const PRESET_SHAPE_DEFINITIONS = {
+    accentBorderCallout1: {
+        avLst: { adj1: 'val 18750', adj2: 'val -8333', adj3: 'val 112500', adj4: 'val -38333' },
+        gdLst: [
+            [ 'y1', '*/ h adj1 100000' ],
+            [ 'x1', '*/ w adj2 100000' ],
+            [ 'y2', '*/ h adj3 100000' ],
+            [ 'x2', '*/ w adj4 100000' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x1', 't' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                ],
+            },
+        ],
+    },
+    accentBorderCallout2: {
+        avLst: { adj1: 'val 18750', adj2: 'val -8333', adj3: 'val 18750', adj4: 'val -16667', adj5: 'val 112500', adj6: 'val -46667' },
+        gdLst: [
+            [ 'y1', '*/ h adj1 100000' ],
+            [ 'x1', '*/ w adj2 100000' ],
+            [ 'y2', '*/ h adj3 100000' ],
+            [ 'x2', '*/ w adj4 100000' ],
+            [ 'y3', '*/ h adj5 100000' ],
+            [ 'x3', '*/ w adj6 100000' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x1', 't' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x3', 'y3' ],
+                ],
+            },
+        ],
+    },
+    accentBorderCallout3: {
+        avLst: { adj1: 'val 18750', adj2: 'val -8333', adj3: 'val 18750', adj4: 'val -16667', adj5: 'val 100000', adj6: 'val -16667', adj7: 'val 112963', adj8: 'val -8333' },
+        gdLst: [
+            [ 'y1', '*/ h adj1 100000' ],
+            [ 'x1', '*/ w adj2 100000' ],
+            [ 'y2', '*/ h adj3 100000' ],
+            [ 'x2', '*/ w adj4 100000' ],
+            [ 'y3', '*/ h adj5 100000' ],
+            [ 'x3', '*/ w adj6 100000' ],
+            [ 'y4', '*/ h adj7 100000' ],
+            [ 'x4', '*/ w adj8 100000' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x1', 't' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x3', 'y3' ],
+                    [ 'lnTo', 'x4', 'y4' ],
+                ],
+            },
+        ],
+    },
+    accentCallout1: {
+        avLst: { adj1: 'val 18750', adj2: 'val -8333', adj3: 'val 112500', adj4: 'val -38333' },
+        gdLst: [
+            [ 'y1', '*/ h adj1 100000' ],
+            [ 'x1', '*/ w adj2 100000' ],
+            [ 'y2', '*/ h adj3 100000' ],
+            [ 'x2', '*/ w adj4 100000' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x1', 't' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                ],
+            },
+        ],
+    },
+    accentCallout2: {
+        avLst: { adj1: 'val 18750', adj2: 'val -8333', adj3: 'val 18750', adj4: 'val -16667', adj5: 'val 112500', adj6: 'val -46667' },
+        gdLst: [
+            [ 'y1', '*/ h adj1 100000' ],
+            [ 'x1', '*/ w adj2 100000' ],
+            [ 'y2', '*/ h adj3 100000' ],
+            [ 'x2', '*/ w adj4 100000' ],
+            [ 'y3', '*/ h adj5 100000' ],
+            [ 'x3', '*/ w adj6 100000' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x1', 't' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x3', 'y3' ],
+                ],
+            },
+        ],
+    },
+    accentCallout3: {
+        avLst: { adj1: 'val 18750', adj2: 'val -8333', adj3: 'val 18750', adj4: 'val -16667', adj5: 'val 100000', adj6: 'val -16667', adj7: 'val 112963', adj8: 'val -8333' },
+        gdLst: [
+            [ 'y1', '*/ h adj1 100000' ],
+            [ 'x1', '*/ w adj2 100000' ],
+            [ 'y2', '*/ h adj3 100000' ],
+            [ 'x2', '*/ w adj4 100000' ],
+            [ 'y3', '*/ h adj5 100000' ],
+            [ 'x3', '*/ w adj6 100000' ],
+            [ 'y4', '*/ h adj7 100000' ],
+            [ 'x4', '*/ w adj8 100000' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x1', 't' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x3', 'y3' ],
+                    [ 'lnTo', 'x4', 'y4' ],
+                ],
+            },
+        ],
+    },
+    actionButtonBackPrevious: {
+        gdLst: [
+            [ 'dx2', '*/ ss 3 8' ],
+            [ 'g9', '+- vc 0 dx2' ],
+            [ 'g10', '+- vc dx2 0' ],
+            [ 'g11', '+- hc 0 dx2' ],
+            [ 'g12', '+- hc dx2 0' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'g11', 'vc' ],
+                    [ 'lnTo', 'g12', 'g9' ],
+                    [ 'lnTo', 'g12', 'g10' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darken',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'g11', 'vc' ],
+                    [ 'lnTo', 'g12', 'g9' ],
+                    [ 'lnTo', 'g12', 'g10' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'g11', 'vc' ],
+                    [ 'lnTo', 'g12', 'g9' ],
+                    [ 'lnTo', 'g12', 'g10' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    actionButtonBeginning: {
+        gdLst: [
+            [ 'dx2', '*/ ss 3 8' ],
+            [ 'g9', '+- vc 0 dx2' ],
+            [ 'g10', '+- vc dx2 0' ],
+            [ 'g11', '+- hc 0 dx2' ],
+            [ 'g12', '+- hc dx2 0' ],
+            [ 'g13', '*/ ss 3 4' ],
+            [ 'g14', '*/ g13 1 8' ],
+            [ 'g15', '*/ g13 1 4' ],
+            [ 'g16', '+- g11 g14 0' ],
+            [ 'g17', '+- g11 g15 0' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'g17', 'vc' ],
+                    [ 'lnTo', 'g12', 'g9' ],
+                    [ 'lnTo', 'g12', 'g10' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'g16', 'g9' ],
+                    [ 'lnTo', 'g11', 'g9' ],
+                    [ 'lnTo', 'g11', 'g10' ],
+                    [ 'lnTo', 'g16', 'g10' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darken',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'g17', 'vc' ],
+                    [ 'lnTo', 'g12', 'g9' ],
+                    [ 'lnTo', 'g12', 'g10' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'g16', 'g9' ],
+                    [ 'lnTo', 'g11', 'g9' ],
+                    [ 'lnTo', 'g11', 'g10' ],
+                    [ 'lnTo', 'g16', 'g10' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'g17', 'vc' ],
+                    [ 'lnTo', 'g12', 'g9' ],
+                    [ 'lnTo', 'g12', 'g10' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'g16', 'g9' ],
+                    [ 'lnTo', 'g16', 'g10' ],
+                    [ 'lnTo', 'g11', 'g10' ],
+                    [ 'lnTo', 'g11', 'g9' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    actionButtonBlank: {
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    actionButtonDocument: {
+        gdLst: [
+            [ 'dx2', '*/ ss 3 8' ],
+            [ 'g9', '+- vc 0 dx2' ],
+            [ 'g10', '+- vc dx2 0' ],
+            [ 'dx1', '*/ ss 9 32' ],
+            [ 'g11', '+- hc 0 dx1' ],
+            [ 'g12', '+- hc dx1 0' ],
+            [ 'g13', '*/ ss 3 16' ],
+            [ 'g14', '+- g12 0 g13' ],
+            [ 'g15', '+- g9 g13 0' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'g11', 'g9' ],
+                    [ 'lnTo', 'g14', 'g9' ],
+                    [ 'lnTo', 'g12', 'g15' ],
+                    [ 'lnTo', 'g12', 'g10' ],
+                    [ 'lnTo', 'g11', 'g10' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darkenLess',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'g11', 'g9' ],
+                    [ 'lnTo', 'g14', 'g9' ],
+                    [ 'lnTo', 'g14', 'g15' ],
+                    [ 'lnTo', 'g12', 'g15' ],
+                    [ 'lnTo', 'g12', 'g10' ],
+                    [ 'lnTo', 'g11', 'g10' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darken',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'g14', 'g9' ],
+                    [ 'lnTo', 'g14', 'g15' ],
+                    [ 'lnTo', 'g12', 'g15' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'g11', 'g9' ],
+                    [ 'lnTo', 'g14', 'g9' ],
+                    [ 'lnTo', 'g12', 'g15' ],
+                    [ 'lnTo', 'g12', 'g10' ],
+                    [ 'lnTo', 'g11', 'g10' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'g12', 'g15' ],
+                    [ 'lnTo', 'g14', 'g15' ],
+                    [ 'lnTo', 'g14', 'g9' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    actionButtonEnd: {
+        gdLst: [
+            [ 'dx2', '*/ ss 3 8' ],
+            [ 'g9', '+- vc 0 dx2' ],
+            [ 'g10', '+- vc dx2 0' ],
+            [ 'g11', '+- hc 0 dx2' ],
+            [ 'g12', '+- hc dx2 0' ],
+            [ 'g13', '*/ ss 3 4' ],
+            [ 'g14', '*/ g13 3 4' ],
+            [ 'g15', '*/ g13 7 8' ],
+            [ 'g16', '+- g11 g14 0' ],
+            [ 'g17', '+- g11 g15 0' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'g16', 'vc' ],
+                    [ 'lnTo', 'g11', 'g9' ],
+                    [ 'lnTo', 'g11', 'g10' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'g17', 'g9' ],
+                    [ 'lnTo', 'g12', 'g9' ],
+                    [ 'lnTo', 'g12', 'g10' ],
+                    [ 'lnTo', 'g17', 'g10' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darken',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'g16', 'vc' ],
+                    [ 'lnTo', 'g11', 'g9' ],
+                    [ 'lnTo', 'g11', 'g10' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'g17', 'g9' ],
+                    [ 'lnTo', 'g12', 'g9' ],
+                    [ 'lnTo', 'g12', 'g10' ],
+                    [ 'lnTo', 'g17', 'g10' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'g16', 'vc' ],
+                    [ 'lnTo', 'g11', 'g10' ],
+                    [ 'lnTo', 'g11', 'g9' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'g17', 'g9' ],
+                    [ 'lnTo', 'g12', 'g9' ],
+                    [ 'lnTo', 'g12', 'g10' ],
+                    [ 'lnTo', 'g17', 'g10' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    actionButtonForwardNext: {
+        gdLst: [
+            [ 'dx2', '*/ ss 3 8' ],
+            [ 'g9', '+- vc 0 dx2' ],
+            [ 'g10', '+- vc dx2 0' ],
+            [ 'g11', '+- hc 0 dx2' ],
+            [ 'g12', '+- hc dx2 0' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'g12', 'vc' ],
+                    [ 'lnTo', 'g11', 'g9' ],
+                    [ 'lnTo', 'g11', 'g10' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darken',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'g12', 'vc' ],
+                    [ 'lnTo', 'g11', 'g9' ],
+                    [ 'lnTo', 'g11', 'g10' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'g12', 'vc' ],
+                    [ 'lnTo', 'g11', 'g10' ],
+                    [ 'lnTo', 'g11', 'g9' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    actionButtonHelp: {
+        gdLst: [
+            [ 'dx2', '*/ ss 3 8' ],
+            [ 'g9', '+- vc 0 dx2' ],
+            [ 'g11', '+- hc 0 dx2' ],
+            [ 'g13', '*/ ss 3 4' ],
+            [ 'g14', '*/ g13 1 7' ],
+            [ 'g15', '*/ g13 3 14' ],
+            [ 'g16', '*/ g13 2 7' ],
+            [ 'g19', '*/ g13 3 7' ],
+            [ 'g20', '*/ g13 4 7' ],
+            [ 'g21', '*/ g13 17 28' ],
+            [ 'g23', '*/ g13 21 28' ],
+            [ 'g24', '*/ g13 11 14' ],
+            [ 'g27', '+- g9 g16 0' ],
+            [ 'g29', '+- g9 g21 0' ],
+            [ 'g30', '+- g9 g23 0' ],
+            [ 'g31', '+- g9 g24 0' ],
+            [ 'g33', '+- g11 g15 0' ],
+            [ 'g36', '+- g11 g19 0' ],
+            [ 'g37', '+- g11 g20 0' ],
+            [ 'g41', '*/ g13 1 14' ],
+            [ 'g42', '*/ g13 3 28' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'g33', 'g27' ],
+                    [ 'arcTo', 'g16', 'g16', 'cd2', 'cd2' ],
+                    [ 'arcTo', 'g14', 'g15', '0', 'cd4' ],
+                    [ 'arcTo', 'g41', 'g42', '3cd4', '-5400000' ],
+                    [ 'lnTo', 'g37', 'g30' ],
+                    [ 'lnTo', 'g36', 'g30' ],
+                    [ 'lnTo', 'g36', 'g29' ],
+                    [ 'arcTo', 'g14', 'g15', 'cd2', 'cd4' ],
+                    [ 'arcTo', 'g41', 'g42', 'cd4', '-5400000' ],
+                    [ 'arcTo', 'g14', 'g14', '0', '-10800000' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'hc', 'g31' ],
+                    [ 'arcTo', 'g42', 'g42', '3cd4', '21600000' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darken',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'g33', 'g27' ],
+                    [ 'arcTo', 'g16', 'g16', 'cd2', 'cd2' ],
+                    [ 'arcTo', 'g14', 'g15', '0', 'cd4' ],
+                    [ 'arcTo', 'g41', 'g42', '3cd4', '-5400000' ],
+                    [ 'lnTo', 'g37', 'g30' ],
+                    [ 'lnTo', 'g36', 'g30' ],
+                    [ 'lnTo', 'g36', 'g29' ],
+                    [ 'arcTo', 'g14', 'g15', 'cd2', 'cd4' ],
+                    [ 'arcTo', 'g41', 'g42', 'cd4', '-5400000' ],
+                    [ 'arcTo', 'g14', 'g14', '0', '-10800000' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'hc', 'g31' ],
+                    [ 'arcTo', 'g42', 'g42', '3cd4', '21600000' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'g33', 'g27' ],
+                    [ 'arcTo', 'g16', 'g16', 'cd2', 'cd2' ],
+                    [ 'arcTo', 'g14', 'g15', '0', 'cd4' ],
+                    [ 'arcTo', 'g41', 'g42', '3cd4', '-5400000' ],
+                    [ 'lnTo', 'g37', 'g30' ],
+                    [ 'lnTo', 'g36', 'g30' ],
+                    [ 'lnTo', 'g36', 'g29' ],
+                    [ 'arcTo', 'g14', 'g15', 'cd2', 'cd4' ],
+                    [ 'arcTo', 'g41', 'g42', 'cd4', '-5400000' ],
+                    [ 'arcTo', 'g14', 'g14', '0', '-10800000' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'hc', 'g31' ],
+                    [ 'arcTo', 'g42', 'g42', '3cd4', '21600000' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    actionButtonHome: {
+        gdLst: [
+            [ 'dx2', '*/ ss 3 8' ],
+            [ 'g9', '+- vc 0 dx2' ],
+            [ 'g10', '+- vc dx2 0' ],
+            [ 'g11', '+- hc 0 dx2' ],
+            [ 'g12', '+- hc dx2 0' ],
+            [ 'g13', '*/ ss 3 4' ],
+            [ 'g14', '*/ g13 1 16' ],
+            [ 'g15', '*/ g13 1 8' ],
+            [ 'g16', '*/ g13 3 16' ],
+            [ 'g17', '*/ g13 5 16' ],
+            [ 'g18', '*/ g13 7 16' ],
+            [ 'g19', '*/ g13 9 16' ],
+            [ 'g20', '*/ g13 11 16' ],
+            [ 'g21', '*/ g13 3 4' ],
+            [ 'g22', '*/ g13 13 16' ],
+            [ 'g23', '*/ g13 7 8' ],
+            [ 'g24', '+- g9 g14 0' ],
+            [ 'g25', '+- g9 g16 0' ],
+            [ 'g26', '+- g9 g17 0' ],
+            [ 'g27', '+- g9 g21 0' ],
+            [ 'g28', '+- g11 g15 0' ],
+            [ 'g29', '+- g11 g18 0' ],
+            [ 'g30', '+- g11 g19 0' ],
+            [ 'g31', '+- g11 g20 0' ],
+            [ 'g32', '+- g11 g22 0' ],
+            [ 'g33', '+- g11 g23 0' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'hc', 'g9' ],
+                    [ 'lnTo', 'g11', 'vc' ],
+                    [ 'lnTo', 'g28', 'vc' ],
+                    [ 'lnTo', 'g28', 'g10' ],
+                    [ 'lnTo', 'g33', 'g10' ],
+                    [ 'lnTo', 'g33', 'vc' ],
+                    [ 'lnTo', 'g12', 'vc' ],
+                    [ 'lnTo', 'g32', 'g26' ],
+                    [ 'lnTo', 'g32', 'g24' ],
+                    [ 'lnTo', 'g31', 'g24' ],
+                    [ 'lnTo', 'g31', 'g25' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darkenLess',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'g32', 'g26' ],
+                    [ 'lnTo', 'g32', 'g24' ],
+                    [ 'lnTo', 'g31', 'g24' ],
+                    [ 'lnTo', 'g31', 'g25' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'g28', 'vc' ],
+                    [ 'lnTo', 'g28', 'g10' ],
+                    [ 'lnTo', 'g29', 'g10' ],
+                    [ 'lnTo', 'g29', 'g27' ],
+                    [ 'lnTo', 'g30', 'g27' ],
+                    [ 'lnTo', 'g30', 'g10' ],
+                    [ 'lnTo', 'g33', 'g10' ],
+                    [ 'lnTo', 'g33', 'vc' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darken',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'hc', 'g9' ],
+                    [ 'lnTo', 'g11', 'vc' ],
+                    [ 'lnTo', 'g12', 'vc' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'g29', 'g27' ],
+                    [ 'lnTo', 'g30', 'g27' ],
+                    [ 'lnTo', 'g30', 'g10' ],
+                    [ 'lnTo', 'g29', 'g10' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'hc', 'g9' ],
+                    [ 'lnTo', 'g31', 'g25' ],
+                    [ 'lnTo', 'g31', 'g24' ],
+                    [ 'lnTo', 'g32', 'g24' ],
+                    [ 'lnTo', 'g32', 'g26' ],
+                    [ 'lnTo', 'g12', 'vc' ],
+                    [ 'lnTo', 'g33', 'vc' ],
+                    [ 'lnTo', 'g33', 'g10' ],
+                    [ 'lnTo', 'g28', 'g10' ],
+                    [ 'lnTo', 'g28', 'vc' ],
+                    [ 'lnTo', 'g11', 'vc' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'g31', 'g25' ],
+                    [ 'lnTo', 'g32', 'g26' ],
+                    [ 'moveTo', 'g33', 'vc' ],
+                    [ 'lnTo', 'g28', 'vc' ],
+                    [ 'moveTo', 'g29', 'g10' ],
+                    [ 'lnTo', 'g29', 'g27' ],
+                    [ 'lnTo', 'g30', 'g27' ],
+                    [ 'lnTo', 'g30', 'g10' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    actionButtonInformation: {
+        gdLst: [
+            [ 'dx2', '*/ ss 3 8' ],
+            [ 'g9', '+- vc 0 dx2' ],
+            [ 'g11', '+- hc 0 dx2' ],
+            [ 'g13', '*/ ss 3 4' ],
+            [ 'g14', '*/ g13 1 32' ],
+            [ 'g17', '*/ g13 5 16' ],
+            [ 'g18', '*/ g13 3 8' ],
+            [ 'g19', '*/ g13 13 32' ],
+            [ 'g20', '*/ g13 19 32' ],
+            [ 'g22', '*/ g13 11 16' ],
+            [ 'g23', '*/ g13 13 16' ],
+            [ 'g24', '*/ g13 7 8' ],
+            [ 'g25', '+- g9 g14 0' ],
+            [ 'g28', '+- g9 g17 0' ],
+            [ 'g29', '+- g9 g18 0' ],
+            [ 'g30', '+- g9 g23 0' ],
+            [ 'g31', '+- g9 g24 0' ],
+            [ 'g32', '+- g11 g17 0' ],
+            [ 'g34', '+- g11 g19 0' ],
+            [ 'g35', '+- g11 g20 0' ],
+            [ 'g37', '+- g11 g22 0' ],
+            [ 'g38', '*/ g13 3 32' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'hc', 'g9' ],
+                    [ 'arcTo', 'dx2', 'dx2', '3cd4', '21600000' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darken',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'hc', 'g9' ],
+                    [ 'arcTo', 'dx2', 'dx2', '3cd4', '21600000' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'hc', 'g25' ],
+                    [ 'arcTo', 'g38', 'g38', '3cd4', '21600000' ],
+                    [ 'moveTo', 'g32', 'g28' ],
+                    [ 'lnTo', 'g32', 'g29' ],
+                    [ 'lnTo', 'g34', 'g29' ],
+                    [ 'lnTo', 'g34', 'g30' ],
+                    [ 'lnTo', 'g32', 'g30' ],
+                    [ 'lnTo', 'g32', 'g31' ],
+                    [ 'lnTo', 'g37', 'g31' ],
+                    [ 'lnTo', 'g37', 'g30' ],
+                    [ 'lnTo', 'g35', 'g30' ],
+                    [ 'lnTo', 'g35', 'g28' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'lighten',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'hc', 'g25' ],
+                    [ 'arcTo', 'g38', 'g38', '3cd4', '21600000' ],
+                    [ 'moveTo', 'g32', 'g28' ],
+                    [ 'lnTo', 'g35', 'g28' ],
+                    [ 'lnTo', 'g35', 'g30' ],
+                    [ 'lnTo', 'g37', 'g30' ],
+                    [ 'lnTo', 'g37', 'g31' ],
+                    [ 'lnTo', 'g32', 'g31' ],
+                    [ 'lnTo', 'g32', 'g30' ],
+                    [ 'lnTo', 'g34', 'g30' ],
+                    [ 'lnTo', 'g34', 'g29' ],
+                    [ 'lnTo', 'g32', 'g29' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'hc', 'g9' ],
+                    [ 'arcTo', 'dx2', 'dx2', '3cd4', '21600000' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'hc', 'g25' ],
+                    [ 'arcTo', 'g38', 'g38', '3cd4', '21600000' ],
+                    [ 'moveTo', 'g32', 'g28' ],
+                    [ 'lnTo', 'g35', 'g28' ],
+                    [ 'lnTo', 'g35', 'g30' ],
+                    [ 'lnTo', 'g37', 'g30' ],
+                    [ 'lnTo', 'g37', 'g31' ],
+                    [ 'lnTo', 'g32', 'g31' ],
+                    [ 'lnTo', 'g32', 'g30' ],
+                    [ 'lnTo', 'g34', 'g30' ],
+                    [ 'lnTo', 'g34', 'g29' ],
+                    [ 'lnTo', 'g32', 'g29' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    actionButtonMovie: {
+        gdLst: [
+            [ 'dx2', '*/ ss 3 8' ],
+            [ 'g9', '+- vc 0 dx2' ],
+            [ 'g10', '+- vc dx2 0' ],
+            [ 'g11', '+- hc 0 dx2' ],
+            [ 'g12', '+- hc dx2 0' ],
+            [ 'g13', '*/ ss 3 4' ],
+            [ 'g14', '*/ g13 1455 21600' ],
+            [ 'g15', '*/ g13 1905 21600' ],
+            [ 'g16', '*/ g13 2325 21600' ],
+            [ 'g17', '*/ g13 16155 21600' ],
+            [ 'g18', '*/ g13 17010 21600' ],
+            [ 'g19', '*/ g13 19335 21600' ],
+            [ 'g20', '*/ g13 19725 21600' ],
+            [ 'g21', '*/ g13 20595 21600' ],
+            [ 'g22', '*/ g13 5280 21600' ],
+            [ 'g23', '*/ g13 5730 21600' ],
+            [ 'g24', '*/ g13 6630 21600' ],
+            [ 'g25', '*/ g13 7492 21600' ],
+            [ 'g26', '*/ g13 9067 21600' ],
+            [ 'g27', '*/ g13 9555 21600' ],
+            [ 'g28', '*/ g13 13342 21600' ],
+            [ 'g29', '*/ g13 14580 21600' ],
+            [ 'g30', '*/ g13 15592 21600' ],
+            [ 'g31', '+- g11 g14 0' ],
+            [ 'g32', '+- g11 g15 0' ],
+            [ 'g33', '+- g11 g16 0' ],
+            [ 'g34', '+- g11 g17 0' ],
+            [ 'g35', '+- g11 g18 0' ],
+            [ 'g36', '+- g11 g19 0' ],
+            [ 'g37', '+- g11 g20 0' ],
+            [ 'g38', '+- g11 g21 0' ],
+            [ 'g39', '+- g9 g22 0' ],
+            [ 'g40', '+- g9 g23 0' ],
+            [ 'g41', '+- g9 g24 0' ],
+            [ 'g42', '+- g9 g25 0' ],
+            [ 'g43', '+- g9 g26 0' ],
+            [ 'g44', '+- g9 g27 0' ],
+            [ 'g45', '+- g9 g28 0' ],
+            [ 'g46', '+- g9 g29 0' ],
+            [ 'g47', '+- g9 g30 0' ],
+            [ 'g48', '+- g9 g31 0' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'g11', 'g39' ],
+                    [ 'lnTo', 'g11', 'g44' ],
+                    [ 'lnTo', 'g31', 'g44' ],
+                    [ 'lnTo', 'g32', 'g43' ],
+                    [ 'lnTo', 'g33', 'g43' ],
+                    [ 'lnTo', 'g33', 'g47' ],
+                    [ 'lnTo', 'g35', 'g47' ],
+                    [ 'lnTo', 'g35', 'g45' ],
+                    [ 'lnTo', 'g36', 'g45' ],
+                    [ 'lnTo', 'g38', 'g46' ],
+                    [ 'lnTo', 'g12', 'g46' ],
+                    [ 'lnTo', 'g12', 'g41' ],
+                    [ 'lnTo', 'g38', 'g41' ],
+                    [ 'lnTo', 'g37', 'g42' ],
+                    [ 'lnTo', 'g35', 'g42' ],
+                    [ 'lnTo', 'g35', 'g41' ],
+                    [ 'lnTo', 'g34', 'g40' ],
+                    [ 'lnTo', 'g32', 'g40' ],
+                    [ 'lnTo', 'g31', 'g39' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darken',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'g11', 'g39' ],
+                    [ 'lnTo', 'g11', 'g44' ],
+                    [ 'lnTo', 'g31', 'g44' ],
+                    [ 'lnTo', 'g32', 'g43' ],
+                    [ 'lnTo', 'g33', 'g43' ],
+                    [ 'lnTo', 'g33', 'g47' ],
+                    [ 'lnTo', 'g35', 'g47' ],
+                    [ 'lnTo', 'g35', 'g45' ],
+                    [ 'lnTo', 'g36', 'g45' ],
+                    [ 'lnTo', 'g38', 'g46' ],
+                    [ 'lnTo', 'g12', 'g46' ],
+                    [ 'lnTo', 'g12', 'g41' ],
+                    [ 'lnTo', 'g38', 'g41' ],
+                    [ 'lnTo', 'g37', 'g42' ],
+                    [ 'lnTo', 'g35', 'g42' ],
+                    [ 'lnTo', 'g35', 'g41' ],
+                    [ 'lnTo', 'g34', 'g40' ],
+                    [ 'lnTo', 'g32', 'g40' ],
+                    [ 'lnTo', 'g31', 'g39' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'g11', 'g39' ],
+                    [ 'lnTo', 'g31', 'g39' ],
+                    [ 'lnTo', 'g32', 'g40' ],
+                    [ 'lnTo', 'g34', 'g40' ],
+                    [ 'lnTo', 'g35', 'g41' ],
+                    [ 'lnTo', 'g35', 'g42' ],
+                    [ 'lnTo', 'g37', 'g42' ],
+                    [ 'lnTo', 'g38', 'g41' ],
+                    [ 'lnTo', 'g12', 'g41' ],
+                    [ 'lnTo', 'g12', 'g46' ],
+                    [ 'lnTo', 'g38', 'g46' ],
+                    [ 'lnTo', 'g36', 'g45' ],
+                    [ 'lnTo', 'g35', 'g45' ],
+                    [ 'lnTo', 'g35', 'g47' ],
+                    [ 'lnTo', 'g33', 'g47' ],
+                    [ 'lnTo', 'g33', 'g43' ],
+                    [ 'lnTo', 'g32', 'g43' ],
+                    [ 'lnTo', 'g31', 'g44' ],
+                    [ 'lnTo', 'g11', 'g44' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    actionButtonReturn: {
+        gdLst: [
+            [ 'dx2', '*/ ss 3 8' ],
+            [ 'g9', '+- vc 0 dx2' ],
+            [ 'g10', '+- vc dx2 0' ],
+            [ 'g11', '+- hc 0 dx2' ],
+            [ 'g12', '+- hc dx2 0' ],
+            [ 'g13', '*/ ss 3 4' ],
+            [ 'g14', '*/ g13 7 8' ],
+            [ 'g15', '*/ g13 3 4' ],
+            [ 'g16', '*/ g13 5 8' ],
+            [ 'g17', '*/ g13 3 8' ],
+            [ 'g18', '*/ g13 1 4' ],
+            [ 'g19', '+- g9 g15 0' ],
+            [ 'g20', '+- g9 g16 0' ],
+            [ 'g21', '+- g9 g18 0' ],
+            [ 'g22', '+- g11 g14 0' ],
+            [ 'g23', '+- g11 g15 0' ],
+            [ 'g24', '+- g11 g16 0' ],
+            [ 'g25', '+- g11 g17 0' ],
+            [ 'g26', '+- g11 g18 0' ],
+            [ 'g27', '*/ g13 1 8' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'g12', 'g21' ],
+                    [ 'lnTo', 'g23', 'g9' ],
+                    [ 'lnTo', 'hc', 'g21' ],
+                    [ 'lnTo', 'g24', 'g21' ],
+                    [ 'lnTo', 'g24', 'g20' ],
+                    [ 'arcTo', 'g27', 'g27', '0', 'cd4' ],
+                    [ 'lnTo', 'g25', 'g19' ],
+                    [ 'arcTo', 'g27', 'g27', 'cd4', 'cd4' ],
+                    [ 'lnTo', 'g26', 'g21' ],
+                    [ 'lnTo', 'g11', 'g21' ],
+                    [ 'lnTo', 'g11', 'g20' ],
+                    [ 'arcTo', 'g17', 'g17', 'cd2', '-5400000' ],
+                    [ 'lnTo', 'hc', 'g10' ],
+                    [ 'arcTo', 'g17', 'g17', 'cd4', '-5400000' ],
+                    [ 'lnTo', 'g22', 'g21' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darken',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'g12', 'g21' ],
+                    [ 'lnTo', 'g23', 'g9' ],
+                    [ 'lnTo', 'hc', 'g21' ],
+                    [ 'lnTo', 'g24', 'g21' ],
+                    [ 'lnTo', 'g24', 'g20' ],
+                    [ 'arcTo', 'g27', 'g27', '0', 'cd4' ],
+                    [ 'lnTo', 'g25', 'g19' ],
+                    [ 'arcTo', 'g27', 'g27', 'cd4', 'cd4' ],
+                    [ 'lnTo', 'g26', 'g21' ],
+                    [ 'lnTo', 'g11', 'g21' ],
+                    [ 'lnTo', 'g11', 'g20' ],
+                    [ 'arcTo', 'g17', 'g17', 'cd2', '-5400000' ],
+                    [ 'lnTo', 'hc', 'g10' ],
+                    [ 'arcTo', 'g17', 'g17', 'cd4', '-5400000' ],
+                    [ 'lnTo', 'g22', 'g21' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'g12', 'g21' ],
+                    [ 'lnTo', 'g22', 'g21' ],
+                    [ 'lnTo', 'g22', 'g20' ],
+                    [ 'arcTo', 'g17', 'g17', '0', 'cd4' ],
+                    [ 'lnTo', 'g25', 'g10' ],
+                    [ 'arcTo', 'g17', 'g17', 'cd4', 'cd4' ],
+                    [ 'lnTo', 'g11', 'g21' ],
+                    [ 'lnTo', 'g26', 'g21' ],
+                    [ 'lnTo', 'g26', 'g20' ],
+                    [ 'arcTo', 'g27', 'g27', 'cd2', '-5400000' ],
+                    [ 'lnTo', 'hc', 'g19' ],
+                    [ 'arcTo', 'g27', 'g27', 'cd4', '-5400000' ],
+                    [ 'lnTo', 'g24', 'g21' ],
+                    [ 'lnTo', 'hc', 'g21' ],
+                    [ 'lnTo', 'g23', 'g9' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    actionButtonSound: {
+        gdLst: [
+            [ 'dx2', '*/ ss 3 8' ],
+            [ 'g9', '+- vc 0 dx2' ],
+            [ 'g10', '+- vc dx2 0' ],
+            [ 'g11', '+- hc 0 dx2' ],
+            [ 'g12', '+- hc dx2 0' ],
+            [ 'g13', '*/ ss 3 4' ],
+            [ 'g14', '*/ g13 1 8' ],
+            [ 'g15', '*/ g13 5 16' ],
+            [ 'g16', '*/ g13 5 8' ],
+            [ 'g17', '*/ g13 11 16' ],
+            [ 'g18', '*/ g13 3 4' ],
+            [ 'g19', '*/ g13 7 8' ],
+            [ 'g20', '+- g9 g14 0' ],
+            [ 'g21', '+- g9 g15 0' ],
+            [ 'g22', '+- g9 g17 0' ],
+            [ 'g23', '+- g9 g19 0' ],
+            [ 'g24', '+- g11 g15 0' ],
+            [ 'g25', '+- g11 g16 0' ],
+            [ 'g26', '+- g11 g18 0' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'g11', 'g21' ],
+                    [ 'lnTo', 'g11', 'g22' ],
+                    [ 'lnTo', 'g24', 'g22' ],
+                    [ 'lnTo', 'g25', 'g10' ],
+                    [ 'lnTo', 'g25', 'g9' ],
+                    [ 'lnTo', 'g24', 'g21' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darken',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'g11', 'g21' ],
+                    [ 'lnTo', 'g11', 'g22' ],
+                    [ 'lnTo', 'g24', 'g22' ],
+                    [ 'lnTo', 'g25', 'g10' ],
+                    [ 'lnTo', 'g25', 'g9' ],
+                    [ 'lnTo', 'g24', 'g21' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'g11', 'g21' ],
+                    [ 'lnTo', 'g24', 'g21' ],
+                    [ 'lnTo', 'g25', 'g9' ],
+                    [ 'lnTo', 'g25', 'g10' ],
+                    [ 'lnTo', 'g24', 'g22' ],
+                    [ 'lnTo', 'g11', 'g22' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'g26', 'g21' ],
+                    [ 'lnTo', 'g12', 'g20' ],
+                    [ 'moveTo', 'g26', 'vc' ],
+                    [ 'lnTo', 'g12', 'vc' ],
+                    [ 'moveTo', 'g26', 'g22' ],
+                    [ 'lnTo', 'g12', 'g23' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    arc: {
+        avLst: { adj1: 'val 16200000', adj2: 'val 0' },
+        gdLst: [
+            [ 'stAng', 'pin 0 adj1 21599999' ],
+            [ 'enAng', 'pin 0 adj2 21599999' ],
+            [ 'sw11', '+- enAng 0 stAng' ],
+            [ 'sw12', '+- sw11 21600000 0' ],
+            [ 'swAng', '?: sw11 sw11 sw12' ],
+            [ 'wt1', 'sin wd2 stAng' ],
+            [ 'ht1', 'cos hd2 stAng' ],
+            [ 'dx1', 'cat2 wd2 ht1 wt1' ],
+            [ 'dy1', 'sat2 hd2 ht1 wt1' ],
+            [ 'wt2', 'sin wd2 enAng' ],
+            [ 'ht2', 'cos hd2 enAng' ],
+            [ 'dx2', 'cat2 wd2 ht2 wt2' ],
+            [ 'dy2', 'sat2 hd2 ht2 wt2' ],
+            [ 'x1', '+- hc dx1 0' ],
+            [ 'y1', '+- vc dy1 0' ],
+            [ 'x2', '+- hc dx2 0' ],
+            [ 'y2', '+- vc dy2 0' ],
+            [ 'sw0', '+- 21600000 0 stAng' ],
+            [ 'da1', '+- swAng 0 sw0' ],
+            [ 'g1', 'max x1 x2' ],
+            [ 'ir', '?: da1 r g1' ],
+            [ 'sw1', '+- cd4 0 stAng' ],
+            [ 'sw2', '+- 27000000 0 stAng' ],
+            [ 'sw3', '?: sw1 sw1 sw2' ],
+            [ 'da2', '+- swAng 0 sw3' ],
+            [ 'g5', 'max y1 y2' ],
+            [ 'ib', '?: da2 b g5' ],
+            [ 'sw4', '+- cd2 0 stAng' ],
+            [ 'sw5', '+- 32400000 0 stAng' ],
+            [ 'sw6', '?: sw4 sw4 sw5' ],
+            [ 'da3', '+- swAng 0 sw6' ],
+            [ 'g9', 'min x1 x2' ],
+            [ 'il', '?: da3 l g9' ],
+            [ 'sw7', '+- 3cd4 0 stAng' ],
+            [ 'sw8', '+- 37800000 0 stAng' ],
+            [ 'sw9', '?: sw7 sw7 sw8' ],
+            [ 'da4', '+- swAng 0 sw9' ],
+            [ 'g13', 'min y1 y2' ],
+            [ 'it', '?: da4 t g13' ],
+            [ 'cang1', '+- stAng 0 cd4' ],
+            [ 'cang2', '+- enAng cd4 0' ],
+            [ 'cang3', '+/ cang1 cang2 2' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'stAng', 'swAng' ],
+                    [ 'lnTo', 'hc', 'vc' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'stAng', 'swAng' ],
+                ],
+            },
+        ],
+    },
+    bentArrow: {
+        avLst: { adj1: 'val 25000', adj2: 'val 25000', adj3: 'val 25000', adj4: 'val 43750' },
+        gdLst: [
+            [ 'a2', 'pin 0 adj2 50000' ],
+            [ 'maxAdj1', '*/ a2 2 1' ],
+            [ 'a1', 'pin 0 adj1 maxAdj1' ],
+            [ 'a3', 'pin 0 adj3 50000' ],
+            [ 'th', '*/ ss a1 100000' ],
+            [ 'aw2', '*/ ss a2 100000' ],
+            [ 'th2', '*/ th 1 2' ],
+            [ 'dh2', '+- aw2 0 th2' ],
+            [ 'ah', '*/ ss a3 100000' ],
+            [ 'bw', '+- r 0 ah' ],
+            [ 'bh', '+- b 0 dh2' ],
+            [ 'bs', 'min bw bh' ],
+            [ 'maxAdj4', '*/ 100000 bs ss' ],
+            [ 'a4', 'pin 0 adj4 maxAdj4' ],
+            [ 'bd', '*/ ss a4 100000' ],
+            [ 'bd3', '+- bd 0 th' ],
+            [ 'bd2', 'max bd3 0' ],
+            [ 'x3', '+- th bd2 0' ],
+            [ 'x4', '+- r 0 ah' ],
+            [ 'y3', '+- dh2 th 0' ],
+            [ 'y4', '+- y3 dh2 0' ],
+            [ 'y5', '+- dh2 bd 0' ],
+            [ 'y6', '+- y3 bd2 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'b' ],
+                    [ 'lnTo', 'l', 'y5' ],
+                    [ 'arcTo', 'bd', 'bd', 'cd2', 'cd4' ],
+                    [ 'lnTo', 'x4', 'dh2' ],
+                    [ 'lnTo', 'x4', 't' ],
+                    [ 'lnTo', 'r', 'aw2' ],
+                    [ 'lnTo', 'x4', 'y4' ],
+                    [ 'lnTo', 'x4', 'y3' ],
+                    [ 'lnTo', 'x3', 'y3' ],
+                    [ 'arcTo', 'bd2', 'bd2', '3cd4', '-5400000' ],
+                    [ 'lnTo', 'th', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    bentConnector2: {
+        pathLst: [
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                ],
+            },
+        ],
+    },
+    bentConnector3: {
+        avLst: { adj1: 'val 50000' },
+        gdLst: [
+            [ 'x1', '*/ w adj1 100000' ],
+        ],
+        pathLst: [
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'x1', 't' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                    [ 'lnTo', 'r', 'b' ],
+                ],
+            },
+        ],
+    },
+    bentConnector4: {
+        avLst: { adj1: 'val 50000', adj2: 'val 50000' },
+        gdLst: [
+            [ 'x1', '*/ w adj1 100000' ],
+            [ 'x2', '+/ x1 r 2' ],
+            [ 'y2', '*/ h adj2 100000' ],
+            [ 'y1', '+/ t y2 2' ],
+        ],
+        pathLst: [
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'x1', 't' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                    [ 'lnTo', 'r', 'b' ],
+                ],
+            },
+        ],
+    },
+    bentConnector5: {
+        avLst: { adj1: 'val 50000', adj2: 'val 50000', adj3: 'val 50000' },
+        gdLst: [
+            [ 'x1', '*/ w adj1 100000' ],
+            [ 'x3', '*/ w adj3 100000' ],
+            [ 'x2', '+/ x1 x3 2' ],
+            [ 'y2', '*/ h adj2 100000' ],
+            [ 'y1', '+/ t y2 2' ],
+            [ 'y3', '+/ b y2 2' ],
+        ],
+        pathLst: [
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'x1', 't' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'lnTo', 'x3', 'y2' ],
+                    [ 'lnTo', 'x3', 'b' ],
+                    [ 'lnTo', 'r', 'b' ],
+                ],
+            },
+        ],
+    },
+    bentUpArrow: {
+        avLst: { adj1: 'val 25000', adj2: 'val 25000', adj3: 'val 25000' },
+        gdLst: [
+            [ 'a1', 'pin 0 adj1 50000' ],
+            [ 'a2', 'pin 0 adj2 50000' ],
+            [ 'a3', 'pin 0 adj3 50000' ],
+            [ 'y1', '*/ ss a3 100000' ],
+            [ 'dx1', '*/ ss a2 50000' ],
+            [ 'x1', '+- r 0 dx1' ],
+            [ 'dx3', '*/ ss a2 100000' ],
+            [ 'x3', '+- r 0 dx3' ],
+            [ 'dx2', '*/ ss a1 200000' ],
+            [ 'x2', '+- x3 0 dx2' ],
+            [ 'x4', '+- x3 dx2 0' ],
+            [ 'dy2', '*/ ss a1 100000' ],
+            [ 'y2', '+- b 0 dy2' ],
+            [ 'x0', '*/ x4 1 2' ],
+            [ 'y3', '+/ y2 b 2' ],
+            [ 'y15', '+/ y1 b 2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'y2' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x2', 'y1' ],
+                    [ 'lnTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x3', 't' ],
+                    [ 'lnTo', 'r', 'y1' ],
+                    [ 'lnTo', 'x4', 'y1' ],
+                    [ 'lnTo', 'x4', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    bevel: {
+        avLst: { adj: 'val 12500' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 50000' ],
+            [ 'x1', '*/ ss a 100000' ],
+            [ 'x2', '+- r 0 x1' ],
+            [ 'y2', '+- b 0 x1' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'x1', 'x1' ],
+                    [ 'lnTo', 'x2', 'x1' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'lightenLess',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'x2', 'x1' ],
+                    [ 'lnTo', 'x1', 'x1' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darkenLess',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 'b' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'lighten',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'x1', 'x1' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darken',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x2', 'x1' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'x1', 'x1' ],
+                    [ 'lnTo', 'x2', 'x1' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'x1', 'x1' ],
+                    [ 'moveTo', 'l', 'b' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'moveTo', 'r', 't' ],
+                    [ 'lnTo', 'x2', 'x1' ],
+                    [ 'moveTo', 'r', 'b' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                ],
+            },
+        ],
+    },
+    blockArc: {
+        avLst: { adj1: 'val 10800000', adj2: 'val 0', adj3: 'val 25000' },
+        gdLst: [
+            [ 'stAng', 'pin 0 adj1 21599999' ],
+            [ 'istAng', 'pin 0 adj2 21599999' ],
+            [ 'a3', 'pin 0 adj3 50000' ],
+            [ 'sw11', '+- istAng 0 stAng' ],
+            [ 'sw12', '+- sw11 21600000 0' ],
+            [ 'swAng', '?: sw11 sw11 sw12' ],
+            [ 'iswAng', '+- 0 0 swAng' ],
+            [ 'wt1', 'sin wd2 stAng' ],
+            [ 'ht1', 'cos hd2 stAng' ],
+            [ 'wt3', 'sin wd2 istAng' ],
+            [ 'ht3', 'cos hd2 istAng' ],
+            [ 'dx1', 'cat2 wd2 ht1 wt1' ],
+            [ 'dy1', 'sat2 hd2 ht1 wt1' ],
+            [ 'dx3', 'cat2 wd2 ht3 wt3' ],
+            [ 'dy3', 'sat2 hd2 ht3 wt3' ],
+            [ 'x1', '+- hc dx1 0' ],
+            [ 'y1', '+- vc dy1 0' ],
+            [ 'x3', '+- hc dx3 0' ],
+            [ 'y3', '+- vc dy3 0' ],
+            [ 'dr', '*/ ss a3 100000' ],
+            [ 'iwd2', '+- wd2 0 dr' ],
+            [ 'ihd2', '+- hd2 0 dr' ],
+            [ 'wt2', 'sin iwd2 istAng' ],
+            [ 'ht2', 'cos ihd2 istAng' ],
+            [ 'wt4', 'sin iwd2 stAng' ],
+            [ 'ht4', 'cos ihd2 stAng' ],
+            [ 'dx2', 'cat2 iwd2 ht2 wt2' ],
+            [ 'dy2', 'sat2 ihd2 ht2 wt2' ],
+            [ 'dx4', 'cat2 iwd2 ht4 wt4' ],
+            [ 'dy4', 'sat2 ihd2 ht4 wt4' ],
+            [ 'x2', '+- hc dx2 0' ],
+            [ 'y2', '+- vc dy2 0' ],
+            [ 'x4', '+- hc dx4 0' ],
+            [ 'y4', '+- vc dy4 0' ],
+            [ 'sw0', '+- 21600000 0 stAng' ],
+            [ 'da1', '+- swAng 0 sw0' ],
+            [ 'g1', 'max x1 x2' ],
+            [ 'g2', 'max x3 x4' ],
+            [ 'g3', 'max g1 g2' ],
+            [ 'ir', '?: da1 r g3' ],
+            [ 'sw1', '+- cd4 0 stAng' ],
+            [ 'sw2', '+- 27000000 0 stAng' ],
+            [ 'sw3', '?: sw1 sw1 sw2' ],
+            [ 'da2', '+- swAng 0 sw3' ],
+            [ 'g5', 'max y1 y2' ],
+            [ 'g6', 'max y3 y4' ],
+            [ 'g7', 'max g5 g6' ],
+            [ 'ib', '?: da2 b g7' ],
+            [ 'sw4', '+- cd2 0 stAng' ],
+            [ 'sw5', '+- 32400000 0 stAng' ],
+            [ 'sw6', '?: sw4 sw4 sw5' ],
+            [ 'da3', '+- swAng 0 sw6' ],
+            [ 'g9', 'min x1 x2' ],
+            [ 'g10', 'min x3 x4' ],
+            [ 'g11', 'min g9 g10' ],
+            [ 'il', '?: da3 l g11' ],
+            [ 'sw7', '+- 3cd4 0 stAng' ],
+            [ 'sw8', '+- 37800000 0 stAng' ],
+            [ 'sw9', '?: sw7 sw7 sw8' ],
+            [ 'da4', '+- swAng 0 sw9' ],
+            [ 'g13', 'min y1 y2' ],
+            [ 'g14', 'min y3 y4' ],
+            [ 'g15', 'min g13 g14' ],
+            [ 'it', '?: da4 t g15' ],
+            [ 'x5', '+/ x1 x4 2' ],
+            [ 'y5', '+/ y1 y4 2' ],
+            [ 'x6', '+/ x3 x2 2' ],
+            [ 'y6', '+/ y3 y2 2' ],
+            [ 'cang1', '+- stAng 0 cd4' ],
+            [ 'cang2', '+- istAng cd4 0' ],
+            [ 'cang3', '+/ cang1 cang2 2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'stAng', 'swAng' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'arcTo', 'iwd2', 'ihd2', 'istAng', 'iswAng' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    borderCallout1: {
+        avLst: { adj1: 'val 18750', adj2: 'val -8333', adj3: 'val 112500', adj4: 'val -38333' },
+        gdLst: [
+            [ 'y1', '*/ h adj1 100000' ],
+            [ 'x1', '*/ w adj2 100000' ],
+            [ 'y2', '*/ h adj3 100000' ],
+            [ 'x2', '*/ w adj4 100000' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                ],
+            },
+        ],
+    },
+    borderCallout2: {
+        avLst: { adj1: 'val 18750', adj2: 'val -8333', adj3: 'val 18750', adj4: 'val -16667', adj5: 'val 112500', adj6: 'val -46667' },
+        gdLst: [
+            [ 'y1', '*/ h adj1 100000' ],
+            [ 'x1', '*/ w adj2 100000' ],
+            [ 'y2', '*/ h adj3 100000' ],
+            [ 'x2', '*/ w adj4 100000' ],
+            [ 'y3', '*/ h adj5 100000' ],
+            [ 'x3', '*/ w adj6 100000' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x3', 'y3' ],
+                ],
+            },
+        ],
+    },
+    borderCallout3: {
+        avLst: { adj1: 'val 18750', adj2: 'val -8333', adj3: 'val 18750', adj4: 'val -16667', adj5: 'val 100000', adj6: 'val -16667', adj7: 'val 112963', adj8: 'val -8333' },
+        gdLst: [
+            [ 'y1', '*/ h adj1 100000' ],
+            [ 'x1', '*/ w adj2 100000' ],
+            [ 'y2', '*/ h adj3 100000' ],
+            [ 'x2', '*/ w adj4 100000' ],
+            [ 'y3', '*/ h adj5 100000' ],
+            [ 'x3', '*/ w adj6 100000' ],
+            [ 'y4', '*/ h adj7 100000' ],
+            [ 'x4', '*/ w adj8 100000' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x3', 'y3' ],
+                    [ 'lnTo', 'x4', 'y4' ],
+                ],
+            },
+        ],
+    },
+    bracePair: {
+        avLst: { adj: 'val 8333' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 25000' ],
+            [ 'x1', '*/ ss a 100000' ],
+            [ 'x2', '*/ ss a 50000' ],
+            [ 'x3', '+- r 0 x2' ],
+            [ 'x4', '+- r 0 x1' ],
+            [ 'y2', '+- vc 0 x1' ],
+            [ 'y3', '+- vc x1 0' ],
+            [ 'y4', '+- b 0 x1' ],
+            [ 'it', '*/ x1 29289 100000' ],
+            [ 'il', '+- x1 it 0' ],
+            [ 'ir', '+- r 0 il' ],
+            [ 'ib', '+- b 0 it' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'x2', 'b' ],
+                    [ 'arcTo', 'x1', 'x1', 'cd4', 'cd4' ],
+                    [ 'lnTo', 'x1', 'y3' ],
+                    [ 'arcTo', 'x1', 'x1', '0', '-5400000' ],
+                    [ 'arcTo', 'x1', 'x1', 'cd4', '-5400000' ],
+                    [ 'lnTo', 'x1', 'x1' ],
+                    [ 'arcTo', 'x1', 'x1', 'cd2', 'cd4' ],
+                    [ 'lnTo', 'x3', 't' ],
+                    [ 'arcTo', 'x1', 'x1', '3cd4', 'cd4' ],
+                    [ 'lnTo', 'x4', 'y2' ],
+                    [ 'arcTo', 'x1', 'x1', 'cd2', '-5400000' ],
+                    [ 'arcTo', 'x1', 'x1', '3cd4', '-5400000' ],
+                    [ 'lnTo', 'x4', 'y4' ],
+                    [ 'arcTo', 'x1', 'x1', '0', 'cd4' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x2', 'b' ],
+                    [ 'arcTo', 'x1', 'x1', 'cd4', 'cd4' ],
+                    [ 'lnTo', 'x1', 'y3' ],
+                    [ 'arcTo', 'x1', 'x1', '0', '-5400000' ],
+                    [ 'arcTo', 'x1', 'x1', 'cd4', '-5400000' ],
+                    [ 'lnTo', 'x1', 'x1' ],
+                    [ 'arcTo', 'x1', 'x1', 'cd2', 'cd4' ],
+                    [ 'moveTo', 'x3', 't' ],
+                    [ 'arcTo', 'x1', 'x1', '3cd4', 'cd4' ],
+                    [ 'lnTo', 'x4', 'y2' ],
+                    [ 'arcTo', 'x1', 'x1', 'cd2', '-5400000' ],
+                    [ 'arcTo', 'x1', 'x1', '3cd4', '-5400000' ],
+                    [ 'lnTo', 'x4', 'y4' ],
+                    [ 'arcTo', 'x1', 'x1', '0', 'cd4' ],
+                ],
+            },
+        ],
+    },
+    bracketPair: {
+        avLst: { adj: 'val 16667' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 50000' ],
+            [ 'x1', '*/ ss a 100000' ],
+            [ 'x2', '+- r 0 x1' ],
+            [ 'y2', '+- b 0 x1' ],
+            [ 'il', '*/ x1 29289 100000' ],
+            [ 'ir', '+- r 0 il' ],
+            [ 'ib', '+- b 0 il' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 'x1' ],
+                    [ 'arcTo', 'x1', 'x1', 'cd2', 'cd4' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'arcTo', 'x1', 'x1', '3cd4', 'cd4' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                    [ 'arcTo', 'x1', 'x1', '0', 'cd4' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                    [ 'arcTo', 'x1', 'x1', 'cd4', 'cd4' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x1', 'b' ],
+                    [ 'arcTo', 'x1', 'x1', 'cd4', 'cd4' ],
+                    [ 'lnTo', 'l', 'x1' ],
+                    [ 'arcTo', 'x1', 'x1', 'cd2', 'cd4' ],
+                    [ 'moveTo', 'x2', 't' ],
+                    [ 'arcTo', 'x1', 'x1', '3cd4', 'cd4' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                    [ 'arcTo', 'x1', 'x1', '0', 'cd4' ],
+                ],
+            },
+        ],
+    },
+    callout1: {
+        avLst: { adj1: 'val 18750', adj2: 'val -8333', adj3: 'val 112500', adj4: 'val -38333' },
+        gdLst: [
+            [ 'y1', '*/ h adj1 100000' ],
+            [ 'x1', '*/ w adj2 100000' ],
+            [ 'y2', '*/ h adj3 100000' ],
+            [ 'x2', '*/ w adj4 100000' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                ],
+            },
+        ],
+    },
+    callout2: {
+        avLst: { adj1: 'val 18750', adj2: 'val -8333', adj3: 'val 18750', adj4: 'val -16667', adj5: 'val 112500', adj6: 'val -46667' },
+        gdLst: [
+            [ 'y1', '*/ h adj1 100000' ],
+            [ 'x1', '*/ w adj2 100000' ],
+            [ 'y2', '*/ h adj3 100000' ],
+            [ 'x2', '*/ w adj4 100000' ],
+            [ 'y3', '*/ h adj5 100000' ],
+            [ 'x3', '*/ w adj6 100000' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x3', 'y3' ],
+                ],
+            },
+        ],
+    },
+    callout3: {
+        avLst: { adj1: 'val 18750', adj2: 'val -8333', adj3: 'val 18750', adj4: 'val -16667', adj5: 'val 100000', adj6: 'val -16667', adj7: 'val 112963', adj8: 'val -8333' },
+        gdLst: [
+            [ 'y1', '*/ h adj1 100000' ],
+            [ 'x1', '*/ w adj2 100000' ],
+            [ 'y2', '*/ h adj3 100000' ],
+            [ 'x2', '*/ w adj4 100000' ],
+            [ 'y3', '*/ h adj5 100000' ],
+            [ 'x3', '*/ w adj6 100000' ],
+            [ 'y4', '*/ h adj7 100000' ],
+            [ 'x4', '*/ w adj8 100000' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x3', 'y3' ],
+                    [ 'lnTo', 'x4', 'y4' ],
+                ],
+            },
+        ],
+    },
+    can: {
+        avLst: { adj: 'val 25000' },
+        gdLst: [
+            [ 'maxAdj', '*/ 50000 h ss' ],
+            [ 'a', 'pin 0 adj maxAdj' ],
+            [ 'y1', '*/ ss a 200000' ],
+            [ 'y2', '+- y1 y1 0' ],
+            [ 'y3', '+- b 0 y1' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 'y1' ],
+                    [ 'arcTo', 'wd2', 'y1', 'cd2', '-10800000' ],
+                    [ 'lnTo', 'r', 'y3' ],
+                    [ 'arcTo', 'wd2', 'y1', '0', 'cd2' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'lighten',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 'y1' ],
+                    [ 'arcTo', 'wd2', 'y1', 'cd2', 'cd2' ],
+                    [ 'arcTo', 'wd2', 'y1', '0', 'cd2' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'r', 'y1' ],
+                    [ 'arcTo', 'wd2', 'y1', '0', 'cd2' ],
+                    [ 'arcTo', 'wd2', 'y1', 'cd2', 'cd2' ],
+                    [ 'lnTo', 'r', 'y3' ],
+                    [ 'arcTo', 'wd2', 'y1', '0', 'cd2' ],
+                    [ 'lnTo', 'l', 'y1' ],
+                ],
+            },
+        ],
+    },
+    chartPlus: {
+        pathLst: [
+            {
+                w: 10,
+                h: 10,
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', '5', '0' ],
+                    [ 'lnTo', '5', '10' ],
+                    [ 'moveTo', '0', '5' ],
+                    [ 'lnTo', '10', '5' ],
+                ],
+            },
+            {
+                w: 10,
+                h: 10,
+                stroke: false,
+                commands: [
+                    [ 'moveTo', '0', '0' ],
+                    [ 'lnTo', '0', '10' ],
+                    [ 'lnTo', '10', '10' ],
+                    [ 'lnTo', '10', '0' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    chartStar: {
+        pathLst: [
+            {
+                w: 10,
+                h: 10,
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', '0', '0' ],
+                    [ 'lnTo', '10', '10' ],
+                    [ 'moveTo', '0', '10' ],
+                    [ 'lnTo', '10', '0' ],
+                    [ 'moveTo', '5', '0' ],
+                    [ 'lnTo', '5', '10' ],
+                ],
+            },
+            {
+                w: 10,
+                h: 10,
+                stroke: false,
+                commands: [
+                    [ 'moveTo', '0', '0' ],
+                    [ 'lnTo', '0', '10' ],
+                    [ 'lnTo', '10', '10' ],
+                    [ 'lnTo', '10', '0' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    chartX: {
+        pathLst: [
+            {
+                w: 10,
+                h: 10,
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', '0', '0' ],
+                    [ 'lnTo', '10', '10' ],
+                    [ 'moveTo', '0', '10' ],
+                    [ 'lnTo', '10', '0' ],
+                ],
+            },
+            {
+                w: 10,
+                h: 10,
+                stroke: false,
+                commands: [
+                    [ 'moveTo', '0', '0' ],
+                    [ 'lnTo', '0', '10' ],
+                    [ 'lnTo', '10', '10' ],
+                    [ 'lnTo', '10', '0' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    chevron: {
+        avLst: { adj: 'val 50000' },
+        gdLst: [
+            [ 'maxAdj', '*/ 100000 w ss' ],
+            [ 'a', 'pin 0 adj maxAdj' ],
+            [ 'x1', '*/ ss a 100000' ],
+            [ 'x2', '+- r 0 x1' ],
+            [ 'x3', '*/ x2 1 2' ],
+            [ 'dx', '+- x2 0 x1' ],
+            [ 'il', '?: dx x1 l' ],
+            [ 'ir', '?: dx x2 r' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'lnTo', 'r', 'vc' ],
+                    [ 'lnTo', 'x2', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'lnTo', 'x1', 'vc' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    chord: {
+        avLst: { adj1: 'val 2700000', adj2: 'val 16200000' },
+        gdLst: [
+            [ 'stAng', 'pin 0 adj1 21599999' ],
+            [ 'enAng', 'pin 0 adj2 21599999' ],
+            [ 'sw1', '+- enAng 0 stAng' ],
+            [ 'sw2', '+- sw1 21600000 0' ],
+            [ 'swAng', '?: sw1 sw1 sw2' ],
+            [ 'wt1', 'sin wd2 stAng' ],
+            [ 'ht1', 'cos hd2 stAng' ],
+            [ 'dx1', 'cat2 wd2 ht1 wt1' ],
+            [ 'dy1', 'sat2 hd2 ht1 wt1' ],
+            [ 'wt2', 'sin wd2 enAng' ],
+            [ 'ht2', 'cos hd2 enAng' ],
+            [ 'dx2', 'cat2 wd2 ht2 wt2' ],
+            [ 'dy2', 'sat2 hd2 ht2 wt2' ],
+            [ 'x1', '+- hc dx1 0' ],
+            [ 'y1', '+- vc dy1 0' ],
+            [ 'x2', '+- hc dx2 0' ],
+            [ 'y2', '+- vc dy2 0' ],
+            [ 'x3', '+/ x1 x2 2' ],
+            [ 'y3', '+/ y1 y2 2' ],
+            [ 'midAng0', '*/ swAng 1 2' ],
+            [ 'midAng', '+- stAng midAng0 cd2' ],
+            [ 'idx', 'cos wd2 2700000' ],
+            [ 'idy', 'sin hd2 2700000' ],
+            [ 'il', '+- hc 0 idx' ],
+            [ 'ir', '+- hc idx 0' ],
+            [ 'it', '+- vc 0 idy' ],
+            [ 'ib', '+- vc idy 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'stAng', 'swAng' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    circularArrow: {
+        avLst: { adj1: 'val 12500', adj2: 'val 1142319', adj3: 'val 20457681', adj4: 'val 10800000', adj5: 'val 12500' },
+        gdLst: [
+            [ 'a5', 'pin 0 adj5 25000' ],
+            [ 'maxAdj1', '*/ a5 2 1' ],
+            [ 'a1', 'pin 0 adj1 maxAdj1' ],
+            [ 'enAng', 'pin 1 adj3 21599999' ],
+            [ 'stAng', 'pin 0 adj4 21599999' ],
+            [ 'th', '*/ ss a1 100000' ],
+            [ 'thh', '*/ ss a5 100000' ],
+            [ 'th2', '*/ th 1 2' ],
+            [ 'rw1', '+- wd2 th2 thh' ],
+            [ 'rh1', '+- hd2 th2 thh' ],
+            [ 'rw2', '+- rw1 0 th' ],
+            [ 'rh2', '+- rh1 0 th' ],
+            [ 'rw3', '+- rw2 th2 0' ],
+            [ 'rh3', '+- rh2 th2 0' ],
+            [ 'wtH', 'sin rw3 enAng' ],
+            [ 'htH', 'cos rh3 enAng' ],
+            [ 'dxH', 'cat2 rw3 htH wtH' ],
+            [ 'dyH', 'sat2 rh3 htH wtH' ],
+            [ 'xH', '+- hc dxH 0' ],
+            [ 'yH', '+- vc dyH 0' ],
+            [ 'rI', 'min rw2 rh2' ],
+            [ 'u1', '*/ dxH dxH 1' ],
+            [ 'u2', '*/ dyH dyH 1' ],
+            [ 'u3', '*/ rI rI 1' ],
+            [ 'u4', '+- u1 0 u3' ],
+            [ 'u5', '+- u2 0 u3' ],
+            [ 'u6', '*/ u4 u5 u1' ],
+            [ 'u7', '*/ u6 1 u2' ],
+            [ 'u8', '+- 1 0 u7' ],
+            [ 'u9', 'sqrt u8' ],
+            [ 'u10', '*/ u4 1 dxH' ],
+            [ 'u11', '*/ u10 1 dyH' ],
+            [ 'u12', '+/ 1 u9 u11' ],
+            [ 'u13', 'at2 1 u12' ],
+            [ 'u14', '+- u13 21600000 0' ],
+            [ 'u15', '?: u13 u13 u14' ],
+            [ 'u16', '+- u15 0 enAng' ],
+            [ 'u17', '+- u16 21600000 0' ],
+            [ 'u18', '?: u16 u16 u17' ],
+            [ 'u19', '+- u18 0 cd2' ],
+            [ 'u20', '+- u18 0 21600000' ],
+            [ 'u21', '?: u19 u20 u18' ],
+            [ 'maxAng', 'abs u21' ],
+            [ 'aAng', 'pin 0 adj2 maxAng' ],
+            [ 'ptAng', '+- enAng aAng 0' ],
+            [ 'wtA', 'sin rw3 ptAng' ],
+            [ 'htA', 'cos rh3 ptAng' ],
+            [ 'dxA', 'cat2 rw3 htA wtA' ],
+            [ 'dyA', 'sat2 rh3 htA wtA' ],
+            [ 'xA', '+- hc dxA 0' ],
+            [ 'yA', '+- vc dyA 0' ],
+            [ 'wtE', 'sin rw1 stAng' ],
+            [ 'htE', 'cos rh1 stAng' ],
+            [ 'dxE', 'cat2 rw1 htE wtE' ],
+            [ 'dyE', 'sat2 rh1 htE wtE' ],
+            [ 'xE', '+- hc dxE 0' ],
+            [ 'yE', '+- vc dyE 0' ],
+            [ 'dxG', 'cos thh ptAng' ],
+            [ 'dyG', 'sin thh ptAng' ],
+            [ 'xG', '+- xH dxG 0' ],
+            [ 'yG', '+- yH dyG 0' ],
+            [ 'dxB', 'cos thh ptAng' ],
+            [ 'dyB', 'sin thh ptAng' ],
+            [ 'xB', '+- xH 0 dxB 0' ],
+            [ 'yB', '+- yH 0 dyB 0' ],
+            [ 'sx1', '+- xB 0 hc' ],
+            [ 'sy1', '+- yB 0 vc' ],
+            [ 'sx2', '+- xG 0 hc' ],
+            [ 'sy2', '+- yG 0 vc' ],
+            [ 'rO', 'min rw1 rh1' ],
+            [ 'x1O', '*/ sx1 rO rw1' ],
+            [ 'y1O', '*/ sy1 rO rh1' ],
+            [ 'x2O', '*/ sx2 rO rw1' ],
+            [ 'y2O', '*/ sy2 rO rh1' ],
+            [ 'dxO', '+- x2O 0 x1O' ],
+            [ 'dyO', '+- y2O 0 y1O' ],
+            [ 'dO', 'mod dxO dyO 0' ],
+            [ 'q1', '*/ x1O y2O 1' ],
+            [ 'q2', '*/ x2O y1O 1' ],
+            [ 'DO', '+- q1 0 q2' ],
+            [ 'q3', '*/ rO rO 1' ],
+            [ 'q4', '*/ dO dO 1' ],
+            [ 'q5', '*/ q3 q4 1' ],
+            [ 'q6', '*/ DO DO 1' ],
+            [ 'q7', '+- q5 0 q6' ],
+            [ 'q8', 'max q7 0' ],
+            [ 'sdelO', 'sqrt q8' ],
+            [ 'ndyO', '*/ dyO -1 1' ],
+            [ 'sdyO', '?: ndyO -1 1' ],
+            [ 'q9', '*/ sdyO dxO 1' ],
+            [ 'q10', '*/ q9 sdelO 1' ],
+            [ 'q11', '*/ DO dyO 1' ],
+            [ 'dxF1', '+/ q11 q10 q4' ],
+            [ 'q12', '+- q11 0 q10' ],
+            [ 'dxF2', '*/ q12 1 q4' ],
+            [ 'adyO', 'abs dyO' ],
+            [ 'q13', '*/ adyO sdelO 1' ],
+            [ 'q14', '*/ DO dxO -1' ],
+            [ 'dyF1', '+/ q14 q13 q4' ],
+            [ 'q15', '+- q14 0 q13' ],
+            [ 'dyF2', '*/ q15 1 q4' ],
+            [ 'q16', '+- x2O 0 dxF1' ],
+            [ 'q17', '+- x2O 0 dxF2' ],
+            [ 'q18', '+- y2O 0 dyF1' ],
+            [ 'q19', '+- y2O 0 dyF2' ],
+            [ 'q20', 'mod q16 q18 0' ],
+            [ 'q21', 'mod q17 q19 0' ],
+            [ 'q22', '+- q21 0 q20' ],
+            [ 'dxF', '?: q22 dxF1 dxF2' ],
+            [ 'dyF', '?: q22 dyF1 dyF2' ],
+            [ 'sdxF', '*/ dxF rw1 rO' ],
+            [ 'sdyF', '*/ dyF rh1 rO' ],
+            [ 'xF', '+- hc sdxF 0' ],
+            [ 'yF', '+- vc sdyF 0' ],
+            [ 'x1I', '*/ sx1 rI rw2' ],
+            [ 'y1I', '*/ sy1 rI rh2' ],
+            [ 'x2I', '*/ sx2 rI rw2' ],
+            [ 'y2I', '*/ sy2 rI rh2' ],
+            [ 'dxI', '+- x2I 0 x1I' ],
+            [ 'dyI', '+- y2I 0 y1I' ],
+            [ 'dI', 'mod dxI dyI 0' ],
+            [ 'v1', '*/ x1I y2I 1' ],
+            [ 'v2', '*/ x2I y1I 1' ],
+            [ 'DI', '+- v1 0 v2' ],
+            [ 'v3', '*/ rI rI 1' ],
+            [ 'v4', '*/ dI dI 1' ],
+            [ 'v5', '*/ v3 v4 1' ],
+            [ 'v6', '*/ DI DI 1' ],
+            [ 'v7', '+- v5 0 v6' ],
+            [ 'v8', 'max v7 0' ],
+            [ 'sdelI', 'sqrt v8' ],
+            [ 'v9', '*/ sdyO dxI 1' ],
+            [ 'v10', '*/ v9 sdelI 1' ],
+            [ 'v11', '*/ DI dyI 1' ],
+            [ 'dxC1', '+/ v11 v10 v4' ],
+            [ 'v12', '+- v11 0 v10' ],
+            [ 'dxC2', '*/ v12 1 v4' ],
+            [ 'adyI', 'abs dyI' ],
+            [ 'v13', '*/ adyI sdelI 1' ],
+            [ 'v14', '*/ DI dxI -1' ],
+            [ 'dyC1', '+/ v14 v13 v4' ],
+            [ 'v15', '+- v14 0 v13' ],
+            [ 'dyC2', '*/ v15 1 v4' ],
+            [ 'v16', '+- x1I 0 dxC1' ],
+            [ 'v17', '+- x1I 0 dxC2' ],
+            [ 'v18', '+- y1I 0 dyC1' ],
+            [ 'v19', '+- y1I 0 dyC2' ],
+            [ 'v20', 'mod v16 v18 0' ],
+            [ 'v21', 'mod v17 v19 0' ],
+            [ 'v22', '+- v21 0 v20' ],
+            [ 'dxC', '?: v22 dxC1 dxC2' ],
+            [ 'dyC', '?: v22 dyC1 dyC2' ],
+            [ 'sdxC', '*/ dxC rw2 rI' ],
+            [ 'sdyC', '*/ dyC rh2 rI' ],
+            [ 'xC', '+- hc sdxC 0' ],
+            [ 'yC', '+- vc sdyC 0' ],
+            [ 'ist0', 'at2 sdxC sdyC' ],
+            [ 'ist1', '+- ist0 21600000 0' ],
+            [ 'istAng', '?: ist0 ist0 ist1' ],
+            [ 'isw1', '+- stAng 0 istAng' ],
+            [ 'isw2', '+- isw1 0 21600000' ],
+            [ 'iswAng', '?: isw1 isw2 isw1' ],
+            [ 'p1', '+- xF 0 xC' ],
+            [ 'p2', '+- yF 0 yC' ],
+            [ 'p3', 'mod p1 p2 0' ],
+            [ 'p4', '*/ p3 1 2' ],
+            [ 'p5', '+- p4 0 thh' ],
+            [ 'xGp', '?: p5 xF xG' ],
+            [ 'yGp', '?: p5 yF yG' ],
+            [ 'xBp', '?: p5 xC xB' ],
+            [ 'yBp', '?: p5 yC yB' ],
+            [ 'en0', 'at2 sdxF sdyF' ],
+            [ 'en1', '+- en0 21600000 0' ],
+            [ 'en2', '?: en0 en0 en1' ],
+            [ 'sw0', '+- en2 0 stAng' ],
+            [ 'sw1', '+- sw0 21600000 0' ],
+            [ 'swAng', '?: sw0 sw0 sw1' ],
+            [ 'wtI', 'sin rw3 stAng' ],
+            [ 'htI', 'cos rh3 stAng' ],
+            [ 'dxI', 'cat2 rw3 htI wtI' ],
+            [ 'dyI', 'sat2 rh3 htI wtI' ],
+            [ 'xI', '+- hc dxI 0' ],
+            [ 'yI', '+- vc dyI 0' ],
+            [ 'aI', '+- stAng 0 cd4' ],
+            [ 'aA', '+- ptAng cd4 0' ],
+            [ 'aB', '+- ptAng cd2 0' ],
+            [ 'idx', 'cos rw1 2700000' ],
+            [ 'idy', 'sin rh1 2700000' ],
+            [ 'il', '+- hc 0 idx' ],
+            [ 'ir', '+- hc idx 0' ],
+            [ 'it', '+- vc 0 idy' ],
+            [ 'ib', '+- vc idy 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'xE', 'yE' ],
+                    [ 'arcTo', 'rw1', 'rh1', 'stAng', 'swAng' ],
+                    [ 'lnTo', 'xGp', 'yGp' ],
+                    [ 'lnTo', 'xA', 'yA' ],
+                    [ 'lnTo', 'xBp', 'yBp' ],
+                    [ 'lnTo', 'xC', 'yC' ],
+                    [ 'arcTo', 'rw2', 'rh2', 'istAng', 'iswAng' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    cloud: {
+        gdLst: [
+            [ 'il', '*/ w 2977 21600' ],
+            [ 'it', '*/ h 3262 21600' ],
+            [ 'ir', '*/ w 17087 21600' ],
+            [ 'ib', '*/ h 17337 21600' ],
+            [ 'g27', '*/ w 67 21600' ],
+            [ 'g28', '*/ h 21577 21600' ],
+            [ 'g29', '*/ w 21582 21600' ],
+            [ 'g30', '*/ h 1235 21600' ],
+        ],
+        pathLst: [
+            {
+                w: 43200,
+                h: 43200,
+                commands: [
+                    [ 'moveTo', '3900', '14370' ],
+                    [ 'arcTo', '6753', '9190', '-11429249', '7426832' ],
+                    [ 'arcTo', '5333', '7267', '-8646143', '5396714' ],
+                    [ 'arcTo', '4365', '5945', '-8748475', '5983381' ],
+                    [ 'arcTo', '4857', '6595', '-7859164', '7034504' ],
+                    [ 'arcTo', '5333', '7273', '-4722533', '6541615' ],
+                    [ 'arcTo', '6775', '9220', '-2776035', '7816140' ],
+                    [ 'arcTo', '5785', '7867', '37501', '6842000' ],
+                    [ 'arcTo', '6752', '9215', '1347096', '6910353' ],
+                    [ 'arcTo', '7720', '10543', '3974558', '4542661' ],
+                    [ 'arcTo', '4360', '5918', '-16496525', '8804134' ],
+                    [ 'arcTo', '4345', '5945', '-14809710', '9151131' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                w: 43200,
+                h: 43200,
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', '4693', '26177' ],
+                    [ 'arcTo', '4345', '5945', '5204520', '1585770' ],
+                    [ 'moveTo', '6928', '34899' ],
+                    [ 'arcTo', '4360', '5918', '4416628', '686848' ],
+                    [ 'moveTo', '16478', '39090' ],
+                    [ 'arcTo', '6752', '9215', '8257449', '844866' ],
+                    [ 'moveTo', '28827', '34751' ],
+                    [ 'arcTo', '6752', '9215', '387196', '959901' ],
+                    [ 'moveTo', '34129', '22954' ],
+                    [ 'arcTo', '5785', '7867', '-4217541', '4255042' ],
+                    [ 'moveTo', '41798', '15354' ],
+                    [ 'arcTo', '5333', '7273', '1819082', '1665090' ],
+                    [ 'moveTo', '38324', '5426' ],
+                    [ 'arcTo', '4857', '6595', '-824660', '891534' ],
+                    [ 'moveTo', '29078', '3952' ],
+                    [ 'arcTo', '4857', '6595', '-8950887', '1091722' ],
+                    [ 'moveTo', '22141', '4720' ],
+                    [ 'arcTo', '4365', '5945', '-9809656', '1061181' ],
+                    [ 'moveTo', '14000', '5192' ],
+                    [ 'arcTo', '6753', '9190', '-4002417', '739161' ],
+                    [ 'moveTo', '4127', '15789' ],
+                    [ 'arcTo', '6753', '9190', '9459261', '711490' ],
+                ],
+            },
+        ],
+    },
+    cloudCallout: {
+        avLst: { adj1: 'val -20833', adj2: 'val 62500' },
+        gdLst: [
+            [ 'dxPos', '*/ w adj1 100000' ],
+            [ 'dyPos', '*/ h adj2 100000' ],
+            [ 'xPos', '+- hc dxPos 0' ],
+            [ 'yPos', '+- vc dyPos 0' ],
+            [ 'ht', 'cat2 hd2 dxPos dyPos' ],
+            [ 'wt', 'sat2 wd2 dxPos dyPos' ],
+            [ 'g2', 'cat2 wd2 ht wt' ],
+            [ 'g3', 'sat2 hd2 ht wt' ],
+            [ 'g4', '+- hc g2 0' ],
+            [ 'g5', '+- vc g3 0' ],
+            [ 'g6', '+- g4 0 xPos' ],
+            [ 'g7', '+- g5 0 yPos' ],
+            [ 'g8', 'mod g6 g7 0' ],
+            [ 'g9', '*/ ss 6600 21600' ],
+            [ 'g10', '+- g8 0 g9' ],
+            [ 'g11', '*/ g10 1 3' ],
+            [ 'g12', '*/ ss 1800 21600' ],
+            [ 'g13', '+- g11 g12 0' ],
+            [ 'g14', '*/ g13 g6 g8' ],
+            [ 'g15', '*/ g13 g7 g8' ],
+            [ 'g16', '+- g14 xPos 0' ],
+            [ 'g17', '+- g15 yPos 0' ],
+            [ 'g18', '*/ ss 4800 21600' ],
+            [ 'g19', '*/ g11 2 1' ],
+            [ 'g20', '+- g18 g19 0' ],
+            [ 'g21', '*/ g20 g6 g8' ],
+            [ 'g22', '*/ g20 g7 g8' ],
+            [ 'g23', '+- g21 xPos 0' ],
+            [ 'g24', '+- g22 yPos 0' ],
+            [ 'g25', '*/ ss 1200 21600' ],
+            [ 'g26', '*/ ss 600 21600' ],
+            [ 'x23', '+- xPos g26 0' ],
+            [ 'x24', '+- g16 g25 0' ],
+            [ 'x25', '+- g23 g12 0' ],
+            [ 'il', '*/ w 2977 21600' ],
+            [ 'it', '*/ h 3262 21600' ],
+            [ 'ir', '*/ w 17087 21600' ],
+            [ 'ib', '*/ h 17337 21600' ],
+            [ 'g27', '*/ w 67 21600' ],
+            [ 'g28', '*/ h 21577 21600' ],
+            [ 'g29', '*/ w 21582 21600' ],
+            [ 'g30', '*/ h 1235 21600' ],
+            [ 'pang', 'at2 dxPos dyPos' ],
+        ],
+        pathLst: [
+            {
+                w: 43200,
+                h: 43200,
+                commands: [
+                    [ 'moveTo', '3900', '14370' ],
+                    [ 'arcTo', '6753', '9190', '-11429249', '7426832' ],
+                    [ 'arcTo', '5333', '7267', '-8646143', '5396714' ],
+                    [ 'arcTo', '4365', '5945', '-8748475', '5983381' ],
+                    [ 'arcTo', '4857', '6595', '-7859164', '7034504' ],
+                    [ 'arcTo', '5333', '7273', '-4722533', '6541615' ],
+                    [ 'arcTo', '6775', '9220', '-2776035', '7816140' ],
+                    [ 'arcTo', '5785', '7867', '37501', '6842000' ],
+                    [ 'arcTo', '6752', '9215', '1347096', '6910353' ],
+                    [ 'arcTo', '7720', '10543', '3974558', '4542661' ],
+                    [ 'arcTo', '4360', '5918', '-16496525', '8804134' ],
+                    [ 'arcTo', '4345', '5945', '-14809710', '9151131' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                commands: [
+                    [ 'moveTo', 'x23', 'yPos' ],
+                    [ 'arcTo', 'g26', 'g26', '0', '21600000' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                commands: [
+                    [ 'moveTo', 'x24', 'g17' ],
+                    [ 'arcTo', 'g25', 'g25', '0', '21600000' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                commands: [
+                    [ 'moveTo', 'x25', 'g24' ],
+                    [ 'arcTo', 'g12', 'g12', '0', '21600000' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                w: 43200,
+                h: 43200,
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', '4693', '26177' ],
+                    [ 'arcTo', '4345', '5945', '5204520', '1585770' ],
+                    [ 'moveTo', '6928', '34899' ],
+                    [ 'arcTo', '4360', '5918', '4416628', '686848' ],
+                    [ 'moveTo', '16478', '39090' ],
+                    [ 'arcTo', '6752', '9215', '8257449', '844866' ],
+                    [ 'moveTo', '28827', '34751' ],
+                    [ 'arcTo', '6752', '9215', '387196', '959901' ],
+                    [ 'moveTo', '34129', '22954' ],
+                    [ 'arcTo', '5785', '7867', '-4217541', '4255042' ],
+                    [ 'moveTo', '41798', '15354' ],
+                    [ 'arcTo', '5333', '7273', '1819082', '1665090' ],
+                    [ 'moveTo', '38324', '5426' ],
+                    [ 'arcTo', '4857', '6595', '-824660', '891534' ],
+                    [ 'moveTo', '29078', '3952' ],
+                    [ 'arcTo', '4857', '6595', '-8950887', '1091722' ],
+                    [ 'moveTo', '22141', '4720' ],
+                    [ 'arcTo', '4365', '5945', '-9809656', '1061181' ],
+                    [ 'moveTo', '14000', '5192' ],
+                    [ 'arcTo', '6753', '9190', '-4002417', '739161' ],
+                    [ 'moveTo', '4127', '15789' ],
+                    [ 'arcTo', '6753', '9190', '9459261', '711490' ],
+                ],
+            },
+        ],
+    },
+    corner: {
+        avLst: { adj1: 'val 50000', adj2: 'val 50000' },
+        gdLst: [
+            [ 'maxAdj1', '*/ 100000 h ss' ],
+            [ 'maxAdj2', '*/ 100000 w ss' ],
+            [ 'a1', 'pin 0 adj1 maxAdj1' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'x1', '*/ ss a2 100000' ],
+            [ 'dy1', '*/ ss a1 100000' ],
+            [ 'y1', '+- b 0 dy1' ],
+            [ 'cx1', '*/ x1 1 2' ],
+            [ 'cy1', '+/ y1 b 2' ],
+            [ 'd', '+- w 0 h' ],
+            [ 'it', '?: d y1 t' ],
+            [ 'ir', '?: d r x1' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'x1', 't' ],
+                    [ 'lnTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'r', 'y1' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    cornerTabs: {
+        gdLst: [
+            [ 'md', 'mod w h 0' ],
+            [ 'dx', '*/ 1 md 20' ],
+            [ 'y1', '+- 0 b dx' ],
+            [ 'x1', '+- 0 r dx' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'dx', 't' ],
+                    [ 'lnTo', 'l', 'dx' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'y1' ],
+                    [ 'lnTo', 'dx', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                commands: [
+                    [ 'moveTo', 'x1', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'dx' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                commands: [
+                    [ 'moveTo', 'r', 'y1' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    cube: {
+        avLst: { adj: 'val 25000' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 100000' ],
+            [ 'y1', '*/ ss a 100000' ],
+            [ 'y4', '+- b 0 y1' ],
+            [ 'y2', '*/ y4 1 2' ],
+            [ 'y3', '+/ y1 b 2' ],
+            [ 'x4', '+- r 0 y1' ],
+            [ 'x2', '*/ x4 1 2' ],
+            [ 'x3', '+/ y1 r 2' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 'y1' ],
+                    [ 'lnTo', 'x4', 'y1' ],
+                    [ 'lnTo', 'x4', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darkenLess',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'x4', 'y1' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'y4' ],
+                    [ 'lnTo', 'x4', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'lightenLess',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 'y1' ],
+                    [ 'lnTo', 'y1', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'x4', 'y1' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 'y1' ],
+                    [ 'lnTo', 'y1', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'y4' ],
+                    [ 'lnTo', 'x4', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'l', 'y1' ],
+                    [ 'lnTo', 'x4', 'y1' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'moveTo', 'x4', 'y1' ],
+                    [ 'lnTo', 'x4', 'b' ],
+                ],
+            },
+        ],
+    },
+    curvedConnector2: {
+        pathLst: [
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'cubicBezTo', 'wd2', 't', 'r', 'hd2', 'r', 'b' ],
+                ],
+            },
+        ],
+    },
+    curvedConnector3: {
+        avLst: { adj1: 'val 50000' },
+        gdLst: [
+            [ 'x2', '*/ w adj1 100000' ],
+            [ 'x1', '+/ l x2 2' ],
+            [ 'x3', '+/ r x2 2' ],
+            [ 'y3', '*/ h 3 4' ],
+        ],
+        pathLst: [
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'cubicBezTo', 'x1', 't', 'x2', 'hd4', 'x2', 'vc' ],
+                    [ 'cubicBezTo', 'x2', 'y3', 'x3', 'b', 'r', 'b' ],
+                ],
+            },
+        ],
+    },
+    curvedConnector4: {
+        avLst: { adj1: 'val 50000', adj2: 'val 50000' },
+        gdLst: [
+            [ 'x2', '*/ w adj1 100000' ],
+            [ 'x1', '+/ l x2 2' ],
+            [ 'x3', '+/ r x2 2' ],
+            [ 'x4', '+/ x2 x3 2' ],
+            [ 'x5', '+/ x3 r 2' ],
+            [ 'y4', '*/ h adj2 100000' ],
+            [ 'y1', '+/ t y4 2' ],
+            [ 'y2', '+/ t y1 2' ],
+            [ 'y3', '+/ y1 y4 2' ],
+            [ 'y5', '+/ b y4 2' ],
+        ],
+        pathLst: [
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'cubicBezTo', 'x1', 't', 'x2', 'y2', 'x2', 'y1' ],
+                    [ 'cubicBezTo', 'x2', 'y3', 'x4', 'y4', 'x3', 'y4' ],
+                    [ 'cubicBezTo', 'x5', 'y4', 'r', 'y5', 'r', 'b' ],
+                ],
+            },
+        ],
+    },
+    curvedConnector5: {
+        avLst: { adj1: 'val 50000', adj2: 'val 50000', adj3: 'val 50000' },
+        gdLst: [
+            [ 'x3', '*/ w adj1 100000' ],
+            [ 'x6', '*/ w adj3 100000' ],
+            [ 'x1', '+/ x3 x6 2' ],
+            [ 'x2', '+/ l x3 2' ],
+            [ 'x4', '+/ x3 x1 2' ],
+            [ 'x5', '+/ x6 x1 2' ],
+            [ 'x7', '+/ x6 r 2' ],
+            [ 'y4', '*/ h adj2 100000' ],
+            [ 'y1', '+/ t y4 2' ],
+            [ 'y2', '+/ t y1 2' ],
+            [ 'y3', '+/ y1 y4 2' ],
+            [ 'y5', '+/ b y4 2' ],
+            [ 'y6', '+/ y5 y4 2' ],
+            [ 'y7', '+/ y5 b 2' ],
+        ],
+        pathLst: [
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'cubicBezTo', 'x2', 't', 'x3', 'y2', 'x3', 'y1' ],
+                    [ 'cubicBezTo', 'x3', 'y3', 'x4', 'y4', 'x1', 'y4' ],
+                    [ 'cubicBezTo', 'x5', 'y4', 'x6', 'y6', 'x6', 'y5' ],
+                    [ 'cubicBezTo', 'x6', 'y7', 'x7', 'b', 'r', 'b' ],
+                ],
+            },
+        ],
+    },
+    curvedDownArrow: {
+        avLst: { adj1: 'val 25000', adj2: 'val 50000', adj3: 'val 25000' },
+        gdLst: [
+            [ 'maxAdj2', '*/ 50000 w ss' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'a1', 'pin 0 adj1 100000' ],
+            [ 'th', '*/ ss a1 100000' ],
+            [ 'aw', '*/ ss a2 100000' ],
+            [ 'q1', '+/ th aw 4' ],
+            [ 'wR', '+- wd2 0 q1' ],
+            [ 'q7', '*/ wR 2 1' ],
+            [ 'q8', '*/ q7 q7 1' ],
+            [ 'q9', '*/ th th 1' ],
+            [ 'q10', '+- q8 0 q9' ],
+            [ 'q11', 'sqrt q10' ],
+            [ 'idy', '*/ q11 h q7' ],
+            [ 'maxAdj3', '*/ 100000 idy ss' ],
+            [ 'a3', 'pin 0 adj3 maxAdj3' ],
+            [ 'ah', '*/ ss adj3 100000' ],
+            [ 'x3', '+- wR th 0' ],
+            [ 'q2', '*/ h h 1' ],
+            [ 'q3', '*/ ah ah 1' ],
+            [ 'q4', '+- q2 0 q3' ],
+            [ 'q5', 'sqrt q4' ],
+            [ 'dx', '*/ q5 wR h' ],
+            [ 'x5', '+- wR dx 0' ],
+            [ 'x7', '+- x3 dx 0' ],
+            [ 'q6', '+- aw 0 th' ],
+            [ 'dh', '*/ q6 1 2' ],
+            [ 'x4', '+- x5 0 dh' ],
+            [ 'x8', '+- x7 dh 0' ],
+            [ 'aw2', '*/ aw 1 2' ],
+            [ 'x6', '+- r 0 aw2' ],
+            [ 'y1', '+- b 0 ah' ],
+            [ 'swAng', 'at2 ah dx' ],
+            [ 'mswAng', '+- 0 0 swAng' ],
+            [ 'iy', '+- b 0 idy' ],
+            [ 'ix', '+/ wR x3 2' ],
+            [ 'q12', '*/ th 1 2' ],
+            [ 'dang2', 'at2 idy q12' ],
+            [ 'stAng', '+- 3cd4 swAng 0' ],
+            [ 'stAng2', '+- 3cd4 0 dang2' ],
+            [ 'swAng2', '+- dang2 0 cd4' ],
+            [ 'swAng3', '+- cd4 dang2 0' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'x6', 'b' ],
+                    [ 'lnTo', 'x4', 'y1' ],
+                    [ 'lnTo', 'x5', 'y1' ],
+                    [ 'arcTo', 'wR', 'h', 'stAng', 'mswAng' ],
+                    [ 'lnTo', 'x3', 't' ],
+                    [ 'arcTo', 'wR', 'h', '3cd4', 'swAng' ],
+                    [ 'lnTo', 'x8', 'y1' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darkenLess',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'ix', 'iy' ],
+                    [ 'arcTo', 'wR', 'h', 'stAng2', 'swAng2' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'arcTo', 'wR', 'h', 'cd2', 'swAng3' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'ix', 'iy' ],
+                    [ 'arcTo', 'wR', 'h', 'stAng2', 'swAng2' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'arcTo', 'wR', 'h', 'cd2', 'cd4' ],
+                    [ 'lnTo', 'x3', 't' ],
+                    [ 'arcTo', 'wR', 'h', '3cd4', 'swAng' ],
+                    [ 'lnTo', 'x8', 'y1' ],
+                    [ 'lnTo', 'x6', 'b' ],
+                    [ 'lnTo', 'x4', 'y1' ],
+                    [ 'lnTo', 'x5', 'y1' ],
+                    [ 'arcTo', 'wR', 'h', 'stAng', 'mswAng' ],
+                ],
+            },
+        ],
+    },
+    curvedLeftArrow: {
+        avLst: { adj1: 'val 25000', adj2: 'val 50000', adj3: 'val 25000' },
+        gdLst: [
+            [ 'maxAdj2', '*/ 50000 h ss' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'a1', 'pin 0 adj1 a2' ],
+            [ 'th', '*/ ss a1 100000' ],
+            [ 'aw', '*/ ss a2 100000' ],
+            [ 'q1', '+/ th aw 4' ],
+            [ 'hR', '+- hd2 0 q1' ],
+            [ 'q7', '*/ hR 2 1' ],
+            [ 'q8', '*/ q7 q7 1' ],
+            [ 'q9', '*/ th th 1' ],
+            [ 'q10', '+- q8 0 q9' ],
+            [ 'q11', 'sqrt q10' ],
+            [ 'idx', '*/ q11 w q7' ],
+            [ 'maxAdj3', '*/ 100000 idx ss' ],
+            [ 'a3', 'pin 0 adj3 maxAdj3' ],
+            [ 'ah', '*/ ss a3 100000' ],
+            [ 'y3', '+- hR th 0' ],
+            [ 'q2', '*/ w w 1' ],
+            [ 'q3', '*/ ah ah 1' ],
+            [ 'q4', '+- q2 0 q3' ],
+            [ 'q5', 'sqrt q4' ],
+            [ 'dy', '*/ q5 hR w' ],
+            [ 'y5', '+- hR dy 0' ],
+            [ 'y7', '+- y3 dy 0' ],
+            [ 'q6', '+- aw 0 th' ],
+            [ 'dh', '*/ q6 1 2' ],
+            [ 'y4', '+- y5 0 dh' ],
+            [ 'y8', '+- y7 dh 0' ],
+            [ 'aw2', '*/ aw 1 2' ],
+            [ 'y6', '+- b 0 aw2' ],
+            [ 'x1', '+- l ah 0' ],
+            [ 'swAng', 'at2 ah dy' ],
+            [ 'mswAng', '+- 0 0 swAng' ],
+            [ 'ix', '+- l idx 0' ],
+            [ 'iy', '+/ hR y3 2' ],
+            [ 'q12', '*/ th 1 2' ],
+            [ 'dang2', 'at2 idx q12' ],
+            [ 'swAng2', '+- dang2 0 swAng' ],
+            [ 'swAng3', '+- swAng dang2 0' ],
+            [ 'stAng3', '+- 0 0 dang2' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 'y6' ],
+                    [ 'lnTo', 'x1', 'y4' ],
+                    [ 'lnTo', 'x1', 'y5' ],
+                    [ 'arcTo', 'w', 'hR', 'swAng', 'swAng2' ],
+                    [ 'arcTo', 'w', 'hR', 'stAng3', 'swAng3' ],
+                    [ 'lnTo', 'x1', 'y8' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darkenLess',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'r', 'y3' ],
+                    [ 'arcTo', 'w', 'hR', '0', '-5400000' ],
+                    [ 'lnTo', 'l', 't' ],
+                    [ 'arcTo', 'w', 'hR', '3cd4', 'cd4' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'r', 'y3' ],
+                    [ 'arcTo', 'w', 'hR', '0', '-5400000' ],
+                    [ 'lnTo', 'l', 't' ],
+                    [ 'arcTo', 'w', 'hR', '3cd4', 'cd4' ],
+                    [ 'lnTo', 'r', 'y3' ],
+                    [ 'arcTo', 'w', 'hR', '0', 'swAng' ],
+                    [ 'lnTo', 'x1', 'y8' ],
+                    [ 'lnTo', 'l', 'y6' ],
+                    [ 'lnTo', 'x1', 'y4' ],
+                    [ 'lnTo', 'x1', 'y5' ],
+                    [ 'arcTo', 'w', 'hR', 'swAng', 'swAng2' ],
+                ],
+            },
+        ],
+    },
+    curvedRightArrow: {
+        avLst: { adj1: 'val 25000', adj2: 'val 50000', adj3: 'val 25000' },
+        gdLst: [
+            [ 'maxAdj2', '*/ 50000 h ss' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'a1', 'pin 0 adj1 a2' ],
+            [ 'th', '*/ ss a1 100000' ],
+            [ 'aw', '*/ ss a2 100000' ],
+            [ 'q1', '+/ th aw 4' ],
+            [ 'hR', '+- hd2 0 q1' ],
+            [ 'q7', '*/ hR 2 1' ],
+            [ 'q8', '*/ q7 q7 1' ],
+            [ 'q9', '*/ th th 1' ],
+            [ 'q10', '+- q8 0 q9' ],
+            [ 'q11', 'sqrt q10' ],
+            [ 'idx', '*/ q11 w q7' ],
+            [ 'maxAdj3', '*/ 100000 idx ss' ],
+            [ 'a3', 'pin 0 adj3 maxAdj3' ],
+            [ 'ah', '*/ ss a3 100000' ],
+            [ 'y3', '+- hR th 0' ],
+            [ 'q2', '*/ w w 1' ],
+            [ 'q3', '*/ ah ah 1' ],
+            [ 'q4', '+- q2 0 q3' ],
+            [ 'q5', 'sqrt q4' ],
+            [ 'dy', '*/ q5 hR w' ],
+            [ 'y5', '+- hR dy 0' ],
+            [ 'y7', '+- y3 dy 0' ],
+            [ 'q6', '+- aw 0 th' ],
+            [ 'dh', '*/ q6 1 2' ],
+            [ 'y4', '+- y5 0 dh' ],
+            [ 'y8', '+- y7 dh 0' ],
+            [ 'aw2', '*/ aw 1 2' ],
+            [ 'y6', '+- b 0 aw2' ],
+            [ 'x1', '+- r 0 ah' ],
+            [ 'swAng', 'at2 ah dy' ],
+            [ 'stAng', '+- cd2 0 swAng' ],
+            [ 'mswAng', '+- 0 0 swAng' ],
+            [ 'ix', '+- r 0 idx' ],
+            [ 'iy', '+/ hR y3 2' ],
+            [ 'q12', '*/ th 1 2' ],
+            [ 'dang2', 'at2 idx q12' ],
+            [ 'swAng2', '+- dang2 0 cd4' ],
+            [ 'swAng3', '+- cd4 dang2 0' ],
+            [ 'stAng3', '+- cd2 0 dang2' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 'hR' ],
+                    [ 'arcTo', 'w', 'hR', 'cd2', 'mswAng' ],
+                    [ 'lnTo', 'x1', 'y4' ],
+                    [ 'lnTo', 'r', 'y6' ],
+                    [ 'lnTo', 'x1', 'y8' ],
+                    [ 'lnTo', 'x1', 'y7' ],
+                    [ 'arcTo', 'w', 'hR', 'stAng', 'swAng' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darkenLess',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'r', 'th' ],
+                    [ 'arcTo', 'w', 'hR', '3cd4', 'swAng2' ],
+                    [ 'arcTo', 'w', 'hR', 'stAng3', 'swAng3' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 'hR' ],
+                    [ 'arcTo', 'w', 'hR', 'cd2', 'mswAng' ],
+                    [ 'lnTo', 'x1', 'y4' ],
+                    [ 'lnTo', 'r', 'y6' ],
+                    [ 'lnTo', 'x1', 'y8' ],
+                    [ 'lnTo', 'x1', 'y7' ],
+                    [ 'arcTo', 'w', 'hR', 'stAng', 'swAng' ],
+                    [ 'lnTo', 'l', 'hR' ],
+                    [ 'arcTo', 'w', 'hR', 'cd2', 'cd4' ],
+                    [ 'lnTo', 'r', 'th' ],
+                    [ 'arcTo', 'w', 'hR', '3cd4', 'swAng2' ],
+                ],
+            },
+        ],
+    },
+    curvedUpArrow: {
+        avLst: { adj1: 'val 25000', adj2: 'val 50000', adj3: 'val 25000' },
+        gdLst: [
+            [ 'maxAdj2', '*/ 50000 w ss' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'a1', 'pin 0 adj1 100000' ],
+            [ 'th', '*/ ss a1 100000' ],
+            [ 'aw', '*/ ss a2 100000' ],
+            [ 'q1', '+/ th aw 4' ],
+            [ 'wR', '+- wd2 0 q1' ],
+            [ 'q7', '*/ wR 2 1' ],
+            [ 'q8', '*/ q7 q7 1' ],
+            [ 'q9', '*/ th th 1' ],
+            [ 'q10', '+- q8 0 q9' ],
+            [ 'q11', 'sqrt q10' ],
+            [ 'idy', '*/ q11 h q7' ],
+            [ 'maxAdj3', '*/ 100000 idy ss' ],
+            [ 'a3', 'pin 0 adj3 maxAdj3' ],
+            [ 'ah', '*/ ss adj3 100000' ],
+            [ 'x3', '+- wR th 0' ],
+            [ 'q2', '*/ h h 1' ],
+            [ 'q3', '*/ ah ah 1' ],
+            [ 'q4', '+- q2 0 q3' ],
+            [ 'q5', 'sqrt q4' ],
+            [ 'dx', '*/ q5 wR h' ],
+            [ 'x5', '+- wR dx 0' ],
+            [ 'x7', '+- x3 dx 0' ],
+            [ 'q6', '+- aw 0 th' ],
+            [ 'dh', '*/ q6 1 2' ],
+            [ 'x4', '+- x5 0 dh' ],
+            [ 'x8', '+- x7 dh 0' ],
+            [ 'aw2', '*/ aw 1 2' ],
+            [ 'x6', '+- r 0 aw2' ],
+            [ 'y1', '+- t ah 0' ],
+            [ 'swAng', 'at2 ah dx' ],
+            [ 'mswAng', '+- 0 0 swAng' ],
+            [ 'iy', '+- t idy 0' ],
+            [ 'ix', '+/ wR x3 2' ],
+            [ 'q12', '*/ th 1 2' ],
+            [ 'dang2', 'at2 idy q12' ],
+            [ 'swAng2', '+- dang2 0 swAng' ],
+            [ 'mswAng2', '+- 0 0 swAng2' ],
+            [ 'stAng3', '+- cd4 0 swAng' ],
+            [ 'swAng3', '+- swAng dang2 0' ],
+            [ 'stAng2', '+- cd4 0 dang2' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'x6', 't' ],
+                    [ 'lnTo', 'x8', 'y1' ],
+                    [ 'lnTo', 'x7', 'y1' ],
+                    [ 'arcTo', 'wR', 'h', 'stAng3', 'swAng3' ],
+                    [ 'arcTo', 'wR', 'h', 'stAng2', 'swAng2' ],
+                    [ 'lnTo', 'x4', 'y1' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darkenLess',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'wR', 'b' ],
+                    [ 'arcTo', 'wR', 'h', 'cd4', 'cd4' ],
+                    [ 'lnTo', 'th', 't' ],
+                    [ 'arcTo', 'wR', 'h', 'cd2', '-5400000' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'ix', 'iy' ],
+                    [ 'arcTo', 'wR', 'h', 'stAng2', 'swAng2' ],
+                    [ 'lnTo', 'x4', 'y1' ],
+                    [ 'lnTo', 'x6', 't' ],
+                    [ 'lnTo', 'x8', 'y1' ],
+                    [ 'lnTo', 'x7', 'y1' ],
+                    [ 'arcTo', 'wR', 'h', 'stAng3', 'swAng' ],
+                    [ 'lnTo', 'wR', 'b' ],
+                    [ 'arcTo', 'wR', 'h', 'cd4', 'cd4' ],
+                    [ 'lnTo', 'th', 't' ],
+                    [ 'arcTo', 'wR', 'h', 'cd2', '-5400000' ],
+                ],
+            },
+        ],
+    },
+    decagon: {
+        avLst: { vf: 'val 105146' },
+        gdLst: [
+            [ 'shd2', '*/ hd2 vf 100000' ],
+            [ 'dx1', 'cos wd2 2160000' ],
+            [ 'dx2', 'cos wd2 4320000' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x2', '+- hc 0 dx2' ],
+            [ 'x3', '+- hc dx2 0' ],
+            [ 'x4', '+- hc dx1 0' ],
+            [ 'dy1', 'sin shd2 4320000' ],
+            [ 'dy2', 'sin shd2 2160000' ],
+            [ 'y1', '+- vc 0 dy1' ],
+            [ 'y2', '+- vc 0 dy2' ],
+            [ 'y3', '+- vc dy2 0' ],
+            [ 'y4', '+- vc dy1 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'lnTo', 'x2', 'y1' ],
+                    [ 'lnTo', 'x3', 'y1' ],
+                    [ 'lnTo', 'x4', 'y2' ],
+                    [ 'lnTo', 'r', 'vc' ],
+                    [ 'lnTo', 'x4', 'y3' ],
+                    [ 'lnTo', 'x3', 'y4' ],
+                    [ 'lnTo', 'x2', 'y4' ],
+                    [ 'lnTo', 'x1', 'y3' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    diagStripe: {
+        avLst: { adj: 'val 50000' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 100000' ],
+            [ 'x2', '*/ w a 100000' ],
+            [ 'x1', '*/ x2 1 2' ],
+            [ 'x3', '+/ x2 r 2' ],
+            [ 'y2', '*/ h a 100000' ],
+            [ 'y1', '*/ y2 1 2' ],
+            [ 'y3', '+/ y2 b 2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'y2' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    diamond: {
+        gdLst: [
+            [ 'ir', '*/ w 3 4' ],
+            [ 'ib', '*/ h 3 4' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'lnTo', 'hc', 't' ],
+                    [ 'lnTo', 'r', 'vc' ],
+                    [ 'lnTo', 'hc', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    dodecagon: {
+        gdLst: [
+            [ 'x1', '*/ w 2894 21600' ],
+            [ 'x2', '*/ w 7906 21600' ],
+            [ 'x3', '*/ w 13694 21600' ],
+            [ 'x4', '*/ w 18706 21600' ],
+            [ 'y1', '*/ h 2894 21600' ],
+            [ 'y2', '*/ h 7906 21600' ],
+            [ 'y3', '*/ h 13694 21600' ],
+            [ 'y4', '*/ h 18706 21600' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'y2' ],
+                    [ 'lnTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'lnTo', 'x3', 't' ],
+                    [ 'lnTo', 'x4', 'y1' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                    [ 'lnTo', 'r', 'y3' ],
+                    [ 'lnTo', 'x4', 'y4' ],
+                    [ 'lnTo', 'x3', 'b' ],
+                    [ 'lnTo', 'x2', 'b' ],
+                    [ 'lnTo', 'x1', 'y4' ],
+                    [ 'lnTo', 'l', 'y3' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    donut: {
+        avLst: { adj: 'val 25000' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 50000' ],
+            [ 'dr', '*/ ss a 100000' ],
+            [ 'iwd2', '+- wd2 0 dr' ],
+            [ 'ihd2', '+- hd2 0 dr' ],
+            [ 'idx', 'cos wd2 2700000' ],
+            [ 'idy', 'sin hd2 2700000' ],
+            [ 'il', '+- hc 0 idx' ],
+            [ 'ir', '+- hc idx 0' ],
+            [ 'it', '+- vc 0 idy' ],
+            [ 'ib', '+- vc idy 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'cd2', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', '3cd4', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', '0', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'cd4', 'cd4' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'dr', 'vc' ],
+                    [ 'arcTo', 'iwd2', 'ihd2', 'cd2', '-5400000' ],
+                    [ 'arcTo', 'iwd2', 'ihd2', 'cd4', '-5400000' ],
+                    [ 'arcTo', 'iwd2', 'ihd2', '0', '-5400000' ],
+                    [ 'arcTo', 'iwd2', 'ihd2', '3cd4', '-5400000' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    doubleWave: {
+        avLst: { adj1: 'val 6250', adj2: 'val 0' },
+        gdLst: [
+            [ 'a1', 'pin 0 adj1 12500' ],
+            [ 'a2', 'pin -10000 adj2 10000' ],
+            [ 'y1', '*/ h a1 100000' ],
+            [ 'dy2', '*/ y1 10 3' ],
+            [ 'y2', '+- y1 0 dy2' ],
+            [ 'y3', '+- y1 dy2 0' ],
+            [ 'y4', '+- b 0 y1' ],
+            [ 'y5', '+- y4 0 dy2' ],
+            [ 'y6', '+- y4 dy2 0' ],
+            [ 'dx1', '*/ w a2 100000' ],
+            [ 'of2', '*/ w a2 50000' ],
+            [ 'x1', 'abs dx1' ],
+            [ 'dx2', '?: of2 0 of2' ],
+            [ 'x2', '+- l 0 dx2' ],
+            [ 'dx8', '?: of2 of2 0' ],
+            [ 'x8', '+- r 0 dx8' ],
+            [ 'dx3', '+/ dx2 x8 6' ],
+            [ 'x3', '+- x2 dx3 0' ],
+            [ 'dx4', '+/ dx2 x8 3' ],
+            [ 'x4', '+- x2 dx4 0' ],
+            [ 'x5', '+/ x2 x8 2' ],
+            [ 'x6', '+- x5 dx3 0' ],
+            [ 'x7', '+/ x6 x8 2' ],
+            [ 'x9', '+- l dx8 0' ],
+            [ 'x15', '+- r dx2 0' ],
+            [ 'x10', '+- x9 dx3 0' ],
+            [ 'x11', '+- x9 dx4 0' ],
+            [ 'x12', '+/ x9 x15 2' ],
+            [ 'x13', '+- x12 dx3 0' ],
+            [ 'x14', '+/ x13 x15 2' ],
+            [ 'x16', '+- r 0 x1' ],
+            [ 'xAdj', '+- hc dx1 0' ],
+            [ 'il', 'max x2 x9' ],
+            [ 'ir', 'min x8 x15' ],
+            [ 'it', '*/ h a1 50000' ],
+            [ 'ib', '+- b 0 it' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'x2', 'y1' ],
+                    [ 'cubicBezTo', 'x3', 'y2', 'x4', 'y3', 'x5', 'y1' ],
+                    [ 'cubicBezTo', 'x6', 'y2', 'x7', 'y3', 'x8', 'y1' ],
+                    [ 'lnTo', 'x15', 'y4' ],
+                    [ 'cubicBezTo', 'x14', 'y6', 'x13', 'y5', 'x12', 'y4' ],
+                    [ 'cubicBezTo', 'x11', 'y6', 'x10', 'y5', 'x9', 'y4' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    downArrow: {
+        avLst: { adj1: 'val 50000', adj2: 'val 50000' },
+        gdLst: [
+            [ 'maxAdj2', '*/ 100000 h ss' ],
+            [ 'a1', 'pin 0 adj1 100000' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'dy1', '*/ ss a2 100000' ],
+            [ 'y1', '+- b 0 dy1' ],
+            [ 'dx1', '*/ w a1 200000' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x2', '+- hc dx1 0' ],
+            [ 'dy2', '*/ x1 dy1 wd2' ],
+            [ 'y2', '+- y1 dy2 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'y1' ],
+                    [ 'lnTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x1', 't' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'lnTo', 'x2', 'y1' ],
+                    [ 'lnTo', 'r', 'y1' ],
+                    [ 'lnTo', 'hc', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    downArrowCallout: {
+        avLst: { adj1: 'val 25000', adj2: 'val 25000', adj3: 'val 25000', adj4: 'val 64977' },
+        gdLst: [
+            [ 'maxAdj2', '*/ 50000 w ss' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'maxAdj1', '*/ a2 2 1' ],
+            [ 'a1', 'pin 0 adj1 maxAdj1' ],
+            [ 'maxAdj3', '*/ 100000 h ss' ],
+            [ 'a3', 'pin 0 adj3 maxAdj3' ],
+            [ 'q2', '*/ a3 ss h' ],
+            [ 'maxAdj4', '+- 100000 0 q2' ],
+            [ 'a4', 'pin 0 adj4 maxAdj4' ],
+            [ 'dx1', '*/ ss a2 100000' ],
+            [ 'dx2', '*/ ss a1 200000' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x2', '+- hc 0 dx2' ],
+            [ 'x3', '+- hc dx2 0' ],
+            [ 'x4', '+- hc dx1 0' ],
+            [ 'dy3', '*/ ss a3 100000' ],
+            [ 'y3', '+- b 0 dy3' ],
+            [ 'y2', '*/ h a4 100000' ],
+            [ 'y1', '*/ y2 1 2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                    [ 'lnTo', 'x3', 'y2' ],
+                    [ 'lnTo', 'x3', 'y3' ],
+                    [ 'lnTo', 'x4', 'y3' ],
+                    [ 'lnTo', 'hc', 'b' ],
+                    [ 'lnTo', 'x1', 'y3' ],
+                    [ 'lnTo', 'x2', 'y3' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'l', 'y2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    ellipse: {
+        gdLst: [
+            [ 'idx', 'cos wd2 2700000' ],
+            [ 'idy', 'sin hd2 2700000' ],
+            [ 'il', '+- hc 0 idx' ],
+            [ 'ir', '+- hc idx 0' ],
+            [ 'it', '+- vc 0 idy' ],
+            [ 'ib', '+- vc idy 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'cd2', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', '3cd4', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', '0', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'cd4', 'cd4' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    ellipseRibbon: {
+        avLst: { adj1: 'val 25000', adj2: 'val 50000', adj3: 'val 12500' },
+        gdLst: [
+            [ 'a1', 'pin 0 adj1 100000' ],
+            [ 'a2', 'pin 25000 adj2 75000' ],
+            [ 'q10', '+- 100000 0 a1' ],
+            [ 'q11', '*/ q10 1 2' ],
+            [ 'q12', '+- a1 0 q11' ],
+            [ 'minAdj3', 'max 0 q12' ],
+            [ 'a3', 'pin minAdj3 adj3 a1' ],
+            [ 'dx2', '*/ w a2 200000' ],
+            [ 'x2', '+- hc 0 dx2' ],
+            [ 'x3', '+- x2 wd8 0' ],
+            [ 'x4', '+- r 0 x3' ],
+            [ 'x5', '+- r 0 x2' ],
+            [ 'x6', '+- r 0 wd8' ],
+            [ 'dy1', '*/ h a3 100000' ],
+            [ 'f1', '*/ 4 dy1 w' ],
+            [ 'q1', '*/ x3 x3 w' ],
+            [ 'q2', '+- x3 0 q1' ],
+            [ 'y1', '*/ f1 q2 1' ],
+            [ 'cx1', '*/ x3 1 2' ],
+            [ 'cy1', '*/ f1 cx1 1' ],
+            [ 'cx2', '+- r 0 cx1' ],
+            [ 'q1', '*/ h a1 100000' ],
+            [ 'dy3', '+- q1 0 dy1' ],
+            [ 'q3', '*/ x2 x2 w' ],
+            [ 'q4', '+- x2 0 q3' ],
+            [ 'q5', '*/ f1 q4 1' ],
+            [ 'y3', '+- q5 dy3 0' ],
+            [ 'q6', '+- dy1 dy3 y3' ],
+            [ 'q7', '+- q6 dy1 0' ],
+            [ 'cy3', '+- q7 dy3 0' ],
+            [ 'rh', '+- b 0 q1' ],
+            [ 'q8', '*/ dy1 14 16' ],
+            [ 'y2', '+/ q8 rh 2' ],
+            [ 'y5', '+- q5 rh 0' ],
+            [ 'y6', '+- y3 rh 0' ],
+            [ 'cx4', '*/ x2 1 2' ],
+            [ 'q9', '*/ f1 cx4 1' ],
+            [ 'cy4', '+- q9 rh 0' ],
+            [ 'cx5', '+- r 0 cx4' ],
+            [ 'cy6', '+- cy3 rh 0' ],
+            [ 'y7', '+- y1 dy3 0' ],
+            [ 'cy7', '+- q1 q1 y7' ],
+            [ 'y8', '+- b 0 dy1' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'quadBezTo', 'cx1', 'cy1', 'x3', 'y1' ],
+                    [ 'lnTo', 'x2', 'y3' ],
+                    [ 'quadBezTo', 'hc', 'cy3', 'x5', 'y3' ],
+                    [ 'lnTo', 'x4', 'y1' ],
+                    [ 'quadBezTo', 'cx2', 'cy1', 'r', 't' ],
+                    [ 'lnTo', 'x6', 'y2' ],
+                    [ 'lnTo', 'r', 'rh' ],
+                    [ 'quadBezTo', 'cx5', 'cy4', 'x5', 'y5' ],
+                    [ 'lnTo', 'x5', 'y6' ],
+                    [ 'quadBezTo', 'hc', 'cy6', 'x2', 'y6' ],
+                    [ 'lnTo', 'x2', 'y5' ],
+                    [ 'quadBezTo', 'cx4', 'cy4', 'l', 'rh' ],
+                    [ 'lnTo', 'wd8', 'y2' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darkenLess',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'x3', 'y7' ],
+                    [ 'lnTo', 'x3', 'y1' ],
+                    [ 'lnTo', 'x2', 'y3' ],
+                    [ 'quadBezTo', 'hc', 'cy3', 'x5', 'y3' ],
+                    [ 'lnTo', 'x4', 'y1' ],
+                    [ 'lnTo', 'x4', 'y7' ],
+                    [ 'quadBezTo', 'hc', 'cy7', 'x3', 'y7' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'quadBezTo', 'cx1', 'cy1', 'x3', 'y1' ],
+                    [ 'lnTo', 'x2', 'y3' ],
+                    [ 'quadBezTo', 'hc', 'cy3', 'x5', 'y3' ],
+                    [ 'lnTo', 'x4', 'y1' ],
+                    [ 'quadBezTo', 'cx2', 'cy1', 'r', 't' ],
+                    [ 'lnTo', 'x6', 'y2' ],
+                    [ 'lnTo', 'r', 'rh' ],
+                    [ 'quadBezTo', 'cx5', 'cy4', 'x5', 'y5' ],
+                    [ 'lnTo', 'x5', 'y6' ],
+                    [ 'quadBezTo', 'hc', 'cy6', 'x2', 'y6' ],
+                    [ 'lnTo', 'x2', 'y5' ],
+                    [ 'quadBezTo', 'cx4', 'cy4', 'l', 'rh' ],
+                    [ 'lnTo', 'wd8', 'y2' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'x2', 'y5' ],
+                    [ 'lnTo', 'x2', 'y3' ],
+                    [ 'moveTo', 'x5', 'y3' ],
+                    [ 'lnTo', 'x5', 'y5' ],
+                    [ 'moveTo', 'x3', 'y1' ],
+                    [ 'lnTo', 'x3', 'y7' ],
+                    [ 'moveTo', 'x4', 'y7' ],
+                    [ 'lnTo', 'x4', 'y1' ],
+                ],
+            },
+        ],
+    },
+    ellipseRibbon2: {
+        avLst: { adj1: 'val 25000', adj2: 'val 50000', adj3: 'val 12500' },
+        gdLst: [
+            [ 'a1', 'pin 0 adj1 100000' ],
+            [ 'a2', 'pin 25000 adj2 75000' ],
+            [ 'q10', '+- 100000 0 a1' ],
+            [ 'q11', '*/ q10 1 2' ],
+            [ 'q12', '+- a1 0 q11' ],
+            [ 'minAdj3', 'max 0 q12' ],
+            [ 'a3', 'pin minAdj3 adj3 a1' ],
+            [ 'dx2', '*/ w a2 200000' ],
+            [ 'x2', '+- hc 0 dx2' ],
+            [ 'x3', '+- x2 wd8 0' ],
+            [ 'x4', '+- r 0 x3' ],
+            [ 'x5', '+- r 0 x2' ],
+            [ 'x6', '+- r 0 wd8' ],
+            [ 'dy1', '*/ h a3 100000' ],
+            [ 'f1', '*/ 4 dy1 w' ],
+            [ 'q1', '*/ x3 x3 w' ],
+            [ 'q2', '+- x3 0 q1' ],
+            [ 'u1', '*/ f1 q2 1' ],
+            [ 'y1', '+- b 0 u1' ],
+            [ 'cx1', '*/ x3 1 2' ],
+            [ 'cu1', '*/ f1 cx1 1' ],
+            [ 'cy1', '+- b 0 cu1' ],
+            [ 'cx2', '+- r 0 cx1' ],
+            [ 'q1', '*/ h a1 100000' ],
+            [ 'dy3', '+- q1 0 dy1' ],
+            [ 'q3', '*/ x2 x2 w' ],
+            [ 'q4', '+- x2 0 q3' ],
+            [ 'q5', '*/ f1 q4 1' ],
+            [ 'u3', '+- q5 dy3 0' ],
+            [ 'y3', '+- b 0 u3' ],
+            [ 'q6', '+- dy1 dy3 u3' ],
+            [ 'q7', '+- q6 dy1 0' ],
+            [ 'cu3', '+- q7 dy3 0' ],
+            [ 'cy3', '+- b 0 cu3' ],
+            [ 'rh', '+- b 0 q1' ],
+            [ 'q8', '*/ dy1 14 16' ],
+            [ 'u2', '+/ q8 rh 2' ],
+            [ 'y2', '+- b 0 u2' ],
+            [ 'u5', '+- q5 rh 0' ],
+            [ 'y5', '+- b 0 u5' ],
+            [ 'u6', '+- u3 rh 0' ],
+            [ 'y6', '+- b 0 u6' ],
+            [ 'cx4', '*/ x2 1 2' ],
+            [ 'q9', '*/ f1 cx4 1' ],
+            [ 'cu4', '+- q9 rh 0' ],
+            [ 'cy4', '+- b 0 cu4' ],
+            [ 'cx5', '+- r 0 cx4' ],
+            [ 'cu6', '+- cu3 rh 0' ],
+            [ 'cy6', '+- b 0 cu6' ],
+            [ 'u7', '+- u1 dy3 0' ],
+            [ 'y7', '+- b 0 u7' ],
+            [ 'cu7', '+- q1 q1 u7' ],
+            [ 'cy7', '+- b 0 cu7' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 'b' ],
+                    [ 'quadBezTo', 'cx1', 'cy1', 'x3', 'y1' ],
+                    [ 'lnTo', 'x2', 'y3' ],
+                    [ 'quadBezTo', 'hc', 'cy3', 'x5', 'y3' ],
+                    [ 'lnTo', 'x4', 'y1' ],
+                    [ 'quadBezTo', 'cx2', 'cy1', 'r', 'b' ],
+                    [ 'lnTo', 'x6', 'y2' ],
+                    [ 'lnTo', 'r', 'q1' ],
+                    [ 'quadBezTo', 'cx5', 'cy4', 'x5', 'y5' ],
+                    [ 'lnTo', 'x5', 'y6' ],
+                    [ 'quadBezTo', 'hc', 'cy6', 'x2', 'y6' ],
+                    [ 'lnTo', 'x2', 'y5' ],
+                    [ 'quadBezTo', 'cx4', 'cy4', 'l', 'q1' ],
+                    [ 'lnTo', 'wd8', 'y2' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darkenLess',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'x3', 'y7' ],
+                    [ 'lnTo', 'x3', 'y1' ],
+                    [ 'lnTo', 'x2', 'y3' ],
+                    [ 'quadBezTo', 'hc', 'cy3', 'x5', 'y3' ],
+                    [ 'lnTo', 'x4', 'y1' ],
+                    [ 'lnTo', 'x4', 'y7' ],
+                    [ 'quadBezTo', 'hc', 'cy7', 'x3', 'y7' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 'b' ],
+                    [ 'lnTo', 'wd8', 'y2' ],
+                    [ 'lnTo', 'l', 'q1' ],
+                    [ 'quadBezTo', 'cx4', 'cy4', 'x2', 'y5' ],
+                    [ 'lnTo', 'x2', 'y6' ],
+                    [ 'quadBezTo', 'hc', 'cy6', 'x5', 'y6' ],
+                    [ 'lnTo', 'x5', 'y5' ],
+                    [ 'quadBezTo', 'cx5', 'cy4', 'r', 'q1' ],
+                    [ 'lnTo', 'x6', 'y2' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'quadBezTo', 'cx2', 'cy1', 'x4', 'y1' ],
+                    [ 'lnTo', 'x5', 'y3' ],
+                    [ 'quadBezTo', 'hc', 'cy3', 'x2', 'y3' ],
+                    [ 'lnTo', 'x3', 'y1' ],
+                    [ 'quadBezTo', 'cx1', 'cy1', 'l', 'b' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'x2', 'y3' ],
+                    [ 'lnTo', 'x2', 'y5' ],
+                    [ 'moveTo', 'x5', 'y5' ],
+                    [ 'lnTo', 'x5', 'y3' ],
+                    [ 'moveTo', 'x3', 'y7' ],
+                    [ 'lnTo', 'x3', 'y1' ],
+                    [ 'moveTo', 'x4', 'y1' ],
+                    [ 'lnTo', 'x4', 'y7' ],
+                ],
+            },
+        ],
+    },
+    flowChartAlternateProcess: {
+        gdLst: [
+            [ 'x2', '+- r 0 ssd6' ],
+            [ 'y2', '+- b 0 ssd6' ],
+            [ 'il', '*/ ssd6 29289 100000' ],
+            [ 'ir', '+- r 0 il' ],
+            [ 'ib', '+- b 0 il' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'ssd6' ],
+                    [ 'arcTo', 'ssd6', 'ssd6', 'cd2', 'cd4' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'arcTo', 'ssd6', 'ssd6', '3cd4', 'cd4' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                    [ 'arcTo', 'ssd6', 'ssd6', '0', 'cd4' ],
+                    [ 'lnTo', 'ssd6', 'b' ],
+                    [ 'arcTo', 'ssd6', 'ssd6', 'cd4', 'cd4' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartCollate: {
+        gdLst: [
+            [ 'ir', '*/ w 3 4' ],
+            [ 'ib', '*/ h 3 4' ],
+        ],
+        pathLst: [
+            {
+                w: 2,
+                h: 2,
+                commands: [
+                    [ 'moveTo', '0', '0' ],
+                    [ 'lnTo', '2', '0' ],
+                    [ 'lnTo', '1', '1' ],
+                    [ 'lnTo', '2', '2' ],
+                    [ 'lnTo', '0', '2' ],
+                    [ 'lnTo', '1', '1' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartConnector: {
+        gdLst: [
+            [ 'idx', 'cos wd2 2700000' ],
+            [ 'idy', 'sin hd2 2700000' ],
+            [ 'il', '+- hc 0 idx' ],
+            [ 'ir', '+- hc idx 0' ],
+            [ 'it', '+- vc 0 idy' ],
+            [ 'ib', '+- vc idy 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'cd2', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', '3cd4', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', '0', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'cd4', 'cd4' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartDecision: {
+        gdLst: [
+            [ 'ir', '*/ w 3 4' ],
+            [ 'ib', '*/ h 3 4' ],
+        ],
+        pathLst: [
+            {
+                w: 2,
+                h: 2,
+                commands: [
+                    [ 'moveTo', '0', '1' ],
+                    [ 'lnTo', '1', '0' ],
+                    [ 'lnTo', '2', '1' ],
+                    [ 'lnTo', '1', '2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartDelay: {
+        gdLst: [
+            [ 'idx', 'cos wd2 2700000' ],
+            [ 'idy', 'sin hd2 2700000' ],
+            [ 'ir', '+- hc idx 0' ],
+            [ 'it', '+- vc 0 idy' ],
+            [ 'ib', '+- vc idy 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'hc', 't' ],
+                    [ 'arcTo', 'wd2', 'hd2', '3cd4', 'cd2' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartDisplay: {
+        gdLst: [
+            [ 'x2', '*/ w 5 6' ],
+        ],
+        pathLst: [
+            {
+                w: 6,
+                h: 6,
+                commands: [
+                    [ 'moveTo', '0', '3' ],
+                    [ 'lnTo', '1', '0' ],
+                    [ 'lnTo', '5', '0' ],
+                    [ 'arcTo', '1', '3', '3cd4', 'cd2' ],
+                    [ 'lnTo', '1', '6' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartDocument: {
+        gdLst: [
+            [ 'y1', '*/ h 17322 21600' ],
+            [ 'y2', '*/ h 20172 21600' ],
+        ],
+        pathLst: [
+            {
+                w: 21600,
+                h: 21600,
+                commands: [
+                    [ 'moveTo', '0', '0' ],
+                    [ 'lnTo', '21600', '0' ],
+                    [ 'lnTo', '21600', '17322' ],
+                    [ 'cubicBezTo', '10800', '17322', '10800', '23922', '0', '20172' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartExtract: {
+        gdLst: [
+            [ 'x2', '*/ w 3 4' ],
+        ],
+        pathLst: [
+            {
+                w: 2,
+                h: 2,
+                commands: [
+                    [ 'moveTo', '0', '2' ],
+                    [ 'lnTo', '1', '0' ],
+                    [ 'lnTo', '2', '2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartInputOutput: {
+        gdLst: [
+            [ 'x3', '*/ w 2 5' ],
+            [ 'x4', '*/ w 3 5' ],
+            [ 'x5', '*/ w 4 5' ],
+            [ 'x6', '*/ w 9 10' ],
+        ],
+        pathLst: [
+            {
+                w: 5,
+                h: 5,
+                commands: [
+                    [ 'moveTo', '0', '5' ],
+                    [ 'lnTo', '1', '0' ],
+                    [ 'lnTo', '5', '0' ],
+                    [ 'lnTo', '4', '5' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartInternalStorage: {
+        pathLst: [
+            {
+                w: 1,
+                h: 1,
+                stroke: false,
+                commands: [
+                    [ 'moveTo', '0', '0' ],
+                    [ 'lnTo', '1', '0' ],
+                    [ 'lnTo', '1', '1' ],
+                    [ 'lnTo', '0', '1' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                w: 8,
+                h: 8,
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', '1', '0' ],
+                    [ 'lnTo', '1', '8' ],
+                    [ 'moveTo', '0', '1' ],
+                    [ 'lnTo', '8', '1' ],
+                ],
+            },
+            {
+                w: 1,
+                h: 1,
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', '0', '0' ],
+                    [ 'lnTo', '1', '0' ],
+                    [ 'lnTo', '1', '1' ],
+                    [ 'lnTo', '0', '1' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartMagneticDisk: {
+        gdLst: [
+            [ 'y3', '*/ h 5 6' ],
+        ],
+        pathLst: [
+            {
+                w: 6,
+                h: 6,
+                stroke: false,
+                commands: [
+                    [ 'moveTo', '0', '1' ],
+                    [ 'arcTo', '3', '1', 'cd2', 'cd2' ],
+                    [ 'lnTo', '6', '5' ],
+                    [ 'arcTo', '3', '1', '0', 'cd2' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                w: 6,
+                h: 6,
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', '6', '1' ],
+                    [ 'arcTo', '3', '1', '0', 'cd2' ],
+                ],
+            },
+            {
+                w: 6,
+                h: 6,
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', '0', '1' ],
+                    [ 'arcTo', '3', '1', 'cd2', 'cd2' ],
+                    [ 'lnTo', '6', '5' ],
+                    [ 'arcTo', '3', '1', '0', 'cd2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartMagneticDrum: {
+        gdLst: [
+            [ 'x2', '*/ w 2 3' ],
+        ],
+        pathLst: [
+            {
+                w: 6,
+                h: 6,
+                stroke: false,
+                commands: [
+                    [ 'moveTo', '1', '0' ],
+                    [ 'lnTo', '5', '0' ],
+                    [ 'arcTo', '1', '3', '3cd4', 'cd2' ],
+                    [ 'lnTo', '1', '6' ],
+                    [ 'arcTo', '1', '3', 'cd4', 'cd2' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                w: 6,
+                h: 6,
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', '5', '6' ],
+                    [ 'arcTo', '1', '3', 'cd4', 'cd2' ],
+                ],
+            },
+            {
+                w: 6,
+                h: 6,
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', '1', '0' ],
+                    [ 'lnTo', '5', '0' ],
+                    [ 'arcTo', '1', '3', '3cd4', 'cd2' ],
+                    [ 'lnTo', '1', '6' ],
+                    [ 'arcTo', '1', '3', 'cd4', 'cd2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartMagneticTape: {
+        gdLst: [
+            [ 'idx', 'cos wd2 2700000' ],
+            [ 'idy', 'sin hd2 2700000' ],
+            [ 'il', '+- hc 0 idx' ],
+            [ 'ir', '+- hc idx 0' ],
+            [ 'it', '+- vc 0 idy' ],
+            [ 'ib', '+- vc idy 0' ],
+            [ 'ang1', 'at2 w h' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'hc', 'b' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'cd4', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'cd2', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', '3cd4', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', '0', 'ang1' ],
+                    [ 'lnTo', 'r', 'ib' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartManualInput: {
+        pathLst: [
+            {
+                w: 5,
+                h: 5,
+                commands: [
+                    [ 'moveTo', '0', '1' ],
+                    [ 'lnTo', '5', '0' ],
+                    [ 'lnTo', '5', '5' ],
+                    [ 'lnTo', '0', '5' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartManualOperation: {
+        gdLst: [
+            [ 'x3', '*/ w 4 5' ],
+            [ 'x4', '*/ w 9 10' ],
+        ],
+        pathLst: [
+            {
+                w: 5,
+                h: 5,
+                commands: [
+                    [ 'moveTo', '0', '0' ],
+                    [ 'lnTo', '5', '0' ],
+                    [ 'lnTo', '4', '5' ],
+                    [ 'lnTo', '1', '5' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartMerge: {
+        gdLst: [
+            [ 'x2', '*/ w 3 4' ],
+        ],
+        pathLst: [
+            {
+                w: 2,
+                h: 2,
+                commands: [
+                    [ 'moveTo', '0', '0' ],
+                    [ 'lnTo', '2', '0' ],
+                    [ 'lnTo', '1', '2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartMultidocument: {
+        gdLst: [
+            [ 'y2', '*/ h 3675 21600' ],
+            [ 'y8', '*/ h 20782 21600' ],
+            [ 'x3', '*/ w 9298 21600' ],
+            [ 'x4', '*/ w 12286 21600' ],
+            [ 'x5', '*/ w 18595 21600' ],
+        ],
+        pathLst: [
+            {
+                w: 21600,
+                h: 21600,
+                stroke: false,
+                commands: [
+                    [ 'moveTo', '0', '20782' ],
+                    [ 'cubicBezTo', '9298', '23542', '9298', '18022', '18595', '18022' ],
+                    [ 'lnTo', '18595', '3675' ],
+                    [ 'lnTo', '0', '3675' ],
+                    [ 'close' ],
+                    [ 'moveTo', '1532', '3675' ],
+                    [ 'lnTo', '1532', '1815' ],
+                    [ 'lnTo', '20000', '1815' ],
+                    [ 'lnTo', '20000', '16252' ],
+                    [ 'cubicBezTo', '19298', '16252', '18595', '16352', '18595', '16352' ],
+                    [ 'lnTo', '18595', '3675' ],
+                    [ 'close' ],
+                    [ 'moveTo', '2972', '1815' ],
+                    [ 'lnTo', '2972', '0' ],
+                    [ 'lnTo', '21600', '0' ],
+                    [ 'lnTo', '21600', '14392' ],
+                    [ 'cubicBezTo', '20800', '14392', '20000', '14467', '20000', '14467' ],
+                    [ 'lnTo', '20000', '1815' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                w: 21600,
+                h: 21600,
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', '0', '3675' ],
+                    [ 'lnTo', '18595', '3675' ],
+                    [ 'lnTo', '18595', '18022' ],
+                    [ 'cubicBezTo', '9298', '18022', '9298', '23542', '0', '20782' ],
+                    [ 'close' ],
+                    [ 'moveTo', '1532', '3675' ],
+                    [ 'lnTo', '1532', '1815' ],
+                    [ 'lnTo', '20000', '1815' ],
+                    [ 'lnTo', '20000', '16252' ],
+                    [ 'cubicBezTo', '19298', '16252', '18595', '16352', '18595', '16352' ],
+                    [ 'moveTo', '2972', '1815' ],
+                    [ 'lnTo', '2972', '0' ],
+                    [ 'lnTo', '21600', '0' ],
+                    [ 'lnTo', '21600', '14392' ],
+                    [ 'cubicBezTo', '20800', '14392', '20000', '14467', '20000', '14467' ],
+                ],
+            },
+            {
+                w: 21600,
+                h: 21600,
+                fill: 'none',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', '0', '20782' ],
+                    [ 'cubicBezTo', '9298', '23542', '9298', '18022', '18595', '18022' ],
+                    [ 'lnTo', '18595', '16352' ],
+                    [ 'cubicBezTo', '18595', '16352', '19298', '16252', '20000', '16252' ],
+                    [ 'lnTo', '20000', '14467' ],
+                    [ 'cubicBezTo', '20000', '14467', '20800', '14392', '21600', '14392' ],
+                    [ 'lnTo', '21600', '0' ],
+                    [ 'lnTo', '2972', '0' ],
+                    [ 'lnTo', '2972', '1815' ],
+                    [ 'lnTo', '1532', '1815' ],
+                    [ 'lnTo', '1532', '3675' ],
+                    [ 'lnTo', '0', '3675' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartOfflineStorage: {
+        gdLst: [
+            [ 'x4', '*/ w 3 4' ],
+        ],
+        pathLst: [
+            {
+                w: 2,
+                h: 2,
+                stroke: false,
+                commands: [
+                    [ 'moveTo', '0', '0' ],
+                    [ 'lnTo', '2', '0' ],
+                    [ 'lnTo', '1', '2' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                w: 5,
+                h: 5,
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', '2', '4' ],
+                    [ 'lnTo', '3', '4' ],
+                ],
+            },
+            {
+                w: 2,
+                h: 2,
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', '0', '0' ],
+                    [ 'lnTo', '2', '0' ],
+                    [ 'lnTo', '1', '2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartOffpageConnector: {
+        gdLst: [
+            [ 'y1', '*/ h 4 5' ],
+        ],
+        pathLst: [
+            {
+                w: 10,
+                h: 10,
+                commands: [
+                    [ 'moveTo', '0', '0' ],
+                    [ 'lnTo', '10', '0' ],
+                    [ 'lnTo', '10', '8' ],
+                    [ 'lnTo', '5', '10' ],
+                    [ 'lnTo', '0', '8' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartOnlineStorage: {
+        gdLst: [
+            [ 'x2', '*/ w 5 6' ],
+        ],
+        pathLst: [
+            {
+                w: 6,
+                h: 6,
+                commands: [
+                    [ 'moveTo', '1', '0' ],
+                    [ 'lnTo', '6', '0' ],
+                    [ 'arcTo', '1', '3', '3cd4', '-10800000' ],
+                    [ 'lnTo', '1', '6' ],
+                    [ 'arcTo', '1', '3', 'cd4', 'cd2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartOr: {
+        gdLst: [
+            [ 'idx', 'cos wd2 2700000' ],
+            [ 'idy', 'sin hd2 2700000' ],
+            [ 'il', '+- hc 0 idx' ],
+            [ 'ir', '+- hc idx 0' ],
+            [ 'it', '+- vc 0 idy' ],
+            [ 'ib', '+- vc idy 0' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'cd2', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', '3cd4', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', '0', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'cd4', 'cd4' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'hc', 't' ],
+                    [ 'lnTo', 'hc', 'b' ],
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'lnTo', 'r', 'vc' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'cd2', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', '3cd4', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', '0', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'cd4', 'cd4' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartPredefinedProcess: {
+        gdLst: [
+            [ 'x2', '*/ w 7 8' ],
+        ],
+        pathLst: [
+            {
+                w: 1,
+                h: 1,
+                stroke: false,
+                commands: [
+                    [ 'moveTo', '0', '0' ],
+                    [ 'lnTo', '1', '0' ],
+                    [ 'lnTo', '1', '1' ],
+                    [ 'lnTo', '0', '1' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                w: 8,
+                h: 8,
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', '1', '0' ],
+                    [ 'lnTo', '1', '8' ],
+                    [ 'moveTo', '7', '0' ],
+                    [ 'lnTo', '7', '8' ],
+                ],
+            },
+            {
+                w: 1,
+                h: 1,
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', '0', '0' ],
+                    [ 'lnTo', '1', '0' ],
+                    [ 'lnTo', '1', '1' ],
+                    [ 'lnTo', '0', '1' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartPreparation: {
+        gdLst: [
+            [ 'x2', '*/ w 4 5' ],
+        ],
+        pathLst: [
+            {
+                w: 10,
+                h: 10,
+                commands: [
+                    [ 'moveTo', '0', '5' ],
+                    [ 'lnTo', '2', '0' ],
+                    [ 'lnTo', '8', '0' ],
+                    [ 'lnTo', '10', '5' ],
+                    [ 'lnTo', '8', '10' ],
+                    [ 'lnTo', '2', '10' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartProcess: {
+        pathLst: [
+            {
+                w: 1,
+                h: 1,
+                commands: [
+                    [ 'moveTo', '0', '0' ],
+                    [ 'lnTo', '1', '0' ],
+                    [ 'lnTo', '1', '1' ],
+                    [ 'lnTo', '0', '1' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartPunchedCard: {
+        pathLst: [
+            {
+                w: 5,
+                h: 5,
+                commands: [
+                    [ 'moveTo', '0', '1' ],
+                    [ 'lnTo', '1', '0' ],
+                    [ 'lnTo', '5', '0' ],
+                    [ 'lnTo', '5', '5' ],
+                    [ 'lnTo', '0', '5' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartPunchedTape: {
+        gdLst: [
+            [ 'y2', '*/ h 9 10' ],
+            [ 'ib', '*/ h 4 5' ],
+        ],
+        pathLst: [
+            {
+                w: 20,
+                h: 20,
+                commands: [
+                    [ 'moveTo', '0', '2' ],
+                    [ 'arcTo', '5', '2', 'cd2', '-10800000' ],
+                    [ 'arcTo', '5', '2', 'cd2', 'cd2' ],
+                    [ 'lnTo', '20', '18' ],
+                    [ 'arcTo', '5', '2', '0', '-10800000' ],
+                    [ 'arcTo', '5', '2', '0', 'cd2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartSort: {
+        gdLst: [
+            [ 'ir', '*/ w 3 4' ],
+            [ 'ib', '*/ h 3 4' ],
+        ],
+        pathLst: [
+            {
+                w: 2,
+                h: 2,
+                stroke: false,
+                commands: [
+                    [ 'moveTo', '0', '1' ],
+                    [ 'lnTo', '1', '0' ],
+                    [ 'lnTo', '2', '1' ],
+                    [ 'lnTo', '1', '2' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                w: 2,
+                h: 2,
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', '0', '1' ],
+                    [ 'lnTo', '2', '1' ],
+                ],
+            },
+            {
+                w: 2,
+                h: 2,
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', '0', '1' ],
+                    [ 'lnTo', '1', '0' ],
+                    [ 'lnTo', '2', '1' ],
+                    [ 'lnTo', '1', '2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartSummingJunction: {
+        gdLst: [
+            [ 'idx', 'cos wd2 2700000' ],
+            [ 'idy', 'sin hd2 2700000' ],
+            [ 'il', '+- hc 0 idx' ],
+            [ 'ir', '+- hc idx 0' ],
+            [ 'it', '+- vc 0 idy' ],
+            [ 'ib', '+- vc idy 0' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'cd2', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', '3cd4', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', '0', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'cd4', 'cd4' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'il', 'it' ],
+                    [ 'lnTo', 'ir', 'ib' ],
+                    [ 'moveTo', 'ir', 'it' ],
+                    [ 'lnTo', 'il', 'ib' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'cd2', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', '3cd4', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', '0', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'cd4', 'cd4' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    flowChartTerminator: {
+        gdLst: [
+            [ 'il', '*/ w 1018 21600' ],
+            [ 'ir', '*/ w 20582 21600' ],
+            [ 'it', '*/ h 3163 21600' ],
+            [ 'ib', '*/ h 18437 21600' ],
+        ],
+        pathLst: [
+            {
+                w: 21600,
+                h: 21600,
+                commands: [
+                    [ 'moveTo', '3475', '0' ],
+                    [ 'lnTo', '18125', '0' ],
+                    [ 'arcTo', '3475', '10800', '3cd4', 'cd2' ],
+                    [ 'lnTo', '3475', '21600' ],
+                    [ 'arcTo', '3475', '10800', 'cd4', 'cd2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    foldedCorner: {
+        avLst: { adj: 'val 16667' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 50000' ],
+            [ 'dy2', '*/ ss a 100000' ],
+            [ 'dy1', '*/ dy2 1 5' ],
+            [ 'x1', '+- r 0 dy2' ],
+            [ 'x2', '+- x1 dy1 0' ],
+            [ 'y2', '+- b 0 dy2' ],
+            [ 'y1', '+- y2 dy1 0' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darkenLess',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'x1', 'b' ],
+                    [ 'lnTo', 'x2', 'y1' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x1', 'b' ],
+                    [ 'lnTo', 'x2', 'y1' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'lnTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                ],
+            },
+        ],
+    },
+    frame: {
+        avLst: { adj1: 'val 12500' },
+        gdLst: [
+            [ 'a1', 'pin 0 adj1 50000' ],
+            [ 'x1', '*/ ss a1 100000' ],
+            [ 'x4', '+- r 0 x1' ],
+            [ 'y4', '+- b 0 x1' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'x1', 'x1' ],
+                    [ 'lnTo', 'x1', 'y4' ],
+                    [ 'lnTo', 'x4', 'y4' ],
+                    [ 'lnTo', 'x4', 'x1' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    funnel: {
+        gdLst: [
+            [ 'd', '*/ ss 1 20' ],
+            [ 'rw2', '+- wd2 0 d' ],
+            [ 'rh2', '+- hd4 0 d' ],
+            [ 't1', 'cos wd2 480000' ],
+            [ 't2', 'sin hd4 480000' ],
+            [ 'da', 'at2 t1 t2' ],
+            [ '2da', '*/ da 2 1' ],
+            [ 'stAng1', '+- cd2 0 da' ],
+            [ 'swAng1', '+- cd2 2da 0' ],
+            [ 'swAng3', '+- cd2 0 2da' ],
+            [ 'rw3', '*/ wd2 1 4' ],
+            [ 'rh3', '*/ hd4 1 4' ],
+            [ 'ct1', 'cos hd4 stAng1' ],
+            [ 'st1', 'sin wd2 stAng1' ],
+            [ 'm1', 'mod ct1 st1 0' ],
+            [ 'n1', '*/ wd2 hd4 m1' ],
+            [ 'dx1', 'cos n1 stAng1' ],
+            [ 'dy1', 'sin n1 stAng1' ],
+            [ 'x1', '+- hc dx1 0' ],
+            [ 'y1', '+- hd4 dy1 0' ],
+            [ 'ct3', 'cos rh3 da' ],
+            [ 'st3', 'sin rw3 da' ],
+            [ 'm3', 'mod ct3 st3 0' ],
+            [ 'n3', '*/ rw3 rh3 m3' ],
+            [ 'dx3', 'cos n3 da' ],
+            [ 'dy3', 'sin n3 da' ],
+            [ 'x3', '+- hc dx3 0' ],
+            [ 'vc3', '+- b 0 rh3' ],
+            [ 'y2', '+- vc3 dy3 0' ],
+            [ 'x2', '+- wd2 0 rw2' ],
+            [ 'cd', '*/ cd2 2 1' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'arcTo', 'wd2', 'hd4', 'stAng1', 'swAng1' ],
+                    [ 'lnTo', 'x3', 'y2' ],
+                    [ 'arcTo', 'rw3', 'rh3', 'da', 'swAng3' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'x2', 'hd4' ],
+                    [ 'arcTo', 'rw2', 'rh2', 'cd2', '-21600000' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    gear6: {
+        avLst: { adj1: 'val 15000', adj2: 'val 3526' },
+        gdLst: [
+            [ 'a1', 'pin 0 adj1 20000' ],
+            [ 'a2', 'pin 0 adj2 5358' ],
+            [ 'th', '*/ ss a1 100000' ],
+            [ 'lFD', '*/ ss a2 100000' ],
+            [ 'th2', '*/ th 1 2' ],
+            [ 'l2', '*/ lFD 1 2' ],
+            [ 'l3', '+- th2 l2 0' ],
+            [ 'rh', '+- hd2 0 th' ],
+            [ 'rw', '+- wd2 0 th' ],
+            [ 'dr', '+- rw 0 rh' ],
+            [ 'maxr', '?: dr rh rw' ],
+            [ 'ha', 'at2 maxr l3' ],
+            [ 'aA1', '+- 19800000 0 ha' ],
+            [ 'aD1', '+- 19800000 ha 0' ],
+            [ 'ta11', 'cos rw aA1' ],
+            [ 'ta12', 'sin rh aA1' ],
+            [ 'bA1', 'at2 ta11 ta12' ],
+            [ 'cta1', 'cos rh bA1' ],
+            [ 'sta1', 'sin rw bA1' ],
+            [ 'ma1', 'mod cta1 sta1 0' ],
+            [ 'na1', '*/ rw rh ma1' ],
+            [ 'dxa1', 'cos na1 bA1' ],
+            [ 'dya1', 'sin na1 bA1' ],
+            [ 'xA1', '+- hc dxa1 0' ],
+            [ 'yA1', '+- vc dya1 0' ],
+            [ 'td11', 'cos rw aD1' ],
+            [ 'td12', 'sin rh aD1' ],
+            [ 'bD1', 'at2 td11 td12' ],
+            [ 'ctd1', 'cos rh bD1' ],
+            [ 'std1', 'sin rw bD1' ],
+            [ 'md1', 'mod ctd1 std1 0' ],
+            [ 'nd1', '*/ rw rh md1' ],
+            [ 'dxd1', 'cos nd1 bD1' ],
+            [ 'dyd1', 'sin nd1 bD1' ],
+            [ 'xD1', '+- hc dxd1 0' ],
+            [ 'yD1', '+- vc dyd1 0' ],
+            [ 'xAD1', '+- xA1 0 xD1' ],
+            [ 'yAD1', '+- yA1 0 yD1' ],
+            [ 'lAD1', 'mod xAD1 yAD1 0' ],
+            [ 'a1', 'at2 yAD1 xAD1' ],
+            [ 'dxF1', 'sin lFD a1' ],
+            [ 'dyF1', 'cos lFD a1' ],
+            [ 'xF1', '+- xD1 dxF1 0' ],
+            [ 'yF1', '+- yD1 dyF1 0' ],
+            [ 'xE1', '+- xA1 0 dxF1' ],
+            [ 'yE1', '+- yA1 0 dyF1' ],
+            [ 'yC1t', 'sin th a1' ],
+            [ 'xC1t', 'cos th a1' ],
+            [ 'yC1', '+- yF1 yC1t 0' ],
+            [ 'xC1', '+- xF1 0 xC1t' ],
+            [ 'yB1', '+- yE1 yC1t 0' ],
+            [ 'xB1', '+- xE1 0 xC1t' ],
+            [ 'aD6', '+- 3cd4 ha 0' ],
+            [ 'td61', 'cos rw aD6' ],
+            [ 'td62', 'sin rh aD6' ],
+            [ 'bD6', 'at2 td61 td62' ],
+            [ 'ctd6', 'cos rh bD6' ],
+            [ 'std6', 'sin rw bD6' ],
+            [ 'md6', 'mod ctd6 std6 0' ],
+            [ 'nd6', '*/ rw rh md6' ],
+            [ 'dxd6', 'cos nd6 bD6' ],
+            [ 'dyd6', 'sin nd6 bD6' ],
+            [ 'xD6', '+- hc dxd6 0' ],
+            [ 'yD6', '+- vc dyd6 0' ],
+            [ 'xA6', '+- hc 0 dxd6' ],
+            [ 'xF6', '+- xD6 0 lFD' ],
+            [ 'xE6', '+- xA6 lFD 0' ],
+            [ 'yC6', '+- yD6 0 th' ],
+            [ 'swAng1', '+- bA1 0 bD6' ],
+            [ 'aA2', '+- 1800000 0 ha' ],
+            [ 'aD2', '+- 1800000 ha 0' ],
+            [ 'ta21', 'cos rw aA2' ],
+            [ 'ta22', 'sin rh aA2' ],
+            [ 'bA2', 'at2 ta21 ta22' ],
+            [ 'yA2', '+- h 0 yD1' ],
+            [ 'td21', 'cos rw aD2' ],
+            [ 'td22', 'sin rh aD2' ],
+            [ 'bD2', 'at2 td21 td22' ],
+            [ 'yD2', '+- h 0 yA1' ],
+            [ 'yC2', '+- h 0 yB1' ],
+            [ 'yB2', '+- h 0 yC1' ],
+            [ 'xB2', 'val xC1' ],
+            [ 'swAng2', '+- bA2 0 bD1' ],
+            [ 'aD3', '+- cd4 ha 0' ],
+            [ 'td31', 'cos rw aD3' ],
+            [ 'td32', 'sin rh aD3' ],
+            [ 'bD3', 'at2 td31 td32' ],
+            [ 'yD3', '+- h 0 yD6' ],
+            [ 'yB3', '+- h 0 yC6' ],
+            [ 'aD4', '+- 9000000 ha 0' ],
+            [ 'td41', 'cos rw aD4' ],
+            [ 'td42', 'sin rh aD4' ],
+            [ 'bD4', 'at2 td41 td42' ],
+            [ 'xD4', '+- w 0 xD1' ],
+            [ 'xC4', '+- w 0 xC1' ],
+            [ 'xB4', '+- w 0 xB1' ],
+            [ 'aD5', '+- 12600000 ha 0' ],
+            [ 'td51', 'cos rw aD5' ],
+            [ 'td52', 'sin rh aD5' ],
+            [ 'bD5', 'at2 td51 td52' ],
+            [ 'xD5', '+- w 0 xA1' ],
+            [ 'xC5', '+- w 0 xB1' ],
+            [ 'xB5', '+- w 0 xC1' ],
+            [ 'xCxn1', '+/ xB1 xC1 2' ],
+            [ 'yCxn1', '+/ yB1 yC1 2' ],
+            [ 'yCxn2', '+- b 0 yCxn1' ],
+            [ 'xCxn4', '+/ r 0 xCxn1' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'xA1', 'yA1' ],
+                    [ 'lnTo', 'xB1', 'yB1' ],
+                    [ 'lnTo', 'xC1', 'yC1' ],
+                    [ 'lnTo', 'xD1', 'yD1' ],
+                    [ 'arcTo', 'rw', 'rh', 'bD1', 'swAng2' ],
+                    [ 'lnTo', 'xC1', 'yB2' ],
+                    [ 'lnTo', 'xB1', 'yC2' ],
+                    [ 'lnTo', 'xA1', 'yD2' ],
+                    [ 'arcTo', 'rw', 'rh', 'bD2', 'swAng1' ],
+                    [ 'lnTo', 'xF6', 'yB3' ],
+                    [ 'lnTo', 'xE6', 'yB3' ],
+                    [ 'lnTo', 'xA6', 'yD3' ],
+                    [ 'arcTo', 'rw', 'rh', 'bD3', 'swAng1' ],
+                    [ 'lnTo', 'xB4', 'yC2' ],
+                    [ 'lnTo', 'xC4', 'yB2' ],
+                    [ 'lnTo', 'xD4', 'yA2' ],
+                    [ 'arcTo', 'rw', 'rh', 'bD4', 'swAng2' ],
+                    [ 'lnTo', 'xB5', 'yC1' ],
+                    [ 'lnTo', 'xC5', 'yB1' ],
+                    [ 'lnTo', 'xD5', 'yA1' ],
+                    [ 'arcTo', 'rw', 'rh', 'bD5', 'swAng1' ],
+                    [ 'lnTo', 'xE6', 'yC6' ],
+                    [ 'lnTo', 'xF6', 'yC6' ],
+                    [ 'lnTo', 'xD6', 'yD6' ],
+                    [ 'arcTo', 'rw', 'rh', 'bD6', 'swAng1' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    gear9: {
+        avLst: { adj1: 'val 10000', adj2: 'val 1763' },
+        gdLst: [
+            [ 'a1', 'pin 0 adj1 20000' ],
+            [ 'a2', 'pin 0 adj2 2679' ],
+            [ 'th', '*/ ss a1 100000' ],
+            [ 'lFD', '*/ ss a2 100000' ],
+            [ 'th2', '*/ th 1 2' ],
+            [ 'l2', '*/ lFD 1 2' ],
+            [ 'l3', '+- th2 l2 0' ],
+            [ 'rh', '+- hd2 0 th' ],
+            [ 'rw', '+- wd2 0 th' ],
+            [ 'dr', '+- rw 0 rh' ],
+            [ 'maxr', '?: dr rh rw' ],
+            [ 'ha', 'at2 maxr l3' ],
+            [ 'aA1', '+- 18600000 0 ha' ],
+            [ 'aD1', '+- 18600000 ha 0' ],
+            [ 'ta11', 'cos rw aA1' ],
+            [ 'ta12', 'sin rh aA1' ],
+            [ 'bA1', 'at2 ta11 ta12' ],
+            [ 'cta1', 'cos rh bA1' ],
+            [ 'sta1', 'sin rw bA1' ],
+            [ 'ma1', 'mod cta1 sta1 0' ],
+            [ 'na1', '*/ rw rh ma1' ],
+            [ 'dxa1', 'cos na1 bA1' ],
+            [ 'dya1', 'sin na1 bA1' ],
+            [ 'xA1', '+- hc dxa1 0' ],
+            [ 'yA1', '+- vc dya1 0' ],
+            [ 'td11', 'cos rw aD1' ],
+            [ 'td12', 'sin rh aD1' ],
+            [ 'bD1', 'at2 td11 td12' ],
+            [ 'ctd1', 'cos rh bD1' ],
+            [ 'std1', 'sin rw bD1' ],
+            [ 'md1', 'mod ctd1 std1 0' ],
+            [ 'nd1', '*/ rw rh md1' ],
+            [ 'dxd1', 'cos nd1 bD1' ],
+            [ 'dyd1', 'sin nd1 bD1' ],
+            [ 'xD1', '+- hc dxd1 0' ],
+            [ 'yD1', '+- vc dyd1 0' ],
+            [ 'xAD1', '+- xA1 0 xD1' ],
+            [ 'yAD1', '+- yA1 0 yD1' ],
+            [ 'lAD1', 'mod xAD1 yAD1 0' ],
+            [ 'a1', 'at2 yAD1 xAD1' ],
+            [ 'dxF1', 'sin lFD a1' ],
+            [ 'dyF1', 'cos lFD a1' ],
+            [ 'xF1', '+- xD1 dxF1 0' ],
+            [ 'yF1', '+- yD1 dyF1 0' ],
+            [ 'xE1', '+- xA1 0 dxF1' ],
+            [ 'yE1', '+- yA1 0 dyF1' ],
+            [ 'yC1t', 'sin th a1' ],
+            [ 'xC1t', 'cos th a1' ],
+            [ 'yC1', '+- yF1 yC1t 0' ],
+            [ 'xC1', '+- xF1 0 xC1t' ],
+            [ 'yB1', '+- yE1 yC1t 0' ],
+            [ 'xB1', '+- xE1 0 xC1t' ],
+            [ 'aA2', '+- 21000000 0 ha' ],
+            [ 'aD2', '+- 21000000 ha 0' ],
+            [ 'ta21', 'cos rw aA2' ],
+            [ 'ta22', 'sin rh aA2' ],
+            [ 'bA2', 'at2 ta21 ta22' ],
+            [ 'cta2', 'cos rh bA2' ],
+            [ 'sta2', 'sin rw bA2' ],
+            [ 'ma2', 'mod cta2 sta2 0' ],
+            [ 'na2', '*/ rw rh ma2' ],
+            [ 'dxa2', 'cos na2 bA2' ],
+            [ 'dya2', 'sin na2 bA2' ],
+            [ 'xA2', '+- hc dxa2 0' ],
+            [ 'yA2', '+- vc dya2 0' ],
+            [ 'td21', 'cos rw aD2' ],
+            [ 'td22', 'sin rh aD2' ],
+            [ 'bD2', 'at2 td21 td22' ],
+            [ 'ctd2', 'cos rh bD2' ],
+            [ 'std2', 'sin rw bD2' ],
+            [ 'md2', 'mod ctd2 std2 0' ],
+            [ 'nd2', '*/ rw rh md2' ],
+            [ 'dxd2', 'cos nd2 bD2' ],
+            [ 'dyd2', 'sin nd2 bD2' ],
+            [ 'xD2', '+- hc dxd2 0' ],
+            [ 'yD2', '+- vc dyd2 0' ],
+            [ 'xAD2', '+- xA2 0 xD2' ],
+            [ 'yAD2', '+- yA2 0 yD2' ],
+            [ 'lAD2', 'mod xAD2 yAD2 0' ],
+            [ 'a2', 'at2 yAD2 xAD2' ],
+            [ 'dxF2', 'sin lFD a2' ],
+            [ 'dyF2', 'cos lFD a2' ],
+            [ 'xF2', '+- xD2 dxF2 0' ],
+            [ 'yF2', '+- yD2 dyF2 0' ],
+            [ 'xE2', '+- xA2 0 dxF2' ],
+            [ 'yE2', '+- yA2 0 dyF2' ],
+            [ 'yC2t', 'sin th a2' ],
+            [ 'xC2t', 'cos th a2' ],
+            [ 'yC2', '+- yF2 yC2t 0' ],
+            [ 'xC2', '+- xF2 0 xC2t' ],
+            [ 'yB2', '+- yE2 yC2t 0' ],
+            [ 'xB2', '+- xE2 0 xC2t' ],
+            [ 'swAng1', '+- bA2 0 bD1' ],
+            [ 'aA3', '+- 1800000 0 ha' ],
+            [ 'aD3', '+- 1800000 ha 0' ],
+            [ 'ta31', 'cos rw aA3' ],
+            [ 'ta32', 'sin rh aA3' ],
+            [ 'bA3', 'at2 ta31 ta32' ],
+            [ 'cta3', 'cos rh bA3' ],
+            [ 'sta3', 'sin rw bA3' ],
+            [ 'ma3', 'mod cta3 sta3 0' ],
+            [ 'na3', '*/ rw rh ma3' ],
+            [ 'dxa3', 'cos na3 bA3' ],
+            [ 'dya3', 'sin na3 bA3' ],
+            [ 'xA3', '+- hc dxa3 0' ],
+            [ 'yA3', '+- vc dya3 0' ],
+            [ 'td31', 'cos rw aD3' ],
+            [ 'td32', 'sin rh aD3' ],
+            [ 'bD3', 'at2 td31 td32' ],
+            [ 'ctd3', 'cos rh bD3' ],
+            [ 'std3', 'sin rw bD3' ],
+            [ 'md3', 'mod ctd3 std3 0' ],
+            [ 'nd3', '*/ rw rh md3' ],
+            [ 'dxd3', 'cos nd3 bD3' ],
+            [ 'dyd3', 'sin nd3 bD3' ],
+            [ 'xD3', '+- hc dxd3 0' ],
+            [ 'yD3', '+- vc dyd3 0' ],
+            [ 'xAD3', '+- xA3 0 xD3' ],
+            [ 'yAD3', '+- yA3 0 yD3' ],
+            [ 'lAD3', 'mod xAD3 yAD3 0' ],
+            [ 'a3', 'at2 yAD3 xAD3' ],
+            [ 'dxF3', 'sin lFD a3' ],
+            [ 'dyF3', 'cos lFD a3' ],
+            [ 'xF3', '+- xD3 dxF3 0' ],
+            [ 'yF3', '+- yD3 dyF3 0' ],
+            [ 'xE3', '+- xA3 0 dxF3' ],
+            [ 'yE3', '+- yA3 0 dyF3' ],
+            [ 'yC3t', 'sin th a3' ],
+            [ 'xC3t', 'cos th a3' ],
+            [ 'yC3', '+- yF3 yC3t 0' ],
+            [ 'xC3', '+- xF3 0 xC3t' ],
+            [ 'yB3', '+- yE3 yC3t 0' ],
+            [ 'xB3', '+- xE3 0 xC3t' ],
+            [ 'swAng2', '+- bA3 0 bD2' ],
+            [ 'aA4', '+- 4200000 0 ha' ],
+            [ 'aD4', '+- 4200000 ha 0' ],
+            [ 'ta41', 'cos rw aA4' ],
+            [ 'ta42', 'sin rh aA4' ],
+            [ 'bA4', 'at2 ta41 ta42' ],
+            [ 'cta4', 'cos rh bA4' ],
+            [ 'sta4', 'sin rw bA4' ],
+            [ 'ma4', 'mod cta4 sta4 0' ],
+            [ 'na4', '*/ rw rh ma4' ],
+            [ 'dxa4', 'cos na4 bA4' ],
+            [ 'dya4', 'sin na4 bA4' ],
+            [ 'xA4', '+- hc dxa4 0' ],
+            [ 'yA4', '+- vc dya4 0' ],
+            [ 'td41', 'cos rw aD4' ],
+            [ 'td42', 'sin rh aD4' ],
+            [ 'bD4', 'at2 td41 td42' ],
+            [ 'ctd4', 'cos rh bD4' ],
+            [ 'std4', 'sin rw bD4' ],
+            [ 'md4', 'mod ctd4 std4 0' ],
+            [ 'nd4', '*/ rw rh md4' ],
+            [ 'dxd4', 'cos nd4 bD4' ],
+            [ 'dyd4', 'sin nd4 bD4' ],
+            [ 'xD4', '+- hc dxd4 0' ],
+            [ 'yD4', '+- vc dyd4 0' ],
+            [ 'xAD4', '+- xA4 0 xD4' ],
+            [ 'yAD4', '+- yA4 0 yD4' ],
+            [ 'lAD4', 'mod xAD4 yAD4 0' ],
+            [ 'a4', 'at2 yAD4 xAD4' ],
+            [ 'dxF4', 'sin lFD a4' ],
+            [ 'dyF4', 'cos lFD a4' ],
+            [ 'xF4', '+- xD4 dxF4 0' ],
+            [ 'yF4', '+- yD4 dyF4 0' ],
+            [ 'xE4', '+- xA4 0 dxF4' ],
+            [ 'yE4', '+- yA4 0 dyF4' ],
+            [ 'yC4t', 'sin th a4' ],
+            [ 'xC4t', 'cos th a4' ],
+            [ 'yC4', '+- yF4 yC4t 0' ],
+            [ 'xC4', '+- xF4 0 xC4t' ],
+            [ 'yB4', '+- yE4 yC4t 0' ],
+            [ 'xB4', '+- xE4 0 xC4t' ],
+            [ 'swAng3', '+- bA4 0 bD3' ],
+            [ 'aA5', '+- 6600000 0 ha' ],
+            [ 'aD5', '+- 6600000 ha 0' ],
+            [ 'ta51', 'cos rw aA5' ],
+            [ 'ta52', 'sin rh aA5' ],
+            [ 'bA5', 'at2 ta51 ta52' ],
+            [ 'td51', 'cos rw aD5' ],
+            [ 'td52', 'sin rh aD5' ],
+            [ 'bD5', 'at2 td51 td52' ],
+            [ 'xD5', '+- w 0 xA4' ],
+            [ 'xC5', '+- w 0 xB4' ],
+            [ 'xB5', '+- w 0 xC4' ],
+            [ 'swAng4', '+- bA5 0 bD4' ],
+            [ 'aD6', '+- 9000000 ha 0' ],
+            [ 'td61', 'cos rw aD6' ],
+            [ 'td62', 'sin rh aD6' ],
+            [ 'bD6', 'at2 td61 td62' ],
+            [ 'xD6', '+- w 0 xA3' ],
+            [ 'xC6', '+- w 0 xB3' ],
+            [ 'xB6', '+- w 0 xC3' ],
+            [ 'aD7', '+- 11400000 ha 0' ],
+            [ 'td71', 'cos rw aD7' ],
+            [ 'td72', 'sin rh aD7' ],
+            [ 'bD7', 'at2 td71 td72' ],
+            [ 'xD7', '+- w 0 xA2' ],
+            [ 'xC7', '+- w 0 xB2' ],
+            [ 'xB7', '+- w 0 xC2' ],
+            [ 'aD8', '+- 13800000 ha 0' ],
+            [ 'td81', 'cos rw aD8' ],
+            [ 'td82', 'sin rh aD8' ],
+            [ 'bD8', 'at2 td81 td82' ],
+            [ 'xA8', '+- w 0 xD1' ],
+            [ 'xD8', '+- w 0 xA1' ],
+            [ 'xC8', '+- w 0 xB1' ],
+            [ 'xB8', '+- w 0 xC1' ],
+            [ 'aA9', '+- 3cd4 0 ha' ],
+            [ 'aD9', '+- 3cd4 ha 0' ],
+            [ 'td91', 'cos rw aD9' ],
+            [ 'td92', 'sin rh aD9' ],
+            [ 'bD9', 'at2 td91 td92' ],
+            [ 'ctd9', 'cos rh bD9' ],
+            [ 'std9', 'sin rw bD9' ],
+            [ 'md9', 'mod ctd9 std9 0' ],
+            [ 'nd9', '*/ rw rh md9' ],
+            [ 'dxd9', 'cos nd9 bD9' ],
+            [ 'dyd9', 'sin nd9 bD9' ],
+            [ 'xD9', '+- hc dxd9 0' ],
+            [ 'yD9', '+- vc dyd9 0' ],
+            [ 'ta91', 'cos rw aA9' ],
+            [ 'ta92', 'sin rh aA9' ],
+            [ 'bA9', 'at2 ta91 ta92' ],
+            [ 'xA9', '+- hc 0 dxd9' ],
+            [ 'xF9', '+- xD9 0 lFD' ],
+            [ 'xE9', '+- xA9 lFD 0' ],
+            [ 'yC9', '+- yD9 0 th' ],
+            [ 'swAng5', '+- bA9 0 bD8' ],
+            [ 'xCxn1', '+/ xB1 xC1 2' ],
+            [ 'yCxn1', '+/ yB1 yC1 2' ],
+            [ 'xCxn2', '+/ xB2 xC2 2' ],
+            [ 'yCxn2', '+/ yB2 yC2 2' ],
+            [ 'xCxn3', '+/ xB3 xC3 2' ],
+            [ 'yCxn3', '+/ yB3 yC3 2' ],
+            [ 'xCxn4', '+/ xB4 xC4 2' ],
+            [ 'yCxn4', '+/ yB4 yC4 2' ],
+            [ 'xCxn5', '+/ r 0 xCxn4' ],
+            [ 'xCxn6', '+/ r 0 xCxn3' ],
+            [ 'xCxn7', '+/ r 0 xCxn2' ],
+            [ 'xCxn8', '+/ r 0 xCxn1' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'xA1', 'yA1' ],
+                    [ 'lnTo', 'xB1', 'yB1' ],
+                    [ 'lnTo', 'xC1', 'yC1' ],
+                    [ 'lnTo', 'xD1', 'yD1' ],
+                    [ 'arcTo', 'rw', 'rh', 'bD1', 'swAng1' ],
+                    [ 'lnTo', 'xB2', 'yB2' ],
+                    [ 'lnTo', 'xC2', 'yC2' ],
+                    [ 'lnTo', 'xD2', 'yD2' ],
+                    [ 'arcTo', 'rw', 'rh', 'bD2', 'swAng2' ],
+                    [ 'lnTo', 'xB3', 'yB3' ],
+                    [ 'lnTo', 'xC3', 'yC3' ],
+                    [ 'lnTo', 'xD3', 'yD3' ],
+                    [ 'arcTo', 'rw', 'rh', 'bD3', 'swAng3' ],
+                    [ 'lnTo', 'xB4', 'yB4' ],
+                    [ 'lnTo', 'xC4', 'yC4' ],
+                    [ 'lnTo', 'xD4', 'yD4' ],
+                    [ 'arcTo', 'rw', 'rh', 'bD4', 'swAng4' ],
+                    [ 'lnTo', 'xB5', 'yC4' ],
+                    [ 'lnTo', 'xC5', 'yB4' ],
+                    [ 'lnTo', 'xD5', 'yA4' ],
+                    [ 'arcTo', 'rw', 'rh', 'bD5', 'swAng3' ],
+                    [ 'lnTo', 'xB6', 'yC3' ],
+                    [ 'lnTo', 'xC6', 'yB3' ],
+                    [ 'lnTo', 'xD6', 'yA3' ],
+                    [ 'arcTo', 'rw', 'rh', 'bD6', 'swAng2' ],
+                    [ 'lnTo', 'xB7', 'yC2' ],
+                    [ 'lnTo', 'xC7', 'yB2' ],
+                    [ 'lnTo', 'xD7', 'yA2' ],
+                    [ 'arcTo', 'rw', 'rh', 'bD7', 'swAng1' ],
+                    [ 'lnTo', 'xB8', 'yC1' ],
+                    [ 'lnTo', 'xC8', 'yB1' ],
+                    [ 'lnTo', 'xD8', 'yA1' ],
+                    [ 'arcTo', 'rw', 'rh', 'bD8', 'swAng5' ],
+                    [ 'lnTo', 'xE9', 'yC9' ],
+                    [ 'lnTo', 'xF9', 'yC9' ],
+                    [ 'lnTo', 'xD9', 'yD9' ],
+                    [ 'arcTo', 'rw', 'rh', 'bD9', 'swAng5' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    halfFrame: {
+        avLst: { adj1: 'val 33333', adj2: 'val 33333' },
+        gdLst: [
+            [ 'maxAdj2', '*/ 100000 w ss' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'x1', '*/ ss a2 100000' ],
+            [ 'g1', '*/ h x1 w' ],
+            [ 'g2', '+- h 0 g1' ],
+            [ 'maxAdj1', '*/ 100000 g2 ss' ],
+            [ 'a1', 'pin 0 adj1 maxAdj1' ],
+            [ 'y1', '*/ ss a1 100000' ],
+            [ 'dx2', '*/ y1 w h' ],
+            [ 'x2', '+- r 0 dx2' ],
+            [ 'dy2', '*/ x1 h w' ],
+            [ 'y2', '+- b 0 dy2' ],
+            [ 'cx1', '*/ x1 1 2' ],
+            [ 'cy1', '+/ y2 b 2' ],
+            [ 'cx2', '+/ x2 r 2' ],
+            [ 'cy2', '*/ y1 1 2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'x2', 'y1' ],
+                    [ 'lnTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    heart: {
+        gdLst: [
+            [ 'dx1', '*/ w 49 48' ],
+            [ 'dx2', '*/ w 10 48' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x2', '+- hc 0 dx2' ],
+            [ 'x3', '+- hc dx2 0' ],
+            [ 'x4', '+- hc dx1 0' ],
+            [ 'y1', '+- t 0 hd3' ],
+            [ 'il', '*/ w 1 6' ],
+            [ 'ir', '*/ w 5 6' ],
+            [ 'ib', '*/ h 2 3' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'hc', 'hd4' ],
+                    [ 'cubicBezTo', 'x3', 'y1', 'x4', 'hd4', 'hc', 'b' ],
+                    [ 'cubicBezTo', 'x1', 'hd4', 'x2', 'y1', 'hc', 'hd4' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    heptagon: {
+        avLst: { hf: 'val 102572', vf: 'val 105210' },
+        gdLst: [
+            [ 'swd2', '*/ wd2 hf 100000' ],
+            [ 'shd2', '*/ hd2 vf 100000' ],
+            [ 'svc', '*/ vc  vf 100000' ],
+            [ 'dx1', '*/ swd2 97493 100000' ],
+            [ 'dx2', '*/ swd2 78183 100000' ],
+            [ 'dx3', '*/ swd2 43388 100000' ],
+            [ 'dy1', '*/ shd2 62349 100000' ],
+            [ 'dy2', '*/ shd2 22252 100000' ],
+            [ 'dy3', '*/ shd2 90097 100000' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x2', '+- hc 0 dx2' ],
+            [ 'x3', '+- hc 0 dx3' ],
+            [ 'x4', '+- hc dx3 0' ],
+            [ 'x5', '+- hc dx2 0' ],
+            [ 'x6', '+- hc dx1 0' ],
+            [ 'y1', '+- svc 0 dy1' ],
+            [ 'y2', '+- svc dy2 0' ],
+            [ 'y3', '+- svc dy3 0' ],
+            [ 'ib', '+- b 0 y1' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'x1', 'y2' ],
+                    [ 'lnTo', 'x2', 'y1' ],
+                    [ 'lnTo', 'hc', 't' ],
+                    [ 'lnTo', 'x5', 'y1' ],
+                    [ 'lnTo', 'x6', 'y2' ],
+                    [ 'lnTo', 'x4', 'y3' ],
+                    [ 'lnTo', 'x3', 'y3' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    hexagon: {
+        avLst: { adj: 'val 25000', vf: 'val 115470' },
+        gdLst: [
+            [ 'maxAdj', '*/ 50000 w ss' ],
+            [ 'a', 'pin 0 adj maxAdj' ],
+            [ 'shd2', '*/ hd2 vf 100000' ],
+            [ 'x1', '*/ ss a 100000' ],
+            [ 'x2', '+- r 0 x1' ],
+            [ 'dy1', 'sin shd2 3600000' ],
+            [ 'y1', '+- vc 0 dy1' ],
+            [ 'y2', '+- vc dy1 0' ],
+            [ 'q1', '*/ maxAdj -1 2' ],
+            [ 'q2', '+- a q1 0' ],
+            [ 'q3', '?: q2 4 2' ],
+            [ 'q4', '?: q2 3 2' ],
+            [ 'q5', '?: q2 q1 0' ],
+            [ 'q6', '+/ a q5 q1' ],
+            [ 'q7', '*/ q6 q4 -1' ],
+            [ 'q8', '+- q3 q7 0' ],
+            [ 'il', '*/ w q8 24' ],
+            [ 'it', '*/ h q8 24' ],
+            [ 'ir', '+- r 0 il' ],
+            [ 'ib', '+- b 0 it' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'lnTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x2', 'y1' ],
+                    [ 'lnTo', 'r', 'vc' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    homePlate: {
+        avLst: { adj: 'val 50000' },
+        gdLst: [
+            [ 'maxAdj', '*/ 100000 w ss' ],
+            [ 'a', 'pin 0 adj maxAdj' ],
+            [ 'dx1', '*/ ss a 100000' ],
+            [ 'x1', '+- r 0 dx1' ],
+            [ 'ir', '+/ x1 r 2' ],
+            [ 'x2', '*/ x1 1 2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'x1', 't' ],
+                    [ 'lnTo', 'r', 'vc' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    horizontalScroll: {
+        avLst: { adj: 'val 12500' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 25000' ],
+            [ 'ch', '*/ ss a 100000' ],
+            [ 'ch2', '*/ ch 1 2' ],
+            [ 'ch4', '*/ ch 1 4' ],
+            [ 'y3', '+- ch ch2 0' ],
+            [ 'y4', '+- ch ch 0' ],
+            [ 'y6', '+- b 0 ch' ],
+            [ 'y7', '+- b 0 ch2' ],
+            [ 'y5', '+- y6 0 ch2' ],
+            [ 'x3', '+- r 0 ch' ],
+            [ 'x4', '+- r 0 ch2' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'r', 'ch2' ],
+                    [ 'arcTo', 'ch2', 'ch2', '0', 'cd4' ],
+                    [ 'lnTo', 'x4', 'ch2' ],
+                    [ 'arcTo', 'ch4', 'ch4', '0', 'cd2' ],
+                    [ 'lnTo', 'x3', 'ch' ],
+                    [ 'lnTo', 'ch2', 'ch' ],
+                    [ 'arcTo', 'ch2', 'ch2', '3cd4', '-5400000' ],
+                    [ 'lnTo', 'l', 'y7' ],
+                    [ 'arcTo', 'ch2', 'ch2', 'cd2', '-10800000' ],
+                    [ 'lnTo', 'ch', 'y6' ],
+                    [ 'lnTo', 'x4', 'y6' ],
+                    [ 'arcTo', 'ch2', 'ch2', 'cd4', '-5400000' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'ch2', 'y4' ],
+                    [ 'arcTo', 'ch2', 'ch2', 'cd4', '-5400000' ],
+                    [ 'arcTo', 'ch4', 'ch4', '0', '-10800000' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darkenLess',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'ch2', 'y4' ],
+                    [ 'arcTo', 'ch2', 'ch2', 'cd4', '-5400000' ],
+                    [ 'arcTo', 'ch4', 'ch4', '0', '-10800000' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'x4', 'ch' ],
+                    [ 'arcTo', 'ch2', 'ch2', 'cd4', '-16200000' ],
+                    [ 'arcTo', 'ch4', 'ch4', 'cd2', '-10800000' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 'y3' ],
+                    [ 'arcTo', 'ch2', 'ch2', 'cd2', 'cd4' ],
+                    [ 'lnTo', 'x3', 'ch' ],
+                    [ 'lnTo', 'x3', 'ch2' ],
+                    [ 'arcTo', 'ch2', 'ch2', 'cd2', 'cd2' ],
+                    [ 'lnTo', 'r', 'y5' ],
+                    [ 'arcTo', 'ch2', 'ch2', '0', 'cd4' ],
+                    [ 'lnTo', 'ch', 'y6' ],
+                    [ 'lnTo', 'ch', 'y7' ],
+                    [ 'arcTo', 'ch2', 'ch2', '0', 'cd2' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'x3', 'ch' ],
+                    [ 'lnTo', 'x4', 'ch' ],
+                    [ 'arcTo', 'ch2', 'ch2', 'cd4', '-5400000' ],
+                    [ 'moveTo', 'x4', 'ch' ],
+                    [ 'lnTo', 'x4', 'ch2' ],
+                    [ 'arcTo', 'ch4', 'ch4', '0', 'cd2' ],
+                    [ 'moveTo', 'ch2', 'y4' ],
+                    [ 'lnTo', 'ch2', 'y3' ],
+                    [ 'arcTo', 'ch4', 'ch4', 'cd2', 'cd2' ],
+                    [ 'arcTo', 'ch2', 'ch2', '0', 'cd2' ],
+                    [ 'moveTo', 'ch', 'y3' ],
+                    [ 'lnTo', 'ch', 'y6' ],
+                ],
+            },
+        ],
+    },
+    irregularSeal1: {
+        gdLst: [
+            [ 'x5', '*/ w 4627 21600' ],
+            [ 'x12', '*/ w 8485 21600' ],
+            [ 'x21', '*/ w 16702 21600' ],
+            [ 'x24', '*/ w 14522 21600' ],
+            [ 'y3', '*/ h 6320 21600' ],
+            [ 'y6', '*/ h 8615 21600' ],
+            [ 'y9', '*/ h 13937 21600' ],
+            [ 'y18', '*/ h 13290 21600' ],
+        ],
+        pathLst: [
+            {
+                w: 21600,
+                h: 21600,
+                commands: [
+                    [ 'moveTo', '10800', '5800' ],
+                    [ 'lnTo', '14522', '0' ],
+                    [ 'lnTo', '14155', '5325' ],
+                    [ 'lnTo', '18380', '4457' ],
+                    [ 'lnTo', '16702', '7315' ],
+                    [ 'lnTo', '21097', '8137' ],
+                    [ 'lnTo', '17607', '10475' ],
+                    [ 'lnTo', '21600', '13290' ],
+                    [ 'lnTo', '16837', '12942' ],
+                    [ 'lnTo', '18145', '18095' ],
+                    [ 'lnTo', '14020', '14457' ],
+                    [ 'lnTo', '13247', '19737' ],
+                    [ 'lnTo', '10532', '14935' ],
+                    [ 'lnTo', '8485', '21600' ],
+                    [ 'lnTo', '7715', '15627' ],
+                    [ 'lnTo', '4762', '17617' ],
+                    [ 'lnTo', '5667', '13937' ],
+                    [ 'lnTo', '135', '14587' ],
+                    [ 'lnTo', '3722', '11775' ],
+                    [ 'lnTo', '0', '8615' ],
+                    [ 'lnTo', '4627', '7617' ],
+                    [ 'lnTo', '370', '2295' ],
+                    [ 'lnTo', '7312', '6320' ],
+                    [ 'lnTo', '8352', '2295' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    irregularSeal2: {
+        gdLst: [
+            [ 'x2', '*/ w 9722 21600' ],
+            [ 'x5', '*/ w 5372 21600' ],
+            [ 'x16', '*/ w 11612 21600' ],
+            [ 'x19', '*/ w 14640 21600' ],
+            [ 'y2', '*/ h 1887 21600' ],
+            [ 'y3', '*/ h 6382 21600' ],
+            [ 'y8', '*/ h 12877 21600' ],
+            [ 'y14', '*/ h 19712 21600' ],
+            [ 'y16', '*/ h 18842 21600' ],
+            [ 'y17', '*/ h 15935 21600' ],
+            [ 'y24', '*/ h 6645 21600' ],
+        ],
+        pathLst: [
+            {
+                w: 21600,
+                h: 21600,
+                commands: [
+                    [ 'moveTo', '11462', '4342' ],
+                    [ 'lnTo', '14790', '0' ],
+                    [ 'lnTo', '14525', '5777' ],
+                    [ 'lnTo', '18007', '3172' ],
+                    [ 'lnTo', '16380', '6532' ],
+                    [ 'lnTo', '21600', '6645' ],
+                    [ 'lnTo', '16985', '9402' ],
+                    [ 'lnTo', '18270', '11290' ],
+                    [ 'lnTo', '16380', '12310' ],
+                    [ 'lnTo', '18877', '15632' ],
+                    [ 'lnTo', '14640', '14350' ],
+                    [ 'lnTo', '14942', '17370' ],
+                    [ 'lnTo', '12180', '15935' ],
+                    [ 'lnTo', '11612', '18842' ],
+                    [ 'lnTo', '9872', '17370' ],
+                    [ 'lnTo', '8700', '19712' ],
+                    [ 'lnTo', '7527', '18125' ],
+                    [ 'lnTo', '4917', '21600' ],
+                    [ 'lnTo', '4805', '18240' ],
+                    [ 'lnTo', '1285', '17825' ],
+                    [ 'lnTo', '3330', '15370' ],
+                    [ 'lnTo', '0', '12877' ],
+                    [ 'lnTo', '3935', '11592' ],
+                    [ 'lnTo', '1172', '8270' ],
+                    [ 'lnTo', '5372', '7817' ],
+                    [ 'lnTo', '4502', '3625' ],
+                    [ 'lnTo', '8550', '6382' ],
+                    [ 'lnTo', '9722', '1887' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    leftArrow: {
+        avLst: { adj1: 'val 50000', adj2: 'val 50000' },
+        gdLst: [
+            [ 'maxAdj2', '*/ 100000 w ss' ],
+            [ 'a1', 'pin 0 adj1 100000' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'dx2', '*/ ss a2 100000' ],
+            [ 'x2', '+- l dx2 0' ],
+            [ 'dy1', '*/ h a1 200000' ],
+            [ 'y1', '+- vc 0 dy1' ],
+            [ 'y2', '+- vc dy1 0' ],
+            [ 'dx1', '*/ y1 dx2 hd2' ],
+            [ 'x1', '+- x2  0 dx1' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'lnTo', 'x2', 'y1' ],
+                    [ 'lnTo', 'r', 'y1' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x2', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    leftArrowCallout: {
+        avLst: { adj1: 'val 25000', adj2: 'val 25000', adj3: 'val 25000', adj4: 'val 64977' },
+        gdLst: [
+            [ 'maxAdj2', '*/ 50000 h ss' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'maxAdj1', '*/ a2 2 1' ],
+            [ 'a1', 'pin 0 adj1 maxAdj1' ],
+            [ 'maxAdj3', '*/ 100000 w ss' ],
+            [ 'a3', 'pin 0 adj3 maxAdj3' ],
+            [ 'q2', '*/ a3 ss w' ],
+            [ 'maxAdj4', '+- 100000 0 q2' ],
+            [ 'a4', 'pin 0 adj4 maxAdj4' ],
+            [ 'dy1', '*/ ss a2 100000' ],
+            [ 'dy2', '*/ ss a1 200000' ],
+            [ 'y1', '+- vc 0 dy1' ],
+            [ 'y2', '+- vc 0 dy2' ],
+            [ 'y3', '+- vc dy2 0' ],
+            [ 'y4', '+- vc dy1 0' ],
+            [ 'x1', '*/ ss a3 100000' ],
+            [ 'dx2', '*/ w a4 100000' ],
+            [ 'x2', '+- r 0 dx2' ],
+            [ 'x3', '+/ x2 r 2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'lnTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'x2', 'b' ],
+                    [ 'lnTo', 'x2', 'y3' ],
+                    [ 'lnTo', 'x1', 'y3' ],
+                    [ 'lnTo', 'x1', 'y4' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    leftBrace: {
+        avLst: { adj1: 'val 8333', adj2: 'val 50000' },
+        gdLst: [
+            [ 'a2', 'pin 0 adj2 100000' ],
+            [ 'q1', '+- 100000 0 a2' ],
+            [ 'q2', 'min q1 a2' ],
+            [ 'q3', '*/ q2 1 2' ],
+            [ 'maxAdj1', '*/ q3 h ss' ],
+            [ 'a1', 'pin 0 adj1 maxAdj1' ],
+            [ 'y1', '*/ ss a1 100000' ],
+            [ 'y3', '*/ h a2 100000' ],
+            [ 'y4', '+- y3 y1 0' ],
+            [ 'dx1', 'cos wd2 2700000' ],
+            [ 'dy1', 'sin y1 2700000' ],
+            [ 'il', '+- r 0 dx1' ],
+            [ 'it', '+- y1 0 dy1' ],
+            [ 'ib', '+- b dy1 y1' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'r', 'b' ],
+                    [ 'arcTo', 'wd2', 'y1', 'cd4', 'cd4' ],
+                    [ 'lnTo', 'hc', 'y4' ],
+                    [ 'arcTo', 'wd2', 'y1', '0', '-5400000' ],
+                    [ 'arcTo', 'wd2', 'y1', 'cd4', '-5400000' ],
+                    [ 'lnTo', 'hc', 'y1' ],
+                    [ 'arcTo', 'wd2', 'y1', 'cd2', 'cd4' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'r', 'b' ],
+                    [ 'arcTo', 'wd2', 'y1', 'cd4', 'cd4' ],
+                    [ 'lnTo', 'hc', 'y4' ],
+                    [ 'arcTo', 'wd2', 'y1', '0', '-5400000' ],
+                    [ 'arcTo', 'wd2', 'y1', 'cd4', '-5400000' ],
+                    [ 'lnTo', 'hc', 'y1' ],
+                    [ 'arcTo', 'wd2', 'y1', 'cd2', 'cd4' ],
+                ],
+            },
+        ],
+    },
+    leftBracket: {
+        avLst: { adj: 'val 8333' },
+        gdLst: [
+            [ 'maxAdj', '*/ 50000 h ss' ],
+            [ 'a', 'pin 0 adj maxAdj' ],
+            [ 'y1', '*/ ss a 100000' ],
+            [ 'y2', '+- b 0 y1' ],
+            [ 'dx1', 'cos w 2700000' ],
+            [ 'dy1', 'sin y1 2700000' ],
+            [ 'il', '+- r 0 dx1' ],
+            [ 'it', '+- y1 0 dy1' ],
+            [ 'ib', '+- b dy1 y1' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'r', 'b' ],
+                    [ 'arcTo', 'w', 'y1', 'cd4', 'cd4' ],
+                    [ 'lnTo', 'l', 'y1' ],
+                    [ 'arcTo', 'w', 'y1', 'cd2', 'cd4' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'r', 'b' ],
+                    [ 'arcTo', 'w', 'y1', 'cd4', 'cd4' ],
+                    [ 'lnTo', 'l', 'y1' ],
+                    [ 'arcTo', 'w', 'y1', 'cd2', 'cd4' ],
+                ],
+            },
+        ],
+    },
+    leftCircularArrow: {
+        avLst: { adj1: 'val 12500', adj2: 'val -1142319', adj3: 'val 1142319', adj4: 'val 10800000', adj5: 'val 12500' },
+        gdLst: [
+            [ 'a5', 'pin 0 adj5 25000' ],
+            [ 'maxAdj1', '*/ a5 2 1' ],
+            [ 'a1', 'pin 0 adj1 maxAdj1' ],
+            [ 'enAng', 'pin 1 adj3 21599999' ],
+            [ 'stAng', 'pin 0 adj4 21599999' ],
+            [ 'th', '*/ ss a1 100000' ],
+            [ 'thh', '*/ ss a5 100000' ],
+            [ 'th2', '*/ th 1 2' ],
+            [ 'rw1', '+- wd2 th2 thh' ],
+            [ 'rh1', '+- hd2 th2 thh' ],
+            [ 'rw2', '+- rw1 0 th' ],
+            [ 'rh2', '+- rh1 0 th' ],
+            [ 'rw3', '+- rw2 th2 0' ],
+            [ 'rh3', '+- rh2 th2 0' ],
+            [ 'wtH', 'sin rw3 enAng' ],
+            [ 'htH', 'cos rh3 enAng' ],
+            [ 'dxH', 'cat2 rw3 htH wtH' ],
+            [ 'dyH', 'sat2 rh3 htH wtH' ],
+            [ 'xH', '+- hc dxH 0' ],
+            [ 'yH', '+- vc dyH 0' ],
+            [ 'rI', 'min rw2 rh2' ],
+            [ 'u1', '*/ dxH dxH 1' ],
+            [ 'u2', '*/ dyH dyH 1' ],
+            [ 'u3', '*/ rI rI 1' ],
+            [ 'u4', '+- u1 0 u3' ],
+            [ 'u5', '+- u2 0 u3' ],
+            [ 'u6', '*/ u4 u5 u1' ],
+            [ 'u7', '*/ u6 1 u2' ],
+            [ 'u8', '+- 1 0 u7' ],
+            [ 'u9', 'sqrt u8' ],
+            [ 'u10', '*/ u4 1 dxH' ],
+            [ 'u11', '*/ u10 1 dyH' ],
+            [ 'u12', '+/ 1 u9 u11' ],
+            [ 'u13', 'at2 1 u12' ],
+            [ 'u14', '+- u13 21600000 0' ],
+            [ 'u15', '?: u13 u13 u14' ],
+            [ 'u16', '+- u15 0 enAng' ],
+            [ 'u17', '+- u16 21600000 0' ],
+            [ 'u18', '?: u16 u16 u17' ],
+            [ 'u19', '+- u18 0 cd2' ],
+            [ 'u20', '+- u18 0 21600000' ],
+            [ 'u21', '?: u19 u20 u18' ],
+            [ 'u22', 'abs u21' ],
+            [ 'minAng', '*/ u22 -1 1' ],
+            [ 'u23', 'abs adj2' ],
+            [ 'a2', '*/ u23 -1 1' ],
+            [ 'aAng', 'pin minAng a2 0' ],
+            [ 'ptAng', '+- enAng aAng 0' ],
+            [ 'wtA', 'sin rw3 ptAng' ],
+            [ 'htA', 'cos rh3 ptAng' ],
+            [ 'dxA', 'cat2 rw3 htA wtA' ],
+            [ 'dyA', 'sat2 rh3 htA wtA' ],
+            [ 'xA', '+- hc dxA 0' ],
+            [ 'yA', '+- vc dyA 0' ],
+            [ 'wtE', 'sin rw1 stAng' ],
+            [ 'htE', 'cos rh1 stAng' ],
+            [ 'dxE', 'cat2 rw1 htE wtE' ],
+            [ 'dyE', 'sat2 rh1 htE wtE' ],
+            [ 'xE', '+- hc dxE 0' ],
+            [ 'yE', '+- vc dyE 0' ],
+            [ 'wtD', 'sin rw2 stAng' ],
+            [ 'htD', 'cos rh2 stAng' ],
+            [ 'dxD', 'cat2 rw2 htD wtD' ],
+            [ 'dyD', 'sat2 rh2 htD wtD' ],
+            [ 'xD', '+- hc dxD 0' ],
+            [ 'yD', '+- vc dyD 0' ],
+            [ 'dxG', 'cos thh ptAng' ],
+            [ 'dyG', 'sin thh ptAng' ],
+            [ 'xG', '+- xH dxG 0' ],
+            [ 'yG', '+- yH dyG 0' ],
+            [ 'dxB', 'cos thh ptAng' ],
+            [ 'dyB', 'sin thh ptAng' ],
+            [ 'xB', '+- xH 0 dxB 0' ],
+            [ 'yB', '+- yH 0 dyB 0' ],
+            [ 'sx1', '+- xB 0 hc' ],
+            [ 'sy1', '+- yB 0 vc' ],
+            [ 'sx2', '+- xG 0 hc' ],
+            [ 'sy2', '+- yG 0 vc' ],
+            [ 'rO', 'min rw1 rh1' ],
+            [ 'x1O', '*/ sx1 rO rw1' ],
+            [ 'y1O', '*/ sy1 rO rh1' ],
+            [ 'x2O', '*/ sx2 rO rw1' ],
+            [ 'y2O', '*/ sy2 rO rh1' ],
+            [ 'dxO', '+- x2O 0 x1O' ],
+            [ 'dyO', '+- y2O 0 y1O' ],
+            [ 'dO', 'mod dxO dyO 0' ],
+            [ 'q1', '*/ x1O y2O 1' ],
+            [ 'q2', '*/ x2O y1O 1' ],
+            [ 'DO', '+- q1 0 q2' ],
+            [ 'q3', '*/ rO rO 1' ],
+            [ 'q4', '*/ dO dO 1' ],
+            [ 'q5', '*/ q3 q4 1' ],
+            [ 'q6', '*/ DO DO 1' ],
+            [ 'q7', '+- q5 0 q6' ],
+            [ 'q8', 'max q7 0' ],
+            [ 'sdelO', 'sqrt q8' ],
+            [ 'ndyO', '*/ dyO -1 1' ],
+            [ 'sdyO', '?: ndyO -1 1' ],
+            [ 'q9', '*/ sdyO dxO 1' ],
+            [ 'q10', '*/ q9 sdelO 1' ],
+            [ 'q11', '*/ DO dyO 1' ],
+            [ 'dxF1', '+/ q11 q10 q4' ],
+            [ 'q12', '+- q11 0 q10' ],
+            [ 'dxF2', '*/ q12 1 q4' ],
+            [ 'adyO', 'abs dyO' ],
+            [ 'q13', '*/ adyO sdelO 1' ],
+            [ 'q14', '*/ DO dxO -1' ],
+            [ 'dyF1', '+/ q14 q13 q4' ],
+            [ 'q15', '+- q14 0 q13' ],
+            [ 'dyF2', '*/ q15 1 q4' ],
+            [ 'q16', '+- x2O 0 dxF1' ],
+            [ 'q17', '+- x2O 0 dxF2' ],
+            [ 'q18', '+- y2O 0 dyF1' ],
+            [ 'q19', '+- y2O 0 dyF2' ],
+            [ 'q20', 'mod q16 q18 0' ],
+            [ 'q21', 'mod q17 q19 0' ],
+            [ 'q22', '+- q21 0 q20' ],
+            [ 'dxF', '?: q22 dxF1 dxF2' ],
+            [ 'dyF', '?: q22 dyF1 dyF2' ],
+            [ 'sdxF', '*/ dxF rw1 rO' ],
+            [ 'sdyF', '*/ dyF rh1 rO' ],
+            [ 'xF', '+- hc sdxF 0' ],
+            [ 'yF', '+- vc sdyF 0' ],
+            [ 'x1I', '*/ sx1 rI rw2' ],
+            [ 'y1I', '*/ sy1 rI rh2' ],
+            [ 'x2I', '*/ sx2 rI rw2' ],
+            [ 'y2I', '*/ sy2 rI rh2' ],
+            [ 'dxI', '+- x2I 0 x1I' ],
+            [ 'dyI', '+- y2I 0 y1I' ],
+            [ 'dI', 'mod dxI dyI 0' ],
+            [ 'v1', '*/ x1I y2I 1' ],
+            [ 'v2', '*/ x2I y1I 1' ],
+            [ 'DI', '+- v1 0 v2' ],
+            [ 'v3', '*/ rI rI 1' ],
+            [ 'v4', '*/ dI dI 1' ],
+            [ 'v5', '*/ v3 v4 1' ],
+            [ 'v6', '*/ DI DI 1' ],
+            [ 'v7', '+- v5 0 v6' ],
+            [ 'v8', 'max v7 0' ],
+            [ 'sdelI', 'sqrt v8' ],
+            [ 'v9', '*/ sdyO dxI 1' ],
+            [ 'v10', '*/ v9 sdelI 1' ],
+            [ 'v11', '*/ DI dyI 1' ],
+            [ 'dxC1', '+/ v11 v10 v4' ],
+            [ 'v12', '+- v11 0 v10' ],
+            [ 'dxC2', '*/ v12 1 v4' ],
+            [ 'adyI', 'abs dyI' ],
+            [ 'v13', '*/ adyI sdelI 1' ],
+            [ 'v14', '*/ DI dxI -1' ],
+            [ 'dyC1', '+/ v14 v13 v4' ],
+            [ 'v15', '+- v14 0 v13' ],
+            [ 'dyC2', '*/ v15 1 v4' ],
+            [ 'v16', '+- x1I 0 dxC1' ],
+            [ 'v17', '+- x1I 0 dxC2' ],
+            [ 'v18', '+- y1I 0 dyC1' ],
+            [ 'v19', '+- y1I 0 dyC2' ],
+            [ 'v20', 'mod v16 v18 0' ],
+            [ 'v21', 'mod v17 v19 0' ],
+            [ 'v22', '+- v21 0 v20' ],
+            [ 'dxC', '?: v22 dxC1 dxC2' ],
+            [ 'dyC', '?: v22 dyC1 dyC2' ],
+            [ 'sdxC', '*/ dxC rw2 rI' ],
+            [ 'sdyC', '*/ dyC rh2 rI' ],
+            [ 'xC', '+- hc sdxC 0' ],
+            [ 'yC', '+- vc sdyC 0' ],
+            [ 'ist0', 'at2 sdxC sdyC' ],
+            [ 'ist1', '+- ist0 21600000 0' ],
+            [ 'istAng0', '?: ist0 ist0 ist1' ],
+            [ 'isw1', '+- stAng 0 istAng0' ],
+            [ 'isw2', '+- isw1 21600000 0' ],
+            [ 'iswAng0', '?: isw1 isw1 isw2' ],
+            [ 'istAng', '+- istAng0 iswAng0 0' ],
+            [ 'iswAng', '+- 0 0 iswAng0' ],
+            [ 'p1', '+- xF 0 xC' ],
+            [ 'p2', '+- yF 0 yC' ],
+            [ 'p3', 'mod p1 p2 0' ],
+            [ 'p4', '*/ p3 1 2' ],
+            [ 'p5', '+- p4 0 thh' ],
+            [ 'xGp', '?: p5 xF xG' ],
+            [ 'yGp', '?: p5 yF yG' ],
+            [ 'xBp', '?: p5 xC xB' ],
+            [ 'yBp', '?: p5 yC yB' ],
+            [ 'en0', 'at2 sdxF sdyF' ],
+            [ 'en1', '+- en0 21600000 0' ],
+            [ 'en2', '?: en0 en0 en1' ],
+            [ 'sw0', '+- en2 0 stAng' ],
+            [ 'sw1', '+- sw0 0 21600000' ],
+            [ 'swAng', '?: sw0 sw1 sw0' ],
+            [ 'stAng0', '+- stAng swAng 0' ],
+            [ 'swAng0', '+- 0 0 swAng' ],
+            [ 'wtI', 'sin rw3 stAng' ],
+            [ 'htI', 'cos rh3 stAng' ],
+            [ 'dxI', 'cat2 rw3 htI wtI' ],
+            [ 'dyI', 'sat2 rh3 htI wtI' ],
+            [ 'xI', '+- hc dxI 0' ],
+            [ 'yI', '+- vc dyI 0' ],
+            [ 'aI', '+- stAng cd4 0' ],
+            [ 'aA', '+- ptAng 0 cd4' ],
+            [ 'aB', '+- ptAng cd2 0' ],
+            [ 'idx', 'cos rw1 2700000' ],
+            [ 'idy', 'sin rh1 2700000' ],
+            [ 'il', '+- hc 0 idx' ],
+            [ 'ir', '+- hc idx 0' ],
+            [ 'it', '+- vc 0 idy' ],
+            [ 'ib', '+- vc idy 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'xE', 'yE' ],
+                    [ 'lnTo', 'xD', 'yD' ],
+                    [ 'arcTo', 'rw2', 'rh2', 'istAng', 'iswAng' ],
+                    [ 'lnTo', 'xBp', 'yBp' ],
+                    [ 'lnTo', 'xA', 'yA' ],
+                    [ 'lnTo', 'xGp', 'yGp' ],
+                    [ 'lnTo', 'xF', 'yF' ],
+                    [ 'arcTo', 'rw1', 'rh1', 'stAng0', 'swAng0' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    leftRightArrow: {
+        avLst: { adj1: 'val 50000', adj2: 'val 50000' },
+        gdLst: [
+            [ 'maxAdj2', '*/ 50000 w ss' ],
+            [ 'a1', 'pin 0 adj1 100000' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'x2', '*/ ss a2 100000' ],
+            [ 'x3', '+- r 0 x2' ],
+            [ 'dy', '*/ h a1 200000' ],
+            [ 'y1', '+- vc 0 dy' ],
+            [ 'y2', '+- vc dy 0' ],
+            [ 'dx1', '*/ y1 x2 hd2' ],
+            [ 'x1', '+- x2 0 dx1' ],
+            [ 'x4', '+- x3 dx1 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'lnTo', 'x2', 'y1' ],
+                    [ 'lnTo', 'x3', 'y1' ],
+                    [ 'lnTo', 'x3', 't' ],
+                    [ 'lnTo', 'r', 'vc' ],
+                    [ 'lnTo', 'x3', 'b' ],
+                    [ 'lnTo', 'x3', 'y2' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x2', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    leftRightArrowCallout: {
+        avLst: { adj1: 'val 25000', adj2: 'val 25000', adj3: 'val 25000', adj4: 'val 48123' },
+        gdLst: [
+            [ 'maxAdj2', '*/ 50000 h ss' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'maxAdj1', '*/ a2 2 1' ],
+            [ 'a1', 'pin 0 adj1 maxAdj1' ],
+            [ 'maxAdj3', '*/ 50000 w ss' ],
+            [ 'a3', 'pin 0 adj3 maxAdj3' ],
+            [ 'q2', '*/ a3 ss wd2' ],
+            [ 'maxAdj4', '+- 100000 0 q2' ],
+            [ 'a4', 'pin 0 adj4 maxAdj4' ],
+            [ 'dy1', '*/ ss a2 100000' ],
+            [ 'dy2', '*/ ss a1 200000' ],
+            [ 'y1', '+- vc 0 dy1' ],
+            [ 'y2', '+- vc 0 dy2' ],
+            [ 'y3', '+- vc dy2 0' ],
+            [ 'y4', '+- vc dy1 0' ],
+            [ 'x1', '*/ ss a3 100000' ],
+            [ 'x4', '+- r 0 x1' ],
+            [ 'dx2', '*/ w a4 200000' ],
+            [ 'x2', '+- hc 0 dx2' ],
+            [ 'x3', '+- hc dx2 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'lnTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'lnTo', 'x3', 't' ],
+                    [ 'lnTo', 'x3', 'y2' ],
+                    [ 'lnTo', 'x4', 'y2' ],
+                    [ 'lnTo', 'x4', 'y1' ],
+                    [ 'lnTo', 'r', 'vc' ],
+                    [ 'lnTo', 'x4', 'y4' ],
+                    [ 'lnTo', 'x4', 'y3' ],
+                    [ 'lnTo', 'x3', 'y3' ],
+                    [ 'lnTo', 'x3', 'b' ],
+                    [ 'lnTo', 'x2', 'b' ],
+                    [ 'lnTo', 'x2', 'y3' ],
+                    [ 'lnTo', 'x1', 'y3' ],
+                    [ 'lnTo', 'x1', 'y4' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    leftRightCircularArrow: {
+        avLst: { adj1: 'val 12500', adj2: 'val 1142319', adj3: 'val 20457681', adj4: 'val 11942319', adj5: 'val 12500' },
+        gdLst: [
+            [ 'a5', 'pin 0 adj5 25000' ],
+            [ 'maxAdj1', '*/ a5 2 1' ],
+            [ 'a1', 'pin 0 adj1 maxAdj1' ],
+            [ 'enAng', 'pin 1 adj3 21599999' ],
+            [ 'stAng', 'pin 0 adj4 21599999' ],
+            [ 'th', '*/ ss a1 100000' ],
+            [ 'thh', '*/ ss a5 100000' ],
+            [ 'th2', '*/ th 1 2' ],
+            [ 'rw1', '+- wd2 th2 thh' ],
+            [ 'rh1', '+- hd2 th2 thh' ],
+            [ 'rw2', '+- rw1 0 th' ],
+            [ 'rh2', '+- rh1 0 th' ],
+            [ 'rw3', '+- rw2 th2 0' ],
+            [ 'rh3', '+- rh2 th2 0' ],
+            [ 'wtH', 'sin rw3 enAng' ],
+            [ 'htH', 'cos rh3 enAng' ],
+            [ 'dxH', 'cat2 rw3 htH wtH' ],
+            [ 'dyH', 'sat2 rh3 htH wtH' ],
+            [ 'xH', '+- hc dxH 0' ],
+            [ 'yH', '+- vc dyH 0' ],
+            [ 'rI', 'min rw2 rh2' ],
+            [ 'u1', '*/ dxH dxH 1' ],
+            [ 'u2', '*/ dyH dyH 1' ],
+            [ 'u3', '*/ rI rI 1' ],
+            [ 'u4', '+- u1 0 u3' ],
+            [ 'u5', '+- u2 0 u3' ],
+            [ 'u6', '*/ u4 u5 u1' ],
+            [ 'u7', '*/ u6 1 u2' ],
+            [ 'u8', '+- 1 0 u7' ],
+            [ 'u9', 'sqrt u8' ],
+            [ 'u10', '*/ u4 1 dxH' ],
+            [ 'u11', '*/ u10 1 dyH' ],
+            [ 'u12', '+/ 1 u9 u11' ],
+            [ 'u13', 'at2 1 u12' ],
+            [ 'u14', '+- u13 21600000 0' ],
+            [ 'u15', '?: u13 u13 u14' ],
+            [ 'u16', '+- u15 0 enAng' ],
+            [ 'u17', '+- u16 21600000 0' ],
+            [ 'u18', '?: u16 u16 u17' ],
+            [ 'u19', '+- u18 0 cd2' ],
+            [ 'u20', '+- u18 0 21600000' ],
+            [ 'u21', '?: u19 u20 u18' ],
+            [ 'maxAng', 'abs u21' ],
+            [ 'aAng', 'pin 0 adj2 maxAng' ],
+            [ 'ptAng', '+- enAng aAng 0' ],
+            [ 'wtA', 'sin rw3 ptAng' ],
+            [ 'htA', 'cos rh3 ptAng' ],
+            [ 'dxA', 'cat2 rw3 htA wtA' ],
+            [ 'dyA', 'sat2 rh3 htA wtA' ],
+            [ 'xA', '+- hc dxA 0' ],
+            [ 'yA', '+- vc dyA 0' ],
+            [ 'dxG', 'cos thh ptAng' ],
+            [ 'dyG', 'sin thh ptAng' ],
+            [ 'xG', '+- xH dxG 0' ],
+            [ 'yG', '+- yH dyG 0' ],
+            [ 'dxB', 'cos thh ptAng' ],
+            [ 'dyB', 'sin thh ptAng' ],
+            [ 'xB', '+- xH 0 dxB 0' ],
+            [ 'yB', '+- yH 0 dyB 0' ],
+            [ 'sx1', '+- xB 0 hc' ],
+            [ 'sy1', '+- yB 0 vc' ],
+            [ 'sx2', '+- xG 0 hc' ],
+            [ 'sy2', '+- yG 0 vc' ],
+            [ 'rO', 'min rw1 rh1' ],
+            [ 'x1O', '*/ sx1 rO rw1' ],
+            [ 'y1O', '*/ sy1 rO rh1' ],
+            [ 'x2O', '*/ sx2 rO rw1' ],
+            [ 'y2O', '*/ sy2 rO rh1' ],
+            [ 'dxO', '+- x2O 0 x1O' ],
+            [ 'dyO', '+- y2O 0 y1O' ],
+            [ 'dO', 'mod dxO dyO 0' ],
+            [ 'q1', '*/ x1O y2O 1' ],
+            [ 'q2', '*/ x2O y1O 1' ],
+            [ 'DO', '+- q1 0 q2' ],
+            [ 'q3', '*/ rO rO 1' ],
+            [ 'q4', '*/ dO dO 1' ],
+            [ 'q5', '*/ q3 q4 1' ],
+            [ 'q6', '*/ DO DO 1' ],
+            [ 'q7', '+- q5 0 q6' ],
+            [ 'q8', 'max q7 0' ],
+            [ 'sdelO', 'sqrt q8' ],
+            [ 'ndyO', '*/ dyO -1 1' ],
+            [ 'sdyO', '?: ndyO -1 1' ],
+            [ 'q9', '*/ sdyO dxO 1' ],
+            [ 'q10', '*/ q9 sdelO 1' ],
+            [ 'q11', '*/ DO dyO 1' ],
+            [ 'dxF1', '+/ q11 q10 q4' ],
+            [ 'q12', '+- q11 0 q10' ],
+            [ 'dxF2', '*/ q12 1 q4' ],
+            [ 'adyO', 'abs dyO' ],
+            [ 'q13', '*/ adyO sdelO 1' ],
+            [ 'q14', '*/ DO dxO -1' ],
+            [ 'dyF1', '+/ q14 q13 q4' ],
+            [ 'q15', '+- q14 0 q13' ],
+            [ 'dyF2', '*/ q15 1 q4' ],
+            [ 'q16', '+- x2O 0 dxF1' ],
+            [ 'q17', '+- x2O 0 dxF2' ],
+            [ 'q18', '+- y2O 0 dyF1' ],
+            [ 'q19', '+- y2O 0 dyF2' ],
+            [ 'q20', 'mod q16 q18 0' ],
+            [ 'q21', 'mod q17 q19 0' ],
+            [ 'q22', '+- q21 0 q20' ],
+            [ 'dxF', '?: q22 dxF1 dxF2' ],
+            [ 'dyF', '?: q22 dyF1 dyF2' ],
+            [ 'sdxF', '*/ dxF rw1 rO' ],
+            [ 'sdyF', '*/ dyF rh1 rO' ],
+            [ 'xF', '+- hc sdxF 0' ],
+            [ 'yF', '+- vc sdyF 0' ],
+            [ 'x1I', '*/ sx1 rI rw2' ],
+            [ 'y1I', '*/ sy1 rI rh2' ],
+            [ 'x2I', '*/ sx2 rI rw2' ],
+            [ 'y2I', '*/ sy2 rI rh2' ],
+            [ 'dxI', '+- x2I 0 x1I' ],
+            [ 'dyI', '+- y2I 0 y1I' ],
+            [ 'dI', 'mod dxI dyI 0' ],
+            [ 'v1', '*/ x1I y2I 1' ],
+            [ 'v2', '*/ x2I y1I 1' ],
+            [ 'DI', '+- v1 0 v2' ],
+            [ 'v3', '*/ rI rI 1' ],
+            [ 'v4', '*/ dI dI 1' ],
+            [ 'v5', '*/ v3 v4 1' ],
+            [ 'v6', '*/ DI DI 1' ],
+            [ 'v7', '+- v5 0 v6' ],
+            [ 'v8', 'max v7 0' ],
+            [ 'sdelI', 'sqrt v8' ],
+            [ 'v9', '*/ sdyO dxI 1' ],
+            [ 'v10', '*/ v9 sdelI 1' ],
+            [ 'v11', '*/ DI dyI 1' ],
+            [ 'dxC1', '+/ v11 v10 v4' ],
+            [ 'v12', '+- v11 0 v10' ],
+            [ 'dxC2', '*/ v12 1 v4' ],
+            [ 'adyI', 'abs dyI' ],
+            [ 'v13', '*/ adyI sdelI 1' ],
+            [ 'v14', '*/ DI dxI -1' ],
+            [ 'dyC1', '+/ v14 v13 v4' ],
+            [ 'v15', '+- v14 0 v13' ],
+            [ 'dyC2', '*/ v15 1 v4' ],
+            [ 'v16', '+- x1I 0 dxC1' ],
+            [ 'v17', '+- x1I 0 dxC2' ],
+            [ 'v18', '+- y1I 0 dyC1' ],
+            [ 'v19', '+- y1I 0 dyC2' ],
+            [ 'v20', 'mod v16 v18 0' ],
+            [ 'v21', 'mod v17 v19 0' ],
+            [ 'v22', '+- v21 0 v20' ],
+            [ 'dxC', '?: v22 dxC1 dxC2' ],
+            [ 'dyC', '?: v22 dyC1 dyC2' ],
+            [ 'sdxC', '*/ dxC rw2 rI' ],
+            [ 'sdyC', '*/ dyC rh2 rI' ],
+            [ 'xC', '+- hc sdxC 0' ],
+            [ 'yC', '+- vc sdyC 0' ],
+            [ 'wtI', 'sin rw3 stAng' ],
+            [ 'htI', 'cos rh3 stAng' ],
+            [ 'dxI', 'cat2 rw3 htI wtI' ],
+            [ 'dyI', 'sat2 rh3 htI wtI' ],
+            [ 'xI', '+- hc dxI 0' ],
+            [ 'yI', '+- vc dyI 0' ],
+            [ 'lptAng', '+- stAng 0 aAng' ],
+            [ 'wtL', 'sin rw3 lptAng' ],
+            [ 'htL', 'cos rh3 lptAng' ],
+            [ 'dxL', 'cat2 rw3 htL wtL' ],
+            [ 'dyL', 'sat2 rh3 htL wtL' ],
+            [ 'xL', '+- hc dxL 0' ],
+            [ 'yL', '+- vc dyL 0' ],
+            [ 'dxK', 'cos thh lptAng' ],
+            [ 'dyK', 'sin thh lptAng' ],
+            [ 'xK', '+- xI dxK 0' ],
+            [ 'yK', '+- yI dyK 0' ],
+            [ 'dxJ', 'cos thh lptAng' ],
+            [ 'dyJ', 'sin thh lptAng' ],
+            [ 'xJ', '+- xI 0 dxJ 0' ],
+            [ 'yJ', '+- yI 0 dyJ 0' ],
+            [ 'p1', '+- xF 0 xC' ],
+            [ 'p2', '+- yF 0 yC' ],
+            [ 'p3', 'mod p1 p2 0' ],
+            [ 'p4', '*/ p3 1 2' ],
+            [ 'p5', '+- p4 0 thh' ],
+            [ 'xGp', '?: p5 xF xG' ],
+            [ 'yGp', '?: p5 yF yG' ],
+            [ 'xBp', '?: p5 xC xB' ],
+            [ 'yBp', '?: p5 yC yB' ],
+            [ 'en0', 'at2 sdxF sdyF' ],
+            [ 'en1', '+- en0 21600000 0' ],
+            [ 'en2', '?: en0 en0 en1' ],
+            [ 'od0', '+- en2 0 enAng' ],
+            [ 'od1', '+- od0 21600000 0' ],
+            [ 'od2', '?: od0 od0 od1' ],
+            [ 'st0', '+- stAng 0 od2' ],
+            [ 'st1', '+- st0 21600000 0' ],
+            [ 'st2', '?: st0 st0 st1' ],
+            [ 'sw0', '+- en2 0 st2' ],
+            [ 'sw1', '+- sw0 21600000 0' ],
+            [ 'swAng', '?: sw0 sw0 sw1' ],
+            [ 'ist0', 'at2 sdxC sdyC' ],
+            [ 'ist1', '+- ist0 21600000 0' ],
+            [ 'istAng', '?: ist0 ist0 ist1' ],
+            [ 'id0', '+- istAng 0 enAng' ],
+            [ 'id1', '+- id0 0 21600000' ],
+            [ 'id2', '?: id0 id1 id0' ],
+            [ 'ien0', '+- stAng 0 id2' ],
+            [ 'ien1', '+- ien0 0 21600000' ],
+            [ 'ien2', '?: ien1 ien1 ien0' ],
+            [ 'isw1', '+- ien2 0 istAng' ],
+            [ 'isw2', '+- isw1 0 21600000' ],
+            [ 'iswAng', '?: isw1 isw2 isw1' ],
+            [ 'wtE', 'sin rw1 st2' ],
+            [ 'htE', 'cos rh1 st2' ],
+            [ 'dxE', 'cat2 rw1 htE wtE' ],
+            [ 'dyE', 'sat2 rh1 htE wtE' ],
+            [ 'xE', '+- hc dxE 0' ],
+            [ 'yE', '+- vc dyE 0' ],
+            [ 'wtD', 'sin rw2 ien2' ],
+            [ 'htD', 'cos rh2 ien2' ],
+            [ 'dxD', 'cat2 rw2 htD wtD' ],
+            [ 'dyD', 'sat2 rh2 htD wtD' ],
+            [ 'xD', '+- hc dxD 0' ],
+            [ 'yD', '+- vc dyD 0' ],
+            [ 'xKp', '?: p5 xE xK' ],
+            [ 'yKp', '?: p5 yE yK' ],
+            [ 'xJp', '?: p5 xD xJ' ],
+            [ 'yJp', '?: p5 yD yJ' ],
+            [ 'aL', '+- lptAng 0 cd4' ],
+            [ 'aA', '+- ptAng cd4 0' ],
+            [ 'aB', '+- ptAng cd2 0' ],
+            [ 'aJ', '+- lptAng cd2 0' ],
+            [ 'idx', 'cos rw1 2700000' ],
+            [ 'idy', 'sin rh1 2700000' ],
+            [ 'il', '+- hc 0 idx' ],
+            [ 'ir', '+- hc idx 0' ],
+            [ 'it', '+- vc 0 idy' ],
+            [ 'ib', '+- vc idy 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'xL', 'yL' ],
+                    [ 'lnTo', 'xKp', 'yKp' ],
+                    [ 'lnTo', 'xE', 'yE' ],
+                    [ 'arcTo', 'rw1', 'rh1', 'st2', 'swAng' ],
+                    [ 'lnTo', 'xGp', 'yGp' ],
+                    [ 'lnTo', 'xA', 'yA' ],
+                    [ 'lnTo', 'xBp', 'yBp' ],
+                    [ 'lnTo', 'xC', 'yC' ],
+                    [ 'arcTo', 'rw2', 'rh2', 'istAng', 'iswAng' ],
+                    [ 'lnTo', 'xJp', 'yJp' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    leftRightRibbon: {
+        avLst: { adj1: 'val 50000', adj2: 'val 50000', adj3: 'val 16667' },
+        gdLst: [
+            [ 'a3', 'pin 0 adj3 33333' ],
+            [ 'maxAdj1', '+- 100000 0 a3' ],
+            [ 'a1', 'pin 0 adj1 maxAdj1' ],
+            [ 'w1', '+- wd2 0 wd32' ],
+            [ 'maxAdj2', '*/ 100000 w1 ss' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'x1', '*/ ss a2 100000' ],
+            [ 'x4', '+- r 0 x1' ],
+            [ 'dy1', '*/ h a1 200000' ],
+            [ 'dy2', '*/ h a3 -200000' ],
+            [ 'ly1', '+- vc dy2 dy1' ],
+            [ 'ry4', '+- vc dy1 dy2' ],
+            [ 'ly2', '+- ly1 dy1 0' ],
+            [ 'ry3', '+- b 0 ly2' ],
+            [ 'ly4', '*/ ly2 2 1' ],
+            [ 'ry1', '+- b 0 ly4' ],
+            [ 'ly3', '+- ly4 0 ly1' ],
+            [ 'ry2', '+- b 0 ly3' ],
+            [ 'hR', '*/ a3 ss 400000' ],
+            [ 'x2', '+- hc 0 wd32' ],
+            [ 'x3', '+- hc wd32 0' ],
+            [ 'y1', '+- ly1 hR 0' ],
+            [ 'y2', '+- ry2 0 hR' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 'ly2' ],
+                    [ 'lnTo', 'x1', 't' ],
+                    [ 'lnTo', 'x1', 'ly1' ],
+                    [ 'lnTo', 'hc', 'ly1' ],
+                    [ 'arcTo', 'wd32', 'hR', '3cd4', 'cd2' ],
+                    [ 'arcTo', 'wd32', 'hR', '3cd4', '-10800000' ],
+                    [ 'lnTo', 'x4', 'ry2' ],
+                    [ 'lnTo', 'x4', 'ry1' ],
+                    [ 'lnTo', 'r', 'ry3' ],
+                    [ 'lnTo', 'x4', 'b' ],
+                    [ 'lnTo', 'x4', 'ry4' ],
+                    [ 'lnTo', 'hc', 'ry4' ],
+                    [ 'arcTo', 'wd32', 'hR', 'cd4', 'cd4' ],
+                    [ 'lnTo', 'x2', 'ly3' ],
+                    [ 'lnTo', 'x1', 'ly3' ],
+                    [ 'lnTo', 'x1', 'ly4' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darkenLess',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'x3', 'y1' ],
+                    [ 'arcTo', 'wd32', 'hR', '0', 'cd4' ],
+                    [ 'arcTo', 'wd32', 'hR', '3cd4', '-10800000' ],
+                    [ 'lnTo', 'x3', 'ry2' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 'ly2' ],
+                    [ 'lnTo', 'x1', 't' ],
+                    [ 'lnTo', 'x1', 'ly1' ],
+                    [ 'lnTo', 'hc', 'ly1' ],
+                    [ 'arcTo', 'wd32', 'hR', '3cd4', 'cd2' ],
+                    [ 'arcTo', 'wd32', 'hR', '3cd4', '-10800000' ],
+                    [ 'lnTo', 'x4', 'ry2' ],
+                    [ 'lnTo', 'x4', 'ry1' ],
+                    [ 'lnTo', 'r', 'ry3' ],
+                    [ 'lnTo', 'x4', 'b' ],
+                    [ 'lnTo', 'x4', 'ry4' ],
+                    [ 'lnTo', 'hc', 'ry4' ],
+                    [ 'arcTo', 'wd32', 'hR', 'cd4', 'cd4' ],
+                    [ 'lnTo', 'x2', 'ly3' ],
+                    [ 'lnTo', 'x1', 'ly3' ],
+                    [ 'lnTo', 'x1', 'ly4' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'x3', 'y1' ],
+                    [ 'lnTo', 'x3', 'ry2' ],
+                    [ 'moveTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x2', 'ly3' ],
+                ],
+            },
+        ],
+    },
+    leftRightUpArrow: {
+        avLst: { adj1: 'val 25000', adj2: 'val 25000', adj3: 'val 25000' },
+        gdLst: [
+            [ 'a2', 'pin 0 adj2 50000' ],
+            [ 'maxAdj1', '*/ a2 2 1' ],
+            [ 'a1', 'pin 0 adj1 maxAdj1' ],
+            [ 'q1', '+- 100000 0 maxAdj1' ],
+            [ 'maxAdj3', '*/ q1 1 2' ],
+            [ 'a3', 'pin 0 adj3 maxAdj3' ],
+            [ 'x1', '*/ ss a3 100000' ],
+            [ 'dx2', '*/ ss a2 100000' ],
+            [ 'x2', '+- hc 0 dx2' ],
+            [ 'x5', '+- hc dx2 0' ],
+            [ 'dx3', '*/ ss a1 200000' ],
+            [ 'x3', '+- hc 0 dx3' ],
+            [ 'x4', '+- hc dx3 0' ],
+            [ 'x6', '+- r 0 x1' ],
+            [ 'dy2', '*/ ss a2 50000' ],
+            [ 'y2', '+- b 0 dy2' ],
+            [ 'y4', '+- b 0 dx2' ],
+            [ 'y3', '+- y4 0 dx3' ],
+            [ 'y5', '+- y4 dx3 0' ],
+            [ 'il', '*/ dx3 x1 dx2' ],
+            [ 'ir', '+- r 0 il' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'y4' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'lnTo', 'x1', 'y3' ],
+                    [ 'lnTo', 'x3', 'y3' ],
+                    [ 'lnTo', 'x3', 'x1' ],
+                    [ 'lnTo', 'x2', 'x1' ],
+                    [ 'lnTo', 'hc', 't' ],
+                    [ 'lnTo', 'x5', 'x1' ],
+                    [ 'lnTo', 'x4', 'x1' ],
+                    [ 'lnTo', 'x4', 'y3' ],
+                    [ 'lnTo', 'x6', 'y3' ],
+                    [ 'lnTo', 'x6', 'y2' ],
+                    [ 'lnTo', 'r', 'y4' ],
+                    [ 'lnTo', 'x6', 'b' ],
+                    [ 'lnTo', 'x6', 'y5' ],
+                    [ 'lnTo', 'x1', 'y5' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    leftUpArrow: {
+        avLst: { adj1: 'val 25000', adj2: 'val 25000', adj3: 'val 25000' },
+        gdLst: [
+            [ 'a2', 'pin 0 adj2 50000' ],
+            [ 'maxAdj1', '*/ a2 2 1' ],
+            [ 'a1', 'pin 0 adj1 maxAdj1' ],
+            [ 'maxAdj3', '+- 100000 0 maxAdj1' ],
+            [ 'a3', 'pin 0 adj3 maxAdj3' ],
+            [ 'x1', '*/ ss a3 100000' ],
+            [ 'dx2', '*/ ss a2 50000' ],
+            [ 'x2', '+- r 0 dx2' ],
+            [ 'y2', '+- b 0 dx2' ],
+            [ 'dx4', '*/ ss a2 100000' ],
+            [ 'x4', '+- r 0 dx4' ],
+            [ 'y4', '+- b 0 dx4' ],
+            [ 'dx3', '*/ ss a1 200000' ],
+            [ 'x3', '+- x4 0 dx3' ],
+            [ 'x5', '+- x4 dx3 0' ],
+            [ 'y3', '+- y4 0 dx3' ],
+            [ 'y5', '+- y4 dx3 0' ],
+            [ 'il', '*/ dx3 x1 dx4' ],
+            [ 'cx1', '+/ x1 x5 2' ],
+            [ 'cy1', '+/ x1 y5 2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'y4' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'lnTo', 'x1', 'y3' ],
+                    [ 'lnTo', 'x3', 'y3' ],
+                    [ 'lnTo', 'x3', 'x1' ],
+                    [ 'lnTo', 'x2', 'x1' ],
+                    [ 'lnTo', 'x4', 't' ],
+                    [ 'lnTo', 'r', 'x1' ],
+                    [ 'lnTo', 'x5', 'x1' ],
+                    [ 'lnTo', 'x5', 'y5' ],
+                    [ 'lnTo', 'x1', 'y5' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    lightningBolt: {
+        gdLst: [
+            [ 'x1', '*/ w 5022 21600' ],
+            [ 'x3', '*/ w 8472 21600' ],
+            [ 'x4', '*/ w 8757 21600' ],
+            [ 'x5', '*/ w 10012 21600' ],
+            [ 'x8', '*/ w 12860 21600' ],
+            [ 'x9', '*/ w 13917 21600' ],
+            [ 'x11', '*/ w 16577 21600' ],
+            [ 'y1', '*/ h 3890 21600' ],
+            [ 'y2', '*/ h 6080 21600' ],
+            [ 'y4', '*/ h 7437 21600' ],
+            [ 'y6', '*/ h 9705 21600' ],
+            [ 'y7', '*/ h 12007 21600' ],
+            [ 'y10', '*/ h 14277 21600' ],
+            [ 'y11', '*/ h 14915 21600' ],
+        ],
+        pathLst: [
+            {
+                w: 21600,
+                h: 21600,
+                commands: [
+                    [ 'moveTo', '8472', '0' ],
+                    [ 'lnTo', '12860', '6080' ],
+                    [ 'lnTo', '11050', '6797' ],
+                    [ 'lnTo', '16577', '12007' ],
+                    [ 'lnTo', '14767', '12877' ],
+                    [ 'lnTo', '21600', '21600' ],
+                    [ 'lnTo', '10012', '14915' ],
+                    [ 'lnTo', '12222', '13987' ],
+                    [ 'lnTo', '5022', '9705' ],
+                    [ 'lnTo', '7602', '8382' ],
+                    [ 'lnTo', '0', '3890' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    line: {
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                ],
+            },
+        ],
+    },
+    lineInv: {
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'b' ],
+                    [ 'lnTo', 'r', 't' ],
+                ],
+            },
+        ],
+    },
+    mathDivide: {
+        avLst: { adj1: 'val 23520', adj2: 'val 5880', adj3: 'val 11760' },
+        gdLst: [
+            [ 'a1', 'pin 1000 adj1 36745' ],
+            [ 'ma1', '+- 0 0 a1' ],
+            [ 'ma3h', '+/ 73490 ma1 4' ],
+            [ 'ma3w', '*/ 36745 w h' ],
+            [ 'maxAdj3', 'min ma3h ma3w' ],
+            [ 'a3', 'pin 1000 adj3 maxAdj3' ],
+            [ 'm4a3', '*/ -4 a3 1' ],
+            [ 'maxAdj2', '+- 73490 m4a3 a1' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'dy1', '*/ h a1 200000' ],
+            [ 'yg', '*/ h a2 100000' ],
+            [ 'rad', '*/ h a3 100000' ],
+            [ 'dx1', '*/ w 73490 200000' ],
+            [ 'y3', '+- vc 0 dy1' ],
+            [ 'y4', '+- vc dy1 0' ],
+            [ 'a', '+- yg rad 0' ],
+            [ 'y2', '+- y3 0 a' ],
+            [ 'y1', '+- y2 0 rad' ],
+            [ 'y5', '+- b 0 y1' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x3', '+- hc dx1 0' ],
+            [ 'x2', '+- hc 0 rad' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'hc', 'y1' ],
+                    [ 'arcTo', 'rad', 'rad', '3cd4', '21600000' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'hc', 'y5' ],
+                    [ 'arcTo', 'rad', 'rad', 'cd4', '21600000' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'x1', 'y3' ],
+                    [ 'lnTo', 'x3', 'y3' ],
+                    [ 'lnTo', 'x3', 'y4' ],
+                    [ 'lnTo', 'x1', 'y4' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    mathEqual: {
+        avLst: { adj1: 'val 23520', adj2: 'val 11760' },
+        gdLst: [
+            [ 'a1', 'pin 0 adj1 36745' ],
+            [ '2a1', '*/ a1 2 1' ],
+            [ 'mAdj2', '+- 100000 0 2a1' ],
+            [ 'a2', 'pin 0 adj2 mAdj2' ],
+            [ 'dy1', '*/ h a1 100000' ],
+            [ 'dy2', '*/ h a2 200000' ],
+            [ 'dx1', '*/ w 73490 200000' ],
+            [ 'y2', '+- vc 0 dy2' ],
+            [ 'y3', '+- vc dy2 0' ],
+            [ 'y1', '+- y2 0 dy1' ],
+            [ 'y4', '+- y3 dy1 0' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x2', '+- hc dx1 0' ],
+            [ 'yC1', '+/ y1 y2 2' ],
+            [ 'yC2', '+/ y3 y4 2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x2', 'y1' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'x1', 'y3' ],
+                    [ 'lnTo', 'x2', 'y3' ],
+                    [ 'lnTo', 'x2', 'y4' ],
+                    [ 'lnTo', 'x1', 'y4' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    mathMinus: {
+        avLst: { adj1: 'val 23520' },
+        gdLst: [
+            [ 'a1', 'pin 0 adj1 100000' ],
+            [ 'dy1', '*/ h a1 200000' ],
+            [ 'dx1', '*/ w 73490 200000' ],
+            [ 'y1', '+- vc 0 dy1' ],
+            [ 'y2', '+- vc dy1 0' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x2', '+- hc dx1 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x2', 'y1' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    mathMultiply: {
+        avLst: { adj1: 'val 23520' },
+        gdLst: [
+            [ 'a1', 'pin 0 adj1 51965' ],
+            [ 'th', '*/ ss a1 100000' ],
+            [ 'a', 'at2 w h' ],
+            [ 'sa', 'sin 1 a' ],
+            [ 'ca', 'cos 1 a' ],
+            [ 'ta', 'tan 1 a' ],
+            [ 'dl', 'mod w h 0' ],
+            [ 'rw', '*/ dl 51965 100000' ],
+            [ 'lM', '+- dl 0 rw' ],
+            [ 'xM', '*/ ca lM 2' ],
+            [ 'yM', '*/ sa lM 2' ],
+            [ 'dxAM', '*/ sa th 2' ],
+            [ 'dyAM', '*/ ca th 2' ],
+            [ 'xA', '+- xM 0 dxAM' ],
+            [ 'yA', '+- yM dyAM 0' ],
+            [ 'xB', '+- xM dxAM 0' ],
+            [ 'yB', '+- yM 0 dyAM' ],
+            [ 'xBC', '+- hc 0 xB' ],
+            [ 'yBC', '*/ xBC ta 1' ],
+            [ 'yC', '+- yBC yB 0' ],
+            [ 'xD', '+- r 0 xB' ],
+            [ 'xE', '+- r 0 xA' ],
+            [ 'yFE', '+- vc 0 yA' ],
+            [ 'xFE', '*/ yFE 1 ta' ],
+            [ 'xF', '+- xE 0 xFE' ],
+            [ 'xL', '+- xA xFE 0' ],
+            [ 'yG', '+- b 0 yA' ],
+            [ 'yH', '+- b 0 yB' ],
+            [ 'yI', '+- b 0 yC' ],
+            [ 'xC2', '+- r 0 xM' ],
+            [ 'yC3', '+- b 0 yM' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'xA', 'yA' ],
+                    [ 'lnTo', 'xB', 'yB' ],
+                    [ 'lnTo', 'hc', 'yC' ],
+                    [ 'lnTo', 'xD', 'yB' ],
+                    [ 'lnTo', 'xE', 'yA' ],
+                    [ 'lnTo', 'xF', 'vc' ],
+                    [ 'lnTo', 'xE', 'yG' ],
+                    [ 'lnTo', 'xD', 'yH' ],
+                    [ 'lnTo', 'hc', 'yI' ],
+                    [ 'lnTo', 'xB', 'yH' ],
+                    [ 'lnTo', 'xA', 'yG' ],
+                    [ 'lnTo', 'xL', 'vc' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    mathNotEqual: {
+        avLst: { adj1: 'val 23520', adj2: 'val 6600000', adj3: 'val 11760' },
+        gdLst: [
+            [ 'a1', 'pin 0 adj1 50000' ],
+            [ 'crAng', 'pin 4200000 adj2 6600000' ],
+            [ '2a1', '*/ a1 2 1' ],
+            [ 'maxAdj3', '+- 100000 0 2a1' ],
+            [ 'a3', 'pin 0 adj3 maxAdj3' ],
+            [ 'dy1', '*/ h a1 100000' ],
+            [ 'dy2', '*/ h a3 200000' ],
+            [ 'dx1', '*/ w 73490 200000' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x8', '+- hc dx1 0' ],
+            [ 'y2', '+- vc 0 dy2' ],
+            [ 'y3', '+- vc dy2 0' ],
+            [ 'y1', '+- y2 0 dy1' ],
+            [ 'y4', '+- y3 dy1 0' ],
+            [ 'cadj2', '+- crAng 0 cd4' ],
+            [ 'xadj2', 'tan hd2 cadj2' ],
+            [ 'len', 'mod xadj2 hd2 0' ],
+            [ 'bhw', '*/ len dy1 hd2' ],
+            [ 'bhw2', '*/ bhw 1 2' ],
+            [ 'x7', '+- hc xadj2 bhw2' ],
+            [ 'dx67', '*/ xadj2 y1 hd2' ],
+            [ 'x6', '+- x7 0 dx67' ],
+            [ 'dx57', '*/ xadj2 y2 hd2' ],
+            [ 'x5', '+- x7 0 dx57' ],
+            [ 'dx47', '*/ xadj2 y3 hd2' ],
+            [ 'x4', '+- x7 0 dx47' ],
+            [ 'dx37', '*/ xadj2 y4 hd2' ],
+            [ 'x3', '+- x7 0 dx37' ],
+            [ 'dx27', '*/ xadj2 2 1' ],
+            [ 'x2', '+- x7 0 dx27' ],
+            [ 'rx7', '+- x7 bhw 0' ],
+            [ 'rx6', '+- x6 bhw 0' ],
+            [ 'rx5', '+- x5 bhw 0' ],
+            [ 'rx4', '+- x4 bhw 0' ],
+            [ 'rx3', '+- x3 bhw 0' ],
+            [ 'rx2', '+- x2 bhw 0' ],
+            [ 'dx7', '*/ dy1 hd2 len' ],
+            [ 'rxt', '+- x7 dx7 0' ],
+            [ 'lxt', '+- rx7 0 dx7' ],
+            [ 'rx', '?: cadj2 rxt rx7' ],
+            [ 'lx', '?: cadj2 x7 lxt' ],
+            [ 'dy3', '*/ dy1 xadj2 len' ],
+            [ 'dy4', '+- 0 0 dy3' ],
+            [ 'ry', '?: cadj2 dy3 t' ],
+            [ 'ly', '?: cadj2 t dy4' ],
+            [ 'dlx', '+- w 0 rx' ],
+            [ 'drx', '+- w 0 lx' ],
+            [ 'dly', '+- h 0 ry' ],
+            [ 'dry', '+- h 0 ly' ],
+            [ 'xC1', '+/ rx lx 2' ],
+            [ 'xC2', '+/ drx dlx 2' ],
+            [ 'yC1', '+/ ry ly 2' ],
+            [ 'yC2', '+/ y1 y2 2' ],
+            [ 'yC3', '+/ y3 y4 2' ],
+            [ 'yC4', '+/ dry dly 2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x6', 'y1' ],
+                    [ 'lnTo', 'lx', 'ly' ],
+                    [ 'lnTo', 'rx', 'ry' ],
+                    [ 'lnTo', 'rx6', 'y1' ],
+                    [ 'lnTo', 'x8', 'y1' ],
+                    [ 'lnTo', 'x8', 'y2' ],
+                    [ 'lnTo', 'rx5', 'y2' ],
+                    [ 'lnTo', 'rx4', 'y3' ],
+                    [ 'lnTo', 'x8', 'y3' ],
+                    [ 'lnTo', 'x8', 'y4' ],
+                    [ 'lnTo', 'rx3', 'y4' ],
+                    [ 'lnTo', 'drx', 'dry' ],
+                    [ 'lnTo', 'dlx', 'dly' ],
+                    [ 'lnTo', 'x3', 'y4' ],
+                    [ 'lnTo', 'x1', 'y4' ],
+                    [ 'lnTo', 'x1', 'y3' ],
+                    [ 'lnTo', 'x4', 'y3' ],
+                    [ 'lnTo', 'x5', 'y2' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    mathPlus: {
+        avLst: { adj1: 'val 23520' },
+        gdLst: [
+            [ 'a1', 'pin 0 adj1 73490' ],
+            [ 'dx1', '*/ w 73490 200000' ],
+            [ 'dy1', '*/ h 73490 200000' ],
+            [ 'dx2', '*/ ss a1 200000' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x2', '+- hc 0 dx2' ],
+            [ 'x3', '+- hc dx2 0' ],
+            [ 'x4', '+- hc dx1 0' ],
+            [ 'y1', '+- vc 0 dy1' ],
+            [ 'y2', '+- vc 0 dx2' ],
+            [ 'y3', '+- vc dx2 0' ],
+            [ 'y4', '+- vc dy1 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'x1', 'y2' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x2', 'y1' ],
+                    [ 'lnTo', 'x3', 'y1' ],
+                    [ 'lnTo', 'x3', 'y2' ],
+                    [ 'lnTo', 'x4', 'y2' ],
+                    [ 'lnTo', 'x4', 'y3' ],
+                    [ 'lnTo', 'x3', 'y3' ],
+                    [ 'lnTo', 'x3', 'y4' ],
+                    [ 'lnTo', 'x2', 'y4' ],
+                    [ 'lnTo', 'x2', 'y3' ],
+                    [ 'lnTo', 'x1', 'y3' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    moon: {
+        avLst: { adj: 'val 50000' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 87500' ],
+            [ 'g0', '*/ ss a 100000' ],
+            [ 'g0w', '*/ g0 w ss' ],
+            [ 'g1', '+- ss 0 g0' ],
+            [ 'g2', '*/ g0 g0 g1' ],
+            [ 'g3', '*/ ss ss g1' ],
+            [ 'g4', '*/ g3 2 1' ],
+            [ 'g5', '+- g4 0 g2' ],
+            [ 'g6', '+- g5 0 g0' ],
+            [ 'g6w', '*/ g6 w ss' ],
+            [ 'g7', '*/ g5 1 2' ],
+            [ 'g8', '+- g7 0 g0' ],
+            [ 'dy1', '*/ g8 hd2 ss' ],
+            [ 'g10h', '+- vc 0 dy1' ],
+            [ 'g11h', '+- vc dy1 0' ],
+            [ 'g12', '*/ g0 9598 32768' ],
+            [ 'g12w', '*/ g12 w ss' ],
+            [ 'g13', '+- ss 0 g12' ],
+            [ 'q1', '*/ ss ss 1' ],
+            [ 'q2', '*/ g13 g13 1' ],
+            [ 'q3', '+- q1 0 q2' ],
+            [ 'q4', 'sqrt q3' ],
+            [ 'dy4', '*/ q4 hd2 ss' ],
+            [ 'g15h', '+- vc 0 dy4' ],
+            [ 'g16h', '+- vc dy4 0' ],
+            [ 'g17w', '+- g6w 0 g0w' ],
+            [ 'g18w', '*/ g17w 1 2' ],
+            [ 'dx2p', '+- g0w g18w w' ],
+            [ 'dx2', '*/ dx2p -1 1' ],
+            [ 'dy2', '*/ hd2 -1 1' ],
+            [ 'stAng1', 'at2 dx2 dy2' ],
+            [ 'enAngp1', 'at2 dx2 hd2' ],
+            [ 'enAng1', '+- enAngp1 0 21600000' ],
+            [ 'swAng1', '+- enAng1 0 stAng1' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'r', 'b' ],
+                    [ 'arcTo', 'w', 'hd2', 'cd4', 'cd2' ],
+                    [ 'arcTo', 'g18w', 'dy1', 'stAng1', 'swAng1' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    noSmoking: {
+        avLst: { adj: 'val 18750' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 50000' ],
+            [ 'dr', '*/ ss a 100000' ],
+            [ 'iwd2', '+- wd2 0 dr' ],
+            [ 'ihd2', '+- hd2 0 dr' ],
+            [ 'ang', 'at2 w h' ],
+            [ 'ct', 'cos ihd2 ang' ],
+            [ 'st', 'sin iwd2 ang' ],
+            [ 'm', 'mod ct st 0' ],
+            [ 'n', '*/ iwd2 ihd2 m' ],
+            [ 'drd2', '*/ dr 1 2' ],
+            [ 'dang', 'at2 n drd2' ],
+            [ 'dang2', '*/ dang 2 1' ],
+            [ 'swAng', '+- -10800000 dang2 0' ],
+            [ 't3', 'at2 w h' ],
+            [ 'stAng1', '+- t3 0 dang' ],
+            [ 'stAng2', '+- stAng1 0 cd2' ],
+            [ 'ct1', 'cos ihd2 stAng1' ],
+            [ 'st1', 'sin iwd2 stAng1' ],
+            [ 'm1', 'mod ct1 st1 0' ],
+            [ 'n1', '*/ iwd2 ihd2 m1' ],
+            [ 'dx1', 'cos n1 stAng1' ],
+            [ 'dy1', 'sin n1 stAng1' ],
+            [ 'x1', '+- hc dx1 0' ],
+            [ 'y1', '+- vc dy1 0' ],
+            [ 'x2', '+- hc 0 dx1' ],
+            [ 'y2', '+- vc 0 dy1' ],
+            [ 'idx', 'cos wd2 2700000' ],
+            [ 'idy', 'sin hd2 2700000' ],
+            [ 'il', '+- hc 0 idx' ],
+            [ 'ir', '+- hc idx 0' ],
+            [ 'it', '+- vc 0 idy' ],
+            [ 'ib', '+- vc idy 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'cd2', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', '3cd4', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', '0', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'cd4', 'cd4' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'arcTo', 'iwd2', 'ihd2', 'stAng1', 'swAng' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'x2', 'y2' ],
+                    [ 'arcTo', 'iwd2', 'ihd2', 'stAng2', 'swAng' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    nonIsoscelesTrapezoid: {
+        avLst: { adj1: 'val 25000', adj2: 'val 25000' },
+        gdLst: [
+            [ 'maxAdj', '*/ 50000 w ss' ],
+            [ 'a1', 'pin 0 adj1 maxAdj' ],
+            [ 'a2', 'pin 0 adj2 maxAdj' ],
+            [ 'x1', '*/ ss a1 200000' ],
+            [ 'x2', '*/ ss a1 100000' ],
+            [ 'dx3', '*/ ss a2 100000' ],
+            [ 'x3', '+- r 0 dx3' ],
+            [ 'x4', '+/ r x3 2' ],
+            [ 'il', '*/ wd3 a1 maxAdj' ],
+            [ 'adjm', 'max a1 a2' ],
+            [ 'it', '*/ hd3 adjm maxAdj' ],
+            [ 'irt', '*/ wd3 a2 maxAdj' ],
+            [ 'ir', '+- r 0 irt' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'b' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'lnTo', 'x3', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    notchedRightArrow: {
+        avLst: { adj1: 'val 50000', adj2: 'val 50000' },
+        gdLst: [
+            [ 'maxAdj2', '*/ 100000 w ss' ],
+            [ 'a1', 'pin 0 adj1 100000' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'dx2', '*/ ss a2 100000' ],
+            [ 'x2', '+- r 0 dx2' ],
+            [ 'dy1', '*/ h a1 200000' ],
+            [ 'y1', '+- vc 0 dy1' ],
+            [ 'y2', '+- vc dy1 0' ],
+            [ 'x1', '*/ dy1 dx2 hd2' ],
+            [ 'x3', '+- r 0 x1' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'y1' ],
+                    [ 'lnTo', 'x2', 'y1' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'lnTo', 'r', 'vc' ],
+                    [ 'lnTo', 'x2', 'b' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'l', 'y2' ],
+                    [ 'lnTo', 'x1', 'vc' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    octagon: {
+        avLst: { adj: 'val 29289' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 50000' ],
+            [ 'x1', '*/ ss a 100000' ],
+            [ 'x2', '+- r 0 x1' ],
+            [ 'y2', '+- b 0 x1' ],
+            [ 'il', '*/ x1 1 2' ],
+            [ 'ir', '+- r 0 il' ],
+            [ 'ib', '+- b 0 il' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'x1' ],
+                    [ 'lnTo', 'x1', 't' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'lnTo', 'r', 'x1' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                    [ 'lnTo', 'x2', 'b' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                    [ 'lnTo', 'l', 'y2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    parallelogram: {
+        avLst: { adj: 'val 25000' },
+        gdLst: [
+            [ 'maxAdj', '*/ 100000 w ss' ],
+            [ 'a', 'pin 0 adj maxAdj' ],
+            [ 'x1', '*/ ss a 200000' ],
+            [ 'x2', '*/ ss a 100000' ],
+            [ 'x6', '+- r 0 x1' ],
+            [ 'x5', '+- r 0 x2' ],
+            [ 'x3', '*/ x5 1 2' ],
+            [ 'x4', '+- r 0 x3' ],
+            [ 'il', '*/ wd2 a maxAdj' ],
+            [ 'q1', '*/ 5 a maxAdj' ],
+            [ 'q2', '+/ 1 q1 12' ],
+            [ 'il', '*/ q2 w 1' ],
+            [ 'it', '*/ q2 h 1' ],
+            [ 'ir', '+- r 0 il' ],
+            [ 'ib', '+- b 0 it' ],
+            [ 'q3', '*/ h hc x2' ],
+            [ 'y1', 'pin 0 q3 h' ],
+            [ 'y2', '+- b 0 y1' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'b' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'x5', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    pentagon: {
+        avLst: { hf: 'val 105146', vf: 'val 110557' },
+        gdLst: [
+            [ 'swd2', '*/ wd2 hf 100000' ],
+            [ 'shd2', '*/ hd2 vf 100000' ],
+            [ 'svc', '*/ vc  vf 100000' ],
+            [ 'dx1', 'cos swd2 1080000' ],
+            [ 'dx2', 'cos swd2 18360000' ],
+            [ 'dy1', 'sin shd2 1080000' ],
+            [ 'dy2', 'sin shd2 18360000' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x2', '+- hc 0 dx2' ],
+            [ 'x3', '+- hc dx2 0' ],
+            [ 'x4', '+- hc dx1 0' ],
+            [ 'y1', '+- svc 0 dy1' ],
+            [ 'y2', '+- svc 0 dy2' ],
+            [ 'it', '*/ y1 dx2 dx1' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'hc', 't' ],
+                    [ 'lnTo', 'x4', 'y1' ],
+                    [ 'lnTo', 'x3', 'y2' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    pie: {
+        avLst: { adj1: 'val 0', adj2: 'val 16200000' },
+        gdLst: [
+            [ 'stAng', 'pin 0 adj1 21599999' ],
+            [ 'enAng', 'pin 0 adj2 21599999' ],
+            [ 'sw1', '+- enAng 0 stAng' ],
+            [ 'sw2', '+- sw1 21600000 0' ],
+            [ 'swAng', '?: sw1 sw1 sw2' ],
+            [ 'wt1', 'sin wd2 stAng' ],
+            [ 'ht1', 'cos hd2 stAng' ],
+            [ 'dx1', 'cat2 wd2 ht1 wt1' ],
+            [ 'dy1', 'sat2 hd2 ht1 wt1' ],
+            [ 'x1', '+- hc dx1 0' ],
+            [ 'y1', '+- vc dy1 0' ],
+            [ 'wt2', 'sin wd2 enAng' ],
+            [ 'ht2', 'cos hd2 enAng' ],
+            [ 'dx2', 'cat2 wd2 ht2 wt2' ],
+            [ 'dy2', 'sat2 hd2 ht2 wt2' ],
+            [ 'x2', '+- hc dx2 0' ],
+            [ 'y2', '+- vc dy2 0' ],
+            [ 'idx', 'cos wd2 2700000' ],
+            [ 'idy', 'sin hd2 2700000' ],
+            [ 'il', '+- hc 0 idx' ],
+            [ 'ir', '+- hc idx 0' ],
+            [ 'it', '+- vc 0 idy' ],
+            [ 'ib', '+- vc idy 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'stAng', 'swAng' ],
+                    [ 'lnTo', 'hc', 'vc' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    pieWedge: {
+        gdLst: [
+            [ 'g1', 'cos w 13500000' ],
+            [ 'g2', 'sin h 13500000' ],
+            [ 'x1', '+- r g1 0' ],
+            [ 'y1', '+- b g2 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'b' ],
+                    [ 'arcTo', 'w', 'h', 'cd2', 'cd4' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    plaque: {
+        avLst: { adj: 'val 16667' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 50000' ],
+            [ 'x1', '*/ ss a 100000' ],
+            [ 'x2', '+- r 0 x1' ],
+            [ 'y2', '+- b 0 x1' ],
+            [ 'il', '*/ x1 70711 100000' ],
+            [ 'ir', '+- r 0 il' ],
+            [ 'ib', '+- b 0 il' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'x1' ],
+                    [ 'arcTo', 'x1', 'x1', 'cd4', '-5400000' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'arcTo', 'x1', 'x1', 'cd2', '-5400000' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                    [ 'arcTo', 'x1', 'x1', '3cd4', '-5400000' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                    [ 'arcTo', 'x1', 'x1', '0', '-5400000' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    plaqueTabs: {
+        gdLst: [
+            [ 'md', 'mod w h 0' ],
+            [ 'dx', '*/ 1 md 20' ],
+            [ 'y1', '+- 0 b dx' ],
+            [ 'x1', '+- 0 r dx' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'dx', 't' ],
+                    [ 'arcTo', 'dx', 'dx', '0', 'cd4' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'y1' ],
+                    [ 'arcTo', 'dx', 'dx', '3cd4', 'cd4' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                commands: [
+                    [ 'moveTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'dx' ],
+                    [ 'arcTo', 'dx', 'dx', 'cd4', 'cd4' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                commands: [
+                    [ 'moveTo', 'x1', 'b' ],
+                    [ 'arcTo', 'dx', 'dx', 'cd2', 'cd4' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    plus: {
+        avLst: { adj: 'val 25000' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 50000' ],
+            [ 'x1', '*/ ss a 100000' ],
+            [ 'x2', '+- r 0 x1' ],
+            [ 'y2', '+- b 0 x1' ],
+            [ 'd', '+- w 0 h' ],
+            [ 'il', '?: d l x1' ],
+            [ 'ir', '?: d r x2' ],
+            [ 'it', '?: d x1 t' ],
+            [ 'ib', '?: d y2 b' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'x1' ],
+                    [ 'lnTo', 'x1', 'x1' ],
+                    [ 'lnTo', 'x1', 't' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'lnTo', 'x2', 'x1' ],
+                    [ 'lnTo', 'r', 'x1' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x2', 'b' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'lnTo', 'l', 'y2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    quadArrow: {
+        avLst: { adj1: 'val 22500', adj2: 'val 22500', adj3: 'val 22500' },
+        gdLst: [
+            [ 'a2', 'pin 0 adj2 50000' ],
+            [ 'maxAdj1', '*/ a2 2 1' ],
+            [ 'a1', 'pin 0 adj1 maxAdj1' ],
+            [ 'q1', '+- 100000 0 maxAdj1' ],
+            [ 'maxAdj3', '*/ q1 1 2' ],
+            [ 'a3', 'pin 0 adj3 maxAdj3' ],
+            [ 'x1', '*/ ss a3 100000' ],
+            [ 'dx2', '*/ ss a2 100000' ],
+            [ 'x2', '+- hc 0 dx2' ],
+            [ 'x5', '+- hc dx2 0' ],
+            [ 'dx3', '*/ ss a1 200000' ],
+            [ 'x3', '+- hc 0 dx3' ],
+            [ 'x4', '+- hc dx3 0' ],
+            [ 'x6', '+- r 0 x1' ],
+            [ 'y2', '+- vc 0 dx2' ],
+            [ 'y5', '+- vc dx2 0' ],
+            [ 'y3', '+- vc 0 dx3' ],
+            [ 'y4', '+- vc dx3 0' ],
+            [ 'y6', '+- b 0 x1' ],
+            [ 'il', '*/ dx3 x1 dx2' ],
+            [ 'ir', '+- r 0 il' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'lnTo', 'x1', 'y3' ],
+                    [ 'lnTo', 'x3', 'y3' ],
+                    [ 'lnTo', 'x3', 'x1' ],
+                    [ 'lnTo', 'x2', 'x1' ],
+                    [ 'lnTo', 'hc', 't' ],
+                    [ 'lnTo', 'x5', 'x1' ],
+                    [ 'lnTo', 'x4', 'x1' ],
+                    [ 'lnTo', 'x4', 'y3' ],
+                    [ 'lnTo', 'x6', 'y3' ],
+                    [ 'lnTo', 'x6', 'y2' ],
+                    [ 'lnTo', 'r', 'vc' ],
+                    [ 'lnTo', 'x6', 'y5' ],
+                    [ 'lnTo', 'x6', 'y4' ],
+                    [ 'lnTo', 'x4', 'y4' ],
+                    [ 'lnTo', 'x4', 'y6' ],
+                    [ 'lnTo', 'x5', 'y6' ],
+                    [ 'lnTo', 'hc', 'b' ],
+                    [ 'lnTo', 'x2', 'y6' ],
+                    [ 'lnTo', 'x3', 'y6' ],
+                    [ 'lnTo', 'x3', 'y4' ],
+                    [ 'lnTo', 'x1', 'y4' ],
+                    [ 'lnTo', 'x1', 'y5' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    quadArrowCallout: {
+        avLst: { adj1: 'val 18515', adj2: 'val 18515', adj3: 'val 18515', adj4: 'val 48123' },
+        gdLst: [
+            [ 'a2', 'pin 0 adj2 50000' ],
+            [ 'maxAdj1', '*/ a2 2 1' ],
+            [ 'a1', 'pin 0 adj1 maxAdj1' ],
+            [ 'maxAdj3', '+- 50000 0 a2' ],
+            [ 'a3', 'pin 0 adj3 maxAdj3' ],
+            [ 'q2', '*/ a3 2 1' ],
+            [ 'maxAdj4', '+- 100000 0 q2' ],
+            [ 'a4', 'pin a1 adj4 maxAdj4' ],
+            [ 'dx2', '*/ ss a2 100000' ],
+            [ 'dx3', '*/ ss a1 200000' ],
+            [ 'ah', '*/ ss a3 100000' ],
+            [ 'dx1', '*/ w a4 200000' ],
+            [ 'dy1', '*/ h a4 200000' ],
+            [ 'x8', '+- r 0 ah' ],
+            [ 'x2', '+- hc 0 dx1' ],
+            [ 'x7', '+- hc dx1 0' ],
+            [ 'x3', '+- hc 0 dx2' ],
+            [ 'x6', '+- hc dx2 0' ],
+            [ 'x4', '+- hc 0 dx3' ],
+            [ 'x5', '+- hc dx3 0' ],
+            [ 'y8', '+- b 0 ah' ],
+            [ 'y2', '+- vc 0 dy1' ],
+            [ 'y7', '+- vc dy1 0' ],
+            [ 'y3', '+- vc 0 dx2' ],
+            [ 'y6', '+- vc dx2 0' ],
+            [ 'y4', '+- vc 0 dx3' ],
+            [ 'y5', '+- vc dx3 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'lnTo', 'ah', 'y3' ],
+                    [ 'lnTo', 'ah', 'y4' ],
+                    [ 'lnTo', 'x2', 'y4' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x4', 'y2' ],
+                    [ 'lnTo', 'x4', 'ah' ],
+                    [ 'lnTo', 'x3', 'ah' ],
+                    [ 'lnTo', 'hc', 't' ],
+                    [ 'lnTo', 'x6', 'ah' ],
+                    [ 'lnTo', 'x5', 'ah' ],
+                    [ 'lnTo', 'x5', 'y2' ],
+                    [ 'lnTo', 'x7', 'y2' ],
+                    [ 'lnTo', 'x7', 'y4' ],
+                    [ 'lnTo', 'x8', 'y4' ],
+                    [ 'lnTo', 'x8', 'y3' ],
+                    [ 'lnTo', 'r', 'vc' ],
+                    [ 'lnTo', 'x8', 'y6' ],
+                    [ 'lnTo', 'x8', 'y5' ],
+                    [ 'lnTo', 'x7', 'y5' ],
+                    [ 'lnTo', 'x7', 'y7' ],
+                    [ 'lnTo', 'x5', 'y7' ],
+                    [ 'lnTo', 'x5', 'y8' ],
+                    [ 'lnTo', 'x6', 'y8' ],
+                    [ 'lnTo', 'hc', 'b' ],
+                    [ 'lnTo', 'x3', 'y8' ],
+                    [ 'lnTo', 'x4', 'y8' ],
+                    [ 'lnTo', 'x4', 'y7' ],
+                    [ 'lnTo', 'x2', 'y7' ],
+                    [ 'lnTo', 'x2', 'y5' ],
+                    [ 'lnTo', 'ah', 'y5' ],
+                    [ 'lnTo', 'ah', 'y6' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    rect: {
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    ribbon: {
+        avLst: { adj1: 'val 16667', adj2: 'val 50000' },
+        gdLst: [
+            [ 'a1', 'pin 0 adj1 33333' ],
+            [ 'a2', 'pin 25000 adj2 75000' ],
+            [ 'x10', '+- r 0 wd8' ],
+            [ 'dx2', '*/ w a2 200000' ],
+            [ 'x2', '+- hc 0 dx2' ],
+            [ 'x9', '+- hc dx2 0' ],
+            [ 'x3', '+- x2 wd32 0' ],
+            [ 'x8', '+- x9 0 wd32' ],
+            [ 'x5', '+- x2 wd8 0' ],
+            [ 'x6', '+- x9 0 wd8' ],
+            [ 'x4', '+- x5 0 wd32' ],
+            [ 'x7', '+- x6 wd32 0' ],
+            [ 'y1', '*/ h a1 200000' ],
+            [ 'y2', '*/ h a1 100000' ],
+            [ 'y4', '+- b 0 y2' ],
+            [ 'y3', '*/ y4 1 2' ],
+            [ 'hR', '*/ h a1 400000' ],
+            [ 'y5', '+- b 0 hR' ],
+            [ 'y6', '+- y2 0 hR' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'x4', 't' ],
+                    [ 'arcTo', 'wd32', 'hR', '3cd4', 'cd2' ],
+                    [ 'lnTo', 'x3', 'y1' ],
+                    [ 'arcTo', 'wd32', 'hR', '3cd4', '-10800000' ],
+                    [ 'lnTo', 'x8', 'y2' ],
+                    [ 'arcTo', 'wd32', 'hR', 'cd4', '-10800000' ],
+                    [ 'lnTo', 'x7', 'y1' ],
+                    [ 'arcTo', 'wd32', 'hR', 'cd4', 'cd2' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'x10', 'y3' ],
+                    [ 'lnTo', 'r', 'y4' ],
+                    [ 'lnTo', 'x9', 'y4' ],
+                    [ 'lnTo', 'x9', 'y5' ],
+                    [ 'arcTo', 'wd32', 'hR', '0', 'cd4' ],
+                    [ 'lnTo', 'x3', 'b' ],
+                    [ 'arcTo', 'wd32', 'hR', 'cd4', 'cd4' ],
+                    [ 'lnTo', 'x2', 'y4' ],
+                    [ 'lnTo', 'l', 'y4' ],
+                    [ 'lnTo', 'wd8', 'y3' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darkenLess',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'x5', 'hR' ],
+                    [ 'arcTo', 'wd32', 'hR', '0', 'cd4' ],
+                    [ 'lnTo', 'x3', 'y1' ],
+                    [ 'arcTo', 'wd32', 'hR', '3cd4', '-10800000' ],
+                    [ 'lnTo', 'x5', 'y2' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'x6', 'hR' ],
+                    [ 'arcTo', 'wd32', 'hR', 'cd2', '-5400000' ],
+                    [ 'lnTo', 'x8', 'y1' ],
+                    [ 'arcTo', 'wd32', 'hR', '3cd4', 'cd2' ],
+                    [ 'lnTo', 'x6', 'y2' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'x4', 't' ],
+                    [ 'arcTo', 'wd32', 'hR', '3cd4', 'cd2' ],
+                    [ 'lnTo', 'x3', 'y1' ],
+                    [ 'arcTo', 'wd32', 'hR', '3cd4', '-10800000' ],
+                    [ 'lnTo', 'x8', 'y2' ],
+                    [ 'arcTo', 'wd32', 'hR', 'cd4', '-10800000' ],
+                    [ 'lnTo', 'x7', 'y1' ],
+                    [ 'arcTo', 'wd32', 'hR', 'cd4', 'cd2' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'x10', 'y3' ],
+                    [ 'lnTo', 'r', 'y4' ],
+                    [ 'lnTo', 'x9', 'y4' ],
+                    [ 'lnTo', 'x9', 'y5' ],
+                    [ 'arcTo', 'wd32', 'hR', '0', 'cd4' ],
+                    [ 'lnTo', 'x3', 'b' ],
+                    [ 'arcTo', 'wd32', 'hR', 'cd4', 'cd4' ],
+                    [ 'lnTo', 'x2', 'y4' ],
+                    [ 'lnTo', 'l', 'y4' ],
+                    [ 'lnTo', 'wd8', 'y3' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'x5', 'hR' ],
+                    [ 'lnTo', 'x5', 'y2' ],
+                    [ 'moveTo', 'x6', 'y2' ],
+                    [ 'lnTo', 'x6', 'hR' ],
+                    [ 'moveTo', 'x2', 'y4' ],
+                    [ 'lnTo', 'x2', 'y6' ],
+                    [ 'moveTo', 'x9', 'y6' ],
+                    [ 'lnTo', 'x9', 'y4' ],
+                ],
+            },
+        ],
+    },
+    ribbon2: {
+        avLst: { adj1: 'val 16667', adj2: 'val 50000' },
+        gdLst: [
+            [ 'a1', 'pin 0 adj1 33333' ],
+            [ 'a2', 'pin 25000 adj2 75000' ],
+            [ 'x10', '+- r 0 wd8' ],
+            [ 'dx2', '*/ w a2 200000' ],
+            [ 'x2', '+- hc 0 dx2' ],
+            [ 'x9', '+- hc dx2 0' ],
+            [ 'x3', '+- x2 wd32 0' ],
+            [ 'x8', '+- x9 0 wd32' ],
+            [ 'x5', '+- x2 wd8 0' ],
+            [ 'x6', '+- x9 0 wd8' ],
+            [ 'x4', '+- x5 0 wd32' ],
+            [ 'x7', '+- x6 wd32 0' ],
+            [ 'dy1', '*/ h a1 200000' ],
+            [ 'y1', '+- b 0 dy1' ],
+            [ 'dy2', '*/ h a1 100000' ],
+            [ 'y2', '+- b 0 dy2' ],
+            [ 'y4', '+- t dy2 0' ],
+            [ 'y3', '+/ y4 b 2' ],
+            [ 'hR', '*/ h a1 400000' ],
+            [ 'y6', '+- b 0 hR' ],
+            [ 'y7', '+- y1 0 hR' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 'b' ],
+                    [ 'lnTo', 'x4', 'b' ],
+                    [ 'arcTo', 'wd32', 'hR', 'cd4', '-10800000' ],
+                    [ 'lnTo', 'x3', 'y1' ],
+                    [ 'arcTo', 'wd32', 'hR', 'cd4', 'cd2' ],
+                    [ 'lnTo', 'x8', 'y2' ],
+                    [ 'arcTo', 'wd32', 'hR', '3cd4', 'cd2' ],
+                    [ 'lnTo', 'x7', 'y1' ],
+                    [ 'arcTo', 'wd32', 'hR', '3cd4', '-10800000' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'x10', 'y3' ],
+                    [ 'lnTo', 'r', 'y4' ],
+                    [ 'lnTo', 'x9', 'y4' ],
+                    [ 'lnTo', 'x9', 'hR' ],
+                    [ 'arcTo', 'wd32', 'hR', '0', '-5400000' ],
+                    [ 'lnTo', 'x3', 't' ],
+                    [ 'arcTo', 'wd32', 'hR', '3cd4', '-5400000' ],
+                    [ 'lnTo', 'x2', 'y4' ],
+                    [ 'lnTo', 'l', 'y4' ],
+                    [ 'lnTo', 'wd8', 'y3' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darkenLess',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'x5', 'y6' ],
+                    [ 'arcTo', 'wd32', 'hR', '0', '-5400000' ],
+                    [ 'lnTo', 'x3', 'y1' ],
+                    [ 'arcTo', 'wd32', 'hR', 'cd4', 'cd2' ],
+                    [ 'lnTo', 'x5', 'y2' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'x6', 'y6' ],
+                    [ 'arcTo', 'wd32', 'hR', 'cd2', 'cd4' ],
+                    [ 'lnTo', 'x8', 'y1' ],
+                    [ 'arcTo', 'wd32', 'hR', 'cd4', '-10800000' ],
+                    [ 'lnTo', 'x6', 'y2' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 'b' ],
+                    [ 'lnTo', 'wd8', 'y3' ],
+                    [ 'lnTo', 'l', 'y4' ],
+                    [ 'lnTo', 'x2', 'y4' ],
+                    [ 'lnTo', 'x2', 'hR' ],
+                    [ 'arcTo', 'wd32', 'hR', 'cd2', 'cd4' ],
+                    [ 'lnTo', 'x8', 't' ],
+                    [ 'arcTo', 'wd32', 'hR', '3cd4', 'cd4' ],
+                    [ 'lnTo', 'x9', 'y4' ],
+                    [ 'lnTo', 'x9', 'y4' ],
+                    [ 'lnTo', 'r', 'y4' ],
+                    [ 'lnTo', 'x10', 'y3' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'x7', 'b' ],
+                    [ 'arcTo', 'wd32', 'hR', 'cd4', 'cd2' ],
+                    [ 'lnTo', 'x8', 'y1' ],
+                    [ 'arcTo', 'wd32', 'hR', 'cd4', '-10800000' ],
+                    [ 'lnTo', 'x3', 'y2' ],
+                    [ 'arcTo', 'wd32', 'hR', '3cd4', '-10800000' ],
+                    [ 'lnTo', 'x4', 'y1' ],
+                    [ 'arcTo', 'wd32', 'hR', '3cd4', 'cd2' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'x5', 'y2' ],
+                    [ 'lnTo', 'x5', 'y6' ],
+                    [ 'moveTo', 'x6', 'y6' ],
+                    [ 'lnTo', 'x6', 'y2' ],
+                    [ 'moveTo', 'x2', 'y7' ],
+                    [ 'lnTo', 'x2', 'y4' ],
+                    [ 'moveTo', 'x9', 'y4' ],
+                    [ 'lnTo', 'x9', 'y7' ],
+                ],
+            },
+        ],
+    },
+    rightArrow: {
+        avLst: { adj1: 'val 50000', adj2: 'val 50000' },
+        gdLst: [
+            [ 'maxAdj2', '*/ 100000 w ss' ],
+            [ 'a1', 'pin 0 adj1 100000' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'dx1', '*/ ss a2 100000' ],
+            [ 'x1', '+- r 0 dx1' ],
+            [ 'dy1', '*/ h a1 200000' ],
+            [ 'y1', '+- vc 0 dy1' ],
+            [ 'y2', '+- vc dy1 0' ],
+            [ 'dx2', '*/ y1 dx1 hd2' ],
+            [ 'x2', '+- x1 dx2 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'y1' ],
+                    [ 'lnTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'x1', 't' ],
+                    [ 'lnTo', 'r', 'vc' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'lnTo', 'l', 'y2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    rightArrowCallout: {
+        avLst: { adj1: 'val 25000', adj2: 'val 25000', adj3: 'val 25000', adj4: 'val 64977' },
+        gdLst: [
+            [ 'maxAdj2', '*/ 50000 h ss' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'maxAdj1', '*/ a2 2 1' ],
+            [ 'a1', 'pin 0 adj1 maxAdj1' ],
+            [ 'maxAdj3', '*/ 100000 w ss' ],
+            [ 'a3', 'pin 0 adj3 maxAdj3' ],
+            [ 'q2', '*/ a3 ss w' ],
+            [ 'maxAdj4', '+- 100000 0 q2' ],
+            [ 'a4', 'pin 0 adj4 maxAdj4' ],
+            [ 'dy1', '*/ ss a2 100000' ],
+            [ 'dy2', '*/ ss a1 200000' ],
+            [ 'y1', '+- vc 0 dy1' ],
+            [ 'y2', '+- vc 0 dy2' ],
+            [ 'y3', '+- vc dy2 0' ],
+            [ 'y4', '+- vc dy1 0' ],
+            [ 'dx3', '*/ ss a3 100000' ],
+            [ 'x3', '+- r 0 dx3' ],
+            [ 'x2', '*/ w a4 100000' ],
+            [ 'x1', '*/ x2 1 2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x3', 'y2' ],
+                    [ 'lnTo', 'x3', 'y1' ],
+                    [ 'lnTo', 'r', 'vc' ],
+                    [ 'lnTo', 'x3', 'y4' ],
+                    [ 'lnTo', 'x3', 'y3' ],
+                    [ 'lnTo', 'x2', 'y3' ],
+                    [ 'lnTo', 'x2', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    rightBrace: {
+        avLst: { adj1: 'val 8333', adj2: 'val 50000' },
+        gdLst: [
+            [ 'a2', 'pin 0 adj2 100000' ],
+            [ 'q1', '+- 100000 0 a2' ],
+            [ 'q2', 'min q1 a2' ],
+            [ 'q3', '*/ q2 1 2' ],
+            [ 'maxAdj1', '*/ q3 h ss' ],
+            [ 'a1', 'pin 0 adj1 maxAdj1' ],
+            [ 'y1', '*/ ss a1 100000' ],
+            [ 'y3', '*/ h a2 100000' ],
+            [ 'y2', '+- y3 0 y1' ],
+            [ 'y4', '+- b 0 y1' ],
+            [ 'dx1', 'cos wd2 2700000' ],
+            [ 'dy1', 'sin y1 2700000' ],
+            [ 'ir', '+- l dx1 0' ],
+            [ 'it', '+- y1 0 dy1' ],
+            [ 'ib', '+- b dy1 y1' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'arcTo', 'wd2', 'y1', '3cd4', 'cd4' ],
+                    [ 'lnTo', 'hc', 'y2' ],
+                    [ 'arcTo', 'wd2', 'y1', 'cd2', '-5400000' ],
+                    [ 'arcTo', 'wd2', 'y1', '3cd4', '-5400000' ],
+                    [ 'lnTo', 'hc', 'y4' ],
+                    [ 'arcTo', 'wd2', 'y1', '0', 'cd4' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'arcTo', 'wd2', 'y1', '3cd4', 'cd4' ],
+                    [ 'lnTo', 'hc', 'y2' ],
+                    [ 'arcTo', 'wd2', 'y1', 'cd2', '-5400000' ],
+                    [ 'arcTo', 'wd2', 'y1', '3cd4', '-5400000' ],
+                    [ 'lnTo', 'hc', 'y4' ],
+                    [ 'arcTo', 'wd2', 'y1', '0', 'cd4' ],
+                ],
+            },
+        ],
+    },
+    rightBracket: {
+        avLst: { adj: 'val 8333' },
+        gdLst: [
+            [ 'maxAdj', '*/ 50000 h ss' ],
+            [ 'a', 'pin 0 adj maxAdj' ],
+            [ 'y1', '*/ ss a 100000' ],
+            [ 'y2', '+- b 0 y1' ],
+            [ 'dx1', 'cos w 2700000' ],
+            [ 'dy1', 'sin y1 2700000' ],
+            [ 'ir', '+- l dx1 0' ],
+            [ 'it', '+- y1 0 dy1' ],
+            [ 'ib', '+- b dy1 y1' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'arcTo', 'w', 'y1', '3cd4', 'cd4' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                    [ 'arcTo', 'w', 'y1', '0', 'cd4' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'arcTo', 'w', 'y1', '3cd4', 'cd4' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                    [ 'arcTo', 'w', 'y1', '0', 'cd4' ],
+                ],
+            },
+        ],
+    },
+    round1Rect: {
+        avLst: { adj: 'val 16667' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 50000' ],
+            [ 'dx1', '*/ ss a 100000' ],
+            [ 'x1', '+- r 0 dx1' ],
+            [ 'idx', '*/ dx1 29289 100000' ],
+            [ 'ir', '+- r 0 idx' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'x1', 't' ],
+                    [ 'arcTo', 'dx1', 'dx1', '3cd4', 'cd4' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    round2DiagRect: {
+        avLst: { adj1: 'val 16667', adj2: 'val 0' },
+        gdLst: [
+            [ 'a1', 'pin 0 adj1 50000' ],
+            [ 'a2', 'pin 0 adj2 50000' ],
+            [ 'x1', '*/ ss a1 100000' ],
+            [ 'y1', '+- b 0 x1' ],
+            [ 'a', '*/ ss a2 100000' ],
+            [ 'x2', '+- r 0 a' ],
+            [ 'y2', '+- b 0 a' ],
+            [ 'dx1', '*/ x1 29289 100000' ],
+            [ 'dx2', '*/ a 29289 100000' ],
+            [ 'd', '+- dx1 0 dx2' ],
+            [ 'dx', '?: d dx1 dx2' ],
+            [ 'ir', '+- r 0 dx' ],
+            [ 'ib', '+- b 0 dx' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'x1', 't' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'arcTo', 'a', 'a', '3cd4', 'cd4' ],
+                    [ 'lnTo', 'r', 'y1' ],
+                    [ 'arcTo', 'x1', 'x1', '0', 'cd4' ],
+                    [ 'lnTo', 'a', 'b' ],
+                    [ 'arcTo', 'a', 'a', 'cd4', 'cd4' ],
+                    [ 'lnTo', 'l', 'x1' ],
+                    [ 'arcTo', 'x1', 'x1', 'cd2', 'cd4' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    round2SameRect: {
+        avLst: { adj1: 'val 16667', adj2: 'val 0' },
+        gdLst: [
+            [ 'a1', 'pin 0 adj1 50000' ],
+            [ 'a2', 'pin 0 adj2 50000' ],
+            [ 'tx1', '*/ ss a1 100000' ],
+            [ 'tx2', '+- r 0 tx1' ],
+            [ 'bx1', '*/ ss a2 100000' ],
+            [ 'bx2', '+- r 0 bx1' ],
+            [ 'by1', '+- b 0 bx1' ],
+            [ 'd', '+- tx1 0 bx1' ],
+            [ 'tdx', '*/ tx1 29289 100000' ],
+            [ 'bdx', '*/ bx1 29289 100000' ],
+            [ 'il', '?: d tdx bdx' ],
+            [ 'ir', '+- r 0 il' ],
+            [ 'ib', '+- b 0 bdx' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'tx1', 't' ],
+                    [ 'lnTo', 'tx2', 't' ],
+                    [ 'arcTo', 'tx1', 'tx1', '3cd4', 'cd4' ],
+                    [ 'lnTo', 'r', 'by1' ],
+                    [ 'arcTo', 'bx1', 'bx1', '0', 'cd4' ],
+                    [ 'lnTo', 'bx1', 'b' ],
+                    [ 'arcTo', 'bx1', 'bx1', 'cd4', 'cd4' ],
+                    [ 'lnTo', 'l', 'tx1' ],
+                    [ 'arcTo', 'tx1', 'tx1', 'cd2', 'cd4' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    roundRect: {
+        avLst: { adj: 'val 16667' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 50000' ],
+            [ 'x1', '*/ ss a 100000' ],
+            [ 'x2', '+- r 0 x1' ],
+            [ 'y2', '+- b 0 x1' ],
+            [ 'il', '*/ x1 29289 100000' ],
+            [ 'ir', '+- r 0 il' ],
+            [ 'ib', '+- b 0 il' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'x1' ],
+                    [ 'arcTo', 'x1', 'x1', 'cd2', 'cd4' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'arcTo', 'x1', 'x1', '3cd4', 'cd4' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                    [ 'arcTo', 'x1', 'x1', '0', 'cd4' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                    [ 'arcTo', 'x1', 'x1', 'cd4', 'cd4' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    rtTriangle: {
+        gdLst: [
+            [ 'it', '*/ h 7 12' ],
+            [ 'ir', '*/ w 7 12' ],
+            [ 'ib', '*/ h 11 12' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'b' ],
+                    [ 'lnTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    smileyFace: {
+        avLst: { adj: 'val 4653' },
+        gdLst: [
+            [ 'a', 'pin -4653 adj 4653' ],
+            [ 'x1', '*/ w 4969 21699' ],
+            [ 'x2', '*/ w 6215 21600' ],
+            [ 'x3', '*/ w 13135 21600' ],
+            [ 'x4', '*/ w 16640 21600' ],
+            [ 'y1', '*/ h 7570 21600' ],
+            [ 'y3', '*/ h 16515 21600' ],
+            [ 'dy2', '*/ h a 100000' ],
+            [ 'y2', '+- y3 0 dy2' ],
+            [ 'y4', '+- y3 dy2 0' ],
+            [ 'dy3', '*/ h a 50000' ],
+            [ 'y5', '+- y4 dy3 0' ],
+            [ 'idx', 'cos wd2 2700000' ],
+            [ 'idy', 'sin hd2 2700000' ],
+            [ 'il', '+- hc 0 idx' ],
+            [ 'ir', '+- hc idx 0' ],
+            [ 'it', '+- vc 0 idy' ],
+            [ 'ib', '+- vc idy 0' ],
+            [ 'wR', '*/ w 1125 21600' ],
+            [ 'hR', '*/ h 1125 21600' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'cd2', '21600000' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darkenLess',
+                commands: [
+                    [ 'moveTo', 'x2', 'y1' ],
+                    [ 'arcTo', 'wR', 'hR', 'cd2', '21600000' ],
+                    [ 'moveTo', 'x3', 'y1' ],
+                    [ 'arcTo', 'wR', 'hR', 'cd2', '21600000' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'x1', 'y2' ],
+                    [ 'quadBezTo', 'hc', 'y5', 'x4', 'y2' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'cd2', '21600000' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    snip1Rect: {
+        avLst: { adj: 'val 16667' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 50000' ],
+            [ 'dx1', '*/ ss a 100000' ],
+            [ 'x1', '+- r 0 dx1' ],
+            [ 'it', '*/ dx1 1 2' ],
+            [ 'ir', '+/ x1 r 2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'x1', 't' ],
+                    [ 'lnTo', 'r', 'dx1' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    snip2DiagRect: {
+        avLst: { adj1: 'val 0', adj2: 'val 16667' },
+        gdLst: [
+            [ 'a1', 'pin 0 adj1 50000' ],
+            [ 'a2', 'pin 0 adj2 50000' ],
+            [ 'lx1', '*/ ss a1 100000' ],
+            [ 'lx2', '+- r 0 lx1' ],
+            [ 'ly1', '+- b 0 lx1' ],
+            [ 'rx1', '*/ ss a2 100000' ],
+            [ 'rx2', '+- r 0 rx1' ],
+            [ 'ry1', '+- b 0 rx1' ],
+            [ 'd', '+- lx1 0 rx1' ],
+            [ 'dx', '?: d lx1 rx1' ],
+            [ 'il', '*/ dx 1 2' ],
+            [ 'ir', '+- r 0 il' ],
+            [ 'ib', '+- b 0 il' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'lx1', 't' ],
+                    [ 'lnTo', 'rx2', 't' ],
+                    [ 'lnTo', 'r', 'rx1' ],
+                    [ 'lnTo', 'r', 'ly1' ],
+                    [ 'lnTo', 'lx2', 'b' ],
+                    [ 'lnTo', 'rx1', 'b' ],
+                    [ 'lnTo', 'l', 'ry1' ],
+                    [ 'lnTo', 'l', 'lx1' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    snip2SameRect: {
+        avLst: { adj1: 'val 16667', adj2: 'val 0' },
+        gdLst: [
+            [ 'a1', 'pin 0 adj1 50000' ],
+            [ 'a2', 'pin 0 adj2 50000' ],
+            [ 'tx1', '*/ ss a1 100000' ],
+            [ 'tx2', '+- r 0 tx1' ],
+            [ 'bx1', '*/ ss a2 100000' ],
+            [ 'bx2', '+- r 0 bx1' ],
+            [ 'by1', '+- b 0 bx1' ],
+            [ 'd', '+- tx1 0 bx1' ],
+            [ 'dx', '?: d tx1 bx1' ],
+            [ 'il', '*/ dx 1 2' ],
+            [ 'ir', '+- r 0 il' ],
+            [ 'it', '*/ tx1 1 2' ],
+            [ 'ib', '+/ by1 b 2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'tx1', 't' ],
+                    [ 'lnTo', 'tx2', 't' ],
+                    [ 'lnTo', 'r', 'tx1' ],
+                    [ 'lnTo', 'r', 'by1' ],
+                    [ 'lnTo', 'bx2', 'b' ],
+                    [ 'lnTo', 'bx1', 'b' ],
+                    [ 'lnTo', 'l', 'by1' ],
+                    [ 'lnTo', 'l', 'tx1' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    snipRoundRect: {
+        avLst: { adj1: 'val 16667', adj2: 'val 16667' },
+        gdLst: [
+            [ 'a1', 'pin 0 adj1 50000' ],
+            [ 'a2', 'pin 0 adj2 50000' ],
+            [ 'x1', '*/ ss a1 100000' ],
+            [ 'dx2', '*/ ss a2 100000' ],
+            [ 'x2', '+- r 0 dx2' ],
+            [ 'il', '*/ x1 29289 100000' ],
+            [ 'ir', '+/ x2 r 2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'x1', 't' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'lnTo', 'r', 'dx2' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'lnTo', 'l', 'x1' ],
+                    [ 'arcTo', 'x1', 'x1', 'cd2', 'cd4' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    squareTabs: {
+        gdLst: [
+            [ 'md', 'mod w h 0' ],
+            [ 'dx', '*/ 1 md 20' ],
+            [ 'y1', '+- 0 b dx' ],
+            [ 'x1', '+- 0 r dx' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'dx', 't' ],
+                    [ 'lnTo', 'dx', 'dx' ],
+                    [ 'lnTo', 'l', 'dx' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'y1' ],
+                    [ 'lnTo', 'dx', 'y1' ],
+                    [ 'lnTo', 'dx', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                commands: [
+                    [ 'moveTo', 'x1', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'dx' ],
+                    [ 'lnTo', 'x1', 'dx' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'r', 'y1' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    star10: {
+        avLst: { adj: 'val 42533', hf: 'val 105146' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 50000' ],
+            [ 'swd2', '*/ wd2 hf 100000' ],
+            [ 'dx1', '*/ swd2 95106 100000' ],
+            [ 'dx2', '*/ swd2 58779 100000' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x2', '+- hc 0 dx2' ],
+            [ 'x3', '+- hc dx2 0' ],
+            [ 'x4', '+- hc dx1 0' ],
+            [ 'dy1', '*/ hd2 80902 100000' ],
+            [ 'dy2', '*/ hd2 30902 100000' ],
+            [ 'y1', '+- vc 0 dy1' ],
+            [ 'y2', '+- vc 0 dy2' ],
+            [ 'y3', '+- vc dy2 0' ],
+            [ 'y4', '+- vc dy1 0' ],
+            [ 'iwd2', '*/ swd2 a 50000' ],
+            [ 'ihd2', '*/ hd2 a 50000' ],
+            [ 'sdx1', '*/ iwd2 80902 100000' ],
+            [ 'sdx2', '*/ iwd2 30902 100000' ],
+            [ 'sdy1', '*/ ihd2 95106 100000' ],
+            [ 'sdy2', '*/ ihd2 58779 100000' ],
+            [ 'sx1', '+- hc 0 iwd2' ],
+            [ 'sx2', '+- hc 0 sdx1' ],
+            [ 'sx3', '+- hc 0 sdx2' ],
+            [ 'sx4', '+- hc sdx2 0' ],
+            [ 'sx5', '+- hc sdx1 0' ],
+            [ 'sx6', '+- hc iwd2 0' ],
+            [ 'sy1', '+- vc 0 sdy1' ],
+            [ 'sy2', '+- vc 0 sdy2' ],
+            [ 'sy3', '+- vc sdy2 0' ],
+            [ 'sy4', '+- vc sdy1 0' ],
+            [ 'yAdj', '+- vc 0 ihd2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'x1', 'y2' ],
+                    [ 'lnTo', 'sx2', 'sy2' ],
+                    [ 'lnTo', 'x2', 'y1' ],
+                    [ 'lnTo', 'sx3', 'sy1' ],
+                    [ 'lnTo', 'hc', 't' ],
+                    [ 'lnTo', 'sx4', 'sy1' ],
+                    [ 'lnTo', 'x3', 'y1' ],
+                    [ 'lnTo', 'sx5', 'sy2' ],
+                    [ 'lnTo', 'x4', 'y2' ],
+                    [ 'lnTo', 'sx6', 'vc' ],
+                    [ 'lnTo', 'x4', 'y3' ],
+                    [ 'lnTo', 'sx5', 'sy3' ],
+                    [ 'lnTo', 'x3', 'y4' ],
+                    [ 'lnTo', 'sx4', 'sy4' ],
+                    [ 'lnTo', 'hc', 'b' ],
+                    [ 'lnTo', 'sx3', 'sy4' ],
+                    [ 'lnTo', 'x2', 'y4' ],
+                    [ 'lnTo', 'sx2', 'sy3' ],
+                    [ 'lnTo', 'x1', 'y3' ],
+                    [ 'lnTo', 'sx1', 'vc' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    star12: {
+        avLst: { adj: 'val 37500' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 50000' ],
+            [ 'dx1', 'cos wd2 1800000' ],
+            [ 'dy1', 'sin hd2 3600000' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x3', '*/ w 3 4' ],
+            [ 'x4', '+- hc dx1 0' ],
+            [ 'y1', '+- vc 0 dy1' ],
+            [ 'y3', '*/ h 3 4' ],
+            [ 'y4', '+- vc dy1 0' ],
+            [ 'iwd2', '*/ wd2 a 50000' ],
+            [ 'ihd2', '*/ hd2 a 50000' ],
+            [ 'sdx1', 'cos iwd2 900000' ],
+            [ 'sdx2', 'cos iwd2 2700000' ],
+            [ 'sdx3', 'cos iwd2 4500000' ],
+            [ 'sdy1', 'sin ihd2 4500000' ],
+            [ 'sdy2', 'sin ihd2 2700000' ],
+            [ 'sdy3', 'sin ihd2 900000' ],
+            [ 'sx1', '+- hc 0 sdx1' ],
+            [ 'sx2', '+- hc 0 sdx2' ],
+            [ 'sx3', '+- hc 0 sdx3' ],
+            [ 'sx4', '+- hc sdx3 0' ],
+            [ 'sx5', '+- hc sdx2 0' ],
+            [ 'sx6', '+- hc sdx1 0' ],
+            [ 'sy1', '+- vc 0 sdy1' ],
+            [ 'sy2', '+- vc 0 sdy2' ],
+            [ 'sy3', '+- vc 0 sdy3' ],
+            [ 'sy4', '+- vc sdy3 0' ],
+            [ 'sy5', '+- vc sdy2 0' ],
+            [ 'sy6', '+- vc sdy1 0' ],
+            [ 'yAdj', '+- vc 0 ihd2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'lnTo', 'sx1', 'sy3' ],
+                    [ 'lnTo', 'x1', 'hd4' ],
+                    [ 'lnTo', 'sx2', 'sy2' ],
+                    [ 'lnTo', 'wd4', 'y1' ],
+                    [ 'lnTo', 'sx3', 'sy1' ],
+                    [ 'lnTo', 'hc', 't' ],
+                    [ 'lnTo', 'sx4', 'sy1' ],
+                    [ 'lnTo', 'x3', 'y1' ],
+                    [ 'lnTo', 'sx5', 'sy2' ],
+                    [ 'lnTo', 'x4', 'hd4' ],
+                    [ 'lnTo', 'sx6', 'sy3' ],
+                    [ 'lnTo', 'r', 'vc' ],
+                    [ 'lnTo', 'sx6', 'sy4' ],
+                    [ 'lnTo', 'x4', 'y3' ],
+                    [ 'lnTo', 'sx5', 'sy5' ],
+                    [ 'lnTo', 'x3', 'y4' ],
+                    [ 'lnTo', 'sx4', 'sy6' ],
+                    [ 'lnTo', 'hc', 'b' ],
+                    [ 'lnTo', 'sx3', 'sy6' ],
+                    [ 'lnTo', 'wd4', 'y4' ],
+                    [ 'lnTo', 'sx2', 'sy5' ],
+                    [ 'lnTo', 'x1', 'y3' ],
+                    [ 'lnTo', 'sx1', 'sy4' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    star16: {
+        avLst: { adj: 'val 37500' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 50000' ],
+            [ 'dx1', '*/ wd2 92388 100000' ],
+            [ 'dx2', '*/ wd2 70711 100000' ],
+            [ 'dx3', '*/ wd2 38268 100000' ],
+            [ 'dy1', '*/ hd2 92388 100000' ],
+            [ 'dy2', '*/ hd2 70711 100000' ],
+            [ 'dy3', '*/ hd2 38268 100000' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x2', '+- hc 0 dx2' ],
+            [ 'x3', '+- hc 0 dx3' ],
+            [ 'x4', '+- hc dx3 0' ],
+            [ 'x5', '+- hc dx2 0' ],
+            [ 'x6', '+- hc dx1 0' ],
+            [ 'y1', '+- vc 0 dy1' ],
+            [ 'y2', '+- vc 0 dy2' ],
+            [ 'y3', '+- vc 0 dy3' ],
+            [ 'y4', '+- vc dy3 0' ],
+            [ 'y5', '+- vc dy2 0' ],
+            [ 'y6', '+- vc dy1 0' ],
+            [ 'iwd2', '*/ wd2 a 50000' ],
+            [ 'ihd2', '*/ hd2 a 50000' ],
+            [ 'sdx1', '*/ iwd2 98079 100000' ],
+            [ 'sdx2', '*/ iwd2 83147 100000' ],
+            [ 'sdx3', '*/ iwd2 55557 100000' ],
+            [ 'sdx4', '*/ iwd2 19509 100000' ],
+            [ 'sdy1', '*/ ihd2 98079 100000' ],
+            [ 'sdy2', '*/ ihd2 83147 100000' ],
+            [ 'sdy3', '*/ ihd2 55557 100000' ],
+            [ 'sdy4', '*/ ihd2 19509 100000' ],
+            [ 'sx1', '+- hc 0 sdx1' ],
+            [ 'sx2', '+- hc 0 sdx2' ],
+            [ 'sx3', '+- hc 0 sdx3' ],
+            [ 'sx4', '+- hc 0 sdx4' ],
+            [ 'sx5', '+- hc sdx4 0' ],
+            [ 'sx6', '+- hc sdx3 0' ],
+            [ 'sx7', '+- hc sdx2 0' ],
+            [ 'sx8', '+- hc sdx1 0' ],
+            [ 'sy1', '+- vc 0 sdy1' ],
+            [ 'sy2', '+- vc 0 sdy2' ],
+            [ 'sy3', '+- vc 0 sdy3' ],
+            [ 'sy4', '+- vc 0 sdy4' ],
+            [ 'sy5', '+- vc sdy4 0' ],
+            [ 'sy6', '+- vc sdy3 0' ],
+            [ 'sy7', '+- vc sdy2 0' ],
+            [ 'sy8', '+- vc sdy1 0' ],
+            [ 'idx', 'cos iwd2 2700000' ],
+            [ 'idy', 'sin ihd2 2700000' ],
+            [ 'il', '+- hc 0 idx' ],
+            [ 'it', '+- vc 0 idy' ],
+            [ 'ir', '+- hc idx 0' ],
+            [ 'ib', '+- vc idy 0' ],
+            [ 'yAdj', '+- vc 0 ihd2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'lnTo', 'sx1', 'sy4' ],
+                    [ 'lnTo', 'x1', 'y3' ],
+                    [ 'lnTo', 'sx2', 'sy3' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'sx3', 'sy2' ],
+                    [ 'lnTo', 'x3', 'y1' ],
+                    [ 'lnTo', 'sx4', 'sy1' ],
+                    [ 'lnTo', 'hc', 't' ],
+                    [ 'lnTo', 'sx5', 'sy1' ],
+                    [ 'lnTo', 'x4', 'y1' ],
+                    [ 'lnTo', 'sx6', 'sy2' ],
+                    [ 'lnTo', 'x5', 'y2' ],
+                    [ 'lnTo', 'sx7', 'sy3' ],
+                    [ 'lnTo', 'x6', 'y3' ],
+                    [ 'lnTo', 'sx8', 'sy4' ],
+                    [ 'lnTo', 'r', 'vc' ],
+                    [ 'lnTo', 'sx8', 'sy5' ],
+                    [ 'lnTo', 'x6', 'y4' ],
+                    [ 'lnTo', 'sx7', 'sy6' ],
+                    [ 'lnTo', 'x5', 'y5' ],
+                    [ 'lnTo', 'sx6', 'sy7' ],
+                    [ 'lnTo', 'x4', 'y6' ],
+                    [ 'lnTo', 'sx5', 'sy8' ],
+                    [ 'lnTo', 'hc', 'b' ],
+                    [ 'lnTo', 'sx4', 'sy8' ],
+                    [ 'lnTo', 'x3', 'y6' ],
+                    [ 'lnTo', 'sx3', 'sy7' ],
+                    [ 'lnTo', 'x2', 'y5' ],
+                    [ 'lnTo', 'sx2', 'sy6' ],
+                    [ 'lnTo', 'x1', 'y4' ],
+                    [ 'lnTo', 'sx1', 'sy5' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    star24: {
+        avLst: { adj: 'val 37500' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 50000' ],
+            [ 'dx1', 'cos wd2 900000' ],
+            [ 'dx2', 'cos wd2 1800000' ],
+            [ 'dx3', 'cos wd2 2700000' ],
+            [ 'dx4', 'val wd4' ],
+            [ 'dx5', 'cos wd2 4500000' ],
+            [ 'dy1', 'sin hd2 4500000' ],
+            [ 'dy2', 'sin hd2 3600000' ],
+            [ 'dy3', 'sin hd2 2700000' ],
+            [ 'dy4', 'val hd4' ],
+            [ 'dy5', 'sin hd2 900000' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x2', '+- hc 0 dx2' ],
+            [ 'x3', '+- hc 0 dx3' ],
+            [ 'x4', '+- hc 0 dx4' ],
+            [ 'x5', '+- hc 0 dx5' ],
+            [ 'x6', '+- hc dx5 0' ],
+            [ 'x7', '+- hc dx4 0' ],
+            [ 'x8', '+- hc dx3 0' ],
+            [ 'x9', '+- hc dx2 0' ],
+            [ 'x10', '+- hc dx1 0' ],
+            [ 'y1', '+- vc 0 dy1' ],
+            [ 'y2', '+- vc 0 dy2' ],
+            [ 'y3', '+- vc 0 dy3' ],
+            [ 'y4', '+- vc 0 dy4' ],
+            [ 'y5', '+- vc 0 dy5' ],
+            [ 'y6', '+- vc dy5 0' ],
+            [ 'y7', '+- vc dy4 0' ],
+            [ 'y8', '+- vc dy3 0' ],
+            [ 'y9', '+- vc dy2 0' ],
+            [ 'y10', '+- vc dy1 0' ],
+            [ 'iwd2', '*/ wd2 a 50000' ],
+            [ 'ihd2', '*/ hd2 a 50000' ],
+            [ 'sdx1', '*/ iwd2 99144 100000' ],
+            [ 'sdx2', '*/ iwd2 92388 100000' ],
+            [ 'sdx3', '*/ iwd2 79335 100000' ],
+            [ 'sdx4', '*/ iwd2 60876 100000' ],
+            [ 'sdx5', '*/ iwd2 38268 100000' ],
+            [ 'sdx6', '*/ iwd2 13053 100000' ],
+            [ 'sdy1', '*/ ihd2 99144 100000' ],
+            [ 'sdy2', '*/ ihd2 92388 100000' ],
+            [ 'sdy3', '*/ ihd2 79335 100000' ],
+            [ 'sdy4', '*/ ihd2 60876 100000' ],
+            [ 'sdy5', '*/ ihd2 38268 100000' ],
+            [ 'sdy6', '*/ ihd2 13053 100000' ],
+            [ 'sx1', '+- hc 0 sdx1' ],
+            [ 'sx2', '+- hc 0 sdx2' ],
+            [ 'sx3', '+- hc 0 sdx3' ],
+            [ 'sx4', '+- hc 0 sdx4' ],
+            [ 'sx5', '+- hc 0 sdx5' ],
+            [ 'sx6', '+- hc 0 sdx6' ],
+            [ 'sx7', '+- hc sdx6 0' ],
+            [ 'sx8', '+- hc sdx5 0' ],
+            [ 'sx9', '+- hc sdx4 0' ],
+            [ 'sx10', '+- hc sdx3 0' ],
+            [ 'sx11', '+- hc sdx2 0' ],
+            [ 'sx12', '+- hc sdx1 0' ],
+            [ 'sy1', '+- vc 0 sdy1' ],
+            [ 'sy2', '+- vc 0 sdy2' ],
+            [ 'sy3', '+- vc 0 sdy3' ],
+            [ 'sy4', '+- vc 0 sdy4' ],
+            [ 'sy5', '+- vc 0 sdy5' ],
+            [ 'sy6', '+- vc 0 sdy6' ],
+            [ 'sy7', '+- vc sdy6 0' ],
+            [ 'sy8', '+- vc sdy5 0' ],
+            [ 'sy9', '+- vc sdy4 0' ],
+            [ 'sy10', '+- vc sdy3 0' ],
+            [ 'sy11', '+- vc sdy2 0' ],
+            [ 'sy12', '+- vc sdy1 0' ],
+            [ 'idx', 'cos iwd2 2700000' ],
+            [ 'idy', 'sin ihd2 2700000' ],
+            [ 'il', '+- hc 0 idx' ],
+            [ 'it', '+- vc 0 idy' ],
+            [ 'ir', '+- hc idx 0' ],
+            [ 'ib', '+- vc idy 0' ],
+            [ 'yAdj', '+- vc 0 ihd2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'lnTo', 'sx1', 'sy6' ],
+                    [ 'lnTo', 'x1', 'y5' ],
+                    [ 'lnTo', 'sx2', 'sy5' ],
+                    [ 'lnTo', 'x2', 'y4' ],
+                    [ 'lnTo', 'sx3', 'sy4' ],
+                    [ 'lnTo', 'x3', 'y3' ],
+                    [ 'lnTo', 'sx4', 'sy3' ],
+                    [ 'lnTo', 'x4', 'y2' ],
+                    [ 'lnTo', 'sx5', 'sy2' ],
+                    [ 'lnTo', 'x5', 'y1' ],
+                    [ 'lnTo', 'sx6', 'sy1' ],
+                    [ 'lnTo', 'hc', 't' ],
+                    [ 'lnTo', 'sx7', 'sy1' ],
+                    [ 'lnTo', 'x6', 'y1' ],
+                    [ 'lnTo', 'sx8', 'sy2' ],
+                    [ 'lnTo', 'x7', 'y2' ],
+                    [ 'lnTo', 'sx9', 'sy3' ],
+                    [ 'lnTo', 'x8', 'y3' ],
+                    [ 'lnTo', 'sx10', 'sy4' ],
+                    [ 'lnTo', 'x9', 'y4' ],
+                    [ 'lnTo', 'sx11', 'sy5' ],
+                    [ 'lnTo', 'x10', 'y5' ],
+                    [ 'lnTo', 'sx12', 'sy6' ],
+                    [ 'lnTo', 'r', 'vc' ],
+                    [ 'lnTo', 'sx12', 'sy7' ],
+                    [ 'lnTo', 'x10', 'y6' ],
+                    [ 'lnTo', 'sx11', 'sy8' ],
+                    [ 'lnTo', 'x9', 'y7' ],
+                    [ 'lnTo', 'sx10', 'sy9' ],
+                    [ 'lnTo', 'x8', 'y8' ],
+                    [ 'lnTo', 'sx9', 'sy10' ],
+                    [ 'lnTo', 'x7', 'y9' ],
+                    [ 'lnTo', 'sx8', 'sy11' ],
+                    [ 'lnTo', 'x6', 'y10' ],
+                    [ 'lnTo', 'sx7', 'sy12' ],
+                    [ 'lnTo', 'hc', 'b' ],
+                    [ 'lnTo', 'sx6', 'sy12' ],
+                    [ 'lnTo', 'x5', 'y10' ],
+                    [ 'lnTo', 'sx5', 'sy11' ],
+                    [ 'lnTo', 'x4', 'y9' ],
+                    [ 'lnTo', 'sx4', 'sy10' ],
+                    [ 'lnTo', 'x3', 'y8' ],
+                    [ 'lnTo', 'sx3', 'sy9' ],
+                    [ 'lnTo', 'x2', 'y7' ],
+                    [ 'lnTo', 'sx2', 'sy8' ],
+                    [ 'lnTo', 'x1', 'y6' ],
+                    [ 'lnTo', 'sx1', 'sy7' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    star32: {
+        avLst: { adj: 'val 37500' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 50000' ],
+            [ 'dx1', '*/ wd2 98079 100000' ],
+            [ 'dx2', '*/ wd2 92388 100000' ],
+            [ 'dx3', '*/ wd2 83147 100000' ],
+            [ 'dx4', 'cos wd2 2700000' ],
+            [ 'dx5', '*/ wd2 55557 100000' ],
+            [ 'dx6', '*/ wd2 38268 100000' ],
+            [ 'dx7', '*/ wd2 19509 100000' ],
+            [ 'dy1', '*/ hd2 98079 100000' ],
+            [ 'dy2', '*/ hd2 92388 100000' ],
+            [ 'dy3', '*/ hd2 83147 100000' ],
+            [ 'dy4', 'sin hd2 2700000' ],
+            [ 'dy5', '*/ hd2 55557 100000' ],
+            [ 'dy6', '*/ hd2 38268 100000' ],
+            [ 'dy7', '*/ hd2 19509 100000' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x2', '+- hc 0 dx2' ],
+            [ 'x3', '+- hc 0 dx3' ],
+            [ 'x4', '+- hc 0 dx4' ],
+            [ 'x5', '+- hc 0 dx5' ],
+            [ 'x6', '+- hc 0 dx6' ],
+            [ 'x7', '+- hc 0 dx7' ],
+            [ 'x8', '+- hc dx7 0' ],
+            [ 'x9', '+- hc dx6 0' ],
+            [ 'x10', '+- hc dx5 0' ],
+            [ 'x11', '+- hc dx4 0' ],
+            [ 'x12', '+- hc dx3 0' ],
+            [ 'x13', '+- hc dx2 0' ],
+            [ 'x14', '+- hc dx1 0' ],
+            [ 'y1', '+- vc 0 dy1' ],
+            [ 'y2', '+- vc 0 dy2' ],
+            [ 'y3', '+- vc 0 dy3' ],
+            [ 'y4', '+- vc 0 dy4' ],
+            [ 'y5', '+- vc 0 dy5' ],
+            [ 'y6', '+- vc 0 dy6' ],
+            [ 'y7', '+- vc 0 dy7' ],
+            [ 'y8', '+- vc dy7 0' ],
+            [ 'y9', '+- vc dy6 0' ],
+            [ 'y10', '+- vc dy5 0' ],
+            [ 'y11', '+- vc dy4 0' ],
+            [ 'y12', '+- vc dy3 0' ],
+            [ 'y13', '+- vc dy2 0' ],
+            [ 'y14', '+- vc dy1 0' ],
+            [ 'iwd2', '*/ wd2 a 50000' ],
+            [ 'ihd2', '*/ hd2 a 50000' ],
+            [ 'sdx1', '*/ iwd2 99518 100000' ],
+            [ 'sdx2', '*/ iwd2 95694 100000' ],
+            [ 'sdx3', '*/ iwd2 88192 100000' ],
+            [ 'sdx4', '*/ iwd2 77301 100000' ],
+            [ 'sdx5', '*/ iwd2 63439 100000' ],
+            [ 'sdx6', '*/ iwd2 47140 100000' ],
+            [ 'sdx7', '*/ iwd2 29028 100000' ],
+            [ 'sdx8', '*/ iwd2 9802 100000' ],
+            [ 'sdy1', '*/ ihd2 99518 100000' ],
+            [ 'sdy2', '*/ ihd2 95694 100000' ],
+            [ 'sdy3', '*/ ihd2 88192 100000' ],
+            [ 'sdy4', '*/ ihd2 77301 100000' ],
+            [ 'sdy5', '*/ ihd2 63439 100000' ],
+            [ 'sdy6', '*/ ihd2 47140 100000' ],
+            [ 'sdy7', '*/ ihd2 29028 100000' ],
+            [ 'sdy8', '*/ ihd2 9802 100000' ],
+            [ 'sx1', '+- hc 0 sdx1' ],
+            [ 'sx2', '+- hc 0 sdx2' ],
+            [ 'sx3', '+- hc 0 sdx3' ],
+            [ 'sx4', '+- hc 0 sdx4' ],
+            [ 'sx5', '+- hc 0 sdx5' ],
+            [ 'sx6', '+- hc 0 sdx6' ],
+            [ 'sx7', '+- hc 0 sdx7' ],
+            [ 'sx8', '+- hc 0 sdx8' ],
+            [ 'sx9', '+- hc sdx8 0' ],
+            [ 'sx10', '+- hc sdx7 0' ],
+            [ 'sx11', '+- hc sdx6 0' ],
+            [ 'sx12', '+- hc sdx5 0' ],
+            [ 'sx13', '+- hc sdx4 0' ],
+            [ 'sx14', '+- hc sdx3 0' ],
+            [ 'sx15', '+- hc sdx2 0' ],
+            [ 'sx16', '+- hc sdx1 0' ],
+            [ 'sy1', '+- vc 0 sdy1' ],
+            [ 'sy2', '+- vc 0 sdy2' ],
+            [ 'sy3', '+- vc 0 sdy3' ],
+            [ 'sy4', '+- vc 0 sdy4' ],
+            [ 'sy5', '+- vc 0 sdy5' ],
+            [ 'sy6', '+- vc 0 sdy6' ],
+            [ 'sy7', '+- vc 0 sdy7' ],
+            [ 'sy8', '+- vc 0 sdy8' ],
+            [ 'sy9', '+- vc sdy8 0' ],
+            [ 'sy10', '+- vc sdy7 0' ],
+            [ 'sy11', '+- vc sdy6 0' ],
+            [ 'sy12', '+- vc sdy5 0' ],
+            [ 'sy13', '+- vc sdy4 0' ],
+            [ 'sy14', '+- vc sdy3 0' ],
+            [ 'sy15', '+- vc sdy2 0' ],
+            [ 'sy16', '+- vc sdy1 0' ],
+            [ 'idx', 'cos iwd2 2700000' ],
+            [ 'idy', 'sin ihd2 2700000' ],
+            [ 'il', '+- hc 0 idx' ],
+            [ 'it', '+- vc 0 idy' ],
+            [ 'ir', '+- hc idx 0' ],
+            [ 'ib', '+- vc idy 0' ],
+            [ 'yAdj', '+- vc 0 ihd2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'lnTo', 'sx1', 'sy8' ],
+                    [ 'lnTo', 'x1', 'y7' ],
+                    [ 'lnTo', 'sx2', 'sy7' ],
+                    [ 'lnTo', 'x2', 'y6' ],
+                    [ 'lnTo', 'sx3', 'sy6' ],
+                    [ 'lnTo', 'x3', 'y5' ],
+                    [ 'lnTo', 'sx4', 'sy5' ],
+                    [ 'lnTo', 'x4', 'y4' ],
+                    [ 'lnTo', 'sx5', 'sy4' ],
+                    [ 'lnTo', 'x5', 'y3' ],
+                    [ 'lnTo', 'sx6', 'sy3' ],
+                    [ 'lnTo', 'x6', 'y2' ],
+                    [ 'lnTo', 'sx7', 'sy2' ],
+                    [ 'lnTo', 'x7', 'y1' ],
+                    [ 'lnTo', 'sx8', 'sy1' ],
+                    [ 'lnTo', 'hc', 't' ],
+                    [ 'lnTo', 'sx9', 'sy1' ],
+                    [ 'lnTo', 'x8', 'y1' ],
+                    [ 'lnTo', 'sx10', 'sy2' ],
+                    [ 'lnTo', 'x9', 'y2' ],
+                    [ 'lnTo', 'sx11', 'sy3' ],
+                    [ 'lnTo', 'x10', 'y3' ],
+                    [ 'lnTo', 'sx12', 'sy4' ],
+                    [ 'lnTo', 'x11', 'y4' ],
+                    [ 'lnTo', 'sx13', 'sy5' ],
+                    [ 'lnTo', 'x12', 'y5' ],
+                    [ 'lnTo', 'sx14', 'sy6' ],
+                    [ 'lnTo', 'x13', 'y6' ],
+                    [ 'lnTo', 'sx15', 'sy7' ],
+                    [ 'lnTo', 'x14', 'y7' ],
+                    [ 'lnTo', 'sx16', 'sy8' ],
+                    [ 'lnTo', 'r', 'vc' ],
+                    [ 'lnTo', 'sx16', 'sy9' ],
+                    [ 'lnTo', 'x14', 'y8' ],
+                    [ 'lnTo', 'sx15', 'sy10' ],
+                    [ 'lnTo', 'x13', 'y9' ],
+                    [ 'lnTo', 'sx14', 'sy11' ],
+                    [ 'lnTo', 'x12', 'y10' ],
+                    [ 'lnTo', 'sx13', 'sy12' ],
+                    [ 'lnTo', 'x11', 'y11' ],
+                    [ 'lnTo', 'sx12', 'sy13' ],
+                    [ 'lnTo', 'x10', 'y12' ],
+                    [ 'lnTo', 'sx11', 'sy14' ],
+                    [ 'lnTo', 'x9', 'y13' ],
+                    [ 'lnTo', 'sx10', 'sy15' ],
+                    [ 'lnTo', 'x8', 'y14' ],
+                    [ 'lnTo', 'sx9', 'sy16' ],
+                    [ 'lnTo', 'hc', 'b' ],
+                    [ 'lnTo', 'sx8', 'sy16' ],
+                    [ 'lnTo', 'x7', 'y14' ],
+                    [ 'lnTo', 'sx7', 'sy15' ],
+                    [ 'lnTo', 'x6', 'y13' ],
+                    [ 'lnTo', 'sx6', 'sy14' ],
+                    [ 'lnTo', 'x5', 'y12' ],
+                    [ 'lnTo', 'sx5', 'sy13' ],
+                    [ 'lnTo', 'x4', 'y11' ],
+                    [ 'lnTo', 'sx4', 'sy12' ],
+                    [ 'lnTo', 'x3', 'y10' ],
+                    [ 'lnTo', 'sx3', 'sy11' ],
+                    [ 'lnTo', 'x2', 'y9' ],
+                    [ 'lnTo', 'sx2', 'sy10' ],
+                    [ 'lnTo', 'x1', 'y8' ],
+                    [ 'lnTo', 'sx1', 'sy9' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    star4: {
+        avLst: { adj: 'val 12500' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 50000' ],
+            [ 'iwd2', '*/ wd2 a 50000' ],
+            [ 'ihd2', '*/ hd2 a 50000' ],
+            [ 'sdx', 'cos iwd2 2700000' ],
+            [ 'sdy', 'sin ihd2 2700000' ],
+            [ 'sx1', '+- hc 0 sdx' ],
+            [ 'sx2', '+- hc sdx 0' ],
+            [ 'sy1', '+- vc 0 sdy' ],
+            [ 'sy2', '+- vc sdy 0' ],
+            [ 'yAdj', '+- vc 0 ihd2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'lnTo', 'sx1', 'sy1' ],
+                    [ 'lnTo', 'hc', 't' ],
+                    [ 'lnTo', 'sx2', 'sy1' ],
+                    [ 'lnTo', 'r', 'vc' ],
+                    [ 'lnTo', 'sx2', 'sy2' ],
+                    [ 'lnTo', 'hc', 'b' ],
+                    [ 'lnTo', 'sx1', 'sy2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    star5: {
+        avLst: { adj: 'val 19098', hf: 'val 105146', vf: 'val 110557' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 50000' ],
+            [ 'swd2', '*/ wd2 hf 100000' ],
+            [ 'shd2', '*/ hd2 vf 100000' ],
+            [ 'svc', '*/ vc  vf 100000' ],
+            [ 'dx1', 'cos swd2 1080000' ],
+            [ 'dx2', 'cos swd2 18360000' ],
+            [ 'dy1', 'sin shd2 1080000' ],
+            [ 'dy2', 'sin shd2 18360000' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x2', '+- hc 0 dx2' ],
+            [ 'x3', '+- hc dx2 0' ],
+            [ 'x4', '+- hc dx1 0' ],
+            [ 'y1', '+- svc 0 dy1' ],
+            [ 'y2', '+- svc 0 dy2' ],
+            [ 'iwd2', '*/ swd2 a 50000' ],
+            [ 'ihd2', '*/ shd2 a 50000' ],
+            [ 'sdx1', 'cos iwd2 20520000' ],
+            [ 'sdx2', 'cos iwd2 3240000' ],
+            [ 'sdy1', 'sin ihd2 3240000' ],
+            [ 'sdy2', 'sin ihd2 20520000' ],
+            [ 'sx1', '+- hc 0 sdx1' ],
+            [ 'sx2', '+- hc 0 sdx2' ],
+            [ 'sx3', '+- hc sdx2 0' ],
+            [ 'sx4', '+- hc sdx1 0' ],
+            [ 'sy1', '+- svc 0 sdy1' ],
+            [ 'sy2', '+- svc 0 sdy2' ],
+            [ 'sy3', '+- svc ihd2 0' ],
+            [ 'yAdj', '+- svc 0 ihd2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'sx2', 'sy1' ],
+                    [ 'lnTo', 'hc', 't' ],
+                    [ 'lnTo', 'sx3', 'sy1' ],
+                    [ 'lnTo', 'x4', 'y1' ],
+                    [ 'lnTo', 'sx4', 'sy2' ],
+                    [ 'lnTo', 'x3', 'y2' ],
+                    [ 'lnTo', 'hc', 'sy3' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'sx1', 'sy2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    star6: {
+        avLst: { adj: 'val 28868', hf: 'val 115470' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 50000' ],
+            [ 'swd2', '*/ wd2 hf 100000' ],
+            [ 'dx1', 'cos swd2 1800000' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x2', '+- hc dx1 0' ],
+            [ 'y2', '+- vc hd4 0' ],
+            [ 'iwd2', '*/ swd2 a 50000' ],
+            [ 'ihd2', '*/ hd2 a 50000' ],
+            [ 'sdx2', '*/ iwd2 1 2' ],
+            [ 'sx1', '+- hc 0 iwd2' ],
+            [ 'sx2', '+- hc 0 sdx2' ],
+            [ 'sx3', '+- hc sdx2 0' ],
+            [ 'sx4', '+- hc iwd2 0' ],
+            [ 'sdy1', 'sin ihd2 3600000' ],
+            [ 'sy1', '+- vc 0 sdy1' ],
+            [ 'sy2', '+- vc sdy1 0' ],
+            [ 'yAdj', '+- vc 0 ihd2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'x1', 'hd4' ],
+                    [ 'lnTo', 'sx2', 'sy1' ],
+                    [ 'lnTo', 'hc', 't' ],
+                    [ 'lnTo', 'sx3', 'sy1' ],
+                    [ 'lnTo', 'x2', 'hd4' ],
+                    [ 'lnTo', 'sx4', 'vc' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'sx3', 'sy2' ],
+                    [ 'lnTo', 'hc', 'b' ],
+                    [ 'lnTo', 'sx2', 'sy2' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'lnTo', 'sx1', 'vc' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    star7: {
+        avLst: { adj: 'val 34601', hf: 'val 102572', vf: 'val 105210' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 50000' ],
+            [ 'swd2', '*/ wd2 hf 100000' ],
+            [ 'shd2', '*/ hd2 vf 100000' ],
+            [ 'svc', '*/ vc  vf 100000' ],
+            [ 'dx1', '*/ swd2 97493 100000' ],
+            [ 'dx2', '*/ swd2 78183 100000' ],
+            [ 'dx3', '*/ swd2 43388 100000' ],
+            [ 'dy1', '*/ shd2 62349 100000' ],
+            [ 'dy2', '*/ shd2 22252 100000' ],
+            [ 'dy3', '*/ shd2 90097 100000' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x2', '+- hc 0 dx2' ],
+            [ 'x3', '+- hc 0 dx3' ],
+            [ 'x4', '+- hc dx3 0' ],
+            [ 'x5', '+- hc dx2 0' ],
+            [ 'x6', '+- hc dx1 0' ],
+            [ 'y1', '+- svc 0 dy1' ],
+            [ 'y2', '+- svc dy2 0' ],
+            [ 'y3', '+- svc dy3 0' ],
+            [ 'iwd2', '*/ swd2 a 50000' ],
+            [ 'ihd2', '*/ shd2 a 50000' ],
+            [ 'sdx1', '*/ iwd2 97493 100000' ],
+            [ 'sdx2', '*/ iwd2 78183 100000' ],
+            [ 'sdx3', '*/ iwd2 43388 100000' ],
+            [ 'sx1', '+- hc 0 sdx1' ],
+            [ 'sx2', '+- hc 0 sdx2' ],
+            [ 'sx3', '+- hc 0 sdx3' ],
+            [ 'sx4', '+- hc sdx3 0' ],
+            [ 'sx5', '+- hc sdx2 0' ],
+            [ 'sx6', '+- hc sdx1 0' ],
+            [ 'sdy1', '*/ ihd2 90097 100000' ],
+            [ 'sdy2', '*/ ihd2 22252 100000' ],
+            [ 'sdy3', '*/ ihd2 62349 100000' ],
+            [ 'sy1', '+- svc 0 sdy1' ],
+            [ 'sy2', '+- svc 0 sdy2' ],
+            [ 'sy3', '+- svc sdy3 0' ],
+            [ 'sy4', '+- svc ihd2 0' ],
+            [ 'yAdj', '+- svc 0 ihd2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'x1', 'y2' ],
+                    [ 'lnTo', 'sx1', 'sy2' ],
+                    [ 'lnTo', 'x2', 'y1' ],
+                    [ 'lnTo', 'sx3', 'sy1' ],
+                    [ 'lnTo', 'hc', 't' ],
+                    [ 'lnTo', 'sx4', 'sy1' ],
+                    [ 'lnTo', 'x5', 'y1' ],
+                    [ 'lnTo', 'sx6', 'sy2' ],
+                    [ 'lnTo', 'x6', 'y2' ],
+                    [ 'lnTo', 'sx5', 'sy3' ],
+                    [ 'lnTo', 'x4', 'y3' ],
+                    [ 'lnTo', 'hc', 'sy4' ],
+                    [ 'lnTo', 'x3', 'y3' ],
+                    [ 'lnTo', 'sx2', 'sy3' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    star8: {
+        avLst: { adj: 'val 37500' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 50000' ],
+            [ 'dx1', 'cos wd2 2700000' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x2', '+- hc dx1 0' ],
+            [ 'dy1', 'sin hd2 2700000' ],
+            [ 'y1', '+- vc 0 dy1' ],
+            [ 'y2', '+- vc dy1 0' ],
+            [ 'iwd2', '*/ wd2 a 50000' ],
+            [ 'ihd2', '*/ hd2 a 50000' ],
+            [ 'sdx1', '*/ iwd2 92388 100000' ],
+            [ 'sdx2', '*/ iwd2 38268 100000' ],
+            [ 'sdy1', '*/ ihd2 92388 100000' ],
+            [ 'sdy2', '*/ ihd2 38268 100000' ],
+            [ 'sx1', '+- hc 0 sdx1' ],
+            [ 'sx2', '+- hc 0 sdx2' ],
+            [ 'sx3', '+- hc sdx2 0' ],
+            [ 'sx4', '+- hc sdx1 0' ],
+            [ 'sy1', '+- vc 0 sdy1' ],
+            [ 'sy2', '+- vc 0 sdy2' ],
+            [ 'sy3', '+- vc sdy2 0' ],
+            [ 'sy4', '+- vc sdy1 0' ],
+            [ 'yAdj', '+- vc 0 ihd2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'lnTo', 'sx1', 'sy2' ],
+                    [ 'lnTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'sx2', 'sy1' ],
+                    [ 'lnTo', 'hc', 't' ],
+                    [ 'lnTo', 'sx3', 'sy1' ],
+                    [ 'lnTo', 'x2', 'y1' ],
+                    [ 'lnTo', 'sx4', 'sy2' ],
+                    [ 'lnTo', 'r', 'vc' ],
+                    [ 'lnTo', 'sx4', 'sy3' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'sx3', 'sy4' ],
+                    [ 'lnTo', 'hc', 'b' ],
+                    [ 'lnTo', 'sx2', 'sy4' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'lnTo', 'sx1', 'sy3' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    straightConnector1: {
+        pathLst: [
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                ],
+            },
+        ],
+    },
+    stripedRightArrow: {
+        avLst: { adj1: 'val 50000', adj2: 'val 50000' },
+        gdLst: [
+            [ 'maxAdj2', '*/ 84375 w ss' ],
+            [ 'a1', 'pin 0 adj1 100000' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'x4', '*/ ss 5 32' ],
+            [ 'dx5', '*/ ss a2 100000' ],
+            [ 'x5', '+- r 0 dx5' ],
+            [ 'dy1', '*/ h a1 200000' ],
+            [ 'y1', '+- vc 0 dy1' ],
+            [ 'y2', '+- vc dy1 0' ],
+            [ 'dx6', '*/ dy1 dx5 hd2' ],
+            [ 'x6', '+- r 0 dx6' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'y1' ],
+                    [ 'lnTo', 'ssd32', 'y1' ],
+                    [ 'lnTo', 'ssd32', 'y2' ],
+                    [ 'lnTo', 'l', 'y2' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'ssd16', 'y1' ],
+                    [ 'lnTo', 'ssd8', 'y1' ],
+                    [ 'lnTo', 'ssd8', 'y2' ],
+                    [ 'lnTo', 'ssd16', 'y2' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'x4', 'y1' ],
+                    [ 'lnTo', 'x5', 'y1' ],
+                    [ 'lnTo', 'x5', 't' ],
+                    [ 'lnTo', 'r', 'vc' ],
+                    [ 'lnTo', 'x5', 'b' ],
+                    [ 'lnTo', 'x5', 'y2' ],
+                    [ 'lnTo', 'x4', 'y2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    sun: {
+        avLst: { adj: 'val 25000' },
+        gdLst: [
+            [ 'a', 'pin 12500 adj 46875' ],
+            [ 'g0', '+- 50000 0 a' ],
+            [ 'g1', '*/ g0 30274 32768' ],
+            [ 'g2', '*/ g0 12540 32768' ],
+            [ 'g3', '+- g1 50000 0' ],
+            [ 'g4', '+- g2 50000 0' ],
+            [ 'g5', '+- 50000 0 g1' ],
+            [ 'g6', '+- 50000 0 g2' ],
+            [ 'g7', '*/ g0 23170 32768' ],
+            [ 'g8', '+- 50000 g7 0' ],
+            [ 'g9', '+- 50000 0 g7' ],
+            [ 'g10', '*/ g5 3 4' ],
+            [ 'g11', '*/ g6 3 4' ],
+            [ 'g12', '+- g10 3662 0' ],
+            [ 'g13', '+- g11 3662 0' ],
+            [ 'g14', '+- g11 12500 0' ],
+            [ 'g15', '+- 100000 0 g10' ],
+            [ 'g16', '+- 100000 0 g12' ],
+            [ 'g17', '+- 100000 0 g13' ],
+            [ 'g18', '+- 100000 0 g14' ],
+            [ 'ox1', '*/ w 18436 21600' ],
+            [ 'oy1', '*/ h 3163 21600' ],
+            [ 'ox2', '*/ w 3163 21600' ],
+            [ 'oy2', '*/ h 18436 21600' ],
+            [ 'x8', '*/ w g8 100000' ],
+            [ 'x9', '*/ w g9 100000' ],
+            [ 'x10', '*/ w g10 100000' ],
+            [ 'x12', '*/ w g12 100000' ],
+            [ 'x13', '*/ w g13 100000' ],
+            [ 'x14', '*/ w g14 100000' ],
+            [ 'x15', '*/ w g15 100000' ],
+            [ 'x16', '*/ w g16 100000' ],
+            [ 'x17', '*/ w g17 100000' ],
+            [ 'x18', '*/ w g18 100000' ],
+            [ 'x19', '*/ w a 100000' ],
+            [ 'wR', '*/ w g0 100000' ],
+            [ 'hR', '*/ h g0 100000' ],
+            [ 'y8', '*/ h g8 100000' ],
+            [ 'y9', '*/ h g9 100000' ],
+            [ 'y10', '*/ h g10 100000' ],
+            [ 'y12', '*/ h g12 100000' ],
+            [ 'y13', '*/ h g13 100000' ],
+            [ 'y14', '*/ h g14 100000' ],
+            [ 'y15', '*/ h g15 100000' ],
+            [ 'y16', '*/ h g16 100000' ],
+            [ 'y17', '*/ h g17 100000' ],
+            [ 'y18', '*/ h g18 100000' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'r', 'vc' ],
+                    [ 'lnTo', 'x15', 'y18' ],
+                    [ 'lnTo', 'x15', 'y14' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'ox1', 'oy1' ],
+                    [ 'lnTo', 'x16', 'y13' ],
+                    [ 'lnTo', 'x17', 'y12' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'hc', 't' ],
+                    [ 'lnTo', 'x18', 'y10' ],
+                    [ 'lnTo', 'x14', 'y10' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'ox2', 'oy1' ],
+                    [ 'lnTo', 'x13', 'y12' ],
+                    [ 'lnTo', 'x12', 'y13' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'lnTo', 'x10', 'y14' ],
+                    [ 'lnTo', 'x10', 'y18' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'ox2', 'oy2' ],
+                    [ 'lnTo', 'x12', 'y17' ],
+                    [ 'lnTo', 'x13', 'y16' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'hc', 'b' ],
+                    [ 'lnTo', 'x14', 'y15' ],
+                    [ 'lnTo', 'x18', 'y15' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'ox1', 'oy2' ],
+                    [ 'lnTo', 'x17', 'y16' ],
+                    [ 'lnTo', 'x16', 'y17' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'x19', 'vc' ],
+                    [ 'arcTo', 'wR', 'hR', 'cd2', '21600000' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    swooshArrow: {
+        avLst: { adj1: 'val 25000', adj2: 'val 16667' },
+        gdLst: [
+            [ 'a1', 'pin 1 adj1 75000' ],
+            [ 'maxAdj2', '*/ 70000 w ss' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'ad1', '*/ h a1 100000' ],
+            [ 'ad2', '*/ ss a2 100000' ],
+            [ 'xB', '+- r 0 ad2' ],
+            [ 'yB', '+- t ssd8 0' ],
+            [ 'alfa', '*/ cd4 1 14' ],
+            [ 'dx0', 'tan ssd8 alfa' ],
+            [ 'xC', '+- xB 0 dx0' ],
+            [ 'dx1', 'tan ad1 alfa' ],
+            [ 'yF', '+- yB ad1 0' ],
+            [ 'xF', '+- xB dx1 0' ],
+            [ 'xE', '+- xF dx0 0' ],
+            [ 'yE', '+- yF ssd8 0' ],
+            [ 'dy2', '+- yE 0 t' ],
+            [ 'dy22', '*/ dy2 1 2' ],
+            [ 'dy3', '*/ h 1 20' ],
+            [ 'yD', '+- t dy22 dy3' ],
+            [ 'dy4', '*/ hd6 1 1' ],
+            [ 'yP1', '+- hd6 dy4 0' ],
+            [ 'xP1', 'val wd6' ],
+            [ 'dy5', '*/ hd6 1 2' ],
+            [ 'yP2', '+- yF dy5 0' ],
+            [ 'xP2', 'val wd4' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'b' ],
+                    [ 'quadBezTo', 'xP1', 'yP1', 'xB', 'yB' ],
+                    [ 'lnTo', 'xC', 't' ],
+                    [ 'lnTo', 'r', 'yD' ],
+                    [ 'lnTo', 'xE', 'yE' ],
+                    [ 'lnTo', 'xF', 'yF' ],
+                    [ 'quadBezTo', 'xP2', 'yP2', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    teardrop: {
+        avLst: { adj: 'val 100000' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 200000' ],
+            [ 'r2', 'sqrt 2' ],
+            [ 'tw', '*/ wd2 r2 1' ],
+            [ 'th', '*/ hd2 r2 1' ],
+            [ 'sw', '*/ tw a 100000' ],
+            [ 'sh', '*/ th a 100000' ],
+            [ 'dx1', 'cos sw 2700000' ],
+            [ 'dy1', 'sin sh 2700000' ],
+            [ 'x1', '+- hc dx1 0' ],
+            [ 'y1', '+- vc 0 dy1' ],
+            [ 'x2', '+/ hc x1 2' ],
+            [ 'y2', '+/ vc y1 2' ],
+            [ 'idx', 'cos wd2 2700000' ],
+            [ 'idy', 'sin hd2 2700000' ],
+            [ 'il', '+- hc 0 idx' ],
+            [ 'ir', '+- hc idx 0' ],
+            [ 'it', '+- vc 0 idy' ],
+            [ 'ib', '+- vc idy 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'vc' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'cd2', 'cd4' ],
+                    [ 'quadBezTo', 'x2', 't', 'x1', 'y1' ],
+                    [ 'quadBezTo', 'r', 'y2', 'r', 'vc' ],
+                    [ 'arcTo', 'wd2', 'hd2', '0', 'cd4' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'cd4', 'cd4' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    trapezoid: {
+        avLst: { adj: 'val 25000' },
+        gdLst: [
+            [ 'maxAdj', '*/ 50000 w ss' ],
+            [ 'a', 'pin 0 adj maxAdj' ],
+            [ 'x1', '*/ ss a 200000' ],
+            [ 'x2', '*/ ss a 100000' ],
+            [ 'x3', '+- r 0 x2' ],
+            [ 'x4', '+- r 0 x1' ],
+            [ 'il', '*/ wd3 a maxAdj' ],
+            [ 'it', '*/ hd3 a maxAdj' ],
+            [ 'ir', '+- r 0 il' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'b' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'lnTo', 'x3', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    triangle: {
+        avLst: { adj: 'val 50000' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 100000' ],
+            [ 'x1', '*/ w a 200000' ],
+            [ 'x2', '*/ w a 100000' ],
+            [ 'x3', '+- x1 wd2 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'b' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    upArrow: {
+        avLst: { adj1: 'val 50000', adj2: 'val 50000' },
+        gdLst: [
+            [ 'maxAdj2', '*/ 100000 h ss' ],
+            [ 'a1', 'pin 0 adj1 100000' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'dy2', '*/ ss a2 100000' ],
+            [ 'y2', '+- t dy2 0' ],
+            [ 'dx1', '*/ w a1 200000' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x2', '+- hc dx1 0' ],
+            [ 'dy1', '*/ x1 dy2 wd2' ],
+            [ 'y1', '+- y2  0 dy1' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'y2' ],
+                    [ 'lnTo', 'hc', 't' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x2', 'b' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    upArrowCallout: {
+        avLst: { adj1: 'val 25000', adj2: 'val 25000', adj3: 'val 25000', adj4: 'val 64977' },
+        gdLst: [
+            [ 'maxAdj2', '*/ 50000 w ss' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'maxAdj1', '*/ a2 2 1' ],
+            [ 'a1', 'pin 0 adj1 maxAdj1' ],
+            [ 'maxAdj3', '*/ 100000 h ss' ],
+            [ 'a3', 'pin 0 adj3 maxAdj3' ],
+            [ 'q2', '*/ a3 ss h' ],
+            [ 'maxAdj4', '+- 100000 0 q2' ],
+            [ 'a4', 'pin 0 adj4 maxAdj4' ],
+            [ 'dx1', '*/ ss a2 100000' ],
+            [ 'dx2', '*/ ss a1 200000' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x2', '+- hc 0 dx2' ],
+            [ 'x3', '+- hc dx2 0' ],
+            [ 'x4', '+- hc dx1 0' ],
+            [ 'y1', '*/ ss a3 100000' ],
+            [ 'dy2', '*/ h a4 100000' ],
+            [ 'y2', '+- b 0 dy2' ],
+            [ 'y3', '+/ y2 b 2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'y2' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x2', 'y1' ],
+                    [ 'lnTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'hc', 't' ],
+                    [ 'lnTo', 'x4', 'y1' ],
+                    [ 'lnTo', 'x3', 'y1' ],
+                    [ 'lnTo', 'x3', 'y2' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    upDownArrow: {
+        avLst: { adj1: 'val 50000', adj2: 'val 50000' },
+        gdLst: [
+            [ 'maxAdj2', '*/ 50000 h ss' ],
+            [ 'a1', 'pin 0 adj1 100000' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'y2', '*/ ss a2 100000' ],
+            [ 'y3', '+- b 0 y2' ],
+            [ 'dx1', '*/ w a1 200000' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x2', '+- hc dx1 0' ],
+            [ 'dy1', '*/ x1 y2 wd2' ],
+            [ 'y1', '+- y2 0 dy1' ],
+            [ 'y4', '+- y3 dy1 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'y2' ],
+                    [ 'lnTo', 'hc', 't' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x2', 'y3' ],
+                    [ 'lnTo', 'r', 'y3' ],
+                    [ 'lnTo', 'hc', 'b' ],
+                    [ 'lnTo', 'l', 'y3' ],
+                    [ 'lnTo', 'x1', 'y3' ],
+                    [ 'lnTo', 'x1', 'y2' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    upDownArrowCallout: {
+        avLst: { adj1: 'val 25000', adj2: 'val 25000', adj3: 'val 25000', adj4: 'val 48123' },
+        gdLst: [
+            [ 'maxAdj2', '*/ 50000 w ss' ],
+            [ 'a2', 'pin 0 adj2 maxAdj2' ],
+            [ 'maxAdj1', '*/ a2 2 1' ],
+            [ 'a1', 'pin 0 adj1 maxAdj1' ],
+            [ 'maxAdj3', '*/ 50000 h ss' ],
+            [ 'a3', 'pin 0 adj3 maxAdj3' ],
+            [ 'q2', '*/ a3 ss hd2' ],
+            [ 'maxAdj4', '+- 100000 0 q2' ],
+            [ 'a4', 'pin 0 adj4 maxAdj4' ],
+            [ 'dx1', '*/ ss a2 100000' ],
+            [ 'dx2', '*/ ss a1 200000' ],
+            [ 'x1', '+- hc 0 dx1' ],
+            [ 'x2', '+- hc 0 dx2' ],
+            [ 'x3', '+- hc dx2 0' ],
+            [ 'x4', '+- hc dx1 0' ],
+            [ 'y1', '*/ ss a3 100000' ],
+            [ 'y4', '+- b 0 y1' ],
+            [ 'dy2', '*/ h a4 200000' ],
+            [ 'y2', '+- vc 0 dy2' ],
+            [ 'y3', '+- vc dy2 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'y2' ],
+                    [ 'lnTo', 'x2', 'y2' ],
+                    [ 'lnTo', 'x2', 'y1' ],
+                    [ 'lnTo', 'x1', 'y1' ],
+                    [ 'lnTo', 'hc', 't' ],
+                    [ 'lnTo', 'x4', 'y1' ],
+                    [ 'lnTo', 'x3', 'y1' ],
+                    [ 'lnTo', 'x3', 'y2' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                    [ 'lnTo', 'r', 'y3' ],
+                    [ 'lnTo', 'x3', 'y3' ],
+                    [ 'lnTo', 'x3', 'y4' ],
+                    [ 'lnTo', 'x4', 'y4' ],
+                    [ 'lnTo', 'hc', 'b' ],
+                    [ 'lnTo', 'x1', 'y4' ],
+                    [ 'lnTo', 'x2', 'y4' ],
+                    [ 'lnTo', 'x2', 'y3' ],
+                    [ 'lnTo', 'l', 'y3' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    uturnArrow: {
+        avLst: { adj1: 'val 25000', adj2: 'val 25000', adj3: 'val 25000', adj4: 'val 43750', adj5: 'val 75000' },
+        gdLst: [
+            [ 'a2', 'pin 0 adj2 25000' ],
+            [ 'maxAdj1', '*/ a2 2 1' ],
+            [ 'a1', 'pin 0 adj1 maxAdj1' ],
+            [ 'q2', '*/ a1 ss h' ],
+            [ 'q3', '+- 100000 0 q2' ],
+            [ 'maxAdj3', '*/ q3 h ss' ],
+            [ 'a3', 'pin 0 adj3 maxAdj3' ],
+            [ 'q1', '+- a3 a1 0' ],
+            [ 'minAdj5', '*/ q1 ss h' ],
+            [ 'a5', 'pin minAdj5 adj5 100000' ],
+            [ 'th', '*/ ss a1 100000' ],
+            [ 'aw2', '*/ ss a2 100000' ],
+            [ 'th2', '*/ th 1 2' ],
+            [ 'dh2', '+- aw2 0 th2' ],
+            [ 'y5', '*/ h a5 100000' ],
+            [ 'ah', '*/ ss a3 100000' ],
+            [ 'y4', '+- y5 0 ah' ],
+            [ 'x9', '+- r 0 dh2' ],
+            [ 'bw', '*/ x9 1 2' ],
+            [ 'bs', 'min bw y4' ],
+            [ 'maxAdj4', '*/ bs 100000 ss' ],
+            [ 'a4', 'pin 0 adj4 maxAdj4' ],
+            [ 'bd', '*/ ss a4 100000' ],
+            [ 'bd3', '+- bd 0 th' ],
+            [ 'bd2', 'max bd3 0' ],
+            [ 'x3', '+- th bd2 0' ],
+            [ 'x8', '+- r 0 aw2' ],
+            [ 'x6', '+- x8 0 aw2' ],
+            [ 'x7', '+- x6 dh2 0' ],
+            [ 'x4', '+- x9 0 bd' ],
+            [ 'x5', '+- x7 0 bd2' ],
+            [ 'cx', '+/ th x7 2' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'b' ],
+                    [ 'lnTo', 'l', 'bd' ],
+                    [ 'arcTo', 'bd', 'bd', 'cd2', 'cd4' ],
+                    [ 'lnTo', 'x4', 't' ],
+                    [ 'arcTo', 'bd', 'bd', '3cd4', 'cd4' ],
+                    [ 'lnTo', 'x9', 'y4' ],
+                    [ 'lnTo', 'r', 'y4' ],
+                    [ 'lnTo', 'x8', 'y5' ],
+                    [ 'lnTo', 'x6', 'y4' ],
+                    [ 'lnTo', 'x7', 'y4' ],
+                    [ 'lnTo', 'x7', 'x3' ],
+                    [ 'arcTo', 'bd2', 'bd2', '0', '-5400000' ],
+                    [ 'lnTo', 'x3', 'th' ],
+                    [ 'arcTo', 'bd2', 'bd2', '3cd4', '-5400000' ],
+                    [ 'lnTo', 'th', 'b' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    verticalScroll: {
+        avLst: { adj: 'val 12500' },
+        gdLst: [
+            [ 'a', 'pin 0 adj 25000' ],
+            [ 'ch', '*/ ss a 100000' ],
+            [ 'ch2', '*/ ch 1 2' ],
+            [ 'ch4', '*/ ch 1 4' ],
+            [ 'x3', '+- ch ch2 0' ],
+            [ 'x4', '+- ch ch 0' ],
+            [ 'x6', '+- r 0 ch' ],
+            [ 'x7', '+- r 0 ch2' ],
+            [ 'x5', '+- x6 0 ch2' ],
+            [ 'y3', '+- b 0 ch' ],
+            [ 'y4', '+- b 0 ch2' ],
+        ],
+        pathLst: [
+            {
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'ch2', 'b' ],
+                    [ 'arcTo', 'ch2', 'ch2', 'cd4', '-5400000' ],
+                    [ 'lnTo', 'ch2', 'y4' ],
+                    [ 'arcTo', 'ch4', 'ch4', 'cd4', '-10800000' ],
+                    [ 'lnTo', 'ch', 'y3' ],
+                    [ 'lnTo', 'ch', 'ch2' ],
+                    [ 'arcTo', 'ch2', 'ch2', 'cd2', 'cd4' ],
+                    [ 'lnTo', 'x7', 't' ],
+                    [ 'arcTo', 'ch2', 'ch2', '3cd4', 'cd2' ],
+                    [ 'lnTo', 'x6', 'ch' ],
+                    [ 'lnTo', 'x6', 'y4' ],
+                    [ 'arcTo', 'ch2', 'ch2', '0', 'cd4' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'x4', 'ch2' ],
+                    [ 'arcTo', 'ch2', 'ch2', '0', 'cd4' ],
+                    [ 'arcTo', 'ch4', 'ch4', 'cd4', 'cd2' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'darkenLess',
+                stroke: false,
+                commands: [
+                    [ 'moveTo', 'x4', 'ch2' ],
+                    [ 'arcTo', 'ch2', 'ch2', '0', 'cd4' ],
+                    [ 'arcTo', 'ch4', 'ch4', 'cd4', 'cd2' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'ch', 'y4' ],
+                    [ 'arcTo', 'ch2', 'ch2', '0', '3cd4' ],
+                    [ 'arcTo', 'ch4', 'ch4', '3cd4', 'cd2' ],
+                    [ 'close' ],
+                ],
+            },
+            {
+                fill: 'none',
+                commands: [
+                    [ 'moveTo', 'ch', 'y3' ],
+                    [ 'lnTo', 'ch', 'ch2' ],
+                    [ 'arcTo', 'ch2', 'ch2', 'cd2', 'cd4' ],
+                    [ 'lnTo', 'x7', 't' ],
+                    [ 'arcTo', 'ch2', 'ch2', '3cd4', 'cd2' ],
+                    [ 'lnTo', 'x6', 'ch' ],
+                    [ 'lnTo', 'x6', 'y4' ],
+                    [ 'arcTo', 'ch2', 'ch2', '0', 'cd4' ],
+                    [ 'lnTo', 'ch2', 'b' ],
+                    [ 'arcTo', 'ch2', 'ch2', 'cd4', 'cd2' ],
+                    [ 'close' ],
+                    [ 'moveTo', 'x3', 't' ],
+                    [ 'arcTo', 'ch2', 'ch2', '3cd4', 'cd2' ],
+                    [ 'arcTo', 'ch4', 'ch4', 'cd4', 'cd2' ],
+                    [ 'lnTo', 'x4', 'ch2' ],
+                    [ 'moveTo', 'x6', 'ch' ],
+                    [ 'lnTo', 'x3', 'ch' ],
+                    [ 'moveTo', 'ch2', 'y3' ],
+                    [ 'arcTo', 'ch4', 'ch4', '3cd4', 'cd2' ],
+                    [ 'lnTo', 'ch', 'y4' ],
+                    [ 'moveTo', 'ch2', 'b' ],
+                    [ 'arcTo', 'ch2', 'ch2', 'cd4', '-5400000' ],
+                    [ 'lnTo', 'ch', 'y3' ],
+                ],
+            },
+        ],
+    },
+    wave: {
+        avLst: { adj1: 'val 12500', adj2: 'val 0' },
+        gdLst: [
+            [ 'a1', 'pin 0 adj1 20000' ],
+            [ 'a2', 'pin -10000 adj2 10000' ],
+            [ 'y1', '*/ h a1 100000' ],
+            [ 'dy2', '*/ y1 10 3' ],
+            [ 'y2', '+- y1 0 dy2' ],
+            [ 'y3', '+- y1 dy2 0' ],
+            [ 'y4', '+- b 0 y1' ],
+            [ 'y5', '+- y4 0 dy2' ],
+            [ 'y6', '+- y4 dy2 0' ],
+            [ 'dx1', '*/ w a2 100000' ],
+            [ 'of2', '*/ w a2 50000' ],
+            [ 'x1', 'abs dx1' ],
+            [ 'dx2', '?: of2 0 of2' ],
+            [ 'x2', '+- l 0 dx2' ],
+            [ 'dx5', '?: of2 of2 0' ],
+            [ 'x5', '+- r 0 dx5' ],
+            [ 'dx3', '+/ dx2 x5 3' ],
+            [ 'x3', '+- x2 dx3 0' ],
+            [ 'x4', '+/ x3 x5 2' ],
+            [ 'x6', '+- l dx5 0' ],
+            [ 'x10', '+- r dx2 0' ],
+            [ 'x7', '+- x6 dx3 0' ],
+            [ 'x8', '+/ x7 x10 2' ],
+            [ 'x9', '+- r 0 x1' ],
+            [ 'xAdj', '+- hc dx1 0' ],
+            [ 'xAdj2', '+- hc 0 dx1' ],
+            [ 'il', 'max x2 x6' ],
+            [ 'ir', 'min x5 x10' ],
+            [ 'it', '*/ h a1 50000' ],
+            [ 'ib', '+- b 0 it' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'x2', 'y1' ],
+                    [ 'cubicBezTo', 'x3', 'y2', 'x4', 'y3', 'x5', 'y1' ],
+                    [ 'lnTo', 'x10', 'y4' ],
+                    [ 'cubicBezTo', 'x8', 'y6', 'x7', 'y5', 'x6', 'y4' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    wedgeEllipseCallout: {
+        avLst: { adj1: 'val -20833', adj2: 'val 62500' },
+        gdLst: [
+            [ 'dxPos', '*/ w adj1 100000' ],
+            [ 'dyPos', '*/ h adj2 100000' ],
+            [ 'xPos', '+- hc dxPos 0' ],
+            [ 'yPos', '+- vc dyPos 0' ],
+            [ 'sdx', '*/ dxPos h 1' ],
+            [ 'sdy', '*/ dyPos w 1' ],
+            [ 'pang', 'at2 sdx sdy' ],
+            [ 'stAng', '+- pang 660000 0' ],
+            [ 'enAng', '+- pang 0 660000' ],
+            [ 'dx1', 'cos wd2 stAng' ],
+            [ 'dy1', 'sin hd2 stAng' ],
+            [ 'x1', '+- hc dx1 0' ],
+            [ 'y1', '+- vc dy1 0' ],
+            [ 'dx2', 'cos wd2 enAng' ],
+            [ 'dy2', 'sin hd2 enAng' ],
+            [ 'x2', '+- hc dx2 0' ],
+            [ 'y2', '+- vc dy2 0' ],
+            [ 'stAng1', 'at2 dx1 dy1' ],
+            [ 'enAng1', 'at2 dx2 dy2' ],
+            [ 'swAng1', '+- enAng1 0 stAng1' ],
+            [ 'swAng2', '+- swAng1 21600000 0' ],
+            [ 'swAng', '?: swAng1 swAng1 swAng2' ],
+            [ 'idx', 'cos wd2 2700000' ],
+            [ 'idy', 'sin hd2 2700000' ],
+            [ 'il', '+- hc 0 idx' ],
+            [ 'ir', '+- hc idx 0' ],
+            [ 'it', '+- vc 0 idy' ],
+            [ 'ib', '+- vc idy 0' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'xPos', 'yPos' ],
+                    [ 'lnTo', 'x1', 'y1' ],
+                    [ 'arcTo', 'wd2', 'hd2', 'stAng1', 'swAng' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    wedgeRectCallout: {
+        avLst: { adj1: 'val -20833', adj2: 'val 62500' },
+        gdLst: [
+            [ 'dxPos', '*/ w adj1 100000' ],
+            [ 'dyPos', '*/ h adj2 100000' ],
+            [ 'xPos', '+- hc dxPos 0' ],
+            [ 'yPos', '+- vc dyPos 0' ],
+            [ 'dx', '+- xPos 0 hc' ],
+            [ 'dy', '+- yPos 0 vc' ],
+            [ 'dq', '*/ dxPos h w' ],
+            [ 'ady', 'abs dyPos' ],
+            [ 'adq', 'abs dq' ],
+            [ 'dz', '+- ady 0 adq' ],
+            [ 'xg1', '?: dxPos 7 2' ],
+            [ 'xg2', '?: dxPos 10 5' ],
+            [ 'x1', '*/ w xg1 12' ],
+            [ 'x2', '*/ w xg2 12' ],
+            [ 'yg1', '?: dyPos 7 2' ],
+            [ 'yg2', '?: dyPos 10 5' ],
+            [ 'y1', '*/ h yg1 12' ],
+            [ 'y2', '*/ h yg2 12' ],
+            [ 't1', '?: dxPos l xPos' ],
+            [ 'xl', '?: dz l t1' ],
+            [ 't2', '?: dyPos x1 xPos' ],
+            [ 'xt', '?: dz t2 x1' ],
+            [ 't3', '?: dxPos xPos r' ],
+            [ 'xr', '?: dz r t3' ],
+            [ 't4', '?: dyPos xPos x1' ],
+            [ 'xb', '?: dz t4 x1' ],
+            [ 't5', '?: dxPos y1 yPos' ],
+            [ 'yl', '?: dz y1 t5' ],
+            [ 't6', '?: dyPos t yPos' ],
+            [ 'yt', '?: dz t6 t' ],
+            [ 't7', '?: dxPos yPos y1' ],
+            [ 'yr', '?: dz y1 t7' ],
+            [ 't8', '?: dyPos yPos b' ],
+            [ 'yb', '?: dz t8 b' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 't' ],
+                    [ 'lnTo', 'x1', 't' ],
+                    [ 'lnTo', 'xt', 'yt' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'lnTo', 'r', 't' ],
+                    [ 'lnTo', 'r', 'y1' ],
+                    [ 'lnTo', 'xr', 'yr' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                    [ 'lnTo', 'r', 'b' ],
+                    [ 'lnTo', 'x2', 'b' ],
+                    [ 'lnTo', 'xb', 'yb' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                    [ 'lnTo', 'l', 'b' ],
+                    [ 'lnTo', 'l', 'y2' ],
+                    [ 'lnTo', 'xl', 'yl' ],
+                    [ 'lnTo', 'l', 'y1' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+    wedgeRoundRectCallout: {
+        avLst: { adj1: 'val -20833', adj2: 'val 62500', adj3: 'val 16667' },
+        gdLst: [
+            [ 'dxPos', '*/ w adj1 100000' ],
+            [ 'dyPos', '*/ h adj2 100000' ],
+            [ 'xPos', '+- hc dxPos 0' ],
+            [ 'yPos', '+- vc dyPos 0' ],
+            [ 'dq', '*/ dxPos h w' ],
+            [ 'ady', 'abs dyPos' ],
+            [ 'adq', 'abs dq' ],
+            [ 'dz', '+- ady 0 adq' ],
+            [ 'xg1', '?: dxPos 7 2' ],
+            [ 'xg2', '?: dxPos 10 5' ],
+            [ 'x1', '*/ w xg1 12' ],
+            [ 'x2', '*/ w xg2 12' ],
+            [ 'yg1', '?: dyPos 7 2' ],
+            [ 'yg2', '?: dyPos 10 5' ],
+            [ 'y1', '*/ h yg1 12' ],
+            [ 'y2', '*/ h yg2 12' ],
+            [ 't1', '?: dxPos l xPos' ],
+            [ 'xl', '?: dz l t1' ],
+            [ 't2', '?: dyPos x1 xPos' ],
+            [ 'xt', '?: dz t2 x1' ],
+            [ 't3', '?: dxPos xPos r' ],
+            [ 'xr', '?: dz r t3' ],
+            [ 't4', '?: dyPos xPos x1' ],
+            [ 'xb', '?: dz t4 x1' ],
+            [ 't5', '?: dxPos y1 yPos' ],
+            [ 'yl', '?: dz y1 t5' ],
+            [ 't6', '?: dyPos t yPos' ],
+            [ 'yt', '?: dz t6 t' ],
+            [ 't7', '?: dxPos yPos y1' ],
+            [ 'yr', '?: dz y1 t7' ],
+            [ 't8', '?: dyPos yPos b' ],
+            [ 'yb', '?: dz t8 b' ],
+            [ 'u1', '*/ ss adj3 100000' ],
+            [ 'u2', '+- r 0 u1' ],
+            [ 'v2', '+- b 0 u1' ],
+            [ 'il', '*/ u1 29289 100000' ],
+            [ 'ir', '+- r 0 il' ],
+            [ 'ib', '+- b 0 il' ],
+        ],
+        pathLst: [
+            {
+                commands: [
+                    [ 'moveTo', 'l', 'u1' ],
+                    [ 'arcTo', 'u1', 'u1', 'cd2', 'cd4' ],
+                    [ 'lnTo', 'x1', 't' ],
+                    [ 'lnTo', 'xt', 'yt' ],
+                    [ 'lnTo', 'x2', 't' ],
+                    [ 'lnTo', 'u2', 't' ],
+                    [ 'arcTo', 'u1', 'u1', '3cd4', 'cd4' ],
+                    [ 'lnTo', 'r', 'y1' ],
+                    [ 'lnTo', 'xr', 'yr' ],
+                    [ 'lnTo', 'r', 'y2' ],
+                    [ 'lnTo', 'r', 'v2' ],
+                    [ 'arcTo', 'u1', 'u1', '0', 'cd4' ],
+                    [ 'lnTo', 'x2', 'b' ],
+                    [ 'lnTo', 'xb', 'yb' ],
+                    [ 'lnTo', 'x1', 'b' ],
+                    [ 'lnTo', 'u1', 'b' ],
+                    [ 'arcTo', 'u1', 'u1', 'cd4', 'cd4' ],
+                    [ 'lnTo', 'l', 'y2' ],
+                    [ 'lnTo', 'xl', 'yl' ],
+                    [ 'lnTo', 'l', 'y1' ],
+                    [ 'close' ],
+                ],
+            },
+        ],
+    },
+};
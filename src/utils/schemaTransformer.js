@@ -8,6 +8,11 @@ function transformColor(colorData) {
         return undefined;
     }
 
+    // Resolved colors, like those of shape effects, are plain color strings
+    if (typeof colorData === 'string') {
+        return { type: 'srgb', value: colorData };
+    }
+
     return {
         type: colorData.type || 'srgb',
         value: colorData.value,
@@ -1,5 +1,28 @@
 import { DML_NS, DSP_NS, EMU_PER_PIXEL, PML_NS } from 'constants';
-import { findPlaceholder, Matrix, buildPathStringFromGeom } from 'utils';
+import { findPlaceholder, Matrix, ColorParser, buildPathStringFromGeom, buildPresetPaths } from 'utils';
+
+const PATH_FILL_SHADES = {
+    darken: { shade: 40000 },
+    darkenLess: { shade: 20000 },
+    lighten: { tint: 40000 },
+    lightenLess: { tint: 20000 },
+};
+
+/**
+ * Applies the fill mode of a preset path to the fill of its shape.
+ * @param {Object|string} fill - The fill of the shape.
+ * @param {string} [mode] - The fill mode of the path, e.g. `darken` or `lightenLess`.
+ * @returns {Object|string} The fill of the path. Only solid fills are shaded.
+ */
+function getShadedFill( fill, mode ) {
+    const shading = PATH_FILL_SHADES[ mode ];
+    if ( !shading || !fill ) return fill;
+
+    const shadeColor = color => shading.shade ? ColorParser.applyShade( color, shading.shade ) : ColorParser.applyTint( color, shading.tint );
+    if ( typeof fill === 'string' ) return shadeColor( fill );
+    if ( fill.type === 'solid' && typeof fill.color === 'string' ) return { ...fill, color: shadeColor( fill.color ) };
+    return fill;
+}
 
 /**
  * @class ShapeBuilder
@@ -58,6 +81,46 @@ export class ShapeBuilder {
         if ( shapeProps && shapeProps.geometry ) {
             const geomType = shapeProps.geometry.type === 'preset' ? shapeProps.geometry.preset : shapeProps.geometry.type;
 
+            if ( geomType === 'line' || geomType === 'straightConnector1' ) {
+                this.renderer.drawLine(0, 0, pos.width, pos.height, {
+                    id: shapeProps.id,
+                    stroke: shapeProps.stroke,
+                    effect: shapeProps.effect,
+                    effects: shapeProps.effects,
+                    scene3d: shapeProps.scene3d,
+                    shape3d: shapeProps.shape3d,
+                });
+                return;
+            }
+
+            // Presets made of several paths (callouts, cans, scrolls...) have paths that are only filled,
+            // only stroked or shaded, so they are drawn one by one.
+            const presetPaths = geomType !== 'arc' ? buildPresetPaths( shapeProps.geometry, pos ) : null;
+            if ( presetPaths && presetPaths.length > 1 ) {
+                const drawPaths = () => presetPaths.forEach( ( path, index ) => {
+                    this.renderer.drawPath( path.d, {
+                        id: index === 0 ? shapeProps.id : undefined,
+                        fill: path.fill === 'none' ? null : getShadedFill( shapeProps.fill, path.fill ),
+                        stroke: path.stroke ? shapeProps.stroke : null,
+                        effect: index === 0 ? shapeProps.effect : undefined,
+                        effects: index === 0 ? shapeProps.effects : undefined,
+                        pos,
+                    } );
+                } );
+                if ( shapeProps.scene3d || shapeProps.shape3d ) {
+                    // The paths are extruded together, so the sides of one are not drawn over the front of another
+                    this.renderer.drawGroup( drawPaths, {
+                        stroke: shapeProps.stroke,
+                        scene3d: shapeProps.scene3d,
+                        shape3d: shapeProps.shape3d,
+                        pos,
+                    } );
+                } else {
+                    drawPaths();
+                }
+                return;
+            }
+
             const path = buildPathStringFromGeom(shapeProps.geometry, pos, flipH, flipV);
             if ( path ) {
                 if ( geomType === 'arc') {
@@ -65,6 +128,9 @@ export class ShapeBuilder {
                         id: shapeProps.id,
                         stroke: shapeProps.stroke,
                         effect: shapeProps.effect,
+                        effects: shapeProps.effects,
+                        scene3d: shapeProps.scene3d,
+                        shape3d: shapeProps.shape3d,
                         pos,
                     } );
                 } else {
@@ -73,20 +139,16 @@ export class ShapeBuilder {
                         fill: shapeProps.fill,
                         stroke: shapeProps.stroke,
                         effect: shapeProps.effect,
+                        effects: shapeProps.effects,
+                        scene3d: shapeProps.scene3d,
+                        shape3d: shapeProps.shape3d,
                         pos,
                     } );
                 }
-            } else if (geomType === 'line') {
-                // Fallback for line shape
-                this.renderer.drawLine(0, 0, pos.width, pos.height, {
-                    id: shapeProps.id,
-                    stroke: shapeProps.stroke,
-                    effect: shapeProps.effect,
-                });
             }
         } else if ( txBody ) {
             // This is a shapeless textbox. Create a transparent rectangle to host the text.
-            this.renderer.drawRect( 0, 0, pos.width, pos.height, { id: shapeProps.id, fill: 'transparent', effect: shapeProps.effect } );
+            this.renderer.drawRect( 0, 0, pos.width, pos.height, { id: shapeProps.id, fill: 'transparent', effect: shapeProps.effect, effects: shapeProps.effects, scene3d: shapeProps.scene3d, shape3d: shapeProps.shape3d } );
         }
     }
 
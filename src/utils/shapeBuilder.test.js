@@ -317,6 +317,56 @@ describe('ShapeBuilder', () => {
             );
         });
 
+        it('should render each path of a multi-path preset', () => {
+            const pos = { width: 200, height: 100 };
+            const shapeProps = {
+                id: 'test-can',
+                geometry: { type: 'preset', preset: 'can', adjustments: {} },
+                fill: { type: 'solid', color: '#808080' },
+                stroke: { color: '#000000', width: 1 },
+                effect: 'shadow',
+            };
+            shapeBuilder.renderShape(pos, shapeProps, new Matrix(), false, false);
+
+            expect(renderer.drawPath).toHaveBeenCalledTimes(3);
+            const [body, top, outline] = renderer.drawPath.mock.calls.map(call => call[1]);
+            expect(body).toMatchObject({ id: 'test-can', fill: shapeProps.fill, stroke: null, effect: 'shadow' });
+            expect(top).toMatchObject({ id: undefined, fill: { type: 'solid', color: '#B3B3B3' }, stroke: null, effect: undefined });
+            expect(outline).toMatchObject({ id: undefined, fill: null, stroke: shapeProps.stroke });
+        });
+
+        it('should extrude the paths of a multi-path preset together', () => {
+            const pos = { width: 200, height: 100 };
+            const shape3d = { extrusionHeight: 10 };
+            const shapeProps = {
+                id: 'test-can',
+                geometry: { type: 'preset', preset: 'can', adjustments: {} },
+                fill: { type: 'solid', color: '#808080' },
+                stroke: { color: '#000000', width: 1 },
+                shape3d,
+            };
+            shapeBuilder.renderShape(pos, shapeProps, new Matrix(), false, false);
+
+            expect(renderer.drawGroup).toHaveBeenCalledTimes(1);
+            const [drawContents, options] = renderer.drawGroup.mock.calls[0];
+            expect(options).toEqual({ stroke: shapeProps.stroke, scene3d: undefined, shape3d, pos });
+            drawContents();
+            expect(renderer.drawPath).toHaveBeenCalledTimes(3);
+            renderer.drawPath.mock.calls.forEach(call => expect(call[1]).not.toHaveProperty('shape3d'));
+        });
+
+        it('should render a straight connector as a line', () => {
+            const pos = { width: 100, height: 0 };
+            const shapeProps = {
+                id: 'test-connector',
+                geometry: { type: 'preset', preset: 'straightConnector1', adjustments: {} },
+                stroke: 'black',
+            };
+            shapeBuilder.renderShape(pos, shapeProps, new Matrix(), false, false);
+            expect(renderer.drawLine).toHaveBeenCalledWith(0, 0, 100, 0, { id: 'test-connector', stroke: 'black', effect: undefined });
+            expect(renderer.drawPath).not.toHaveBeenCalled();
+        });
+
         it('should render a shapeless textbox', () => {
             const pos = { width: 200, height: 100 };
             const shapeProps = {
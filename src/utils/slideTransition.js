@@ -0,0 +1,161 @@
+const activeTransitions = new WeakMap();
+
+const SLIDE_OFFSETS = {
+    l: [ 100, 0 ],
+    r: [ -100, 0 ],
+    u: [ 0, 100 ],
+    d: [ 0, -100 ],
+    lu: [ 100, 100 ],
+    ru: [ -100, 100 ],
+    ld: [ 100, -100 ],
+    rd: [ -100, -100 ],
+};
+
+const WIPE_INSETS = {
+    l: 'inset(0 0 0 100%)',
+    r: 'inset(0 100% 0 0)',
+    u: 'inset(100% 0 0 0)',
+    d: 'inset(0 0 100% 0)',
+};
+
+/**
+ * Builds a CSS translate value for a slide offset given in percent of the slide size.
+ * @param {number[]} offset - The [x, y] offset in percent.
+ * @param {number} [factor=1] - A factor applied to both components.
+ * @returns {string} The CSS transform value.
+ */
+function translate( [ x, y ], factor = 1 ) {
+    return `translate(${ x * factor }%, ${ y * factor }%)`;
+}
+
+/**
+ * Resolves the keyframes for a parsed slide transition.
+ * Transitions without a browser equivalent fall back to a fade.
+ * @param {Object} transition - The parsed transition of the incoming slide.
+ * @returns {Object|null} The incoming and outgoing keyframes, or null for a hard cut.
+ */
+function getTransitionEffect( transition ) {
+    if ( !transition || !transition.type || transition.type === 'none' || transition.type === 'cut' || !( transition.duration > 0 ) ) {
+        return null;
+    }
+
+    const half = transition.duration / 2;
+
+    switch ( transition.type ) {
+        case 'push': {
+            const offset = SLIDE_OFFSETS[ transition.direction ] || SLIDE_OFFSETS.l;
+            return {
+                incoming: { keyframes: [ { transform: translate( offset ) }, { transform: 'translate(0, 0)' } ] },
+                outgoing: { keyframes: [ { transform: 'translate(0, 0)' }, { transform: translate( offset, -1 ) } ] },
+            };
+        }
+        case 'cover': {
+            const offset = SLIDE_OFFSETS[ transition.direction ] || SLIDE_OFFSETS.l;
+            return {
+                incoming: { keyframes: [ { transform: translate( offset ) }, { transform: 'translate(0, 0)' } ] },
+            };
+        }
+        case 'wipe': {
+            const inset = WIPE_INSETS[ transition.direction ] || WIPE_INSETS.l;
+            return {
+                incoming: { keyframes: [ { clipPath: inset }, { clipPath: 'inset(0 0 0 0)' } ] },
+            };
+        }
+        case 'split': {
+            const closed = transition.orient === 'vert' ? 'inset(0 50% 0 50%)' : 'inset(50% 0 50% 0)';
+            if ( transition.direction === 'in' ) {
+                return {
+                    outgoingOnTop: true,
+                    outgoing: { keyframes: [ { clipPath: 'inset(0 0 0 0)' }, { clipPath: closed } ] },
+                };
+            }
+            return {
+                incoming: { keyframes: [ { clipPath: closed }, { clipPath: 'inset(0 0 0 0)' } ] },
+            };
+        }
+        case 'zoom': {
+            if ( transition.direction === 'out' ) {
+                return {
+                    incoming: { keyframes: [ { transform: 'scale(1.5)', opacity: 0 }, { transform: 'scale(1)', opacity: 1 } ] },
+                    outgoing: { keyframes: [ { transform: 'scale(1)', opacity: 1 }, { transform: 'scale(0.3)', opacity: 0 } ] },
+                };
+            }
+            return {
+                incoming: { keyframes: [ { transform: 'scale(0.3)', opacity: 0 }, { transform: 'scale(1)', opacity: 1 } ] },
+            };
+        }
+        default: {
+            if ( transition.thruBlack ) {
+                return {
+                    incoming: { keyframes: [ { opacity: 0 }, { opacity: 1 } ], timing: { duration: half, delay: half } },
+                    outgoing: { keyframes: [ { opacity: 1 }, { opacity: 0 } ], timing: { duration: half } },
+                };
+            }
+            return {
+                incoming: { keyframes: [ { opacity: 0 }, { opacity: 1 } ] },
+            };
+        }
+    }
+}
+
+/**
+ * Replaces the slide currently shown in a viewer with the next slide, playing the
+ * transition of the next slide. Falls back to a hard cut when the slide has no
+ * transition or the Web Animations API is not available.
+ * A transition that is still running in the same viewer is finished immediately.
+ * @param {HTMLElement} container - The slide viewer container.
+ * @param {HTMLElement} nextSlide - The element of the incoming slide.
+ * @param {Object} [transition] - The parsed transition of the incoming slide.
+ * @returns {Promise<void>} A promise that resolves once the incoming slide has replaced the current one.
+ */
+export function playSlideTransition( container, nextSlide, transition ) {
+    activeTransitions.get( container )?.();
+
+    const currentSlide = container.firstElementChild;
+    if ( !currentSlide ) {
+        container.appendChild( nextSlide );
+        return Promise.resolve();
+    }
+
+    const effect = getTransitionEffect( transition );
+    if ( !effect || typeof nextSlide.animate !== 'function' ) {
+        currentSlide.replaceWith( nextSlide );
+        return Promise.resolve();
+    }
+
+    const containerOverflow = container.style.overflow;
+    container.style.overflow = 'hidden';
+    nextSlide.style.position = 'absolute';
+    nextSlide.style.top = `${ currentSlide.offsetTop }px`;
+    nextSlide.style.left = `${ currentSlide.offsetLeft }px`;
+    if ( effect.outgoingOnTop ) {
+        currentSlide.style.position = 'relative';
+        currentSlide.style.zIndex = '1';
+    }
+    currentSlide.after( nextSlide );
+
+    const timing = { duration: transition.duration, easing: 'ease-in-out', fill: 'both' };
+    const animations = [];
+    if ( effect.incoming ) {
+        animations.push( nextSlide.animate( effect.incoming.keyframes, { ...timing, ...effect.incoming.timing } ) );
+    }
+    if ( effect.outgoing ) {
+        animations.push( currentSlide.animate( effect.outgoing.keyframes, { ...timing, ...effect.outgoing.timing } ) );
+    }
+
+    let done = false;
+    const cleanup = () => {
+        if ( done ) return;
+        done = true;
+        activeTransitions.delete( container );
+        animations.forEach( animation => animation.cancel() );
+        currentSlide.remove();
+        nextSlide.style.position = '';
+        nextSlide.style.top = '';
+        nextSlide.style.left = '';
+        container.style.overflow = containerOverflow;
+    };
+    activeTransitions.set( container, cleanup );
+
+    return Promise.all( animations.map( animation => animation.finished ) ).then( cleanup, cleanup );
+}
@@ -0,0 +1,86 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { playSlideTransition } from './slideTransition.js';
+
+describe('playSlideTransition', () => {
+    let container;
+    let currentSlide;
+    let nextSlide;
+
+    const mockAnimate = (element) => {
+        element.animate = vi.fn(() => ({ finished: Promise.resolve(), cancel: vi.fn() }));
+    };
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="viewer"><div id="current"></div></div>';
+        container = document.getElementById('viewer');
+        currentSlide = document.getElementById('current');
+        nextSlide = document.createElement('div');
+        nextSlide.id = 'next';
+    });
+
+    it('should append the slide when the viewer is empty', async () => {
+        currentSlide.remove();
+        await playSlideTransition(container, nextSlide, { type: 'fade', duration: 500 });
+        expect(container.children.length).toBe(1);
+        expect(container.firstElementChild).toBe(nextSlide);
+    });
+
+    it('should hard cut when the slide has no transition', async () => {
+        mockAnimate(nextSlide);
+        await playSlideTransition(container, nextSlide, null);
+        expect(nextSlide.animate).not.toHaveBeenCalled();
+        expect(container.children.length).toBe(1);
+        expect(container.firstElementChild).toBe(nextSlide);
+    });
+
+    it('should hard cut when the Web Animations API is unavailable', async () => {
+        await playSlideTransition(container, nextSlide, { type: 'fade', duration: 500 });
+        expect(container.firstElementChild).toBe(nextSlide);
+    });
+
+    it('should push both slides in the transition direction', async () => {
+        mockAnimate(nextSlide);
+        mockAnimate(currentSlide);
+        const promise = playSlideTransition(container, nextSlide, { type: 'push', direction: 'u', duration: 750 });
+
+        expect(container.children.length).toBe(2);
+        expect(nextSlide.style.position).toBe('absolute');
+        expect(nextSlide.animate).toHaveBeenCalledWith(
+            [{ transform: 'translate(0%, 100%)' }, { transform: 'translate(0, 0)' }],
+            expect.objectContaining({ duration: 750 })
+        );
+        expect(currentSlide.animate).toHaveBeenCalledWith(
+            [{ transform: 'translate(0, 0)' }, { transform: 'translate(0%, -100%)' }],
+            expect.objectContaining({ duration: 750 })
+        );
+
+        await promise;
+        expect(container.children.length).toBe(1);
+        expect(container.firstElementChild).toBe(nextSlide);
+        expect(nextSlide.style.position).toBe('');
+    });
+
+    it('should animate the outgoing slide on top for an inward split', async () => {
+        mockAnimate(nextSlide);
+        mockAnimate(currentSlide);
+        playSlideTransition(container, nextSlide, { type: 'split', orient: 'vert', direction: 'in', duration: 500 });
+
+        expect(currentSlide.style.zIndex).toBe('1');
+        expect(nextSlide.animate).not.toHaveBeenCalled();
+        expect(currentSlide.animate).toHaveBeenCalledWith(
+            [{ clipPath: 'inset(0 0 0 0)' }, { clipPath: 'inset(0 50% 0 50%)' }],
+            expect.any(Object)
+        );
+    });
+
+    it('should finish a running transition before starting the next one', () => {
+        mockAnimate(nextSlide);
+        playSlideTransition(container, nextSlide, { type: 'fade', duration: 500 });
+        expect(container.children.length).toBe(2);
+
+        const thirdSlide = document.createElement('div');
+        playSlideTransition(container, thirdSlide, null);
+        expect(container.children.length).toBe(1);
+        expect(container.firstElementChild).toBe(thirdSlide);
+    });
+});
@@ -1,4 +1,123 @@
 import { ColorParser } from './colorParser.js';
+import { Matrix } from './matrix.js';
+
+// Azimuths of the light for each direction of a light rig, clockwise from the x-axis
+const LIGHT_AZIMUTHS = { r: 0, br: 45, b: 90, bl: 135, l: 180, tl: 225, t: 270, tr: 315 };
+
+// How glossy the top of a bevel looks for each preset material
+const MATERIAL_SPECULAR_EXPONENTS = {
+    flat: 1,
+    matte: 4,
+    powder: 4,
+    warmMatte: 8,
+    translucentPowder: 8,
+    dkEdge: 15,
+    softEdge: 15,
+    plastic: 20,
+    softmetal: 30,
+    metal: 40,
+    clear: 50,
+};
+
+// The most side faces drawn for an extrusion; deeper extrusions space them further apart
+const MAX_EXTRUSION_STEPS = 24;
+
+// Weights of the color channels in the luminance of a pixel, as a color matrix that makes an image gray
+const GRAYSCALE_MATRIX = '0.2126 0.7152 0.0722 0 0 0.2126 0.7152 0.0722 0 0 0.2126 0.7152 0.0722 0 0 0 0 0 1 0';
+
+// A slope steep enough to turn a linear transfer function into a step at its threshold
+const STEP_SLOPE = 1000;
+
+// How far, in 8-bit channel values, a pixel may be from the color of a color change and still be changed
+const COLOR_CHANGE_TOLERANCE = 8;
+
+// How each artistic effect is approximated, and the parameter that sets its strength with the largest value it takes
+const ARTISTIC_EFFECT_STYLES = {
+    blur: { filter: 'blur', parameter: 'radius', max: 100 },
+    pencilGrayscale: { filter: 'sketch', parameter: 'pencilSize', max: 100 },
+    pencilSketch: { filter: 'sketch', parameter: 'pressure', max: 10 },
+    lineDrawing: { filter: 'sketch', parameter: 'pencilSize', max: 100 },
+    crisscrossEtching: { filter: 'sketch', parameter: 'pressure', max: 5 },
+    chalkSketch: { filter: 'chalk', parameter: 'pressure', max: 5 },
+    photocopy: { filter: 'photocopy', parameter: 'detail', max: 10 },
+    glowEdges: { filter: 'glowEdges', parameter: 'smoothness', max: 10 },
+    paintStrokes: { filter: 'paint', parameter: 'intensity', max: 10 },
+    paintBrush: { filter: 'paint', parameter: 'brushSize', max: 10 },
+    watercolorSponge: { filter: 'paint', parameter: 'brushSize', max: 10 },
+    pastelsSmooth: { filter: 'paint', parameter: 'scaling', max: 100 },
+    marker: { filter: 'paint', parameter: 'size', max: 100 },
+    cutout: { filter: 'cutout', parameter: 'numberOfShades', max: 6 },
+    filmGrain: { filter: 'grain', parameter: 'grainSize', max: 100 },
+    cement: { filter: 'texture', parameter: 'crackSpacing', max: 100 },
+    texturizer: { filter: 'texture', parameter: 'scaling', max: 100 },
+    plasticWrap: { filter: 'texture', parameter: 'smoothness', max: 10 },
+    mosiaicBubbles: { filter: 'texture', parameter: 'pressure', max: 10 },
+    lightScreen: { filter: 'texture', parameter: 'gridSize', max: 10 },
+    glass: { filter: 'glass', parameter: 'scaling', max: 100 },
+    glowDiffused: { filter: 'glowDiffused', parameter: 'intensity', max: 10 },
+};
+
+/**
+ * Approximates the viewing angles of a camera preset. The names of the presets say where the
+ * camera looks from, e.g. `isometricLeftDown` or `perspectiveAboveRightFacing`.
+ * @param {{preset: string, rotation: ?{lat: number, lon: number, rev: number}}} camera - The camera of the scene.
+ * @returns {{lat: number, lon: number, rev: number, oblique: boolean}} The angles in degrees. A positive latitude
+ * looks at the shape from above, a positive longitude from the right.
+ */
+function getCameraAngles( camera ) {
+    const preset = camera?.preset || 'orthographicFront';
+    const oblique = /oblique/i.test( preset );
+    if ( camera?.rotation ) {
+        const signed = angle => ( angle > 180 ? angle - 360 : angle );
+        return { lat: signed( camera.rotation.lat ), lon: signed( camera.rotation.lon ), rev: camera.rotation.rev, oblique };
+    }
+
+    const isometric = preset.startsWith( 'isometric' );
+    const tilt = isometric ? 35 : /Contrasting|Heroic/.test( preset ) ? 30 : 20;
+    let lat = 0;
+    if ( /Top|Above|Relaxed/.test( preset ) ) lat = tilt;
+    else if ( /Bottom|Below/.test( preset ) ) lat = -tilt;
+    else if ( isometric ) lat = tilt;
+    let lon = 0;
+    if ( /Left/.test( preset ) ) lon = isometric ? -45 : -tilt;
+    else if ( /Right/.test( preset ) ) lon = isometric ? 45 : tilt;
+    else if ( isometric ) lon = 45;
+    return { lat, lon, rev: 0, oblique };
+}
+
+/**
+ * Builds the projection of the front face of a 3-D shape onto the slide. Rotating the plane of the
+ * shape and projecting it orthographically is an affine transform, so it fits in a `Matrix`.
+ * @param {{lat: number, lon: number, rev: number, oblique: boolean}} angles - The viewing angles of the camera.
+ * @param {{x: number, y: number, width: number, height: number}} bounds - The bounds of the shape.
+ * @returns {Matrix} The projection, about the center of the shape.
+ */
+function getProjectionMatrix( angles, bounds ) {
+    const cx = bounds.x + bounds.width / 2;
+    const cy = bounds.y + bounds.height / 2;
+    const lat = angles.lat * Math.PI / 180;
+    const lon = angles.lon * Math.PI / 180;
+    // Oblique projections keep the front face as it is and only slant the depth
+    const projection = angles.oblique
+        ? new Matrix()
+        : new Matrix( Math.cos( lon ), Math.sin( lon ) * Math.sin( lat ), 0, Math.cos( lat ), 0, 0 );
+    return new Matrix().translate( cx, cy ).rotate( angles.rev * Math.PI / 180 ).multiply( projection ).translate( -cx, -cy );
+}
+
+/**
+ * Finds where a point behind the front face of a 3-D shape appears, relative to the point in front of it.
+ * @param {{lat: number, lon: number, oblique: boolean}} angles - The viewing angles of the camera.
+ * @param {number} depth - How far behind the front face the point is.
+ * @returns {{dx: number, dy: number}} The offset of the point on the slide.
+ */
+function getDepthOffset( angles, depth ) {
+    const lat = angles.lat * Math.PI / 180;
+    const lon = angles.lon * Math.PI / 180;
+    if ( angles.oblique ) {
+        return { dx: depth * Math.sign( angles.lon ) * 0.5, dy: -depth * Math.sign( angles.lat ) * 0.5 };
+    }
+    return { dx: depth * Math.sin( lon ), dy: -depth * Math.cos( lon ) * Math.sin( lat ) };
+}
 
 /**
  * @class SvgRenderer
@@ -31,36 +150,306 @@ export class SvgRenderer {
     }
 
     /**
-     * Applies effects, like shadows, to an element.
+     * Applies effects, like shadows, to an element. The outer shadow and the effects of
+     * `options.effects` are combined into one filter; reflections are drawn by `_drawReflection`.
      * @param {object} options - The rendering options, containing effect data.
+     * @param {{width: number, height: number}} [bounds] - The size of the element, used to fit the filter region to blurs that grow.
      * @returns {string|null} The URL of the filter if an effect was applied, otherwise null.
      */
-    applyEffects( options ) {
-        if ( options && options.effect ) {
-            if ( options.effect.type === 'outerShdw' ) {
-                const effect = options.effect;
-                const filterId = `drop-shadow-${ this.filterIdCounter++ }`;
+    applyEffects( options, bounds ) {
+        const effects = ( options?.effects || [] ).filter( effect => effect.type !== 'reflection' );
+        if ( options?.effect?.type === 'outerShdw' ) {
+            effects.push( options.effect );
+        }
+        if ( effects.length === 0 ) {
+            return null;
+        }
 
-                const filter = document.createElementNS( 'http://www.w3.org/2000/svg', 'filter' );
-                filter.setAttribute( 'id', filterId );
-                filter.setAttribute( 'x', '-50%' );
-                filter.setAttribute( 'y', '-50%' );
-                filter.setAttribute( 'width', '200%' );
-                filter.setAttribute( 'height', '200%' );
+        const onlyShadow = effects.length === 1 && effects[ 0 ].type === 'outerShdw';
+        const filterId = `${ onlyShadow ? 'drop-shadow' : 'effects' }-${ this.filterIdCounter++ }`;
+        const filter = document.createElementNS( 'http://www.w3.org/2000/svg', 'filter' );
+        filter.setAttribute( 'id', filterId );
 
-                const shadow = document.createElementNS( 'http://www.w3.org/2000/svg', 'feDropShadow' );
-                shadow.setAttribute( 'dx', effect.dist * Math.cos( effect.dir * Math.PI / 180 ) );
-                shadow.setAttribute( 'dy', effect.dist * Math.sin( effect.dir * Math.PI / 180 ) );
-                shadow.setAttribute( 'stdDeviation', effect.blurRad );
-                shadow.setAttribute( 'flood-color', effect.color );
+        // A blur that grows spreads about three standard deviations beyond the element, which may not fit the default region
+        const spread = Math.max( 0, ...effects.filter( effect => effect.type === 'blur' && effect.grow ).map( effect => effect.radius * 1.5 ) );
+        const marginX = Math.max( 50, bounds?.width > 0 ? Math.ceil( spread / bounds.width * 100 ) : 0 );
+        const marginY = Math.max( 50, bounds?.height > 0 ? Math.ceil( spread / bounds.height * 100 ) : 0 );
+        filter.setAttribute( 'x', `${ -marginX }%` );
+        filter.setAttribute( 'y', `${ -marginY }%` );
+        filter.setAttribute( 'width', `${ 100 + 2 * marginX }%` );
+        filter.setAttribute( 'height', `${ 100 + 2 * marginY }%` );
+
+        let resultCounter = 0;
+        const addPrimitive = ( tagName, attributes ) => {
+            const primitive = document.createElementNS( 'http://www.w3.org/2000/svg', tagName );
+            const result = `effect${ resultCounter++ }`;
+            for ( const [ name, value ] of Object.entries( attributes ) ) {
+                primitive.setAttribute( name, value );
+            }
+            primitive.setAttribute( 'result', result );
+            filter.appendChild( primitive );
+            return result;
+        };
+        const offset = effect => ( {
+            dx: effect.dist * Math.cos( effect.dir * Math.PI / 180 ),
+            dy: effect.dist * Math.sin( effect.dir * Math.PI / 180 ),
+        } );
 
-                filter.appendChild( shadow );
-                this.defs.appendChild( filter );
+        // Blur and soft edges change the shape itself, glow is drawn behind it and inner shadows on top of it
+        let source = 'SourceGraphic';
+        let glow = null;
+        let innerShadow = null;
+        for ( const effect of effects ) {
+            if ( effect.type === 'blur' ) {
+                const blurred = addPrimitive( 'feGaussianBlur', { in: source, stdDeviation: effect.radius / 2 } );
+                // A blur that does not grow stays within the outline of the element
+                source = effect.grow ? blurred : addPrimitive( 'feComposite', { in: blurred, in2: 'SourceAlpha', operator: 'in' } );
+            } else if ( effect.type === 'softEdge' ) {
+                const eroded = addPrimitive( 'feMorphology', { in: 'SourceAlpha', operator: 'erode', radius: effect.radius / 2 } );
+                const edge = addPrimitive( 'feGaussianBlur', { in: eroded, stdDeviation: effect.radius / 4 } );
+                source = addPrimitive( 'feComposite', { in: source, in2: edge, operator: 'in' } );
+            } else if ( effect.type === 'glow' ) {
+                const dilated = addPrimitive( 'feMorphology', { in: 'SourceAlpha', operator: 'dilate', radius: effect.radius / 2 } );
+                const blurred = addPrimitive( 'feGaussianBlur', { in: dilated, stdDeviation: effect.radius / 4 } );
+                const flood = addPrimitive( 'feFlood', { 'flood-color': effect.color } );
+                glow = addPrimitive( 'feComposite', { in: flood, in2: blurred, operator: 'in' } );
+            } else if ( effect.type === 'innerShdw' ) {
+                const { dx, dy } = offset( effect );
+                const flood = addPrimitive( 'feFlood', { 'flood-color': effect.color } );
+                const outside = addPrimitive( 'feComposite', { in: flood, in2: 'SourceAlpha', operator: 'out' } );
+                const moved = addPrimitive( 'feOffset', { in: outside, dx, dy } );
+                const blurred = addPrimitive( 'feGaussianBlur', { in: moved, stdDeviation: effect.blurRad / 2 } );
+                innerShadow = addPrimitive( 'feComposite', { in: blurred, in2: 'SourceAlpha', operator: 'in' } );
+            } else if ( effect.type === 'outerShdw' || effect.type === 'prstShdw' ) {
+                // Preset shadows are approximated by a hard shadow in the same direction
+                const { dx, dy } = offset( effect );
+                source = addPrimitive( 'feDropShadow', {
+                    in: source,
+                    dx,
+                    dy,
+                    stdDeviation: effect.type === 'outerShdw' ? effect.blurRad : 0,
+                    'flood-color': effect.color,
+                } );
+            }
+        }
 
-                return `url(#${ filterId })`;
+        if ( glow || innerShadow ) {
+            const merge = document.createElementNS( 'http://www.w3.org/2000/svg', 'feMerge' );
+            for ( const layer of [ glow, source, innerShadow ].filter( Boolean ) ) {
+                const mergeNode = document.createElementNS( 'http://www.w3.org/2000/svg', 'feMergeNode' );
+                mergeNode.setAttribute( 'in', layer );
+                merge.appendChild( mergeNode );
             }
+            filter.appendChild( merge );
         }
-        return null;
+
+        this.defs.appendChild( filter );
+        return `url(#${ filterId })`;
+    }
+
+    /**
+     * Creates a filter that lights the top bevel of a 3-D shape, so its edges look raised.
+     * @param {{width: number, height: number}} bevel - The top bevel of the shape.
+     * @param {string} material - The preset material of the shape.
+     * @param {object} [lightRig] - The light rig of the scene.
+     * @returns {string} The URL of the filter.
+     */
+    createBevelFilter( bevel, material, lightRig ) {
+        const filterId = `bevel-${ this.filterIdCounter++ }`;
+        const filter = document.createElementNS( 'http://www.w3.org/2000/svg', 'filter' );
+        filter.setAttribute( 'id', filterId );
+
+        const blur = document.createElementNS( 'http://www.w3.org/2000/svg', 'feGaussianBlur' );
+        blur.setAttribute( 'in', 'SourceAlpha' );
+        blur.setAttribute( 'stdDeviation', Math.max( bevel.width / 2, 0.5 ) );
+        blur.setAttribute( 'result', 'bevelShape' );
+        filter.appendChild( blur );
+
+        const lighting = document.createElementNS( 'http://www.w3.org/2000/svg', 'feSpecularLighting' );
+        lighting.setAttribute( 'in', 'bevelShape' );
+        lighting.setAttribute( 'surfaceScale', Math.max( bevel.height, 1 ) );
+        lighting.setAttribute( 'specularConstant', 0.75 );
+        lighting.setAttribute( 'specularExponent', MATERIAL_SPECULAR_EXPONENTS[ material ] ?? 20 );
+        lighting.setAttribute( 'lighting-color', '#FFFFFF' );
+        lighting.setAttribute( 'result', 'bevelLight' );
+        const light = document.createElementNS( 'http://www.w3.org/2000/svg', 'feDistantLight' );
+        light.setAttribute( 'azimuth', LIGHT_AZIMUTHS[ lightRig?.dir ] ?? LIGHT_AZIMUTHS.t );
+        light.setAttribute( 'elevation', 45 );
+        lighting.appendChild( light );
+        filter.appendChild( lighting );
+
+        const clip = document.createElementNS( 'http://www.w3.org/2000/svg', 'feComposite' );
+        clip.setAttribute( 'in', 'bevelLight' );
+        clip.setAttribute( 'in2', 'SourceAlpha' );
+        clip.setAttribute( 'operator', 'in' );
+        clip.setAttribute( 'result', 'bevelHighlight' );
+        filter.appendChild( clip );
+
+        const combine = document.createElementNS( 'http://www.w3.org/2000/svg', 'feComposite' );
+        combine.setAttribute( 'in', 'SourceGraphic' );
+        combine.setAttribute( 'in2', 'bevelHighlight' );
+        combine.setAttribute( 'operator', 'arithmetic' );
+        combine.setAttribute( 'k1', 0 );
+        combine.setAttribute( 'k2', 1 );
+        combine.setAttribute( 'k3', 1 );
+        combine.setAttribute( 'k4', 0 );
+        filter.appendChild( combine );
+
+        this.defs.appendChild( filter );
+        return `url(#${ filterId })`;
+    }
+
+    /**
+     * Approximates the 3-D scene and shape properties of an element. The element is projected by the
+     * camera of the scene, its extrusion is drawn as darkened copies stacked behind it, its contour as
+     * an outline and its top bevel with a lighting filter.
+     * @param {SVGElement} element - The element, already added to the current group.
+     * @param {object} options - The rendering options, containing `scene3d` and `shape3d`.
+     * @param {{x: number, y: number, width: number, height: number}} bounds - The bounds of the element.
+     * @private
+     */
+    _draw3d( element, options, bounds ) {
+        const { scene3d, shape3d } = options || {};
+        if ( ( !scene3d && !shape3d ) || !bounds ) {
+            return;
+        }
+
+        const angles = getCameraAngles( scene3d?.camera );
+        const projection = getProjectionMatrix( angles, bounds );
+        const group = document.createElementNS( 'http://www.w3.org/2000/svg', 'g' );
+        this.currentGroup.insertBefore( group, element );
+
+        const depth = shape3d ? shape3d.extrusionHeight + ( shape3d.bevelBottom?.height || 0 ) : 0;
+        const { dx, dy } = getDepthOffset( angles, depth );
+        if ( depth > 0 && Math.hypot( dx, dy ) >= 0.5 ) {
+            // Perspective cameras shrink the back of the extrusion towards the center of the shape
+            const perspective = scene3d?.camera?.preset?.includes( 'erspective' );
+            const fov = ( scene3d?.camera?.fov ?? 45 ) * Math.PI / 180;
+            const focalLength = Math.max( bounds.width, bounds.height ) / 2 / Math.tan( fov / 2 );
+            const cx = bounds.x + bounds.width / 2;
+            const cy = bounds.y + bounds.height / 2;
+
+            const shadeId = `extrusion-shade-${ this.filterIdCounter++ }`;
+            const shade = document.createElementNS( 'http://www.w3.org/2000/svg', 'filter' );
+            shade.setAttribute( 'id', shadeId );
+            const transfer = document.createElementNS( 'http://www.w3.org/2000/svg', 'feComponentTransfer' );
+            for ( const channel of [ 'feFuncR', 'feFuncG', 'feFuncB' ] ) {
+                const func = document.createElementNS( 'http://www.w3.org/2000/svg', channel );
+                func.setAttribute( 'type', 'linear' );
+                func.setAttribute( 'slope', 0.6 );
+                transfer.appendChild( func );
+            }
+            shade.appendChild( transfer );
+            this.defs.appendChild( shade );
+
+            const steps = Math.min( Math.ceil( depth ), MAX_EXTRUSION_STEPS );
+            for ( let step = steps; step > 0; step-- ) {
+                const stepDepth = depth * step / steps;
+                const offset = getDepthOffset( angles, stepDepth );
+                const scale = perspective ? focalLength / ( focalLength + stepDepth ) : 1;
+                const sideMatrix = new Matrix().translate( offset.dx, offset.dy )
+                    .translate( cx, cy ).scale( scale, scale ).translate( -cx, -cy )
+                    .multiply( projection );
+
+                const side = element.cloneNode( true );
+                side.removeAttribute( 'id' );
+                side.setAttribute( 'transform', `matrix(${ sideMatrix.m.join( ' ' ) })` );
+                side.setAttribute( 'filter', `url(#${ shadeId })` );
+                if ( shape3d.extrusionColor ) {
+                    // The paths of a group have their own paint, which the color of the group would not replace.
+                    // Only paint that is drawn is recolored, so unstroked paths do not gain an outline.
+                    const painted = side.localName === 'g' ? [ side, ...side.querySelectorAll( '[fill], [stroke]' ) ] : [ side ];
+                    for ( const node of painted ) {
+                        for ( const paint of [ 'fill', 'stroke' ] ) {
+                            if ( node.hasAttribute( paint ) && node.getAttribute( paint ) !== 'none' ) node.setAttribute( paint, shape3d.extrusionColor );
+                        }
+                    }
+                }
+                group.appendChild( side );
+            }
+        }
+
+        const front = document.createElementNS( 'http://www.w3.org/2000/svg', 'g' );
+        front.setAttribute( 'transform', `matrix(${ projection.m.join( ' ' ) })` );
+        if ( shape3d?.contourWidth > 0 ) {
+            const contour = element.cloneNode( true );
+            contour.removeAttribute( 'id' );
+            contour.removeAttribute( 'filter' );
+            contour.setAttribute( 'stroke', shape3d.contourColor || options.stroke?.color || '#000000' );
+            contour.setAttribute( 'stroke-width', shape3d.contourWidth * 2 );
+            front.appendChild( contour );
+        }
+        group.appendChild( front );
+
+        if ( shape3d?.bevelTop ) {
+            const bevelled = document.createElementNS( 'http://www.w3.org/2000/svg', 'g' );
+            bevelled.setAttribute( 'filter', this.createBevelFilter( shape3d.bevelTop, shape3d.material, scene3d?.lightRig ) );
+            bevelled.appendChild( element );
+            front.appendChild( bevelled );
+        } else {
+            front.appendChild( element );
+        }
+    }
+
+    /**
+     * Draws the reflection of an element, a mirrored copy below it that fades out.
+     * @param {SVGElement} element - The element to reflect.
+     * @param {object} options - The rendering options, containing effect data.
+     * @param {{x: number, y: number, width: number, height: number}} bounds - The bounds of the element.
+     * @private
+     */
+    _drawReflection( element, options, bounds ) {
+        const reflection = options?.effects?.find( effect => effect.type === 'reflection' );
+        if ( !reflection || !bounds ) {
+            return;
+        }
+
+        const bottom = bounds.y + bounds.height;
+        const clone = element.cloneNode( true );
+        clone.removeAttribute( 'id' );
+        clone.removeAttribute( 'filter' );
+        clone.setAttribute( 'transform', `translate(0, ${ bottom + reflection.distance + reflection.scaleY * bottom }) scale(1, ${ -reflection.scaleY })` );
+
+        const id = this.filterIdCounter++;
+        const gradient = document.createElementNS( 'http://www.w3.org/2000/svg', 'linearGradient' );
+        gradient.setAttribute( 'id', `reflection-fade-${ id }` );
+        gradient.setAttribute( 'x1', '0' );
+        gradient.setAttribute( 'y1', '1' );
+        gradient.setAttribute( 'x2', '0' );
+        gradient.setAttribute( 'y2', '0' );
+        for ( const [ offset, opacity ] of [ [ reflection.startPos, reflection.opacity ], [ reflection.endPos, reflection.endOpacity ] ] ) {
+            const stop = document.createElementNS( 'http://www.w3.org/2000/svg', 'stop' );
+            stop.setAttribute( 'offset', offset );
+            stop.setAttribute( 'stop-color', '#FFFFFF' );
+            stop.setAttribute( 'stop-opacity', opacity );
+            gradient.appendChild( stop );
+        }
+        this.defs.appendChild( gradient );
+
+        // The mask is in the coordinates of the clone, where the bottom of the element is the top of the reflection
+        const mask = document.createElementNS( 'http://www.w3.org/2000/svg', 'mask' );
+        mask.setAttribute( 'id', `reflection-mask-${ id }` );
+        const maskRect = document.createElementNS( 'http://www.w3.org/2000/svg', 'rect' );
+        maskRect.setAttribute( 'x', bounds.x );
+        maskRect.setAttribute( 'y', bounds.y );
+        maskRect.setAttribute( 'width', bounds.width );
+        maskRect.setAttribute( 'height', bounds.height );
+        maskRect.setAttribute( 'fill', `url(#reflection-fade-${ id })` );
+        mask.appendChild( maskRect );
+        this.defs.appendChild( mask );
+        clone.setAttribute( 'mask', `url(#reflection-mask-${ id })` );
+
+        if ( reflection.blur > 0 ) {
+            const filter = document.createElementNS( 'http://www.w3.org/2000/svg', 'filter' );
+            filter.setAttribute( 'id', `reflection-blur-${ id }` );
+            const blur = document.createElementNS( 'http://www.w3.org/2000/svg', 'feGaussianBlur' );
+            blur.setAttribute( 'stdDeviation', reflection.blur / 2 );
+            filter.appendChild( blur );
+            this.defs.appendChild( filter );
+            clone.setAttribute( 'filter', `url(#reflection-blur-${ id })` );
+        }
+
+        this.currentGroup.appendChild( clone );
     }
 
     /**
@@ -229,6 +618,383 @@ export class SvgRenderer {
         return `url(#${ filterId })`;
     }
 
+    /**
+     * Creates an empty filter in the SVG's `<defs>` that works on sRGB values, for the image adjustments.
+     * @param {string} name - The name of the adjustment, used as the prefix of the filter ID.
+     * @returns {{filter: SVGFilterElement, url: string}} The filter and its URL.
+     * @private
+     */
+    _createColorFilter( name ) {
+        const filterId = `${ name }-${ this.filterIdCounter++ }`;
+        const filter = document.createElementNS( 'http://www.w3.org/2000/svg', 'filter' );
+        filter.setAttribute( 'id', filterId );
+        filter.setAttribute( 'color-interpolation-filters', 'sRGB' );
+        this.defs.appendChild( filter );
+        return { filter, url: `url(#${ filterId })` };
+    }
+
+    /**
+     * Adds an `feComponentTransfer` to a filter.
+     * @param {SVGFilterElement} filter - The filter to add the primitive to.
+     * @param {Object<string, Object<string, string|number>>} functions - The attributes of the transfer functions, by channel, e.g. `{ feFuncA: { type: 'linear', slope: 2 } }`.
+     * @param {Object<string, string>} [attributes] - The attributes of the primitive itself, like `in` and `result`.
+     * @private
+     */
+    _addComponentTransfer( filter, functions, attributes = {} ) {
+        const transfer = document.createElementNS( 'http://www.w3.org/2000/svg', 'feComponentTransfer' );
+        for ( const [ name, value ] of Object.entries( attributes ) ) {
+            transfer.setAttribute( name, value );
+        }
+        for ( const [ channel, functionAttributes ] of Object.entries( functions ) ) {
+            const func = document.createElementNS( 'http://www.w3.org/2000/svg', channel );
+            for ( const [ name, value ] of Object.entries( functionAttributes ) ) {
+                func.setAttribute( name, value );
+            }
+            transfer.appendChild( func );
+        }
+        filter.appendChild( transfer );
+    }
+
+    /**
+     * Adds an `feColorMatrix` to a filter.
+     * @param {SVGFilterElement} filter - The filter to add the primitive to.
+     * @param {string} type - The type of the matrix, e.g. `matrix` or `hueRotate`.
+     * @param {string|number} values - The values of the matrix.
+     * @private
+     */
+    _addColorMatrix( filter, type, values ) {
+        const feColorMatrix = document.createElementNS( 'http://www.w3.org/2000/svg', 'feColorMatrix' );
+        feColorMatrix.setAttribute( 'type', type );
+        feColorMatrix.setAttribute( 'values', values );
+        filter.appendChild( feColorMatrix );
+    }
+
+    /**
+     * Creates a filter that turns an image into shades of gray.
+     * @returns {string} The URL of the created filter.
+     */
+    createGrayscaleFilter() {
+        const { filter, url } = this._createColorFilter( 'grayscale' );
+        this._addColorMatrix( filter, 'matrix', GRAYSCALE_MATRIX );
+        return url;
+    }
+
+    /**
+     * Creates a filter that turns an image into black and white.
+     * @param {number} threshold - The luminance (0-1) from which pixels become white.
+     * @returns {string} The URL of the created filter.
+     */
+    createBiLevelFilter( threshold ) {
+        const { filter, url } = this._createColorFilter( 'bilevel' );
+        this._addColorMatrix( filter, 'matrix', GRAYSCALE_MATRIX );
+        const step = { type: 'linear', slope: STEP_SLOPE, intercept: -STEP_SLOPE * threshold };
+        this._addComponentTransfer( filter, { feFuncR: step, feFuncG: step, feFuncB: step } );
+        return url;
+    }
+
+    /**
+     * Creates a filter that makes pixels either opaque or fully transparent.
+     * @param {number} threshold - The opacity (0-1) from which pixels become opaque.
+     * @returns {string} The URL of the created filter.
+     */
+    createAlphaBiLevelFilter( threshold ) {
+        const { filter, url } = this._createColorFilter( 'alpha-bilevel' );
+        this._addComponentTransfer( filter, { feFuncA: { type: 'linear', slope: STEP_SLOPE, intercept: -STEP_SLOPE * threshold } } );
+        return url;
+    }
+
+    /**
+     * Creates a filter that changes the brightness and contrast of an image.
+     * @param {number} brightness - The change in brightness, from -1 to 1.
+     * @param {number} contrast - The change in contrast, from -1 to 1.
+     * @returns {string} The URL of the created filter.
+     */
+    createLuminanceFilter( brightness, contrast ) {
+        const { filter, url } = this._createColorFilter( 'luminance' );
+        // Contrast stretches or squeezes the values around the middle gray
+        const slope = contrast >= 0 ? 1 / Math.max( 1 - contrast, 0.001 ) : 1 + contrast;
+        const func = { type: 'linear', slope, intercept: 0.5 - 0.5 * slope + brightness };
+        this._addComponentTransfer( filter, { feFuncR: func, feFuncG: func, feFuncB: func } );
+        return url;
+    }
+
+    /**
+     * Creates a filter that scales the color values of an image.
+     * @param {number} value - The factor of the color values.
+     * @returns {string} The URL of the created filter.
+     */
+    createLuminanceModulationFilter( value ) {
+        const { filter, url } = this._createColorFilter( 'luminance-modulation' );
+        const func = { type: 'linear', slope: value };
+        this._addComponentTransfer( filter, { feFuncR: func, feFuncG: func, feFuncB: func } );
+        return url;
+    }
+
+    /**
+     * Creates a filter that shifts the hue, saturation and luminance of an image.
+     * @param {number} hue - The hue rotation in degrees.
+     * @param {number} saturation - The change in saturation, from -1 to 1.
+     * @param {number} luminance - The change in luminance, from -1 (black) to 1 (white).
+     * @returns {string} The URL of the created filter.
+     */
+    createHslFilter( hue, saturation, luminance ) {
+        const { filter, url } = this._createColorFilter( 'hsl' );
+        if ( hue ) {
+            this._addColorMatrix( filter, 'hueRotate', hue );
+        }
+        if ( saturation ) {
+            this._addColorMatrix( filter, 'saturate', Math.max( 1 + saturation, 0 ) );
+        }
+        if ( luminance ) {
+            const func = luminance > 0
+                ? { type: 'linear', slope: 1 - luminance, intercept: luminance }
+                : { type: 'linear', slope: 1 + luminance };
+            this._addComponentTransfer( filter, { feFuncR: func, feFuncG: func, feFuncB: func } );
+        }
+        return url;
+    }
+
+    /**
+     * Creates a filter that tints an image with a hue, keeping its luminance.
+     * @param {number} hue - The hue of the tint in degrees.
+     * @param {number} amount - How much of the tint is applied, from 0 to 1.
+     * @returns {string} The URL of the created filter.
+     */
+    createTintFilter( hue, amount ) {
+        const { filter, url } = this._createColorFilter( 'tint' );
+        const rgb = ColorParser.hslToRgb( hue / 360, 1, 0.5 );
+        const tint = [ rgb.r / 255, rgb.g / 255, rgb.b / 255 ];
+        const tintLuminance = Math.max( 0.2126 * tint[ 0 ] + 0.7152 * tint[ 1 ] + 0.0722 * tint[ 2 ], 0.001 );
+        const luma = [ 0.2126, 0.7152, 0.0722 ];
+        const rows = tint.map( ( channel, row ) => [
+            ...luma.map( ( weight, column ) => ( 1 - amount ) * ( row === column ? 1 : 0 ) + amount * channel / tintLuminance * weight ),
+            0,
+            0,
+        ] );
+        this._addColorMatrix( filter, 'matrix', [ ...rows.flat(), 0, 0, 0, 1, 0 ].join( ' ' ) );
+        return url;
+    }
+
+    /**
+     * Creates a filter that paints every pixel of an image in one color, keeping its transparency.
+     * @param {string} color - The color.
+     * @returns {string} The URL of the created filter.
+     */
+    createColorReplaceFilter( color ) {
+        const { filter, url } = this._createColorFilter( 'color-replace' );
+        const flood = document.createElementNS( 'http://www.w3.org/2000/svg', 'feFlood' );
+        flood.setAttribute( 'flood-color', color );
+        filter.appendChild( flood );
+        const composite = document.createElementNS( 'http://www.w3.org/2000/svg', 'feComposite' );
+        composite.setAttribute( 'in2', 'SourceAlpha' );
+        composite.setAttribute( 'operator', 'in' );
+        filter.appendChild( composite );
+        return url;
+    }
+
+    /**
+     * Creates a filter that changes one color of an image into another, like PowerPoint's
+     * "Set Transparent Color". Colors close to the original are changed too, as photos rarely
+     * have exactly the same color twice.
+     * @param {{color: string, alpha: number}} from - The color to change.
+     * @param {{color: string, alpha: number}} to - The color it becomes, usually fully transparent.
+     * @returns {string} The URL of the created filter.
+     */
+    createColorChangeFilter( from, to ) {
+        const { filter, url } = this._createColorFilter( 'color-change' );
+        const rgb = ColorParser.hexToRgb( from.color );
+        if ( !rgb ) {
+            return url;
+        }
+
+        // Each channel becomes 0 where it matches the color and 1 elsewhere; their sum is opaque
+        // wherever any channel differs, which leaves out exactly the pixels of the changed color
+        const mismatch = value => {
+            const values = [];
+            for ( let index = 0; index < 256; index++ ) {
+                values.push( Math.abs( index - value ) <= COLOR_CHANGE_TOLERANCE ? 0 : 1 );
+            }
+            return { type: 'discrete', tableValues: values.join( ' ' ) };
+        };
+        this._addComponentTransfer( filter, {
+            feFuncR: mismatch( rgb.r ),
+            feFuncG: mismatch( rgb.g ),
+            feFuncB: mismatch( rgb.b ),
+        }, { in: 'SourceGraphic', result: 'channels' } );
+        const mask = document.createElementNS( 'http://www.w3.org/2000/svg', 'feColorMatrix' );
+        mask.setAttribute( 'in', 'channels' );
+        mask.setAttribute( 'type', 'matrix' );
+        mask.setAttribute( 'values', '0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 1 1 1 0 0' );
+        mask.setAttribute( 'result', 'kept' );
+        filter.appendChild( mask );
+
+        const kept = document.createElementNS( 'http://www.w3.org/2000/svg', 'feComposite' );
+        kept.setAttribute( 'in', 'SourceGraphic' );
+        kept.setAttribute( 'in2', 'kept' );
+        kept.setAttribute( 'operator', 'in' );
+        kept.setAttribute( 'result', 'unchanged' );
+        filter.appendChild( kept );
+
+        if ( to.alpha > 0 ) {
+            const flood = document.createElementNS( 'http://www.w3.org/2000/svg', 'feFlood' );
+            flood.setAttribute( 'flood-color', to.color );
+            flood.setAttribute( 'flood-opacity', to.alpha );
+            flood.setAttribute( 'result', 'replacement' );
+            filter.appendChild( flood );
+            const changed = document.createElementNS( 'http://www.w3.org/2000/svg', 'feComposite' );
+            changed.setAttribute( 'in', 'replacement' );
+            changed.setAttribute( 'in2', 'kept' );
+            changed.setAttribute( 'operator', 'out' );
+            changed.setAttribute( 'result', 'changed' );
+            filter.appendChild( changed );
+            const clipped = document.createElementNS( 'http://www.w3.org/2000/svg', 'feComposite' );
+            clipped.setAttribute( 'in', 'changed' );
+            clipped.setAttribute( 'in2', 'SourceAlpha' );
+            clipped.setAttribute( 'operator', 'in' );
+            clipped.setAttribute( 'result', 'changedInImage' );
+            filter.appendChild( clipped );
+
+            const merge = document.createElementNS( 'http://www.w3.org/2000/svg', 'feMerge' );
+            for ( const layer of [ 'changedInImage', 'unchanged' ] ) {
+                const mergeNode = document.createElementNS( 'http://www.w3.org/2000/svg', 'feMergeNode' );
+                mergeNode.setAttribute( 'in', layer );
+                merge.appendChild( mergeNode );
+            }
+            filter.appendChild( merge );
+        }
+
+        return url;
+    }
+
+    /**
+     * Adds a filter primitive to a filter.
+     * @param {SVGElement} parent - The filter, or the primitive the new one is part of.
+     * @param {string} tagName - The tag name of the primitive, e.g. `feTurbulence`.
+     * @param {Object<string, string|number>} [attributes] - The attributes of the primitive.
+     * @returns {SVGElement} The primitive.
+     * @private
+     */
+    _addPrimitive( parent, tagName, attributes = {} ) {
+        const primitive = document.createElementNS( 'http://www.w3.org/2000/svg', tagName );
+        for ( const [ name, value ] of Object.entries( attributes ) ) {
+            primitive.setAttribute( name, value );
+        }
+        parent.appendChild( primitive );
+        return primitive;
+    }
+
+    /**
+     * Creates a filter that approximates an artistic effect or picture correction of PowerPoint.
+     * Sketches are drawn from the edges of the image, paintings by posterizing a displaced image
+     * and textures by lighting noise; the transparency of the effect lets the image show through.
+     * @param {Object} effect - The effect, as parsed by `parseImageEffects`.
+     * @returns {string|null} The URL of the created filter, or null if the effect is not supported.
+     */
+    createArtisticEffectFilter( effect ) {
+        if ( effect.type === 'brightnessContrast' ) {
+            return this.createLuminanceFilter( effect.bright, effect.contrast );
+        }
+        if ( effect.type === 'saturation' ) {
+            return this.createHslFilter( 0, effect.sat - 1, 0 );
+        }
+
+        const style = ARTISTIC_EFFECT_STYLES[ effect.type ];
+        const kind = style ? style.filter : effect.type;
+        if ( !style && kind !== 'sharpenSoften' && kind !== 'colorTemperature' ) {
+            return null;
+        }
+
+        const { filter, url } = this._createColorFilter( `artistic-${ effect.type }` );
+        const add = ( tagName, attributes ) => this._addPrimitive( filter, tagName, attributes );
+        const strength = style ? Math.min( Math.max( effect[ style.parameter ] / style.max, 0 ), 1 ) : 0;
+        const edges = '-1 -1 -1 -1 8 -1 -1 -1 -1';
+        const posterize = ( levels, attributes ) => {
+            const table = Array.from( { length: levels }, ( _, index ) => index / ( levels - 1 ) ).join( ' ' );
+            const func = { type: 'discrete', tableValues: table };
+            this._addComponentTransfer( filter, { feFuncR: func, feFuncG: func, feFuncB: func }, attributes );
+        };
+        const linear = ( slope, intercept, attributes ) => {
+            const func = { type: 'linear', slope, intercept };
+            this._addComponentTransfer( filter, { feFuncR: func, feFuncG: func, feFuncB: func }, attributes );
+        };
+
+        switch ( kind ) {
+            case 'sharpenSoften':
+                if ( effect.amount >= 0 ) {
+                    const amount = effect.amount * 2;
+                    add( 'feConvolveMatrix', { order: 3, kernelMatrix: `0 ${ -amount } 0 ${ -amount } ${ 1 + 4 * amount } ${ -amount } 0 ${ -amount } 0`, preserveAlpha: 'true', result: 'effect' } );
+                } else {
+                    add( 'feGaussianBlur', { stdDeviation: -effect.amount * 3, result: 'effect' } );
+                }
+                break;
+            case 'colorTemperature': {
+                // Higher temperatures look warmer, as in PowerPoint's Color gallery
+                const warmth = Math.min( Math.max( ( effect.colorTemp - 6500 ) / 5000, -1 ), 1 ) * 0.2;
+                add( 'feColorMatrix', { type: 'matrix', values: `${ 1 + warmth } 0 0 0 0 0 1 0 0 0 0 0 ${ 1 - warmth } 0 0 0 0 0 1 0`, result: 'effect' } );
+                break;
+            }
+            case 'blur':
+                add( 'feGaussianBlur', { stdDeviation: 0.5 + strength * 10, result: 'effect' } );
+                break;
+            case 'sketch':
+                // Dark edges on white paper
+                add( 'feColorMatrix', { type: 'matrix', values: GRAYSCALE_MATRIX } );
+                add( 'feConvolveMatrix', { order: 3, kernelMatrix: edges, preserveAlpha: 'true' } );
+                linear( -( 1 + 4 * strength ), 1, { result: 'effect' } );
+                break;
+            case 'chalk':
+                add( 'feColorMatrix', { type: 'matrix', values: GRAYSCALE_MATRIX } );
+                add( 'feConvolveMatrix', { order: 3, kernelMatrix: edges, preserveAlpha: 'true' } );
+                linear( 1 + 4 * strength, 0, { result: 'effect' } );
+                break;
+            case 'glowEdges':
+                add( 'feGaussianBlur', { stdDeviation: strength * 2 } );
+                add( 'feConvolveMatrix', { order: 3, kernelMatrix: edges, preserveAlpha: 'true' } );
+                linear( 3, 0, { result: 'effect' } );
+                break;
+            case 'photocopy': {
+                add( 'feColorMatrix', { type: 'matrix', values: GRAYSCALE_MATRIX } );
+                const slope = 2 + strength * 8;
+                linear( slope, 0.5 - 0.5 * slope, { result: 'effect' } );
+                break;
+            }
+            case 'paint':
+                add( 'feTurbulence', { type: 'fractalNoise', baseFrequency: 0.05, numOctaves: 2, result: 'noise' } );
+                add( 'feDisplacementMap', { in: 'SourceGraphic', in2: 'noise', scale: 2 + strength * 8, xChannelSelector: 'R', yChannelSelector: 'G' } );
+                posterize( 6, { result: 'effect' } );
+                break;
+            case 'cutout':
+                posterize( Math.max( 2, Math.round( effect.numberOfShades ) ), { in: 'SourceGraphic', result: 'effect' } );
+                break;
+            case 'grain':
+                add( 'feTurbulence', { type: 'fractalNoise', baseFrequency: 0.8, numOctaves: 1, result: 'noise' } );
+                add( 'feColorMatrix', { in: 'noise', type: 'matrix', values: GRAYSCALE_MATRIX, result: 'grayNoise' } );
+                add( 'feComposite', { in: 'SourceGraphic', in2: 'grayNoise', operator: 'arithmetic', k1: 0, k2: 1, k3: 0.1 + strength * 0.3, k4: -( 0.05 + strength * 0.15 ), result: 'effect' } );
+                break;
+            case 'texture':
+                add( 'feTurbulence', { type: 'fractalNoise', baseFrequency: 0.02 + strength * 0.1, numOctaves: 3, result: 'noise' } );
+                this._addPrimitive( add( 'feDiffuseLighting', { in: 'noise', surfaceScale: 1 + strength * 4, 'lighting-color': '#FFFFFF', result: 'light' } ), 'feDistantLight', { azimuth: 225, elevation: 45 } );
+                add( 'feComposite', { in: 'SourceGraphic', in2: 'light', operator: 'arithmetic', k1: 1, k2: 0, k3: 0, k4: 0, result: 'effect' } );
+                break;
+            case 'glass':
+                add( 'feTurbulence', { type: 'turbulence', baseFrequency: 0.02, numOctaves: 2, result: 'noise' } );
+                add( 'feDisplacementMap', { in: 'SourceGraphic', in2: 'noise', scale: 4 + strength * 16, xChannelSelector: 'R', yChannelSelector: 'G', result: 'effect' } );
+                break;
+            case 'glowDiffused':
+                add( 'feGaussianBlur', { in: 'SourceGraphic', stdDeviation: 2 + strength * 6, result: 'glow' } );
+                add( 'feBlend', { in: 'SourceGraphic', in2: 'glow', mode: 'screen', result: 'effect' } );
+                break;
+        }
+
+        // Keep the shape of the image, and let it show through as much as the effect is transparent
+        add( 'feComposite', { in: 'effect', in2: 'SourceAlpha', operator: 'in', result: 'clipped' } );
+        const transparency = effect.transparency || 0;
+        if ( transparency > 0 ) {
+            add( 'feComposite', { in: 'clipped', in2: 'SourceGraphic', operator: 'arithmetic', k1: 0, k2: 1 - transparency, k3: transparency, k4: 0 } );
+        }
+        return url;
+    }
+
     /**
      * Creates an image pattern definition in the SVG's `<defs>`.
      * @param {Object} fillData - The fill data containing image information.
@@ -322,7 +1088,7 @@ export class SvgRenderer {
             rect.setAttribute( 'height', height );
         }
 
-        const filterUrl = this.applyEffects( options );
+        const filterUrl = this.applyEffects( options, { width, height } );
         if ( filterUrl ) {
             rect.setAttribute( 'filter', filterUrl );
         }
@@ -362,6 +1128,8 @@ export class SvgRenderer {
         }
 
         this.currentGroup.appendChild( rect );
+        this._draw3d( rect, options, { x, y, width, height } );
+        this._drawReflection( rect, options, { x, y, width, height } );
     }
 
     /**
@@ -382,7 +1150,7 @@ export class SvgRenderer {
         ellipse.setAttribute( 'rx', rx );
         ellipse.setAttribute( 'ry', ry );
 
-        const filterUrl = this.applyEffects( options );
+        const filterUrl = this.applyEffects( options, { width: 2 * rx, height: 2 * ry } );
         if ( filterUrl ) {
             ellipse.setAttribute( 'filter', filterUrl );
         }
@@ -423,6 +1191,8 @@ export class SvgRenderer {
         }
 
         this.currentGroup.appendChild( ellipse );
+        this._draw3d( ellipse, options, { x: cx - rx, y: cy - ry, width: 2 * rx, height: 2 * ry } );
+        this._drawReflection( ellipse, options, { x: cx - rx, y: cy - ry, width: 2 * rx, height: 2 * ry } );
     }
 
     /**
@@ -625,7 +1395,7 @@ export class SvgRenderer {
         }
         path.setAttribute( 'd', pathData );
 
-        const filterUrl = this.applyEffects( options );
+        const filterUrl = this.applyEffects( options, options.pos );
         if ( filterUrl ) {
             path.setAttribute( 'filter', filterUrl );
         }
@@ -665,6 +1435,33 @@ export class SvgRenderer {
         }
 
         this.currentGroup.appendChild( path );
+        if ( options.pos ) {
+            const bounds = { x: 0, y: 0, width: options.pos.width, height: options.pos.height };
+            this._draw3d( path, options, bounds );
+            this._drawReflection( path, options, bounds );
+        }
+    }
+
+    /**
+     * Draws several elements into one group, which is drawn in 3-D as a whole.
+     * @param {Function} drawContents - Draws the elements of the group into the current group.
+     * @param {object} [options] - The rendering options of the group, containing its 3-D data and `pos`.
+     * @returns {SVGGElement} The group.
+     */
+    drawGroup( drawContents, options = {} ) {
+        const group = document.createElementNS( 'http://www.w3.org/2000/svg', 'g' );
+        const parentGroup = this.currentGroup;
+        parentGroup.appendChild( group );
+        this.currentGroup = group;
+        try {
+            drawContents();
+        } finally {
+            this.currentGroup = parentGroup;
+        }
+        if ( options.pos ) {
+            this._draw3d( group, options, { x: 0, y: 0, width: options.pos.width, height: options.pos.height } );
+        }
+        return group;
     }
 
     /**
@@ -773,6 +1570,9 @@ export class SvgRenderer {
         if ( options.textAnchor ) {
             text.setAttribute( 'text-anchor', options.textAnchor );
         }
+        if ( options.direction ) {
+            text.setAttribute( 'direction', options.direction );
+        }
 
         this.currentGroup.appendChild( text );
     }
@@ -817,6 +1617,18 @@ export class SvgRenderer {
             image.setAttribute( 'preserveAspectRatio', options.preserveAspectRatio );
         }
 
-        this.currentGroup.appendChild( image );
+        // Effects go on a group around the image, so they apply to the cropped and recolored picture
+        // and are not cut off by its clip path
+        let element = image;
+        const filterUrl = this.applyEffects( options, { width, height } );
+        if ( filterUrl ) {
+            element = document.createElementNS( 'http://www.w3.org/2000/svg', 'g' );
+            element.setAttribute( 'filter', filterUrl );
+            element.appendChild( image );
+        }
+
+        this.currentGroup.appendChild( element );
+        this._draw3d( element, options, { x, y, width, height } );
+        this._drawReflection( element, options, { x, y, width, height } );
     }
 }
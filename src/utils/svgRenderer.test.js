@@ -249,6 +249,19 @@ describe('SvgRenderer', () => {
             expect(mockImageElement.setAttribute).toHaveBeenCalledWith('height', 150);
             expect(renderer.currentGroup.appendChild).toHaveBeenCalledWith(mockImageElement);
         });
+
+        it('should apply effects to a group around the image and reflect it', () => {
+            const clone = mockDeep();
+            mockGElement.cloneNode.mockReturnValue(clone);
+            const glow = { type: 'glow', radius: 10, color: '#FF0000' };
+            const reflection = { type: 'reflection', blur: 0, distance: 0, dir: 90, opacity: 0.5, startPos: 0, endOpacity: 0, endPos: 0.5, scaleY: 1 };
+            renderer.drawImage('image.png', 0, 0, 200, 100, { filter: 'url(#adjustment)', effects: [glow, reflection] });
+            expect(mockImageElement.setAttribute).toHaveBeenCalledWith('filter', 'url(#adjustment)');
+            expect(mockGElement.setAttribute).toHaveBeenCalledWith('filter', expect.stringMatching(/^url\(#effects-\d+\)$/));
+            expect(mockGElement.appendChild).toHaveBeenCalledWith(mockImageElement);
+            expect(renderer.currentGroup.appendChild).toHaveBeenCalledWith(mockGElement);
+            expect(clone.setAttribute).toHaveBeenCalledWith('transform', 'translate(0, 200) scale(1, -1)');
+        });
     });
 
     describe('clear', () => {
@@ -303,5 +316,166 @@ describe('SvgRenderer', () => {
             expect(renderer.defs.appendChild).toHaveBeenCalledWith(mockFilterElement);
             expect(filterUrl).toMatch(/^url\(#drop-shadow-\d+\)$/);
         });
+
+        it('should combine glow, soft edge, inner shadow and blur into one filter', () => {
+            const effects = [
+                { type: 'blur', radius: 4, grow: true },
+                { type: 'glow', radius: 10, color: '#FF0000' },
+                { type: 'innerShdw', blurRad: 6, dist: 2, dir: 90, color: '#000000' },
+                { type: 'softEdge', radius: 8 },
+            ];
+            const filterUrl = renderer.applyEffects({ effects });
+            const created = document.createElementNS.mock.calls.map(call => call[1]);
+            expect(created).toEqual(expect.arrayContaining(['feGaussianBlur', 'feMorphology', 'feFlood', 'feComposite', 'feOffset', 'feMerge', 'feMergeNode']));
+            expect(created.filter(tagName => tagName === 'feMergeNode').length).toBe(3);
+            expect(renderer.defs.appendChild).toHaveBeenCalledWith(mockFilterElement);
+            expect(filterUrl).toMatch(/^url\(#effects-\d+\)$/);
+        });
+
+        it('should widen the filter region for a blur that grows', () => {
+            renderer.applyEffects({ effects: [{ type: 'blur', radius: 40, grow: true }] }, { width: 100, height: 20 });
+            expect(mockFilterElement.setAttribute).toHaveBeenCalledWith('x', '-60%');
+            expect(mockFilterElement.setAttribute).toHaveBeenCalledWith('width', '220%');
+            expect(mockFilterElement.setAttribute).toHaveBeenCalledWith('y', '-300%');
+            expect(mockFilterElement.setAttribute).toHaveBeenCalledWith('height', '700%');
+        });
+
+        it('should keep a blur that does not grow within the element', () => {
+            renderer.applyEffects({ effects: [{ type: 'blur', radius: 40, grow: false }] }, { width: 100, height: 20 });
+            const compositeIndex = document.createElementNS.mock.calls.findIndex(call => call[1] === 'feComposite');
+            const composite = document.createElementNS.mock.results[compositeIndex].value;
+            expect(composite.setAttribute).toHaveBeenCalledWith('operator', 'in');
+            expect(composite.setAttribute).toHaveBeenCalledWith('in2', 'SourceAlpha');
+        });
+
+        it('should not create a filter for reflections alone', () => {
+            expect(renderer.applyEffects({ effects: [{ type: 'reflection', blur: 0, distance: 0, opacity: 0.5, startPos: 0, endOpacity: 0, endPos: 1, scaleY: 1 }] })).toBeNull();
+        });
+    });
+
+    describe('reflection', () => {
+        it('should draw a mirrored copy of the shape below it', () => {
+            const clone = mockDeep();
+            mockRectElement.cloneNode.mockReturnValue(clone);
+            const reflection = { type: 'reflection', blur: 2, distance: 4, dir: 90, opacity: 0.5, startPos: 0, endOpacity: 0, endPos: 0.35, scaleY: 1 };
+            renderer.drawRect(0, 0, 100, 50, { id: 'shape', effects: [reflection] });
+            expect(clone.removeAttribute).toHaveBeenCalledWith('id');
+            expect(clone.setAttribute).toHaveBeenCalledWith('transform', 'translate(0, 104) scale(1, -1)');
+            expect(clone.setAttribute).toHaveBeenCalledWith('mask', expect.stringMatching(/^url\(#reflection-mask-\d+\)$/));
+            expect(clone.setAttribute).toHaveBeenCalledWith('filter', expect.stringMatching(/^url\(#reflection-blur-\d+\)$/));
+            expect(mockStopElement.setAttribute).toHaveBeenCalledWith('stop-opacity', 0.5);
+            expect(mockStopElement.setAttribute).toHaveBeenCalledWith('offset', 0.35);
+            expect(renderer.currentGroup.appendChild).toHaveBeenLastCalledWith(clone);
+        });
+    });
+
+    describe('image adjustments', () => {
+        const created = () => document.createElementNS.mock.calls.map(call => call[1]);
+
+        it('should create a grayscale filter', () => {
+            expect(renderer.createGrayscaleFilter()).toMatch(/^url\(#grayscale-\d+\)$/);
+            expect(created()).toContain('feColorMatrix');
+            expect(renderer.defs.appendChild).toHaveBeenCalledWith(mockFilterElement);
+        });
+
+        it('should create black and white and brightness/contrast filters with transfer functions', () => {
+            expect(renderer.createBiLevelFilter(0.5)).toMatch(/^url\(#bilevel-\d+\)$/);
+            expect(renderer.createLuminanceFilter(0.2, 0.5)).toMatch(/^url\(#luminance-\d+\)$/);
+            expect(renderer.createAlphaBiLevelFilter(0.25)).toMatch(/^url\(#alpha-bilevel-\d+\)$/);
+            expect(created()).toEqual(expect.arrayContaining(['feComponentTransfer', 'feFuncR', 'feFuncG', 'feFuncB', 'feFuncA']));
+        });
+
+        it('should create hue, saturation and tint filters with color matrices', () => {
+            expect(renderer.createHslFilter(90, -0.5, 0.1)).toMatch(/^url\(#hsl-\d+\)$/);
+            expect(renderer.createTintFilter(200, 0.4)).toMatch(/^url\(#tint-\d+\)$/);
+            expect(created().filter(tagName => tagName === 'feColorMatrix').length).toBe(3);
+        });
+
+        it('should make the changed color transparent', () => {
+            const url = renderer.createColorChangeFilter({ color: '#FFFFFF', alpha: 1 }, { color: '#FFFFFF', alpha: 0 });
+            expect(url).toMatch(/^url\(#color-change-\d+\)$/);
+            expect(created()).toContain('feComposite');
+            expect(created()).not.toContain('feFlood');
+        });
+
+        it('should paint the changed color in an opaque replacement', () => {
+            renderer.createColorChangeFilter({ color: '#FFFFFF', alpha: 1 }, { color: '#FF0000', alpha: 1 });
+            expect(created()).toEqual(expect.arrayContaining(['feFlood', 'feMerge']));
+        });
+    });
+
+    describe('artistic effects', () => {
+        const created = () => document.createElementNS.mock.calls.map(call => call[1]);
+
+        it('should draw sketches from the edges of the image', () => {
+            expect(renderer.createArtisticEffectFilter({ type: 'pencilSketch', pressure: 5, transparency: 0 })).toMatch(/^url\(#artistic-pencilSketch-\d+\)$/);
+            expect(created()).toEqual(expect.arrayContaining(['feColorMatrix', 'feConvolveMatrix', 'feComponentTransfer']));
+        });
+
+        it('should texture the image with lit noise', () => {
+            renderer.createArtisticEffectFilter({ type: 'cement', crackSpacing: 30, transparency: 0 });
+            expect(created()).toEqual(expect.arrayContaining(['feTurbulence', 'feDiffuseLighting', 'feDistantLight']));
+        });
+
+        it('should let the image show through transparent effects', () => {
+            renderer.createArtisticEffectFilter({ type: 'blur', radius: 10, transparency: 0.25 });
+            expect(created().filter(tagName => tagName === 'feComposite').length).toBe(2);
+        });
+
+        it('should use the brightness and saturation filters for picture corrections', () => {
+            expect(renderer.createArtisticEffectFilter({ type: 'brightnessContrast', bright: 0.2, contrast: 0 })).toMatch(/^url\(#luminance-\d+\)$/);
+            expect(renderer.createArtisticEffectFilter({ type: 'saturation', sat: 0 })).toMatch(/^url\(#hsl-\d+\)$/);
+        });
+
+        it('should return null for unknown effects', () => {
+            expect(renderer.createArtisticEffectFilter({ type: 'backgroundRemoval' })).toBeNull();
+        });
+    });
+
+    describe('3-D', () => {
+        it('should leave flat shapes as they are', () => {
+            renderer.drawRect(0, 0, 100, 50, { fill: 'red' });
+            expect(mockGElement.insertBefore).not.toHaveBeenCalled();
+            expect(mockSvgElement.insertBefore).not.toHaveBeenCalled();
+        });
+
+        it('should draw a group in 3-D as a whole', () => {
+            const parentGroup = mockDeep();
+            renderer.currentGroup = parentGroup;
+            const shape3d = { bevelTop: null, bevelBottom: null, extrusionHeight: 0, extrusionColor: null, contourWidth: 0, contourColor: null, material: 'plastic' };
+            let drawnInto;
+            const group = renderer.drawGroup(() => { drawnInto = renderer.currentGroup; }, { shape3d, pos: { width: 100, height: 50 } });
+
+            expect(group).toBe(mockGElement);
+            expect(drawnInto).toBe(mockGElement);
+            expect(renderer.currentGroup).toBe(parentGroup);
+            expect(parentGroup.appendChild).toHaveBeenCalledWith(mockGElement);
+            expect(parentGroup.insertBefore).toHaveBeenCalledTimes(1);
+        });
+
+        it('should project the shape, stack its extrusion behind it and light its bevel', () => {
+            const side = mockDeep();
+            side.hasAttribute.mockImplementation(name => name === 'fill');
+            mockRectElement.cloneNode.mockReturnValue(side);
+            const scene3d = { camera: { preset: 'isometricTopUp', fov: null, rotation: null }, lightRig: { rig: 'threePt', dir: 't' } };
+            const shape3d = { bevelTop: { width: 6, height: 6, preset: 'circle' }, bevelBottom: null, extrusionHeight: 4, extrusionColor: '#00FF00', contourWidth: 0, contourColor: null, material: 'plastic' };
+            renderer.drawRect(0, 0, 100, 50, { fill: 'red', scene3d, shape3d });
+
+            expect(renderer.currentGroup.insertBefore).toHaveBeenCalledWith(mockGElement, mockRectElement);
+            const transforms = mockGElement.setAttribute.mock.calls.filter(call => call[0] === 'transform');
+            const [a, b, c, d] = transforms[0][1].match(/matrix\((.*)\)/)[1].split(' ').map(Number);
+            expect(a).toBeCloseTo(Math.cos(Math.PI / 4));
+            expect(b).toBeCloseTo(Math.sin(Math.PI / 4) * Math.sin(35 * Math.PI / 180));
+            expect(c).toBeCloseTo(0);
+            expect(d).toBeCloseTo(Math.cos(35 * Math.PI / 180));
+
+            expect(side.setAttribute.mock.calls.filter(call => call[0] === 'transform').length).toBe(4);
+            expect(side.setAttribute).toHaveBeenCalledWith('fill', '#00FF00');
+            expect(side.setAttribute).not.toHaveBeenCalledWith('stroke', expect.anything());
+            expect(document.createElementNS).toHaveBeenCalledWith('http://www.w3.org/2000/svg', 'feSpecularLighting');
+            expect(document.createElementNS).toHaveBeenCalledWith('http://www.w3.org/2000/svg', 'feDistantLight');
+            expect(mockGElement.setAttribute).toHaveBeenCalledWith('filter', expect.stringMatching(/^url\(#bevel-\d+\)$/));
+            expect(mockGElement.appendChild).toHaveBeenCalledWith(mockRectElement);
+        });
     });
 });
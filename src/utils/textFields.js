@@ -0,0 +1,72 @@
+const DEFAULT_FIELD_LOCALE = 'en-US';
+
+// The date and time formats PowerPoint offers in its Date and Time dialog, by field type
+const DATE_TIME_FORMATS = {
+    datetime1: { year: 'numeric', month: 'numeric', day: 'numeric' },
+    datetime2: { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' },
+    datetime3: [ { day: 'numeric' }, ' ', { month: 'long' }, ' ', { year: 'numeric' } ],
+    datetime4: { year: 'numeric', month: 'long', day: 'numeric' },
+    datetime5: [ { day: 'numeric' }, '-', { month: 'short' }, '-', { year: '2-digit' } ],
+    datetime6: [ { month: 'long' }, ' ', { year: '2-digit' } ],
+    datetime7: [ { month: 'short' }, '-', { year: '2-digit' } ],
+    datetime8: { year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' },
+    datetime9: { year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit', second: '2-digit' },
+    datetime10: { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' },
+    datetime11: { hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23' },
+    datetime12: { hour: 'numeric', minute: '2-digit', hour12: true },
+    datetime13: { hour: 'numeric', minute: '2-digit', second: '2-digit', hour12: true },
+};
+
+/**
+ * Extracts the number of the first slide from the presentation.xml file.
+ * @param {string} xmlString - The XML content of the presentation.xml file.
+ * @returns {number} The number shown on the first slide, 1 unless the presentation starts numbering elsewhere.
+ */
+export function getFirstSlideNumber( xmlString ) {
+    const match = xmlString?.match( /<(?:[^>:]+:)?presentation\s[^>]*firstSlideNum="(-?\d+)"/ );
+    return match ? parseInt( match[ 1 ] ) : 1;
+}
+
+/**
+ * Formats a date the way a `datetime` field of the given type shows it.
+ * @param {string} type - The field type, `datetime` or `datetime1` to `datetime13`.
+ * @param {Date} date - The date to format.
+ * @param {string} [lang] - The language of the field run. Defaults to US English.
+ * @returns {string|null} The formatted date, or null if the type is not a date and time field.
+ */
+export function formatDateTimeField( type, date, lang ) {
+    const format = DATE_TIME_FORMATS[ type === 'datetime' ? 'datetime1' : type ];
+    if ( !format ) return null;
+
+    let locale = lang || DEFAULT_FIELD_LOCALE;
+    try {
+        Intl.DateTimeFormat.supportedLocalesOf( locale );
+    } catch ( e ) {
+        locale = DEFAULT_FIELD_LOCALE;
+    }
+
+    if ( !Array.isArray( format ) ) return new Intl.DateTimeFormat( locale, format ).format( date );
+    // Formats that put the parts in a fixed order are assembled from the parts of the locale
+    return format.map( part => ( typeof part === 'string' ? part : new Intl.DateTimeFormat( locale, part ).format( date ) ) ).join( '' );
+}
+
+/**
+ * Resolves the text of a text field. Custom resolvers are asked first, so they can also replace
+ * the built-in slide number and date fields; fields nobody resolves keep the text PowerPoint cached.
+ * @param {{type: string, id: string, text: string, lang?: string}} field - The field, with its cached text.
+ * @param {object} context - The context of the slide the field is on.
+ * @param {number} [context.slideNumber] - The number shown on the slide.
+ * @param {Date} [context.date] - The date shown by date and time fields. Defaults to now.
+ * @param {Object<string, function(object, object): (string|null|undefined)>} [context.fieldResolvers] - Resolvers for custom field types, by type.
+ * @returns {string} The text to show.
+ */
+export function resolveFieldText( field, { slideNumber, date = new Date(), fieldResolvers = {} } ) {
+    const resolver = fieldResolvers[ field.type ];
+    if ( resolver ) {
+        const text = resolver( field, { slideNumber, date } );
+        if ( text !== null && text !== undefined ) return String( text );
+    }
+
+    if ( field.type === 'slidenum' && slideNumber !== undefined ) return String( slideNumber );
+    return formatDateTimeField( field.type, date, field.lang ) ?? field.text;
+}
@@ -0,0 +1,71 @@
+import { describe, it, expect, vi } from 'vitest';
+import { getFirstSlideNumber, formatDateTimeField, resolveFieldText } from './textFields.js';
+
+const DATE = new Date(2024, 2, 5, 13, 7, 9);
+
+describe('textFields', () => {
+    describe('getFirstSlideNumber', () => {
+        it('should read the number of the first slide', () => {
+            expect(getFirstSlideNumber('<p:presentation xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" firstSlideNum="0" saveSubsetFonts="1"/>')).toBe(0);
+            expect(getFirstSlideNumber('<p:presentation xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" firstSlideNum="5"><p:sldSz cx="1" cy="1"/></p:presentation>')).toBe(5);
+        });
+
+        it('should start at 1 by default', () => {
+            expect(getFirstSlideNumber('<p:presentation xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"/>')).toBe(1);
+            expect(getFirstSlideNumber('')).toBe(1);
+        });
+    });
+
+    describe('formatDateTimeField', () => {
+        it('should format the dates of the date and time fields', () => {
+            expect(formatDateTimeField('datetime', DATE)).toBe('3/5/2024');
+            expect(formatDateTimeField('datetime1', DATE)).toBe('3/5/2024');
+            expect(formatDateTimeField('datetime2', DATE)).toBe('Tuesday, March 5, 2024');
+            expect(formatDateTimeField('datetime3', DATE)).toBe('5 March 2024');
+            expect(formatDateTimeField('datetime4', DATE)).toBe('March 5, 2024');
+            expect(formatDateTimeField('datetime5', DATE)).toBe('5-Mar-24');
+            expect(formatDateTimeField('datetime6', DATE)).toBe('March 24');
+            expect(formatDateTimeField('datetime7', DATE)).toBe('Mar-24');
+        });
+
+        it('should format the times of the date and time fields', () => {
+            expect(formatDateTimeField('datetime10', DATE)).toBe('13:07');
+            expect(formatDateTimeField('datetime11', DATE)).toBe('13:07:09');
+            expect(formatDateTimeField('datetime12', DATE)).toBe('1:07 PM');
+            expect(formatDateTimeField('datetime13', DATE)).toBe('1:07:09 PM');
+        });
+
+        it('should format dates in the language of the field', () => {
+            expect(formatDateTimeField('datetime1', DATE, 'de-DE')).toBe('5.3.2024');
+            expect(formatDateTimeField('datetime4', DATE, 'fr-FR')).toBe('5 mars 2024');
+            expect(formatDateTimeField('datetime1', DATE, 'not a language')).toBe('3/5/2024');
+        });
+
+        it('should return null for other field types', () => {
+            expect(formatDateTimeField('slidenum', DATE)).toBeNull();
+        });
+    });
+
+    describe('resolveFieldText', () => {
+        it('should show the number of the slide in slide number fields', () => {
+            expect(resolveFieldText({ type: 'slidenum', id: '{1}', text: '‹#›' }, { slideNumber: 4 })).toBe('4');
+        });
+
+        it('should show the date in date and time fields', () => {
+            expect(resolveFieldText({ type: 'datetime4', id: '{1}', text: 'January 1, 2020' }, { slideNumber: 1, date: DATE })).toBe('March 5, 2024');
+        });
+
+        it('should resolve custom fields with their resolver', () => {
+            const field = { type: 'docTitle', id: '{1}', text: 'Old title' };
+            const docTitle = vi.fn().mockReturnValue('Quarterly review');
+            expect(resolveFieldText(field, { slideNumber: 2, date: DATE, fieldResolvers: { docTitle } })).toBe('Quarterly review');
+            expect(docTitle).toHaveBeenCalledWith(field, { slideNumber: 2, date: DATE });
+        });
+
+        it('should keep the cached text of fields that are not resolved', () => {
+            expect(resolveFieldText({ type: 'docTitle', id: '{1}', text: 'Old title' }, { slideNumber: 2 })).toBe('Old title');
+            expect(resolveFieldText({ type: 'docTitle', id: '{1}', text: 'Old title' }, { slideNumber: 2, fieldResolvers: { docTitle: () => null } })).toBe('Old title');
+            expect(resolveFieldText({ type: 'slidenum', id: '{1}', text: '7' }, {})).toBe('7');
+        });
+    });
+});
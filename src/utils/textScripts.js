@@ -0,0 +1,218 @@
+const EAST_ASIAN_RANGES = [
+    [ 0x1100, 0x11FF ], // Hangul Jamo
+    [ 0x2E80, 0x2FDF ], // CJK radicals
+    [ 0x2FF0, 0x303F ], // Ideographic description characters, CJK symbols and punctuation
+    [ 0x3040, 0x31FF ], // Kana, Bopomofo and Hangul compatibility Jamo
+    [ 0x3200, 0x4DBF ], // Enclosed and compatibility CJK, CJK extension A
+    [ 0x4E00, 0x9FFF ], // CJK unified ideographs
+    [ 0xA960, 0xA97F ], // Hangul Jamo extended A
+    [ 0xAC00, 0xD7FF ], // Hangul syllables
+    [ 0xF900, 0xFAFF ], // CJK compatibility ideographs
+    [ 0xFE30, 0xFE4F ], // CJK compatibility forms
+    [ 0xFF00, 0xFFEF ], // Halfwidth and fullwidth forms
+    [ 0x20000, 0x3FFFF ], // CJK extensions B and later
+];
+
+const COMPLEX_SCRIPT_RANGES = [
+    [ 0x0590, 0x08FF ], // Hebrew, Arabic, Syriac, Thaana, NKo and Samaritan
+    [ 0x0900, 0x0DFF ], // Indic scripts
+    [ 0x0E00, 0x0FFF ], // Thai, Lao and Tibetan
+    [ 0x1000, 0x109F ], // Myanmar
+    [ 0x1780, 0x17FF ], // Khmer
+    [ 0xFB1D, 0xFDFF ], // Hebrew and Arabic presentation forms A
+    [ 0xFE70, 0xFEFF ], // Arabic presentation forms B
+];
+
+const HEBREW_RANGES = [ [ 0x0590, 0x05FF ], [ 0x07C0, 0x085F ], [ 0xFB1D, 0xFB4F ] ];
+const ARABIC_RANGES = [ [ 0x0600, 0x07BF ], [ 0x0860, 0x08FF ], [ 0xFB50, 0xFDFF ], [ 0xFE70, 0xFEFF ] ];
+
+// Characters that may not start a line: closing punctuation, small kana and iteration marks
+const NO_BREAK_BEFORE = new Set( Array.from( ')]}»›!?,.:;%‰°¢℃’”、。〉》」』】〕〗〙〛〜・ーぁぃぅぇぉっゃゅょゎゕゖァィゥェォッャュョヮヵヶ！），．：；？］｝｡｣､･ｰ゛゜ヽヾゝゞ々〻…‥' ) );
+// Characters that may not end a line: opening punctuation
+const NO_BREAK_AFTER = new Set( Array.from( '([{«‹‘“〈《「『【〔〖〘〚（［｛｢' ) );
+// No-break spaces, word joiners and the byte order mark glue their neighbours together
+const GLUE = new Set( [ '\u00A0', '\u2007', '\u202F', '\u2060', '\uFEFF' ] );
+const ZERO_WIDTH_SPACE = '\u200B';
+const HYPHENS = new Set( [ '-', '‐', '‒', '–' ] );
+// Breakable whitespace, which unlike `\s` leaves out the no-break spaces
+const BREAKING_SPACES = /([ \t\n\r\f\v\u1680\u2000-\u2006\u2008-\u200A\u2028\u2029\u205F\u3000]+)/;
+
+const inRanges = ( codePoint, ranges ) => ranges.some( ( [ start, end ] ) => codePoint >= start && codePoint <= end );
+const isNeutral = char => /[\s\p{P}\p{S}\p{N}]/u.test( char );
+const isDigit = char => /\p{Nd}/u.test( char );
+
+/**
+ * Finds the font slot of a character, as PowerPoint picks between the latin, East Asian
+ * and complex script fonts of a run.
+ * @param {string} char - The character.
+ * @returns {'latin'|'ea'|'cs'|null} The script, or null for spaces, punctuation, symbols and digits,
+ * which take the script of the text around them.
+ */
+export function getCharScript( char ) {
+    const codePoint = char.codePointAt( 0 );
+    if ( inRanges( codePoint, EAST_ASIAN_RANGES ) ) return 'ea';
+    if ( inRanges( codePoint, COMPLEX_SCRIPT_RANGES ) ) return 'cs';
+    return isNeutral( char ) ? null : 'latin';
+}
+
+/**
+ * Splits text into segments that are drawn with the same font slot.
+ * @param {string} text - The text.
+ * @returns {Array<{text: string, script: string}>} The segments, in logical order.
+ */
+export function splitByScript( text ) {
+    const segments = [];
+    for ( const char of text ) {
+        const script = getCharScript( char );
+        const last = segments[ segments.length - 1 ];
+        if ( last && ( script === null || script === last.script ) ) {
+            last.text += char;
+        } else if ( last && last.script === null ) {
+            // Leading neutral characters take the script of the text that follows them
+            last.text += char;
+            last.script = script;
+        } else {
+            segments.push( { text: char, script } );
+        }
+    }
+    return segments.map( segment => ( { text: segment.text, script: segment.script || 'latin' } ) );
+}
+
+/**
+ * Checks whether a line may break between two characters, following the pair rules of
+ * UAX #14 for ideographs, punctuation, glue and hyphens. Letters and digits of alphabetic
+ * scripts only break at spaces.
+ * @param {string} before - The character before the break.
+ * @param {string} after - The character after the break.
+ * @returns {boolean} True if the line may break between the characters.
+ */
+function canBreakBetween( before, after ) {
+    if ( GLUE.has( before ) || GLUE.has( after ) ) return false;
+    if ( before === ZERO_WIDTH_SPACE ) return true;
+    if ( NO_BREAK_BEFORE.has( after ) || NO_BREAK_AFTER.has( before ) ) return false;
+    if ( HYPHENS.has( before ) ) return !isDigit( after );
+    return getCharScript( before ) === 'ea' || getCharScript( after ) === 'ea';
+}
+
+/**
+ * Splits text into the pieces a line may wrap between. Runs of breaking whitespace are
+ * kept as pieces of their own.
+ * @param {string} text - The text.
+ * @returns {string[]} The pieces, in logical order.
+ */
+export function splitLineBreakSegments( text ) {
+    const segments = [];
+    for ( const part of text.split( BREAKING_SPACES ) ) {
+        if ( !part ) continue;
+        if ( BREAKING_SPACES.test( part ) ) {
+            segments.push( part );
+            continue;
+        }
+        const chars = Array.from( part );
+        let current = chars[ 0 ];
+        for ( let i = 1; i < chars.length; i++ ) {
+            if ( canBreakBetween( chars[ i - 1 ], chars[ i ] ) ) {
+                segments.push( current );
+                current = chars[ i ];
+            } else {
+                current += chars[ i ];
+            }
+        }
+        segments.push( current );
+    }
+    return segments;
+}
+
+/**
+ * Finds the bidirectional type of a piece of text from its first strong character.
+ * @param {string} text - The text, usually a single word or space.
+ * @returns {'L'|'R'|'AL'|'EN'|'AN'|'WS'|'ON'} The UAX #9 type.
+ */
+export function getBidiType( text ) {
+    let numberType = null;
+    for ( const char of text ) {
+        const codePoint = char.codePointAt( 0 );
+        if ( ( codePoint >= 0x0660 && codePoint <= 0x0669 ) || codePoint === 0x066B || codePoint === 0x066C ) {
+            numberType = numberType || 'AN';
+        } else if ( isDigit( char ) ) {
+            numberType = numberType || 'EN';
+        } else if ( inRanges( codePoint, HEBREW_RANGES ) ) {
+            return 'R';
+        } else if ( inRanges( codePoint, ARABIC_RANGES ) ) {
+            return 'AL';
+        } else if ( !isNeutral( char ) ) {
+            return 'L';
+        }
+    }
+    if ( numberType ) return numberType;
+    return /^\s+$/.test( text ) ? 'WS' : 'ON';
+}
+
+/**
+ * Resolves the embedding levels of the pieces of a paragraph with the weak, neutral and implicit
+ * rules of UAX #9. Explicit embeddings and isolates are not supported.
+ * @param {string[]} types - The bidirectional types of the pieces, in logical order.
+ * @param {boolean} rtl - Whether the paragraph is right-to-left.
+ * @returns {number[]} The embedding level of each piece.
+ */
+export function resolveBidiLevels( types, rtl ) {
+    const baseLevel = rtl ? 1 : 0;
+    const embeddingDirection = rtl ? 'R' : 'L';
+
+    // W1 to W7: numbers after Arabic letters are Arabic numbers, and numbers after left-to-right text are left-to-right
+    let lastStrong = embeddingDirection;
+    const resolved = types.map( type => {
+        if ( type === 'L' || type === 'R' || type === 'AL' ) {
+            lastStrong = type;
+            return type === 'AL' ? 'R' : type;
+        }
+        if ( type === 'EN' ) {
+            if ( lastStrong === 'AL' ) return 'AN';
+            if ( lastStrong === 'L' ) return 'L';
+        }
+        return type;
+    } );
+
+    // N1 and N2: neutrals between text of the same direction take that direction, others the embedding direction
+    const strongDirection = type => ( type === 'L' ? 'L' : ( type === 'WS' || type === 'ON' ? null : 'R' ) );
+    for ( let i = 0; i < resolved.length; i++ ) {
+        if ( strongDirection( resolved[ i ] ) ) continue;
+        let end = i;
+        while ( end < resolved.length && !strongDirection( resolved[ end ] ) ) end++;
+        const before = i > 0 ? strongDirection( resolved[ i - 1 ] ) : embeddingDirection;
+        const after = end < resolved.length ? strongDirection( resolved[ end ] ) : embeddingDirection;
+        const direction = before === after ? before : embeddingDirection;
+        for ( let j = i; j < end; j++ ) resolved[ j ] = direction;
+        i = end - 1;
+    }
+
+    // I1 and I2
+    return resolved.map( type => {
+        if ( baseLevel === 0 ) return type === 'L' ? 0 : ( type === 'R' ? 1 : 2 );
+        return type === 'R' ? 1 : 2;
+    } );
+}
+
+/**
+ * Reorders the pieces of a line from logical to visual order (rule L2 of UAX #9),
+ * reversing every sequence of pieces at or above each odd level.
+ * @param {Array} items - The pieces of the line, in logical order.
+ * @param {number[]} levels - The embedding level of each piece.
+ * @returns {Array} The pieces in visual order, left to right.
+ */
+export function reorderByLevels( items, levels ) {
+    const order = items.map( ( item, index ) => index );
+    const maxLevel = Math.max( 0, ...levels );
+    const minOddLevel = levels.reduce( ( min, level ) => ( level % 2 === 1 ? Math.min( min, level ) : min ), Infinity );
+
+    for ( let level = maxLevel; level >= minOddLevel && level > 0; level-- ) {
+        for ( let i = 0; i < order.length; i++ ) {
+            if ( levels[ order[ i ] ] < level ) continue;
+            let end = i;
+            while ( end < order.length && levels[ order[ end ] ] >= level ) end++;
+            order.splice( i, end - i, ...order.slice( i, end ).reverse() );
+            i = end;
+        }
+    }
+    return order.map( index => items[ index ] );
+}
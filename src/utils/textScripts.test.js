@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { getCharScript, splitByScript, splitLineBreakSegments, getBidiType, resolveBidiLevels, reorderByLevels } from './textScripts.js';
+
+describe('textScripts', () => {
+    describe('getCharScript', () => {
+        it('should find the font slot of a character', () => {
+            expect(getCharScript('A')).toBe('latin');
+            expect(getCharScript('日')).toBe('ea');
+            expect(getCharScript('か')).toBe('ea');
+            expect(getCharScript('한')).toBe('ea');
+            expect(getCharScript('ש')).toBe('cs');
+            expect(getCharScript('ع')).toBe('cs');
+            expect(getCharScript('ไ')).toBe('cs');
+        });
+
+        it('should leave spaces, punctuation and digits without a script', () => {
+            expect(getCharScript(' ')).toBeNull();
+            expect(getCharScript(',')).toBeNull();
+            expect(getCharScript('7')).toBeNull();
+        });
+    });
+
+    describe('splitByScript', () => {
+        it('should split text into segments of the same script', () => {
+            expect(splitByScript('Hello 世界!')).toEqual([
+                { text: 'Hello ', script: 'latin' },
+                { text: '世界!', script: 'ea' },
+            ]);
+        });
+
+        it('should give leading neutral characters the script of the text after them', () => {
+            expect(splitByScript('1. שלום')).toEqual([{ text: '1. שלום', script: 'cs' }]);
+        });
+    });
+
+    describe('splitLineBreakSegments', () => {
+        it('should keep latin words whole and spaces separate', () => {
+            expect(splitLineBreakSegments('Hello  world')).toEqual(['Hello', '  ', 'world']);
+        });
+
+        it('should allow breaks between ideographs', () => {
+            expect(splitLineBreakSegments('日本語')).toEqual(['日', '本', '語']);
+        });
+
+        it('should not break before closing or after opening punctuation', () => {
+            expect(splitLineBreakSegments('「東京」です。')).toEqual(['「東', '京」', 'で', 'す。']);
+        });
+
+        it('should break after hyphens and zero-width spaces but not at no-break spaces', () => {
+            expect(splitLineBreakSegments('well-known')).toEqual(['well-', 'known']);
+            expect(splitLineBreakSegments('-5')).toEqual(['-5']);
+            expect(splitLineBreakSegments('a\u200Bb')).toEqual(['a\u200B', 'b']);
+            expect(splitLineBreakSegments('10\u00A0km')).toEqual(['10\u00A0km']);
+        });
+    });
+
+    describe('getBidiType', () => {
+        it('should find the type of a piece of text', () => {
+            expect(getBidiType('Hello')).toBe('L');
+            expect(getBidiType('שלום')).toBe('R');
+            expect(getBidiType('مرحبا')).toBe('AL');
+            expect(getBidiType('42')).toBe('EN');
+            expect(getBidiType('٤٢')).toBe('AN');
+            expect(getBidiType(' ')).toBe('WS');
+            expect(getBidiType('!')).toBe('ON');
+        });
+    });
+
+    describe('resolveBidiLevels', () => {
+        it('should raise right-to-left text in a left-to-right paragraph', () => {
+            expect(resolveBidiLevels(['L', 'WS', 'R', 'WS', 'R', 'WS', 'L'], false)).toEqual([0, 0, 1, 1, 1, 0, 0]);
+        });
+
+        it('should raise left-to-right text and numbers in a right-to-left paragraph', () => {
+            expect(resolveBidiLevels(['R', 'WS', 'L', 'WS', 'EN', 'ON'], true)).toEqual([1, 1, 2, 2, 2, 1]);
+            expect(resolveBidiLevels(['R', 'WS', 'EN'], true)).toEqual([1, 1, 2]);
+        });
+
+        it('should treat numbers after Arabic letters as Arabic numbers', () => {
+            expect(resolveBidiLevels(['AL', 'WS', 'EN'], false)).toEqual([1, 1, 2]);
+        });
+    });
+
+    describe('reorderByLevels', () => {
+        it('should reverse right-to-left sequences', () => {
+            expect(reorderByLevels(['a', 'b', 'c', 'd'], [0, 1, 1, 0])).toEqual(['a', 'c', 'b', 'd']);
+        });
+
+        it('should keep left-to-right text inside right-to-left text in order', () => {
+            expect(reorderByLevels(['r1', 'l1', 'l2', 'r2'], [1, 2, 2, 1])).toEqual(['r2', 'l1', 'l2', 'r1']);
+        });
+    });
+});